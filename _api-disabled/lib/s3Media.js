@@ -0,0 +1,86 @@
+/**
+ * S3 media helpers shared by the media upload routes
+ *
+ * Single-request uploads (media/presign) and multipart uploads
+ * (media/multipart) use the same client, allowed types and key layout, so a
+ * file lands in the same place whichever way it was uploaded.
+ */
+
+import { S3Client } from '@aws-sdk/client-s3';
+import { v4 as uuidv4 } from 'uuid';
+
+const REGION = process.env.AWS_REGION || 'us-east-1';
+
+export const s3Client = new S3Client({
+  region: REGION,
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+export const BUCKET_NAME = process.env.AWS_S3_BUCKET || 'bizscreen-media';
+const CDN_URL = process.env.AWS_CLOUDFRONT_URL; // Optional CloudFront distribution
+
+// Allowed content types
+export const ALLOWED_TYPES = {
+  // Images
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'image/gif': 'image',
+  'image/webp': 'image',
+  'image/svg+xml': 'image',
+  // Videos
+  'video/mp4': 'video',
+  'video/webm': 'video',
+  'video/quicktime': 'video',
+  'video/x-msvideo': 'video',
+  // Audio
+  'audio/mpeg': 'audio',
+  'audio/wav': 'audio',
+  'audio/ogg': 'audio',
+  'audio/mp4': 'audio',
+  // Documents
+  'application/pdf': 'document',
+  'application/msword': 'document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'document',
+  'application/vnd.ms-powerpoint': 'document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'document',
+  'application/vnd.ms-excel': 'document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'document',
+};
+
+/**
+ * Generate a unique object key for an upload
+ * @param {string} filename - Original filename
+ * @param {string} mediaType - Media type from ALLOWED_TYPES
+ * @param {string} folder - Top-level folder
+ * @returns {string} Object key, e.g. uploads/video/<uuid>.mp4
+ */
+export function buildMediaKey(filename, mediaType, folder = 'uploads') {
+  const extension = filename.split('.').pop().toLowerCase();
+  return `${folder}/${mediaType}/${uuidv4()}.${extension}`;
+}
+
+/**
+ * Public URL of an uploaded object (CloudFront when configured)
+ * @param {string} key - Object key
+ * @returns {string}
+ */
+export function getMediaFileUrl(key) {
+  return CDN_URL
+    ? `${CDN_URL}/${key}`
+    : `https://${BUCKET_NAME}.s3.${REGION}.amazonaws.com/${key}`;
+}
+
+/**
+ * Metadata stored with every uploaded object
+ * @param {string} filename - Original filename
+ * @returns {Object}
+ */
+export function getUploadMetadata(filename) {
+  return {
+    'original-filename': encodeURIComponent(filename),
+    'upload-date': new Date().toISOString(),
+  };
+}
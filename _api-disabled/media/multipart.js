@@ -0,0 +1,185 @@
+/**
+ * API Route: S3 multipart uploads for large files
+ *
+ * POST /api/media/multipart
+ * Body: { action, ... }
+ *
+ * Actions:
+ *   create   { filename, contentType, folder, size }
+ *            -> { uploadId, key, fileUrl, mediaType, bucket }
+ *   sign     { key, uploadId, partNumbers }
+ *            -> { urls: { [partNumber]: presignedPutUrl } }
+ *   list     { key, uploadId }
+ *            -> { parts: [{ partNumber, etag, size }] }   (parts S3 already has, for resuming)
+ *   complete { key, uploadId, parts: [{ partNumber, etag }] }
+ *            -> { fileUrl, key }
+ *   abort    { key, uploadId }
+ *            -> { aborted: true }
+ *
+ * The browser PUTs each part straight to S3 and reads the part's ETag from
+ * the response, so the bucket CORS rules must expose the ETag header.
+ * Unfinished uploads should be cleaned up by a bucket lifecycle rule
+ * (AbortIncompleteMultipartUpload).
+ */
+
+import {
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  ListPartsCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import {
+  s3Client,
+  BUCKET_NAME,
+  ALLOWED_TYPES,
+  buildMediaKey,
+  getMediaFileUrl,
+  getUploadMetadata,
+} from '../lib/s3Media.js';
+
+// S3 limits
+const MAX_PARTS = 10000;
+const MAX_PARTS_PER_SIGN = 100;
+const MAX_OBJECT_SIZE = 5 * 1024 * 1024 * 1024 * 1024; // 5 TB
+
+// Part URLs are re-signed on retry, so they can be short-lived
+const PART_URL_EXPIRES_IN = 3600;
+
+function isValidPartNumber(partNumber) {
+  return Number.isInteger(partNumber) && partNumber >= 1 && partNumber <= MAX_PARTS;
+}
+
+async function createUpload({ filename, contentType, folder = 'uploads', size }) {
+  if (!filename || !contentType) {
+    return { status: 400, body: { error: 'Missing filename or contentType' } };
+  }
+
+  const mediaType = ALLOWED_TYPES[contentType];
+  if (!mediaType) {
+    return { status: 400, body: { error: 'File type not allowed', allowedTypes: Object.keys(ALLOWED_TYPES) } };
+  }
+  if (size !== undefined && (!Number.isFinite(size) || size <= 0 || size > MAX_OBJECT_SIZE)) {
+    return { status: 400, body: { error: 'Invalid file size' } };
+  }
+
+  const key = buildMediaKey(filename, mediaType, folder);
+  const { UploadId } = await s3Client.send(new CreateMultipartUploadCommand({
+    Bucket: BUCKET_NAME,
+    Key: key,
+    ContentType: contentType,
+    Metadata: getUploadMetadata(filename),
+  }));
+
+  return {
+    status: 200,
+    body: { uploadId: UploadId, key, fileUrl: getMediaFileUrl(key), mediaType, bucket: BUCKET_NAME },
+  };
+}
+
+async function signParts({ key, uploadId, partNumbers }) {
+  if (!Array.isArray(partNumbers) || partNumbers.length === 0 || partNumbers.length > MAX_PARTS_PER_SIGN) {
+    return { status: 400, body: { error: `partNumbers must list 1-${MAX_PARTS_PER_SIGN} parts` } };
+  }
+  if (!partNumbers.every(isValidPartNumber)) {
+    return { status: 400, body: { error: `Part numbers must be between 1 and ${MAX_PARTS}` } };
+  }
+
+  const urls = {};
+  await Promise.all(partNumbers.map(async (partNumber) => {
+    urls[partNumber] = await getSignedUrl(
+      s3Client,
+      new UploadPartCommand({ Bucket: BUCKET_NAME, Key: key, UploadId: uploadId, PartNumber: partNumber }),
+      { expiresIn: PART_URL_EXPIRES_IN }
+    );
+  }));
+
+  return { status: 200, body: { urls } };
+}
+
+async function listParts({ key, uploadId }) {
+  const parts = [];
+  let marker;
+
+  // ListParts pages at 1000 parts
+  do {
+    const page = await s3Client.send(new ListPartsCommand({
+      Bucket: BUCKET_NAME,
+      Key: key,
+      UploadId: uploadId,
+      PartNumberMarker: marker,
+    }));
+    for (const part of page.Parts || []) {
+      parts.push({ partNumber: part.PartNumber, etag: part.ETag, size: part.Size });
+    }
+    marker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+  } while (marker);
+
+  return { status: 200, body: { parts } };
+}
+
+async function completeUpload({ key, uploadId, parts }) {
+  if (!Array.isArray(parts) || parts.length === 0) {
+    return { status: 400, body: { error: 'Missing parts' } };
+  }
+  if (!parts.every((part) => isValidPartNumber(part.partNumber) && part.etag)) {
+    return { status: 400, body: { error: 'Each part needs a partNumber and etag' } };
+  }
+
+  await s3Client.send(new CompleteMultipartUploadCommand({
+    Bucket: BUCKET_NAME,
+    Key: key,
+    UploadId: uploadId,
+    MultipartUpload: {
+      Parts: [...parts]
+        .sort((a, b) => a.partNumber - b.partNumber)
+        .map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })),
+    },
+  }));
+
+  return { status: 200, body: { fileUrl: getMediaFileUrl(key), key } };
+}
+
+async function abortUpload({ key, uploadId }) {
+  await s3Client.send(new AbortMultipartUploadCommand({ Bucket: BUCKET_NAME, Key: key, UploadId: uploadId }));
+  return { status: 200, body: { aborted: true } };
+}
+
+const ACTIONS = {
+  create: createUpload,
+  sign: signParts,
+  list: listParts,
+  complete: completeUpload,
+  abort: abortUpload,
+};
+
+export default async function handler(req, res) {
+  // Only allow POST
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { action, ...params } = req.body || {};
+  const run = ACTIONS[action];
+  if (!run) {
+    return res.status(400).json({ error: `Unknown action: ${action}` });
+  }
+
+  // Every action except create works on an existing upload
+  if (action !== 'create' && (!params.key || !params.uploadId)) {
+    return res.status(400).json({ error: 'Missing key or uploadId' });
+  }
+
+  try {
+    const { status, body } = await run(params);
+    return res.status(status).json(body);
+  } catch (error) {
+    // The upload was aborted or expired: the client starts over
+    if (error.name === 'NoSuchUpload') {
+      return res.status(404).json({ error: 'Upload not found', code: 'NoSuchUpload' });
+    }
+    console.error(`Error in multipart ${action}:`, error);
+    return res.status(500).json({ error: `Failed to ${action} multipart upload` });
+  }
+}
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+/**
+ * Media processing worker
+ *
+ * Claims jobs from media_processing_jobs (migration 197), downloads the
+ * original, and generates its variants:
+ *   - images: a thumbnail and downscaled renditions, rotated upright from
+ *     their EXIF orientation (sharp)
+ *   - videos: a poster frame, a thumbnail and H.264 renditions (ffmpeg)
+ * The files go to S3 under processed/<mediaId>/ and the job is completed with
+ * the variants and the measured width/height/duration. Errors go to
+ * fail_media_processing_job, which retries with backoff.
+ *
+ * Several workers can run side by side; claiming uses SKIP LOCKED.
+ *
+ * Requires: ffmpeg + ffprobe on PATH, the sharp package (an optional dependency), and in the env
+ *   VITE_SUPABASE_URL (or SUPABASE_URL), SUPABASE_SERVICE_ROLE_KEY,
+ *   AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_S3_BUCKET, AWS_REGION
+ *
+ * Usage:
+ *   node scripts/media-worker.mjs                  Run until stopped
+ *   node scripts/media-worker.mjs --once           Process the queue, then exit
+ *   node scripts/media-worker.mjs --poll-interval 30
+ *   node scripts/media-worker.mjs --help
+ */
+import { execFile } from 'node:child_process';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { mkdtemp, rm, stat } from 'node:fs/promises';
+import { hostname, tmpdir } from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { promisify } from 'node:util';
+import dotenv from 'dotenv';
+import { createClient } from '@supabase/supabase-js';
+import { PutObjectCommand } from '@aws-sdk/client-s3';
+
+dotenv.config({ path: '.env.local', override: true });
+dotenv.config({ path: '.env', override: false });
+
+// Imported after dotenv: the S3 client reads its credentials on load
+const { s3Client, BUCKET_NAME, getMediaFileUrl } = await import('../_api-disabled/lib/s3Media.js');
+
+const run = promisify(execFile);
+
+// ----- CLI args -----
+const args = process.argv.slice(2);
+const options = {
+  once: false,
+  pollInterval: 15,
+};
+for (let i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--once': options.once = true; break;
+    case '--poll-interval': options.pollInterval = parseInt(args[++i], 10); break;
+    case '--help':
+      console.log(`Usage: node scripts/media-worker.mjs [options]
+
+Options:
+  --once                 Process every due job, then exit
+  --poll-interval <sec>  Wait between polls when the queue is empty (default 15)
+  --help                 Show this message`);
+      process.exit(0);
+  }
+}
+
+// Renditions by short edge (landscape height / portrait width); only sizes
+// smaller than the original are made. mediaPreloader caps by the same edge.
+const RENDITIONS = [
+  { label: '2160p', shortEdge: 2160, maxrate: '16M' },
+  { label: '1080p', shortEdge: 1080, maxrate: '6M' },
+  { label: '720p', shortEdge: 720, maxrate: '3M' },
+  { label: '480p', shortEdge: 480, maxrate: '1500k' },
+];
+const THUMBNAIL_WIDTH = 400;
+
+const WORKER_ID = `${hostname()}:${process.pid}`;
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Supabase credentials not in env — set VITE_SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY');
+  process.exit(1);
+}
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+let sharp;
+async function loadSharp() {
+  if (!sharp) {
+    try {
+      sharp = (await import('sharp')).default;
+    } catch {
+      throw new Error('sharp is not installed — it is an optional dependency; run `npm install --include=optional` to process images');
+    }
+  }
+  return sharp;
+}
+
+// ----- Files -----
+async function download(url, filePath) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Download failed: ${response.status} ${url}`);
+  }
+  await pipeline(Readable.fromWeb(response.body), createWriteStream(filePath));
+}
+
+async function upload(filePath, mediaId, name, contentType) {
+  const key = `processed/${mediaId}/${name}`;
+  const { size } = await stat(filePath);
+  await s3Client.send(new PutObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: key,
+    Body: createReadStream(filePath),
+    ContentLength: size,
+    ContentType: contentType,
+    CacheControl: 'public, max-age=31536000, immutable',
+  }));
+  return { url: getMediaFileUrl(key), storage_key: key, file_size: size };
+}
+
+// Output size that fits the short edge, keeping the aspect ratio (even
+// numbers for H.264)
+function fitShortEdge(width, height, shortEdge) {
+  const scale = shortEdge / Math.min(width, height);
+  const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+  return { width: even(width * scale), height: even(height * scale) };
+}
+
+// ----- Images -----
+async function processImage(media, input, workDir) {
+  const sharpLib = await loadSharp();
+  const meta = await sharpLib(input).metadata();
+
+  // EXIF orientations 5-8 are rotated a quarter turn
+  const upright = (meta.orientation || 1) >= 5;
+  const width = upright ? meta.height : meta.width;
+  const height = upright ? meta.width : meta.height;
+  const format = meta.hasAlpha ? 'png' : 'jpeg';
+  const ext = format === 'png' ? 'png' : 'jpg';
+  const mimeType = `image/${format}`;
+  // SVGs scale on their own and animated images would lose their frames
+  const renditions = meta.format !== 'svg' && !(meta.pages > 1);
+
+  const variants = [];
+
+  const thumbPath = path.join(workDir, `thumbnail.${ext}`);
+  const thumb = await sharpLib(input)
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .toFormat(format, { quality: 80 })
+    .toFile(thumbPath);
+  variants.push({
+    kind: 'thumbnail',
+    label: 'default',
+    mime_type: mimeType,
+    width: thumb.width,
+    height: thumb.height,
+    ...(await upload(thumbPath, media.id, `thumbnail.${ext}`, mimeType)),
+  });
+
+  if (renditions) {
+    for (const rendition of RENDITIONS) {
+      if (rendition.shortEdge >= Math.min(width, height)) continue;
+
+      const size = fitShortEdge(width, height, rendition.shortEdge);
+      const outPath = path.join(workDir, `${rendition.label}.${ext}`);
+      const out = await sharpLib(input)
+        .rotate()
+        .resize(size)
+        .toFormat(format, { quality: 82 })
+        .toFile(outPath);
+      variants.push({
+        kind: 'rendition',
+        label: rendition.label,
+        mime_type: mimeType,
+        width: out.width,
+        height: out.height,
+        ...(await upload(outPath, media.id, `${rendition.label}.${ext}`, mimeType)),
+      });
+    }
+  }
+
+  return { variants, metadata: { width, height } };
+}
+
+// ----- Videos -----
+async function probe(filePath) {
+  const { stdout } = await run('ffprobe', [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath,
+  ]);
+  const info = JSON.parse(stdout);
+  const video = info.streams.find((stream) => stream.codec_type === 'video');
+  if (!video) {
+    throw new Error('No video stream');
+  }
+
+  // Phones record landscape frames with a rotation flag; ffmpeg applies it
+  // when transcoding, so report the upright size
+  const rotation = Number(
+    video.side_data_list?.find((data) => data.rotation !== undefined)?.rotation
+    ?? video.tags?.rotate
+    ?? 0
+  );
+  const quarterTurn = Math.abs(rotation) % 180 === 90;
+
+  return {
+    width: quarterTurn ? video.height : video.width,
+    height: quarterTurn ? video.width : video.height,
+    duration: Number(info.format.duration) || null,
+    bitrate: Number(info.format.bit_rate) || null,
+  };
+}
+
+async function processVideo(media, input, workDir) {
+  const source = await probe(input);
+  const variants = [];
+
+  const posterPath = path.join(workDir, 'poster.jpg');
+  const posterAt = source.duration ? Math.min(1, source.duration / 2) : 0;
+  await run('ffmpeg', ['-y', '-ss', String(posterAt), '-i', input, '-frames:v', '1', '-q:v', '3', posterPath]);
+  variants.push({
+    kind: 'poster',
+    label: 'default',
+    mime_type: 'image/jpeg',
+    width: source.width,
+    height: source.height,
+    ...(await upload(posterPath, media.id, 'poster.jpg', 'image/jpeg')),
+  });
+
+  const thumbPath = path.join(workDir, 'thumbnail.jpg');
+  await run('ffmpeg', ['-y', '-i', posterPath, '-vf', `scale=${THUMBNAIL_WIDTH}:-2`, '-q:v', '4', thumbPath]);
+  const thumbHeight = Math.round((source.height / source.width) * THUMBNAIL_WIDTH / 2) * 2;
+  variants.push({
+    kind: 'thumbnail',
+    label: 'default',
+    mime_type: 'image/jpeg',
+    width: THUMBNAIL_WIDTH,
+    height: thumbHeight,
+    ...(await upload(thumbPath, media.id, 'thumbnail.jpg', 'image/jpeg')),
+  });
+
+  for (const rendition of RENDITIONS) {
+    if (rendition.shortEdge >= Math.min(source.width, source.height)) continue;
+
+    const size = fitShortEdge(source.width, source.height, rendition.shortEdge);
+    const outPath = path.join(workDir, `${rendition.label}.mp4`);
+    await run('ffmpeg', [
+      '-y', '-i', input,
+      '-vf', `scale=${size.width}:${size.height}`,
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23',
+      '-maxrate', rendition.maxrate, '-bufsize', rendition.maxrate.replace(/\d+/, (n) => String(n * 2)),
+      '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '128k',
+      '-movflags', '+faststart',
+      outPath,
+    ], { maxBuffer: 16 * 1024 * 1024 });
+
+    const out = await probe(outPath);
+    variants.push({
+      kind: 'rendition',
+      label: rendition.label,
+      mime_type: 'video/mp4',
+      width: out.width,
+      height: out.height,
+      bitrate: out.bitrate,
+      ...(await upload(outPath, media.id, `${rendition.label}.mp4`, 'video/mp4')),
+    });
+  }
+
+  return {
+    variants,
+    metadata: { width: source.width, height: source.height, duration: source.duration },
+  };
+}
+
+// ----- Jobs -----
+async function processJob(job) {
+  const { media } = job;
+  const workDir = await mkdtemp(path.join(tmpdir(), 'bizscreen-media-'));
+
+  try {
+    const input = path.join(workDir, 'original');
+    await download(media.url, input);
+
+    const { variants, metadata } = media.type === 'video'
+      ? await processVideo(media, input, workDir)
+      : await processImage(media, input, workDir);
+
+    const { error } = await supabase.rpc('complete_media_processing_job', {
+      p_job_id: job.job_id,
+      p_variants: variants,
+      p_metadata: metadata,
+    });
+    if (error) throw error;
+
+    console.log(`[media-worker] ${media.id} (${media.name}): ${variants.length} variants`);
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+async function claimJob() {
+  const { data, error } = await supabase.rpc('claim_media_processing_job', { p_worker_id: WORKER_ID });
+  if (error) throw error;
+  return data;
+}
+
+async function drainQueue() {
+  let job;
+  while ((job = await claimJob())) {
+    try {
+      await processJob(job);
+    } catch (err) {
+      console.error(`[media-worker] ${job.media.id} failed (attempt ${job.attempt}):`, err.message);
+      const { error } = await supabase.rpc('fail_media_processing_job', {
+        p_job_id: job.job_id,
+        p_error: String(err.message || err).slice(0, 2000),
+      });
+      if (error) console.error('[media-worker] Could not record failure:', error.message);
+    }
+  }
+}
+
+async function main() {
+  console.log(`[media-worker] ${WORKER_ID} started`);
+
+  for (;;) {
+    try {
+      await drainQueue();
+    } catch (err) {
+      console.error('[media-worker] Queue error:', err.message);
+    }
+    if (options.once) break;
+    await new Promise((resolve) => setTimeout(resolve, options.pollInterval * 1000));
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
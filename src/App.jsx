@@ -115,6 +115,7 @@ const SceneDetailPage = lazy(() => import('./pages/SceneDetailPage'));
 const SceneEditorPage = lazy(() => import('./pages/SceneEditorPage'));
 const DeviceDiagnosticsPage = lazy(() => import('./pages/DeviceDiagnosticsPage'));
 const DataSourcesPage = lazy(() => import('./pages/DataSourcesPage'));
+const MenusPage = lazy(() => import('./pages/MenusPage'));
 const ContentPerformancePage = lazy(() => import('./pages/ContentPerformancePage'));
 const AdminTemplatesPage = lazy(() => import('./pages/Admin/AdminTemplatesPage'));
 const AdminEditTemplatePage = lazy(() => import('./pages/Admin/AdminEditTemplatePage'));
@@ -580,7 +581,8 @@ function BizScreenAppInner() {
     'admin-audit-logs': <Suspense fallback={<PageLoader />}><AdminAuditLogsPage onBack={() => setCurrentPage('admin-tenants')} showToast={showToast} /></Suspense>,
     'admin-system-events': <Suspense fallback={<PageLoader />}><AdminSystemEventsPage onBack={() => setCurrentPage('admin-tenants')} showToast={showToast} /></Suspense>,
     'device-diagnostics': <Suspense fallback={<PageLoader />}><DeviceDiagnosticsPage /></Suspense>,
-    'data-sources': <Suspense fallback={<PageLoader />}><DataSourcesPage showToast={showToast} /></Suspense>,
+    'data-sources': <Suspense fallback={<PageLoader />}><DataSourcesPage showToast={showToast} onNavigate={setCurrentPage} /></Suspense>,
+    'menus': <Suspense fallback={<PageLoader />}><MenusPage showToast={showToast} /></Suspense>,
     'content-performance': <Suspense fallback={<PageLoader />}><FeatureGate feature={Feature.ADVANCED_ANALYTICS} fallback={<FeatureUpgradePrompt feature={Feature.ADVANCED_ANALYTICS} onNavigate={() => setCurrentPage('account-plan')} />}><ContentPerformancePage showToast={showToast} /></FeatureGate></Suspense>,
     // Legacy alias: 'template-marketplace' was removed in qc4 (260414); route to the SVG Templates gallery so old in-app navigation calls land somewhere sensible.
     'template-marketplace': <Suspense fallback={<PageLoader />}><TemplateGalleryPage showToast={showToast} onNavigate={setCurrentPage} /></Suspense>,
@@ -23,8 +23,10 @@ import {
 } from './services/deviceSyncService';
 import { getWeather } from './services/weatherService';
 import WeatherWall from './components/WeatherWall';
+import MenuBoard from './components/MenuBoard';
 import { QRCodeSVG } from 'qrcode.react';
 import {
+  heartbeat,
   pollForCommand,
   reportCommandResult,
   updateDeviceStatus,
@@ -55,6 +57,55 @@ import {
 import {
   subscribeToDataSource,
 } from './services/dataSourceService';
+import {
+  getItemTriggerRules,
+  getSlideTriggerRules,
+  getPlayableItems,
+  resolvePlayableIndex,
+  getNextPlayableIndex,
+} from './services/contentTriggerService';
+import {
+  getWeatherConditions,
+  getWeatherTriggerRules,
+  withWeatherSource,
+} from './services/weatherConditionService';
+import { useContentTriggerSources } from './hooks/useContentTriggerSources';
+import { useScreenWeather } from './hooks/useScreenWeather';
+import { useValidItems } from './hooks/useValidItems';
+import { useKioskNavigation } from './hooks/useKioskNavigation';
+import { getBlockAction } from './services/kioskNavigationService';
+import { serverDate, serverNow } from './services/playerClockService';
+import {
+  fetchScheduleSnapshot,
+  followsScheduleSnapshot,
+  resolveSnapshotContent,
+  isSameContent,
+} from './services/playerScheduleService';
+import {
+  COUNTDOWN_FORMATS,
+  COUNTDOWN_EXPIRY_ACTIONS,
+  DEFAULT_COUNTDOWN_UNITS,
+  parseCountdownTarget,
+  getCountdownState,
+  hasCountdownSwaps,
+  getCountdownSwaps,
+  formatCountdown,
+} from './services/countdownService';
+import { buildPlaybackSequence, isPlaybackDynamic } from './services/playlistPlaybackService';
+import {
+  CALENDAR_VIEWS,
+  loadCalendarEvents,
+  getAgendaDays,
+  getDayEvents,
+  getRoomStatus,
+  getDateKey,
+} from './services/calendarAppService';
+import { useVideoWall } from './hooks/useVideoWall';
+import {
+  getSchedulePosition,
+  getPanelCropStyle,
+  VIDEO_DRIFT_TOLERANCE_MS,
+} from './services/videoWallService';
 import {
   initTracking,
   stopTracking,
@@ -72,6 +123,10 @@ import {
 import {
   adaptivePreload,
   detectBandwidth,
+  registerMediaRenditions,
+  getRenditionUrl,
+  getPosterUrl,
+  collectContentMediaUrls,
 } from './services/mediaPreloader';
 
 // API base URL for app data fetching
@@ -98,6 +153,9 @@ const STUCK_DETECTION = {
   checkIntervalMs: 10000 // Check every 10 seconds
 };
 
+// Playlist items play by their data triggers and weather conditions
+const getPlaylistItemRules = (item) => [...getItemTriggerRules(item), ...getWeatherTriggerRules(item)];
+
 // Retry configuration
 const RETRY_CONFIG = {
   maxRetries: 5,
@@ -150,8 +208,22 @@ async function getResolvedContent(screenId) {
   return data;
 }
 
-async function sendHeartbeat(screenId) {
-  await supabase.rpc('player_heartbeat', { p_screen_id: screenId });
+// Look up downscaled renditions of the media in this content so the player
+// can play the one that fits the screen (originals play until this returns)
+async function loadMediaRenditions(screenId, content) {
+  const urls = collectContentMediaUrls(content);
+  if (!screenId || urls.length === 0) return;
+
+  try {
+    const { data, error } = await supabase.rpc('get_screen_media_renditions', {
+      p_screen_id: screenId,
+      p_urls: urls,
+    });
+    if (error) throw error;
+    registerMediaRenditions(data);
+  } catch (err) {
+    console.warn('[Player] Could not load media renditions:', err);
+  }
 }
 
 // ============================================================================
@@ -160,8 +232,11 @@ async function sendHeartbeat(screenId) {
 
 /**
  * Hook for fetching and caching app data from the backend
+ * Apps that load their own data pass a stable `load` function; `offline` keeps
+ * the cache in localStorage and serves it whatever its age, so the app still
+ * plays after a restart without network
  */
-function useAppData(appId, config, refreshMinutes = 10) {
+function useAppData(appId, config, refreshMinutes = 10, { load, offline = false } = {}) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -175,7 +250,20 @@ function useAppData(appId, config, refreshMinutes = 10) {
 
   // Fetch data from API
   const fetchData = useCallback(async () => {
+    const storage = offline ? localStorage : sessionStorage;
     try {
+      if (load) {
+        const loaded = await load();
+        setData(loaded);
+        setError(null);
+        try {
+          storage.setItem(cacheKey, JSON.stringify({ data: loaded, fetchedAt: Date.now() }));
+        } catch (e) {
+          // Ignore storage errors
+        }
+        return;
+      }
+
       let url = `${API_BASE}/api/apps/data`;
       if (appId) {
         url += `?appId=${encodeURIComponent(appId)}`;
@@ -194,9 +282,9 @@ function useAppData(appId, config, refreshMinutes = 10) {
       if (result.success && result.data) {
         setData(result.data);
         setError(null);
-        // Cache in sessionStorage
+        // Cache for the next load
         try {
-          sessionStorage.setItem(cacheKey, JSON.stringify({
+          storage.setItem(cacheKey, JSON.stringify({
             data: result.data,
             fetchedAt: Date.now()
           }));
@@ -212,17 +300,17 @@ function useAppData(appId, config, refreshMinutes = 10) {
     } finally {
       setLoading(false);
     }
-  }, [appId, config, cacheKey]);
+  }, [appId, config, cacheKey, load, offline]);
 
   // Initial load
   useEffect(() => {
     // Check cache first
     try {
-      const cached = sessionStorage.getItem(cacheKey);
+      const cached = (offline ? localStorage : sessionStorage).getItem(cacheKey);
       if (cached) {
         const { data: cachedData, fetchedAt } = JSON.parse(cached);
         const ageMinutes = (Date.now() - fetchedAt) / 60000;
-        if (ageMinutes < refreshMinutes) {
+        if (offline || ageMinutes < refreshMinutes) {
           setData(cachedData);
           setLoading(false);
           // Still fetch in background to refresh
@@ -235,7 +323,7 @@ function useAppData(appId, config, refreshMinutes = 10) {
     }
 
     fetchData();
-  }, [cacheKey, refreshMinutes, fetchData]);
+  }, [cacheKey, refreshMinutes, offline, fetchData]);
 
   // Set up refresh interval
   useEffect(() => {
@@ -557,6 +645,183 @@ function DataTableApp({ config, appId }) {
   );
 }
 
+/**
+ * Calendar App - Agenda, day and meeting room views of an iCalendar feed
+ * Parsed events are cached offline so the board keeps working without network
+ */
+function CalendarApp({ config, appId, name, timezone }) {
+  const refreshMinutes = config?.refreshMinutes || 10;
+  const [now, setNow] = useState(serverNow);
+
+  const load = useCallback(
+    () => loadCalendarEvents(config, { appId, timeZone: timezone, now: serverNow() }),
+    [appId, config, timezone]
+  );
+  const { data, loading, error } = useAppData(appId, config, refreshMinutes, { load, offline: true });
+
+  // Re-evaluate what is on now every 30 seconds
+  useEffect(() => {
+    const interval = setInterval(() => setNow(serverNow()), 30 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const view = config?.view || CALENDAR_VIEWS.AGENDA;
+  const isDark = (config?.theme || 'dark') === 'dark';
+  const colors = {
+    bg: isDark ? '#0f172a' : '#ffffff',
+    text: isDark ? '#f1f5f9' : '#1e293b',
+    muted: isDark ? '#94a3b8' : '#64748b',
+    card: isDark ? '#1e293b' : '#f1f5f9',
+    accent: '#3b82f6',
+  };
+  const zone = timezone || undefined;
+
+  const formatTime = (ms) => new Date(ms).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: zone });
+  const formatRange = (event) => event.allDay ? 'All day' : `${formatTime(event.start)} – ${formatTime(event.end)}`;
+  const formatDay = (dateKey) => {
+    if (dateKey === getDateKey(now, zone)) return 'Today';
+    if (dateKey === getDateKey(now + 24 * 60 * 60 * 1000, zone)) return 'Tomorrow';
+    // Noon UTC keeps the date the same in every timezone
+    return new Date(`${dateKey}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+  };
+
+  const containerStyle = {
+    width: '100%',
+    height: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    background: colors.bg,
+    color: colors.text,
+    fontFamily: 'system-ui, sans-serif',
+    overflow: 'hidden',
+    padding: '2rem',
+    boxSizing: 'border-box',
+  };
+
+  if (loading && !data) {
+    return (
+      <div style={{ ...containerStyle, alignItems: 'center', justifyContent: 'center' }}>
+        <p>Loading calendar...</p>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div style={{ ...containerStyle, alignItems: 'center', justifyContent: 'center', textAlign: 'center' }}>
+        <p style={{ fontSize: '1.5rem', fontWeight: '600' }}>{name || 'Calendar'}</p>
+        <p style={{ color: colors.muted }}>Calendar unavailable{error ? `: ${error}` : ''}</p>
+      </div>
+    );
+  }
+
+  const events = data.events || [];
+
+  const renderEvent = (event) => {
+    const happening = event.start <= now && event.end > now;
+    return (
+      <div key={event.id} style={{
+        display: 'flex',
+        gap: '1.5rem',
+        padding: '1rem 1.25rem',
+        borderRadius: '0.75rem',
+        background: colors.card,
+        borderLeft: `4px solid ${happening ? '#22c55e' : colors.accent}`,
+        opacity: event.end <= now ? 0.5 : 1,
+      }}>
+        <div style={{ minWidth: '10rem', color: colors.muted, fontVariantNumeric: 'tabular-nums' }}>
+          {formatRange(event)}
+        </div>
+        <div style={{ minWidth: 0 }}>
+          <p style={{ fontWeight: '600', fontSize: '1.25rem', margin: 0 }}>{event.title}</p>
+          {event.location && <p style={{ color: colors.muted, margin: '0.25rem 0 0' }}>{event.location}</p>}
+        </div>
+      </div>
+    );
+  };
+
+  if (view === CALENDAR_VIEWS.ROOM) {
+    const room = getRoomStatus(events, { now, timeZone: zone });
+    return (
+      <div style={{
+        ...containerStyle,
+        padding: 0,
+        background: room.busy ? '#991b1b' : '#166534',
+        color: '#ffffff',
+      }}>
+        <div style={{ flex: 1, display: 'flex', flexDirection: 'column', justifyContent: 'center', padding: '3rem' }}>
+          <p style={{ fontSize: 'clamp(1.25rem, 3vw, 2.5rem)', opacity: 0.85, margin: 0 }}>
+            {config?.roomName || name}
+          </p>
+          <p style={{ fontSize: 'clamp(3rem, 10vw, 8rem)', fontWeight: '700', lineHeight: 1.1, margin: '0.5rem 0' }}>
+            {room.busy ? 'In Use' : 'Available'}
+          </p>
+          <p style={{ fontSize: 'clamp(1.25rem, 3vw, 2.5rem)', margin: 0 }}>
+            {room.busy
+              ? `${room.current.title} · until ${formatTime(room.busyUntil)}`
+              : room.freeUntil
+                ? `Free until ${formatTime(room.freeUntil)}`
+                : 'Free for the rest of the day'}
+          </p>
+        </div>
+        {(room.next || room.later.length > 0) && (
+          <div style={{ background: 'rgba(0, 0, 0, 0.25)', padding: '1.5rem 3rem' }}>
+            {[room.next, ...room.later].filter(Boolean).map((event, index) => (
+              <p key={event.id} style={{ margin: '0.25rem 0', fontSize: index === 0 ? '1.5rem' : '1.125rem', opacity: index === 0 ? 1 : 0.8 }}>
+                {index === 0 && 'Next: '}{formatRange(event)} · {event.title}
+              </p>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (view === CALENDAR_VIEWS.DAY) {
+    const day = getDayEvents(events, { now, timeZone: zone });
+    return (
+      <div style={containerStyle}>
+        <h2 style={{ fontSize: '2rem', fontWeight: '700', margin: '0 0 0.25rem' }}>{name || 'Today'}</h2>
+        <p style={{ color: colors.muted, margin: '0 0 1.5rem' }}>{formatDay(day.date)} · {formatTime(now)}</p>
+        {day.allDay.length > 0 && (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '1rem' }}>
+            {day.allDay.map(event => (
+              <span key={event.id} style={{ padding: '0.375rem 0.875rem', borderRadius: '999px', background: colors.accent, color: '#ffffff' }}>
+                {event.title}
+              </span>
+            ))}
+          </div>
+        )}
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', overflow: 'hidden' }}>
+          {day.timed.length === 0 && <p style={{ color: colors.muted }}>Nothing scheduled today</p>}
+          {day.timed.map(renderEvent)}
+        </div>
+      </div>
+    );
+  }
+
+  // Agenda view (default)
+  const days = getAgendaDays(events, { now, timeZone: zone, daysAhead: config?.daysAhead });
+  return (
+    <div style={containerStyle}>
+      <h2 style={{ fontSize: '2rem', fontWeight: '700', margin: '0 0 1.5rem' }}>{name || 'Upcoming Events'}</h2>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '1.25rem', overflow: 'hidden' }}>
+        {days.length === 0 && <p style={{ color: colors.muted }}>No upcoming events</p>}
+        {days.map(({ date, events: dayEvents }) => (
+          <div key={date}>
+            <p style={{ color: colors.accent, fontWeight: '600', textTransform: 'uppercase', letterSpacing: '0.05em', margin: '0 0 0.5rem' }}>
+              {formatDay(date)}
+            </p>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+              {dayEvents.map(renderEvent)}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 /**
  * App Renderer - Renders different app types (clock, web page, etc.)
  */
@@ -590,6 +855,11 @@ function AppRenderer({ item, timezone }) {
     return <DataTableApp config={config} appId={appId} />;
   }
 
+  // Calendar App (agenda, day and meeting room boards)
+  if (appType === 'calendar') {
+    return <CalendarApp config={config} appId={appId} name={item.name} timezone={timezone} />;
+  }
+
   // Unknown app type - show placeholder
   return (
     <div style={{
@@ -629,13 +899,13 @@ function AppRenderer({ item, timezone }) {
 }
 
 /**
- * Clock App - Displays current time and date
+ * Clock App - Displays current time and date on the drift-corrected player clock
  */
 function ClockApp({ config, deviceTimezone }) {
-  const [time, setTime] = useState(new Date());
+  const [time, setTime] = useState(serverDate);
 
   useEffect(() => {
-    const interval = setInterval(() => setTime(new Date()), 1000);
+    const interval = setInterval(() => setTime(serverDate()), 1000);
     return () => clearInterval(interval);
   }, []);
 
@@ -762,11 +1032,12 @@ function WebPageApp({ config, name }) {
 /**
  * Zone Player - Plays content in a single zone (used by LayoutRenderer)
  */
-function ZonePlayer({ zone, timezone, screenId, tenantId, layoutId, campaignId }) {
+function ZonePlayer({ zone, timezone, screenId, tenantId, layoutId, campaignId, wallSync }) {
   const [items, setItems] = useState([]);
   const [currentIndex, setCurrentIndex] = useState(0);
   const videoRef = useRef(null);
   const timerRef = useRef(null);
+  const slotStartRef = useRef(null);
 
   useEffect(() => {
     if (zone.content?.type === 'playlist' && zone.content.items) {
@@ -815,7 +1086,7 @@ function ZonePlayer({ zone, timezone, screenId, tenantId, layoutId, campaignId }
 
   // Timer for duration-based advancement
   useEffect(() => {
-    if (items.length === 0) return;
+    if (items.length === 0 || wallSync) return;
     const currentItem = items[currentIndex];
     if (!currentItem || currentItem.mediaType === 'video') return;
 
@@ -827,7 +1098,47 @@ function ZonePlayer({ zone, timezone, screenId, tenantId, layoutId, campaignId }
     return () => {
       if (timerRef.current) clearTimeout(timerRef.current);
     };
-  }, [currentIndex, items, zone.content?.playlist?.defaultDuration, advanceToNext]);
+  }, [currentIndex, items, zone.content?.playlist?.defaultDuration, advanceToNext, wallSync]);
+
+  // Video wall: every panel derives the current item from the shared schedule,
+  // videos included, so they play for their set duration instead of to the end
+  useEffect(() => {
+    if (!wallSync || items.length === 0) return;
+    const defaultDuration = zone.content?.playlist?.defaultDuration || 10;
+    let timer;
+
+    const tick = () => {
+      const position = getSchedulePosition(
+        items.map(item => (item.duration || defaultDuration) * 1000),
+        wallSync.epoch,
+        wallSync.now()
+      );
+      if (!position) return;
+      slotStartRef.current = position.startedAt;
+      setCurrentIndex(position.index);
+      timer = setTimeout(tick, Math.max(0, position.endsAt - wallSync.now()));
+    };
+
+    tick();
+    return () => clearTimeout(timer);
+  }, [wallSync, items, zone.content?.playlist?.defaultDuration]);
+
+  // Keep wall videos at their scheduled position
+  const syncWallVideo = useCallback(() => {
+    const video = videoRef.current;
+    if (!wallSync || !video || slotStartRef.current === null || video.readyState < 1) return;
+
+    const target = (wallSync.now() - slotStartRef.current) / 1000;
+    if (target < video.duration && Math.abs(video.currentTime - target) * 1000 > VIDEO_DRIFT_TOLERANCE_MS) {
+      video.currentTime = target;
+    }
+  }, [wallSync]);
+
+  useEffect(() => {
+    if (!wallSync) return;
+    const interval = setInterval(syncWallVideo, 1000);
+    return () => clearInterval(interval);
+  }, [wallSync, syncWallVideo]);
 
   if (!zone.content || items.length === 0) {
     return (
@@ -858,20 +1169,22 @@ function ZonePlayer({ zone, timezone, screenId, tenantId, layoutId, campaignId }
         <video
           ref={videoRef}
           key={currentItem.id}
-          src={currentItem.url}
+          src={getRenditionUrl(currentItem.url)}
+          poster={getPosterUrl(currentItem.url) || undefined}
           autoPlay
           muted
           playsInline
-          onEnded={advanceToNext}
-          onError={advanceToNext}
+          onLoadedMetadata={wallSync ? syncWallVideo : undefined}
+          onEnded={wallSync ? undefined : advanceToNext}
+          onError={wallSync ? undefined : advanceToNext}
           style={{ width: '100%', height: '100%', objectFit: 'cover' }}
         />
       ) : currentItem.mediaType === 'image' ? (
         <img
           key={currentItem.id}
-          src={currentItem.url}
+          src={getRenditionUrl(currentItem.url)}
           alt={currentItem.name}
-          onError={advanceToNext}
+          onError={wallSync ? undefined : advanceToNext}
           style={{ width: '100%', height: '100%', objectFit: 'cover' }}
         />
       ) : currentItem.mediaType === 'app' ? (
@@ -903,7 +1216,7 @@ function ZonePlayer({ zone, timezone, screenId, tenantId, layoutId, campaignId }
 /**
  * Layout Renderer - Renders multi-zone layout
  */
-function LayoutRenderer({ layout, timezone, screenId, tenantId, campaignId }) {
+function LayoutRenderer({ layout, timezone, screenId, tenantId, campaignId, wallSync }) {
   if (!layout || !layout.zones || layout.zones.length === 0) {
     return (
       <div style={{
@@ -951,6 +1264,7 @@ function LayoutRenderer({ layout, timezone, screenId, tenantId, campaignId }) {
             tenantId={tenantId}
             layoutId={layout.id}
             campaignId={campaignId}
+            wallSync={wallSync}
           />
         </div>
       ))}
@@ -958,20 +1272,79 @@ function LayoutRenderer({ layout, timezone, screenId, tenantId, campaignId }) {
   );
 }
 
+/**
+ * Wall Canvas - On a video wall panel, renders the full canvas and shows only
+ * this panel's crop of it
+ */
+function WallCanvas({ wall, children }) {
+  if (!wall) return children;
+
+  return (
+    <div style={{ position: 'absolute', inset: 0, overflow: 'hidden' }}>
+      <div style={getPanelCropStyle(wall)}>
+        {children}
+      </div>
+    </div>
+  );
+}
+
 /**
  * Scene Renderer - Renders scene slides with drag-drop design blocks
  * Supports text, image, shape, and widget blocks
  * Phase 6: Added media preloading for smooth transitions
+ * Touch kiosks: blocks with tap actions navigate between slides and scenes
  */
-function SceneRenderer({ scene, screenId, tenantId }) {
+function SceneRenderer({ scene: homeScene, screenId, tenantId, wallSync, timezone }) {
   const [currentSlideIndex, setCurrentSlideIndex] = useState(0);
   const [isPreloading, setIsPreloading] = useState(false);
   const [resolvedBlocksMap, setResolvedBlocksMap] = useState(new Map());
+  const [, setCountdownTick] = useState(0);
   const timerRef = useRef(null);
   const preloadedRef = useRef(new Set());
 
+  // The scene on screen is the assigned one unless a kiosk tap navigated away
+  const kiosk = useKioskNavigation(homeScene, {
+    screenId,
+    onGoToSlide: setCurrentSlideIndex,
+    enabled: !wallSync,
+  });
+  const scene = kiosk.scene;
   const slides = scene?.slides || [];
 
+  // Data triggers can hide slides or play them first
+  const triggerSources = useContentTriggerSources(slides, { getRules: getSlideTriggerRules });
+  const triggerSourcesRef = useRef(triggerSources);
+  useEffect(() => {
+    triggerSourcesRef.current = triggerSources;
+  }, [triggerSources]);
+  const activeSlideIndex = resolvePlayableIndex(slides, currentSlideIndex, triggerSources, getSlideTriggerRules);
+
+  // Countdowns that swap to another block or slide are checked every second
+  // against the server clock
+  const slideBlocks = activeSlideIndex >= 0 ? slides[activeSlideIndex]?.design?.blocks || [] : [];
+  const watchesCountdowns = hasCountdownSwaps(slideBlocks);
+  const countdownSwaps = getCountdownSwaps(
+    watchesCountdowns
+      ? slideBlocks.map(block => ({ ...block, resolvedContent: resolvedBlocksMap.get(block.id) || block.resolvedContent }))
+      : [],
+    { now: serverNow(), timeZone: timezone }
+  );
+  const countdownSlideIndex = countdownSwaps.slideId
+    ? slides.findIndex(slide => slide.id === countdownSwaps.slideId)
+    : -1;
+
+  useEffect(() => {
+    if (!watchesCountdowns) return;
+    const interval = setInterval(() => setCountdownTick(tick => tick + 1), 1000);
+    return () => clearInterval(interval);
+  }, [watchesCountdowns]);
+
+  // Video walls keep to the shared slide schedule instead
+  useEffect(() => {
+    if (countdownSlideIndex < 0 || countdownSlideIndex === activeSlideIndex || wallSync) return;
+    setCurrentSlideIndex(countdownSlideIndex);
+  }, [countdownSlideIndex, activeSlideIndex, wallSync]);
+
   // Prefetch and resolve data bindings for the scene
   useEffect(() => {
     if (!scene || slides.length === 0) return;
@@ -991,7 +1364,8 @@ function SceneRenderer({ scene, screenId, tenantId }) {
           const blocks = slide?.design?.blocks || [];
 
           if (blocks.length > 0) {
-            const resolved = await resolveSlideBindings(blocks);
+            // Formulas using TODAY() follow the server clock
+            const resolved = await resolveSlideBindings(blocks, { now: serverNow() });
             resolved.forEach((block) => {
               if (block.resolvedContent) {
                 resolvedMap.set(block.id, block.resolvedContent);
@@ -1048,11 +1422,11 @@ function SceneRenderer({ scene, screenId, tenantId }) {
 
             // Check if this slide uses the updated data source
             const slideIds = extractDataSourceIds(slide?.design);
-            if (!slideIds.has(dataSourceId)) continue;
+            if (!slideIds.includes(dataSourceId)) continue;
 
             if (blocks.length > 0) {
               try {
-                const resolved = await resolveSlideBindings(blocks);
+                const resolved = await resolveSlideBindings(blocks, { now: serverNow() });
                 resolved.forEach((block) => {
                   if (block.resolvedContent) {
                     resolvedMap.set(block.id, block.resolvedContent);
@@ -1084,6 +1458,14 @@ function SceneRenderer({ scene, screenId, tenantId }) {
     };
   }, [scene, slides, resolvedBlocksMap]);
 
+  // Renditions for scenes opened from a kiosk (the assigned scene's come
+  // with the screen content)
+  useEffect(() => {
+    if (scene && scene !== homeScene) {
+      loadMediaRenditions(screenId, scene.slides);
+    }
+  }, [scene, homeScene, screenId]);
+
   // Preload initial scene content on mount
   useEffect(() => {
     if (slides.length > 0) {
@@ -1094,22 +1476,24 @@ function SceneRenderer({ scene, screenId, tenantId }) {
     }
   }, [slides]);
 
-  // Auto-advance slides based on duration with preloading
+  // Auto-advance slides based on duration with preloading (paused while
+  // someone is using a touch kiosk)
   useEffect(() => {
-    if (slides.length <= 1) return;
+    if (slides.length <= 1 || activeSlideIndex < 0 || kiosk.interacting) return;
 
-    const currentSlide = slides[currentSlideIndex];
+    const currentSlide = slides[activeSlideIndex];
     const duration = (currentSlide?.duration_seconds || 10) * 1000;
 
     // Preload next slide before transition (2 seconds early)
     const preloadDelay = Math.max(0, duration - 2000);
     const preloadTimer = setTimeout(() => {
-      const nextIndex = (currentSlideIndex + 1) % slides.length;
+      const nextIndex = getNextPlayableIndex(slides, activeSlideIndex, triggerSourcesRef.current, getSlideTriggerRules);
       const slideKey = `${scene?.id}-${nextIndex}`;
 
       if (!preloadedRef.current.has(slideKey)) {
         setIsPreloading(true);
-        preloadNextSlides(slides, nextIndex, 2)
+        // Starts after the given index; picks renditions for the bandwidth
+        adaptivePreload(slides, nextIndex - 1)
           .then(() => {
             preloadedRef.current.add(slideKey);
           })
@@ -1118,18 +1502,42 @@ function SceneRenderer({ scene, screenId, tenantId }) {
       }
     }, preloadDelay);
 
-    // Advance to next slide
-    timerRef.current = setTimeout(() => {
-      setCurrentSlideIndex((prev) => (prev + 1) % slides.length);
-    }, duration);
+    // Advance to next slide (video wall panels follow the shared schedule instead)
+    if (!wallSync) {
+      timerRef.current = setTimeout(() => {
+        setCurrentSlideIndex(getNextPlayableIndex(slides, activeSlideIndex, triggerSourcesRef.current, getSlideTriggerRules));
+      }, duration);
+    }
 
     return () => {
       if (timerRef.current) clearTimeout(timerRef.current);
       clearTimeout(preloadTimer);
     };
-  }, [currentSlideIndex, slides, scene?.id]);
+  }, [activeSlideIndex, slides, scene?.id, wallSync, kiosk.interacting]);
+
+  // Video wall: every panel derives the current slide from the shared schedule
+  useEffect(() => {
+    if (!wallSync || slides.length <= 1) return;
+    let timer;
+
+    const tick = () => {
+      const playable = getPlayableItems(slides, triggerSourcesRef.current, getSlideTriggerRules);
+      const position = getSchedulePosition(
+        playable.map(slide => (slide.duration_seconds || 10) * 1000),
+        wallSync.epoch,
+        wallSync.now()
+      );
+      if (!position) return;
+      setCurrentSlideIndex(slides.indexOf(playable[position.index]));
+      timer = setTimeout(tick, Math.max(0, position.endsAt - wallSync.now()));
+    };
+
+    tick();
+    return () => clearTimeout(timer);
+  }, [wallSync, slides]);
 
-  if (!scene || slides.length === 0) {
+  // Triggers hiding every slide show the same empty state
+  if (!scene || slides.length === 0 || activeSlideIndex < 0) {
     return (
       <div style={{
         width: '100%',
@@ -1143,13 +1551,15 @@ function SceneRenderer({ scene, screenId, tenantId }) {
       }}>
         <div style={{ textAlign: 'center' }}>
           <p style={{ fontSize: '1.5rem', marginBottom: '0.5rem' }}>{scene?.name || 'Scene'}</p>
-          <p style={{ color: '#64748b' }}>No slides configured</p>
+          <p style={{ color: '#64748b' }}>
+            {slides.length === 0 ? 'No slides configured' : 'Nothing to show right now'}
+          </p>
         </div>
       </div>
     );
   }
 
-  const currentSlide = slides[currentSlideIndex];
+  const currentSlide = slides[activeSlideIndex];
   const design = currentSlide?.design || { background: { color: '#111827' }, blocks: [] };
 
   // Background style
@@ -1166,21 +1576,26 @@ function SceneRenderer({ scene, screenId, tenantId }) {
     backgroundStyle.backgroundColor = '#111827';
   }
 
-  // Sort blocks by layer
-  const sortedBlocks = [...(design.blocks || [])].sort((a, b) => (a.layer || 1) - (b.layer || 1));
+  // Sort blocks by layer, leaving out blocks an expired countdown swapped out
+  const sortedBlocks = (design.blocks || [])
+    .filter(block => !countdownSwaps.hiddenBlockIds.has(block.id))
+    .sort((a, b) => (a.layer || 1) - (b.layer || 1));
 
   // Get slide transition styles
   const transitionStyles = getSlideTransitionStyles(design.transition);
 
   return (
-    <div style={{
-      position: 'relative',
-      width: '100%',
-      height: '100%',
-      overflow: 'hidden',
-      ...backgroundStyle,
-      ...transitionStyles
-    }}>
+    <div
+      onPointerDown={kiosk.interactive ? kiosk.handleTouch : undefined}
+      style={{
+        position: 'relative',
+        width: '100%',
+        height: '100%',
+        overflow: 'hidden',
+        ...backgroundStyle,
+        ...transitionStyles
+      }}
+    >
       {/* Inject animation keyframes */}
       <style>{ANIMATION_KEYFRAMES}</style>
 
@@ -1192,10 +1607,14 @@ function SceneRenderer({ scene, screenId, tenantId }) {
             // Inject resolved content from data binding
             resolvedContent: resolvedBlocksMap.get(block.id) || block.resolvedContent,
           }}
-          slideIndex={currentSlideIndex}
+          slideIndex={activeSlideIndex}
+          timezone={timezone}
+          onTap={kiosk.interactive ? (tapped) => kiosk.handleTap(tapped, currentSlide) : undefined}
         />
       ))}
 
+      {kiosk.qr && <KioskQrOverlay qr={kiosk.qr} onClose={kiosk.closeQr} />}
+
       {/* Slide progress indicators */}
       {slides.length > 1 && (
         <div style={{
@@ -1211,10 +1630,10 @@ function SceneRenderer({ scene, screenId, tenantId }) {
             <div
               key={idx}
               style={{
-                width: idx === currentSlideIndex ? '1.5rem' : '0.5rem',
+                width: idx === activeSlideIndex ? '1.5rem' : '0.5rem',
                 height: '0.5rem',
                 borderRadius: '0.25rem',
-                backgroundColor: idx === currentSlideIndex ? '#3b82f6' : '#fff',
+                backgroundColor: idx === activeSlideIndex ? '#3b82f6' : '#fff',
                 transition: 'all 0.3s ease'
               }}
             />
@@ -1227,14 +1646,19 @@ function SceneRenderer({ scene, screenId, tenantId }) {
 
 /**
  * Scene Block - Renders individual blocks in a scene slide
- * Supports data-bound text blocks with resolvedContent
+ * Supports data-bound text blocks with resolvedContent, and tap actions on
+ * touch kiosks
  */
-function SceneBlock({ block, slideIndex }) {
+function SceneBlock({ block, slideIndex, onTap, timezone }) {
   const { type, x, y, width, height, layer, props, widgetType, animation, resolvedContent } = block;
 
   // Get animation styles from block.animation
   const animationStyles = getBlockAnimationStyles(animation);
 
+  // Blocks with a tap action act as buttons
+  const tappable = Boolean(onTap && getBlockAction(block));
+  const tapProps = tappable ? { role: 'button', onClick: () => onTap(block) } : {};
+
   const baseStyle = {
     position: 'absolute',
     left: `${x * 100}%`,
@@ -1243,6 +1667,7 @@ function SceneBlock({ block, slideIndex }) {
     height: `${height * 100}%`,
     zIndex: layer || 1,
     overflow: 'hidden',
+    ...(tappable && { cursor: 'pointer' }),
     ...animationStyles,
   };
 
@@ -1253,6 +1678,7 @@ function SceneBlock({ block, slideIndex }) {
 
       return (
         <div
+          {...tapProps}
           style={{
             ...baseStyle,
             display: 'flex',
@@ -1273,7 +1699,7 @@ function SceneBlock({ block, slideIndex }) {
 
     case 'image':
       return (
-        <div style={{
+        <div {...tapProps} style={{
           ...baseStyle,
           borderRadius: `${props?.borderRadius || 0}px`,
           backgroundColor: '#1e293b',
@@ -1283,7 +1709,7 @@ function SceneBlock({ block, slideIndex }) {
         }}>
           {props?.url ? (
             <img
-              src={props.url}
+              src={getRenditionUrl(props.url)}
               alt=""
               style={{
                 width: '100%',
@@ -1300,7 +1726,7 @@ function SceneBlock({ block, slideIndex }) {
 
     case 'shape':
       return (
-        <div style={{
+        <div {...tapProps} style={{
           ...baseStyle,
           backgroundColor: props?.fill || '#3b82f6',
           opacity: props?.opacity ?? 1,
@@ -1310,8 +1736,13 @@ function SceneBlock({ block, slideIndex }) {
 
     case 'widget':
       return (
-        <div style={baseStyle}>
-          <SceneWidgetRenderer widgetType={widgetType} props={props} />
+        <div {...tapProps} style={baseStyle}>
+          <SceneWidgetRenderer
+            widgetType={widgetType}
+            props={props}
+            resolvedContent={resolvedContent}
+            timezone={timezone}
+          />
         </div>
       );
 
@@ -1321,16 +1752,60 @@ function SceneBlock({ block, slideIndex }) {
 }
 
 /**
- * Scene Widget Renderer - Renders widgets (clock, date, weather, qr) in scene blocks
+ * Kiosk QR Overlay - QR code detail opened by a tap; any tap closes it
  */
-function SceneWidgetRenderer({ widgetType, props }) {
-  const [time, setTime] = useState(new Date());
+function KioskQrOverlay({ qr, onClose }) {
+  return (
+    <div
+      role="dialog"
+      onClick={onClose}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        zIndex: 1000,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(0, 0, 0, 0.75)',
+        fontFamily: 'system-ui, sans-serif',
+      }}
+    >
+      <div style={{
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '1.5rem',
+        padding: '2.5rem',
+        background: '#ffffff',
+        borderRadius: '1.5rem',
+        maxWidth: '80%',
+      }}>
+        {qr.title && (
+          <p style={{ fontSize: 'clamp(1.25rem, 3vw, 2.5rem)', fontWeight: '600', color: '#0f172a', textAlign: 'center' }}>
+            {qr.title}
+          </p>
+        )}
+        <QRCodeSVG value={qr.url} size={320} style={{ width: 'min(50vw, 50vh)', height: 'min(50vw, 50vh)' }} />
+        <p style={{ fontSize: 'clamp(0.875rem, 1.5vw, 1.25rem)', color: '#64748b' }}>
+          Scan with your phone camera · Tap to close
+        </p>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Scene Widget Renderer - Renders widgets (clock, date, weather, qr, countdown, menu) in scene blocks
+ * A data-bound countdown takes its target from resolvedContent; a menu gets its rows there
+ */
+function SceneWidgetRenderer({ widgetType, props, resolvedContent, timezone }) {
+  const [time, setTime] = useState(serverDate);
   const [weather, setWeather] = useState(null);
   const [weatherLoading, setWeatherLoading] = useState(false);
 
   // Clock/date update interval
   useEffect(() => {
-    const interval = setInterval(() => setTime(new Date()), 1000);
+    const interval = setInterval(() => setTime(serverDate()), 1000);
     return () => clearInterval(interval);
   }, []);
 
@@ -1637,6 +2112,97 @@ function SceneWidgetRenderer({ widgetType, props }) {
       );
     }
 
+    case 'countdown': {
+      const label = safeProps.label || '';
+      const format = safeProps.countdownFormat || COUNTDOWN_FORMATS.BLOCKS;
+      const { status, parts } = getCountdownState({
+        target: parseCountdownTarget(resolvedContent || safeProps.targetAt, timezone),
+        now: time.getTime(),
+        mode: safeProps.countMode,
+        expiredAction: safeProps.expiredAction,
+        units: safeProps.countdownUnits || DEFAULT_COUNTDOWN_UNITS,
+      });
+
+      if (status === 'invalid') return null;
+      if (status === 'expired' && [
+        COUNTDOWN_EXPIRY_ACTIONS.HIDE,
+        COUNTDOWN_EXPIRY_ACTIONS.SHOW_BLOCK,
+        COUNTDOWN_EXPIRY_ACTIONS.GO_TO_SLIDE,
+      ].includes(safeProps.expiredAction)) return null;
+
+      // Target passed: play the alternate image or video in the widget's place
+      if (status === 'expired' && safeProps.expiredAction === COUNTDOWN_EXPIRY_ACTIONS.SHOW_MEDIA) {
+        const media = safeProps.expiredMedia;
+        if (!media?.url) return null;
+        const mediaStyle = { width: '100%', height: '100%', objectFit: 'cover' };
+        return media.type === 'video' ? (
+          <video src={getRenditionUrl(media.url)} style={mediaStyle} autoPlay muted loop playsInline />
+        ) : (
+          <img src={getRenditionUrl(media.url)} alt="" style={mediaStyle} />
+        );
+      }
+
+      const containerStyle = {
+        width: '100%',
+        height: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '0.25em',
+        color: textColor,
+        fontFamily: 'system-ui, sans-serif',
+        textAlign: 'center',
+      };
+      const labelStyle = { fontSize: getFontSize('date'), opacity: 0.8 };
+
+      // Target passed: swap to the expiry text
+      if (status === 'expired') {
+        return (
+          <div style={containerStyle}>
+            <div style={{ fontSize: getFontSize('clock'), fontWeight: '600' }}>
+              {safeProps.expiredText || ''}
+            </div>
+          </div>
+        );
+      }
+
+      return (
+        <div style={containerStyle}>
+          {label && <div style={labelStyle}>{label}</div>}
+          {format === COUNTDOWN_FORMATS.BLOCKS ? (
+            <div style={{ display: 'flex', gap: '0.75em', fontSize: getFontSize('clock') }}>
+              {parts.map(part => (
+                <div key={part.key} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+                  <span style={{ fontWeight: '600', fontVariantNumeric: 'tabular-nums', lineHeight: 1 }}>
+                    {part.key === 'days' ? part.value : String(part.value).padStart(2, '0')}
+                  </span>
+                  <span style={{ fontSize: '0.3em', color: accentColor, textTransform: 'uppercase', letterSpacing: '0.1em' }}>
+                    {part.label}
+                  </span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div style={{ fontSize: getFontSize('clock'), fontWeight: '600', fontVariantNumeric: 'tabular-nums' }}>
+              {formatCountdown(parts, format)}
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    case 'menu':
+      return (
+        <MenuBoard
+          rows={resolvedContent}
+          props={safeProps}
+          now={time.getTime()}
+          timeZone={timezone}
+          fontSize={getFontSize('date')}
+        />
+      );
+
     default:
       return (
         <div style={{
@@ -1994,6 +2560,8 @@ function ViewPage() {
   const [connectionStatus, setConnectionStatus] = useState('connecting'); // 'connecting', 'connected', 'reconnecting', 'offline'
   const [retryCount, setRetryCount] = useState(0);
   const [isOfflineMode, setIsOfflineMode] = useState(false);
+  // Cached schedule for switching sunrise/sunset entries offline
+  const scheduleSnapshotRef = useRef(null);
   const [kioskMode, setKioskMode] = useState(false);
   const [showKioskExit, setShowKioskExit] = useState(false);
   const [kioskPasswordInput, setKioskPasswordInput] = useState('');
@@ -2054,6 +2622,13 @@ function ViewPage() {
   // Ref to track previous scene ID for change detection
   const prevSceneIdRef = useRef(null);
 
+  // Renditions of the media in this content, for the screen size and bandwidth
+  useEffect(() => {
+    const screenId = localStorage.getItem(STORAGE_KEYS.screenId);
+    if (!content || !screenId) return;
+    loadMediaRenditions(screenId, content);
+  }, [content]);
+
   useEffect(() => {
     const screenId = localStorage.getItem(STORAGE_KEYS.screenId);
     if (!content || !screenId) return;
@@ -2230,6 +2805,8 @@ function ViewPage() {
       }
     };
 
+    // Measure the clock offset now rather than at the first content poll
+    heartbeat(screenId);
     sendBeat();
     heartbeatRef.current = setInterval(sendBeat, HEARTBEAT_INTERVAL);
 
@@ -2287,6 +2864,15 @@ function ViewPage() {
     };
   }, []);
 
+  // Play order of a playlist response for a cycle: shuffle, weighted, nested
+  // playlists and interleaving are seeded so every screen plays the same order
+  const playbackCycleRef = useRef(0);
+  const buildSequence = useCallback((data, cycle = 0) => {
+    playbackCycleRef.current = cycle;
+    const playlist = data.playlist || { shuffle: data.shuffle };
+    return buildPlaybackSequence(playlist, data.items || data.playlist?.items || [], { cycle });
+  }, []);
+
   // Handle device commands
   const handleCommand = useCallback(async (command) => {
     const { commandId, commandType } = command;
@@ -2307,7 +2893,7 @@ function ViewPage() {
               setContent(newContent);
               // New format uses 'type' instead of 'mode', and items are in playlist.items
               if (newContent.type === 'playlist') {
-                setItems(newContent.playlist?.items || []);
+                setItems(buildSequence(newContent));
                 setCurrentIndex(0);
               }
             } catch (err) {
@@ -2337,7 +2923,7 @@ function ViewPage() {
       console.error('Command execution failed:', err);
       await reportCommandResult(commandId, false, err.message);
     }
-  }, []);
+  }, [buildSequence]);
 
   // Kiosk mode keyboard handler (Escape to show exit dialog)
   useEffect(() => {
@@ -2393,16 +2979,6 @@ function ViewPage() {
     exitFullscreen().catch(console.warn);
   }, [kioskPasswordInput]);
 
-  // Shuffle array using Fisher-Yates
-  const shuffleArray = useCallback((array) => {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-  }, []);
-
   // Load content with retry support and offline fallback
   const loadContent = useCallback(async (screenId, useRetry = false) => {
     const fetchContent = async () => {
@@ -2423,15 +2999,11 @@ function ViewPage() {
       setRetryCount(0);
       lastActivityRef.current = Date.now();
 
-      // For playlist type, process items (shuffle if needed)
+      // For playlist type, build the play order
       // RPC returns 'mode' field, items are at data.items directly
       const contentMode = data.mode || data.type; // Support both field names
       if (contentMode === 'playlist') {
-        let processedItems = data.items || data.playlist?.items || [];
-        if ((data.playlist?.shuffle || data.shuffle) && processedItems.length > 1) {
-          processedItems = shuffleArray(processedItems);
-        }
-        setItems(processedItems);
+        setItems(buildSequence(data));
       } else {
         setItems([]);
       }
@@ -2454,6 +3026,14 @@ function ViewPage() {
         console.warn('Failed to cache content:', cacheErr);
       }
 
+      // Cache the schedule so sunrise/sunset entries still switch offline
+      fetchScheduleSnapshot(screenId)
+        .then((snapshot) => {
+          scheduleSnapshotRef.current = snapshot;
+          return cacheContent(`schedule-${screenId}`, snapshot);
+        })
+        .catch(snapshotErr => console.warn('Failed to cache schedule snapshot:', snapshotErr));
+
       setError('');
       return data;
     } catch (err) {
@@ -2461,9 +3041,14 @@ function ViewPage() {
 
       // Try to load from offline cache
       try {
-        const cachedData = await getCachedContent(`content-${screenId}`);
+        let cachedData = await getCachedContent(`content-${screenId}`);
         if (cachedData) {
           console.log('Using cached content (offline mode)');
+          // What the schedule plays now may differ from when it was cached
+          scheduleSnapshotRef.current = await getCachedContent(`schedule-${screenId}`);
+          if (followsScheduleSnapshot(cachedData)) {
+            cachedData = resolveSnapshotContent(scheduleSnapshotRef.current, serverDate()) || cachedData;
+          }
           setContent(cachedData);
           setConnectionStatus('offline');
           setIsOfflineMode(true);
@@ -2472,11 +3057,7 @@ function ViewPage() {
           // RPC returns 'mode' field, items are at data.items directly
           const cachedMode = cachedData.mode || cachedData.type;
           if (cachedMode === 'playlist') {
-            let processedItems = cachedData.items || cachedData.playlist?.items || [];
-            if ((cachedData.playlist?.shuffle || cachedData.shuffle) && processedItems.length > 1) {
-              processedItems = shuffleArray(processedItems);
-            }
-            setItems(processedItems);
+            setItems(buildSequence(cachedData));
           } else {
             setItems([]);
           }
@@ -2491,13 +3072,31 @@ function ViewPage() {
       setConnectionStatus('offline');
       throw err;
     }
-  }, [shuffleArray]);
+  }, [buildSequence]);
 
   // Store loadContent in ref for use in heartbeat effect
   useEffect(() => {
     loadContentRef.current = loadContent;
   }, [loadContent]);
 
+  // Offline, follow the cached schedule's sunrise/sunset entries: the server
+  // can't switch between day and night content until the player reconnects
+  useEffect(() => {
+    if (!isOfflineMode || !followsScheduleSnapshot(content)) return;
+
+    const interval = setInterval(() => {
+      const scheduled = resolveSnapshotContent(scheduleSnapshotRef.current, serverDate());
+      if (!scheduled || isSameContent(content, scheduled)) return;
+
+      setContent(scheduled);
+      const scheduledMode = scheduled.mode || scheduled.type;
+      setItems(scheduledMode === 'playlist' ? buildSequence(scheduled) : []);
+      setCurrentIndex(0);
+    }, 60 * 1000);
+
+    return () => clearInterval(interval);
+  }, [isOfflineMode, content, buildSequence]);
+
   // Initial load
   useEffect(() => {
     const screenId = localStorage.getItem(STORAGE_KEYS.screenId);
@@ -2555,11 +3154,7 @@ function ViewPage() {
 
           // RPC returns 'mode' field, items at data.items directly
           if (contentMode === 'playlist') {
-            let processedItems = newContent.items || newContent.playlist?.items || [];
-            if ((newContent.shuffle || newContent.playlist?.shuffle) && processedItems.length > 1) {
-              processedItems = shuffleArray(processedItems);
-            }
-            setItems(processedItems);
+            setItems(buildSequence(newContent));
             setCurrentIndex(0);
           } else {
             setItems([]);
@@ -2569,7 +3164,7 @@ function ViewPage() {
         }
 
         // Also send heartbeat
-        await sendHeartbeat(screenId);
+        await heartbeat(screenId);
       } catch (err) {
         consecutiveErrors++;
         console.error(`Polling error (${consecutiveErrors}/${MAX_CONSECUTIVE_ERRORS}):`, err);
@@ -2593,28 +3188,53 @@ function ViewPage() {
         clearInterval(pollRef.current);
       }
     };
-  }, [shuffleArray, loadContent]);
+  }, [buildSequence, loadContent]);
+
+  // Items outside their validity window never play. Data triggers and weather
+  // conditions can then hide items or play them first; the item on screen is
+  // the current position moved off hidden items
+  const liveItems = useValidItems(items);
+  const wall = useVideoWall(localStorage.getItem(STORAGE_KEYS.screenId), content);
+  const weatherLocation = content?.device?.weather;
+  const weather = useScreenWeather(weatherLocation, {
+    enabled: Boolean(weatherLocation?.usedBySchedule) || liveItems.some(item => getWeatherConditions(item).length > 0),
+    screenId: content?.device?.id,
+  });
+  const dataSources = useContentTriggerSources(liveItems);
+  const triggerSources = useMemo(() => withWeatherSource(dataSources, weather), [dataSources, weather]);
+  const triggerSourcesRef = useRef(triggerSources);
+  useEffect(() => {
+    triggerSourcesRef.current = triggerSources;
+  }, [triggerSources]);
+  const activeIndex = resolvePlayableIndex(liveItems, currentIndex, triggerSources, getPlaylistItemRules);
 
   // Advance to next item
   const advanceToNext = useCallback(() => {
     // End current playback tracking before advancing
     analytics.endPlaybackEvent();
     setCurrentIndex((prev) => {
-      const next = (prev + 1) % items.length;
-      // Re-shuffle when we complete a cycle
-      if (next === 0 && content?.playlist?.shuffle) {
-        setItems(shuffleArray(items));
+      const sources = triggerSourcesRef.current;
+      const next = getNextPlayableIndex(liveItems, prev, sources, getPlaylistItemRules);
+      // Build the next cycle's order when we complete a cycle
+      if (
+        next >= 0
+        && liveItems[next] === getPlayableItems(liveItems, sources, getPlaylistItemRules)[0]
+        && content?.playlist
+        && isPlaybackDynamic(content.playlist, content.items)
+      ) {
+        setItems(buildSequence(content, playbackCycleRef.current + 1));
+        return 0;
       }
       return next;
     });
-  }, [items, content?.playlist?.shuffle, shuffleArray]);
+  }, [liveItems, content, buildSequence]);
 
   // Track playback analytics for playlist mode
   useEffect(() => {
     // RPC returns 'mode' field (playlist or layout)
     const mode = content?.mode || content?.type;
-    if (mode !== 'playlist' || items.length === 0) return;
-    const currentItem = items[currentIndex];
+    if (mode !== 'playlist' || liveItems.length === 0) return;
+    const currentItem = liveItems[activeIndex];
     if (!currentItem) return;
 
     const screenId = localStorage.getItem(STORAGE_KEYS.screenId);
@@ -2625,7 +3245,7 @@ function ViewPage() {
       screenId,
       tenantId: content.screen?.tenant_id,
       locationId: content.screen?.location_id || null,
-      playlistId: content.playlist?.id || null,
+      playlistId: currentItem.sourcePlaylistId || content.playlist?.id || null,
       layoutId: null,
       zoneId: null,
       mediaId: currentItem.mediaType !== 'app' ? currentItem.id : null,
@@ -2639,13 +3259,13 @@ function ViewPage() {
     return () => {
       // Note: advanceToNext handles ending, but this catches unmount
     };
-  }, [currentIndex, items, content?.type, content?.playlist?.id, content?.campaign?.id, content?.screen?.tenant_id, content?.screen?.location_id]);
+  }, [activeIndex, liveItems, content?.type, content?.playlist?.id, content?.campaign?.id, content?.screen?.tenant_id, content?.screen?.location_id]);
 
   // Timer for image/document duration
   useEffect(() => {
-    if (items.length === 0) return;
+    if (liveItems.length === 0) return;
 
-    const currentItem = items[currentIndex];
+    const currentItem = liveItems[activeIndex];
     if (!currentItem) return;
 
     // Clear existing timer
@@ -2667,7 +3287,7 @@ function ViewPage() {
         clearTimeout(timerRef.current);
       }
     };
-  }, [currentIndex, items, content?.playlist?.defaultDuration, advanceToNext]);
+  }, [activeIndex, liveItems, content?.playlist?.defaultDuration, advanceToNext]);
 
   // Handle video end
   const handleVideoEnd = useCallback(() => {
@@ -2685,9 +3305,10 @@ function ViewPage() {
   // Check if we have any content to display
   // RPC returns 'mode' field (playlist or layout)
   const contentMode = content?.mode || content?.type;
+  // A playlist whose items are all hidden by triggers has nothing to play
   const hasContent = contentMode === 'layout'
     ? (content.layout && content.layout.zones?.length > 0)
-    : (items.length > 0);
+    : (liveItems.length > 0 && activeIndex >= 0);
 
   // Loading state
   if (loading) {
@@ -2774,6 +3395,16 @@ function ViewPage() {
     );
   }
 
+  // Screen turned off by a holiday/exception calendar
+  if (contentMode === 'screen_off') {
+    return (
+      <div
+        style={{ position: 'fixed', inset: 0, backgroundColor: '#000' }}
+        aria-label={content.exception?.name ? `Screen off: ${content.exception.name}` : 'Screen off'}
+      />
+    );
+  }
+
   // No content assigned
   if (!hasContent) {
     return (
@@ -2808,10 +3439,12 @@ function ViewPage() {
             {content?.screen?.name || 'Screen'} Connected
           </h2>
           <p style={{ color: '#64748b', marginBottom: '0.5rem' }}>
-            No content assigned yet
+            {liveItems.length > 0 ? 'Nothing to show right now' : 'No content assigned yet'}
           </p>
           <p style={{ color: '#475569', fontSize: '0.875rem' }}>
-            Assign a playlist, layout, or schedule from your BizScreen dashboard
+            {liveItems.length > 0
+              ? 'Content rules hide every item in this playlist at the moment'
+              : 'Assign a playlist, layout, or schedule from your BizScreen dashboard'}
           </p>
           <button
             onClick={handleDisconnect}
@@ -2846,11 +3479,15 @@ function ViewPage() {
           overflow: 'hidden'
         }}
       >
-        <SceneRenderer
-          scene={content.scene}
-          screenId={localStorage.getItem(STORAGE_KEYS.screenId)}
-          tenantId={content.screen?.tenant_id}
-        />
+        <WallCanvas wall={wall}>
+          <SceneRenderer
+            scene={content.scene}
+            screenId={localStorage.getItem(STORAGE_KEYS.screenId)}
+            tenantId={content.screen?.tenant_id}
+            wallSync={wall}
+            timezone={content.screen?.timezone}
+          />
+        </WallCanvas>
 
         {/* Connection status indicator */}
         {connectionStatus !== 'connected' && (
@@ -2974,13 +3611,16 @@ function ViewPage() {
           overflow: 'hidden'
         }}
       >
-        <LayoutRenderer
-          layout={content.layout}
-          timezone={content.screen?.timezone}
-          screenId={localStorage.getItem(STORAGE_KEYS.screenId)}
-          tenantId={content.screen?.tenant_id}
-          campaignId={content.campaign?.id}
-        />
+        <WallCanvas wall={wall}>
+          <LayoutRenderer
+            layout={content.layout}
+            timezone={content.screen?.timezone}
+            screenId={localStorage.getItem(STORAGE_KEYS.screenId)}
+            tenantId={content.screen?.tenant_id}
+            campaignId={content.campaign?.id}
+            wallSync={wall}
+          />
+        </WallCanvas>
 
         {/* Connection status indicator */}
         {connectionStatus !== 'connected' && (
@@ -3090,7 +3730,7 @@ function ViewPage() {
   }
 
   // Current item to display
-  const currentItem = items[currentIndex];
+  const currentItem = liveItems[activeIndex];
 
   return (
     <div
@@ -3107,7 +3747,8 @@ function ViewPage() {
         <video
           ref={videoRef}
           key={currentItem.id}
-          src={currentItem.url}
+          src={getRenditionUrl(currentItem.url)}
+          poster={getPosterUrl(currentItem.url) || undefined}
           autoPlay
           muted
           playsInline
@@ -3122,7 +3763,7 @@ function ViewPage() {
       ) : currentItem.mediaType === 'image' ? (
         <img
           key={currentItem.id}
-          src={currentItem.url}
+          src={getRenditionUrl(currentItem.url)}
           alt={currentItem.name}
           onError={() => advanceToNext()}
           style={{
@@ -3210,7 +3851,7 @@ function ViewPage() {
       )}
 
       {/* Progress indicator (small dots at bottom) */}
-      {items.length > 1 && (
+      {liveItems.length > 1 && (
         <div style={{
           position: 'absolute',
           bottom: '1rem',
@@ -3220,21 +3861,21 @@ function ViewPage() {
           gap: '0.5rem',
           opacity: 0.6
         }}>
-          {items.slice(0, Math.min(items.length, 10)).map((_, idx) => (
+          {liveItems.slice(0, Math.min(liveItems.length, 10)).map((_, idx) => (
             <div
               key={idx}
               style={{
-                width: idx === currentIndex ? '1.5rem' : '0.5rem',
+                width: idx === activeIndex ? '1.5rem' : '0.5rem',
                 height: '0.5rem',
                 borderRadius: '0.25rem',
-                backgroundColor: idx === currentIndex ? '#3b82f6' : '#fff',
+                backgroundColor: idx === activeIndex ? '#3b82f6' : '#fff',
                 transition: 'all 0.3s ease'
               }}
             />
           ))}
-          {items.length > 10 && (
+          {liveItems.length > 10 && (
             <span style={{ color: '#fff', fontSize: '0.75rem', marginLeft: '0.25rem' }}>
-              +{items.length - 10}
+              +{liveItems.length - 10}
             </span>
           )}
         </div>
@@ -0,0 +1,112 @@
+/**
+ * MenuBoard Component
+ *
+ * Renders a published menu (the row values of a menu data source) for the
+ * scene menu widget. Used by Player.jsx and the scene editor previews.
+ * Sold-out items never reach it; daypart filtering happens here so the board
+ * switches from breakfast to lunch without a republish.
+ */
+
+import { filterMenuRows, groupMenuRows, formatMenuPrice, MENU_DAYPART_MODES } from '../services/menuService';
+
+export default function MenuBoard({ rows, props, now, timeZone, fontSize = 'clamp(0.75rem, 1.8vw, 1.5rem)' }) {
+  const safeProps = props || {};
+  const textColor = safeProps.textColor || '#ffffff';
+  const accentColor = safeProps.accentColor || '#3b82f6';
+  const columns = Math.max(1, Math.min(4, Number(safeProps.menuColumns) || 1));
+
+  const groups = groupMenuRows(
+    filterMenuRows(Array.isArray(rows) ? rows : [], {
+      category: safeProps.menuCategory || undefined,
+      daypart: safeProps.menuDaypart || MENU_DAYPART_MODES.AUTO,
+      now,
+      timeZone,
+    })
+  );
+
+  if (groups.length === 0) {
+    return (
+      <div style={{
+        width: '100%',
+        height: '100%',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        color: textColor,
+        opacity: 0.6,
+        fontFamily: 'system-ui, sans-serif',
+        fontSize,
+      }}>
+        {safeProps.menuId ? safeProps.emptyText || '' : 'Select a menu'}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{
+      width: '100%',
+      height: '100%',
+      overflow: 'hidden',
+      color: textColor,
+      fontFamily: 'system-ui, sans-serif',
+      fontSize,
+      lineHeight: 1.25,
+    }}>
+      {safeProps.label && (
+        <div style={{ fontSize: '1.6em', fontWeight: '700', marginBottom: '0.5em', color: accentColor }}>
+          {safeProps.label}
+        </div>
+      )}
+      <div style={{ columnCount: columns, columnGap: '2em' }}>
+        {groups.map(group => (
+          <div key={group.category} style={{ breakInside: 'avoid', marginBottom: '1em' }}>
+            {!safeProps.menuCategory && (
+              <div style={{
+                fontSize: '1.15em',
+                fontWeight: '700',
+                textTransform: 'uppercase',
+                letterSpacing: '0.08em',
+                color: accentColor,
+                borderBottom: `1px solid ${accentColor}`,
+                paddingBottom: '0.2em',
+                marginBottom: '0.4em',
+              }}>
+                {group.category}
+              </div>
+            )}
+            {group.items.map((item, index) => (
+              <div key={`${item.name}-${index}`} style={{ breakInside: 'avoid', marginBottom: '0.5em' }}>
+                <div style={{ display: 'flex', alignItems: 'baseline', gap: '0.5em' }}>
+                  <span style={{ fontWeight: '600' }}>{item.name}</span>
+                  {item.dietary && (
+                    <span style={{ fontSize: '0.65em', color: accentColor, fontWeight: '600' }}>{item.dietary}</span>
+                  )}
+                  <span style={{ flex: 1, borderBottom: '1px dotted currentColor', opacity: 0.3 }} />
+                  {safeProps.showPrices !== false && (
+                    <span style={{ fontWeight: '600', fontVariantNumeric: 'tabular-nums' }}>
+                      {formatMenuPrice(item.price, safeProps.currencySymbol || '$')}
+                    </span>
+                  )}
+                </div>
+                {safeProps.showDescriptions !== false && item.description && (
+                  <div style={{ fontSize: '0.8em', opacity: 0.75 }}>{item.description}</div>
+                )}
+                {safeProps.showModifiers && item.modifiers && (
+                  <div style={{ fontSize: '0.7em', opacity: 0.65 }}>{item.modifiers}</div>
+                )}
+                {((safeProps.showCalories && item.calories) || (safeProps.showAllergens && item.allergens)) && (
+                  <div style={{ fontSize: '0.7em', opacity: 0.65 }}>
+                    {[
+                      safeProps.showCalories && item.calories ? `${item.calories} cal` : null,
+                      safeProps.showAllergens && item.allergens ? `Contains: ${item.allergens}` : null,
+                    ].filter(Boolean).join(' · ')}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
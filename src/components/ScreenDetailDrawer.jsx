@@ -20,7 +20,9 @@ import {
   ArrowRight,
   MapPin,
   Users,
-  Image
+  Image,
+  CalendarRange,
+  Timer
 } from 'lucide-react';
 import Button from './Button';
 import Badge from './Badge';
@@ -30,17 +32,23 @@ import {
   getOnlineStatusInfo,
   formatLastSeen,
   formatUptime,
+  getClockSyncInfo,
   getUptimeColor,
   getPreviewInfo
 } from '../services/screenDiagnosticsService';
+import { simulateScreenTimeline } from '../services/scheduleSimulationService';
+import { ScreenTimelineGantt } from './screens/ScreenTimelineGantt';
 
 const ScreenDetailDrawer = ({ screen, onClose, showToast }) => {
   const [diagnostics, setDiagnostics] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [timeline, setTimeline] = useState(null);
+  const [timelineLoading, setTimelineLoading] = useState(false);
 
   useEffect(() => {
     if (screen?.id) {
+      setTimeline(null);
       loadDiagnostics();
     }
   }, [screen?.id]);
@@ -60,6 +68,19 @@ const ScreenDetailDrawer = ({ screen, onClose, showToast }) => {
     }
   };
 
+  const loadTimeline = async () => {
+    try {
+      setTimelineLoading(true);
+      const data = await simulateScreenTimeline(screen.id, { days: 7 });
+      setTimeline(data);
+    } catch (err) {
+      console.error('Error simulating timeline:', err);
+      showToast?.('Error simulating schedule: ' + err.message, 'error');
+    } finally {
+      setTimelineLoading(false);
+    }
+  };
+
   if (!screen) return null;
 
   const screenInfo = diagnostics?.screen || {};
@@ -68,6 +89,7 @@ const ScreenDetailDrawer = ({ screen, onClose, showToast }) => {
   const recentPlayback = diagnostics?.recent_playback || {};
 
   const statusInfo = getOnlineStatusInfo(screenInfo);
+  const clockInfo = getClockSyncInfo(screenInfo);
   const pathInfo = getResolutionPathInfo(contentSource.resolution_path);
   const previewInfo = getPreviewInfo(resolvedContent);
 
@@ -200,6 +222,19 @@ const ScreenDetailDrawer = ({ screen, onClose, showToast }) => {
                       {screenInfo.timezone || 'UTC'}
                     </p>
                   </div>
+                  {/* Clock Sync */}
+                  <div className="bg-gray-50 rounded-lg p-3 col-span-2">
+                    <div className="flex items-center gap-2 text-gray-500 text-xs mb-1">
+                      <Timer size={12} />
+                      Clock Sync
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <span className={`px-2 py-0.5 rounded text-xs font-medium ${clockInfo.bgColor} ${clockInfo.color}`}>
+                        {clockInfo.label}
+                      </span>
+                      <p className="text-sm text-gray-700 truncate">{clockInfo.detail}</p>
+                    </div>
+                  </div>
                 </div>
               </div>
 
@@ -411,7 +446,37 @@ const ScreenDetailDrawer = ({ screen, onClose, showToast }) => {
                 )}
               </div>
 
-              {/* Section 4: Analytics Snippet */}
+              {/* Section 4: Week Timeline */}
+              <div className="p-4 space-y-3">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide">
+                    Next 7 Days
+                  </h3>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={loadTimeline}
+                    disabled={timelineLoading}
+                  >
+                    {timelineLoading ? (
+                      <Loader2 size={14} className="animate-spin" />
+                    ) : (
+                      <CalendarRange size={14} />
+                    )}
+                    {timeline ? 'Re-run' : 'Simulate'}
+                  </Button>
+                </div>
+
+                {timeline ? (
+                  <ScreenTimelineGantt timeline={timeline} />
+                ) : (
+                  <p className="text-sm text-gray-500">
+                    See what this screen will play each minute of the coming week, and why.
+                  </p>
+                )}
+              </div>
+
+              {/* Section 5: Analytics Snippet */}
               <div className="p-4 space-y-3">
                 <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide">
                   Recent Activity (24h)
@@ -0,0 +1,105 @@
+/**
+ * WeatherConditionsFields
+ *
+ * Editable list of weather conditions (rain, snow, temperature above/below...)
+ * for a playlist item or schedule entry. All conditions must hold.
+ */
+
+import { CloudSun, Plus, X } from 'lucide-react';
+import {
+  WEATHER_CONDITION_TYPES,
+  WEATHER_CONDITION_OPTIONS,
+  TEMPERATURE_UNITS,
+  isTemperatureCondition,
+} from '../services/weatherConditionService';
+
+const inputClass = 'px-2 py-1.5 border border-gray-300 rounded-lg text-sm bg-white';
+
+/**
+ * @param {Object} props
+ * @param {Array<Object>} props.conditions - [{ type, value?, units? }]
+ * @param {Function} props.onChange - (conditions) => void
+ */
+export function WeatherConditionsFields({ conditions = [], onChange }) {
+  const updateCondition = (index, changes) => {
+    onChange(conditions.map((condition, i) => (i === index ? { ...condition, ...changes } : condition)));
+  };
+
+  const changeType = (index, type) => {
+    updateCondition(index, isTemperatureCondition(type)
+      ? { type, value: conditions[index].value ?? '', units: conditions[index].units || TEMPERATURE_UNITS.CELSIUS }
+      : { type, value: undefined, units: undefined });
+  };
+
+  const addCondition = () => {
+    onChange([...conditions, { type: WEATHER_CONDITION_TYPES.RAIN }]);
+  };
+
+  const removeCondition = (index) => {
+    onChange(conditions.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-2">
+      {conditions.length === 0 && (
+        <p className="text-xs text-gray-500">Plays in any weather.</p>
+      )}
+
+      {conditions.map((condition, index) => (
+        <div key={index} className="flex items-center gap-2">
+          {index > 0 && <span className="text-xs text-gray-500">and</span>}
+          <select
+            value={condition.type}
+            onChange={(e) => changeType(index, e.target.value)}
+            className={inputClass}
+          >
+            {WEATHER_CONDITION_OPTIONS.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+
+          {isTemperatureCondition(condition.type) && (
+            <>
+              <input
+                type="number"
+                value={condition.value ?? ''}
+                onChange={(e) => updateCondition(index, { value: e.target.value })}
+                className={`${inputClass} w-20`}
+                aria-label="Temperature"
+              />
+              <select
+                value={condition.units || TEMPERATURE_UNITS.CELSIUS}
+                onChange={(e) => updateCondition(index, { units: e.target.value })}
+                className={inputClass}
+                aria-label="Temperature units"
+              >
+                <option value={TEMPERATURE_UNITS.CELSIUS}>°C</option>
+                <option value={TEMPERATURE_UNITS.FAHRENHEIT}>°F</option>
+              </select>
+            </>
+          )}
+
+          <button
+            type="button"
+            onClick={() => removeCondition(index)}
+            className="p-1 text-gray-400 hover:text-red-600 rounded"
+            title="Remove condition"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addCondition}
+        className="text-sm text-blue-600 hover:text-blue-700 flex items-center gap-1"
+      >
+        {conditions.length === 0 ? <CloudSun size={14} /> : <Plus size={14} />}
+        Add weather condition
+      </button>
+    </div>
+  );
+}
+
+export default WeatherConditionsFields;
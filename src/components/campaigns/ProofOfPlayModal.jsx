@@ -0,0 +1,197 @@
+/**
+ * ProofOfPlayModal
+ *
+ * Generate a proof-of-play report for a campaign (or every campaign of its
+ * advertiser), optionally for a single screen, and export it as CSV or PDF.
+ */
+
+import { useState } from 'react';
+import { FileCheck, FileText, Download, Loader2, ShieldCheck } from 'lucide-react';
+import {
+  Modal,
+  ModalHeader,
+  ModalTitle,
+  ModalDescription,
+  ModalContent,
+  ModalFooter,
+  Button,
+  Alert,
+} from '../../design-system';
+import { buildProofOfPlayReport } from '../../services/proofOfPlayService';
+import { downloadProofOfPlayCSV, downloadProofOfPlayPDF } from '../../services/exportService';
+import { formatDuration } from '../../services/analyticsService';
+
+const dateString = (date) => date.toISOString().split('T')[0];
+
+const defaultRange = () => {
+  const to = new Date();
+  const from = new Date(to.getTime() - 6 * 24 * 60 * 60 * 1000);
+  return { from: dateString(from), to: dateString(to) };
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Object} props.campaign - { id, name, advertiser }
+ * @param {Array} props.screens - Screens for the screen filter ({ id, name })
+ * @param {Function} [props.showToast]
+ */
+export function ProofOfPlayModal({ isOpen, onClose, campaign, screens = [], showToast }) {
+  const [range, setRange] = useState(defaultRange);
+  const [screenId, setScreenId] = useState('');
+  const [byAdvertiser, setByAdvertiser] = useState(false);
+  const [report, setReport] = useState(null);
+  const [generating, setGenerating] = useState(false);
+
+  // Any filter change invalidates the generated report
+  const updateRange = (field, value) => {
+    setRange(prev => ({ ...prev, [field]: value }));
+    setReport(null);
+  };
+
+  const handleGenerate = async () => {
+    setGenerating(true);
+    try {
+      // Whole days, inclusive of the end date (UTC)
+      const to = new Date(`${range.to}T00:00:00Z`);
+      to.setUTCDate(to.getUTCDate() + 1);
+
+      const result = await buildProofOfPlayReport({
+        from: `${range.from}T00:00:00Z`,
+        to,
+        campaignId: byAdvertiser ? null : campaign.id,
+        advertiser: byAdvertiser ? campaign.advertiser : null,
+        screenId: screenId || null,
+        tenantId: campaign.tenant_id || null,
+      });
+      setReport(result);
+    } catch (error) {
+      console.error('Failed to build proof-of-play report:', error);
+      showToast?.('Error building report: ' + error.message, 'error');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const filenameBase = () => {
+    const subject = (byAdvertiser ? campaign.advertiser : campaign.name) || 'campaign';
+    const slug = subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `proof-of-play-${slug}-${range.from}-to-${range.to}`;
+  };
+
+  return (
+    <Modal open={isOpen} onClose={onClose} size="md">
+      <ModalHeader>
+        <ModalTitle className="flex items-center gap-2">
+          <FileCheck size={20} className="text-blue-600" />
+          Proof of Play
+        </ModalTitle>
+        <ModalDescription>
+          Every play of {byAdvertiser ? `${campaign.advertiser}'s campaigns` : `"${campaign.name}"`} with
+          timestamp, duration and screen.
+        </ModalDescription>
+      </ModalHeader>
+
+      <ModalContent>
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+              <input
+                type="date"
+                value={range.from}
+                max={range.to}
+                onChange={(e) => updateRange('from', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+              <input
+                type="date"
+                value={range.to}
+                min={range.from}
+                onChange={(e) => updateRange('to', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 -mt-2">Dates are in UTC and include the end date.</p>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Screen</label>
+            <select
+              value={screenId}
+              onChange={(e) => { setScreenId(e.target.value); setReport(null); }}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+            >
+              <option value="">All screens</option>
+              {screens.map(screen => (
+                <option key={screen.id} value={screen.id}>{screen.name}</option>
+              ))}
+            </select>
+          </div>
+
+          {campaign.advertiser && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={byAdvertiser}
+                onChange={(e) => { setByAdvertiser(e.target.checked); setReport(null); }}
+                className="rounded border-gray-300"
+              />
+              Include all campaigns for {campaign.advertiser}
+            </label>
+          )}
+
+          {report && (
+            <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 space-y-2">
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-gray-700">
+                  {report.totals.plays.toLocaleString()} plays on {report.totals.screens} screen(s)
+                </span>
+                <span className="text-gray-500">{formatDuration(report.totals.duration_seconds)}</span>
+              </div>
+              <div className="flex items-start gap-2 text-xs text-gray-500">
+                <ShieldCheck size={14} className="mt-0.5 flex-shrink-0 text-green-600" />
+                <span className="break-all font-mono">
+                  Report {report.id} · {report.hash_algorithm}: {report.hash}
+                </span>
+              </div>
+            </div>
+          )}
+
+          {report?.truncated && (
+            <Alert variant="warning">
+              This report hit the row limit. Narrow the date range or pick a screen for a complete list.
+            </Alert>
+          )}
+        </div>
+      </ModalContent>
+
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>Close</Button>
+        {report ? (
+          <>
+            <Button variant="secondary" onClick={() => downloadProofOfPlayCSV(report, `${filenameBase()}.csv`)}>
+              <Download size={16} />
+              CSV
+            </Button>
+            <Button onClick={() => downloadProofOfPlayPDF(report, `${filenameBase()}.pdf`)}>
+              <FileText size={16} />
+              PDF
+            </Button>
+          </>
+        ) : (
+          <Button onClick={handleGenerate} disabled={generating || !range.from || !range.to}>
+            {generating ? <Loader2 size={16} className="animate-spin" /> : <FileCheck size={16} />}
+            Generate Report
+          </Button>
+        )}
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+export default ProofOfPlayModal;
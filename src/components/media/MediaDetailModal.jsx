@@ -6,7 +6,8 @@
  * - Large preview (image/video)
  * - Clean form layout with organized sections
  * - Edit in Pixie (for images)
- * - Replace file
+ * - Upload new versions of the file and roll back to earlier ones
+ * - Validity window and archiving
  * - Delete confirmation
  *
  * @module components/media/MediaDetailModal
@@ -17,7 +18,6 @@ import {
   X,
   Edit,
   Trash2,
-  RefreshCw,
   Copy,
   Check,
   ExternalLink,
@@ -37,10 +37,24 @@ import {
   Calendar,
   HardDrive,
   Maximize2,
+  Archive,
+  ArchiveRestore,
+  History,
+  Upload,
+  RotateCcw,
+  Layers,
+  RefreshCw,
 } from 'lucide-react';
 import { Button } from '../../design-system';
 import { Modal, ModalContent } from '../../design-system';
 import { Badge } from '../../design-system';
+import {
+  hasValidityWindow,
+  normalizeValidityWindow,
+  toDateTimeLocalValue,
+  describeValidityWindow,
+} from '../../services/contentValidityService';
+import { getMediaVersions, getMediaVariants, reprocessMedia } from '../../services/mediaService';
 
 const MEDIA_TYPE_ICONS = {
   image: Image,
@@ -133,7 +147,11 @@ export default function MediaDetailModal({
   onUpdate,
   onDelete,
   onReplace,
+  onRollback,
+  isReplacing = false,
   onEditInPixie,
+  onArchive,
+  onRestore,
   isGlobal = false,
   showToast,
 }) {
@@ -141,11 +159,26 @@ export default function MediaDetailModal({
   const [editDescription, setEditDescription] = useState('');
   const [editTags, setEditTags] = useState([]);
   const [editDuration, setEditDuration] = useState(10);
+  const [editValidFrom, setEditValidFrom] = useState('');
+  const [editValidUntil, setEditValidUntil] = useState('');
+  const [editArchiveOnExpiry, setEditArchiveOnExpiry] = useState(false);
   const [newTag, setNewTag] = useState('');
   const [isSaving, setIsSaving] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [urlCopied, setUrlCopied] = useState(false);
+  const [isArchiving, setIsArchiving] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [restoringVersion, setRestoringVersion] = useState(null);
+  const [variants, setVariants] = useState([]);
+  const [processingStatus, setProcessingStatus] = useState(null);
+  const [isReprocessing, setIsReprocessing] = useState(false);
+
+  const assetId = asset?.id;
+  const currentVersion = asset?.current_version || 1;
+  const hasVersions = Boolean(onReplace) && !isGlobal;
+  // Only images and videos get thumbnails and renditions (migration 197)
+  const hasRenditions = !isGlobal && ['image', 'video'].includes(asset?.type);
 
   // Initialize form when asset changes
   useEffect(() => {
@@ -154,15 +187,66 @@ export default function MediaDetailModal({
       setEditDescription(asset.description || '');
       setEditTags(asset.tags || []);
       setEditDuration(asset.duration || 10);
+      setEditValidFrom(toDateTimeLocalValue(asset.valid_from));
+      setEditValidUntil(toDateTimeLocalValue(asset.valid_until));
+      setEditArchiveOnExpiry(Boolean(asset.archive_on_expiry));
     }
   }, [asset]);
 
+  // Load version history; reloads when a version is uploaded or restored
+  useEffect(() => {
+    if (!open || !assetId || !hasVersions) return;
+
+    let cancelled = false;
+    getMediaVersions(assetId)
+      .then((data) => {
+        if (!cancelled) setVersions(data);
+      })
+      .catch(() => {
+        if (!cancelled) setVersions([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, assetId, currentVersion, hasVersions]);
+
+  // Load renditions; reloads when processing finishes or a new version is uploaded
+  useEffect(() => {
+    setProcessingStatus(asset?.processing_status || null);
+    if (!open || !assetId || !hasRenditions) return;
+
+    let cancelled = false;
+    getMediaVariants(assetId)
+      .then((data) => {
+        if (!cancelled) setVariants(data.map((variant) => ({ ...variant, media_id: assetId })));
+      })
+      .catch(() => {
+        if (!cancelled) setVariants([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, assetId, currentVersion, asset?.processing_status, hasRenditions]);
+
   if (!asset) return null;
 
+  // Versions of the previous asset may still be loaded
+  const assetVersions = versions.filter((version) => version.media_id === asset.id);
+  const assetVariants = variants.filter((variant) => variant.media_id === asset.id);
   const TypeIcon = MEDIA_TYPE_ICONS[asset.type] || Image;
 
   // Save changes
   const handleSave = async () => {
+    let validity;
+    try {
+      validity = normalizeValidityWindow({ validFrom: editValidFrom, validUntil: editValidUntil });
+    } catch (err) {
+      showToast?.(err.message, 'error');
+      return;
+    }
+
     setIsSaving(true);
     try {
       await onUpdate?.(asset.id, {
@@ -170,6 +254,8 @@ export default function MediaDetailModal({
         description: editDescription,
         tags: editTags,
         duration: editDuration,
+        ...validity,
+        archive_on_expiry: editArchiveOnExpiry,
       });
       showToast?.('Media updated successfully', 'success');
       onClose();
@@ -200,6 +286,51 @@ export default function MediaDetailModal({
     setTimeout(() => setUrlCopied(false), 2000);
   };
 
+  // Archive or restore
+  const handleToggleArchive = async () => {
+    setIsArchiving(true);
+    try {
+      if (asset.archived_at) {
+        await onRestore?.(asset.id);
+        showToast?.('Media restored', 'success');
+      } else {
+        await onArchive?.(asset.id);
+        showToast?.('Media archived', 'success');
+      }
+      onClose();
+    } catch (err) {
+      showToast?.(`Failed to ${asset.archived_at ? 'restore' : 'archive'} media`, 'error');
+    } finally {
+      setIsArchiving(false);
+    }
+  };
+
+  // Make an earlier version current again
+  const handleRollback = async (versionNumber) => {
+    setRestoringVersion(versionNumber);
+    try {
+      await onRollback?.(asset, versionNumber);
+    } catch (err) {
+      showToast?.(`Failed to restore version ${versionNumber}: ${err.message}`, 'error');
+    } finally {
+      setRestoringVersion(null);
+    }
+  };
+
+  // Queue the thumbnail, poster and renditions to be made again
+  const handleReprocess = async () => {
+    setIsReprocessing(true);
+    try {
+      await reprocessMedia(asset.id);
+      setProcessingStatus('pending');
+      showToast?.('Processing queued', 'success');
+    } catch (err) {
+      showToast?.(`Failed to queue processing: ${err.message}`, 'error');
+    } finally {
+      setIsReprocessing(false);
+    }
+  };
+
   // Delete confirmation
   const handleDelete = async () => {
     setIsDeleting(true);
@@ -265,6 +396,9 @@ export default function MediaDetailModal({
           {isGlobal && (
             <Badge variant="info" size="sm" className="ml-2">GLOBAL</Badge>
           )}
+          {asset.archived_at && (
+            <Badge variant="warning" size="sm" className="ml-2">ARCHIVED</Badge>
+          )}
         </div>
         <button
           onClick={onClose}
@@ -450,6 +584,56 @@ export default function MediaDetailModal({
               </div>
             </CollapsibleSection>
 
+            {/* AVAILABILITY Section */}
+            <CollapsibleSection
+              title="Availability"
+              icon={Calendar}
+              defaultOpen={hasValidityWindow(asset) || Boolean(asset.archived_at)}
+            >
+              <div className="space-y-4">
+                {asset.archived_at && (
+                  <p className="text-sm text-amber-700 bg-amber-50 rounded-lg px-3 py-2">
+                    Archived {formatDate(asset.archived_at)}. Archived media is hidden from the library and never plays.
+                  </p>
+                )}
+
+                <div className="grid grid-cols-2 gap-3">
+                  <FormInput label="Starts">
+                    <input
+                      type="datetime-local"
+                      value={editValidFrom}
+                      onChange={(e) => setEditValidFrom(e.target.value)}
+                      disabled={isGlobal}
+                      className="w-full px-3 py-2.5 bg-gray-50 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-[#f26f21] focus:border-[#f26f21] focus:bg-white disabled:bg-gray-100 disabled:text-gray-500 transition-all"
+                    />
+                  </FormInput>
+                  <FormInput label="Expires">
+                    <input
+                      type="datetime-local"
+                      value={editValidUntil}
+                      onChange={(e) => setEditValidUntil(e.target.value)}
+                      disabled={isGlobal}
+                      className="w-full px-3 py-2.5 bg-gray-50 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-[#f26f21] focus:border-[#f26f21] focus:bg-white disabled:bg-gray-100 disabled:text-gray-500 transition-all"
+                    />
+                  </FormInput>
+                </div>
+                <p className="text-xs text-gray-500">
+                  {describeValidityWindow(asset) || 'Plays on every playlist, schedule and campaign using it until removed.'}
+                </p>
+
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={editArchiveOnExpiry}
+                    onChange={(e) => setEditArchiveOnExpiry(e.target.checked)}
+                    disabled={isGlobal || !editValidUntil}
+                    className="rounded border-gray-300 text-[#f26f21] focus:ring-[#f26f21]"
+                  />
+                  Archive automatically once expired
+                </label>
+              </div>
+            </CollapsibleSection>
+
             {/* SETTINGS Section */}
             <CollapsibleSection title="Settings" icon={HardDrive} defaultOpen={false}>
               <div className="space-y-4">
@@ -507,27 +691,126 @@ export default function MediaDetailModal({
                     </div>
                   )}
                 </div>
+              </div>
+            </CollapsibleSection>
+
+            {/* RENDITIONS Section */}
+            {hasRenditions && (
+              <CollapsibleSection title="Renditions" icon={Layers} defaultOpen={false}>
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between gap-3">
+                    <p className="text-xs text-gray-500">
+                      Screens get the rendition that fits their resolution and connection.
+                    </p>
+                    {processingStatus && (
+                      <Badge
+                        variant={processingStatus === 'failed' ? 'error' : processingStatus === 'ready' ? 'success' : 'warning'}
+                        size="sm"
+                      >
+                        {processingStatus.toUpperCase()}
+                      </Badge>
+                    )}
+                  </div>
+
+                  {assetVariants.length > 0 ? (
+                    <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+                      {assetVariants.map((variant) => (
+                        <li key={variant.id} className="flex items-center justify-between gap-3 px-3 py-2">
+                          <span className="text-sm font-medium text-gray-900 capitalize">
+                            {variant.kind === 'rendition' ? variant.label : variant.kind}
+                          </span>
+                          <span className="text-xs text-gray-500">
+                            {variant.width && variant.height ? `${variant.width} × ${variant.height}` : ''}
+                            {variant.file_size ? ` · ${formatFileSize(variant.file_size)}` : ''}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="text-sm text-gray-400 italic">No renditions yet</p>
+                  )}
+
+                  <Button
+                    variant="secondary"
+                    onClick={handleReprocess}
+                    loading={isReprocessing}
+                    disabled={processingStatus === 'pending' || processingStatus === 'processing'}
+                    className="w-full justify-center"
+                  >
+                    <RefreshCw size={16} className="mr-2" />
+                    Reprocess
+                  </Button>
+                </div>
+              </CollapsibleSection>
+            )}
+
+            {/* VERSIONS Section */}
+            {hasVersions && (
+              <CollapsibleSection title="Versions" icon={History} defaultOpen={false}>
+                <div className="space-y-3">
+                  <p className="text-xs text-gray-500">
+                    A new version replaces the file everywhere this media is used. Screens showing it update right away.
+                  </p>
+
+                  {assetVersions.length > 0 ? (
+                    <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+                      {assetVersions.map((version) => {
+                        const isCurrent = version.version_number === currentVersion;
+                        return (
+                          <li key={version.id} className="flex items-center justify-between gap-3 px-3 py-2.5">
+                            <div className="min-w-0">
+                              <div className="flex items-center gap-2">
+                                <span className="text-sm font-medium text-gray-900">Version {version.version_number}</span>
+                                {isCurrent && <Badge variant="success" size="sm">CURRENT</Badge>}
+                              </div>
+                              <p className="text-xs text-gray-500 truncate">
+                                {formatDate(version.created_at)}
+                                {' · '}
+                                {version.uploader?.full_name || version.uploader?.email || 'Unknown uploader'}
+                                {version.file_size ? ` · ${formatFileSize(version.file_size)}` : ''}
+                                {version.width && version.height ? ` · ${version.width} × ${version.height}` : ''}
+                              </p>
+                            </div>
+                            {!isCurrent && onRollback && (
+                              <Button
+                                size="sm"
+                                variant="secondary"
+                                onClick={() => handleRollback(version.version_number)}
+                                loading={restoringVersion === version.version_number}
+                                disabled={restoringVersion !== null || isReplacing}
+                              >
+                                <RotateCcw size={14} className="mr-1.5" />
+                                Restore
+                              </Button>
+                            )}
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  ) : (
+                    <p className="text-sm text-gray-400 italic">Only the original file so far</p>
+                  )}
 
-                {/* Replace file button */}
-                {!isGlobal && onReplace && (
                   <Button
                     variant="secondary"
                     onClick={() => onReplace(asset)}
+                    loading={isReplacing}
+                    disabled={restoringVersion !== null}
                     className="w-full justify-center"
                   >
-                    <RefreshCw size={16} className="mr-2" />
-                    Replace File
+                    <Upload size={16} className="mr-2" />
+                    Upload New Version
                   </Button>
-                )}
-              </div>
-            </CollapsibleSection>
+                </div>
+              </CollapsibleSection>
+            )}
           </div>
         </div>
       </ModalContent>
 
       {/* Footer */}
       <div className="flex items-center justify-between px-6 py-4 border-t border-gray-200 bg-gray-50/50">
-        <div>
+        <div className="flex items-center gap-1">
           {!isGlobal && (
             <button
               onClick={() => setShowDeleteConfirm(true)}
@@ -537,6 +820,16 @@ export default function MediaDetailModal({
               Delete
             </button>
           )}
+          {!isGlobal && (asset.archived_at ? onRestore : onArchive) && (
+            <button
+              onClick={handleToggleArchive}
+              disabled={isArchiving}
+              className="flex items-center gap-1.5 px-3 py-2 text-gray-600 hover:bg-gray-100 rounded-lg transition-colors text-sm font-medium disabled:opacity-50"
+            >
+              {asset.archived_at ? <ArchiveRestore size={16} /> : <Archive size={16} />}
+              {asset.archived_at ? 'Restore' : 'Archive'}
+            </button>
+          )}
         </div>
         <div className="flex gap-3">
           <Button variant="secondary" onClick={onClose}>
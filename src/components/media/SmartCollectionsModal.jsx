@@ -0,0 +1,443 @@
+/**
+ * SmartCollectionsModal
+ *
+ * List, create and edit smart media collections: saved rules such as
+ * "tag includes summer" or "uploaded in the last 30 days" that always contain
+ * the media matching them. Shows a live preview of what a collection contains
+ * while its rules are edited.
+ *
+ * @module components/media/SmartCollectionsModal
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { ListFilter, Plus, Trash2, Edit, Loader2, ChevronLeft, Image } from 'lucide-react';
+import { supabase } from '../../supabase';
+import {
+  Modal,
+  ModalHeader,
+  ModalTitle,
+  ModalDescription,
+  ModalContent,
+  ModalFooter,
+  Button,
+  Alert,
+  FormField,
+  Input,
+} from '../../design-system';
+import {
+  COLLECTION_FIELDS,
+  COLLECTION_MATCH,
+  COLLECTION_SORT_OPTIONS,
+  MAX_COLLECTION_ITEMS,
+  getRuleValueType,
+  createCollectionRule,
+  normalizeCollectionRules,
+  describeCollection,
+  fetchMediaCollections,
+  createMediaCollection,
+  updateMediaCollection,
+  deleteMediaCollection,
+  previewMediaCollection,
+} from '../../services/mediaCollectionService';
+
+const inputClass = 'px-2 py-1.5 border border-gray-300 rounded-lg text-sm bg-white';
+
+const PREVIEW_DELAY_MS = 400;
+
+const emptyDraft = () => ({
+  id: null,
+  name: '',
+  description: '',
+  rules: [createCollectionRule('tag')],
+  matchMode: COLLECTION_MATCH.ALL,
+  sortOrder: 'newest',
+  itemLimit: '',
+});
+
+const toDraft = (collection) => ({
+  id: collection.id,
+  name: collection.name,
+  description: collection.description || '',
+  rules: collection.rules || [],
+  matchMode: collection.match_mode,
+  sortOrder: collection.sort_order,
+  itemLimit: collection.item_limit || '',
+});
+
+// Value input for a rule, by the kind of value its field and operator take
+const RuleValueInput = ({ rule, folders, onChange }) => {
+  const valueType = getRuleValueType(rule);
+  const field = COLLECTION_FIELDS[rule.field];
+
+  if (valueType === 'select') {
+    return (
+      <select value={rule.value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+        {field.options.map(opt => (
+          <option key={opt.value} value={opt.value}>{opt.label}</option>
+        ))}
+      </select>
+    );
+  }
+
+  if (valueType === 'folder') {
+    return (
+      <select value={rule.value} onChange={(e) => onChange(e.target.value)} className={inputClass}>
+        <option value="">Folder...</option>
+        {folders.map(folder => (
+          <option key={folder.id} value={folder.id}>{folder.name}</option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <input
+      type={valueType}
+      min={valueType === 'number' ? 0 : undefined}
+      value={rule.value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      placeholder={valueType === 'text' ? 'Value' : undefined}
+      className={`${inputClass} ${valueType === 'number' ? 'w-24' : 'w-40'}`}
+    />
+  );
+};
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.open
+ * @param {Function} props.onClose
+ * @param {Function} [props.showToast]
+ */
+export function SmartCollectionsModal({ open, onClose, showToast }) {
+  const [collections, setCollections] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [draft, setDraft] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadCollections = useCallback(async () => {
+    try {
+      setLoading(true);
+      setCollections(await fetchMediaCollections());
+    } catch (err) {
+      console.error('Error loading collections:', err);
+      showToast?.(`Error loading collections: ${err.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    if (!open) return;
+    setDraft(null);
+    loadCollections();
+    supabase
+      .from('media_folders')
+      .select('id, name')
+      .order('name', { ascending: true })
+      .then(({ data }) => setFolders(data || []));
+  }, [open, loadCollections]);
+
+  // Preview what the draft's rules match, once the user stops typing
+  const previewKey = draft
+    ? JSON.stringify([draft.rules, draft.matchMode, draft.sortOrder, draft.itemLimit])
+    : null;
+
+  useEffect(() => {
+    if (!previewKey) return;
+
+    const [rules, matchMode, sortOrder, itemLimit] = JSON.parse(previewKey);
+    let normalized;
+    try {
+      normalized = normalizeCollectionRules(rules);
+    } catch {
+      setPreview(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setPreviewing(true);
+      try {
+        const result = await previewMediaCollection({
+          rules: normalized,
+          matchMode,
+          sortOrder,
+          itemLimit: Number(itemLimit) || null,
+        }, { sample: 12 });
+        if (!cancelled) setPreview(result);
+      } catch (err) {
+        console.error('Error previewing collection:', err);
+      } finally {
+        if (!cancelled) setPreviewing(false);
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [previewKey]);
+
+  const editCollection = (collection) => {
+    setError('');
+    setPreview(null);
+    setDraft(collection ? toDraft(collection) : emptyDraft());
+  };
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateRule = (index, changes) => {
+    updateDraft({ rules: draft.rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)) });
+  };
+
+  const changeRuleField = (index, field) => {
+    updateDraft({ rules: draft.rules.map((rule, i) => (i === index ? createCollectionRule(field) : rule)) });
+  };
+
+  const changeRuleOperator = (index, operator) => {
+    const rule = draft.rules[index];
+    const switchesValueType = getRuleValueType(rule) !== getRuleValueType({ ...rule, operator });
+    updateRule(index, { operator, ...(switchesValueType && { value: '' }) });
+  };
+
+  const handleSave = async () => {
+    const fields = {
+      name: draft.name,
+      description: draft.description,
+      rules: draft.rules,
+      matchMode: draft.matchMode,
+      sortOrder: draft.sortOrder,
+      itemLimit: Number(draft.itemLimit) || null,
+    };
+
+    setSaving(true);
+    setError('');
+    try {
+      if (fields.rules.length === 0) throw new Error('Add at least one rule');
+      if (draft.id) {
+        await updateMediaCollection(draft.id, fields);
+      } else {
+        await createMediaCollection(fields);
+      }
+      showToast?.(draft.id ? 'Collection saved' : 'Collection created');
+      setDraft(null);
+      loadCollections();
+    } catch (err) {
+      setError(err.message || 'Failed to save collection');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (collection) => {
+    if (!window.confirm(`Delete "${collection.name}"? Playlists using it will no longer play its media.`)) return;
+
+    try {
+      await deleteMediaCollection(collection.id);
+      setCollections(prev => prev.filter(c => c.id !== collection.id));
+      showToast?.('Collection deleted');
+    } catch (err) {
+      console.error('Error deleting collection:', err);
+      showToast?.(`Error deleting collection: ${err.message}`, 'error');
+    }
+  };
+
+  if (!open) return null;
+
+  const folderNames = Object.fromEntries(folders.map(folder => [folder.id, folder.name]));
+
+  return (
+    <Modal open={open} onClose={onClose} size="lg">
+      <ModalHeader>
+        <ModalTitle className="flex items-center gap-2">
+          <ListFilter size={20} className="text-[#f26f21]" />
+          {draft ? (draft.id ? 'Edit Smart Collection' : 'New Smart Collection') : 'Smart Collections'}
+        </ModalTitle>
+        <ModalDescription>
+          Collections fill themselves with the media that match their rules. Add one to a playlist
+          and it plays new matching uploads automatically.
+        </ModalDescription>
+      </ModalHeader>
+
+      <ModalContent>
+        {draft ? (
+          <div className="space-y-4">
+            {error && <Alert variant="error">{error}</Alert>}
+
+            <FormField label="Name" required>
+              <Input
+                value={draft.name}
+                onChange={(e) => updateDraft({ name: e.target.value })}
+                placeholder="Summer videos"
+                autoFocus
+              />
+            </FormField>
+
+            <div className="border border-gray-200 rounded-lg p-3 space-y-3">
+              <div className="flex items-center gap-2 text-sm">
+                <span className="text-gray-600">Media matching</span>
+                <select
+                  value={draft.matchMode}
+                  onChange={(e) => updateDraft({ matchMode: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value={COLLECTION_MATCH.ALL}>all</option>
+                  <option value={COLLECTION_MATCH.ANY}>any</option>
+                </select>
+                <span className="text-gray-600">of these rules:</span>
+              </div>
+
+              {draft.rules.map((rule, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-2">
+                  <select
+                    value={rule.field}
+                    onChange={(e) => changeRuleField(index, e.target.value)}
+                    className={inputClass}
+                  >
+                    {Object.entries(COLLECTION_FIELDS).map(([key, field]) => (
+                      <option key={key} value={key}>{field.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={rule.operator}
+                    onChange={(e) => changeRuleOperator(index, e.target.value)}
+                    className={inputClass}
+                  >
+                    {COLLECTION_FIELDS[rule.field]?.operators.map(op => (
+                      <option key={op.value} value={op.value}>{op.label}</option>
+                    ))}
+                  </select>
+                  <RuleValueInput rule={rule} folders={folders} onChange={(value) => updateRule(index, { value })} />
+                  <button
+                    onClick={() => updateDraft({ rules: draft.rules.filter((_, i) => i !== index) })}
+                    className="p-1.5 text-gray-400 hover:text-red-600 rounded"
+                    title="Remove rule"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              ))}
+
+              <button
+                onClick={() => updateDraft({ rules: [...draft.rules, createCollectionRule('tag')] })}
+                className="text-sm text-blue-600 hover:text-blue-700 flex items-center gap-1"
+              >
+                <Plus size={14} />
+                Add rule
+              </button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="text-gray-600">Order</span>
+              <select
+                value={draft.sortOrder}
+                onChange={(e) => updateDraft({ sortOrder: e.target.value })}
+                className={inputClass}
+              >
+                {COLLECTION_SORT_OPTIONS.map(opt => (
+                  <option key={opt.value} value={opt.value}>{opt.label}</option>
+                ))}
+              </select>
+              <span className="text-gray-600 ml-2">Limit to</span>
+              <input
+                type="number"
+                min={1}
+                max={MAX_COLLECTION_ITEMS}
+                value={draft.itemLimit}
+                onChange={(e) => updateDraft({ itemLimit: e.target.value })}
+                placeholder="All"
+                className={`${inputClass} w-20`}
+              />
+              <span className="text-gray-600">items</span>
+            </div>
+
+            <div className="bg-gray-50 rounded-lg p-3">
+              <div className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
+                {previewing && <Loader2 size={14} className="animate-spin" />}
+                {preview
+                  ? `${preview.count} matching item${preview.count === 1 ? '' : 's'}`
+                  : 'Complete the rules to see what matches'}
+              </div>
+              {preview?.items?.length > 0 && (
+                <div className="grid grid-cols-6 gap-2">
+                  {preview.items.map(item => (
+                    <div key={item.id} title={item.name} className="aspect-square rounded bg-gray-200 overflow-hidden">
+                      {item.thumbnail_url || item.type === 'image' ? (
+                        <img src={item.thumbnail_url || item.url} alt="" className="w-full h-full object-cover" />
+                      ) : (
+                        <div className="w-full h-full flex items-center justify-center text-gray-400">
+                          <Image size={20} />
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        ) : loading ? (
+          <div className="flex items-center justify-center py-8 text-gray-500 gap-2">
+            <Loader2 size={18} className="animate-spin" />
+            Loading collections...
+          </div>
+        ) : collections.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">
+            No smart collections yet.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {collections.map(collection => (
+              <div key={collection.id} className="flex items-center gap-3 border border-gray-200 rounded-lg p-3">
+                <ListFilter size={18} className="text-gray-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{collection.name}</p>
+                  <p className="text-xs text-gray-500 truncate">{describeCollection(collection, { folderNames })}</p>
+                </div>
+                <button
+                  onClick={() => editCollection(collection)}
+                  className="p-1.5 text-gray-400 hover:text-gray-700 rounded"
+                  title="Edit collection"
+                >
+                  <Edit size={16} />
+                </button>
+                <button
+                  onClick={() => handleDelete(collection)}
+                  className="p-1.5 text-gray-400 hover:text-red-600 rounded"
+                  title="Delete collection"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </ModalContent>
+
+      <ModalFooter>
+        {draft ? (
+          <>
+            <Button variant="ghost" icon={<ChevronLeft size={16} />} onClick={() => setDraft(null)}>
+              Back
+            </Button>
+            <Button onClick={handleSave} disabled={saving || !draft.name.trim()} loading={saving}>
+              {draft.id ? 'Save Collection' : 'Create Collection'}
+            </Button>
+          </>
+        ) : (
+          <>
+            <Button variant="ghost" onClick={onClose}>Close</Button>
+            <Button icon={<Plus size={16} />} onClick={() => editCollection(null)}>
+              New Collection
+            </Button>
+          </>
+        )}
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+export default SmartCollectionsModal;
@@ -26,6 +26,8 @@ import {
   Loader2,
   Search,
   ExternalLink,
+  Pause,
+  Play,
 } from 'lucide-react';
 import { Button, Input } from '../../design-system';
 import {
@@ -1223,6 +1225,83 @@ const WebPagesTabContent = ({ url, setUrl, name, setName, onAdd, loading }) => {
   );
 };
 
+const formatMegabytes = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+// Upload progress with pause/resume for the running upload, and a reminder
+// about unfinished uploads from earlier visits
+const UploadProgressPanel = ({
+  uploading,
+  progress,
+  hashProgress = null,
+  currentFile,
+  paused,
+  resumableUploads = [],
+  onPause,
+  onResume,
+  onCancel,
+}) => {
+  if (uploading || paused) {
+    // Files are checked for duplicates (hashed) before they upload
+    const hashing = uploading && hashProgress !== null;
+    const shown = hashing ? hashProgress : progress;
+    return (
+      <div className="mx-6 mb-4 p-3 rounded-lg border border-gray-200 bg-gray-50">
+        <div className="flex items-center justify-between gap-3 text-sm">
+          <span className="truncate text-gray-700">
+            {paused ? 'Paused' : hashing ? 'Checking' : 'Uploading'}{currentFile ? `: ${currentFile}` : ''}
+          </span>
+          <div className="flex items-center gap-2 shrink-0">
+            <span className="text-gray-500">{shown}%</span>
+            {paused ? (
+              onResume && (
+                <Button variant="secondary" size="sm" icon={<Play size={14} aria-hidden="true" />} onClick={onResume}>
+                  Resume
+                </Button>
+              )
+            ) : (
+              onPause && (
+                <Button variant="secondary" size="sm" icon={<Pause size={14} aria-hidden="true" />} onClick={onPause}>
+                  Pause
+                </Button>
+              )
+            )}
+            {onCancel && (
+              <Button variant="ghost" size="sm" onClick={onCancel}>
+                Cancel
+              </Button>
+            )}
+          </div>
+        </div>
+        <div
+          className="mt-2 h-1.5 rounded-full bg-gray-200 overflow-hidden"
+          role="progressbar"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={shown}
+        >
+          <div className="h-full bg-[#f26f21] transition-all" style={{ width: `${shown}%` }} />
+        </div>
+      </div>
+    );
+  }
+
+  if (resumableUploads.length === 0) return null;
+
+  return (
+    <div className="mx-6 mb-4 p-3 rounded-lg border border-amber-200 bg-amber-50 text-sm text-amber-800">
+      <p className="font-medium">Unfinished uploads</p>
+      <ul className="mt-1 space-y-0.5">
+        {resumableUploads.map((upload) => (
+          <li key={`${upload.folder}:${upload.filename}:${upload.size}`}>
+            {upload.filename} ({formatMegabytes(upload.uploadedBytes)} of {formatMegabytes(upload.size)})
+          </li>
+        ))}
+      </ul>
+      <p className="mt-1 text-amber-700">Choose the same file again to continue where it stopped.</p>
+    </div>
+  );
+};
+
 // Main Modal Component
 const YodeckAddMediaModal = ({
   open,
@@ -1232,6 +1311,15 @@ const YodeckAddMediaModal = ({
   onMediaAdded,
   openFilePicker,
   showToast,
+  uploading = false,
+  uploadProgress = 0,
+  hashProgress = null,
+  currentFile = null,
+  uploadPaused = false,
+  resumableUploads,
+  onPauseUpload,
+  onResumeUpload,
+  onCancelUpload,
 }) => {
   const [activeTab, setActiveTab] = useState('upload');
   const [selectedImageType, setSelectedImageType] = useState('file');
@@ -1524,6 +1612,18 @@ const YodeckAddMediaModal = ({
           )}
         </div>
 
+        <UploadProgressPanel
+          uploading={uploading}
+          progress={uploadProgress}
+          hashProgress={hashProgress}
+          currentFile={currentFile}
+          paused={uploadPaused}
+          resumableUploads={resumableUploads}
+          onPause={onPauseUpload}
+          onResume={onResumeUpload}
+          onCancel={onCancelUpload}
+        />
+
         {/* Footer */}
         <div className="flex items-center justify-end gap-3 px-6 py-4 border-t border-gray-200 bg-gray-50">
           <Button variant="secondary" onClick={onClose}>
@@ -1532,6 +1632,7 @@ const YodeckAddMediaModal = ({
           {shouldShowFooterButton() && (
             <Button
               onClick={handleUpload}
+              disabled={uploading}
               className="bg-[#f26f21] hover:bg-[#e05e10] text-white"
             >
               Upload
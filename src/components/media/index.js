@@ -5,3 +5,4 @@
  */
 
 export { default as MediaDetailModal } from './MediaDetailModal';
+export { default as SmartCollectionsModal } from './SmartCollectionsModal';
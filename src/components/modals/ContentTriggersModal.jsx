@@ -0,0 +1,300 @@
+/**
+ * ContentTriggersModal
+ *
+ * Edit the data-driven trigger rules of a playlist item, campaign content or
+ * scene slide: show, hide or play it first depending on data source values.
+ */
+
+import { useState, useEffect } from 'react';
+import { Zap, Plus, Trash2, X, Loader2 } from 'lucide-react';
+import {
+  Modal,
+  ModalHeader,
+  ModalTitle,
+  ModalDescription,
+  ModalContent,
+  ModalFooter,
+  Button,
+  Alert,
+} from '../../design-system';
+import { fetchDataSources, getDataSource } from '../../services/dataSourceService';
+import {
+  TRIGGER_ACTIONS,
+  TRIGGER_MATCH,
+  TRIGGER_OPERATORS,
+  TRIGGER_OPERATOR_OPTIONS,
+  operatorNeedsValue,
+  createTriggerRule,
+  normalizeTriggerRules,
+} from '../../services/contentTriggerService';
+
+const ACTION_OPTIONS = [
+  { value: TRIGGER_ACTIONS.SHOW, label: 'Only show when' },
+  { value: TRIGGER_ACTIONS.HIDE, label: 'Hide when' },
+  { value: TRIGGER_ACTIONS.PRIORITIZE, label: 'Play first when' },
+];
+
+const inputClass = 'px-2 py-1.5 border border-gray-300 rounded-lg text-sm bg-white';
+
+const emptyCondition = () => ({
+  sourceId: '',
+  field: '',
+  rowSelector: { mode: 'index', index: 0 },
+  operator: TRIGGER_OPERATORS.EQ,
+  value: '',
+});
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {string} [props.subject] - What the rules apply to, e.g. '"Lunch Menu"'
+ * @param {Array} props.rules - Current rules
+ * @param {Function} props.onSave - async (rules) => void
+ */
+export function ContentTriggersModal({ isOpen, onClose, subject, rules = [], onSave }) {
+  const [draft, setDraft] = useState(() => rules.map(rule => ({ ...rule, conditions: [...rule.conditions] })));
+  const [dataSources, setDataSources] = useState([]);
+  const [fieldsBySource, setFieldsBySource] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchDataSources()
+      .then(sources => setDataSources(sources || []))
+      .catch(err => console.error('Failed to load data sources:', err));
+  }, []);
+
+  // Load fields for every source used by the draft
+  const sourceIds = [...new Set(draft.flatMap(rule => rule.conditions.map(c => c.sourceId)).filter(Boolean))];
+  const missingSourceIds = sourceIds.filter(id => !fieldsBySource[id]).join(',');
+
+  useEffect(() => {
+    if (!missingSourceIds) return;
+    missingSourceIds.split(',').forEach(async (id) => {
+      try {
+        const source = await getDataSource(id);
+        setFieldsBySource(prev => ({ ...prev, [id]: source?.fields || [] }));
+      } catch (err) {
+        console.error('Failed to load data source fields:', err);
+        setFieldsBySource(prev => ({ ...prev, [id]: [] }));
+      }
+    });
+  }, [missingSourceIds]);
+
+  const updateRule = (ruleIndex, changes) => {
+    setDraft(prev => prev.map((rule, i) => (i === ruleIndex ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateCondition = (ruleIndex, conditionIndex, changes) => {
+    setDraft(prev => prev.map((rule, i) => (i !== ruleIndex ? rule : {
+      ...rule,
+      conditions: rule.conditions.map((c, j) => (j === conditionIndex ? { ...c, ...changes } : c)),
+    })));
+  };
+
+  const addRule = () => {
+    setDraft(prev => [...prev, createTriggerRule({ conditions: [emptyCondition()] })]);
+  };
+
+  const removeRule = (ruleIndex) => {
+    setDraft(prev => prev.filter((_, i) => i !== ruleIndex));
+  };
+
+  const addCondition = (ruleIndex) => {
+    updateRule(ruleIndex, { conditions: [...draft[ruleIndex].conditions, emptyCondition()] });
+  };
+
+  const removeCondition = (ruleIndex, conditionIndex) => {
+    updateRule(ruleIndex, { conditions: draft[ruleIndex].conditions.filter((_, j) => j !== conditionIndex) });
+  };
+
+  const handleSave = async () => {
+    let normalized;
+    try {
+      normalized = normalizeTriggerRules(draft);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(normalized);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal open={isOpen} onClose={onClose} size="lg">
+      <ModalHeader>
+        <ModalTitle className="flex items-center gap-2">
+          <Zap size={20} className="text-amber-500" />
+          Data Triggers
+        </ModalTitle>
+        <ModalDescription>
+          Show, hide or prioritize {subject || 'this content'} based on your data sources.
+          Screens check these rules with their cached data, even offline.
+        </ModalDescription>
+      </ModalHeader>
+
+      <ModalContent>
+        <div className="space-y-4">
+          {error && <Alert variant="error">{error}</Alert>}
+
+          {draft.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-4">
+              No rules yet. This content always plays.
+            </p>
+          )}
+
+          {draft.map((rule, ruleIndex) => (
+            <div key={rule.id} className="border border-gray-200 rounded-lg p-3 space-y-3">
+              <div className="flex items-center gap-2 text-sm">
+                <select
+                  value={rule.action}
+                  onChange={(e) => updateRule(ruleIndex, { action: e.target.value })}
+                  className={inputClass}
+                >
+                  {ACTION_OPTIONS.map(opt => (
+                    <option key={opt.value} value={opt.value}>{opt.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={rule.match}
+                  onChange={(e) => updateRule(ruleIndex, { match: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value={TRIGGER_MATCH.ALL}>all</option>
+                  <option value={TRIGGER_MATCH.ANY}>any</option>
+                </select>
+                <span className="text-gray-600">of these are true:</span>
+                <button
+                  onClick={() => removeRule(ruleIndex)}
+                  className="ml-auto p-1.5 text-gray-400 hover:text-red-600 rounded"
+                  title="Remove rule"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+
+              {rule.conditions.map((condition, conditionIndex) => {
+                const fields = fieldsBySource[condition.sourceId];
+                const anyRow = condition.rowSelector?.mode === 'all';
+
+                return (
+                  <div key={conditionIndex} className="flex flex-wrap items-center gap-2">
+                    <select
+                      value={condition.sourceId}
+                      onChange={(e) => updateCondition(ruleIndex, conditionIndex, { sourceId: e.target.value, field: '' })}
+                      className={inputClass}
+                    >
+                      <option value="">Data source...</option>
+                      {dataSources.map(ds => (
+                        <option key={ds.id} value={ds.id}>{ds.name}</option>
+                      ))}
+                    </select>
+
+                    {condition.sourceId && !fields ? (
+                      <Loader2 size={16} className="animate-spin text-gray-400" />
+                    ) : (
+                      <select
+                        value={condition.field}
+                        onChange={(e) => updateCondition(ruleIndex, conditionIndex, { field: e.target.value })}
+                        disabled={!condition.sourceId}
+                        className={inputClass}
+                      >
+                        <option value="">Field...</option>
+                        {(fields || []).map(f => (
+                          <option key={f.name} value={f.name}>{f.label || f.name}</option>
+                        ))}
+                      </select>
+                    )}
+
+                    <select
+                      value={anyRow ? 'all' : 'index'}
+                      onChange={(e) => updateCondition(ruleIndex, conditionIndex, {
+                        rowSelector: e.target.value === 'all' ? { mode: 'all' } : { mode: 'index', index: 0 },
+                      })}
+                      className={inputClass}
+                    >
+                      <option value="index">in row</option>
+                      <option value="all">in any row</option>
+                    </select>
+                    {!anyRow && (
+                      <input
+                        type="number"
+                        min={1}
+                        value={(condition.rowSelector?.index ?? 0) + 1}
+                        onChange={(e) => updateCondition(ruleIndex, conditionIndex, {
+                          rowSelector: { mode: 'index', index: Math.max(0, (parseInt(e.target.value) || 1) - 1) },
+                        })}
+                        className={`${inputClass} w-16`}
+                      />
+                    )}
+
+                    <select
+                      value={condition.operator}
+                      onChange={(e) => updateCondition(ruleIndex, conditionIndex, { operator: e.target.value })}
+                      className={inputClass}
+                    >
+                      {TRIGGER_OPERATOR_OPTIONS.map(opt => (
+                        <option key={opt.value} value={opt.value}>{opt.label}</option>
+                      ))}
+                    </select>
+
+                    {operatorNeedsValue(condition.operator) && (
+                      <input
+                        type="text"
+                        value={condition.value ?? ''}
+                        onChange={(e) => updateCondition(ruleIndex, conditionIndex, { value: e.target.value })}
+                        placeholder="Value"
+                        className={`${inputClass} w-28`}
+                      />
+                    )}
+
+                    <button
+                      onClick={() => removeCondition(ruleIndex, conditionIndex)}
+                      className="p-1 text-gray-400 hover:text-red-600 rounded"
+                      title="Remove condition"
+                    >
+                      <X size={14} />
+                    </button>
+                  </div>
+                );
+              })}
+
+              <button
+                onClick={() => addCondition(ruleIndex)}
+                className="text-sm text-blue-600 hover:text-blue-700 flex items-center gap-1"
+              >
+                <Plus size={14} />
+                Add condition
+              </button>
+            </div>
+          ))}
+
+          <Button variant="secondary" size="sm" onClick={addRule}>
+            <Plus size={16} />
+            Add Rule
+          </Button>
+        </div>
+      </ModalContent>
+
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} disabled={saving}>
+          {saving && <Loader2 size={16} className="animate-spin" />}
+          Save Rules
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+export default ContentTriggersModal;
@@ -0,0 +1,307 @@
+/**
+ * PlaylistPlaybackModal
+ *
+ * Edit how a playlist orders its items: in order, shuffled or weighted
+ * random, plus interleave rules that insert items from other playlists. The
+ * preview uses the same seeded ordering as the player, so cycle 1 here is
+ * cycle 1 on every screen.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { Settings, Plus, Trash2, Loader2, ChevronLeft, ChevronRight } from 'lucide-react';
+import {
+  Modal,
+  ModalHeader,
+  ModalTitle,
+  ModalDescription,
+  ModalContent,
+  ModalFooter,
+  Button,
+  Alert,
+} from '../../design-system';
+import { fetchPlaylists } from '../../services/playlistService';
+import {
+  PLAYBACK_MODES,
+  PLAYBACK_MODE_OPTIONS,
+  getPlaybackMode,
+  getItemWeight,
+  buildPlaybackSequence,
+  normalizeInterleaveRules,
+} from '../../services/playlistPlaybackService';
+
+const inputClass = 'px-2 py-1.5 border border-gray-300 rounded-lg text-sm bg-white';
+const PREVIEW_LENGTH = 12;
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {Object} props.playlist - Playlist row
+ * @param {Array<Object>} props.items - Editor items ({ id, item_type, weight, media })
+ * @param {Function} props.onSave - async ({ playbackMode, playbackSeed, interleaveRules, weights }) => void,
+ *   weights maps item ID to weight for changed items only
+ */
+export function PlaylistPlaybackModal({ isOpen, onClose, playlist, items = [], onSave }) {
+  const [mode, setMode] = useState(getPlaybackMode(playlist));
+  const [seed, setSeed] = useState(playlist?.playback_seed || '');
+  const [rules, setRules] = useState(() => (playlist?.interleave_rules || []).map(rule => ({ ...rule })));
+  const [weights, setWeights] = useState(() => Object.fromEntries(items.map(item => [item.id, getItemWeight(item)])));
+  const [playlists, setPlaylists] = useState([]);
+  const [cycle, setCycle] = useState(0);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchPlaylists()
+      .then(data => setPlaylists((data || []).filter(p => p.id !== playlist?.id)))
+      .catch(err => console.error('Failed to load playlists:', err));
+  }, [playlist?.id]);
+
+  // Nested playlists and interleaved items play in their own order, so the
+  // preview shows them as one slot each
+  const preview = useMemo(() => {
+    const previewItems = items.map(item => ({
+      id: item.id,
+      type: 'media',
+      name: item.item_type === 'playlist' ? `${item.media?.name || 'Playlist'} (playlist)` : item.media?.name || 'Untitled',
+      weight: weights[item.id],
+    }));
+    const interleave = rules
+      .filter(rule => rule.playlistId && Number(rule.every) >= 1 && Number(rule.count) >= 1)
+      .map(rule => ({
+        playlistId: rule.playlistId,
+        every: Number(rule.every),
+        count: Number(rule.count),
+        items: [{
+          id: rule.playlistId,
+          type: 'media',
+          name: `Item from ${playlists.find(p => p.id === rule.playlistId)?.name || 'playlist'}`,
+          interleaved: true,
+        }],
+      }));
+
+    return buildPlaybackSequence(
+      { id: playlist?.id, playbackMode: mode, playbackSeed: seed.trim() || null, interleave },
+      previewItems,
+      { cycle }
+    ).slice(0, PREVIEW_LENGTH);
+  }, [items, weights, rules, playlists, playlist?.id, mode, seed, cycle]);
+
+  const updateRule = (index, changes) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleSave = async () => {
+    let interleaveRules;
+    try {
+      interleaveRules = normalizeInterleaveRules(rules, playlist?.id);
+      if (Object.values(weights).some(weight => !(Number(weight) > 0))) {
+        throw new Error('Weights must be greater than 0');
+      }
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    const changedWeights = Object.fromEntries(
+      items
+        .filter(item => Number(weights[item.id]) !== getItemWeight(item))
+        .map(item => [item.id, Number(weights[item.id])])
+    );
+
+    setSaving(true);
+    setError('');
+    try {
+      await onSave({
+        playbackMode: mode,
+        playbackSeed: seed.trim() || null,
+        interleaveRules,
+        weights: changedWeights,
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save playback settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal open={isOpen} onClose={onClose} size="lg">
+      <ModalHeader>
+        <ModalTitle className="flex items-center gap-2">
+          <Settings size={20} className="text-orange-500" />
+          Playback
+        </ModalTitle>
+        <ModalDescription>
+          Choose the order items play in and mix in items from other playlists.
+        </ModalDescription>
+      </ModalHeader>
+
+      <ModalContent>
+        <div className="space-y-5">
+          {error && <Alert variant="error">{error}</Alert>}
+
+          <div className="grid grid-cols-3 gap-2">
+            {PLAYBACK_MODE_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setMode(option.value)}
+                className={`text-left p-3 rounded-lg border transition-colors ${
+                  mode === option.value ? 'border-orange-500 bg-orange-50' : 'border-gray-200 hover:border-gray-300'
+                }`}
+              >
+                <p className="text-sm font-medium text-gray-900">{option.label}</p>
+                <p className="text-xs text-gray-500 mt-0.5">{option.description}</p>
+              </button>
+            ))}
+          </div>
+
+          {mode !== PLAYBACK_MODES.SEQUENTIAL && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Seed</label>
+              <input
+                value={seed}
+                onChange={(e) => setSeed(e.target.value)}
+                placeholder="Default (playlist ID)"
+                className={`${inputClass} w-full`}
+              />
+              <p className="text-xs text-gray-500 mt-1">Change the seed for a different, still repeatable, order.</p>
+            </div>
+          )}
+
+          {mode === PLAYBACK_MODES.WEIGHTED && items.length > 0 && (
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Weights</p>
+              <div className="max-h-48 overflow-y-auto space-y-1.5">
+                {items.map(item => (
+                  <div key={item.id} className="flex items-center gap-2">
+                    <span className="flex-1 text-sm text-gray-700 truncate">{item.media?.name || 'Untitled'}</span>
+                    <input
+                      type="number"
+                      min="0.1"
+                      step="0.5"
+                      value={weights[item.id]}
+                      onChange={(e) => setWeights(prev => ({ ...prev, [item.id]: e.target.value }))}
+                      className={`${inputClass} w-20`}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-gray-700">Interleave</p>
+              <Button
+                size="sm"
+                variant="secondary"
+                onClick={() => setRules(prev => [...prev, { playlistId: '', every: 3, count: 1 }])}
+              >
+                <Plus size={14} />
+                Add Rule
+              </Button>
+            </div>
+            {rules.length === 0 && (
+              <p className="text-xs text-gray-500">No interleave rules. Add one to play items from another playlist in between.</p>
+            )}
+            <div className="space-y-2">
+              {rules.map((rule, index) => (
+                <div key={index} className="flex items-center gap-2 text-sm text-gray-700">
+                  <span>Insert</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={rule.count}
+                    onChange={(e) => updateRule(index, { count: e.target.value })}
+                    className={`${inputClass} w-16`}
+                  />
+                  <span>from</span>
+                  <select
+                    value={rule.playlistId}
+                    onChange={(e) => updateRule(index, { playlistId: e.target.value })}
+                    className={`${inputClass} flex-1 min-w-0`}
+                  >
+                    <option value="">Choose playlist…</option>
+                    {playlists.map(p => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                  <span>after every</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={rule.every}
+                    onChange={(e) => updateRule(index, { every: e.target.value })}
+                    className={`${inputClass} w-16`}
+                  />
+                  <span>items</span>
+                  <button
+                    type="button"
+                    onClick={() => setRules(prev => prev.filter((_, i) => i !== index))}
+                    className="p-1 text-gray-400 hover:text-red-500"
+                    title="Remove rule"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-gray-700">Preview</p>
+              <div className="flex items-center gap-1 text-xs text-gray-500">
+                <button
+                  type="button"
+                  onClick={() => setCycle(c => Math.max(0, c - 1))}
+                  disabled={cycle === 0}
+                  className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+                >
+                  <ChevronLeft size={14} />
+                </button>
+                Cycle {cycle + 1}
+                <button
+                  type="button"
+                  onClick={() => setCycle(c => c + 1)}
+                  className="p-1 rounded hover:bg-gray-100"
+                >
+                  <ChevronRight size={14} />
+                </button>
+              </div>
+            </div>
+            {preview.length === 0 ? (
+              <p className="text-xs text-gray-500">Add items to preview the play order.</p>
+            ) : (
+              <ol className="flex flex-wrap gap-1.5">
+                {preview.map(item => (
+                  <li
+                    key={item.sequenceIndex}
+                    className={`text-xs px-2 py-1 rounded ${
+                      item.interleaved ? 'bg-indigo-50 text-indigo-700' : 'bg-gray-100 text-gray-700'
+                    }`}
+                  >
+                    {item.sequenceIndex + 1}. {item.name}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        </div>
+      </ModalContent>
+
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} disabled={saving}>
+          {saving && <Loader2 size={16} className="animate-spin" />}
+          Save Playback
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+export default PlaylistPlaybackModal;
@@ -0,0 +1,112 @@
+/**
+ * ValidityWindowModal
+ *
+ * Edit when a playlist item may play, e.g. a promotion that runs from Friday
+ * morning until Sunday night. Outside the window the player skips the item.
+ */
+
+import { useState } from 'react';
+import { CalendarClock, Loader2 } from 'lucide-react';
+import {
+  Modal,
+  ModalHeader,
+  ModalTitle,
+  ModalDescription,
+  ModalContent,
+  ModalFooter,
+  Button,
+  Alert,
+} from '../../design-system';
+import { normalizeValidityWindow, toDateTimeLocalValue } from '../../services/contentValidityService';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {string} [props.subject] - What the window applies to, e.g. '"Summer Sale"'
+ * @param {string|null} [props.validFrom] - Current start (ISO)
+ * @param {string|null} [props.validUntil] - Current end (ISO)
+ * @param {string} [props.note] - Extra explanation, e.g. the media's own window
+ * @param {Function} props.onSave - async ({ validFrom, validUntil }) => void, ISO strings or null
+ */
+export function ValidityWindowModal({ isOpen, onClose, subject, validFrom = null, validUntil = null, note, onSave }) {
+  const [from, setFrom] = useState(toDateTimeLocalValue(validFrom));
+  const [until, setUntil] = useState(toDateTimeLocalValue(validUntil));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+    let window;
+    try {
+      window = normalizeValidityWindow({ validFrom: from, validUntil: until });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await onSave({ validFrom: window.valid_from, validUntil: window.valid_until });
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save validity window');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal open={isOpen} onClose={onClose} size="md">
+      <ModalHeader>
+        <ModalTitle className="flex items-center gap-2">
+          <CalendarClock size={20} className="text-emerald-600" />
+          Validity Window
+        </ModalTitle>
+        <ModalDescription>
+          Only play {subject || 'this item'} between these dates, in the screen&apos;s local time.
+          Leave a date empty for no limit.
+        </ModalDescription>
+      </ModalHeader>
+
+      <ModalContent>
+        <div className="space-y-4">
+          {error && <Alert variant="error">{error}</Alert>}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+              <input
+                type="datetime-local"
+                value={from}
+                onChange={(e) => setFrom(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Expires</label>
+              <input
+                type="datetime-local"
+                value={until}
+                onChange={(e) => setUntil(e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </div>
+          {note && <p className="text-xs text-gray-500">{note}</p>}
+        </div>
+      </ModalContent>
+
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} disabled={saving}>
+          {saving && <Loader2 size={16} className="animate-spin" />}
+          Save Window
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+export default ValidityWindowModal;
@@ -0,0 +1,88 @@
+/**
+ * WeatherConditionsModal
+ *
+ * Edit the weather conditions of a playlist item, e.g. only play the hot
+ * drinks slide when it is below 10°C at the screen.
+ */
+
+import { useState } from 'react';
+import { CloudSun, Loader2 } from 'lucide-react';
+import {
+  Modal,
+  ModalHeader,
+  ModalTitle,
+  ModalDescription,
+  ModalContent,
+  ModalFooter,
+  Button,
+  Alert,
+} from '../../design-system';
+import WeatherConditionsFields from '../WeatherConditionsFields';
+import { normalizeWeatherConditions } from '../../services/weatherConditionService';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.isOpen
+ * @param {Function} props.onClose
+ * @param {string} [props.subject] - What the conditions apply to, e.g. '"Hot Drinks"'
+ * @param {Array} props.conditions - Current conditions
+ * @param {Function} props.onSave - async (conditions) => void
+ */
+export function WeatherConditionsModal({ isOpen, onClose, subject, conditions = [], onSave }) {
+  const [draft, setDraft] = useState(conditions);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSave = async () => {
+    let normalized;
+    try {
+      normalized = normalizeWeatherConditions(draft);
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(normalized);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save weather conditions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal open={isOpen} onClose={onClose} size="md">
+      <ModalHeader>
+        <ModalTitle className="flex items-center gap-2">
+          <CloudSun size={20} className="text-sky-500" />
+          Weather Conditions
+        </ModalTitle>
+        <ModalDescription>
+          Only play {subject || 'this item'} in this weather at the screen&apos;s location.
+          When a screen has no recent weather, it plays its other items instead.
+        </ModalDescription>
+      </ModalHeader>
+
+      <ModalContent>
+        <div className="space-y-4">
+          {error && <Alert variant="error">{error}</Alert>}
+          <WeatherConditionsFields conditions={draft} onChange={setDraft} />
+        </div>
+      </ModalContent>
+
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>Cancel</Button>
+        <Button onClick={handleSave} disabled={saving}>
+          {saving && <Loader2 size={16} className="animate-spin" />}
+          Save Conditions
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
+
+export default WeatherConditionsModal;
@@ -10,7 +10,7 @@
  */
 
 import { useState, useRef, useCallback, useEffect, useMemo } from 'react';
-import { Type, Image, Square, Clock, Move, CloudSun, QrCode, Calendar, Database } from 'lucide-react';
+import { Type, Image, Square, Clock, Move, CloudSun, QrCode, Calendar, Database, Timer, UtensilsCrossed } from 'lucide-react';
 import { QRCodeSVG } from 'qrcode.react';
 import {
   calculateSnapPosition,
@@ -24,6 +24,15 @@ import {
   clearCachedDataSource,
 } from '../../services/dataBindingResolver';
 import { subscribeToDataSource } from '../../services/dataSourceService';
+import {
+  COUNTDOWN_FORMATS,
+  COUNTDOWN_EXPIRY_ACTIONS,
+  DEFAULT_COUNTDOWN_UNITS,
+  parseCountdownTarget,
+  getCountdownState,
+  formatCountdown,
+} from '../../services/countdownService';
+import MenuBoard from '../MenuBoard';
 
 // Block type icons
 const BLOCK_ICONS = {
@@ -39,6 +48,8 @@ const WIDGET_ICONS = {
   date: Calendar,
   weather: CloudSun,
   qr: QrCode,
+  countdown: Timer,
+  menu: UtensilsCrossed,
 };
 
 export default function EditorCanvas({
@@ -104,7 +115,7 @@ export default function EditorCanvas({
     // Extract all data source IDs used in the current design
     const dataSourceIds = extractDataSourceIds(design);
 
-    if (dataSourceIds.size === 0) return;
+    if (dataSourceIds.length === 0) return;
 
     const subscriptions = [];
 
@@ -555,6 +566,49 @@ export default function EditorCanvas({
             );
           }
 
+          case 'countdown': {
+            // Snapshot in the editor's own timezone; players use the screen's
+            const countdown = getCountdownState({
+              target: parseCountdownTarget(resolvedBlocks.get(block.id)?.content || props.targetAt),
+              now: Date.now(),
+              mode: props.countMode,
+              expiredAction: props.expiredAction,
+              units: props.countdownUnits || DEFAULT_COUNTDOWN_UNITS,
+            });
+            const format = props.countdownFormat === COUNTDOWN_FORMATS.TEXT ? COUNTDOWN_FORMATS.TEXT : COUNTDOWN_FORMATS.COMPACT;
+            const expiredMedia = props.expiredAction === COUNTDOWN_EXPIRY_ACTIONS.SHOW_MEDIA ? props.expiredMedia : null;
+
+            if (countdown.status === 'expired' && expiredMedia?.type === 'image' && expiredMedia.url) {
+              return <img src={expiredMedia.url} alt="" className="w-full h-full object-cover" />;
+            }
+
+            return (
+              <div className="w-full h-full flex flex-col items-center justify-center text-center" style={{ color: textColor }}>
+                {label && <span style={{ fontSize: getFontSize('date', '0.9rem'), opacity: 0.8 }}>{label}</span>}
+                <span style={{ fontSize: getFontSize('clock', '1.5rem'), fontWeight: '600' }}>
+                  {countdown.status === 'expired'
+                    ? (expiredMedia?.name || props.expiredText || 'Time is up')
+                    : countdown.status === 'invalid'
+                      ? 'Set a target'
+                      : formatCountdown(countdown.parts, format)}
+                </span>
+              </div>
+            );
+          }
+
+          case 'menu':
+            // Dayparts follow the editor's clock; players use the screen's timezone
+            return (
+              <div className="w-full h-full p-1">
+                <MenuBoard
+                  rows={resolvedBlocks.get(block.id)?.content}
+                  props={props}
+                  now={Date.now()}
+                  fontSize={getFontSize('date', '0.6rem')}
+                />
+              </div>
+            );
+
           default:
             const WidgetIcon = WIDGET_ICONS[widgetType] || Clock;
             return (
@@ -30,6 +30,18 @@ import {
   ANIMATION_KEYFRAMES,
 } from '../../services/sceneDesignService';
 import { preloadSlide } from '../../services/mediaPreloader';
+import {
+  COUNTDOWN_FORMATS,
+  COUNTDOWN_EXPIRY_ACTIONS,
+  DEFAULT_COUNTDOWN_UNITS,
+  parseCountdownTarget,
+  getCountdownState,
+  hasCountdownSwaps,
+  getCountdownSwaps,
+  formatCountdown,
+} from '../../services/countdownService';
+import { resolveRowsBinding } from '../../services/dataBindingResolver';
+import MenuBoard from '../MenuBoard';
 
 /**
  * Main LivePreviewWindow component
@@ -307,6 +319,16 @@ function PreviewRenderer({ design, slideIndex, showSafeZone }) {
   // Transition styles
   const transitionStyles = getSlideTransitionStyles(design.transition);
 
+  // Countdowns that swap to another block when they expire
+  const [, setCountdownTick] = useState(0);
+  const watchesCountdowns = hasCountdownSwaps(design.blocks);
+  useEffect(() => {
+    if (!watchesCountdowns) return;
+    const interval = setInterval(() => setCountdownTick(tick => tick + 1), 1000);
+    return () => clearInterval(interval);
+  }, [watchesCountdowns]);
+  const { hiddenBlockIds } = getCountdownSwaps(watchesCountdowns ? design.blocks : [], { now: Date.now() });
+
   // Sort blocks by layer
   const sortedBlocks = useMemo(() => {
     return [...(design.blocks || [])].sort((a, b) => (a.layer || 1) - (b.layer || 1));
@@ -331,7 +353,7 @@ function PreviewRenderer({ design, slideIndex, showSafeZone }) {
       `}</style>
 
       {/* Render blocks */}
-      {sortedBlocks.map((block, index) => (
+      {sortedBlocks.filter(block => !hiddenBlockIds.has(block.id)).map((block, index) => (
         <PreviewBlock key={block.id || index} block={block} />
       ))}
 
@@ -427,7 +449,11 @@ function PreviewBlock({ block }) {
     case 'widget':
       return (
         <div style={baseStyle}>
-          <PreviewWidget widgetType={widgetType} props={props} />
+          {widgetType === 'menu' ? (
+            <PreviewMenu props={props} dataBinding={block.dataBinding} />
+          ) : (
+            <PreviewWidget widgetType={widgetType} props={props} />
+          )}
         </div>
       );
 
@@ -436,6 +462,33 @@ function PreviewBlock({ block }) {
   }
 }
 
+/**
+ * PreviewMenu - Renders a menu widget from its bound menu data source
+ */
+function PreviewMenu({ props, dataBinding }) {
+  const [rows, setRows] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  const sourceId = dataBinding?.sourceId;
+
+  useEffect(() => {
+    let cancelled = false;
+    resolveRowsBinding({ sourceId }).then((values) => {
+      if (!cancelled) setRows(values);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [sourceId]);
+
+  // Dayparts change on the minute
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  return <MenuBoard rows={rows} props={props} now={now} />;
+}
+
 /**
  * PreviewWidget - Renders widget blocks (clock, date, etc.)
  */
@@ -502,6 +555,55 @@ function PreviewWidget({ widgetType, props = {} }) {
         </div>
       );
 
+    case 'countdown': {
+      const countdown = getCountdownState({
+        target: parseCountdownTarget(props.targetAt),
+        now: time.getTime(),
+        mode: props.countMode,
+        expiredAction: props.expiredAction,
+        units: props.countdownUnits || DEFAULT_COUNTDOWN_UNITS,
+      });
+      if (countdown.status === 'invalid') return null;
+
+      const expiredMedia = props.expiredAction === COUNTDOWN_EXPIRY_ACTIONS.SHOW_MEDIA ? props.expiredMedia : null;
+      if (countdown.status === 'expired' && expiredMedia?.url) {
+        const mediaStyle = { width: '100%', height: '100%', objectFit: 'cover' };
+        return expiredMedia.type === 'video' ? (
+          <video src={expiredMedia.url} style={mediaStyle} autoPlay muted loop playsInline />
+        ) : (
+          <img src={expiredMedia.url} alt="" style={mediaStyle} />
+        );
+      }
+
+      const format = props.countdownFormat === COUNTDOWN_FORMATS.TEXT ? COUNTDOWN_FORMATS.TEXT : COUNTDOWN_FORMATS.COMPACT;
+      return (
+        <div
+          style={{
+            width: '100%',
+            height: '100%',
+            display: 'flex',
+            flexDirection: 'column',
+            alignItems: 'center',
+            justifyContent: 'center',
+            color: props.textColor || '#ffffff',
+            fontFamily: 'system-ui, sans-serif',
+            fontSize: 'clamp(1rem, 5vw, 3rem)',
+            fontWeight: '600',
+            textAlign: 'center',
+          }}
+        >
+          {countdown.status === 'expired' ? (
+            props.expiredAction === COUNTDOWN_EXPIRY_ACTIONS.TEXT || !props.expiredAction ? props.expiredText : null
+          ) : (
+            <>
+              {props.label && <div style={{ fontSize: '0.4em', fontWeight: '400', opacity: 0.8 }}>{props.label}</div>}
+              {formatCountdown(countdown.parts, format)}
+            </>
+          )}
+        </div>
+      );
+    }
+
     default:
       return (
         <div
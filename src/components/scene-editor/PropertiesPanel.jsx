@@ -28,6 +28,10 @@ import {
   Database,
   ChevronDown,
   X,
+  Zap,
+  MousePointerClick,
+  Timer,
+  UtensilsCrossed,
 } from 'lucide-react';
 import { Button } from '../../design-system';
 import {
@@ -37,6 +41,23 @@ import {
 } from '../../services/sceneDesignService';
 import { fetchDataSources, getDataSource, FIELD_DATA_TYPES } from '../../services/dataSourceService';
 import { getBindingDisplayText } from '../../services/dataBindingResolver';
+import ContentTriggersModal from '../modals/ContentTriggersModal';
+import {
+  BLOCK_ACTION_TYPES,
+  BLOCK_ACTION_OPTIONS,
+  MIN_IDLE_TIMEOUT_SECONDS,
+  MAX_IDLE_TIMEOUT_SECONDS,
+  getKioskSettings,
+} from '../../services/kioskNavigationService';
+import {
+  COUNTDOWN_MODES,
+  COUNTDOWN_UNITS,
+  COUNTDOWN_FORMATS,
+  COUNTDOWN_EXPIRY_ACTIONS,
+  DEFAULT_COUNTDOWN_UNITS,
+} from '../../services/countdownService';
+import { fetchMenus, fetchMenu, MENU_DAYPART_MODES } from '../../services/menuService';
+import { fetchMediaAssets } from '../../services/mediaService';
 
 // Color presets
 const COLOR_PRESETS = [
@@ -52,6 +73,10 @@ export default function PropertiesPanel({
   onDesignUpdate,
   smartGuidesEnabled = true,
   onSmartGuidesChange,
+  scene,
+  slides = [],
+  scenes = [],
+  onSceneSettingsUpdate,
 }) {
   if (!block) {
     return (
@@ -69,6 +94,14 @@ export default function PropertiesPanel({
           {/* Slide transition settings (available without block selected) */}
           <SlideTransitionControls design={design} onDesignUpdate={onDesignUpdate} />
 
+          {/* Data triggers for the slide */}
+          <SlideTriggerControls design={design} onDesignUpdate={onDesignUpdate} />
+
+          {/* Touch kiosk settings for the scene */}
+          {scene && onSceneSettingsUpdate && (
+            <KioskSettingsControls scene={scene} onSceneSettingsUpdate={onSceneSettingsUpdate} />
+          )}
+
           {/* Editor settings */}
           <EditorSettings
             smartGuidesEnabled={smartGuidesEnabled}
@@ -104,18 +137,33 @@ export default function PropertiesPanel({
           <ShapeControls block={block} onUpdate={onBlockUpdate} />
         )}
         {block.type === 'widget' && (
-          <WidgetControls block={block} onUpdate={onBlockUpdate} />
+          <WidgetControls block={block} onUpdate={onBlockUpdate} blocks={design?.blocks || []} slides={slides} />
         )}
 
         {/* Common controls */}
         <PositionControls block={block} onUpdate={onBlockUpdate} />
         <LayerControls block={block} onUpdate={onBlockUpdate} />
         <AnimationControls block={block} onUpdate={onBlockUpdate} />
+        <TapActionControls
+          block={block}
+          onUpdate={onBlockUpdate}
+          slides={slides}
+          scenes={scenes}
+          currentSceneId={scene?.id}
+        />
       </div>
 
       {/* Slide transition settings */}
       <SlideTransitionControls design={design} onDesignUpdate={onDesignUpdate} />
 
+      {/* Data triggers for the slide */}
+      <SlideTriggerControls design={design} onDesignUpdate={onDesignUpdate} />
+
+      {/* Touch kiosk settings for the scene */}
+      {scene && onSceneSettingsUpdate && (
+        <KioskSettingsControls scene={scene} onSceneSettingsUpdate={onSceneSettingsUpdate} />
+      )}
+
       {/* Editor settings */}
       <EditorSettings
         smartGuidesEnabled={smartGuidesEnabled}
@@ -623,16 +671,20 @@ function ShapeControls({ block, onUpdate }) {
 // WIDGET CONTROLS
 // ===========================================
 
-function WidgetControls({ block, onUpdate }) {
+function WidgetControls({ block, onUpdate, blocks = [], slides = [] }) {
   const widgetTypes = [
     { key: 'clock', icon: Clock, label: 'Clock' },
     { key: 'date', icon: Calendar, label: 'Date' },
     { key: 'weather', icon: CloudSun, label: 'Weather' },
     { key: 'qr', icon: QrCode, label: 'QR Code' },
+    { key: 'countdown', icon: Timer, label: 'Countdown' },
+    { key: 'menu', icon: UtensilsCrossed, label: 'Menu' },
   ];
 
   const props = block.props || {};
   const widgetType = block.widgetType || 'clock';
+  const countdownUnits = props.countdownUnits || DEFAULT_COUNTDOWN_UNITS;
+  const hasTargetBinding = Boolean(block.dataBinding?.sourceId && block.dataBinding?.field);
 
   function handleTypeChange(newType) {
     onUpdate({ widgetType: newType });
@@ -642,6 +694,18 @@ function WidgetControls({ block, onUpdate }) {
     onUpdate({ props: { ...props, [key]: value } });
   }
 
+  function handleUnitToggle(unit) {
+    const next = countdownUnits.includes(unit)
+      ? countdownUnits.filter(key => key !== unit)
+      : [...countdownUnits, unit];
+    if (next.length) handlePropChange('countdownUnits', next);
+  }
+
+  // The widget reads the bound value as a date, so it skips text formatting
+  function handleTargetBindingChange(binding) {
+    onUpdate({ dataBinding: binding ? { ...binding, format: { ...binding.format, raw: true } } : null });
+  }
+
   return (
     <div className="p-4 border-b border-gray-800 space-y-4">
       {/* Widget Type Selection */}
@@ -664,7 +728,7 @@ function WidgetControls({ block, onUpdate }) {
       </div>
 
       {/* Clock / Date / Weather Size Controls */}
-      {(widgetType === 'clock' || widgetType === 'date' || widgetType === 'weather') && (
+      {['clock', 'date', 'weather', 'countdown', 'menu'].includes(widgetType) && (
         <>
           <div>
             <label className="block text-xs text-gray-500 mb-1.5">Size</label>
@@ -801,6 +865,159 @@ function WidgetControls({ block, onUpdate }) {
         </>
       )}
 
+      {/* Countdown Controls */}
+      {widgetType === 'countdown' && (
+        <>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1.5">Count</label>
+            <div className="flex gap-1">
+              {[
+                { key: COUNTDOWN_MODES.DOWN, label: 'Down to' },
+                { key: COUNTDOWN_MODES.UP, label: 'Up from' },
+              ].map(({ key, label }) => (
+                <Button
+                  key={key}
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handlePropChange('countMode', key)}
+                  className={`flex-1 ${(props.countMode || COUNTDOWN_MODES.DOWN) === key ? 'bg-gray-700 text-white' : 'text-gray-400'}`}
+                >
+                  {label}
+                </Button>
+              ))}
+            </div>
+          </div>
+          <DataBindingSection
+            binding={block.dataBinding}
+            onChange={handleTargetBindingChange}
+          />
+          {!hasTargetBinding && (
+            <div>
+              <label className="block text-xs text-gray-500 mb-1.5">Target Date & Time</label>
+              <input
+                type="datetime-local"
+                value={props.targetAt || ''}
+                onChange={(e) => handlePropChange('targetAt', e.target.value)}
+                className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+              />
+              <p className="text-xs text-gray-500 mt-1">In each screen&apos;s own timezone</p>
+            </div>
+          )}
+          <div>
+            <label className="block text-xs text-gray-500 mb-1.5">Units</label>
+            <div className="grid grid-cols-4 gap-1">
+              {COUNTDOWN_UNITS.map(({ key, label }) => (
+                <Button
+                  key={key}
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleUnitToggle(key)}
+                  className={`text-xs ${countdownUnits.includes(key) ? 'bg-gray-700 text-white' : 'text-gray-400'}`}
+                >
+                  {label}
+                </Button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1.5">Format</label>
+            <select
+              value={props.countdownFormat || COUNTDOWN_FORMATS.BLOCKS}
+              onChange={(e) => handlePropChange('countdownFormat', e.target.value)}
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+            >
+              <option value={COUNTDOWN_FORMATS.BLOCKS}>Blocks</option>
+              <option value={COUNTDOWN_FORMATS.COMPACT}>Compact (3d 04:12:09)</option>
+              <option value={COUNTDOWN_FORMATS.TEXT}>Text (3 days 4 hours)</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1.5">Label</label>
+            <input
+              type="text"
+              value={props.label || ''}
+              onChange={(e) => handlePropChange('label', e.target.value)}
+              placeholder="Grand opening in"
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+            />
+          </div>
+          {(props.countMode || COUNTDOWN_MODES.DOWN) === COUNTDOWN_MODES.DOWN && (
+            <div>
+              <label className="block text-xs text-gray-500 mb-1.5">When the Time Is Up</label>
+              <select
+                value={props.expiredAction || COUNTDOWN_EXPIRY_ACTIONS.TEXT}
+                onChange={(e) => handlePropChange('expiredAction', e.target.value)}
+                className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+              >
+                <option value={COUNTDOWN_EXPIRY_ACTIONS.TEXT}>Show text</option>
+                <option value={COUNTDOWN_EXPIRY_ACTIONS.HIDE}>Hide widget</option>
+                <option value={COUNTDOWN_EXPIRY_ACTIONS.COUNT_UP}>Count up since</option>
+                <option value={COUNTDOWN_EXPIRY_ACTIONS.SHOW_MEDIA}>Show an image or video</option>
+                <option value={COUNTDOWN_EXPIRY_ACTIONS.SHOW_BLOCK}>Swap to another block</option>
+                <option value={COUNTDOWN_EXPIRY_ACTIONS.GO_TO_SLIDE}>Go to another slide</option>
+              </select>
+              {props.expiredAction === COUNTDOWN_EXPIRY_ACTIONS.SHOW_MEDIA && (
+                <CountdownMediaPicker
+                  value={props.expiredMedia}
+                  onChange={(media) => handlePropChange('expiredMedia', media)}
+                />
+              )}
+              {props.expiredAction === COUNTDOWN_EXPIRY_ACTIONS.SHOW_BLOCK && (
+                <>
+                  <select
+                    value={props.expiredBlockId || ''}
+                    onChange={(e) => handlePropChange('expiredBlockId', e.target.value || null)}
+                    className="w-full mt-2 bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+                  >
+                    <option value="">Choose a block...</option>
+                    {blocks.filter(b => b.id !== block.id).map((b, index) => (
+                      <option key={b.id} value={b.id}>{describeBlock(b, index)}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">Screens keep that block hidden until the time is up</p>
+                </>
+              )}
+              {props.expiredAction === COUNTDOWN_EXPIRY_ACTIONS.GO_TO_SLIDE && (
+                <>
+                  <select
+                    value={props.expiredSlideId || ''}
+                    onChange={(e) => handlePropChange('expiredSlideId', e.target.value || null)}
+                    className="w-full mt-2 bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+                  >
+                    <option value="">Choose a slide...</option>
+                    {slides.map((slide, index) => (
+                      <option key={slide.id} value={slide.id}>
+                        {slide.title || `Slide ${index + 1}`}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">This slide is skipped once the time is up</p>
+                </>
+              )}
+              {(props.expiredAction || COUNTDOWN_EXPIRY_ACTIONS.TEXT) === COUNTDOWN_EXPIRY_ACTIONS.TEXT && (
+                <input
+                  type="text"
+                  value={props.expiredText || ''}
+                  onChange={(e) => handlePropChange('expiredText', e.target.value)}
+                  placeholder="We're open!"
+                  className="w-full mt-2 bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+                />
+              )}
+            </div>
+          )}
+          <ColorPicker
+            label="Unit Color"
+            value={props.accentColor || '#3b82f6'}
+            onChange={(color) => handlePropChange('accentColor', color)}
+          />
+        </>
+      )}
+
+      {/* Menu Controls */}
+      {widgetType === 'menu' && (
+        <MenuWidgetControls block={block} onUpdate={onUpdate} />
+      )}
+
       {/* Text Color for all widgets */}
       <ColorPicker
         label="Text Color"
@@ -811,6 +1028,206 @@ function WidgetControls({ block, onUpdate }) {
   );
 }
 
+// Short name for a block in pickers
+function describeBlock(block, index) {
+  if (block.type === 'text' && block.props?.text) {
+    const text = block.props.text;
+    return `Text: ${text.length > 24 ? `${text.slice(0, 24)}...` : text}`;
+  }
+  if (block.type === 'widget') return `${block.widgetType || 'clock'} widget`;
+  return `${block.type.charAt(0).toUpperCase()}${block.type.slice(1)} ${index + 1}`;
+}
+
+/**
+ * Image or video from the media library that a countdown shows once it
+ * expires. Stores { id, url, type, name } so players need no lookup.
+ */
+function CountdownMediaPicker({ value, onChange }) {
+  const [media, setMedia] = useState([]);
+
+  useEffect(() => {
+    Promise.all([fetchMediaAssets({ type: 'image' }), fetchMediaAssets({ type: 'video' })])
+      .then(([images, videos]) => setMedia([...images, ...videos]))
+      .catch(() => setMedia([]));
+  }, []);
+
+  function handleChange(id) {
+    const selected = media.find(m => m.id === id);
+    onChange(selected ? { id: selected.id, url: selected.url, type: selected.type, name: selected.name } : null);
+  }
+
+  return (
+    <select
+      value={value?.id || ''}
+      onChange={(e) => handleChange(e.target.value)}
+      className="w-full mt-2 bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+    >
+      <option value="">Choose media...</option>
+      {value?.id && !media.some(m => m.id === value.id) && (
+        <option value={value.id}>{value.name || 'Selected media'}</option>
+      )}
+      {media.map(m => (
+        <option key={m.id} value={m.id}>
+          {m.name} ({m.type})
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// ===========================================
+// MENU WIDGET CONTROLS
+// ===========================================
+
+const MENU_DISPLAY_OPTIONS = [
+  { key: 'showPrices', label: 'Prices', defaultOn: true },
+  { key: 'showDescriptions', label: 'Descriptions', defaultOn: true },
+  { key: 'showModifiers', label: 'Modifiers', defaultOn: false },
+  { key: 'showCalories', label: 'Calories', defaultOn: false },
+  { key: 'showAllergens', label: 'Allergens', defaultOn: false },
+];
+
+function MenuWidgetControls({ block, onUpdate }) {
+  const props = block.props || {};
+  const [menus, setMenus] = useState([]);
+  const [menu, setMenu] = useState(null);
+
+  useEffect(() => {
+    fetchMenus()
+      .then(setMenus)
+      .catch(() => setMenus([]));
+  }, []);
+
+  useEffect(() => {
+    if (!props.menuId) {
+      setMenu(null);
+      return;
+    }
+    fetchMenu(props.menuId)
+      .then(setMenu)
+      .catch(() => setMenu(null));
+  }, [props.menuId]);
+
+  function handlePropChange(key, value) {
+    onUpdate({ props: { ...props, [key]: value } });
+  }
+
+  // The widget lays out every row of the menu's published data source
+  function handleMenuChange(menuId) {
+    const selected = menus.find(m => m.id === menuId);
+    onUpdate({
+      props: { ...props, menuId: menuId || '', menuCategory: '', currencySymbol: selected?.currency_symbol || '$' },
+      dataBinding: selected?.data_source_id
+        ? { sourceId: selected.data_source_id, field: 'name', rowSelector: { mode: 'all' } }
+        : null,
+    });
+  }
+
+  const selectedMenu = menus.find(m => m.id === props.menuId);
+
+  return (
+    <>
+      <div>
+        <label className="block text-xs text-gray-500 mb-1.5">Menu</label>
+        <select
+          value={props.menuId || ''}
+          onChange={(e) => handleMenuChange(e.target.value)}
+          className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+        >
+          <option value="">Select a menu...</option>
+          {menus.map(m => (
+            <option key={m.id} value={m.id}>{m.name}</option>
+          ))}
+        </select>
+        {selectedMenu && !selectedMenu.data_source_id && (
+          <p className="text-xs text-yellow-500 mt-1">Publish this menu from Menus to show it on screens</p>
+        )}
+      </div>
+      {menu && (
+        <>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1.5">Category</label>
+            <select
+              value={props.menuCategory || ''}
+              onChange={(e) => handlePropChange('menuCategory', e.target.value)}
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+            >
+              <option value="">All categories</option>
+              {menu.categories.map(category => (
+                <option key={category.id} value={category.name}>{category.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1.5">Daypart</label>
+            <select
+              value={props.menuDaypart || MENU_DAYPART_MODES.AUTO}
+              onChange={(e) => handlePropChange('menuDaypart', e.target.value)}
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+            >
+              <option value={MENU_DAYPART_MODES.AUTO}>Follow the time of day</option>
+              <option value={MENU_DAYPART_MODES.ALL}>Show every item</option>
+              {(menu.dayparts || []).map(daypart => (
+                <option key={daypart.key} value={daypart.key}>{daypart.label} only</option>
+              ))}
+            </select>
+          </div>
+        </>
+      )}
+      <div>
+        <label className="block text-xs text-gray-500 mb-1.5">Show</label>
+        <div className="grid grid-cols-2 gap-1">
+          {MENU_DISPLAY_OPTIONS.map(({ key, label, defaultOn }) => {
+            const on = props[key] ?? defaultOn;
+            return (
+              <Button
+                key={key}
+                variant="ghost"
+                size="sm"
+                onClick={() => handlePropChange(key, !on)}
+                className={`text-xs ${on ? 'bg-gray-700 text-white' : 'text-gray-400'}`}
+              >
+                {label}
+              </Button>
+            );
+          })}
+        </div>
+      </div>
+      <div>
+        <label className="block text-xs text-gray-500 mb-1.5">Columns</label>
+        <div className="grid grid-cols-4 gap-1">
+          {[1, 2, 3, 4].map(count => (
+            <Button
+              key={count}
+              variant="ghost"
+              size="sm"
+              onClick={() => handlePropChange('menuColumns', count)}
+              className={`text-xs ${(props.menuColumns || 1) === count ? 'bg-gray-700 text-white' : 'text-gray-400'}`}
+            >
+              {count}
+            </Button>
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className="block text-xs text-gray-500 mb-1.5">Title</label>
+        <input
+          type="text"
+          value={props.label || ''}
+          onChange={(e) => handlePropChange('label', e.target.value)}
+          placeholder="Breakfast"
+          className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+        />
+      </div>
+      <ColorPicker
+        label="Heading Color"
+        value={props.accentColor || '#3b82f6'}
+        onChange={(color) => handlePropChange('accentColor', color)}
+      />
+    </>
+  );
+}
+
 // ===========================================
 // POSITION CONTROLS
 // ===========================================
@@ -1082,6 +1499,206 @@ function SlideTransitionControls({ design, onDesignUpdate }) {
   );
 }
 
+// ===========================================
+// SLIDE TRIGGER CONTROLS
+// ===========================================
+
+function SlideTriggerControls({ design, onDesignUpdate }) {
+  const [showEditor, setShowEditor] = useState(false);
+  const triggers = design.triggers || [];
+
+  function handleSave(rules) {
+    if (rules.length === 0) {
+      const { triggers: _, ...rest } = design;
+      onDesignUpdate(rest);
+    } else {
+      onDesignUpdate({ ...design, triggers: rules });
+    }
+  }
+
+  return (
+    <div className="p-4 border-b border-gray-800">
+      <div className="flex items-center gap-2 mb-2">
+        <Zap className="w-4 h-4 text-gray-400" />
+        <span className="text-xs text-gray-500 font-medium">Data Triggers</span>
+      </div>
+      <button
+        onClick={() => setShowEditor(true)}
+        className="w-full flex items-center justify-between bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white hover:border-gray-600"
+      >
+        <span>
+          {triggers.length > 0 ? `${triggers.length} rule${triggers.length !== 1 ? 's' : ''}` : 'Always show'}
+        </span>
+        <span className="text-xs text-blue-400">Edit</span>
+      </button>
+      <p className="text-xs text-gray-500 mt-1.5">
+        Show, hide or prioritize this slide from data source values
+      </p>
+
+      {showEditor && (
+        <ContentTriggersModal
+          isOpen
+          onClose={() => setShowEditor(false)}
+          subject="this slide"
+          rules={triggers}
+          onSave={handleSave}
+        />
+      )}
+    </div>
+  );
+}
+
+// ===========================================
+// TOUCH KIOSK CONTROLS
+// ===========================================
+
+function TapActionControls({ block, onUpdate, slides, scenes, currentSceneId }) {
+  const action = block.action || { type: BLOCK_ACTION_TYPES.NONE };
+  const otherScenes = scenes.filter(s => s.id !== currentSceneId);
+
+  function handleTypeChange(type) {
+    // The page merges block updates, so clear with null rather than omitting
+    onUpdate({ action: type === BLOCK_ACTION_TYPES.NONE ? null : { type } });
+  }
+
+  function handleActionChange(key, value) {
+    onUpdate({ action: { ...action, [key]: value } });
+  }
+
+  return (
+    <div className="p-4 border-b border-gray-800 space-y-3">
+      <div className="flex items-center gap-2 mb-2">
+        <MousePointerClick className="w-4 h-4 text-gray-400" />
+        <span className="text-xs text-gray-500 font-medium">Tap Action</span>
+      </div>
+
+      <select
+        value={action.type}
+        onChange={(e) => handleTypeChange(e.target.value)}
+        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+      >
+        {BLOCK_ACTION_OPTIONS.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      {action.type === BLOCK_ACTION_TYPES.GO_TO_SLIDE && (
+        <div>
+          <label className="block text-xs text-gray-500 mb-1.5">Slide</label>
+          <select
+            value={action.slideId || ''}
+            onChange={(e) => handleActionChange('slideId', e.target.value || null)}
+            className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+          >
+            <option value="">Choose a slide...</option>
+            {slides.map((slide, index) => (
+              <option key={slide.id} value={slide.id}>
+                {slide.title || `Slide ${index + 1}`}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {action.type === BLOCK_ACTION_TYPES.GO_TO_SCENE && (
+        <div>
+          <label className="block text-xs text-gray-500 mb-1.5">Scene</label>
+          <select
+            value={action.sceneId || ''}
+            onChange={(e) => handleActionChange('sceneId', e.target.value || null)}
+            className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+          >
+            <option value="">Choose a scene...</option>
+            {otherScenes.map(s => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+          {otherScenes.length === 0 && (
+            <p className="text-xs text-gray-500 mt-1.5">Create another scene to link to it</p>
+          )}
+        </div>
+      )}
+
+      {action.type === BLOCK_ACTION_TYPES.SHOW_QR && (
+        <>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1.5">Link</label>
+            <input
+              type="url"
+              value={action.url || ''}
+              onChange={(e) => handleActionChange('url', e.target.value)}
+              placeholder="https://"
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1.5">Title</label>
+            <input
+              type="text"
+              value={action.title || ''}
+              onChange={(e) => handleActionChange('title', e.target.value)}
+              placeholder="e.g. Book a table"
+              className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+            />
+          </div>
+        </>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Makes this block a button on touch screens
+      </p>
+    </div>
+  );
+}
+
+function KioskSettingsControls({ scene, onSceneSettingsUpdate }) {
+  const { idleTimeoutSeconds } = getKioskSettings(scene);
+  const [value, setValue] = useState(String(idleTimeoutSeconds));
+
+  useEffect(() => {
+    setValue(String(idleTimeoutSeconds));
+  }, [idleTimeoutSeconds]);
+
+  function handleCommit() {
+    const seconds = parseInt(value, 10);
+    if (!Number.isFinite(seconds)) {
+      setValue(String(idleTimeoutSeconds));
+      return;
+    }
+    const clamped = Math.min(Math.max(seconds, MIN_IDLE_TIMEOUT_SECONDS), MAX_IDLE_TIMEOUT_SECONDS);
+    setValue(String(clamped));
+    if (clamped !== idleTimeoutSeconds) {
+      const settings = scene.settings || {};
+      onSceneSettingsUpdate({
+        ...settings,
+        kiosk: { ...settings.kiosk, idleTimeoutSeconds: clamped },
+      });
+    }
+  }
+
+  return (
+    <div className="p-4 border-b border-gray-800">
+      <div className="flex items-center gap-2 mb-2">
+        <Timer className="w-4 h-4 text-gray-400" />
+        <span className="text-xs text-gray-500 font-medium">Touch Kiosk</span>
+      </div>
+      <label className="block text-xs text-gray-500 mb-1.5">Idle timeout (seconds)</label>
+      <input
+        type="number"
+        min={MIN_IDLE_TIMEOUT_SECONDS}
+        max={MAX_IDLE_TIMEOUT_SECONDS}
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onBlur={handleCommit}
+        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-3 py-2 text-sm text-white"
+      />
+      <p className="text-xs text-gray-500 mt-1.5">
+        After a touch, the slideshow pauses and returns to the first slide once the screen is left alone this long
+      </p>
+    </div>
+  );
+}
+
 // ===========================================
 // EDITOR SETTINGS
 // ===========================================
@@ -0,0 +1,483 @@
+/**
+ * ExceptionCalendarsModal
+ *
+ * Manage holiday/exception calendars and attach them to a schedule or a location.
+ * Calendars can be entered by hand or imported from iCalendar (.ics) files.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import {
+  CalendarOff,
+  Plus,
+  Trash2,
+  Upload,
+  Loader2,
+  ChevronLeft,
+  Power,
+  Play,
+} from 'lucide-react';
+import {
+  Modal,
+  ModalHeader,
+  ModalTitle,
+  ModalDescription,
+  ModalContent,
+  ModalFooter,
+  Button,
+} from '../../design-system';
+import { supabase } from '../../supabase';
+import {
+  fetchExceptionCalendars,
+  fetchExceptionCalendar,
+  createExceptionCalendar,
+  deleteExceptionCalendar,
+  createExceptionEvent,
+  deleteExceptionEvent,
+  attachExceptionCalendar,
+  detachExceptionCalendar,
+  importICalendar,
+  EXCEPTION_ACTIONS,
+} from '../../services/exceptionCalendarService';
+
+const todayString = () => new Date().toISOString().split('T')[0];
+
+const EMPTY_EVENT = {
+  name: '',
+  start_date: todayString(),
+  end_date: todayString(),
+  all_day: true,
+  start_time: '09:00',
+  end_time: '17:00',
+  action: EXCEPTION_ACTIONS.SCREEN_OFF,
+  content_type: 'playlist',
+  content_id: '',
+};
+
+const formatEventDates = (event) => {
+  const dates = event.start_date === event.end_date
+    ? event.start_date
+    : `${event.start_date} – ${event.end_date}`;
+  if (!event.start_time && !event.end_time) return `${dates} · All day`;
+  // Timed events spanning days run continuously from start to end
+  if (event.start_date !== event.end_date) {
+    return `${event.start_date} ${event.start_time?.slice(0, 5)} – ${event.end_date} ${event.end_time?.slice(0, 5)}`;
+  }
+  return `${dates} · ${event.start_time?.slice(0, 5)}–${event.end_time?.slice(0, 5)}`;
+};
+
+export default function ExceptionCalendarsModal({
+  isOpen,
+  onClose,
+  scheduleId = null,
+  locationId = null,
+  targetName = '',
+  timeZone = null,
+  showToast,
+}) {
+  const [calendars, setCalendars] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [newCalendarName, setNewCalendarName] = useState('');
+  const [selectedCalendar, setSelectedCalendar] = useState(null);
+  const [eventForm, setEventForm] = useState(EMPTY_EVENT);
+  const [contentOptions, setContentOptions] = useState({ playlist: [], layout: [], scene: [] });
+  const fileInputRef = useRef(null);
+
+  const target = scheduleId ? { scheduleId } : { locationId };
+
+  useEffect(() => {
+    if (isOpen) {
+      loadCalendars();
+      loadContentOptions();
+    } else {
+      setSelectedCalendar(null);
+    }
+  }, [isOpen]);
+
+  const loadCalendars = async () => {
+    try {
+      setLoading(true);
+      setCalendars(await fetchExceptionCalendars());
+    } catch (error) {
+      console.error('Error loading exception calendars:', error);
+      showToast?.('Error loading calendars: ' + error.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadContentOptions = async () => {
+    const [playlistsResult, layoutsResult, scenesResult] = await Promise.all([
+      supabase.from('playlists').select('id, name').order('name'),
+      supabase.from('layouts').select('id, name').order('name'),
+      supabase.from('scenes').select('id, name').eq('is_active', true).order('name')
+    ]);
+    setContentOptions({
+      playlist: playlistsResult.data || [],
+      layout: layoutsResult.data || [],
+      scene: scenesResult.data || [],
+    });
+  };
+
+  const openCalendar = async (calendarId) => {
+    try {
+      setBusy(true);
+      setSelectedCalendar(await fetchExceptionCalendar(calendarId));
+      setEventForm(EMPTY_EVENT);
+    } catch (error) {
+      console.error('Error loading calendar:', error);
+      showToast?.('Error loading calendar: ' + error.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const isAttached = (calendar) => (calendar.links || calendar.schedule_exception_links || []).some(link =>
+    scheduleId ? link.schedule_id === scheduleId : link.location_id === locationId
+  );
+
+  const handleToggleAttached = async (calendar) => {
+    try {
+      setBusy(true);
+      if (isAttached(calendar)) {
+        await detachExceptionCalendar(calendar.id, target);
+      } else {
+        await attachExceptionCalendar(calendar.id, target);
+      }
+      await loadCalendars();
+    } catch (error) {
+      console.error('Error updating calendar attachment:', error);
+      showToast?.('Error updating calendar: ' + error.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreateCalendar = async (e) => {
+    e.preventDefault();
+    if (!newCalendarName.trim()) return;
+    try {
+      setBusy(true);
+      const calendar = await createExceptionCalendar({ name: newCalendarName });
+      await attachExceptionCalendar(calendar.id, target);
+      setNewCalendarName('');
+      await loadCalendars();
+      showToast?.('Calendar created');
+    } catch (error) {
+      console.error('Error creating calendar:', error);
+      showToast?.('Error creating calendar: ' + error.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setBusy(true);
+      const text = await file.text();
+      const { calendar, inserted } = await importICalendar(text, {
+        name: file.name.replace(/\.ics$/i, ''),
+        timeZone,
+      });
+      await attachExceptionCalendar(calendar.id, target);
+      await loadCalendars();
+      showToast?.(`Imported ${inserted} exception${inserted !== 1 ? 's' : ''}`);
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      showToast?.('Error importing calendar: ' + error.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDeleteCalendar = async (calendar) => {
+    if (!window.confirm(`Delete "${calendar.name}"? It will be removed from every schedule and location.`)) return;
+    try {
+      setBusy(true);
+      await deleteExceptionCalendar(calendar.id);
+      await loadCalendars();
+    } catch (error) {
+      console.error('Error deleting calendar:', error);
+      showToast?.('Error deleting calendar: ' + error.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAddEvent = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      await createExceptionEvent(selectedCalendar.id, eventForm);
+      await openCalendar(selectedCalendar.id);
+      showToast?.('Exception added');
+    } catch (error) {
+      console.error('Error adding exception:', error);
+      showToast?.('Error adding exception: ' + error.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDeleteEvent = async (eventId) => {
+    try {
+      setBusy(true);
+      await deleteExceptionEvent(eventId);
+      await openCalendar(selectedCalendar.id);
+    } catch (error) {
+      console.error('Error deleting exception:', error);
+      showToast?.('Error deleting exception: ' + error.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-[#f26f21] focus:border-[#f26f21]';
+
+  return (
+    <Modal open={isOpen} onClose={onClose} size="lg">
+      <ModalHeader>
+        <ModalTitle className="flex items-center gap-2">
+          {selectedCalendar && (
+            <button
+              onClick={() => setSelectedCalendar(null)}
+              className="p-1 hover:bg-gray-100 rounded"
+              aria-label="Back to calendars"
+            >
+              <ChevronLeft size={18} />
+            </button>
+          )}
+          <CalendarOff size={20} className="text-[#f26f21]" />
+          {selectedCalendar ? selectedCalendar.name : 'Holidays & Exceptions'}
+        </ModalTitle>
+        <ModalDescription>
+          {selectedCalendar
+            ? 'Dates in this calendar override the regular schedule.'
+            : `Calendars attached to ${targetName || (scheduleId ? 'this schedule' : 'this location')} override its regular schedule on matching dates.`}
+        </ModalDescription>
+      </ModalHeader>
+
+      <ModalContent>
+        {loading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="w-6 h-6 animate-spin text-gray-400" />
+          </div>
+        ) : selectedCalendar ? (
+          <div className="space-y-4">
+            {/* Events */}
+            <div className="space-y-2 max-h-64 overflow-y-auto">
+              {(selectedCalendar.schedule_exception_events || []).length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-4">No exceptions yet</p>
+              ) : (
+                selectedCalendar.schedule_exception_events.map(event => (
+                  <div key={event.id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                    <div className="min-w-0">
+                      <div className="text-sm font-medium text-gray-900 truncate">{event.name}</div>
+                      <div className="text-xs text-gray-500">{formatEventDates(event)}</div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <span className="text-xs text-gray-500 flex items-center gap-1">
+                        {event.action === EXCEPTION_ACTIONS.SCREEN_OFF
+                          ? (<><Power size={12} /> Screen off</>)
+                          : (<><Play size={12} /> Alternate content</>)}
+                      </span>
+                      <button
+                        onClick={() => handleDeleteEvent(event.id)}
+                        disabled={busy}
+                        className="p-1 text-gray-400 hover:text-red-500"
+                        aria-label={`Delete ${event.name}`}
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+
+            {/* Add event */}
+            <form onSubmit={handleAddEvent} className="border-t border-gray-200 pt-4 space-y-3">
+              <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wider">Add exception</h3>
+              <input
+                type="text"
+                placeholder="Name (e.g. Christmas Day)"
+                value={eventForm.name}
+                onChange={(e) => setEventForm(prev => ({ ...prev, name: e.target.value }))}
+                className={inputClass}
+              />
+              <div className="flex gap-2">
+                <input
+                  type="date"
+                  value={eventForm.start_date}
+                  onChange={(e) => setEventForm(prev => ({
+                    ...prev,
+                    start_date: e.target.value,
+                    end_date: prev.end_date < e.target.value ? e.target.value : prev.end_date
+                  }))}
+                  className={inputClass}
+                  aria-label="Start date"
+                />
+                <input
+                  type="date"
+                  value={eventForm.end_date}
+                  min={eventForm.start_date}
+                  onChange={(e) => setEventForm(prev => ({ ...prev, end_date: e.target.value }))}
+                  className={inputClass}
+                  aria-label="End date"
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={eventForm.all_day}
+                  onChange={(e) => setEventForm(prev => ({ ...prev, all_day: e.target.checked }))}
+                  className="rounded border-gray-300"
+                />
+                All day
+              </label>
+              {!eventForm.all_day && (
+                <div className="flex gap-2">
+                  <input
+                    type="time"
+                    value={eventForm.start_time}
+                    onChange={(e) => setEventForm(prev => ({ ...prev, start_time: e.target.value }))}
+                    className={inputClass}
+                    aria-label="Start time"
+                  />
+                  <input
+                    type="time"
+                    value={eventForm.end_time}
+                    onChange={(e) => setEventForm(prev => ({ ...prev, end_time: e.target.value }))}
+                    className={inputClass}
+                    aria-label="End time"
+                  />
+                </div>
+              )}
+              <select
+                value={eventForm.action}
+                onChange={(e) => setEventForm(prev => ({ ...prev, action: e.target.value }))}
+                className={inputClass}
+                aria-label="Action"
+              >
+                <option value={EXCEPTION_ACTIONS.SCREEN_OFF}>Turn screen off</option>
+                <option value={EXCEPTION_ACTIONS.CONTENT}>Play alternate content</option>
+              </select>
+              {eventForm.action === EXCEPTION_ACTIONS.CONTENT && (
+                <div className="flex gap-2">
+                  <select
+                    value={eventForm.content_type}
+                    onChange={(e) => setEventForm(prev => ({ ...prev, content_type: e.target.value, content_id: '' }))}
+                    className={inputClass}
+                    aria-label="Content type"
+                  >
+                    <option value="playlist">Playlist</option>
+                    <option value="layout">Layout</option>
+                    <option value="scene">Scene</option>
+                  </select>
+                  <select
+                    value={eventForm.content_id}
+                    onChange={(e) => setEventForm(prev => ({ ...prev, content_id: e.target.value }))}
+                    className={inputClass}
+                    aria-label="Content"
+                  >
+                    <option value="">Select {eventForm.content_type}</option>
+                    {(contentOptions[eventForm.content_type] || []).map(item => (
+                      <option key={item.id} value={item.id}>{item.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="flex justify-end">
+                <Button type="submit" size="sm" disabled={busy}>
+                  <Plus size={14} />
+                  Add exception
+                </Button>
+              </div>
+            </form>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {calendars.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-4">
+                No exception calendars yet. Create one or import an .ics file.
+              </p>
+            ) : (
+              <div className="space-y-2 max-h-72 overflow-y-auto">
+                {calendars.map(calendar => (
+                  <div key={calendar.id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                    <label className="flex items-center gap-3 min-w-0 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={isAttached(calendar)}
+                        onChange={() => handleToggleAttached(calendar)}
+                        disabled={busy}
+                        className="rounded border-gray-300"
+                        aria-label={`Attach ${calendar.name}`}
+                      />
+                      <div className="min-w-0">
+                        <div className="text-sm font-medium text-gray-900 truncate">{calendar.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {calendar.event_count} exception{calendar.event_count !== 1 ? 's' : ''}
+                          {calendar.source === 'ical' ? ' · imported' : ''}
+                        </div>
+                      </div>
+                    </label>
+                    <div className="flex items-center gap-1">
+                      <Button variant="secondary" size="sm" onClick={() => openCalendar(calendar.id)} disabled={busy}>
+                        Edit
+                      </Button>
+                      <button
+                        onClick={() => handleDeleteCalendar(calendar)}
+                        disabled={busy}
+                        className="p-1 text-gray-400 hover:text-red-500"
+                        aria-label={`Delete ${calendar.name}`}
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <form onSubmit={handleCreateCalendar} className="flex gap-2 border-t border-gray-200 pt-4">
+              <input
+                type="text"
+                placeholder="New calendar name"
+                value={newCalendarName}
+                onChange={(e) => setNewCalendarName(e.target.value)}
+                className={inputClass}
+              />
+              <Button type="submit" size="sm" disabled={busy || !newCalendarName.trim()}>
+                <Plus size={14} />
+                Create
+              </Button>
+            </form>
+          </div>
+        )}
+      </ModalContent>
+
+      <ModalFooter>
+        {!selectedCalendar && (
+          <>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".ics,text/calendar"
+              className="hidden"
+              onChange={handleImport}
+            />
+            <Button variant="secondary" onClick={() => fileInputRef.current?.click()} disabled={busy}>
+              <Upload size={16} />
+              Import .ics
+            </Button>
+          </>
+        )}
+        <Button onClick={onClose}>Done</Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
@@ -0,0 +1,152 @@
+/**
+ * ScreenTimelineGantt.jsx
+ * Gantt-style week view of a simulated screen timeline.
+ * One row per day; clicking a segment explains why it plays and what it outranked.
+ */
+
+import { useState } from 'react';
+import { TIMELINE_SOURCE_LABELS } from '../../services/scheduleSimulationService';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const SOURCE_COLORS = {
+  device_override: 'bg-blue-500',
+  group_override: 'bg-indigo-500',
+  exception_calendar: 'bg-slate-700',
+  campaign: 'bg-red-500',
+  schedule: 'bg-teal-500',
+  legacy_schedule: 'bg-teal-400',
+  assigned_layout: 'bg-purple-500',
+  assigned_playlist: 'bg-orange-500',
+  none: 'bg-gray-200'
+};
+
+const HOUR_TICKS = [0, 6, 12, 18, 24];
+
+function formatDay(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+function segmentLabel(segment) {
+  return segment.contentName || TIMELINE_SOURCE_LABELS[segment.source];
+}
+
+/**
+ * ScreenTimelineGantt - Renders a timeline from simulateScreenTimeline
+ *
+ * @param {Object} props
+ * @param {Object} props.timeline - Simulated timeline
+ */
+export function ScreenTimelineGantt({ timeline }) {
+  const [selected, setSelected] = useState(null);
+
+  const days = [];
+  for (const segment of timeline.segments) {
+    const day = days[days.length - 1];
+    if (day && day.date === segment.date) {
+      day.segments.push(segment);
+    } else {
+      days.push({ date: segment.date, segments: [segment] });
+    }
+  }
+
+  const usedSources = Object.keys(timeline.summary || {});
+
+  return (
+    <div className="space-y-3">
+      {/* Hour axis */}
+      <div className="flex text-[10px] text-gray-400">
+        <div className="w-20 flex-shrink-0" />
+        <div className="flex-1 relative h-3">
+          {HOUR_TICKS.map(hour => (
+            <span
+              key={hour}
+              className="absolute -translate-x-1/2"
+              style={{ left: `${(hour / 24) * 100}%` }}
+            >
+              {hour.toString().padStart(2, '0')}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* Day rows */}
+      <div className="space-y-1">
+        {days.map(day => (
+          <div key={day.date} className="flex items-center">
+            <div className="w-20 flex-shrink-0 text-xs text-gray-600">{formatDay(day.date)}</div>
+            <div className="flex-1 flex h-6 rounded overflow-hidden bg-gray-100">
+              {day.segments.map(segment => {
+                const isSelected = selected === segment;
+                return (
+                  <button
+                    key={segment.start}
+                    type="button"
+                    onClick={() => setSelected(isSelected ? null : segment)}
+                    className={`h-full ${SOURCE_COLORS[segment.source] || SOURCE_COLORS.none} ${
+                      isSelected ? 'ring-2 ring-inset ring-gray-900' : 'hover:opacity-80'
+                    } border-r border-white/40 last:border-r-0`}
+                    style={{ width: `${((segment.end - segment.start) / MINUTES_PER_DAY) * 100}%` }}
+                    title={`${segment.startTime}–${segment.endTime} · ${segmentLabel(segment)}`}
+                    aria-label={`${day.date} ${segment.startTime} to ${segment.endTime}: ${segmentLabel(segment)}`}
+                  />
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap gap-x-3 gap-y-1">
+        {usedSources.map(source => (
+          <div key={source} className="flex items-center gap-1 text-xs text-gray-600">
+            <span className={`w-2.5 h-2.5 rounded-sm ${SOURCE_COLORS[source]}`} />
+            {TIMELINE_SOURCE_LABELS[source]}
+          </div>
+        ))}
+      </div>
+
+      {/* Selected segment details */}
+      {selected ? (
+        <div className="bg-gray-50 rounded-lg p-3 border border-gray-200 space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-xs text-gray-500">
+              {formatDay(selected.date)} · {selected.startTime}–{selected.endTime}
+            </span>
+            <span className="text-xs font-medium text-gray-700">
+              {TIMELINE_SOURCE_LABELS[selected.source]}
+            </span>
+          </div>
+          <p className="text-sm font-medium text-gray-900">
+            {selected.contentName || 'Nothing plays'}
+          </p>
+          <p className="text-xs text-gray-600">{selected.reason}</p>
+          {selected.shadowed.length > 0 && (
+            <div className="pt-2 border-t border-gray-200">
+              <p className="text-xs text-gray-500 mb-1">Outranked:</p>
+              <ul className="space-y-0.5">
+                {selected.shadowed.map((item, idx) => (
+                  <li key={idx} className="text-xs text-gray-500">
+                    {TIMELINE_SOURCE_LABELS[item.source]}: {item.contentName || '—'}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">
+          Times are in {timeline.screen.timezone}. Select a block to see why it plays.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ScreenTimelineGantt;
@@ -0,0 +1,59 @@
+/**
+ * useContentTriggerSources Hook
+ *
+ * Keeps the data sources referenced by a list's trigger rules loaded on the
+ * player, refreshing them periodically and falling back to the offline cache.
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  extractTriggerSourceIds,
+  getItemTriggerRules,
+  loadTriggerSources,
+} from '../services/contentTriggerService';
+
+// How often trigger data is re-checked
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const EMPTY_SOURCES = new Map();
+
+/**
+ * @param {Array<Object>} items - Playlist items or slides
+ * @param {Object} [options]
+ * @param {Function} [options.getRules] - Reads an item's rules
+ * @returns {Map<string, Object>} Data sources by ID
+ */
+export function useContentTriggerSources(items, { getRules = getItemTriggerRules } = {}) {
+  const [sources, setSources] = useState(EMPTY_SOURCES);
+
+  // Stable key so the effect only re-runs when the referenced sources change
+  const sourceKey = extractTriggerSourceIds(items, getRules).sort().join(',');
+
+  useEffect(() => {
+    if (!sourceKey) return;
+
+    const sourceIds = sourceKey.split(',');
+    let cancelled = false;
+
+    const refresh = async () => {
+      try {
+        const loaded = await loadTriggerSources(sourceIds);
+        if (!cancelled) setSources(loaded);
+      } catch (error) {
+        console.warn('[ContentTriggers] Failed to load trigger data:', error);
+      }
+    };
+
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [sourceKey]);
+
+  return sourceKey ? sources : EMPTY_SOURCES;
+}
+
+export default useContentTriggerSources;
@@ -0,0 +1,145 @@
+/**
+ * useKioskNavigation Hook
+ *
+ * Player-side state for touch kiosk scenes (see kioskNavigationService):
+ * which scene is on screen, the open QR detail, and the idle timer that sends
+ * the kiosk back to its attract loop - the home scene's slideshow from the
+ * first slide - once nobody has touched the screen for a while.
+ */
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import {
+  BLOCK_ACTION_TYPES,
+  getBlockAction,
+  isInteractiveScene,
+  getLinkedSceneIds,
+  getKioskSettings,
+  getSlideIndex,
+  fetchKioskScene,
+} from '../services/kioskNavigationService';
+import { trackInteraction, trackSceneStart } from '../services/playbackTrackingService';
+
+const ATTRACT_LOOP = { homeId: null, visitedScene: null, interacting: false, touchedAt: 0, qr: null };
+
+/**
+ * @param {Object|null} homeScene - The screen's assigned scene with slides
+ * @param {Object} options
+ * @param {string|null} options.screenId - Device UUID
+ * @param {function(number): void} options.onGoToSlide - Show a slide of the scene on screen
+ * @param {boolean} [options.enabled=true] - False where taps make no sense, e.g. video walls
+ * @returns {Object} { scene, interactive, interacting, qr, handleTap(block, slide), handleTouch(), closeQr() }
+ */
+export function useKioskNavigation(homeScene, { screenId, onGoToSlide, enabled = true }) {
+  // Keyed by the home scene so a newly assigned scene starts in its attract loop
+  const [navigation, setNavigation] = useState(ATTRACT_LOOP);
+  const state = navigation.homeId === homeScene?.id ? navigation : ATTRACT_LOOP;
+  const sceneCacheRef = useRef(new Map());
+
+  const scene = state.visitedScene || homeScene;
+  const homeInteractive = useMemo(() => isInteractiveScene(homeScene), [homeScene]);
+  const interactive = enabled && (homeInteractive || Boolean(state.visitedScene));
+  const { idleTimeoutSeconds } = getKioskSettings(homeScene);
+
+  // Fetch linked scenes up front so taps switch instantly
+  useEffect(() => {
+    if (!enabled || !homeInteractive || !screenId) return;
+    const cache = sceneCacheRef.current;
+
+    getLinkedSceneIds(homeScene)
+      .filter(id => !cache.has(id))
+      .forEach(id => {
+        fetchKioskScene(screenId, id)
+          .then(linked => { if (linked) cache.set(id, linked); })
+          .catch(err => console.warn('[useKioskNavigation] Failed to prefetch scene:', id, err));
+      });
+  }, [homeScene, homeInteractive, enabled, screenId]);
+
+  const goHome = useCallback((reason) => {
+    if (reason) trackInteraction({ action: reason });
+    if (state.visitedScene && homeScene) trackSceneStart({ sceneId: homeScene.id });
+    setNavigation({ ...ATTRACT_LOOP, homeId: homeScene?.id ?? null });
+    onGoToSlide(0);
+  }, [state.visitedScene, homeScene, onGoToSlide]);
+
+  // Back to the attract loop after the idle timeout; every touch re-arms it
+  useEffect(() => {
+    if (!state.interacting) return;
+    const timer = setTimeout(() => goHome('idle_reset'), idleTimeoutSeconds * 1000);
+    return () => clearTimeout(timer);
+  }, [state.interacting, state.touchedAt, idleTimeoutSeconds, goHome]);
+
+  const handleTouch = useCallback(() => {
+    setNavigation(prev => ({
+      ...(prev.homeId === homeScene?.id ? prev : ATTRACT_LOOP),
+      homeId: homeScene?.id ?? null,
+      interacting: true,
+      touchedAt: Date.now(),
+    }));
+  }, [homeScene?.id]);
+
+  const handleTap = useCallback(async (block, slide) => {
+    const action = getBlockAction(block);
+    if (!action) return;
+
+    trackInteraction({ action: 'tap', slideId: slide?.id, blockId: block.id, target: action });
+    handleTouch();
+
+    switch (action.type) {
+      case BLOCK_ACTION_TYPES.GO_TO_SLIDE:
+        onGoToSlide(getSlideIndex(scene?.slides, action.slideId));
+        break;
+
+      case BLOCK_ACTION_TYPES.SHOW_QR:
+        setNavigation(prev => ({ ...prev, qr: { url: action.url, title: action.title || '' } }));
+        break;
+
+      case BLOCK_ACTION_TYPES.HOME:
+        goHome();
+        break;
+
+      case BLOCK_ACTION_TYPES.GO_TO_SCENE: {
+        if (action.sceneId === homeScene?.id) {
+          goHome();
+          handleTouch();
+          break;
+        }
+
+        const cache = sceneCacheRef.current;
+        let target = cache.get(action.sceneId);
+        if (!target) {
+          try {
+            target = await fetchKioskScene(screenId, action.sceneId);
+          } catch (err) {
+            console.warn('[useKioskNavigation] Failed to load scene:', action.sceneId, err);
+          }
+          if (!target) return;
+          cache.set(action.sceneId, target);
+        }
+
+        trackSceneStart({ sceneId: target.id });
+        setNavigation(prev => ({ ...prev, visitedScene: target, qr: null }));
+        onGoToSlide(0);
+        break;
+      }
+
+      default:
+        break;
+    }
+  }, [scene, homeScene?.id, screenId, onGoToSlide, goHome, handleTouch]);
+
+  const closeQr = useCallback(() => {
+    setNavigation(prev => ({ ...prev, qr: null }));
+  }, []);
+
+  return {
+    scene,
+    interactive,
+    interacting: state.interacting,
+    qr: state.qr,
+    handleTap,
+    handleTouch,
+    closeQr,
+  };
+}
+
+export default useKioskNavigation;
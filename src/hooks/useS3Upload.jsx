@@ -3,16 +3,29 @@
  *
  * React hook for uploading files to AWS S3 with progress tracking
  * Replaces the Cloudinary upload widget with native file input
+ *
+ * Large files upload in parts and can be paused and resumed. Unfinished
+ * uploads survive a page reload: choosing the same file again picks up
+ * where it stopped (see resumableUploads).
+ *
+ * Every file is hashed before upload (result.contentHash), off the main thread;
+ * a resumed upload reuses the hash saved with its progress. With onDuplicate
+ * set, a file already in the library can be reused instead of uploaded again.
  */
 
 import { useState, useCallback, useRef, useEffect } from 'react';
 import {
   uploadFileToS3,
-  uploadFilesToS3,
   getImageDimensions,
   getVideoDuration,
   validateFile,
+  listResumableUploads,
+  loadResumableUpload,
+  abortResumableUpload,
+  computeContentHash,
 } from '../services/s3UploadService';
+import { findMediaByContentHash } from '../services/mediaService';
+import { isAbortError } from '../utils/isAbortError';
 
 /**
  * Hook for S3 file uploads
@@ -20,8 +33,10 @@ import {
  * @param {Object} options - Configuration options
  * @param {Function} options.onSuccess - Callback when a file uploads successfully
  * @param {Function} options.onError - Callback when upload fails
+ * @param {Function} [options.onDuplicate] - Called as (existingAsset, file) when the
+ *   library already has the file's content; resolve true to skip the upload and reuse it
  * @param {string} options.folder - S3 folder to upload to (default: 'media')
- * @param {number} options.maxFileSize - Max file size in bytes (default: 100MB)
+ * @param {number} options.maxFileSize - Max file size in bytes (default: 5GB)
  * @param {boolean} options.multiple - Allow multiple file uploads (default: true)
  * @param {string[]} options.accept - Accepted file types (default: images, videos, audio, docs)
  *
@@ -30,8 +45,9 @@ import {
 export function useS3Upload({
   onSuccess,
   onError,
+  onDuplicate,
   folder = 'media',
-  maxFileSize = 100 * 1024 * 1024, // 100MB
+  maxFileSize = 5 * 1024 * 1024 * 1024, // 5GB (large files upload in parts)
   multiple = true,
   accept = [
     'image/*',
@@ -44,13 +60,27 @@ export function useS3Upload({
   // State
   const [uploading, setUploading] = useState(false);
   const [progress, setProgress] = useState(0);
+  // Progress hashing the current file (null when not hashing)
+  const [hashProgress, setHashProgress] = useState(null);
   const [currentFile, setCurrentFile] = useState(null);
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [errors, setErrors] = useState([]);
+  const [paused, setPaused] = useState(false);
+  const [resumableUploads, setResumableUploads] = useState(() => listResumableUploads());
 
   // Hidden file input ref
   const fileInputRef = useRef(null);
 
+  // Controller for the upload in progress (aborting it pauses)
+  const abortControllerRef = useRef(null);
+
+  // The running upload queue, and the files left when it was paused
+  const queueRef = useRef(null);
+  const pausedFilesRef = useRef([]);
+
+  // Abort any running upload on unmount; multipart progress stays saved
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
   // Ref to store the latest handler (prevents stale closure issues)
   const handlerRef = useRef(null);
 
@@ -67,21 +97,22 @@ export function useS3Upload({
   }, []);
 
   /**
-   * Handle file selection (implementation)
+   * Upload a queue of files one after another
    */
-  const handleFileSelectImpl = async (event) => {
-    const files = event.target.files;
-    if (!files || files.length === 0) return;
+  const uploadQueue = async (fileArray) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    pausedFilesRef.current = [];
 
     setUploading(true);
+    setPaused(false);
     setProgress(0);
     setErrors([]);
 
-    const fileArray = Array.from(files);
     const totalFiles = fileArray.length;
     let completedFiles = 0;
 
-    for (const file of fileArray) {
+    for (const [index, file] of fileArray.entries()) {
       try {
         // Validate file
         const validation = validateFile(file, { maxSize: maxFileSize });
@@ -93,15 +124,36 @@ export function useS3Upload({
 
         setCurrentFile(file.name);
 
-        // Get additional metadata for images/videos
-        const [dimensions, duration] = await Promise.all([
+        // Get additional metadata for images/videos. A paused upload saved
+        // the file's hash, so resuming it skips hashing.
+        const savedHash = loadResumableUpload(file, folder)?.contentHash;
+        if (!savedHash) setHashProgress(0);
+        const [dimensions, duration, contentHash] = await Promise.all([
           getImageDimensions(file),
           getVideoDuration(file),
-        ]);
+          savedHash || computeContentHash(file, {
+            signal: controller.signal,
+            onProgress: setHashProgress,
+          }).catch((error) => {
+            if (isAbortError(error)) throw error;
+            return null;
+          }),
+        ]).finally(() => setHashProgress(null));
+
+        // Offer the existing copy before uploading the same content again
+        if (onDuplicate && contentHash) {
+          const existing = await findMediaByContentHash(contentHash).catch(() => null);
+          if (existing && await onDuplicate(existing, file)) {
+            completedFiles++;
+            continue;
+          }
+        }
 
         // Upload file
         const result = await uploadFileToS3(file, {
           folder,
+          contentHash,
+          signal: controller.signal,
           onProgress: (fileProgress) => {
             // Calculate overall progress
             const overallProgress = ((completedFiles + fileProgress / 100) / totalFiles) * 100;
@@ -113,6 +165,7 @@ export function useS3Upload({
         result.width = dimensions.width;
         result.height = dimensions.height;
         result.duration = duration;
+        result.contentHash = contentHash;
 
         // Add to uploaded files
         setUploadedFiles(prev => [...prev, result]);
@@ -122,15 +175,29 @@ export function useS3Upload({
 
         completedFiles++;
       } catch (error) {
+        if (isAbortError(error)) {
+          // Paused: keep this file and the rest of the queue for resume()
+          pausedFilesRef.current = fileArray.slice(index);
+          break;
+        }
         console.error(`Error uploading ${file.name}:`, error);
         setErrors(prev => [...prev, { file: file.name, errors: [error.message] }]);
         onError?.(error);
       }
     }
 
+    if (abortControllerRef.current === controller) {
+      abortControllerRef.current = null;
+    }
+
+    const wasPaused = pausedFilesRef.current.length > 0;
     setUploading(false);
-    setProgress(100);
-    setCurrentFile(null);
+    setPaused(wasPaused);
+    if (!wasPaused) {
+      setProgress(100);
+      setCurrentFile(null);
+    }
+    setResumableUploads(listResumableUploads());
 
     // Reset file input
     if (fileInputRef.current) {
@@ -138,6 +205,18 @@ export function useS3Upload({
     }
   };
 
+  /**
+   * Handle file selection (implementation)
+   */
+  const handleFileSelectImpl = async (event) => {
+    const files = event.target.files;
+    if (!files || files.length === 0) return;
+
+    const queue = uploadQueue(Array.from(files));
+    queueRef.current = queue;
+    await queue;
+  };
+
   // Keep the handler ref updated with the latest implementation
   handlerRef.current = handleFileSelectImpl;
 
@@ -161,6 +240,42 @@ export function useS3Upload({
     await handleFileSelect(fakeEvent);
   }, [handleFileSelect]);
 
+  /**
+   * Pause the running upload. Finished parts of a large file are kept.
+   */
+  const pause = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Continue a paused queue from the file it stopped on
+   */
+  const resume = useCallback(async () => {
+    const files = pausedFilesRef.current;
+    if (files.length === 0 || abortControllerRef.current) return;
+    await handlerRef.current?.({ target: { files } });
+  }, []);
+
+  /**
+   * Stop the running or paused upload and discard its uploaded parts
+   */
+  const cancel = useCallback(async () => {
+    // A running queue records its remaining files once it has stopped
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      await queueRef.current;
+    }
+
+    const files = pausedFilesRef.current;
+    pausedFilesRef.current = [];
+    setPaused(false);
+    setProgress(0);
+    setCurrentFile(null);
+
+    await Promise.all(files.map(file => abortResumableUpload(file, { folder })));
+    setResumableUploads(listResumableUploads());
+  }, [folder]);
+
   /**
    * Clear uploaded files
    */
@@ -196,15 +311,22 @@ export function useS3Upload({
     // State
     uploading,
     progress,
+    hashProgress,
     currentFile,
     uploadedFiles,
     errors,
+    paused,
+    // Unfinished uploads from earlier visits: choose the same file to resume
+    resumableUploads,
 
     // Actions
     openFilePicker,
     handleDrop,
     clearUploaded,
     removeUploaded,
+    pause,
+    resume,
+    cancel,
 
     // Render function (call this in JSX: {renderFileInput()})
     renderFileInput,
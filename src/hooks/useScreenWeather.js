@@ -0,0 +1,64 @@
+/**
+ * useScreenWeather Hook
+ *
+ * Keeps the weather at a screen's location loaded on the player while its
+ * content has weather conditions, and reports new readings to the server for
+ * weather-conditional schedule entries.
+ */
+
+import { useState, useEffect } from 'react';
+import { loadScreenWeather, reportScreenWeather, isWeatherStale } from '../services/weatherConditionService';
+
+// How often the weather is re-checked (weatherService caches for 30 minutes)
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * @param {{latitude?: number, longitude?: number, city?: string}|null} location - device.weather from the player content
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Whether anything on the screen depends on the weather
+ * @param {string} [options.screenId] - Screen to report readings for
+ * @returns {Object|null} Latest weather snapshot, possibly stale
+ */
+export function useScreenWeather(location, { enabled = false, screenId = null } = {}) {
+  const [snapshot, setSnapshot] = useState(null);
+
+  const hasLocation = Boolean(location?.city || (location?.latitude != null && location?.longitude != null));
+  // Stable key so the effect only re-runs when the location changes
+  const locationKey = enabled && hasLocation
+    ? JSON.stringify([location.latitude ?? null, location.longitude ?? null, location.city ?? null])
+    : '';
+
+  useEffect(() => {
+    if (!locationKey) return;
+
+    const [latitude, longitude, city] = JSON.parse(locationKey);
+    let cancelled = false;
+    let lastReportedAt = null;
+
+    const refresh = async () => {
+      const reading = await loadScreenWeather({ latitude, longitude, city });
+      if (cancelled) return;
+      setSnapshot(reading);
+
+      if (!screenId || isWeatherStale(reading) || reading.observedAt === lastReportedAt) return;
+      try {
+        await reportScreenWeather(screenId, reading);
+        lastReportedAt = reading.observedAt;
+      } catch (error) {
+        console.warn('[Weather] Failed to report screen weather:', error);
+      }
+    };
+
+    refresh();
+    const interval = setInterval(refresh, REFRESH_INTERVAL_MS);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [locationKey, screenId]);
+
+  return locationKey ? snapshot : null;
+}
+
+export default useScreenWeather;
@@ -0,0 +1,47 @@
+/**
+ * useValidItems Hook
+ *
+ * Filters playlist items down to those inside their validity window on the
+ * player, and re-filters exactly when the next window starts or ends so
+ * promotions drop off screen on time without waiting for a content refresh.
+ * Windows are compared against the drift-corrected player clock.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { filterValidItems, getNextValidityChange } from '../services/contentValidityService';
+import { serverNow } from '../services/playerClockService';
+
+// Longest delay setTimeout honours (~24.8 days); longer waits are re-armed
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * @param {Array<Object>} items - Player items with optional validFrom/validUntil
+ * @returns {Array<Object>} Items that may play now (same array when none have a window)
+ */
+export function useValidItems(items) {
+  // Advanced at each window boundary to re-run the filter. serverNow() is still
+  // consulted so items loaded long after the last boundary are filtered correctly.
+  const [checkedAt, setCheckedAt] = useState(() => serverNow());
+
+  const validItems = useMemo(
+    () => filterValidItems(items, Math.max(checkedAt, serverNow())),
+    [items, checkedAt]
+  );
+  const nextChange = useMemo(
+    () => getNextValidityChange(items, Math.max(checkedAt, serverNow())),
+    [items, checkedAt]
+  );
+
+  useEffect(() => {
+    if (nextChange === null) return;
+
+    const delay = Math.min(Math.max(nextChange - serverNow(), 0), MAX_TIMER_DELAY_MS);
+    const timer = setTimeout(() => setCheckedAt(serverNow()), delay);
+
+    return () => clearTimeout(timer);
+  }, [nextChange, checkedAt]);
+
+  return validItems;
+}
+
+export default useValidItems;
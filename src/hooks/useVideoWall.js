@@ -0,0 +1,60 @@
+/**
+ * useVideoWall Hook
+ *
+ * Loads the player's video wall config (see videoWallService) and keeps it
+ * current: refetched when content changes or the screen group is updated, and
+ * the clock offset re-measured periodically so panels do not drift apart.
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { fetchWallConfig } from '../services/videoWallService';
+import { subscribeToScreenGroup } from '../services/realtimeService';
+
+// Device clocks drift by up to a few ms per minute
+const CLOCK_RESYNC_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * @param {string|null} screenId - Device UUID
+ * @param {*} [refreshKey] - Refetch when this changes, e.g. the resolved content
+ * @returns {Object|null} Wall { groupId, columns, rows, row, column, epoch, clockOffset, now() }
+ *   when this screen is a video wall panel, otherwise null
+ */
+export function useVideoWall(screenId, refreshKey) {
+  const [config, setConfig] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!screenId) return;
+    try {
+      setConfig(await fetchWallConfig(screenId));
+    } catch (err) {
+      // Keep the last config so a wall keeps playing in step while offline
+      console.warn('[useVideoWall] Failed to load wall config:', err);
+    }
+  }, [screenId]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  // Group members hear about wall changes even before they become panels
+  useEffect(() => {
+    if (!config?.groupId) return;
+    return subscribeToScreenGroup(config.groupId, load);
+  }, [config?.groupId, load]);
+
+  useEffect(() => {
+    if (!config?.enabled) return;
+    const interval = setInterval(load, CLOCK_RESYNC_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [config?.enabled, load]);
+
+  return useMemo(() => {
+    if (!config?.enabled) return null;
+    return {
+      ...config,
+      now: () => Date.now() + config.clockOffset,
+    };
+  }, [config]);
+}
+
+export default useVideoWall;
@@ -25,6 +25,7 @@ import {
   Image,
   Palette,
   Bell,
+  Megaphone,
   X,
 } from 'lucide-react';
 import {
@@ -63,6 +64,7 @@ const RESOURCE_TYPE_OPTIONS = [
   { value: RESOURCE_TYPES.MEDIA, labelKey: 'mediaLibrary.title', label: 'Media', icon: Image },
   { value: RESOURCE_TYPES.BRANDING, labelKey: 'branding.title', label: 'Branding', icon: Palette },
   { value: RESOURCE_TYPES.ALERT_RULE, labelKey: 'alerts.title', label: 'Alerts', icon: Bell },
+  { value: RESOURCE_TYPES.CAMPAIGN, labelKey: 'campaigns.title', label: 'Campaigns', icon: Megaphone },
 ];
 
 export default function ActivityLogPage() {
@@ -8,6 +8,7 @@ import {
   CloudSun,
   Rss,
   Table,
+  Calendar,
   MoreVertical,
   Trash2,
   Edit,
@@ -39,6 +40,7 @@ import {
   createWeatherApp,
   createRssTickerApp,
   createDataTableApp,
+  createCalendarApp,
   deleteApp,
   APP_TYPE_KEYS
 } from '../services/mediaService';
@@ -52,7 +54,8 @@ const APP_TYPE_INFO = {
   [APP_TYPE_KEYS.WEB_PAGE]: { name: 'Web Page', icon: Globe, color: 'green' },
   [APP_TYPE_KEYS.WEATHER]: { name: 'Weather', icon: CloudSun, color: 'orange' },
   [APP_TYPE_KEYS.RSS_TICKER]: { name: 'RSS Ticker', icon: Rss, color: 'purple' },
-  [APP_TYPE_KEYS.DATA_TABLE]: { name: 'Data Table', icon: Table, color: 'teal' }
+  [APP_TYPE_KEYS.DATA_TABLE]: { name: 'Data Table', icon: Table, color: 'teal' },
+  [APP_TYPE_KEYS.CALENDAR]: { name: 'Calendar', icon: Calendar, color: 'green' }
 };
 
 const colorClasses = {
@@ -90,6 +93,7 @@ const AppsPage = ({ showToast }) => {
   const [showWeatherModal, setShowWeatherModal] = useState(false);
   const [showRssTickerModal, setShowRssTickerModal] = useState(false);
   const [showDataTableModal, setShowDataTableModal] = useState(false);
+  const [showCalendarModal, setShowCalendarModal] = useState(false);
   const [showGenericEmbedModal, setShowGenericEmbedModal] = useState(false);
   const [creating, setCreating] = useState(false);
 
@@ -168,6 +172,11 @@ const AppsPage = ({ showToast }) => {
       case 'menu':
         setShowDataTableModal(true);
         break;
+      case 'ical':
+      case 'google-calendar':
+      case 'outlook-calendar':
+        setShowCalendarModal(true);
+        break;
       default:
         // Generic embed/web page for most apps
         setShowGenericEmbedModal(true);
@@ -563,6 +572,33 @@ const AppsPage = ({ showToast }) => {
         />
       )}
 
+      {/* Calendar App Modal */}
+      {showCalendarModal && (
+        <CalendarAppModal
+          app={selectedApp}
+          onClose={() => {
+            setShowCalendarModal(false);
+            setSelectedApp(null);
+          }}
+          onCreate={async (config) => {
+            setCreating(true);
+            try {
+              const newApp = await createCalendarApp(config);
+              setUserApps([newApp, ...userApps]);
+              showToast?.(`${selectedApp?.name || 'Calendar'} app created successfully`);
+              setShowCalendarModal(false);
+              setSelectedApp(null);
+            } catch (error) {
+              console.error('Error creating app:', error);
+              showToast?.('Error creating app: ' + error.message, 'error');
+            } finally {
+              setCreating(false);
+            }
+          }}
+          creating={creating}
+        />
+      )}
+
       {/* Generic Embed Modal (for most apps) */}
       {showGenericEmbedModal && (
         <GenericEmbedModal
@@ -1098,6 +1134,136 @@ function DataTableAppModal({ app, onClose, onCreate, creating }) {
   );
 }
 
+const CALENDAR_FEED_HINTS = {
+  'google-calendar': 'Google Calendar: Settings - your calendar - Secret address in iCal format',
+  'outlook-calendar': 'Outlook: Settings - Calendar - Shared calendars - Publish a calendar - ICS link',
+};
+
+function CalendarAppModal({ app, onClose, onCreate, creating }) {
+  const [name, setName] = useState(app?.name || 'Calendar');
+  const [feedUrl, setFeedUrl] = useState('');
+  const [view, setView] = useState('agenda');
+  const [roomName, setRoomName] = useState('');
+  const [daysAhead, setDaysAhead] = useState(7);
+  const [theme, setTheme] = useState('dark');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onCreate({ name, feedUrl, view, roomName, daysAhead, theme, refreshMinutes: 5 });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <Card className="w-full max-w-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-3">
+            <div className="p-2 bg-green-100 rounded-lg">
+              <Calendar size={20} className="text-green-600" />
+            </div>
+            <h2 className="text-xl font-bold">{app?.name || 'Calendar'}</h2>
+          </div>
+          <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded">
+            <X size={20} className="text-gray-500" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">App Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">iCalendar Feed URL *</label>
+            <input
+              type="text"
+              value={feedUrl}
+              onChange={(e) => setFeedUrl(e.target.value)}
+              placeholder="https://example.com/calendar.ics"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+              required
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              {CALENDAR_FEED_HINTS[app?.configType] || 'Any .ics or webcal:// link, including CalDAV calendar exports'}
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">View</label>
+            <select
+              value={view}
+              onChange={(e) => setView(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+            >
+              <option value="agenda">Agenda - upcoming events by day</option>
+              <option value="day">Day - today&apos;s schedule</option>
+              <option value="room">Room board - available / in use</option>
+            </select>
+          </div>
+
+          {view === 'room' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Room Name</label>
+              <input
+                type="text"
+                value={roomName}
+                onChange={(e) => setRoomName(e.target.value)}
+                placeholder="Boardroom"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+              />
+            </div>
+          )}
+
+          {view === 'agenda' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Days Ahead</label>
+              <select
+                value={daysAhead}
+                onChange={(e) => setDaysAhead(parseInt(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+              >
+                <option value={1}>Today only</option>
+                <option value={3}>3 days</option>
+                <option value={7}>1 week</option>
+                <option value={14}>2 weeks</option>
+              </select>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Theme</label>
+            <select
+              value={theme}
+              onChange={(e) => setTheme(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+            >
+              <option value="dark">Dark</option>
+              <option value="light">Light</option>
+            </select>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Events show in each screen&apos;s timezone and stay on screen from cache if the feed can&apos;t be reached.
+          </p>
+
+          <div className="flex justify-end gap-2 pt-4">
+            <Button type="button" variant="secondary" onClick={onClose}>Cancel</Button>
+            <Button type="submit" disabled={creating || !feedUrl}>
+              {creating ? 'Creating...' : 'Create'}
+            </Button>
+          </div>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
 function GenericEmbedModal({ app, onClose, onCreate, creating }) {
   const [name, setName] = useState(app?.name || '');
   const [url, setUrl] = useState('');
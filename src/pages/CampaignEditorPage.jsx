@@ -32,6 +32,8 @@ import {
   Check,
   Loader2,
   BarChart3,
+  FileCheck,
+  Zap,
 } from 'lucide-react';
 import { Button, Card, Badge, ToggleChips, StatCard } from '../design-system';
 import { useTranslation } from '../i18n';
@@ -46,10 +48,13 @@ import {
   removeTarget,
   addContent,
   removeContent,
+  updateContent,
   getCampaignStats,
   CAMPAIGN_STATUS,
   TARGET_TYPES,
-  CONTENT_TYPES
+  CONTENT_TYPES,
+  PACING_MODES,
+  DELIVERY_STATUS
 } from '../services/campaignService';
 import { formatDuration } from '../services/analyticsService';
 import { fetchScreenGroups } from '../services/screenGroupService';
@@ -57,6 +62,8 @@ import { fetchLocations } from '../services/locationService';
 import { fetchPlaylists } from '../services/playlistService';
 import { fetchLayouts } from '../services/layoutService';
 import { supabase } from '../supabase';
+import ProofOfPlayModal from '../components/campaigns/ProofOfPlayModal';
+import ContentTriggersModal from '../components/modals/ContentTriggersModal';
 import { canEditContent, canEditScreens } from '../services/permissionsService';
 import { useAuth } from '../contexts/AuthContext';
 import {
@@ -81,6 +88,13 @@ const DAYPART_PRESETS = [
   { id: 'late_night', label: 'Late Night (10pm-12am)', startTime: '22:00', endTime: '23:59' },
 ];
 
+const DELIVERY_STATUS_LABELS = {
+  [DELIVERY_STATUS.AHEAD]: { label: 'Ahead of pace', variant: 'info' },
+  [DELIVERY_STATUS.ON_TRACK]: { label: 'On track', variant: 'success' },
+  [DELIVERY_STATUS.BEHIND]: { label: 'Behind pace', variant: 'warning' },
+  [DELIVERY_STATUS.MET]: { label: "Today's goal met", variant: 'success' },
+};
+
 const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
   const { t } = useTranslation();
   const { campaignId: campaignIdParam } = useParams();
@@ -93,10 +107,15 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
   const [campaign, setCampaign] = useState({
     name: '',
     description: '',
+    advertiser: '',
     status: CAMPAIGN_STATUS.DRAFT,
     start_at: '',
     end_at: '',
     priority: 100,
+    frequency_cap_per_hour: '',
+    share_of_voice: '',
+    daily_impression_goal: '',
+    pacing: PACING_MODES.EVEN,
     targets: [],
     contents: []
   });
@@ -117,6 +136,8 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
   // Picker modals
   const [showTargetPicker, setShowTargetPicker] = useState(false);
   const [showContentPicker, setShowContentPicker] = useState(false);
+  const [showProofOfPlay, setShowProofOfPlay] = useState(false);
+  const [triggerContent, setTriggerContent] = useState(null);
 
   // Approval & Preview state
   const [showApprovalModal, setShowApprovalModal] = useState(false);
@@ -166,7 +187,12 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
       setCampaign({
         ...data,
         start_at: data.start_at ? formatDateTimeLocal(data.start_at) : '',
-        end_at: data.end_at ? formatDateTimeLocal(data.end_at) : ''
+        end_at: data.end_at ? formatDateTimeLocal(data.end_at) : '',
+        advertiser: data.advertiser || '',
+        frequency_cap_per_hour: data.frequency_cap_per_hour ?? '',
+        share_of_voice: data.share_of_voice ?? '',
+        daily_impression_goal: data.daily_impression_goal ?? '',
+        pacing: data.pacing || PACING_MODES.EVEN
       });
     } catch (error) {
       console.error('Error loading campaign:', error);
@@ -233,10 +259,15 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
       const saveData = {
         name: campaign.name.trim(),
         description: campaign.description?.trim() || '',
+        advertiser: campaign.advertiser?.trim() || '',
         status: campaign.status,
         startAt: campaign.start_at ? new Date(campaign.start_at).toISOString() : null,
         endAt: campaign.end_at ? new Date(campaign.end_at).toISOString() : null,
-        priority: campaign.priority
+        priority: campaign.priority,
+        frequencyCapPerHour: campaign.frequency_cap_per_hour,
+        shareOfVoice: campaign.share_of_voice,
+        dailyImpressionGoal: campaign.daily_impression_goal,
+        pacing: campaign.pacing
       };
 
       if (isNew) {
@@ -349,6 +380,17 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
     }
   };
 
+  const handleSaveContentTriggers = async (rules) => {
+    const updated = await updateContent(triggerContent.id, { trigger_rules: rules });
+    setCampaign(prev => ({
+      ...prev,
+      contents: prev.contents.map(c =>
+        c.id === triggerContent.id ? { ...c, trigger_rules: updated.trigger_rules } : c
+      )
+    }));
+    showToast?.('Data triggers saved');
+  };
+
   const handleRemoveContent = async (contentId) => {
     try {
       await removeContent(contentId);
@@ -647,6 +689,21 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
                 />
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Advertiser
+                </label>
+                <input
+                  type="text"
+                  value={campaign.advertiser}
+                  onChange={(e) => handleChange('advertiser', e.target.value)}
+                  placeholder="e.g., Acme Coffee"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                  disabled={!canEdit}
+                />
+                <p className="text-xs text-gray-500 mt-1">Groups campaigns in proof-of-play reports</p>
+              </div>
+
               {canEdit && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -714,6 +771,73 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
                   Higher priority campaigns override lower priority content
                 </p>
               </div>
+
+              <div className="pt-4 border-t border-gray-100">
+                <h3 className="text-sm font-semibold text-gray-900 mb-3">Delivery</h3>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Frequency Cap (plays/hour)
+                    </label>
+                    <input
+                      type="number"
+                      min={1}
+                      value={campaign.frequency_cap_per_hour}
+                      onChange={(e) => handleChange('frequency_cap_per_hour', e.target.value)}
+                      placeholder="Unlimited"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                      disabled={!canEdit}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Per screen, over any rolling hour</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Share of Voice (%)
+                    </label>
+                    <input
+                      type="number"
+                      min={1}
+                      max={100}
+                      value={campaign.share_of_voice}
+                      onChange={(e) => handleChange('share_of_voice', e.target.value)}
+                      placeholder="100"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                      disabled={!canEdit}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Maximum share of each screen&apos;s airtime</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Daily Impression Goal
+                    </label>
+                    <input
+                      type="number"
+                      min={1}
+                      value={campaign.daily_impression_goal}
+                      onChange={(e) => handleChange('daily_impression_goal', e.target.value)}
+                      placeholder="No goal"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                      disabled={!canEdit}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Plays per day across all targets</p>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Pacing
+                    </label>
+                    <select
+                      value={campaign.pacing}
+                      onChange={(e) => handleChange('pacing', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-orange-500 focus:border-orange-500"
+                      disabled={!canEdit || !campaign.daily_impression_goal}
+                    >
+                      <option value={PACING_MODES.EVEN}>Even throughout the day</option>
+                      <option value={PACING_MODES.ASAP}>As fast as possible</option>
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">Stops for the day once the goal is met</p>
+                  </div>
+                </div>
+              </div>
             </div>
           </Card>
 
@@ -810,14 +934,31 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
                         <p className="text-xs text-gray-500 capitalize">{content.content_type}</p>
                       </div>
                     </div>
-                    {canEdit && (
-                      <button
-                        onClick={() => handleRemoveContent(content.id)}
-                        className="p-1 hover:bg-gray-200 rounded text-gray-400 hover:text-red-600"
-                      >
-                        <X size={16} />
-                      </button>
-                    )}
+                    <div className="flex items-center gap-1">
+                      {/* Layouts are picked on the server; rules apply to playlists and media */}
+                      {content.content_type !== 'layout' && (canEdit || content.trigger_rules?.length > 0) && (
+                        <button
+                          onClick={() => canEdit && setTriggerContent(content)}
+                          className={`p-1 rounded flex items-center gap-1 text-xs ${
+                            content.trigger_rules?.length
+                              ? 'text-amber-600 hover:bg-amber-50'
+                              : 'text-gray-400 hover:bg-gray-200 hover:text-amber-600'
+                          }`}
+                          title="Data triggers"
+                        >
+                          <Zap size={16} />
+                          {content.trigger_rules?.length > 0 && content.trigger_rules.length}
+                        </button>
+                      )}
+                      {canEdit && (
+                        <button
+                          onClick={() => handleRemoveContent(content.id)}
+                          className="p-1 hover:bg-gray-200 rounded text-gray-400 hover:text-red-600"
+                        >
+                          <X size={16} />
+                        </button>
+                      )}
+                    </div>
                   </div>
                 ))}
               </div>
@@ -826,11 +967,19 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
 
           {!isNew && (
             <Card className="p-6">
-              <h2 className="text-lg font-semibold mb-1 flex items-center gap-2">
-                <BarChart3 className="w-5 h-5 text-blue-600" aria-hidden="true" />
-                Campaign Analytics
-              </h2>
-              <p className="text-sm text-gray-500 mb-4">Last 30 days</p>
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <h2 className="text-lg font-semibold mb-1 flex items-center gap-2">
+                    <BarChart3 className="w-5 h-5 text-blue-600" aria-hidden="true" />
+                    Campaign Analytics
+                  </h2>
+                  <p className="text-sm text-gray-500">Last 30 days</p>
+                </div>
+                <Button size="sm" variant="secondary" onClick={() => setShowProofOfPlay(true)}>
+                  <FileCheck size={16} />
+                  Proof of Play
+                </Button>
+              </div>
 
               {statsLoading ? (
                 <div className="flex justify-center py-6">
@@ -840,7 +989,7 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
                 <>
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                     <StatCard
-                      title="Impressions"
+                      title="Screens"
                       value={campaignStats?.unique_screens ?? 0}
                       icon={<Monitor className="w-5 h-5" />}
                     />
@@ -855,6 +1004,29 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
                       icon={<Clock className="w-5 h-5" />}
                     />
                   </div>
+                  {campaignStats?.goal > 0 && (
+                    <div className="mt-4">
+                      <div className="flex items-center justify-between text-sm mb-1">
+                        <span className="text-gray-700">
+                          Delivered {campaignStats.delivered.toLocaleString()} of {campaignStats.goal.toLocaleString()} impressions
+                        </span>
+                        {DELIVERY_STATUS_LABELS[campaignStats.delivery_status] && (
+                          <Badge variant={DELIVERY_STATUS_LABELS[campaignStats.delivery_status].variant}>
+                            {DELIVERY_STATUS_LABELS[campaignStats.delivery_status].label}
+                          </Badge>
+                        )}
+                      </div>
+                      <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-blue-600"
+                          style={{ width: `${Math.min(100, Math.round(campaignStats.delivery_rate * 100))}%` }}
+                        />
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Today: {campaignStats.delivered_today ?? 0} of {campaignStats.daily_impression_goal}
+                      </p>
+                    </div>
+                  )}
                   {!campaignStats && (
                     <p className="text-sm text-gray-500 text-center mt-3">No playback data yet</p>
                   )}
@@ -979,6 +1151,26 @@ const CampaignEditorPage = ({ showToast, campaignId: campaignIdProp }) => {
       )}
 
       {/* Content Picker Modal */}
+      {triggerContent && (
+        <ContentTriggersModal
+          isOpen
+          onClose={() => setTriggerContent(null)}
+          subject={triggerContent.content_name && `"${triggerContent.content_name}"`}
+          rules={triggerContent.trigger_rules || []}
+          onSave={handleSaveContentTriggers}
+        />
+      )}
+
+      {showProofOfPlay && (
+        <ProofOfPlayModal
+          isOpen={showProofOfPlay}
+          onClose={() => setShowProofOfPlay(false)}
+          campaign={{ id: campaignId, tenant_id: campaign.tenant_id, name: campaign.name, advertiser: campaign.advertiser?.trim() }}
+          screens={screens}
+          showToast={showToast}
+        />
+      )}
+
       {showContentPicker && (
         <ContentPickerModal
           playlists={playlists}
@@ -7,6 +7,7 @@
  * - Create new data sources (internal table or CSV import)
  * - Edit data source fields and rows inline
  * - CSV file upload with auto-field detection
+ * - Google Sheets and REST/JSON API integrations with scheduled sync
  * - Delete data sources with confirmation
  *
  * State Management:
@@ -43,6 +44,12 @@ import {
   RefreshCw,
   ExternalLink,
   Clock,
+  Globe,
+  Eye,
+  RotateCcw,
+  ShieldAlert,
+  Sigma,
+  UtensilsCrossed,
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
 import { useTranslation } from '../i18n';
@@ -62,6 +69,11 @@ import {
   linkToGoogleSheet,
   unlinkIntegration,
   getSyncHistory,
+  getSyncRowChanges,
+  approveHeldSync,
+  discardHeldSync,
+  rollbackToSync,
+  updateSyncSettings,
   DATA_SOURCE_TYPES,
   FIELD_DATA_TYPES,
   INTEGRATION_TYPES,
@@ -70,7 +82,19 @@ import {
 import {
   syncDataSourceFromSheet,
   parseSheetId,
+  DEFAULT_MAX_DELETE_PERCENT,
 } from '../services/googleSheetsService';
+import {
+  fetchRestData,
+  selectRows,
+  suggestFieldMappings,
+  parseHeaderLines,
+  linkToRestApi,
+  syncDataSourceFromRest,
+  REST_AUTH_TYPES,
+  API_KEY_LOCATIONS,
+} from '../services/restDataSourceService';
+import { validateFormula, isComputedField, getRowFieldValue } from '../services/formulaService';
 
 // Design system imports
 import {
@@ -88,6 +112,74 @@ import { Modal, ModalHeader, ModalTitle, ModalContent, ModalFooter } from '../de
 import { Alert } from '../design-system';
 import { EmptyState } from '../design-system';
 
+// --------------------------------------------------------------------------
+// Constants
+// --------------------------------------------------------------------------
+
+const TYPE_LABELS = {
+  [DATA_SOURCE_TYPES.INTERNAL_TABLE]: 'Internal Table',
+  [DATA_SOURCE_TYPES.CSV_IMPORT]: 'CSV Import',
+  [DATA_SOURCE_TYPES.GOOGLE_SHEETS]: 'Google Sheets',
+  [DATA_SOURCE_TYPES.REST_API]: 'REST API',
+  [DATA_SOURCE_TYPES.MENU]: 'Menu',
+};
+
+const TYPE_ICONS = {
+  [DATA_SOURCE_TYPES.CSV_IMPORT]: FileSpreadsheet,
+  [DATA_SOURCE_TYPES.GOOGLE_SHEETS]: FileSpreadsheet,
+  [DATA_SOURCE_TYPES.REST_API]: Globe,
+  [DATA_SOURCE_TYPES.MENU]: UtensilsCrossed,
+};
+
+const EMPTY_NEW_FIELD = {
+  name: '',
+  label: '',
+  dataType: FIELD_DATA_TYPES.TEXT,
+  computed: false,
+  formula: '',
+};
+
+const EMPTY_REST_LINK = {
+  url: '',
+  headersText: '',
+  authType: REST_AUTH_TYPES.NONE,
+  token: '',
+  username: '',
+  password: '',
+  keyName: '',
+  keyValue: '',
+  keyLocation: API_KEY_LOCATIONS.HEADER,
+  rowPath: '$',
+  pollIntervalMinutes: 15,
+  fieldMappings: [],
+};
+
+/**
+ * Build a REST integration config from the link form
+ */
+function buildRestConfig(form) {
+  const auth = { type: form.authType };
+  if (form.authType === REST_AUTH_TYPES.BEARER) {
+    auth.token = form.token;
+  } else if (form.authType === REST_AUTH_TYPES.BASIC) {
+    auth.username = form.username;
+    auth.password = form.password;
+  } else if (form.authType === REST_AUTH_TYPES.API_KEY) {
+    auth.keyName = form.keyName.trim();
+    auth.keyValue = form.keyValue;
+    auth.keyLocation = form.keyLocation;
+  }
+
+  return {
+    url: form.url.trim(),
+    headers: parseHeaderLines(form.headersText),
+    auth,
+    rowPath: form.rowPath.trim() || '$',
+    fieldMappings: form.fieldMappings.filter(m => m.name.trim() && m.source.trim()),
+    pollIntervalMinutes: form.pollIntervalMinutes,
+  };
+}
+
 // --------------------------------------------------------------------------
 // Sub-components
 // --------------------------------------------------------------------------
@@ -108,7 +200,7 @@ const DataSourceCard = ({ source, onEdit, onDelete }) => {
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
-  const TypeIcon = source.type === DATA_SOURCE_TYPES.CSV_IMPORT ? FileSpreadsheet : Table2;
+  const TypeIcon = TYPE_ICONS[source.type] || Table2;
 
   return (
     <Card className="hover:border-blue-300 transition-colors cursor-pointer" onClick={() => onEdit(source)}>
@@ -179,18 +271,25 @@ const DataSourceCard = ({ source, onEdit, onDelete }) => {
   );
 };
 
+const FORMULA_HINT = 'e.g. price * (1 - discount), IF(stock = 0, "Sold out", ""), best_before - TODAY()';
+
 // Field editor row
-const FieldEditorRow = ({ field, onUpdate, onDelete, onMoveUp, onMoveDown, isFirst, isLast }) => {
+const FieldEditorRow = ({ field, fields, onUpdate, onDelete, onMoveUp, onMoveDown, isFirst, isLast }) => {
   const [editing, setEditing] = useState(false);
   const [editData, setEditData] = useState({
     label: field.label,
     dataType: field.data_type,
+    formula: field.formula || '',
   });
 
+  const computed = isComputedField(field);
+  const formulaCheck = computed ? validateFormula(editData.formula, fields, { fieldName: field.name }) : null;
+
   const handleSave = async () => {
     await onUpdate(field.id, {
       label: editData.label,
       dataType: editData.dataType,
+      ...(computed && { formula: editData.formula }),
     });
     setEditing(false);
   };
@@ -210,6 +309,18 @@ const FieldEditorRow = ({ field, onUpdate, onDelete, onMoveUp, onMoveDown, isFir
             onChange={(e) => setEditData({ ...editData, label: e.target.value })}
             size="sm"
           />
+          {computed && (
+            <>
+              <Input
+                value={editData.formula}
+                onChange={(e) => setEditData({ ...editData, formula: e.target.value })}
+                size="sm"
+                className="mt-1 font-mono"
+                placeholder={FORMULA_HINT}
+              />
+              {!formulaCheck.valid && <p className="text-xs text-red-600 mt-1">{formulaCheck.error}</p>}
+            </>
+          )}
         </td>
         <td className="p-2">
           <Select
@@ -226,7 +337,7 @@ const FieldEditorRow = ({ field, onUpdate, onDelete, onMoveUp, onMoveDown, isFir
         </td>
         <td className="p-2">
           <Inline gap="xs">
-            <IconButton variant="ghost" size="sm" onClick={handleSave}>
+            <IconButton variant="ghost" size="sm" onClick={handleSave} disabled={computed && !formulaCheck.valid}>
               <Check size={14} className="text-green-600" />
             </IconButton>
             <IconButton variant="ghost" size="sm" onClick={() => setEditing(false)}>
@@ -251,11 +362,26 @@ const FieldEditorRow = ({ field, onUpdate, onDelete, onMoveUp, onMoveDown, isFir
         </Inline>
       </td>
       <td className="p-2 font-mono text-sm text-gray-500">{field.name}</td>
-      <td className="p-2">{field.label}</td>
       <td className="p-2">
-        <Badge variant="secondary" size="sm">
-          {field.data_type}
-        </Badge>
+        {field.label}
+        {computed && (
+          <div className="font-mono text-xs text-gray-500 truncate" title={field.formula}>
+            = {field.formula}
+          </div>
+        )}
+      </td>
+      <td className="p-2">
+        <Inline gap="xs">
+          <Badge variant="secondary" size="sm">
+            {field.data_type}
+          </Badge>
+          {computed && (
+            <Badge variant="info" size="sm">
+              <Sigma size={10} className="mr-1" />
+              Computed
+            </Badge>
+          )}
+        </Inline>
       </td>
       <td className="p-2">
         <Inline gap="xs">
@@ -271,6 +397,23 @@ const FieldEditorRow = ({ field, onUpdate, onDelete, onMoveUp, onMoveDown, isFir
   );
 };
 
+// Read-only value of a computed field, updated as the row is edited
+const ComputedValue = ({ values, field, fields }) => {
+  try {
+    return (
+      <span className="block px-2 text-sm text-gray-700 font-mono">
+        {getRowFieldValue(values, field.name, fields)}
+      </span>
+    );
+  } catch (err) {
+    return (
+      <span className="block px-2 text-xs text-red-600" title={err.message}>
+        Formula error
+      </span>
+    );
+  }
+};
+
 // Row editor
 const RowEditor = ({ row, fields, onUpdate, onDelete }) => {
   const [values, setValues] = useState(row.values || {});
@@ -290,12 +433,16 @@ const RowEditor = ({ row, fields, onUpdate, onDelete }) => {
     <tr className="border-b border-gray-100 hover:bg-gray-50">
       {fields.map((field) => (
         <td key={field.id} className="p-2">
-          <Input
-            value={values[field.name] || ''}
-            onChange={(e) => handleValueChange(field.name, e.target.value)}
-            size="sm"
-            placeholder={field.default_value || ''}
-          />
+          {isComputedField(field) ? (
+            <ComputedValue values={values} field={field} fields={fields} />
+          ) : (
+            <Input
+              value={values[field.name] || ''}
+              onChange={(e) => handleValueChange(field.name, e.target.value)}
+              size="sm"
+              placeholder={field.default_value || ''}
+            />
+          )}
         </td>
       ))}
       <td className="p-2">
@@ -314,11 +461,125 @@ const RowEditor = ({ row, fields, onUpdate, onDelete }) => {
   );
 };
 
+const SYNC_STATUS_VARIANTS = {
+  [SYNC_STATUS.OK]: 'success',
+  [SYNC_STATUS.ERROR]: 'error',
+  [SYNC_STATUS.HELD]: 'warning',
+  [SYNC_STATUS.ROLLED_BACK]: 'info',
+};
+
+const ROW_CHANGE_STYLES = {
+  insert: { label: 'Added', className: 'text-green-700 bg-green-50' },
+  update: { label: 'Updated', className: 'text-blue-700 bg-blue-50' },
+  delete: { label: 'Removed', className: 'text-red-700 bg-red-50' },
+};
+
+// Sync log entries listed (and available to roll back to)
+const SYNC_HISTORY_LIMIT = 10;
+
+// Row changes shown per sync before "show all"
+const ROW_CHANGES_PREVIEW = 20;
+
+// Values of a row change: changed keys only for updates
+const describeRowChange = (change) => {
+  const before = change.before_values || {};
+  const after = change.after_values || {};
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  if (change.change_type !== 'update') {
+    const values = change.change_type === 'delete' ? before : after;
+    return keys.map((key) => `${key}: ${values[key] ?? ''}`).join(', ');
+  }
+  return keys
+    .filter((key) => String(before[key] ?? '') !== String(after[key] ?? ''))
+    .map((key) => `${key}: ${before[key] ?? ''} → ${after[key] ?? ''}`)
+    .join(', ');
+};
+
+// Sync history entry with expandable row-level changes
+const SyncHistoryEntry = ({ log, canRollback, onRollback, busy, defaultExpanded = false }) => {
+  const [expanded, setExpanded] = useState(defaultExpanded);
+  const [changes, setChanges] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const hasChanges = log.changed_rows > 0;
+
+  useEffect(() => {
+    if (!expanded || changes || !hasChanges) return;
+    getSyncRowChanges(log.id)
+      .then(setChanges)
+      .catch((err) => {
+        console.error('[DataSourcesPage] Failed to load row changes:', err);
+        setChanges([]);
+      });
+  }, [expanded, changes, hasChanges, log.id]);
+
+  const shown = showAll ? changes : changes?.slice(0, ROW_CHANGES_PREVIEW);
+
+  return (
+    <div className="text-sm bg-gray-50 rounded">
+      <div className="flex items-center justify-between p-2">
+        <button
+          type="button"
+          className="flex items-center gap-2 text-left disabled:cursor-default"
+          onClick={() => setExpanded(!expanded)}
+          disabled={!hasChanges}
+        >
+          {hasChanges ? (
+            expanded ? <ChevronDown size={12} className="text-gray-400" /> : <ChevronRight size={12} className="text-gray-400" />
+          ) : (
+            <Clock size={12} className="text-gray-400" />
+          )}
+          <span>{new Date(log.synced_at).toLocaleString()}</span>
+          {log.message && <span className="text-gray-500 line-clamp-1">{log.message}</span>}
+        </button>
+        <Inline gap="sm" align="center">
+          <Badge size="sm" variant={SYNC_STATUS_VARIANTS[log.status] || 'default'}>
+            {log.status.replace('_', ' ')}
+          </Badge>
+          {canRollback && (
+            <Button size="sm" variant="ghost" onClick={() => onRollback(log)} disabled={busy}>
+              <RotateCcw size={12} />
+              Roll back
+            </Button>
+          )}
+        </Inline>
+      </div>
+
+      {expanded && hasChanges && (
+        <div className="px-2 pb-2 space-y-1">
+          {!changes ? (
+            <Loader2 size={14} className="animate-spin text-gray-400" />
+          ) : (
+            <>
+              {shown.map((change) => (
+                <div key={change.id} className="flex items-start gap-2 text-xs">
+                  <span className={`px-1.5 py-0.5 rounded font-medium ${ROW_CHANGE_STYLES[change.change_type]?.className}`}>
+                    {ROW_CHANGE_STYLES[change.change_type]?.label}
+                  </span>
+                  <span className="text-gray-400 whitespace-nowrap">
+                    {change.row_key || `Row ${change.row_index + 1}`}
+                  </span>
+                  <span className="text-gray-700 break-all">{describeRowChange(change)}</span>
+                </div>
+              ))}
+              {!showAll && changes.length > ROW_CHANGES_PREVIEW && (
+                <button type="button" className="text-xs text-blue-600" onClick={() => setShowAll(true)}>
+                  Show all {changes.length} changes
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
 // --------------------------------------------------------------------------
 // Main Component
 // --------------------------------------------------------------------------
 
-export default function DataSourcesPage() {
+export default function DataSourcesPage({ onNavigate }) {
   const { user } = useAuth();
   const { t } = useTranslation();
 
@@ -346,7 +607,8 @@ export default function DataSourcesPage() {
 
   // Field creation state
   const [showAddField, setShowAddField] = useState(false);
-  const [newField, setNewField] = useState({ name: '', label: '', dataType: FIELD_DATA_TYPES.TEXT });
+  const [newField, setNewField] = useState(EMPTY_NEW_FIELD);
+  const newFieldFormula = newField.computed ? validateFormula(newField.formula, sourceData?.fields || []) : null;
 
   // Google Sheets integration state
   const [showLinkModal, setShowLinkModal] = useState(false);
@@ -355,6 +617,16 @@ export default function DataSourcesPage() {
   const [syncing, setSyncing] = useState(false);
   const [syncHistory, setSyncHistory] = useState([]);
 
+  // REST API integration state
+  const [showRestModal, setShowRestModal] = useState(false);
+  const [restLinkData, setRestLinkData] = useState(EMPTY_REST_LINK);
+  const [restPreview, setRestPreview] = useState(null);
+  const [previewingRest, setPreviewingRest] = useState(false);
+
+  // Sync review and rollback state
+  const [reviewing, setReviewing] = useState(false);
+  const heldSync = syncHistory.find((log) => log.status === SYNC_STATUS.HELD);
+
   // Fetch data sources
   const loadDataSources = useCallback(async () => {
     try {
@@ -482,9 +754,10 @@ export default function DataSourcesPage() {
         name: newField.name,
         label: newField.label,
         dataType: newField.dataType,
+        formula: newField.computed ? newField.formula : undefined,
       });
       setShowAddField(false);
-      setNewField({ name: '', label: '', dataType: FIELD_DATA_TYPES.TEXT });
+      setNewField(EMPTY_NEW_FIELD);
       await loadSourceDetails(sourceData.id);
       await loadDataSources();
     } catch (err) {
@@ -618,11 +891,16 @@ export default function DataSourcesPage() {
 
     try {
       setSyncing(true);
-      await syncDataSourceFromSheet(sourceData);
+      const result = sourceData.integration_type === INTEGRATION_TYPES.REST_API
+        ? await syncDataSourceFromRest(sourceData)
+        : await syncDataSourceFromSheet(sourceData);
+      if (!result.success) {
+        setError('Sync failed: ' + result.message);
+      }
       await loadSourceDetails(sourceData.id);
       await loadDataSources();
       // Reload sync history
-      const history = await getSyncHistory(sourceData.id, 5);
+      const history = await getSyncHistory(sourceData.id, SYNC_HISTORY_LIMIT);
       setSyncHistory(history);
     } catch (err) {
       console.error('[DataSourcesPage] Manual sync failed:', err);
@@ -632,9 +910,141 @@ export default function DataSourcesPage() {
     }
   };
 
+  // REST API integration handlers
+  const handlePreviewRest = async () => {
+    if (!restLinkData.url.trim()) return;
+
+    try {
+      setPreviewingRest(true);
+      setRestPreview(null);
+      const config = buildRestConfig(restLinkData);
+      const rows = selectRows(await fetchRestData(config), config.rowPath);
+      setRestPreview({ rowCount: rows.length, sample: rows.slice(0, 3) });
+      // Keep mappings the user already edited
+      if (!restLinkData.fieldMappings.length) {
+        setRestLinkData({ ...restLinkData, fieldMappings: suggestFieldMappings(rows) });
+      }
+    } catch (err) {
+      console.error('[DataSourcesPage] REST preview failed:', err);
+      setRestPreview({ error: err.message });
+    } finally {
+      setPreviewingRest(false);
+    }
+  };
+
+  const handleUpdateRestMapping = (index, updates) => {
+    setRestLinkData({
+      ...restLinkData,
+      fieldMappings: restLinkData.fieldMappings.map((m, i) => (i === index ? { ...m, ...updates } : m)),
+    });
+  };
+
+  const handleRemoveRestMapping = (index) => {
+    setRestLinkData({
+      ...restLinkData,
+      fieldMappings: restLinkData.fieldMappings.filter((_, i) => i !== index),
+    });
+  };
+
+  const handleCloseRestModal = () => {
+    setShowRestModal(false);
+    setRestLinkData(EMPTY_REST_LINK);
+    setRestPreview(null);
+  };
+
+  const handleLinkToRest = async () => {
+    if (!sourceData || !restLinkData.url.trim()) return;
+
+    try {
+      setLinking(true);
+      const result = await linkToRestApi(sourceData.id, buildRestConfig(restLinkData));
+      if (!result.success) {
+        setRestPreview({ error: result.message });
+        return;
+      }
+
+      handleCloseRestModal();
+      await loadSourceDetails(sourceData.id);
+      await loadDataSources();
+    } catch (err) {
+      console.error('[DataSourcesPage] Link to REST API failed:', err);
+      setError('Failed to link to REST API: ' + err.message);
+    } finally {
+      setLinking(false);
+    }
+  };
+
+  // Held sync review and rollback handlers
+  const reloadAfterReview = async () => {
+    await loadSourceDetails(sourceData.id);
+    await loadDataSources();
+    setSyncHistory(await getSyncHistory(sourceData.id, SYNC_HISTORY_LIMIT));
+  };
+
+  const handleApproveHeldSync = async () => {
+    if (!sourceData || !heldSync) return;
+
+    try {
+      setReviewing(true);
+      await approveHeldSync(sourceData.id, heldSync.id);
+      await reloadAfterReview();
+    } catch (err) {
+      console.error('[DataSourcesPage] Approve held sync failed:', err);
+      setError('Failed to apply held sync: ' + err.message);
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  const handleDiscardHeldSync = async () => {
+    if (!sourceData || !heldSync) return;
+
+    try {
+      setReviewing(true);
+      await discardHeldSync(heldSync.id);
+      await reloadAfterReview();
+    } catch (err) {
+      console.error('[DataSourcesPage] Discard held sync failed:', err);
+      setError('Failed to discard held sync: ' + err.message);
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  const handleRollback = async (log) => {
+    if (!sourceData) return;
+    const when = new Date(log.synced_at).toLocaleString();
+    if (!window.confirm(`Restore the rows this data source had after the sync of ${when}? The next scheduled sync will fetch the source again.`)) {
+      return;
+    }
+
+    try {
+      setReviewing(true);
+      await rollbackToSync(sourceData.id, log.id);
+      await reloadAfterReview();
+    } catch (err) {
+      console.error('[DataSourcesPage] Rollback failed:', err);
+      setError('Failed to roll back: ' + err.message);
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  const handleUpdateSyncSettings = async (settings) => {
+    if (!sourceData) return;
+
+    try {
+      await updateSyncSettings(sourceData.id, settings);
+      await loadSourceDetails(sourceData.id);
+    } catch (err) {
+      console.error('[DataSourcesPage] Update sync settings failed:', err);
+      setError('Failed to update sync settings: ' + err.message);
+    }
+  };
+
   const handleLoadSyncHistory = useCallback(async (dataSourceId) => {
     try {
-      const history = await getSyncHistory(dataSourceId, 5);
+      const history = await getSyncHistory(dataSourceId, SYNC_HISTORY_LIMIT);
       setSyncHistory(history);
     } catch (err) {
       console.error('[DataSourcesPage] Failed to load sync history:', err);
@@ -684,10 +1094,18 @@ export default function DataSourcesPage() {
         title="Data Sources"
         description="Manage dynamic data for menus, price lists, and schedules"
         actions={
-          <Button onClick={() => setShowCreateModal(true)}>
-            <Plus size={16} />
-            New Data Source
-          </Button>
+          <Inline gap="sm">
+            {onNavigate && (
+              <Button variant="secondary" onClick={() => onNavigate('menus')}>
+                <UtensilsCrossed size={16} />
+                Menus
+              </Button>
+            )}
+            <Button onClick={() => setShowCreateModal(true)}>
+              <Plus size={16} />
+              New Data Source
+            </Button>
+          </Inline>
         }
       />
 
@@ -769,19 +1187,36 @@ export default function DataSourcesPage() {
                           <span className="text-sm text-gray-500">{sourceData.description}</span>
                         )}
                       </Stack>
-                      <Badge variant={sourceData.type === DATA_SOURCE_TYPES.CSV_IMPORT ? 'info' : 'secondary'}>
-                        {sourceData.type === DATA_SOURCE_TYPES.CSV_IMPORT ? 'CSV Import' : 'Internal Table'}
+                      <Badge variant={sourceData.type === DATA_SOURCE_TYPES.INTERNAL_TABLE ? 'secondary' : 'info'}>
+                        {TYPE_LABELS[sourceData.type] || 'Internal Table'}
                       </Badge>
                     </Inline>
                   </CardHeader>
+                  {sourceData.type === DATA_SOURCE_TYPES.MENU && (
+                    <CardContent>
+                      <Alert variant="info">
+                        Published from Menus. Edit items and sold-out status there; changes made here are replaced on the next publish.
+                        {onNavigate && (
+                          <Button size="sm" variant="secondary" className="ml-2" onClick={() => onNavigate('menus')}>
+                            Open Menus
+                          </Button>
+                        )}
+                      </Alert>
+                    </CardContent>
+                  )}
                 </Card>
 
-                {/* Google Sheets Integration section */}
+                {/* External integration section */}
                 <Card>
                   <CardHeader>
                     <Inline justify="between" align="center">
-                      <CardTitle>Google Sheets Integration</CardTitle>
-                      {sourceData.integration_type === INTEGRATION_TYPES.GOOGLE_SHEETS ? (
+                      <CardTitle>
+                        {sourceData.integration_type === INTEGRATION_TYPES.REST_API
+                          ? 'REST API Integration'
+                          : 'Google Sheets Integration'}
+                      </CardTitle>
+                      {sourceData.integration_type === INTEGRATION_TYPES.GOOGLE_SHEETS ||
+                      sourceData.integration_type === INTEGRATION_TYPES.REST_API ? (
                         <Inline gap="sm">
                           <Button
                             size="sm"
@@ -806,35 +1241,67 @@ export default function DataSourcesPage() {
                           </Button>
                         </Inline>
                       ) : (
-                        <Button
-                          size="sm"
-                          variant="secondary"
-                          onClick={() => setShowLinkModal(true)}
-                        >
-                          <Link2 size={14} />
-                          Link to Sheet
-                        </Button>
+                        <Inline gap="sm">
+                          <Button
+                            size="sm"
+                            variant="secondary"
+                            onClick={() => setShowLinkModal(true)}
+                          >
+                            <Link2 size={14} />
+                            Link to Sheet
+                          </Button>
+                          <Button
+                            size="sm"
+                            variant="secondary"
+                            onClick={() => setShowRestModal(true)}
+                          >
+                            <Globe size={14} />
+                            Connect API
+                          </Button>
+                        </Inline>
                       )}
                     </Inline>
                   </CardHeader>
                   <CardContent>
-                    {sourceData.integration_type === INTEGRATION_TYPES.GOOGLE_SHEETS ? (
+                    {sourceData.integration_type === INTEGRATION_TYPES.GOOGLE_SHEETS ||
+                    sourceData.integration_type === INTEGRATION_TYPES.REST_API ? (
                       <Stack gap="md">
-                        <div className="flex items-center gap-3 p-3 bg-green-50 rounded-lg border border-green-200">
-                          <FileSpreadsheet size={20} className="text-green-600" />
-                          <Stack gap="xs">
-                            <span className="font-medium text-green-800">Connected to Google Sheets</span>
-                            <span className="text-sm text-green-600">
-                              Sheet: {sourceData.integration_config?.sheetId}
-                            </span>
-                          </Stack>
-                        </div>
+                        {sourceData.integration_type === INTEGRATION_TYPES.REST_API ? (
+                          <div className="flex items-center gap-3 p-3 bg-green-50 rounded-lg border border-green-200">
+                            <Globe size={20} className="text-green-600" />
+                            <Stack gap="xs">
+                              <span className="font-medium text-green-800">Connected to REST API</span>
+                              <span className="text-sm text-green-600 break-all">
+                                {sourceData.integration_config?.url}
+                              </span>
+                            </Stack>
+                          </div>
+                        ) : (
+                          <div className="flex items-center gap-3 p-3 bg-green-50 rounded-lg border border-green-200">
+                            <FileSpreadsheet size={20} className="text-green-600" />
+                            <Stack gap="xs">
+                              <span className="font-medium text-green-800">Connected to Google Sheets</span>
+                              <span className="text-sm text-green-600">
+                                Sheet: {sourceData.integration_config?.sheetId}
+                              </span>
+                            </Stack>
+                          </div>
+                        )}
 
                         <Inline justify="between" align="center">
-                          <Stack gap="xs">
-                            <span className="text-sm text-gray-500">Range</span>
-                            <span className="font-medium">{sourceData.integration_config?.range || 'Sheet1!A:Z'}</span>
-                          </Stack>
+                          {sourceData.integration_type === INTEGRATION_TYPES.REST_API ? (
+                            <Stack gap="xs">
+                              <span className="text-sm text-gray-500">Rows</span>
+                              <span className="font-medium font-mono text-sm">
+                                {sourceData.integration_config?.rowPath || '$'}
+                              </span>
+                            </Stack>
+                          ) : (
+                            <Stack gap="xs">
+                              <span className="text-sm text-gray-500">Range</span>
+                              <span className="font-medium">{sourceData.integration_config?.range || 'Sheet1!A:Z'}</span>
+                            </Stack>
+                          )}
                           <Stack gap="xs">
                             <span className="text-sm text-gray-500">Sync Interval</span>
                             <span className="font-medium">{sourceData.integration_config?.pollIntervalMinutes || 15} minutes</span>
@@ -870,37 +1337,84 @@ export default function DataSourcesPage() {
                           </Alert>
                         )}
 
+                        {heldSync && (
+                          <Alert variant="warning">
+                            <ShieldAlert size={16} />
+                            <Stack gap="sm">
+                              <span className="text-sm">
+                                The latest sync was held for review because it would remove{' '}
+                                {heldSync.removed_rows} of {sourceData.rows?.length || 0} rows.
+                                Check its changes below before applying it.
+                              </span>
+                              <Inline gap="sm">
+                                <Button size="sm" onClick={handleApproveHeldSync} disabled={reviewing}>
+                                  <Check size={14} />
+                                  Apply Sync
+                                </Button>
+                                <Button size="sm" variant="secondary" onClick={handleDiscardHeldSync} disabled={reviewing}>
+                                  <X size={14} />
+                                  Discard
+                                </Button>
+                              </Inline>
+                            </Stack>
+                          </Alert>
+                        )}
+
+                        <Inline gap="md" align="end">
+                          <FormField
+                            label="Hold for review above"
+                            hint="Syncs deleting more than this share of rows wait for approval"
+                          >
+                            <Select
+                              size="sm"
+                              value={sourceData.integration_config?.maxDeletePercent ?? DEFAULT_MAX_DELETE_PERCENT}
+                              onChange={(e) => handleUpdateSyncSettings({ maxDeletePercent: parseInt(e.target.value, 10) })}
+                            >
+                              <option value={10}>10% of rows deleted</option>
+                              <option value={25}>25% of rows deleted</option>
+                              <option value={50}>50% of rows deleted</option>
+                              <option value={75}>75% of rows deleted</option>
+                              <option value={100}>Never hold</option>
+                            </Select>
+                          </FormField>
+                          <FormField
+                            label="Row key"
+                            hint="Matches rows across syncs so moved rows are not seen as changed"
+                          >
+                            <Select
+                              size="sm"
+                              value={sourceData.integration_config?.keyField || ''}
+                              onChange={(e) => handleUpdateSyncSettings({ keyField: e.target.value })}
+                            >
+                              <option value="">Row order</option>
+                              {sourceData.fields?.map((field) => (
+                                <option key={field.id} value={field.name}>
+                                  {field.label}
+                                </option>
+                              ))}
+                            </Select>
+                          </FormField>
+                        </Inline>
+
                         {syncHistory.length > 0 && (
                           <Stack gap="sm">
                             <span className="text-sm font-medium text-gray-700">Recent Sync History</span>
                             <div className="space-y-1">
-                              {syncHistory.map((log) => (
-                                <div
+                              {syncHistory.map((log, index) => (
+                                <SyncHistoryEntry
                                   key={log.id}
-                                  className="flex items-center justify-between text-sm p-2 bg-gray-50 rounded"
-                                >
-                                  <Inline gap="sm" align="center">
-                                    <Clock size={12} className="text-gray-400" />
-                                    <span>{new Date(log.synced_at).toLocaleString()}</span>
-                                  </Inline>
-                                  <Inline gap="sm">
-                                    <Badge
-                                      size="sm"
-                                      variant={
-                                        log.status === SYNC_STATUS.OK
-                                          ? 'success'
-                                          : log.status === SYNC_STATUS.ERROR
-                                          ? 'destructive'
-                                          : 'secondary'
-                                      }
-                                    >
-                                      {log.status}
-                                    </Badge>
-                                    {log.rows_updated > 0 && (
-                                      <span className="text-gray-500">{log.rows_updated} rows</span>
-                                    )}
-                                  </Inline>
-                                </div>
+                                  log={log}
+                                  busy={reviewing}
+                                  defaultExpanded={log === heldSync}
+                                  onRollback={handleRollback}
+                                  // The newest applied entry is the current data
+                                  canRollback={
+                                    (log.status === SYNC_STATUS.OK || log.status === SYNC_STATUS.ROLLED_BACK) &&
+                                    syncHistory.slice(0, index).some(
+                                      (newer) => newer.status === SYNC_STATUS.OK || newer.status === SYNC_STATUS.ROLLED_BACK
+                                    )
+                                  }
+                                />
                               ))}
                             </div>
                           </Stack>
@@ -909,7 +1423,7 @@ export default function DataSourcesPage() {
                     ) : (
                       <div className="p-4 text-center text-gray-500 border-2 border-dashed border-gray-200 rounded-lg">
                         <FileSpreadsheet size={32} className="mx-auto mb-2 text-gray-400" />
-                        <p className="text-sm">Link this data source to a Google Sheet for automatic syncing</p>
+                        <p className="text-sm">Link this data source to a Google Sheet or a JSON API for automatic syncing</p>
                         <p className="text-xs text-gray-400 mt-1">Data will auto-update and push to all devices</p>
                       </div>
                     )}
@@ -944,6 +1458,7 @@ export default function DataSourcesPage() {
                             <FieldEditorRow
                               key={field.id}
                               field={field}
+                              fields={sourceData.fields}
                               onUpdate={handleUpdateField}
                               onDelete={handleDeleteField}
                               onMoveUp={() => handleMoveField(index, -1)}
@@ -1134,13 +1649,43 @@ export default function DataSourcesPage() {
                 ))}
               </Select>
             </FormField>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={newField.computed}
+                onChange={(e) => setNewField({ ...newField, computed: e.target.checked })}
+              />
+              Computed from a formula
+            </label>
+
+            {newField.computed && (
+              <FormField
+                label="Formula"
+                required
+                hint={newFieldFormula?.valid === false ? undefined : 'Use field names, + - * / &, comparisons and functions like IF, ROUND, TODAY'}
+              >
+                <Input
+                  value={newField.formula}
+                  onChange={(e) => setNewField({ ...newField, formula: e.target.value })}
+                  className="font-mono"
+                  placeholder={FORMULA_HINT}
+                />
+                {newFieldFormula?.valid === false && newField.formula.trim() && (
+                  <p className="text-xs text-red-600 mt-1">{newFieldFormula.error}</p>
+                )}
+              </FormField>
+            )}
           </Stack>
         </ModalContent>
         <ModalFooter>
           <Button variant="secondary" onClick={() => setShowAddField(false)}>
             Cancel
           </Button>
-          <Button onClick={handleAddField} disabled={!newField.name.trim() || !newField.label.trim()}>
+          <Button
+            onClick={handleAddField}
+            disabled={!newField.name.trim() || !newField.label.trim() || newFieldFormula?.valid === false}
+          >
             Add Field
           </Button>
         </ModalFooter>
@@ -1258,6 +1803,253 @@ export default function DataSourcesPage() {
           </Button>
         </ModalFooter>
       </Modal>
+
+      {/* Connect REST API Modal */}
+      <Modal open={showRestModal} onClose={handleCloseRestModal} size="lg">
+        <ModalHeader>
+          <ModalTitle>Connect to a REST API</ModalTitle>
+        </ModalHeader>
+        <ModalContent>
+          <Stack gap="md">
+            <FormField label="API URL" required hint="A GET endpoint that returns JSON">
+              <Input
+                value={restLinkData.url}
+                onChange={(e) => setRestLinkData({ ...restLinkData, url: e.target.value })}
+                placeholder="https://api.example.com/menu"
+              />
+            </FormField>
+
+            <FormField label="Authentication">
+              <Select
+                value={restLinkData.authType}
+                onChange={(e) => setRestLinkData({ ...restLinkData, authType: e.target.value })}
+              >
+                <option value={REST_AUTH_TYPES.NONE}>None</option>
+                <option value={REST_AUTH_TYPES.BEARER}>Bearer token</option>
+                <option value={REST_AUTH_TYPES.BASIC}>Username and password</option>
+                <option value={REST_AUTH_TYPES.API_KEY}>API key</option>
+              </Select>
+            </FormField>
+
+            {restLinkData.authType === REST_AUTH_TYPES.BEARER && (
+              <FormField label="Token">
+                <Input
+                  type="password"
+                  value={restLinkData.token}
+                  onChange={(e) => setRestLinkData({ ...restLinkData, token: e.target.value })}
+                />
+              </FormField>
+            )}
+
+            {restLinkData.authType === REST_AUTH_TYPES.BASIC && (
+              <Inline gap="md">
+                <FormField label="Username" className="flex-1">
+                  <Input
+                    value={restLinkData.username}
+                    onChange={(e) => setRestLinkData({ ...restLinkData, username: e.target.value })}
+                  />
+                </FormField>
+                <FormField label="Password" className="flex-1">
+                  <Input
+                    type="password"
+                    value={restLinkData.password}
+                    onChange={(e) => setRestLinkData({ ...restLinkData, password: e.target.value })}
+                  />
+                </FormField>
+              </Inline>
+            )}
+
+            {restLinkData.authType === REST_AUTH_TYPES.API_KEY && (
+              <Inline gap="md">
+                <FormField label="Key name" className="flex-1">
+                  <Input
+                    value={restLinkData.keyName}
+                    onChange={(e) => setRestLinkData({ ...restLinkData, keyName: e.target.value })}
+                    placeholder="X-API-Key"
+                  />
+                </FormField>
+                <FormField label="Key value" className="flex-1">
+                  <Input
+                    type="password"
+                    value={restLinkData.keyValue}
+                    onChange={(e) => setRestLinkData({ ...restLinkData, keyValue: e.target.value })}
+                  />
+                </FormField>
+                <FormField label="Send as">
+                  <Select
+                    value={restLinkData.keyLocation}
+                    onChange={(e) => setRestLinkData({ ...restLinkData, keyLocation: e.target.value })}
+                  >
+                    <option value={API_KEY_LOCATIONS.HEADER}>Header</option>
+                    <option value={API_KEY_LOCATIONS.QUERY}>Query parameter</option>
+                  </Select>
+                </FormField>
+              </Inline>
+            )}
+
+            <FormField label="Headers" hint="One per line, e.g. X-Store-Id: 12">
+              <textarea
+                value={restLinkData.headersText}
+                onChange={(e) => setRestLinkData({ ...restLinkData, headersText: e.target.value })}
+                rows={2}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+              />
+            </FormField>
+
+            <Inline gap="md" align="end">
+              <FormField label="Rows" hint="Path to the list of rows, e.g. $.data.items[*]" className="flex-1">
+                <Input
+                  value={restLinkData.rowPath}
+                  onChange={(e) => setRestLinkData({ ...restLinkData, rowPath: e.target.value })}
+                  placeholder="$"
+                />
+              </FormField>
+              <FormField label="Sync Interval">
+                <Select
+                  value={restLinkData.pollIntervalMinutes}
+                  onChange={(e) => setRestLinkData({ ...restLinkData, pollIntervalMinutes: parseInt(e.target.value, 10) })}
+                >
+                  <option value={5}>Every 5 minutes</option>
+                  <option value={10}>Every 10 minutes</option>
+                  <option value={15}>Every 15 minutes</option>
+                  <option value={30}>Every 30 minutes</option>
+                  <option value={60}>Every hour</option>
+                </Select>
+              </FormField>
+            </Inline>
+
+            <div>
+              <Button
+                size="sm"
+                variant="secondary"
+                onClick={handlePreviewRest}
+                disabled={!restLinkData.url.trim() || previewingRest}
+              >
+                {previewingRest ? <Loader2 size={14} className="animate-spin" /> : <Eye size={14} />}
+                {previewingRest ? 'Fetching...' : 'Fetch & Detect Fields'}
+              </Button>
+            </div>
+
+            {restPreview?.error && (
+              <Alert variant="error">
+                <AlertTriangle size={16} />
+                <span className="text-sm">{restPreview.error}</span>
+              </Alert>
+            )}
+
+            {restPreview && !restPreview.error && (
+              <span className="text-sm text-gray-500">
+                Found {restPreview.rowCount} row{restPreview.rowCount === 1 ? '' : 's'}
+              </span>
+            )}
+
+            {restLinkData.fieldMappings.length > 0 && (
+              <Stack gap="sm">
+                <span className="text-sm font-medium text-gray-700">Field Mapping</span>
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 text-gray-600">
+                    <tr>
+                      <th className="p-2 text-left">Response path</th>
+                      <th className="p-2 text-left">Field name</th>
+                      <th className="p-2 text-left">Label</th>
+                      <th className="p-2 text-left w-32">Type</th>
+                      <th className="p-2 w-10" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {restLinkData.fieldMappings.map((mapping, index) => (
+                      <tr key={index} className="border-t border-gray-100">
+                        <td className="p-1">
+                          <Input
+                            size="sm"
+                            className="font-mono"
+                            value={mapping.source}
+                            onChange={(e) => handleUpdateRestMapping(index, { source: e.target.value })}
+                          />
+                        </td>
+                        <td className="p-1">
+                          <Input
+                            size="sm"
+                            value={mapping.name}
+                            onChange={(e) => handleUpdateRestMapping(index, { name: e.target.value })}
+                          />
+                        </td>
+                        <td className="p-1">
+                          <Input
+                            size="sm"
+                            value={mapping.label}
+                            onChange={(e) => handleUpdateRestMapping(index, { label: e.target.value })}
+                          />
+                        </td>
+                        <td className="p-1">
+                          <Select
+                            size="sm"
+                            value={mapping.dataType}
+                            onChange={(e) => handleUpdateRestMapping(index, { dataType: e.target.value })}
+                          >
+                            {Object.entries(FIELD_DATA_TYPES).map(([key, value]) => (
+                              <option key={value} value={value}>
+                                {key.charAt(0) + key.slice(1).toLowerCase().replace('_', ' ')}
+                              </option>
+                            ))}
+                          </Select>
+                        </td>
+                        <td className="p-1">
+                          <IconButton variant="ghost" size="sm" onClick={() => handleRemoveRestMapping(index)}>
+                            <X size={14} />
+                          </IconButton>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => setRestLinkData({
+                    ...restLinkData,
+                    fieldMappings: [...restLinkData.fieldMappings, { name: '', label: '', source: '', dataType: FIELD_DATA_TYPES.TEXT }],
+                  })}
+                >
+                  <Plus size={14} />
+                  Add Field
+                </Button>
+              </Stack>
+            )}
+
+            <div className="p-3 bg-gray-50 rounded-lg text-sm text-gray-600">
+              <p className="font-medium mb-1">How it works:</p>
+              <ul className="list-disc list-inside space-y-1 text-xs">
+                <li>The URL is fetched at your chosen interval</li>
+                <li>Each row found at the rows path becomes a data row</li>
+                <li>Without a mapping, fields are detected from the response</li>
+                <li>All connected devices update in real-time</li>
+              </ul>
+            </div>
+          </Stack>
+        </ModalContent>
+        <ModalFooter>
+          <Button variant="secondary" onClick={handleCloseRestModal}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleLinkToRest}
+            disabled={!restLinkData.url.trim() || linking}
+          >
+            {linking ? (
+              <>
+                <Loader2 size={16} className="animate-spin" />
+                Connecting...
+              </>
+            ) : (
+              <>
+                <Globe size={16} />
+                Connect API
+              </>
+            )}
+          </Button>
+        </ModalFooter>
+      </Modal>
     </PageLayout>
   );
 }
@@ -5,6 +5,7 @@
  * - List all locations with screen counts
  * - Create, edit, delete locations
  * - View screens by location
+ * - Attach holiday/exception calendars to a location
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -23,6 +24,8 @@ import {
   Loader2,
   AlertCircle,
   X,
+  CalendarOff,
+  Crosshair,
 } from 'lucide-react';
 import { useTranslation } from '../i18n';
 import {
@@ -48,6 +51,8 @@ import {
   TIMEZONE_OPTIONS,
 } from '../services/locationService';
 import { getPermissions } from '../services/permissionsService';
+import { getCurrentLocation } from '../services/geolocationService';
+import ExceptionCalendarsModal from '../components/schedules/ExceptionCalendarsModal';
 
 const LocationsPage = ({ showToast, setCurrentPage }) => {
   const { t } = useTranslation();
@@ -60,6 +65,7 @@ const LocationsPage = ({ showToast, setCurrentPage }) => {
   const [showLocationModal, setShowLocationModal] = useState(false);
   const [editingLocation, setEditingLocation] = useState(null);
   const [showDeleteModal, setShowDeleteModal] = useState(null);
+  const [exceptionsLocation, setExceptionsLocation] = useState(null);
 
   // Form state
   const [formData, setFormData] = useState({
@@ -70,8 +76,11 @@ const LocationsPage = ({ showToast, setCurrentPage }) => {
     country: '',
     postalCode: '',
     timezone: '',
+    latitude: '',
+    longitude: '',
     notes: '',
   });
+  const [locating, setLocating] = useState(false);
   const [processing, setProcessing] = useState(false);
 
   const loadData = useCallback(async () => {
@@ -114,11 +123,25 @@ const LocationsPage = ({ showToast, setCurrentPage }) => {
       country: '',
       postalCode: '',
       timezone: '',
+      latitude: '',
+      longitude: '',
       notes: '',
     });
     setEditingLocation(null);
   };
 
+  const handleUseCurrentPosition = async () => {
+    try {
+      setLocating(true);
+      const { lat, lon } = await getCurrentLocation();
+      setFormData((prev) => ({ ...prev, latitude: lat.toFixed(6), longitude: lon.toFixed(6) }));
+    } catch (err) {
+      showToast?.(err.message, 'error');
+    } finally {
+      setLocating(false);
+    }
+  };
+
   const openCreateModal = () => {
     resetForm();
     setShowLocationModal(true);
@@ -133,6 +156,8 @@ const LocationsPage = ({ showToast, setCurrentPage }) => {
       country: location.country || '',
       postalCode: location.postal_code || '',
       timezone: location.timezone || '',
+      latitude: location.latitude ?? '',
+      longitude: location.longitude ?? '',
       notes: location.notes || '',
     });
     setEditingLocation(location);
@@ -266,6 +291,7 @@ const LocationsPage = ({ showToast, setCurrentPage }) => {
                 canManage={canManage}
                 onEdit={() => openEditModal(location)}
                 onDelete={() => setShowDeleteModal(location)}
+                onManageExceptions={() => setExceptionsLocation(location)}
                 onViewScreens={() => setCurrentPage?.(`screens?location=${location.id}`)}
                 t={t}
               />
@@ -423,6 +449,50 @@ const LocationsPage = ({ showToast, setCurrentPage }) => {
                 </div>
               </div>
 
+              <div>
+                <div className="flex items-center justify-between mb-1">
+                  <label className="block text-sm font-medium text-gray-700">
+                    {t('locations.coordinates', 'Coordinates')}
+                  </label>
+                  <button
+                    type="button"
+                    onClick={handleUseCurrentPosition}
+                    disabled={locating}
+                    className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                  >
+                    {locating ? <Loader2 size={12} className="animate-spin" aria-hidden="true" /> : <Crosshair size={12} aria-hidden="true" />}
+                    {t('locations.useCurrentPosition', 'Use current position')}
+                  </button>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <input
+                    type="number"
+                    step="any"
+                    min={-90}
+                    max={90}
+                    value={formData.latitude}
+                    onChange={(e) => setFormData({ ...formData, latitude: e.target.value })}
+                    placeholder={t('locations.latitude', 'Latitude')}
+                    aria-label={t('locations.latitude', 'Latitude')}
+                    className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                  <input
+                    type="number"
+                    step="any"
+                    min={-180}
+                    max={180}
+                    value={formData.longitude}
+                    onChange={(e) => setFormData({ ...formData, longitude: e.target.value })}
+                    placeholder={t('locations.longitude', 'Longitude')}
+                    aria-label={t('locations.longitude', 'Longitude')}
+                    className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {t('locations.coordinatesHint', 'Used for sunrise and sunset schedule events on screens at this location.')}
+                </p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   {t('locations.notes', 'Notes')}
@@ -479,13 +549,22 @@ const LocationsPage = ({ showToast, setCurrentPage }) => {
             </Button>
           </ModalFooter>
         </Modal>
+
+        <ExceptionCalendarsModal
+          isOpen={!!exceptionsLocation}
+          onClose={() => setExceptionsLocation(null)}
+          locationId={exceptionsLocation?.id}
+          targetName={exceptionsLocation?.name}
+          timeZone={exceptionsLocation?.timezone}
+          showToast={showToast}
+        />
       </PageContent>
     </PageLayout>
   );
 };
 
 // Location Card Component
-function LocationCard({ location, stats, canManage, onEdit, onDelete, onViewScreens, t }) {
+function LocationCard({ location, stats, canManage, onEdit, onDelete, onManageExceptions, onViewScreens, t }) {
   const [showMenu, setShowMenu] = useState(false);
 
   const screenCount = location.screenCount ?? stats?.total ?? 0;
@@ -536,6 +615,17 @@ function LocationCard({ location, stats, canManage, onEdit, onDelete, onViewScre
                     <Edit2 size={14} aria-hidden="true" />
                     {t('common.edit', 'Edit')}
                   </button>
+                  <button
+                    onClick={() => {
+                      setShowMenu(false);
+                      onManageExceptions?.();
+                    }}
+                    className="w-full flex items-center gap-2 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                    role="menuitem"
+                  >
+                    <CalendarOff size={14} aria-hidden="true" />
+                    {t('locations.holidays', 'Holidays')}
+                  </button>
                   <button
                     onClick={() => {
                       setShowMenu(false);
@@ -26,7 +26,7 @@
  * @see {@link ../services/mediaService.js} - Media CRUD operations
  * @see {@link ../hooks/useCloudinaryUpload.js} - Upload widget hook
  */
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Search,
   Plus,
@@ -64,6 +64,7 @@ import {
   Monitor,
   Move,
   GripVertical,
+  ListFilter,
 } from 'lucide-react';
 import { supabase } from '../supabase';
 import { useAuth } from '../contexts/AuthContext';
@@ -79,6 +80,13 @@ import {
   moveMediaToFolder,
   reorderMedia,
   moveMediaToFolderOrdered,
+  archiveMediaAssets,
+  restoreMediaAssets,
+  findDuplicateMedia,
+  mergeDuplicateMedia,
+  getMediaAsset,
+  uploadMediaVersion,
+  rollbackMediaVersion,
 } from '../services/mediaService';
 import {
   getEffectiveLimits,
@@ -87,7 +95,7 @@ import {
 } from '../services/limitsService';
 import { fetchPlaylists, addPlaylistItem, createPlaylist } from '../services/playlistService';
 import { fetchScreens, assignPlaylistToScreen } from '../services/screenService';
-import { MediaDetailModal } from '../components/media';
+import { MediaDetailModal, SmartCollectionsModal } from '../components/media';
 import YodeckAddMediaModal from '../components/media/YodeckAddMediaModal';
 
 // Design system imports
@@ -539,7 +547,7 @@ const UploadModal = ({
 
       <ModalContent>
         {uploadTab === 'upload' ? (
-          <Stack gap="md">
+          <Stack>
             {!isUploadConfigured ? (
               <div className="border-2 border-dashed border-yellow-300 rounded-xl p-8 text-center bg-yellow-50">
                 <AlertTriangle size={40} className="mx-auto text-yellow-500 mb-4" />
@@ -612,7 +620,7 @@ const UploadModal = ({
           </Stack>
         ) : (
           <form onSubmit={saveWebPage} id="web-page-form">
-            <Stack gap="md">
+            <Stack>
               <FormField
                 label="Web Page URL"
                 required
@@ -681,7 +689,7 @@ const DeleteConfirmModal = ({ deleteConfirm, onClose, onConfirm, deleting }) =>
             <p className="text-gray-600">Checking where this media is used...</p>
           </div>
         ) : deleteConfirm.usage?.is_in_use ? (
-          <Stack gap="md">
+          <Stack>
             <Inline gap="sm" align="start">
               <div className="p-2 bg-yellow-100 rounded-full">
                 <AlertTriangle className="w-5 h-5 text-yellow-600" />
@@ -728,7 +736,7 @@ const DeleteConfirmModal = ({ deleteConfirm, onClose, onConfirm, deleting }) =>
             </Inline>
           </Stack>
         ) : (
-          <Stack gap="md">
+          <Stack>
             <Inline gap="sm" align="start">
               <div className="p-2 bg-red-100 rounded-full">
                 <Trash2 className="w-5 h-5 text-red-600" />
@@ -925,6 +933,133 @@ const MoveToFolderModal = ({ open, onClose, mediaName, folders, onMove, moving }
   );
 };
 
+const formatMegabytes = (bytes) => `${((bytes || 0) / 1024 / 1024).toFixed(1)} MB`;
+
+// Find Duplicates Modal - groups assets with the same content and merges each
+// group into the copy the user keeps
+const DuplicatesModal = ({ open, onClose, onMerged, showToast }) => {
+  const [groups, setGroups] = useState([]);
+  const [keepIds, setKeepIds] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [mergingHash, setMergingHash] = useState(null);
+
+  const loadGroups = useCallback(async () => {
+    try {
+      setLoading(true);
+      const found = await findDuplicateMedia();
+      setGroups(found);
+      setKeepIds(Object.fromEntries(found.map((group) => [group.contentHash, group.keep.id])));
+    } catch (error) {
+      console.error('Error finding duplicates:', error);
+      showToast?.(`Error finding duplicates: ${error.message}`, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [showToast]);
+
+  useEffect(() => {
+    if (open) loadGroups();
+  }, [open, loadGroups]);
+
+  const handleMerge = async (group) => {
+    const keepId = keepIds[group.contentHash];
+    const duplicateIds = group.assets.map((asset) => asset.id).filter((id) => id !== keepId);
+
+    try {
+      setMergingHash(group.contentHash);
+      const result = await mergeDuplicateMedia(keepId, duplicateIds);
+      const rewired = result.playlist_items + result.layout_zones + result.scene_slides +
+        (result.schedule_entries || 0) + (result.campaign_contents || 0);
+      showToast?.(
+        `Merged ${result.merged_count} ${result.merged_count === 1 ? 'copy' : 'copies'} and freed ${formatMegabytes(result.bytes_freed)}` +
+          (rewired > 0 ? `; ${rewired} playlist item(s), zone(s), slide(s), schedule event(s) and campaign item(s) now use the kept file` : ''),
+        'success'
+      );
+      setGroups((prev) => prev.filter((g) => g.contentHash !== group.contentHash));
+      onMerged?.();
+    } catch (error) {
+      console.error('Error merging duplicates:', error);
+      showToast?.(`Error merging duplicates: ${error.message}`, 'error');
+    } finally {
+      setMergingHash(null);
+    }
+  };
+
+  if (!open) return null;
+
+  const totalWasted = groups.reduce((sum, group) => sum + group.wastedBytes, 0);
+
+  return (
+    <Modal open={open} onClose={onClose} size="lg">
+      <ModalHeader>
+        <ModalTitle>Find Duplicates</ModalTitle>
+      </ModalHeader>
+      <ModalContent>
+        {loading ? (
+          <div className="flex items-center justify-center py-8 text-gray-500 gap-2">
+            <Loader2 size={18} className="animate-spin" />
+            Looking for duplicates...
+          </div>
+        ) : groups.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">
+            No duplicate files found in your library.
+          </p>
+        ) : (
+          <Stack>
+            <p className="text-sm text-gray-600">
+              {groups.length} file{groups.length === 1 ? ' is' : 's are'} stored more than once, using {formatMegabytes(totalWasted)} extra.
+              Choose the copy to keep: playlists, layouts and scenes using the others switch to it, and the others are deleted.
+            </p>
+            {groups.map((group) => (
+              <div key={group.contentHash} className="border border-gray-200 rounded-lg p-3">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm font-medium text-gray-900">
+                    {group.assets.length} copies · {formatMegabytes(group.wastedBytes)} extra
+                  </span>
+                  <Button
+                    size="sm"
+                    variant="secondary"
+                    onClick={() => handleMerge(group)}
+                    disabled={mergingHash !== null}
+                    loading={mergingHash === group.contentHash}
+                  >
+                    Merge
+                  </Button>
+                </div>
+                <Stack gap="xs">
+                  {group.assets.map((asset) => (
+                    <label key={asset.id} className="flex items-center gap-3 text-sm cursor-pointer">
+                      <input
+                        type="radio"
+                        name={`keep-${group.contentHash}`}
+                        checked={keepIds[group.contentHash] === asset.id}
+                        onChange={() => setKeepIds((prev) => ({ ...prev, [group.contentHash]: asset.id }))}
+                      />
+                      {asset.thumbnail_url || asset.type === 'image' ? (
+                        <img src={asset.thumbnail_url || asset.url} alt="" className="w-10 h-10 rounded object-cover bg-gray-100" />
+                      ) : (
+                        <div className="w-10 h-10 rounded bg-gray-100" />
+                      )}
+                      <span className="flex-1 truncate text-gray-900">{asset.name}</span>
+                      {asset.archived_at && <Badge variant="default">Archived</Badge>}
+                      <span className="text-gray-500">{new Date(asset.created_at).toLocaleDateString()}</span>
+                    </label>
+                  ))}
+                </Stack>
+              </div>
+            ))}
+          </Stack>
+        )}
+      </ModalContent>
+      <ModalFooter>
+        <Button variant="ghost" onClick={onClose}>
+          Close
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+};
+
 // Add to Playlist Modal
 const AddToPlaylistModal = ({ open, onClose, mediaName, playlists, onAdd, adding, onCreateNew }) => {
   if (!open) return null;
@@ -1071,6 +1206,7 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
   // Filter state
   const [typeFilter, setTypeFilter] = useState(null);
   const [orientationFilter, setOrientationFilter] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
   const [showFilters, setShowFilters] = useState(false);
 
   // Detail modal state
@@ -1127,6 +1263,12 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
   const [availableScreens, setAvailableScreens] = useState([]);
   const [settingToScreen, setSettingToScreen] = useState(false);
 
+  // Find duplicates modal state
+  const [showDuplicatesModal, setShowDuplicatesModal] = useState(false);
+
+  // Smart collections modal state
+  const [showCollectionsModal, setShowCollectionsModal] = useState(false);
+
   // Folder hook
   const {
     folders,
@@ -1170,6 +1312,7 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
         width: uploadedFile.width,
         height: uploadedFile.height,
         folderId: currentFolderId, // Save to current folder
+        contentHash: uploadedFile.contentHash,
       });
 
       setMediaAssets((prev) => [asset, ...prev]);
@@ -1189,19 +1332,87 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
     showToast?.(`Upload failed: ${error.message}`, 'error');
   }, [showToast]);
 
+  // The library already has this file: reuse it instead of storing it twice
+  const handleDuplicateUpload = useCallback((existing, file) => {
+    const reuse = window.confirm(
+      `"${file.name}" is already in your library as "${existing.name}". Use the existing file instead of uploading it again?`
+    );
+    if (reuse) {
+      showToast?.(`Using existing "${existing.name}"`);
+    }
+    return reuse;
+  }, [showToast]);
+
   // S3 Upload hook
   const {
     openFilePicker,
     renderFileInput,
     uploading: s3Uploading,
     progress: s3Progress,
+    hashProgress: s3HashProgress,
+    currentFile: s3CurrentFile,
+    paused: s3Paused,
+    resumableUploads,
+    pause: pauseUpload,
+    resume: resumeUpload,
+    cancel: cancelUpload,
   } = useS3Upload({
     onSuccess: handleUploadSuccess,
     onError: handleUploadError,
+    onDuplicate: handleDuplicateUpload,
     folder: 'bizscreen/media',
     multiple: true,
   });
 
+  // New versions of an existing asset (see MediaDetailModal)
+  const versionTargetRef = useRef(null);
+
+  // The asset keeps its id, so local copies only need its new file fields
+  const applyNewVersion = useCallback(async (assetId, result) => {
+    const updated = await getMediaAsset(assetId);
+    setMediaAssets((prev) => prev.map((a) => (a.id === assetId ? { ...a, ...updated } : a)));
+    setSelectedAsset((prev) => (prev?.id === assetId ? { ...prev, ...updated } : prev));
+
+    const screens = result.affectedDevices === 1 ? '1 screen' : `${result.affectedDevices} screens`;
+    return result.republished ? `republished to ${screens}` : 'screens will update on their next refresh';
+  }, []);
+
+  const handleVersionUploaded = useCallback(async (uploadedFile) => {
+    const assetId = versionTargetRef.current;
+    if (!assetId) return;
+
+    try {
+      const result = await uploadMediaVersion(assetId, uploadedFile);
+      const published = await applyNewVersion(assetId, result);
+      showToast?.(`Version ${result.version} is live, ${published}`, 'success');
+    } catch (error) {
+      console.error('[MediaLibrary] Error saving new version:', error);
+      showToast?.(`Error saving new version: ${error.message}`, 'error');
+    }
+  }, [showToast, applyNewVersion]);
+
+  const {
+    openFilePicker: openVersionFilePicker,
+    renderFileInput: renderVersionFileInput,
+    uploading: versionUploading,
+  } = useS3Upload({
+    onSuccess: handleVersionUploaded,
+    onError: handleUploadError,
+    folder: 'bizscreen/media',
+    multiple: false,
+  });
+
+  const handleUploadNewVersion = (asset) => {
+    versionTargetRef.current = asset.id;
+    openVersionFilePicker();
+  };
+
+  const handleRollbackVersion = async (asset, versionNumber) => {
+    const result = await rollbackMediaVersion(asset.id, versionNumber);
+    const published = await applyNewVersion(asset.id, result);
+    showToast?.(`Restored version ${versionNumber}, ${published}`, 'success');
+  };
+
   const saveUploadedFiles = async () => {
     if (uploadedFiles.length === 0) return;
 
@@ -1222,6 +1433,7 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
           width: file.width,
           height: file.height,
           folderId: currentFolderId, // Save to current folder
+          contentHash: file.contentHash,
         });
         savedAssets.push(asset);
       }
@@ -1516,7 +1728,7 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
   useEffect(() => {
     fetchMediaAssets();
     fetchLimits();
-  }, [filter, currentFolderId]);
+  }, [filter, currentFolderId, showArchived]);
 
   const fetchLimits = async () => {
     try {
@@ -1537,6 +1749,8 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
         .order('sort_order', { ascending: true })
         .order('created_at', { ascending: false });
 
+      query = showArchived ? query.not('archived_at', 'is', null) : query.is('archived_at', null);
+
       if (filter) {
         query = query.eq('type', filter);
       }
@@ -1577,7 +1791,7 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
     return true;
   });
 
-  const hasActiveFilters = typeFilter || orientationFilter;
+  const hasActiveFilters = typeFilter || orientationFilter || showArchived;
 
   // Pagination calculations
   const totalPages = Math.ceil(filteredAssets.length / itemsPerPage);
@@ -1637,9 +1851,21 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
     }
   };
 
+  // Archiving and restoring both move the asset out of the current view
+  const handleArchiveFromDetail = async (assetId) => {
+    await archiveMediaAssets([assetId]);
+    setMediaAssets((prev) => prev.filter((a) => a.id !== assetId));
+  };
+
+  const handleRestoreFromDetail = async (assetId) => {
+    await restoreMediaAssets([assetId]);
+    setMediaAssets((prev) => prev.filter((a) => a.id !== assetId));
+  };
+
   const clearAllFilters = () => {
     setTypeFilter(null);
     setOrientationFilter(null);
+    setShowArchived(false);
     setSearch('');
   };
 
@@ -1721,6 +1947,12 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
             <Button variant="ghost" size="sm" icon={<Plus size={16} />} onClick={() => setShowFolderModal(true)}>
               Add folder
             </Button>
+            <Button variant="ghost" size="sm" icon={<Copy size={16} />} onClick={() => setShowDuplicatesModal(true)}>
+              Find duplicates
+            </Button>
+            <Button variant="ghost" size="sm" icon={<ListFilter size={16} />} onClick={() => setShowCollectionsModal(true)}>
+              Smart collections
+            </Button>
             <div className="flex border border-gray-200 rounded-lg overflow-hidden">
               <button
                 onClick={() => setShowFilters(!showFilters)}
@@ -1916,6 +2148,28 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
                   </div>
                 </div>
 
+                {/* Status Filter */}
+                <div>
+                  <label className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-2 block">
+                    Status
+                  </label>
+                  <div className="flex flex-wrap gap-2">
+                    {[{ archived: false, label: 'Active' }, { archived: true, label: 'Archived' }].map((option) => (
+                      <button
+                        key={option.label}
+                        onClick={() => setShowArchived(option.archived)}
+                        className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                          showArchived === option.archived
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+
                 {/* Clear Filters */}
                 {hasActiveFilters && (
                   <div className="flex items-end">
@@ -1941,7 +2195,7 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
               description={`No media matching "${search}"`}
             />
           ) : viewMode === 'list' ? (
-            <Stack gap="md">
+            <Stack>
               {/* Folder list */}
               {folders.length > 0 && !search && (
                 <Card variant="outlined">
@@ -2014,7 +2268,7 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
               )}
             </Stack>
           ) : (
-            <Stack gap="md">
+            <Stack>
               {/* Folders Grid */}
               {folders.length > 0 && !search && (
                 <div>
@@ -2169,8 +2423,9 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
         </Stack>
       </PageContent>
 
-      {/* Hidden file input for S3 uploads */}
+      {/* Hidden file inputs for S3 uploads */}
       {renderFileInput()}
+      {renderVersionFileInput()}
 
       {/* Modals */}
       <YodeckAddMediaModal
@@ -2186,6 +2441,13 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
         showToast={showToast}
         uploading={s3Uploading}
         uploadProgress={s3Progress}
+        hashProgress={s3HashProgress}
+        currentFile={s3CurrentFile}
+        uploadPaused={s3Paused}
+        resumableUploads={resumableUploads}
+        onPauseUpload={pauseUpload}
+        onResumeUpload={resumeUpload}
+        onCancelUpload={cancelUpload}
       />
 
       <DeleteConfirmModal
@@ -2222,6 +2484,21 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
         moving={movingMedia}
       />
 
+      {/* Find Duplicates Modal */}
+      <DuplicatesModal
+        open={showDuplicatesModal}
+        onClose={() => setShowDuplicatesModal(false)}
+        onMerged={fetchMediaAssets}
+        showToast={showToast}
+      />
+
+      {/* Smart Collections Modal */}
+      <SmartCollectionsModal
+        open={showCollectionsModal}
+        onClose={() => setShowCollectionsModal(false)}
+        showToast={showToast}
+      />
+
       {/* Add to Playlist Modal */}
       <AddToPlaylistModal
         open={showPlaylistModal}
@@ -2250,6 +2527,11 @@ const MediaLibraryPage = ({ showToast, filter = null }) => {
         asset={selectedAsset}
         onUpdate={handleUpdateAsset}
         onDelete={handleDeleteFromDetail}
+        onArchive={handleArchiveFromDetail}
+        onRestore={handleRestoreFromDetail}
+        onReplace={handleUploadNewVersion}
+        onRollback={handleRollbackVersion}
+        isReplacing={versionUploading}
         isGlobal={selectedAsset && !selectedAsset.owner_id}
         showToast={showToast}
       />
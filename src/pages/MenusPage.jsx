@@ -0,0 +1,843 @@
+/**
+ * @file MenusPage.jsx
+ * @description Menu boards: categories, items, pricing, modifiers, dayparts and sold-out items.
+ *
+ * Features:
+ * - Create, rename and delete menus
+ * - Categories and items with prices, calories, allergen/dietary tags and modifiers
+ * - Daypart windows (breakfast, lunch, ...) for categories and items
+ * - Publish a menu to the data source its scene widgets read
+ * - Mark items sold out ("86"); published menus update on every screen at once
+ *
+ * @see {@link ../services/menuService.js} - Menu CRUD and publishing
+ */
+import { useState, useEffect, useCallback } from 'react';
+import {
+  Plus,
+  Trash2,
+  Edit,
+  Loader2,
+  UtensilsCrossed,
+  Send,
+  Clock,
+  ArrowUp,
+  ArrowDown,
+} from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  fetchMenus,
+  fetchMenu,
+  createMenu,
+  updateMenu,
+  deleteMenu,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  createItem,
+  updateItem,
+  deleteItem,
+  reorderMenuEntries,
+  publishMenu,
+  setItemSoldOut,
+  formatMenuPrice,
+  parseModifierLines,
+  modifiersToLines,
+  MENU_ALLERGENS,
+  MENU_DIETARY_TAGS,
+} from '../services/menuService';
+
+// Design system imports
+import {
+  PageLayout,
+  PageHeader,
+  PageContent,
+  Stack,
+  Inline,
+} from '../design-system';
+import { Button, IconButton } from '../design-system';
+import { Card, CardHeader, CardTitle, CardContent } from '../design-system';
+import { Badge } from '../design-system';
+import { FormField, Input, Textarea, Checkbox, Switch } from '../design-system';
+import { Modal, ModalHeader, ModalTitle, ModalContent, ModalFooter, ConfirmDialog } from '../design-system';
+import { Alert } from '../design-system';
+import { EmptyState } from '../design-system';
+
+// --------------------------------------------------------------------------
+// Constants
+// --------------------------------------------------------------------------
+
+const EMPTY_ITEM = {
+  name: '',
+  description: '',
+  price: '',
+  calories: '',
+  allergens: [],
+  dietaryTags: [],
+  modifiers: '',
+  imageUrl: '',
+  dayparts: [],
+};
+
+// Toggle a key in a list of keys
+const toggleKey = (keys, key) => (keys.includes(key) ? keys.filter((k) => k !== key) : [...keys, key]);
+
+// --------------------------------------------------------------------------
+// Sub-components
+// --------------------------------------------------------------------------
+
+/**
+ * KeyChecklist - Checkboxes for a set of tag/daypart keys
+ * (not wrapped in FormField, which would give every checkbox the same id)
+ */
+function KeyChecklist({ label, hint, options, value, onChange }) {
+  return (
+    <div>
+      <div className="text-sm font-medium text-gray-700 mb-1.5">{label}</div>
+      <div className="grid grid-cols-3 gap-2">
+        {options.map((option) => (
+          <Checkbox
+            key={option.key}
+            label={option.label}
+            checked={value.includes(option.key)}
+            onChange={() => onChange(toggleKey(value, option.key))}
+          />
+        ))}
+      </div>
+      {hint && <p className="text-xs text-gray-500 mt-1">{hint}</p>}
+    </div>
+  );
+}
+
+/**
+ * MenuItemRow - One item with its tags and sold-out switch
+ */
+function MenuItemRow({ item, menu, isFirst, isLast, onEdit, onDelete, onMove, onSoldOut }) {
+  const daypartLabels = item.dayparts
+    .map((key) => menu.dayparts.find((d) => d.key === key)?.label)
+    .filter(Boolean);
+
+  return (
+    <div className={`flex items-center gap-3 py-2 border-b border-gray-100 last:border-0 ${item.is_sold_out ? 'opacity-60' : ''}`}>
+      <div className="flex flex-col">
+        <IconButton size="xs" variant="ghost" disabled={isFirst} onClick={() => onMove(-1)} aria-label="Move up">
+          <ArrowUp size={12} />
+        </IconButton>
+        <IconButton size="xs" variant="ghost" disabled={isLast} onClick={() => onMove(1)} aria-label="Move down">
+          <ArrowDown size={12} />
+        </IconButton>
+      </div>
+      <div className="flex-1 min-w-0">
+        <Inline gap="xs" align="center">
+          <span className={`font-medium text-gray-900 ${item.is_sold_out ? 'line-through' : ''}`}>{item.name}</span>
+          {item.dietary_tags.map((key) => (
+            <Badge key={key} variant="success" size="sm">
+              {MENU_DIETARY_TAGS.find((tag) => tag.key === key)?.short || key}
+            </Badge>
+          ))}
+          {daypartLabels.length > 0 && (
+            <Badge variant="default" size="sm">
+              <Clock size={10} className="mr-1" />
+              {daypartLabels.join(', ')}
+            </Badge>
+          )}
+        </Inline>
+        {item.description && <p className="text-sm text-gray-500 truncate">{item.description}</p>}
+        {(item.calories !== null || item.allergens.length > 0) && (
+          <p className="text-xs text-gray-400">
+            {[
+              item.calories !== null ? `${item.calories} cal` : null,
+              item.allergens.length
+                ? `Contains: ${item.allergens.map((key) => MENU_ALLERGENS.find((a) => a.key === key)?.label || key).join(', ')}`
+                : null,
+            ].filter(Boolean).join(' · ')}
+          </p>
+        )}
+      </div>
+      <span className="font-medium text-gray-900 tabular-nums">{formatMenuPrice(item.price, menu.currency_symbol)}</span>
+      <Switch size="sm" label="86" checked={item.is_sold_out} onChange={onSoldOut} />
+      <IconButton size="sm" variant="ghost" onClick={onEdit} aria-label="Edit item">
+        <Edit size={14} />
+      </IconButton>
+      <IconButton size="sm" variant="ghost" onClick={onDelete} aria-label="Delete item">
+        <Trash2 size={14} />
+      </IconButton>
+    </div>
+  );
+}
+
+// --------------------------------------------------------------------------
+// Main Component
+// --------------------------------------------------------------------------
+
+export default function MenusPage({ showToast }) {
+  const { user } = useAuth();
+
+  // List state
+  const [menus, setMenus] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Editor state
+  const [selectedId, setSelectedId] = useState(null);
+  const [menu, setMenu] = useState(null);
+  const [loadingMenu, setLoadingMenu] = useState(false);
+  const [hasUnpublishedChanges, setHasUnpublishedChanges] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+
+  // Modal state
+  const [menuForm, setMenuForm] = useState(null);
+  const [categoryForm, setCategoryForm] = useState(null);
+  const [itemForm, setItemForm] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadMenus = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setMenus(await fetchMenus());
+    } catch (err) {
+      console.error('[MenusPage] Failed to load:', err);
+      setError('Failed to load menus');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadMenu = useCallback(async (id) => {
+    try {
+      setLoadingMenu(true);
+      setMenu(await fetchMenu(id));
+    } catch (err) {
+      console.error('[MenusPage] Failed to load menu:', err);
+      setError('Failed to load menu');
+    } finally {
+      setLoadingMenu(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMenus();
+  }, [loadMenus]);
+
+  useEffect(() => {
+    if (selectedId) {
+      setHasUnpublishedChanges(false);
+      loadMenu(selectedId);
+    } else {
+      setMenu(null);
+    }
+  }, [selectedId, loadMenu]);
+
+  // Run an edit, then reload the menu; edits reach screens on the next publish
+  const runEdit = async (action, failureMessage) => {
+    try {
+      setSaving(true);
+      await action();
+      setHasUnpublishedChanges(true);
+      await loadMenu(menu.id);
+      return true;
+    } catch (err) {
+      console.error('[MenusPage] Edit failed:', err);
+      setError(`${failureMessage}: ${err.message}`);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // --------------------------------------------------------------------------
+  // Menus
+  // --------------------------------------------------------------------------
+
+  const handleSaveMenu = async () => {
+    if (!menuForm.name.trim()) return;
+
+    try {
+      setSaving(true);
+      if (menuForm.id) {
+        await updateMenu(menuForm.id, {
+          name: menuForm.name,
+          description: menuForm.description || null,
+          currencySymbol: menuForm.currencySymbol || '$',
+          dayparts: menuForm.dayparts,
+        });
+        setHasUnpublishedChanges(true);
+        await loadMenu(menuForm.id);
+      } else {
+        const created = await createMenu({
+          name: menuForm.name,
+          description: menuForm.description || null,
+          currencySymbol: menuForm.currencySymbol || '$',
+        });
+        setSelectedId(created.id);
+      }
+      setMenuForm(null);
+      await loadMenus();
+    } catch (err) {
+      console.error('[MenusPage] Failed to save menu:', err);
+      setError('Failed to save menu: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePublish = async () => {
+    try {
+      setPublishing(true);
+      const { rowCount } = await publishMenu(menu.id, { clientId: user?.clientId || user?.client_id });
+      setHasUnpublishedChanges(false);
+      showToast?.(`Published ${rowCount} item${rowCount === 1 ? '' : 's'} to screens`, 'success');
+      await Promise.all([loadMenu(menu.id), loadMenus()]);
+    } catch (err) {
+      console.error('[MenusPage] Publish failed:', err);
+      setError('Failed to publish menu: ' + err.message);
+    } finally {
+      setPublishing(false);
+    }
+  };
+
+  const handleSoldOut = async (item, soldOut) => {
+    // Flip locally first so the switch responds immediately
+    setMenu((current) => ({
+      ...current,
+      categories: current.categories.map((category) => ({
+        ...category,
+        items: category.items.map((i) => (i.id === item.id ? { ...i, is_sold_out: soldOut } : i)),
+      })),
+    }));
+
+    try {
+      const { published } = await setItemSoldOut(item.id, soldOut);
+      if (published) {
+        showToast?.(soldOut ? `${item.name} is 86'd on every screen` : `${item.name} is back on screens`, 'success');
+      }
+    } catch (err) {
+      console.error('[MenusPage] Failed to update sold-out state:', err);
+      setError('Failed to update item: ' + err.message);
+      await loadMenu(menu.id);
+    }
+  };
+
+  const handleDelete = async () => {
+    const { kind, target } = deleteTarget;
+
+    try {
+      setSaving(true);
+      if (kind === 'menu') {
+        await deleteMenu(target.id);
+        setSelectedId(null);
+        await loadMenus();
+      } else {
+        await runEdit(() => (kind === 'category' ? deleteCategory(target.id) : deleteItem(target.id)), 'Failed to delete');
+      }
+      setDeleteTarget(null);
+    } catch (err) {
+      console.error('[MenusPage] Delete failed:', err);
+      setError('Failed to delete: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // --------------------------------------------------------------------------
+  // Categories and items
+  // --------------------------------------------------------------------------
+
+  const handleSaveCategory = async () => {
+    if (!categoryForm.name.trim()) return;
+
+    const saved = await runEdit(
+      () =>
+        categoryForm.id
+          ? updateCategory(categoryForm.id, { name: categoryForm.name.trim(), dayparts: categoryForm.dayparts })
+          : createCategory({ menuId: menu.id, name: categoryForm.name, dayparts: categoryForm.dayparts }),
+      'Failed to save category'
+    );
+    if (saved) setCategoryForm(null);
+  };
+
+  const handleSaveItem = async () => {
+    if (!itemForm.name.trim()) return;
+
+    const fields = {
+      name: itemForm.name.trim(),
+      description: itemForm.description.trim() || null,
+      price: itemForm.price === '' ? null : Number(itemForm.price),
+      calories: itemForm.calories === '' ? null : parseInt(itemForm.calories, 10),
+      allergens: itemForm.allergens,
+      dietaryTags: itemForm.dietaryTags,
+      modifiers: parseModifierLines(itemForm.modifiers),
+      imageUrl: itemForm.imageUrl.trim() || null,
+      dayparts: itemForm.dayparts,
+    };
+
+    const saved = await runEdit(
+      () =>
+        itemForm.id
+          ? updateItem(itemForm.id, { ...fields, categoryId: itemForm.categoryId })
+          : createItem({ ...fields, menuId: menu.id, categoryId: itemForm.categoryId }),
+      'Failed to save item'
+    );
+    if (saved) setItemForm(null);
+  };
+
+  const handleMove = (table, list, index, direction) => {
+    const ids = list.map((entry) => entry.id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + direction, 0, moved);
+    runEdit(() => reorderMenuEntries(table, ids), 'Failed to reorder');
+  };
+
+  const openItemForm = (categoryId, item) => {
+    setItemForm(
+      item
+        ? {
+            id: item.id,
+            categoryId: item.category_id,
+            name: item.name,
+            description: item.description || '',
+            price: item.price ?? '',
+            calories: item.calories ?? '',
+            allergens: item.allergens,
+            dietaryTags: item.dietary_tags,
+            modifiers: modifiersToLines(item.modifiers),
+            imageUrl: item.image_url || '',
+            dayparts: item.dayparts,
+          }
+        : { ...EMPTY_ITEM, categoryId }
+    );
+  };
+
+  // --------------------------------------------------------------------------
+  // Render
+  // --------------------------------------------------------------------------
+
+  return (
+    <PageLayout>
+      <PageHeader
+        title="Menus"
+        description="Menu boards with prices, dayparts and sold-out items that update every screen"
+        actions={
+          <Button onClick={() => setMenuForm({ name: '', description: '', currencySymbol: '$' })}>
+            <Plus size={16} />
+            New Menu
+          </Button>
+        }
+      />
+
+      <PageContent>
+        {error && (
+          <Alert variant="error" className="mb-4" onDismiss={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <div className="flex gap-6">
+          {/* Left sidebar - list */}
+          <div className="w-72 flex-shrink-0">
+            <Card>
+              <CardContent className="p-4">
+                {loading ? (
+                  <div className="flex items-center justify-center py-8">
+                    <Loader2 size={24} className="animate-spin text-gray-400" />
+                  </div>
+                ) : menus.length === 0 ? (
+                  <EmptyState
+                    icon={<UtensilsCrossed size={32} />}
+                    title="No menus"
+                    description="Create a menu, then add a Menu widget to a scene"
+                  />
+                ) : (
+                  <Stack gap="sm">
+                    {menus.map((m) => (
+                      <button
+                        key={m.id}
+                        type="button"
+                        onClick={() => setSelectedId(m.id)}
+                        className={`text-left p-3 rounded-lg border transition-colors ${
+                          selectedId === m.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:border-gray-300'
+                        }`}
+                      >
+                        <div className="font-medium text-gray-900">{m.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {m.category_count} categories · {m.item_count} items
+                          {m.published_at ? '' : ' · Not published'}
+                        </div>
+                      </button>
+                    ))}
+                  </Stack>
+                )}
+              </CardContent>
+            </Card>
+          </div>
+
+          {/* Right panel - editor */}
+          <div className="flex-1">
+            {loadingMenu && !menu ? (
+              <Card>
+                <CardContent className="p-8 flex items-center justify-center">
+                  <Loader2 size={32} className="animate-spin text-gray-400" />
+                </CardContent>
+              </Card>
+            ) : menu ? (
+              <Stack gap="md">
+                <Card>
+                  <CardHeader>
+                    <Inline justify="between" align="center">
+                      <Stack gap="xs">
+                        <CardTitle>{menu.name}</CardTitle>
+                        <span className="text-sm text-gray-500">
+                          {menu.published_at
+                            ? `Published ${new Date(menu.published_at).toLocaleString()}`
+                            : 'Not published yet: screens show it once published'}
+                        </span>
+                      </Stack>
+                      <Inline gap="sm">
+                        {hasUnpublishedChanges && <Badge variant="warning">Unpublished changes</Badge>}
+                        <Button
+                          variant="secondary"
+                          size="sm"
+                          onClick={() => setMenuForm({
+                            id: menu.id,
+                            name: menu.name,
+                            description: menu.description || '',
+                            currencySymbol: menu.currency_symbol,
+                            dayparts: menu.dayparts,
+                          })}
+                        >
+                          <Edit size={14} />
+                          Settings
+                        </Button>
+                        <Button size="sm" onClick={handlePublish} disabled={publishing}>
+                          {publishing ? <Loader2 size={14} className="animate-spin" /> : <Send size={14} />}
+                          Publish
+                        </Button>
+                        <IconButton
+                          size="sm"
+                          variant="ghost"
+                          onClick={() => setDeleteTarget({ kind: 'menu', target: menu })}
+                          aria-label="Delete menu"
+                        >
+                          <Trash2 size={14} />
+                        </IconButton>
+                      </Inline>
+                    </Inline>
+                  </CardHeader>
+                  {menu.dayparts.length > 0 && (
+                    <CardContent>
+                      <Inline gap="sm">
+                        {menu.dayparts.map((daypart) => (
+                          <Badge key={daypart.key} variant="default">
+                            {daypart.label} {daypart.start}–{daypart.end}
+                          </Badge>
+                        ))}
+                      </Inline>
+                    </CardContent>
+                  )}
+                </Card>
+
+                {menu.categories.map((category, categoryIndex) => (
+                  <Card key={category.id}>
+                    <CardHeader>
+                      <Inline justify="between" align="center">
+                        <Inline gap="sm" align="center">
+                          <CardTitle>{category.name}</CardTitle>
+                          {category.dayparts.length > 0 && (
+                            <Badge variant="default" size="sm">
+                              {category.dayparts
+                                .map((key) => menu.dayparts.find((d) => d.key === key)?.label)
+                                .filter(Boolean)
+                                .join(', ')}
+                            </Badge>
+                          )}
+                        </Inline>
+                        <Inline gap="xs">
+                          <IconButton
+                            size="sm"
+                            variant="ghost"
+                            disabled={categoryIndex === 0}
+                            onClick={() => handleMove('menu_categories', menu.categories, categoryIndex, -1)}
+                            aria-label="Move category up"
+                          >
+                            <ArrowUp size={14} />
+                          </IconButton>
+                          <IconButton
+                            size="sm"
+                            variant="ghost"
+                            disabled={categoryIndex === menu.categories.length - 1}
+                            onClick={() => handleMove('menu_categories', menu.categories, categoryIndex, 1)}
+                            aria-label="Move category down"
+                          >
+                            <ArrowDown size={14} />
+                          </IconButton>
+                          <IconButton
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => setCategoryForm({ id: category.id, name: category.name, dayparts: category.dayparts })}
+                            aria-label="Edit category"
+                          >
+                            <Edit size={14} />
+                          </IconButton>
+                          <IconButton
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => setDeleteTarget({ kind: 'category', target: category })}
+                            aria-label="Delete category"
+                          >
+                            <Trash2 size={14} />
+                          </IconButton>
+                          <Button size="sm" variant="secondary" onClick={() => openItemForm(category.id)}>
+                            <Plus size={14} />
+                            Item
+                          </Button>
+                        </Inline>
+                      </Inline>
+                    </CardHeader>
+                    <CardContent>
+                      {category.items.length === 0 ? (
+                        <p className="text-sm text-gray-500">No items yet</p>
+                      ) : (
+                        category.items.map((item, itemIndex) => (
+                          <MenuItemRow
+                            key={item.id}
+                            item={item}
+                            menu={menu}
+                            isFirst={itemIndex === 0}
+                            isLast={itemIndex === category.items.length - 1}
+                            onEdit={() => openItemForm(category.id, item)}
+                            onDelete={() => setDeleteTarget({ kind: 'item', target: item })}
+                            onMove={(direction) => handleMove('menu_items', category.items, itemIndex, direction)}
+                            onSoldOut={(soldOut) => handleSoldOut(item, soldOut)}
+                          />
+                        ))
+                      )}
+                    </CardContent>
+                  </Card>
+                ))}
+
+                <Button variant="secondary" onClick={() => setCategoryForm({ name: '', dayparts: [] })}>
+                  <Plus size={16} />
+                  Add Category
+                </Button>
+              </Stack>
+            ) : (
+              <Card>
+                <CardContent className="p-8">
+                  <EmptyState
+                    icon={<UtensilsCrossed size={48} />}
+                    title="Select a menu"
+                    description="Choose a menu from the list to edit its categories and items"
+                  />
+                </CardContent>
+              </Card>
+            )}
+          </div>
+        </div>
+      </PageContent>
+
+      {/* Menu settings modal */}
+      <Modal open={!!menuForm} onClose={() => setMenuForm(null)}>
+        <ModalHeader>
+          <ModalTitle>{menuForm?.id ? 'Menu Settings' : 'New Menu'}</ModalTitle>
+        </ModalHeader>
+        {menuForm && (
+          <ModalContent>
+            <Stack gap="md">
+              <FormField label="Name" required>
+                <Input
+                  value={menuForm.name}
+                  onChange={(e) => setMenuForm({ ...menuForm, name: e.target.value })}
+                  placeholder="e.g., All Day Menu"
+                />
+              </FormField>
+              <FormField label="Description">
+                <Input
+                  value={menuForm.description}
+                  onChange={(e) => setMenuForm({ ...menuForm, description: e.target.value })}
+                />
+              </FormField>
+              <FormField label="Currency Symbol">
+                <Input
+                  value={menuForm.currencySymbol}
+                  onChange={(e) => setMenuForm({ ...menuForm, currencySymbol: e.target.value })}
+                  className="w-24"
+                />
+              </FormField>
+              {menuForm.dayparts && (
+                <FormField label="Dayparts" hint="Times are in each screen's own timezone">
+                  <Stack gap="sm">
+                    {menuForm.dayparts.map((daypart, index) => (
+                      <Inline key={daypart.key} gap="sm" align="center">
+                        <span className="w-24 text-sm text-gray-700">{daypart.label}</span>
+                        {['start', 'end'].map((edge) => (
+                          <Input
+                            key={edge}
+                            type="time"
+                            value={daypart[edge]}
+                            onChange={(e) => setMenuForm({
+                              ...menuForm,
+                              dayparts: menuForm.dayparts.map((d, i) => (i === index ? { ...d, [edge]: e.target.value } : d)),
+                            })}
+                            className="w-32"
+                          />
+                        ))}
+                      </Inline>
+                    ))}
+                  </Stack>
+                </FormField>
+              )}
+            </Stack>
+          </ModalContent>
+        )}
+        <ModalFooter>
+          <Button variant="secondary" onClick={() => setMenuForm(null)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSaveMenu} disabled={!menuForm?.name.trim() || saving}>
+            {saving ? <Loader2 size={16} className="animate-spin" /> : null}
+            {menuForm?.id ? 'Save' : 'Create'}
+          </Button>
+        </ModalFooter>
+      </Modal>
+
+      {/* Category modal */}
+      <Modal open={!!categoryForm} onClose={() => setCategoryForm(null)}>
+        <ModalHeader>
+          <ModalTitle>{categoryForm?.id ? 'Edit Category' : 'Add Category'}</ModalTitle>
+        </ModalHeader>
+        {categoryForm && menu && (
+          <ModalContent>
+            <Stack gap="md">
+              <FormField label="Name" required>
+                <Input
+                  value={categoryForm.name}
+                  onChange={(e) => setCategoryForm({ ...categoryForm, name: e.target.value })}
+                  placeholder="e.g., Breakfast Sandwiches"
+                />
+              </FormField>
+              <KeyChecklist
+                label="Served During"
+                hint="Leave empty to serve all day"
+                options={menu.dayparts}
+                value={categoryForm.dayparts}
+                onChange={(dayparts) => setCategoryForm({ ...categoryForm, dayparts })}
+              />
+            </Stack>
+          </ModalContent>
+        )}
+        <ModalFooter>
+          <Button variant="secondary" onClick={() => setCategoryForm(null)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSaveCategory} disabled={!categoryForm?.name.trim() || saving}>
+            {categoryForm?.id ? 'Save' : 'Add Category'}
+          </Button>
+        </ModalFooter>
+      </Modal>
+
+      {/* Item modal */}
+      <Modal open={!!itemForm} onClose={() => setItemForm(null)} size="lg">
+        <ModalHeader>
+          <ModalTitle>{itemForm?.id ? 'Edit Item' : 'Add Item'}</ModalTitle>
+        </ModalHeader>
+        {itemForm && menu && (
+          <ModalContent>
+            <Stack gap="md">
+              <FormField label="Name" required>
+                <Input
+                  value={itemForm.name}
+                  onChange={(e) => setItemForm({ ...itemForm, name: e.target.value })}
+                  placeholder="e.g., Oat Milk Latte"
+                />
+              </FormField>
+              <FormField label="Description">
+                <Input
+                  value={itemForm.description}
+                  onChange={(e) => setItemForm({ ...itemForm, description: e.target.value })}
+                />
+              </FormField>
+              <Inline gap="md">
+                <FormField label={`Price (${menu.currency_symbol})`}>
+                  <Input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    value={itemForm.price}
+                    onChange={(e) => setItemForm({ ...itemForm, price: e.target.value })}
+                  />
+                </FormField>
+                <FormField label="Calories">
+                  <Input
+                    type="number"
+                    min={0}
+                    value={itemForm.calories}
+                    onChange={(e) => setItemForm({ ...itemForm, calories: e.target.value })}
+                  />
+                </FormField>
+              </Inline>
+              <KeyChecklist
+                label="Allergens"
+                options={MENU_ALLERGENS}
+                value={itemForm.allergens}
+                onChange={(allergens) => setItemForm({ ...itemForm, allergens })}
+              />
+              <KeyChecklist
+                label="Dietary"
+                options={MENU_DIETARY_TAGS}
+                value={itemForm.dietaryTags}
+                onChange={(dietaryTags) => setItemForm({ ...itemForm, dietaryTags })}
+              />
+              <FormField label="Modifiers" hint="One per line, with an optional price change, e.g. Oat milk +0.50">
+                <Textarea
+                  rows={3}
+                  value={itemForm.modifiers}
+                  onChange={(e) => setItemForm({ ...itemForm, modifiers: e.target.value })}
+                />
+              </FormField>
+              <FormField label="Image URL">
+                <Input
+                  value={itemForm.imageUrl}
+                  onChange={(e) => setItemForm({ ...itemForm, imageUrl: e.target.value })}
+                  placeholder="https://..."
+                />
+              </FormField>
+              <KeyChecklist
+                label="Served During"
+                hint="Leave empty to follow the category"
+                options={menu.dayparts}
+                value={itemForm.dayparts}
+                onChange={(dayparts) => setItemForm({ ...itemForm, dayparts })}
+              />
+            </Stack>
+          </ModalContent>
+        )}
+        <ModalFooter>
+          <Button variant="secondary" onClick={() => setItemForm(null)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSaveItem} disabled={!itemForm?.name.trim() || saving}>
+            {itemForm?.id ? 'Save' : 'Add Item'}
+          </Button>
+        </ModalFooter>
+      </Modal>
+
+      <ConfirmDialog
+        open={!!deleteTarget}
+        onClose={() => setDeleteTarget(null)}
+        onConfirm={handleDelete}
+        title={`Delete ${deleteTarget?.kind || ''}`}
+        description={
+          deleteTarget?.kind === 'menu'
+            ? `Delete "${deleteTarget.target.name}"? Screens showing it will go blank.`
+            : deleteTarget?.kind === 'category'
+              ? `Delete "${deleteTarget.target.name}" and all its items?`
+              : `Delete "${deleteTarget?.target.name}"?`
+        }
+        confirmText="Delete"
+        variant="danger"
+        loading={saving}
+      />
+    </PageLayout>
+  );
+}
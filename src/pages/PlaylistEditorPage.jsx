@@ -41,6 +41,11 @@ import {
   Home,
   BookmarkPlus,
   Palette,
+  Zap,
+  CloudSun,
+  CalendarClock,
+  ListVideo,
+  ListFilter,
 } from 'lucide-react';
 import { supabase } from '../supabase';
 import { useAuth } from '../contexts/AuthContext';
@@ -66,9 +71,35 @@ import {
   EXPIRY_PRESETS,
   getExpiryLabel,
 } from '../services/previewService';
-import { savePlaylistAsTemplate } from '../services/playlistService';
+import {
+  savePlaylistAsTemplate,
+  updatePlaylistItemTriggers,
+  updatePlaylistItemWeather,
+  updatePlaylistItemValidity,
+  updatePlaylistItemWeight,
+  updatePlaylist,
+} from '../services/playlistService';
+import { PLAYBACK_MODE_OPTIONS, getPlaybackMode } from '../services/playlistPlaybackService';
+import { describeWeatherConditions } from '../services/weatherConditionService';
+import {
+  VALIDITY_STATUS,
+  hasValidityWindow,
+  getValidityStatus,
+  describeValidityWindow,
+} from '../services/contentValidityService';
+import ContentTriggersModal from '../components/modals/ContentTriggersModal';
+import WeatherConditionsModal from '../components/modals/WeatherConditionsModal';
+import ValidityWindowModal from '../components/modals/ValidityWindowModal';
+import PlaylistPlaybackModal from '../components/modals/PlaylistPlaybackModal';
 import WeatherWall from '../components/WeatherWall';
 
+// Validity button colour by window status
+const VALIDITY_BADGE_CLASSES = {
+  [VALIDITY_STATUS.SCHEDULED]: 'bg-indigo-500 text-white',
+  [VALIDITY_STATUS.ACTIVE]: 'bg-emerald-500 text-white',
+  [VALIDITY_STATUS.EXPIRED]: 'bg-red-500 text-white',
+};
+
 const MEDIA_TYPE_ICONS = {
   image: Image,
   video: Video,
@@ -76,7 +107,9 @@ const MEDIA_TYPE_ICONS = {
   document: FileText,
   web_page: Globe,
   app: Grid3X3,
-  design: Palette
+  design: Palette,
+  playlist: ListVideo,
+  collection: ListFilter
 };
 
 const MEDIA_TYPE_LABELS = {
@@ -86,7 +119,9 @@ const MEDIA_TYPE_LABELS = {
   document: 'Document',
   web_page: 'Web Page',
   app: 'App',
-  design: 'Design'
+  design: 'Design',
+  playlist: 'Playlist',
+  collection: 'Smart Collection'
 };
 
 const FILTER_TABS = [
@@ -98,10 +133,36 @@ const FILTER_TABS = [
   { key: 'web_page', label: 'Web' },
   { key: 'app', label: 'Apps' },
   { key: 'my_designs', label: 'My Designs' },
+  { key: 'playlists', label: 'Playlists' },
+  { key: 'collections', label: 'Collections' },
 ];
 
+// Playlist item type for a library entry
+const getLibraryItemType = (media) => {
+  if (media._isDesign) return 'layout';
+  if (media._isPlaylist) return 'playlist';
+  if (media._isCollection) return 'collection';
+  return 'media';
+};
+
+// Duration stored on a new item; a collection's media keep their own lengths
+const getNewItemDuration = (media, itemType) => {
+  if (itemType === 'collection') return null;
+  return media.duration || 10; // Default 10s for designs
+};
+
+// Timeline display data for designs, nested playlists and collections, which are not media assets
+const toTimelineMedia = (id, name, imageUrl, type) => ({
+  id,
+  name,
+  type,
+  url: imageUrl,
+  thumbnail_url: imageUrl,
+  duration: null,
+});
+
 // Timeline item component - duration-based width with drag support
-const PlaylistStripItem = ({ item, index, onRemove, onUpdateDuration, getEffectiveDuration, onDragStart, onDragEnd, onDragOver, onDrop, isDragOver, isDragging, minDuration = 5, maxDuration = 30 }) => {
+const PlaylistStripItem = ({ item, index, onRemove, onUpdateDuration, onEditTriggers, onEditWeather, onEditValidity, getEffectiveDuration, onDragStart, onDragEnd, onDragOver, onDrop, isDragOver, isDragging, minDuration = 5, maxDuration = 30 }) => {
   const TypeIcon = MEDIA_TYPE_ICONS[item.media?.type] || Image;
   const duration = getEffectiveDuration(item);
 
@@ -185,6 +246,42 @@ const PlaylistStripItem = ({ item, index, onRemove, onUpdateDuration, getEffecti
           <div className="absolute top-1 left-1 p-0.5 bg-black/40 rounded cursor-grab active:cursor-grabbing">
             <GripVertical size={10} className="text-white" />
           </div>
+          {/* Data triggers - bottom left, always visible when rules exist */}
+          <button
+            onClick={(e) => { e.stopPropagation(); onEditTriggers?.(item); }}
+            className={`absolute bottom-1 left-1 p-0.5 rounded transition-colors ${
+              item.trigger_rules?.length
+                ? 'bg-amber-500 text-white'
+                : 'bg-black/40 text-white opacity-0 group-hover:opacity-100'
+            }`}
+            title={item.trigger_rules?.length ? `${item.trigger_rules.length} data trigger(s)` : 'Add data trigger'}
+          >
+            <Zap size={10} />
+          </button>
+          {/* Weather conditions - next to data triggers */}
+          <button
+            onClick={(e) => { e.stopPropagation(); onEditWeather?.(item); }}
+            className={`absolute bottom-1 left-5 p-0.5 rounded transition-colors ${
+              item.weather_conditions?.length
+                ? 'bg-sky-500 text-white'
+                : 'bg-black/40 text-white opacity-0 group-hover:opacity-100'
+            }`}
+            title={item.weather_conditions?.length ? `Plays when: ${describeWeatherConditions(item.weather_conditions)}` : 'Add weather condition'}
+          >
+            <CloudSun size={10} />
+          </button>
+          {/* Validity window - next to weather conditions */}
+          <button
+            onClick={(e) => { e.stopPropagation(); onEditValidity?.(item); }}
+            className={`absolute bottom-1 left-9 p-0.5 rounded transition-colors ${
+              hasValidityWindow(item)
+                ? VALIDITY_BADGE_CLASSES[getValidityStatus(item)]
+                : 'bg-black/40 text-white opacity-0 group-hover:opacity-100'
+            }`}
+            title={hasValidityWindow(item) ? describeValidityWindow(item) || 'Validity window set' : 'Set validity window'}
+          >
+            <CalendarClock size={10} />
+          </button>
           {/* Remove button - top right */}
           <button
             onClick={(e) => { e.stopPropagation(); onRemove(item.id); }}
@@ -343,6 +440,12 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
   const [templateDescription, setTemplateDescription] = useState('');
   const [savingTemplate, setSavingTemplate] = useState(false);
 
+  // Data trigger rules and weather conditions editors
+  const [triggerItem, setTriggerItem] = useState(null);
+  const [weatherItem, setWeatherItem] = useState(null);
+  const [validityItem, setValidityItem] = useState(null);
+  const [showPlaybackModal, setShowPlaybackModal] = useState(false);
+
   useEffect(() => {
     if (playlistId) {
       fetchPlaylist();
@@ -387,13 +490,15 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
       // Separate items by type and fetch related data
       const mediaItemIds = itemsData?.filter(i => i.item_type === 'media').map(i => i.item_id) || [];
       const layoutItemIds = itemsData?.filter(i => i.item_type === 'layout').map(i => i.item_id) || [];
+      const playlistItemIds = itemsData?.filter(i => i.item_type === 'playlist').map(i => i.item_id) || [];
+      const collectionItemIds = itemsData?.filter(i => i.item_type === 'collection').map(i => i.item_id) || [];
 
       // Fetch media assets
       let mediaMap = {};
       if (mediaItemIds.length > 0) {
         const { data: mediaData } = await supabase
           .from('media_assets')
-          .select('id, name, type, url, thumbnail_url, duration, config_json')
+          .select('id, name, type, url, thumbnail_url, duration, config_json, valid_from, valid_until, archived_at')
           .in('id', mediaItemIds);
         mediaMap = (mediaData || []).reduce((acc, m) => ({ ...acc, [m.id]: m }), {});
       }
@@ -407,21 +512,41 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
           .in('id', layoutItemIds);
         layoutMap = (layoutData || []).reduce((acc, l) => ({
           ...acc,
-          [l.id]: {
-            id: l.id,
-            name: l.name,
-            type: 'design',
-            url: l.background_image,
-            thumbnail_url: l.background_image,
-            duration: null,
-          }
+          [l.id]: toTimelineMedia(l.id, l.name, l.background_image, 'design')
         }), {});
       }
 
-      // Combine items with their media/layout data
+      // Fetch nested playlists
+      let nestedPlaylistMap = {};
+      if (playlistItemIds.length > 0) {
+        const { data: nestedData } = await supabase
+          .from('playlists')
+          .select('id, name')
+          .in('id', playlistItemIds);
+        nestedPlaylistMap = (nestedData || []).reduce((acc, p) => ({
+          ...acc,
+          [p.id]: toTimelineMedia(p.id, p.name, null, 'playlist')
+        }), {});
+      }
+
+      // Fetch smart collections
+      let collectionMap = {};
+      if (collectionItemIds.length > 0) {
+        const { data: collectionData } = await supabase
+          .from('media_collections')
+          .select('id, name')
+          .in('id', collectionItemIds);
+        collectionMap = (collectionData || []).reduce((acc, c) => ({
+          ...acc,
+          [c.id]: toTimelineMedia(c.id, c.name, null, 'collection')
+        }), {});
+      }
+
+      // Combine items with their media/layout/playlist/collection data
+      const itemMaps = { layout: layoutMap, playlist: nestedPlaylistMap, collection: collectionMap };
       const enrichedItems = (itemsData || []).map(item => ({
         ...item,
-        media: item.item_type === 'layout' ? layoutMap[item.item_id] : mediaMap[item.item_id]
+        media: (itemMaps[item.item_type] || mediaMap)[item.item_id]
       }));
 
       setItems(enrichedItems);
@@ -539,12 +664,54 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
 
         setMediaAssets(designsAsMedia);
         setUserDesigns(data || []);
+      } else if (mediaFilter === 'playlists') {
+        // Other playlists, added as nested playlists
+        let query = supabase
+          .from('playlists')
+          .select('id, name, created_at')
+          .neq('id', playlistId)
+          .order('name', { ascending: true })
+          .limit(100);
+
+        if (mediaSearch) {
+          query = query.ilike('name', `%${mediaSearch}%`);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        setMediaAssets((data || []).map(p => ({
+          ...toTimelineMedia(p.id, p.name, null, 'playlist'),
+          created_at: p.created_at,
+          _isPlaylist: true,
+        })));
+      } else if (mediaFilter === 'collections') {
+        // Smart collections, which play the media matching their rules
+        let query = supabase
+          .from('media_collections')
+          .select('id, name, created_at')
+          .order('name', { ascending: true })
+          .limit(100);
+
+        if (mediaSearch) {
+          query = query.ilike('name', `%${mediaSearch}%`);
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        setMediaAssets((data || []).map(c => ({
+          ...toTimelineMedia(c.id, c.name, null, 'collection'),
+          created_at: c.created_at,
+          _isCollection: true,
+        })));
       } else {
         // Normal media assets fetch
         let query = supabase
           .from('media_assets')
           .select('*')
           .is('deleted_at', null)
+          .is('archived_at', null)
           .order('created_at', { ascending: false })
           .limit(100);
 
@@ -610,9 +777,8 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
         ? Math.max(...items.map(i => i.position))
         : -1;
 
-      // Check if this is a design (from layouts table)
-      const isDesign = media._isDesign;
-      const itemType = isDesign ? 'layout' : 'media';
+      // Designs come from the layouts table, nested playlists and collections from theirs
+      const itemType = getLibraryItemType(media);
 
       const { data, error } = await supabase
         .from('playlist_items')
@@ -621,24 +787,19 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
           item_type: itemType,
           item_id: media.id,
           position: maxPosition + 1,
-          duration: media.duration || 10 // Default 10s for designs
+          duration: getNewItemDuration(media, itemType)
         })
         .select('*')
         .single();
 
       if (error) throw error;
 
-      // For designs, manually construct the media object for display
-      if (isDesign) {
+      // For designs and playlists, manually construct the media object for display
+      if (itemType === 'layout') {
         const layoutData = media._layoutData;
-        data.media = {
-          id: layoutData.id,
-          name: layoutData.name,
-          type: 'design',
-          url: layoutData.background_image,
-          thumbnail_url: layoutData.background_image,
-          duration: null,
-        };
+        data.media = toTimelineMedia(layoutData.id, layoutData.name, layoutData.background_image, 'design');
+      } else if (itemType === 'playlist' || itemType === 'collection') {
+        data.media = toTimelineMedia(media.id, media.name, null, itemType);
       } else {
         // Fetch the media asset for non-designs
         const { data: mediaData } = await supabase
@@ -709,6 +870,51 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
     }
   };
 
+  const handleSaveTriggers = async (rules) => {
+    const updated = await updatePlaylistItemTriggers(triggerItem.id, rules);
+    setItems(prev =>
+      prev.map(item =>
+        item.id === triggerItem.id ? { ...item, trigger_rules: updated.trigger_rules } : item
+      )
+    );
+    showToast?.('Data triggers saved');
+  };
+
+  const handleSaveWeather = async (conditions) => {
+    const updated = await updatePlaylistItemWeather(weatherItem.id, conditions);
+    setItems(prev =>
+      prev.map(item =>
+        item.id === weatherItem.id ? { ...item, weather_conditions: updated.weather_conditions } : item
+      )
+    );
+    showToast?.('Weather conditions saved');
+  };
+
+  const handleSaveValidity = async (window) => {
+    const updated = await updatePlaylistItemValidity(validityItem.id, window);
+    setItems(prev =>
+      prev.map(item =>
+        item.id === validityItem.id
+          ? { ...item, valid_from: updated.valid_from, valid_until: updated.valid_until }
+          : item
+      )
+    );
+    showToast?.('Validity window saved');
+  };
+
+  const handleSavePlayback = async ({ playbackMode, playbackSeed, interleaveRules, weights }) => {
+    const updated = await updatePlaylist(playlistId, {
+      playback_mode: playbackMode,
+      playback_seed: playbackSeed,
+      interleave_rules: interleaveRules,
+    });
+    await Promise.all(Object.entries(weights).map(([itemId, weight]) => updatePlaylistItemWeight(itemId, weight)));
+
+    setPlaylist(prev => ({ ...prev, ...updated }));
+    setItems(prev => prev.map(item => (item.id in weights ? { ...item, weight: weights[item.id] } : item)));
+    showToast?.('Playback settings saved');
+  };
+
   // Drag and drop handlers with throttling for smooth UX
   const lastDragOverIndexRef = useRef(null);
   const dragOverIndexRef = useRef(null); // Track current dragOverIndex without state updates
@@ -812,9 +1018,8 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
         // Adding from library
         setSaving(true);
 
-        // Check if this is a design (from layouts table)
-        const isDesign = data.media._isDesign;
-        const itemType = isDesign ? 'layout' : 'media';
+        // Designs come from the layouts table, nested playlists and collections from theirs
+        const itemType = getLibraryItemType(data.media);
 
         // Shift positions for items after the target
         const updatedPositions = items
@@ -829,7 +1034,7 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
             item_type: itemType,
             item_id: data.media.id,
             position: targetIndex,
-            duration: data.media.duration || 10 // Default 10s for designs
+            duration: getNewItemDuration(data.media, itemType)
           })
           .select('*')
           .single();
@@ -837,16 +1042,11 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
         if (error) throw error;
 
         // Add media data to newItem
-        if (isDesign) {
+        if (itemType === 'layout') {
           const layoutData = data.media._layoutData;
-          newItem.media = {
-            id: layoutData.id,
-            name: layoutData.name,
-            type: 'design',
-            url: layoutData.background_image,
-            thumbnail_url: layoutData.background_image,
-            duration: null,
-          };
+          newItem.media = toTimelineMedia(layoutData.id, layoutData.name, layoutData.background_image, 'design');
+        } else if (itemType === 'playlist' || itemType === 'collection') {
+          newItem.media = toTimelineMedia(data.media.id, data.media.name, null, itemType);
         } else {
           // Fetch the media asset
           const { data: mediaData } = await supabase
@@ -1263,6 +1463,16 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
           )}
         </div>
         <div className="flex items-center gap-2">
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => setShowPlaybackModal(true)}
+            title="Playback order and interleaving"
+          >
+            <Settings size={14} />
+            {PLAYBACK_MODE_OPTIONS.find(option => option.value === getPlaybackMode(playlist))?.label}
+            {playlist.interleave_rules?.length > 0 && ' + interleave'}
+          </Button>
           <Button
             size="sm"
             onClick={() => onNavigate?.('playlists')}
@@ -1570,6 +1780,9 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
                 index={index}
                 onRemove={handleRemoveItem}
                 onUpdateDuration={handleUpdateDuration}
+                onEditTriggers={setTriggerItem}
+                onEditWeather={setWeatherItem}
+                onEditValidity={setValidityItem}
                 getEffectiveDuration={getEffectiveDuration}
                 onDragStart={handleTimelineDragStart}
                 onDragEnd={handleTimelineDragEnd}
@@ -1840,6 +2053,54 @@ const PlaylistEditorPage = ({ playlistId, showToast, onNavigate }) => {
         </div>
       )}
 
+      {/* Data Triggers Modal */}
+      {triggerItem && (
+        <ContentTriggersModal
+          isOpen
+          onClose={() => setTriggerItem(null)}
+          subject={triggerItem.media?.name && `"${triggerItem.media.name}"`}
+          rules={triggerItem.trigger_rules || []}
+          onSave={handleSaveTriggers}
+        />
+      )}
+
+      {/* Weather Conditions Modal */}
+      {weatherItem && (
+        <WeatherConditionsModal
+          isOpen
+          onClose={() => setWeatherItem(null)}
+          subject={weatherItem.media?.name && `"${weatherItem.media.name}"`}
+          conditions={weatherItem.weather_conditions || []}
+          onSave={handleSaveWeather}
+        />
+      )}
+
+      {/* Validity Window Modal */}
+      {validityItem && (
+        <ValidityWindowModal
+          isOpen
+          onClose={() => setValidityItem(null)}
+          subject={validityItem.media?.name && `"${validityItem.media.name}"`}
+          validFrom={validityItem.valid_from}
+          validUntil={validityItem.valid_until}
+          note={hasValidityWindow(validityItem.media)
+            ? `The media itself is limited too (${describeValidityWindow(validityItem.media) || 'window set'}); the item plays only where both windows overlap.`
+            : undefined}
+          onSave={handleSaveValidity}
+        />
+      )}
+
+      {/* Playback Modal */}
+      {showPlaybackModal && (
+        <PlaylistPlaybackModal
+          isOpen
+          onClose={() => setShowPlaybackModal(false)}
+          playlist={playlist}
+          items={items}
+          onSave={handleSavePlayback}
+        />
+      )}
+
       {/* Save as Template Modal */}
       {showTemplateModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
@@ -37,7 +37,7 @@ import {
 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { fetchScene } from '../services/sceneService';
+import { fetchScene, fetchScenesForTenant, updateScene } from '../services/sceneService';
 import {
   fetchSlidesForScene,
   createSlide,
@@ -93,6 +93,7 @@ export default function SceneEditorPage({ sceneId, onNavigate, onShowToast }) {
   // Scene and slides state
   const [scene, setScene] = useState(null);
   const [slides, setSlides] = useState([]);
+  const [tenantScenes, setTenantScenes] = useState([]);
   const [activeSlideIndex, setActiveSlideIndex] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -149,6 +150,10 @@ export default function SceneEditorPage({ sceneId, onNavigate, onShowToast }) {
         getBrandTheme().catch(() => null), // Graceful fallback if no theme
       ]);
       setScene(sceneData);
+      // Other scenes are only needed as kiosk tap targets
+      fetchScenesForTenant(sceneData.tenant_id)
+        .then(setTenantScenes)
+        .catch(err => console.warn('Could not load scenes for tap actions:', err));
       // Normalize slides to ensure all blocks have required properties
       const normalizedSlides = slidesData.map(slide => normalizeSlide(slide));
       setSlides(normalizedSlides);
@@ -268,6 +273,18 @@ export default function SceneEditorPage({ sceneId, onNavigate, onShowToast }) {
     updateDesign(newDesign);
   }
 
+  async function handleSceneSettingsUpdate(settings) {
+    const previous = scene.settings;
+    setScene(prev => ({ ...prev, settings }));
+    try {
+      await updateScene(scene.id, { settings });
+    } catch (err) {
+      console.error('Error saving scene settings:', err);
+      setScene(prev => ({ ...prev, settings: previous }));
+      onShowToast?.('Failed to save kiosk settings', 'error');
+    }
+  }
+
   function handleBlockDelete(blockId) {
     const newDesign = removeBlockFromDesign(currentDesign, blockId);
     updateDesign(newDesign);
@@ -694,6 +711,10 @@ export default function SceneEditorPage({ sceneId, onNavigate, onShowToast }) {
                 onDesignUpdate={updateDesign}
                 smartGuidesEnabled={smartGuidesEnabled}
                 onSmartGuidesChange={setSmartGuidesEnabled}
+                scene={scene}
+                slides={slides}
+                scenes={tenantScenes}
+                onSceneSettingsUpdate={handleSceneSettingsUpdate}
               />
             )}
           </div>
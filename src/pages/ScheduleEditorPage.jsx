@@ -13,7 +13,10 @@ import {
   RefreshCw,
   Power,
   Monitor,
-  Info
+  Info,
+  AlertTriangle,
+  CalendarOff,
+  CloudSun
 } from 'lucide-react';
 import {
   fetchScheduleWithEntriesResolved,
@@ -23,8 +26,19 @@ import {
   deleteScheduleEntry,
   TARGET_TYPES
 } from '../services/scheduleService';
+import {
+  analyzeScheduleConflicts,
+  checkEntryConflicts,
+  checkPublishedScheduleConflicts,
+  CONFLICT_SEVERITY,
+  CANDIDATE_ENTRY_ID
+} from '../services/scheduleConflictService';
+import { TIME_ANCHORS, formatTrigger } from '../services/solarService';
+import { describeWeatherConditions } from '../services/weatherConditionService';
 import { supabase } from '../supabase';
 import { Button, Card } from '../design-system';
+import ExceptionCalendarsModal from '../components/schedules/ExceptionCalendarsModal';
+import WeatherConditionsFields from '../components/WeatherConditionsFields';
 import { useTranslation } from '../i18n';
 
 // Yodeck-style repeat options
@@ -61,6 +75,45 @@ const formatTime12 = (time24) => {
   return `${h12}:${minutes} ${ampm}`;
 };
 
+// Format an entry boundary, showing solar anchors as e.g. "Sunset − 30m"
+const formatEntryBoundary = (entry, which) => {
+  const anchor = entry[`${which}_anchor`];
+  if (anchor && anchor !== TIME_ANCHORS.TIME) {
+    return formatTrigger({ anchor, offset: entry[`${which}_offset_minutes`] });
+  }
+  return formatTime12(entry[`${which}_time`]);
+};
+
+// Anchor + offset fields for a solar-relative event boundary
+const SolarTriggerFields = ({ anchor, offset, onChange }) => (
+  <div className="flex gap-2 items-center mt-2">
+    <select
+      value={anchor}
+      onChange={(e) => onChange({ anchor: e.target.value, offset })}
+      className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-[#f26f21] focus:border-[#f26f21]"
+    >
+      <option value={TIME_ANCHORS.TIME}>At the time above</option>
+      <option value={TIME_ANCHORS.SUNRISE}>Relative to sunrise</option>
+      <option value={TIME_ANCHORS.SUNSET}>Relative to sunset</option>
+    </select>
+    {anchor !== TIME_ANCHORS.TIME && (
+      <>
+        <input
+          type="number"
+          step={5}
+          min={-720}
+          max={720}
+          value={offset}
+          onChange={(e) => onChange({ anchor, offset: parseInt(e.target.value) || 0 })}
+          className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-[#f26f21] focus:border-[#f26f21]"
+          aria-label="Offset in minutes"
+        />
+        <span className="text-xs text-gray-500">min</span>
+      </>
+    )}
+  </div>
+);
+
 // Helper to get week dates
 const getWeekDates = (date) => {
   const start = new Date(date);
@@ -95,6 +148,49 @@ const formatDateDisplay = (dateStr) => {
   return `${days[date.getDay()]}, ${months[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
 };
 
+// Build a schedule entry payload from the event form
+const buildEntryData = (form) => ({
+  // Content info
+  content_type: form.eventType === 'screenOff' ? null : form.contentType,
+  content_id: form.eventType === 'screenOff' ? null : form.contentId,
+  // Also set target_type/target_id for backwards compatibility
+  target_type: form.eventType === 'screenOff' ? 'all' : form.contentType,
+  target_id: form.eventType === 'screenOff' ? null : form.contentId,
+  // Timing
+  start_date: form.startDate,
+  start_time: form.startTime,
+  end_date: form.endDate,
+  end_time: form.endTime,
+  start_anchor: form.startAnchor,
+  start_offset_minutes: form.startAnchor === TIME_ANCHORS.TIME ? 0 : form.startOffset,
+  end_anchor: form.endAnchor,
+  end_offset_minutes: form.endAnchor === TIME_ANCHORS.TIME ? 0 : form.endOffset,
+  weather_conditions: form.eventType === 'screenOff' ? [] : form.weatherConditions,
+  // Event type
+  event_type: form.eventType === 'screenOff' ? 'screen_off' : 'content',
+  priority: form.priority,
+  // Repeat settings
+  repeat_type: form.repeat,
+  repeat_every: form.repeatEvery,
+  repeat_unit: form.repeatUnit,
+  repeat_until: form.repeatUntil,
+  repeat_until_date: form.repeatUntilDate || null,
+  repeat_until_count: form.repeatUntilCount,
+  is_active: true,
+  // Convert to days_of_week for backwards compatibility
+  days_of_week: form.repeat === 'weekday' ? [1,2,3,4,5] : [0,1,2,3,4,5,6]
+});
+
+// Describe a conflict for display, from the point of view of one entry
+const describeConflict = (conflict, entries, selfId) => {
+  const otherId = conflict.entryIds.find(id => id !== selfId);
+  const other = entries.find(e => e.id === otherId);
+  const otherName = other?.event_type === 'screen_off' ? 'Screen Off' : (other?.target?.name || 'another event');
+  const overlap = conflict.overlaps[0];
+  const when = overlap ? `${formatDateDisplay(overlap.date)} ${formatTime12(overlap.start_time)} - ${formatTime12(overlap.end_time)}` : '';
+  return { otherName, when, wins: conflict.winnerId === selfId, more: conflict.overlaps.length - 1 };
+};
+
 // Time slots for calendar
 const TIME_SLOTS = [];
 for (let h = 8; h <= 19; h++) {
@@ -109,6 +205,7 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
   const [error, setError] = useState(null);
   const [saving, setSaving] = useState(false);
   const [showEventModal, setShowEventModal] = useState(false);
+  const [showExceptionsModal, setShowExceptionsModal] = useState(false);
   const [editingEntry, setEditingEntry] = useState(null);
   const [isDirty, setIsDirty] = useState(false);
 
@@ -130,6 +227,12 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
     startTime: '08:00',
     endDate: formatDateInput(new Date()),
     endTime: '08:30',
+    startAnchor: TIME_ANCHORS.TIME,
+    startOffset: 0,
+    endAnchor: TIME_ANCHORS.TIME,
+    endOffset: 0,
+    weatherConditions: [],
+    priority: 0,
     repeat: 'none',
     repeatEvery: 1,
     repeatUnit: 'day',
@@ -140,6 +243,31 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
 
   const weekDates = useMemo(() => getWeekDates(currentDate), [currentDate]);
 
+  // Overlaps between saved entries in the visible week
+  const weekConflicts = useMemo(
+    () => analyzeScheduleConflicts(entries, { from: formatDateInput(weekDates[0]), days: 7 }),
+    [entries, weekDates]
+  );
+
+  // Entries with a blocking overlap, mapped to whether it was found at solar fallback times
+  const conflictedEntryIds = useMemo(() => {
+    const ids = new Map();
+    weekConflicts.conflicts
+      .filter(c => c.severity === CONFLICT_SEVERITY.BLOCKING)
+      .forEach(c => c.entryIds.forEach(id => ids.set(id, ids.get(id) || c.solarFallback)));
+    return ids;
+  }, [weekConflicts]);
+
+  // Conflicts the event being edited would introduce
+  const formConflicts = useMemo(() => {
+    if (!showEventModal) return { blocking: [], warnings: [] };
+    return checkEntryConflicts(entries, {
+      ...buildEntryData(eventForm),
+      id: editingEntry?.id,
+      created_at: editingEntry?.created_at
+    });
+  }, [showEventModal, entries, eventForm, editingEntry]);
+
   useEffect(() => {
     if (scheduleId) {
       loadSchedule();
@@ -206,6 +334,12 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
       startTime,
       endDate: startDate,
       endTime,
+      startAnchor: TIME_ANCHORS.TIME,
+      startOffset: 0,
+      endAnchor: TIME_ANCHORS.TIME,
+      endOffset: 0,
+      weatherConditions: [],
+      priority: 0,
       repeat: 'none',
       repeatEvery: 1,
       repeatUnit: 'day',
@@ -228,6 +362,12 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
       startTime: entry.start_time || '08:00',
       endDate: entry.end_date || entry.start_date || formatDateInput(new Date()),
       endTime: entry.end_time || '09:00',
+      startAnchor: entry.start_anchor || TIME_ANCHORS.TIME,
+      startOffset: entry.start_offset_minutes ?? 0,
+      endAnchor: entry.end_anchor || TIME_ANCHORS.TIME,
+      endOffset: entry.end_offset_minutes ?? 0,
+      weatherConditions: entry.weather_conditions || [],
+      priority: entry.priority ?? 0,
       repeat: entry.repeat_type || 'none',
       repeatEvery: repeatConfig.repeat_every || 1,
       repeatUnit: repeatConfig.repeat_unit || 'day',
@@ -238,38 +378,34 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
     setShowEventModal(true);
   };
 
+  // Raise or clear the schedule conflict alert for screens this schedule is published to
+  const refreshPublishedConflicts = () => {
+    checkPublishedScheduleConflicts(scheduleId).catch(err => {
+      console.error('Error checking schedule conflicts:', err);
+    });
+  };
+
   const handleSaveEvent = async () => {
     if (eventForm.eventType === 'content' && !eventForm.contentId) {
       showToast?.('Please select content to display', 'error');
       return;
     }
 
+    if (formConflicts.blocking.length > 0) {
+      showToast?.('This event overlaps another event with the same priority. Change its time or priority to save.', 'error');
+      return;
+    }
+
+    if (formConflicts.warnings.length > 0) {
+      const overridden = formConflicts.warnings.filter(c => c.winnerId !== (editingEntry?.id || CANDIDATE_ENTRY_ID)).length;
+      const message = overridden > 0
+        ? `This event overlaps ${formConflicts.warnings.length} event(s) and will be hidden by higher priority events for part of its time. Save anyway?`
+        : `This event overlaps ${formConflicts.warnings.length} event(s) and will take precedence over them. Save anyway?`;
+      if (!window.confirm(message)) return;
+    }
+
     try {
-      const entryData = {
-        // Content info
-        content_type: eventForm.eventType === 'screenOff' ? null : eventForm.contentType,
-        content_id: eventForm.eventType === 'screenOff' ? null : eventForm.contentId,
-        // Also set target_type/target_id for backwards compatibility
-        target_type: eventForm.eventType === 'screenOff' ? 'all' : eventForm.contentType,
-        target_id: eventForm.eventType === 'screenOff' ? null : eventForm.contentId,
-        // Timing
-        start_date: eventForm.startDate,
-        start_time: eventForm.startTime,
-        end_date: eventForm.endDate,
-        end_time: eventForm.endTime,
-        // Event type
-        event_type: eventForm.eventType === 'screenOff' ? 'screen_off' : 'content',
-        // Repeat settings
-        repeat_type: eventForm.repeat,
-        repeat_every: eventForm.repeatEvery,
-        repeat_unit: eventForm.repeatUnit,
-        repeat_until: eventForm.repeatUntil,
-        repeat_until_date: eventForm.repeatUntilDate || null,
-        repeat_until_count: eventForm.repeatUntilCount,
-        is_active: true,
-        // Convert to days_of_week for backwards compatibility
-        days_of_week: eventForm.repeat === 'weekday' ? [1,2,3,4,5] : [0,1,2,3,4,5,6]
-      };
+      const entryData = buildEntryData(eventForm);
 
       if (editingEntry) {
         await updateScheduleEntry(editingEntry.id, entryData);
@@ -281,6 +417,7 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
 
       await loadSchedule();
       setShowEventModal(false);
+      refreshPublishedConflicts();
     } catch (error) {
       console.error('Error saving event:', error);
       showToast?.('Error saving event: ' + error.message, 'error');
@@ -293,6 +430,7 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
       await deleteScheduleEntry(entryId);
       setEntries(prev => prev.filter(e => e.id !== entryId));
       showToast?.('Event deleted');
+      refreshPublishedConflicts();
     } catch (error) {
       console.error('Error deleting event:', error);
       showToast?.('Error deleting event: ' + error.message, 'error');
@@ -526,7 +664,7 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
                               maxHeight: 'calc(100% - 8px)'
                             }}
                           >
-                            {formatTime12(event.start_time)} - {formatTime12(event.end_time)}
+                            {formatEntryBoundary(event, 'start')} - {formatEntryBoundary(event, 'end')}
                           </div>
                         ))}
                       </div>
@@ -587,8 +725,21 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
                             {entry.event_type === 'screen_off' ? 'Screen Off' : (entry.target?.name || 'No content')}
                           </div>
                           <div className="text-xs text-gray-500 mt-0.5">
-                            {formatTime12(entry.start_time)} - {formatTime12(entry.end_time)}
+                            {formatEntryBoundary(entry, 'start')} - {formatEntryBoundary(entry, 'end')}
                           </div>
+                          {entry.weather_conditions?.length > 0 && (
+                            <div className="text-xs text-sky-600 mt-1 flex items-center gap-1">
+                              <CloudSun size={12} />
+                              {describeWeatherConditions(entry.weather_conditions)}
+                            </div>
+                          )}
+                          {conflictedEntryIds.has(entry.id) && (
+                            <div className="text-xs text-amber-600 mt-1 flex items-center gap-1">
+                              <AlertTriangle size={12} />
+                              Overlaps an event with the same priority
+                              {conflictedEntryIds.get(entry.id) && ' (at fallback times)'}
+                            </div>
+                          )}
                         </div>
                         <button
                           onClick={(e) => {
@@ -620,8 +771,15 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
             </div>
           </div>
 
-          {/* View assigned screens */}
-          <div className="p-4 border-t border-gray-200">
+          {/* Holidays & exceptions / assigned screens */}
+          <div className="p-4 border-t border-gray-200 space-y-2">
+            <button
+              onClick={() => setShowExceptionsModal(true)}
+              className="text-sm text-gray-500 hover:text-gray-700 flex items-center gap-1"
+            >
+              <CalendarOff size={14} />
+              Holidays & exceptions
+            </button>
             <button className="text-sm text-gray-500 hover:text-gray-700 flex items-center gap-1">
               <Monitor size={14} />
               View assigned screens
@@ -737,6 +895,11 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
                       />
                     </div>
                   </div>
+                  <SolarTriggerFields
+                    anchor={eventForm.startAnchor}
+                    offset={eventForm.startOffset}
+                    onChange={({ anchor, offset }) => setEventForm(prev => ({ ...prev, startAnchor: anchor, startOffset: offset }))}
+                  />
                 </div>
 
                 {/* Event Ends */}
@@ -762,9 +925,86 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
                       />
                     </div>
                   </div>
+                  <SolarTriggerFields
+                    anchor={eventForm.endAnchor}
+                    offset={eventForm.endOffset}
+                    onChange={({ anchor, offset }) => setEventForm(prev => ({ ...prev, endAnchor: anchor, endOffset: offset }))}
+                  />
+                  {(eventForm.startAnchor !== TIME_ANCHORS.TIME || eventForm.endAnchor !== TIME_ANCHORS.TIME) && (
+                    <p className="text-xs text-gray-400 mt-2">
+                      Sunrise and sunset are calculated from each screen's coordinates (or its location's).
+                      The times above are used when a screen has no coordinates, and when checking this
+                      event for overlaps here.
+                    </p>
+                  )}
                 </div>
               </div>
 
+              {/* Priority */}
+              <div className="mb-6">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Priority</label>
+                <input
+                  type="number"
+                  value={eventForm.priority}
+                  onChange={(e) => setEventForm(prev => ({ ...prev, priority: parseInt(e.target.value) || 0 }))}
+                  className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-[#f26f21] focus:border-[#f26f21]"
+                />
+                <p className="text-xs text-gray-400 mt-1">Higher priority events play when events overlap.</p>
+              </div>
+
+              {/* Weather */}
+              {eventForm.eventType !== 'screenOff' && (
+                <div className="mb-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Weather</label>
+                  <WeatherConditionsFields
+                    conditions={eventForm.weatherConditions}
+                    onChange={(weatherConditions) => setEventForm(prev => ({ ...prev, weatherConditions }))}
+                  />
+                  {eventForm.weatherConditions.length > 0 && (
+                    <p className="text-xs text-gray-400 mt-2">
+                      Checked against the weather each screen reports for its location. Screens without
+                      recent weather skip this event.
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* Conflicts */}
+              {(formConflicts.blocking.length > 0 || formConflicts.warnings.length > 0) && (
+                <div
+                  className={`mb-6 p-3 rounded-lg border text-sm ${
+                    formConflicts.blocking.length > 0
+                      ? 'border-red-200 bg-red-50 text-red-700'
+                      : 'border-amber-200 bg-amber-50 text-amber-700'
+                  }`}
+                >
+                  <div className="flex items-center gap-2 font-medium mb-1">
+                    <AlertTriangle size={14} />
+                    {formConflicts.blocking.length > 0 ? 'Conflicts with other events' : 'Overlaps other events'}
+                  </div>
+                  <ul className="space-y-1 text-xs">
+                    {[...formConflicts.blocking, ...formConflicts.warnings].map(conflict => {
+                      const selfId = editingEntry?.id || CANDIDATE_ENTRY_ID;
+                      const { otherName, when, wins, more } = describeConflict(conflict, entries, selfId);
+                      return (
+                        <li key={conflict.entryIds.join(':')}>
+                          {otherName} · {when}{more > 0 ? ` (+${more} more)` : ''} ·{' '}
+                          {conflict.severity === CONFLICT_SEVERITY.BLOCKING
+                            ? 'same priority'
+                            : (wins ? 'this event wins' : 'other event wins')}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                  {[...formConflicts.blocking, ...formConflicts.warnings].some(c => c.solarFallback) && (
+                    <p className="text-xs mt-2">
+                      Sunrise and sunset events are checked at their fallback times. Screens this schedule
+                      is published to are checked at their own sunrise and sunset.
+                    </p>
+                  )}
+                </div>
+              )}
+
               {/* REPEAT OPTIONS section */}
               <div>
                 <h3 className="text-xs font-medium text-gray-500 uppercase tracking-wider mb-4">Repeat Options</h3>
@@ -842,6 +1082,15 @@ const ScheduleEditorPage = ({ scheduleId, showToast, onNavigate }) => {
           </div>
         </div>
       )}
+
+      <ExceptionCalendarsModal
+        isOpen={showExceptionsModal}
+        onClose={() => setShowExceptionsModal(false)}
+        scheduleId={scheduleId}
+        targetName={schedule?.name}
+        timeZone={schedule?.timezone}
+        showToast={showToast}
+      />
     </div>
   );
 };
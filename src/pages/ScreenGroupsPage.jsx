@@ -13,7 +13,8 @@ import {
   ChevronRight,
   Layers,
   Play,
-  XCircle
+  XCircle,
+  LayoutGrid
 } from 'lucide-react';
 import { formatDate } from '../utils/formatters';
 import { useTranslation } from '../i18n';
@@ -40,8 +41,10 @@ import {
   getUnassignedScreens,
   assignScreensToGroup,
   removeScreensFromGroup,
-  unpublishSceneFromGroup
+  unpublishSceneFromGroup,
+  updateVideoWall
 } from '../services/screenGroupService';
+import { SYNC_MODES, MAX_WALL_SIZE, validateWallLayout } from '../services/videoWallService';
 import { fetchLocations } from '../services/locationService';
 import { canEditScreens } from '../services/permissionsService';
 import { useAuth } from '../contexts/AuthContext';
@@ -59,6 +62,7 @@ const ScreenGroupsPage = ({ showToast }) => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showAssignModal, setShowAssignModal] = useState(false);
+  const [showWallModal, setShowWallModal] = useState(false);
   const [selectedGroup, setSelectedGroup] = useState(null);
   const [saving, setSaving] = useState(false);
 
@@ -139,6 +143,12 @@ const ScreenGroupsPage = ({ showToast }) => {
     setOpenMenuId(null);
   };
 
+  const openWallModal = async (group) => {
+    setSelectedGroup(group);
+    setShowWallModal(true);
+    setOpenMenuId(null);
+  };
+
   // Close menu when clicking outside
   useEffect(() => {
     const handleClickOutside = () => setOpenMenuId(null);
@@ -326,6 +336,14 @@ const ScreenGroupsPage = ({ showToast }) => {
                                   <Monitor size={14} aria-hidden="true" />
                                   {t('screenGroups.manageScreens', 'Manage Screens')}
                                 </button>
+                                <button
+                                  onClick={() => openWallModal(group)}
+                                  className="w-full flex items-center gap-2 px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                                  role="menuitem"
+                                >
+                                  <LayoutGrid size={14} aria-hidden="true" />
+                                  {t('screenGroups.videoWall', 'Video Wall')}
+                                </button>
                                 <button
                                   onClick={() => handleDelete(group.id)}
                                   className="w-full flex items-center gap-2 px-3 py-2 text-sm text-red-600 hover:bg-red-50"
@@ -416,6 +434,19 @@ const ScreenGroupsPage = ({ showToast }) => {
             t={t}
           />
         )}
+
+        {/* Video Wall Modal */}
+        {showWallModal && selectedGroup && (
+          <VideoWallModal
+            group={selectedGroup}
+            onClose={() => {
+              setShowWallModal(false);
+              setSelectedGroup(null);
+            }}
+            showToast={showToast}
+            t={t}
+          />
+        )}
       </PageContent>
     </PageLayout>
   );
@@ -713,4 +744,196 @@ function AssignScreensModal({ group, onClose, onUpdate, showToast, t }) {
   );
 }
 
+// Video Wall Modal
+function VideoWallModal({ group, onClose, showToast, t }) {
+  const [screens, setScreens] = useState([]);
+  const [enabled, setEnabled] = useState(false);
+  const [columns, setColumns] = useState(2);
+  const [rows, setRows] = useState(2);
+  // "row:column" -> device ID
+  const [cells, setCells] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadWall();
+  }, [group.id]);
+
+  const loadWall = async () => {
+    try {
+      setLoading(true);
+      const [groupData, members] = await Promise.all([
+        getScreenGroup(group.id),
+        getScreensInGroup(group.id)
+      ]);
+      setScreens(members);
+      setEnabled(groupData?.sync_mode === SYNC_MODES.VIDEO_WALL);
+      if (groupData?.sync_mode === SYNC_MODES.VIDEO_WALL) {
+        setColumns(groupData.wall_columns);
+        setRows(groupData.wall_rows);
+      }
+      setCells(Object.fromEntries(
+        members
+          .filter(screen => screen.wall_row !== null && screen.wall_row !== undefined)
+          .map(screen => [`${screen.wall_row}:${screen.wall_column}`, screen.id])
+      ));
+    } catch (error) {
+      console.error('Error loading video wall:', error);
+      showToast?.(t('screenGroups.loadError', 'Error loading screens'), 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const positions = Object.entries(cells)
+    .filter(([, deviceId]) => deviceId)
+    .map(([cell, deviceId]) => {
+      const [row, column] = cell.split(':').map(Number);
+      return { deviceId, row, column };
+    })
+    .filter(({ row, column }) => row < rows && column < columns);
+
+  const errors = enabled ? validateWallLayout({ columns, rows, positions }) : [];
+
+  const assignCell = (cell, deviceId) => {
+    setCells(prev => {
+      const next = { ...prev };
+      // A screen can only fill one position
+      Object.keys(next).forEach(key => {
+        if (next[key] === deviceId) delete next[key];
+      });
+      if (deviceId) next[cell] = deviceId;
+      else delete next[cell];
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await updateVideoWall(group.id, {
+        syncMode: enabled ? SYNC_MODES.VIDEO_WALL : SYNC_MODES.INDEPENDENT,
+        columns: enabled ? columns : 1,
+        rows: enabled ? rows : 1,
+        positions,
+      });
+      showToast?.(enabled
+        ? t('screenGroups.videoWallSaved', 'Video wall saved. Panels restart in sync.')
+        : t('screenGroups.videoWallOff', 'Screens now play independently'));
+      onClose();
+    } catch (error) {
+      console.error('Error saving video wall:', error);
+      showToast?.(t('screenGroups.videoWallError', 'Error saving video wall: {{error}}', { error: error.message }), 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sizeOptions = Array.from({ length: MAX_WALL_SIZE }, (_, i) => i + 1);
+
+  return (
+    <Modal open={true} onClose={onClose} size="lg">
+      <ModalHeader>
+        <ModalTitle>{t('screenGroups.videoWallFor', 'Video Wall: "{{name}}"', { name: group.name })}</ModalTitle>
+        <p className="text-sm text-gray-500 mt-1">
+          {t('screenGroups.videoWallHint', 'Play the group\'s layout or scene across all screens as one canvas, in sync.')}
+        </p>
+      </ModalHeader>
+      <ModalContent>
+        {loading ? (
+          <div className="flex items-center justify-center h-48" role="status" aria-label={t('common.loading', 'Loading')}>
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600" aria-hidden="true"></div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={enabled}
+                onChange={(e) => setEnabled(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              {t('screenGroups.playAsWall', 'Play as one video wall')}
+            </label>
+
+            {enabled && (
+              <>
+                <div className="flex items-center gap-4">
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    {t('screenGroups.wallColumns', 'Columns')}
+                    <select
+                      value={columns}
+                      onChange={(e) => setColumns(Number(e.target.value))}
+                      className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {sizeOptions.map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    {t('screenGroups.wallRows', 'Rows')}
+                    <select
+                      value={rows}
+                      onChange={(e) => setRows(Number(e.target.value))}
+                      className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {sizeOptions.map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                  </label>
+                </div>
+
+                <div
+                  className="grid gap-2"
+                  style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}
+                >
+                  {Array.from({ length: rows * columns }, (_, i) => {
+                    const cell = `${Math.floor(i / columns)}:${i % columns}`;
+                    return (
+                      <div key={cell} className="aspect-video border border-gray-300 rounded-lg bg-gray-50 p-2 flex flex-col justify-center">
+                        <select
+                          value={cells[cell] || ''}
+                          onChange={(e) => assignCell(cell, e.target.value)}
+                          className="w-full px-2 py-1 border border-gray-300 rounded text-xs bg-white"
+                          aria-label={t('screenGroups.wallPosition', 'Row {{row}}, column {{column}}', {
+                            row: Math.floor(i / columns) + 1,
+                            column: (i % columns) + 1
+                          })}
+                        >
+                          <option value="">{t('screenGroups.emptyPanel', 'Empty')}</option>
+                          {screens.map(screen => (
+                            <option key={screen.id} value={screen.id}>{screen.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    );
+                  })}
+                </div>
+
+                {screens.length < rows * columns && (
+                  <p className="text-sm text-amber-600">
+                    {t('screenGroups.wallNeedsScreens', 'This wall needs {{count}} screens; the group has {{available}}.', {
+                      count: rows * columns,
+                      available: screens.length
+                    })}
+                  </p>
+                )}
+                {errors.length > 0 && screens.length >= rows * columns && (
+                  <p className="text-sm text-amber-600">{errors[0]}</p>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </ModalContent>
+      <ModalFooter>
+        <Button variant="secondary" onClick={onClose}>
+          {t('common.cancel', 'Cancel')}
+        </Button>
+        <Button onClick={handleSave} loading={saving} disabled={loading || errors.length > 0}>
+          {t('common.save', 'Save')}
+        </Button>
+      </ModalFooter>
+    </Modal>
+  );
+}
+
 export default ScreenGroupsPage;
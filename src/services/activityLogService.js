@@ -39,6 +39,9 @@ export const ACTIONS = {
   MEDIA_CREATED: 'media.created',
   MEDIA_UPDATED: 'media.updated',
   MEDIA_DELETED: 'media.deleted',
+  MEDIA_MERGED: 'media.merged',
+  MEDIA_VERSION_ADDED: 'media.version_added',
+  MEDIA_VERSION_RESTORED: 'media.version_restored',
 
   // Branding actions
   BRANDING_UPDATED: 'branding.updated',
@@ -51,6 +54,12 @@ export const ACTIONS = {
   ALERT_RULE_CREATED: 'alert_rule.created',
   ALERT_RULE_UPDATED: 'alert_rule.updated',
   ALERT_RULE_DELETED: 'alert_rule.deleted',
+
+  // Campaign lifecycle actions (logged by the database on status changes)
+  CAMPAIGN_SCHEDULED: 'campaign.scheduled',
+  CAMPAIGN_ACTIVATED: 'campaign.activated',
+  CAMPAIGN_DEACTIVATED: 'campaign.deactivated',
+  CAMPAIGN_ENDED: 'campaign.ended',
 };
 
 /**
@@ -65,6 +74,7 @@ export const RESOURCE_TYPES = {
   BRANDING: 'branding',
   USER: 'user',
   ALERT_RULE: 'alert_rule',
+  CAMPAIGN: 'campaign',
 };
 
 /**
@@ -87,12 +97,19 @@ export const ACTION_LABELS = {
   'media.created': 'Media Uploaded',
   'media.updated': 'Media Updated',
   'media.deleted': 'Media Deleted',
+  'media.merged': 'Duplicate Media Merged',
+  'media.version_added': 'New Media Version Uploaded',
+  'media.version_restored': 'Media Version Restored',
   'branding.updated': 'Branding Updated',
   'user.login': 'User Login',
   'user.logout': 'User Logout',
   'alert_rule.created': 'Alert Rule Created',
   'alert_rule.updated': 'Alert Rule Updated',
   'alert_rule.deleted': 'Alert Rule Deleted',
+  'campaign.scheduled': 'Campaign Scheduled',
+  'campaign.activated': 'Campaign Started',
+  'campaign.deactivated': 'Campaign Paused',
+  'campaign.ended': 'Campaign Ended',
 };
 
 /**
@@ -115,12 +132,19 @@ export const ACTION_ICONS = {
   'media.created': '🖼️',
   'media.updated': '🖼️',
   'media.deleted': '🖼️',
+  'media.merged': '🖼️',
+  'media.version_added': '🖼️',
+  'media.version_restored': '🖼️',
   'branding.updated': '🎨',
   'user.login': '🔓',
   'user.logout': '🔒',
   'alert_rule.created': '🔔',
   'alert_rule.updated': '🔔',
   'alert_rule.deleted': '🔔',
+  'campaign.scheduled': '📣',
+  'campaign.activated': '📣',
+  'campaign.deactivated': '📣',
+  'campaign.ended': '📣',
 };
 
 /**
@@ -352,6 +376,8 @@ export function describeActivity(activity) {
   const actor = activity.actor_name || 'Someone';
   const resource = activity.resource_name || activity.resource_type;
 
+  const onSchedule = activity.metadata?.source === 'lifecycle_worker';
+
   switch (activity.action) {
     case ACTIONS.SCREEN_CREATED:
       return `${actor} added a new screen "${resource}"`;
@@ -398,6 +424,19 @@ export function describeActivity(activity) {
     case ACTIONS.USER_LOGOUT:
       return `${actor} logged out`;
 
+    case ACTIONS.CAMPAIGN_SCHEDULED:
+      return `${actor} scheduled campaign "${resource}"`;
+    case ACTIONS.CAMPAIGN_ACTIVATED:
+      return onSchedule
+        ? `Campaign "${resource}" started on schedule`
+        : `${actor} started campaign "${resource}"`;
+    case ACTIONS.CAMPAIGN_DEACTIVATED:
+      return `${actor} paused campaign "${resource}"`;
+    case ACTIONS.CAMPAIGN_ENDED:
+      return onSchedule
+        ? `Campaign "${resource}" ended on schedule`
+        : `${actor} ended campaign "${resource}"`;
+
     default:
       return `${actor} performed ${activity.action} on ${resource}`;
   }
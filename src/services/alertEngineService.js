@@ -1273,6 +1273,31 @@ export async function raiseScheduleMissingSceneAlert(schedule, missingSceneIds)
   });
 }
 
+/**
+ * Raise a schedule conflict alert for a published schedule
+ */
+export async function raiseScheduleConflictAlert(schedule, conflicts, targets = []) {
+  return raiseAlert({
+    type: ALERT_TYPES.SCHEDULE_CONFLICT,
+    severity: ALERT_SEVERITIES.WARNING,
+    title: `Schedule "${schedule.name}" has conflicting entries`,
+    message: `${conflicts.length} overlapping entry pair(s) with the same priority`,
+    tenantId: schedule.tenant_id || schedule.owner_id,
+    scheduleId: schedule.id,
+    meta: {
+      schedule_name: schedule.name,
+      conflict_count: conflicts.length,
+      conflicts: conflicts.slice(0, 20).map(c => ({
+        entry_ids: c.entryIds,
+        winner_id: c.winnerId,
+        first_overlap: c.overlaps[0] || null,
+        total_minutes: c.totalMinutes,
+      })),
+      targets: targets.map(t => ({ type: t.type, id: t.id, name: t.name })),
+    },
+  });
+}
+
 /**
  * Raise a cache stale alert
  */
@@ -0,0 +1,345 @@
+/**
+ * Calendar App Service
+ *
+ * Parses iCalendar (.ics) feeds for the calendar app - Google and Outlook
+ * published calendars, room mailboxes and CalDAV export URLs - into plain
+ * event objects the player can cache, and groups them for the agenda, day and
+ * room-board views. Recurring events are expanded over a window around now;
+ * times follow the feed's own timezones and floating times the screen's.
+ */
+import ICAL from 'ical.js';
+import { zonedTimeToUtc } from './countdownService';
+
+/**
+ * Calendar app views
+ */
+export const CALENDAR_VIEWS = {
+  AGENDA: 'agenda', // Upcoming events grouped by day
+  DAY: 'day', // Today's timeline
+  ROOM: 'room', // Meeting room board: busy/free, current and next meeting
+};
+
+export const DEFAULT_CALENDAR_DAYS_AHEAD = 7;
+
+/**
+ * Extra days expanded beyond the view so cached events last through an outage
+ */
+const OFFLINE_BUFFER_DAYS = 7;
+
+/**
+ * Safety cap on recurrence steps per event (a daily event since 2000 is ~10k)
+ */
+const MAX_RECURRENCE_STEPS = 20000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const API_BASE = import.meta.env.VITE_API_URL || '';
+
+/**
+ * Check that a timezone name is one Intl knows
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isKnownTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Local calendar date of an instant in a timezone
+ * @param {number} ms - Epoch ms
+ * @param {string} [timeZone]
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDateKey(ms, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: isKnownTimeZone(timeZone) ? timeZone : undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(ms));
+}
+
+/**
+ * Turn a webcal:// subscription link into a fetchable URL
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeFeedUrl(url) {
+  return (url || '').trim().replace(/^webcals?:\/\//i, 'https://');
+}
+
+/**
+ * Instant of an ICAL.Time. Times tied to a VTIMEZONE or UTC convert directly;
+ * a TZID without a VTIMEZONE is read as an IANA name; all-day dates and
+ * floating times are in the screen's timezone.
+ * @param {ICAL.Time} time
+ * @param {string} [tzid] - TZID of the property
+ * @param {string} [screenTimeZone]
+ * @returns {number} Epoch ms
+ */
+export function icalTimeToInstant(time, tzid, screenTimeZone) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const date = `${time.year}-${pad(time.month)}-${pad(time.day)}`;
+
+  if (time.isDate) return zonedTimeToUtc(date, screenTimeZone);
+  if (time.zone && time.zone.tzid !== 'floating') return time.toUnixTime() * 1000;
+
+  const zone = isKnownTimeZone(tzid) ? tzid : screenTimeZone;
+  return zonedTimeToUtc(`${date}T${pad(time.hour)}:${pad(time.minute)}:${pad(time.second)}`, zone);
+}
+
+function toCalendarEvent(item, start, end, tzid, id, timeZone) {
+  const startMs = icalTimeToInstant(start, start.timezone || tzid, timeZone);
+  const endMs = end && end.compare(start) > 0
+    ? icalTimeToInstant(end, end.timezone || tzid, timeZone)
+    : startMs + (start.isDate ? DAY_MS : 0);
+
+  return {
+    id,
+    title: item.summary?.trim() || 'Busy',
+    location: item.location?.trim() || '',
+    organizer: item.organizer ? String(item.organizer).replace(/^mailto:/i, '') : '',
+    start: startMs,
+    end: endMs,
+    allDay: start.isDate,
+  };
+}
+
+/**
+ * Parse an iCalendar document into events within a window.
+ * Recurring events are expanded (RRULE, RDATE, EXDATE and moved instances);
+ * cancelled events are dropped.
+ *
+ * @param {string} icsText - iCalendar text
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Screen timezone for all-day and floating times
+ * @param {number} [options.from] - Window start, epoch ms (default: now)
+ * @param {number} [options.to] - Window end, epoch ms (default: two weeks ahead)
+ * @returns {Array<{id: string, title: string, location: string, organizer: string, start: number, end: number, allDay: boolean}>}
+ *   Sorted by start
+ */
+export function parseCalendarFeed(icsText, { timeZone, from = Date.now(), to = null } = {}) {
+  if (!icsText?.trim()) throw new Error('Calendar feed is empty');
+
+  let component;
+  try {
+    component = new ICAL.Component(ICAL.parse(icsText));
+  } catch (err) {
+    throw new Error(`Invalid iCalendar feed: ${err.message}`);
+  }
+
+  const windowEnd = to ?? from + (DEFAULT_CALENDAR_DAYS_AHEAD + OFFLINE_BUFFER_DAYS) * DAY_MS;
+  const inWindow = (event) => event.end > from && event.start < windowEnd;
+  const cancelled = (vevent) => String(vevent.getFirstPropertyValue('status') || '').toUpperCase() === 'CANCELLED';
+
+  const events = component.getAllSubcomponents('vevent').map(vevent => new ICAL.Event(vevent));
+  const masters = new Map(events.filter(e => !e.isRecurrenceException()).map(e => [e.uid, e]));
+
+  // Moved or edited instances replace their occurrence of the master event
+  for (const event of events) {
+    if (event.isRecurrenceException()) masters.get(event.uid)?.relateException(event);
+  }
+
+  const results = [];
+
+  for (const event of masters.values()) {
+    if (!event.startDate) continue;
+    const uid = event.uid || `${event.summary}-${event.startDate.toString()}`;
+    const tzid = event.startDate.timezone;
+
+    if (!event.isRecurring()) {
+      if (cancelled(event.component)) continue;
+      const row = toCalendarEvent(event, event.startDate, event.endDate, tzid, uid, timeZone);
+      if (inWindow(row)) results.push(row);
+      continue;
+    }
+
+    const iterator = event.iterator();
+    let next;
+    let steps = 0;
+    while ((next = iterator.next()) && steps++ < MAX_RECURRENCE_STEPS) {
+      const details = event.getOccurrenceDetails(next);
+      if (cancelled(details.item.component)) continue;
+
+      const row = toCalendarEvent(
+        details.item,
+        details.startDate,
+        details.endDate,
+        tzid,
+        `${uid}:${next.toString()}`,
+        timeZone
+      );
+      // Moved instances may land before the original slot, so stop on the slot
+      if (icalTimeToInstant(next, tzid, timeZone) >= windowEnd && row.start >= windowEnd) break;
+      if (inWindow(row)) results.push(row);
+    }
+  }
+
+  // Exceptions whose master is missing from the feed still show
+  for (const event of events) {
+    if (!event.isRecurrenceException() || masters.has(event.uid) || cancelled(event.component)) continue;
+    const row = toCalendarEvent(event, event.startDate, event.endDate, event.startDate.timezone,
+      `${event.uid}:${event.recurrenceId.toString()}`, timeZone);
+    if (inWindow(row)) results.push(row);
+  }
+
+  return results.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Fetch a calendar app's iCalendar feed through the app data endpoint the
+ * player's other apps use; calendar hosts don't send CORS headers, so the
+ * browser can't read the feed directly
+ * @param {Object} config - Calendar app config (feedUrl: https:// or webcal://)
+ * @param {Object} [options]
+ * @param {string} [options.appId] - Saved app the server reads the config from
+ * @returns {Promise<string>} iCalendar text
+ */
+export async function fetchCalendarFeed(config, { appId = null } = {}) {
+  const feedUrl = normalizeFeedUrl(config?.feedUrl);
+  if (!appId && !feedUrl) throw new Error('Calendar feed URL is required');
+
+  const query = appId
+    ? `appId=${encodeURIComponent(appId)}`
+    : `config=${encodeURIComponent(JSON.stringify({ ...config, feedUrl }))}`;
+
+  const response = await fetch(`${API_BASE}/api/apps/data?${query}`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch calendar feed: ${response.status}`);
+  }
+
+  const result = await response.json();
+  if (!result.success || typeof result.data !== 'string') {
+    throw new Error(result.error || 'Calendar feed returned no data');
+  }
+  return result.data;
+}
+
+/**
+ * Fetch and parse a calendar app's feed for the player
+ * @param {Object} config - Calendar app config (feedUrl, daysAhead)
+ * @param {Object} options
+ * @param {string} [options.appId] - Saved app ID
+ * @param {string} [options.timeZone] - Screen timezone
+ * @param {number} [options.now] - Epoch ms (the player passes its server clock)
+ * @returns {Promise<{events: Array, fetchedAt: number}>}
+ */
+export async function loadCalendarEvents(config, { appId = null, timeZone, now = Date.now() } = {}) {
+  const icsText = await fetchCalendarFeed(config, { appId });
+  const daysAhead = config?.daysAhead || DEFAULT_CALENDAR_DAYS_AHEAD;
+  const from = zonedTimeToUtc(getDateKey(now, timeZone), timeZone);
+
+  return {
+    events: parseCalendarFeed(icsText, {
+      timeZone,
+      from,
+      to: from + (daysAhead + OFFLINE_BUFFER_DAYS) * DAY_MS,
+    }),
+    fetchedAt: now,
+  };
+}
+
+/**
+ * Group upcoming events by local day for the agenda view
+ * @param {Array} events - From parseCalendarFeed
+ * @param {Object} options
+ * @param {number} options.now - Epoch ms
+ * @param {string} [options.timeZone]
+ * @param {number} [options.daysAhead]
+ * @param {number} [options.maxEvents]
+ * @returns {Array<{date: string, events: Array}>} Days in order, only days with events
+ */
+export function getAgendaDays(events, { now, timeZone, daysAhead = DEFAULT_CALENDAR_DAYS_AHEAD, maxEvents = 20 }) {
+  const lastDay = getDateKey(now + daysAhead * DAY_MS, timeZone);
+  const days = new Map();
+
+  events
+    .filter(event => event.end > now)
+    .slice(0, maxEvents)
+    .forEach(event => {
+      // Events already under way list under today
+      const date = getDateKey(Math.max(event.start, now), timeZone);
+      if (date > lastDay) return;
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(event);
+    });
+
+  return [...days].map(([date, dayEvents]) => ({ date, events: dayEvents }));
+}
+
+/**
+ * Events on the current local day for the day view
+ * @param {Array} events - From parseCalendarFeed
+ * @param {Object} options
+ * @param {number} options.now - Epoch ms
+ * @param {string} [options.timeZone]
+ * @returns {{date: string, allDay: Array, timed: Array}}
+ */
+export function getDayEvents(events, { now, timeZone }) {
+  const date = getDateKey(now, timeZone);
+  const dayStart = zonedTimeToUtc(date, timeZone);
+  const dayEnd = zonedTimeToUtc(getDateKey(dayStart + DAY_MS + 2 * 60 * 60 * 1000, timeZone), timeZone);
+  const today = events.filter(event => event.end > dayStart && event.start < dayEnd);
+
+  return {
+    date,
+    allDay: today.filter(event => event.allDay),
+    timed: today.filter(event => !event.allDay),
+  };
+}
+
+/**
+ * Room board status: the meeting under way and what comes next today
+ * @param {Array} events - From parseCalendarFeed
+ * @param {Object} options
+ * @param {number} options.now - Epoch ms
+ * @param {string} [options.timeZone]
+ * @returns {{busy: boolean, current: Object|null, next: Object|null, freeUntil: number|null, busyUntil: number|null, later: Array}}
+ *   freeUntil is null when the room is free for the rest of the day
+ */
+export function getRoomStatus(events, { now, timeZone }) {
+  const timed = events.filter(event => !event.allDay && event.end > now);
+  const current = timed.find(event => event.start <= now) || null;
+  const today = getDateKey(now, timeZone);
+  const upcoming = timed.filter(event => event.start > now && getDateKey(event.start, timeZone) === today);
+
+  // Back-to-back meetings keep the room busy
+  let busyUntil = current?.end ?? null;
+  if (current) {
+    for (const event of upcoming) {
+      if (event.start > busyUntil) break;
+      busyUntil = Math.max(busyUntil, event.end);
+    }
+  }
+
+  const next = upcoming.find(event => !current || event.start >= current.end) || null;
+
+  return {
+    busy: Boolean(current),
+    current,
+    next,
+    freeUntil: current ? null : next?.start ?? null,
+    busyUntil,
+    later: upcoming.filter(event => event !== next).slice(0, 3),
+  };
+}
+
+export default {
+  CALENDAR_VIEWS,
+  DEFAULT_CALENDAR_DAYS_AHEAD,
+  getDateKey,
+  normalizeFeedUrl,
+  icalTimeToInstant,
+  parseCalendarFeed,
+  fetchCalendarFeed,
+  loadCalendarEvents,
+  getAgendaDays,
+  getDayEvents,
+  getRoomStatus,
+};
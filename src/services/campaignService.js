@@ -1,5 +1,6 @@
 // Campaign Service - CRUD operations for campaigns
 import { supabase } from '../supabase';
+import { normalizeTriggerRules } from './contentTriggerService';
 
 /**
  * Campaign statuses
@@ -31,6 +32,74 @@ export const CONTENT_TYPES = {
   MEDIA: 'media'
 };
 
+/**
+ * Pacing modes for daily impression goals
+ */
+export const PACING_MODES = {
+  EVEN: 'even',
+  ASAP: 'asap'
+};
+
+/**
+ * Delivery status of a campaign against its impression goal
+ */
+export const DELIVERY_STATUS = {
+  NO_GOAL: 'no_goal',
+  AHEAD: 'ahead',
+  ON_TRACK: 'on_track',
+  BEHIND: 'behind',
+  MET: 'met'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Delivery within this fraction of the expected count counts as on track
+const PACING_TOLERANCE = 0.1;
+
+/**
+ * Validate and normalize delivery settings (frequency cap, share of voice, goal, pacing).
+ * Empty values clear the setting.
+ * @param {Object} settings - camelCase delivery settings
+ * @returns {Object} snake_case columns for the settings present in `settings`
+ */
+function normalizeDeliverySettings(settings) {
+  const columns = {};
+  const toNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+  if ('frequencyCapPerHour' in settings) {
+    const cap = toNumber(settings.frequencyCapPerHour);
+    if (cap !== null && (!Number.isInteger(cap) || cap <= 0)) {
+      throw new Error('Frequency cap must be a whole number of plays per hour');
+    }
+    columns.frequency_cap_per_hour = cap;
+  }
+
+  if ('shareOfVoice' in settings) {
+    const share = toNumber(settings.shareOfVoice);
+    if (share !== null && (Number.isNaN(share) || share <= 0 || share > 100)) {
+      throw new Error('Share of voice must be between 0 and 100%');
+    }
+    columns.share_of_voice = share;
+  }
+
+  if ('dailyImpressionGoal' in settings) {
+    const goal = toNumber(settings.dailyImpressionGoal);
+    if (goal !== null && (!Number.isInteger(goal) || goal <= 0)) {
+      throw new Error('Daily impression goal must be a whole number');
+    }
+    columns.daily_impression_goal = goal;
+  }
+
+  if ('pacing' in settings) {
+    if (!Object.values(PACING_MODES).includes(settings.pacing)) {
+      throw new Error('Invalid pacing mode');
+    }
+    columns.pacing = settings.pacing;
+  }
+
+  return columns;
+}
+
 /**
  * Fetch all campaigns for the current tenant
  * @param {Object} options - Filter options
@@ -170,12 +239,18 @@ export async function getCampaign(id) {
 export async function createCampaign({
   name,
   description = '',
+  advertiser = '',
   status = CAMPAIGN_STATUS.DRAFT,
   startAt = null,
   endAt = null,
-  priority = 100
+  priority = 100,
+  frequencyCapPerHour = null,
+  shareOfVoice = null,
+  dailyImpressionGoal = null,
+  pacing = PACING_MODES.EVEN
 }) {
   if (!name?.trim()) throw new Error('Name is required');
+  const delivery = normalizeDeliverySettings({ frequencyCapPerHour, shareOfVoice, dailyImpressionGoal, pacing });
 
   const { data: { user } } = await supabase.auth.getUser();
   if (!user) throw new Error('User must be authenticated');
@@ -195,10 +270,12 @@ export async function createCampaign({
       tenant_id: tenantId,
       name: name.trim(),
       description: description?.trim() || null,
+      advertiser: advertiser?.trim() || null,
       status,
       start_at: startAt,
       end_at: endAt,
       priority,
+      ...delivery,
       created_by: user.id
     })
     .select()
@@ -218,6 +295,7 @@ export async function updateCampaign(id, updates) {
   const fieldMapping = {
     name: 'name',
     description: 'description',
+    advertiser: 'advertiser',
     status: 'status',
     startAt: 'start_at',
     endAt: 'end_at',
@@ -238,6 +316,8 @@ export async function updateCampaign(id, updates) {
     }
   }
 
+  Object.assign(filteredUpdates, normalizeDeliverySettings(updates));
+
   const { data, error } = await supabase
     .from('campaigns')
     .update(filteredUpdates)
@@ -447,15 +527,20 @@ export async function removeContent(contentId) {
 }
 
 /**
- * Update content weight or position
+ * Update content weight, position or trigger rules
  * @param {string} contentId - Campaign content ID
- * @param {Object} updates - Updates (weight, position)
+ * @param {Object} updates - Updates (weight, position, trigger_rules)
  * @returns {Promise<Object>} Updated content
  */
 export async function updateContent(contentId, updates) {
+  const changes = { ...updates };
+  if ('trigger_rules' in changes) {
+    changes.trigger_rules = normalizeTriggerRules(changes.trigger_rules);
+  }
+
   const { data, error } = await supabase
     .from('campaign_contents')
-    .update(updates)
+    .update(changes)
     .eq('id', contentId)
     .select()
     .single();
@@ -510,36 +595,141 @@ export async function reorderContents(campaignId, orderedIds) {
 // ANALYTICS
 // ============================================================================
 
+// Local date (as a day number) and seconds since midnight of a time in a timezone.
+// 'YYYY-MM-DD' strings are taken as local dates.
+function toLocalDay(value, timezone) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return { day: Math.floor(Date.parse(`${value}T00:00:00Z`) / MS_PER_DAY), seconds: 0 };
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(new Date(value))
+      .map(part => [part.type, Number(part.value)])
+  );
+
+  return {
+    day: Math.floor(Date.UTC(parts.year, parts.month - 1, parts.day) / MS_PER_DAY),
+    seconds: parts.hour * 3600 + parts.minute * 60 + parts.second
+  };
+}
+
+/**
+ * Number of days in [startDate, endDate] on which the campaign runs
+ * @param {Object} campaign - { start_at, end_at, timezone }
+ * @param {Date|string} startDate - Period start (a 'YYYY-MM-DD' string is a local date)
+ * @param {Date|string} endDate - Period end
+ * @param {string} [timezone] - Timezone of the days; defaults to the campaign's, then UTC
+ * @returns {number} Whole days (inclusive, by local date)
+ */
+export function countActiveDays(campaign, startDate, endDate, timezone = campaign.timezone || 'UTC') {
+  const dayOf = (value) => toLocalDay(value, timezone).day;
+  const first = Math.max(dayOf(startDate), campaign.start_at ? dayOf(campaign.start_at) : -Infinity);
+  const last = Math.min(dayOf(endDate), campaign.end_at ? dayOf(campaign.end_at) : Infinity);
+  return last >= first ? last - first + 1 : 0;
+}
+
 /**
- * Get campaign playback statistics
+ * Compare delivered impressions against the daily goal. Plays are already
+ * dated by each screen's local day, as campaign_delivery_allowed paces them;
+ * the period's days and today's pace use stats.timezone, the campaign's most
+ * common screen timezone.
+ * @param {Object} stats - Row from get_campaign_playback_stats
+ * @param {Date|string} startDate - Period start
+ * @param {Date|string} endDate - Period end
+ * @param {Date} [now] - Current time, for today's pacing
+ * @returns {Object} { delivered, goal, delivery_rate, expected_today, delivery_status }
+ */
+export function summarizeDelivery(stats, startDate, endDate, now = new Date()) {
+  const delivered = Number(stats.play_count) || 0;
+  const dailyGoal = stats.daily_impression_goal || null;
+
+  if (!dailyGoal) {
+    return {
+      delivered,
+      goal: null,
+      delivery_rate: null,
+      expected_today: null,
+      delivery_status: DELIVERY_STATUS.NO_GOAL
+    };
+  }
+
+  const timezone = stats.timezone || 'UTC';
+  const goal = dailyGoal * countActiveDays(stats, startDate, endDate, timezone);
+  const deliveredToday = Number(stats.delivered_today) || 0;
+  const dayFraction = toLocalDay(now, timezone).seconds / (MS_PER_DAY / 1000);
+  const expectedToday = stats.pacing === PACING_MODES.ASAP
+    ? dailyGoal
+    : Math.ceil(dailyGoal * dayFraction);
+
+  // ASAP campaigns have no intra-day target, so they are only on track or met
+  let status = DELIVERY_STATUS.ON_TRACK;
+  if (deliveredToday >= dailyGoal) {
+    status = DELIVERY_STATUS.MET;
+  } else if (stats.pacing === PACING_MODES.ASAP) {
+    status = DELIVERY_STATUS.ON_TRACK;
+  } else if (deliveredToday > expectedToday * (1 + PACING_TOLERANCE)) {
+    status = DELIVERY_STATUS.AHEAD;
+  } else if (deliveredToday < expectedToday * (1 - PACING_TOLERANCE)) {
+    status = DELIVERY_STATUS.BEHIND;
+  }
+
+  return {
+    delivered,
+    goal,
+    delivery_rate: goal > 0 ? delivered / goal : null,
+    expected_today: expectedToday,
+    delivery_status: status
+  };
+}
+
+/**
+ * Get campaign playback statistics, with delivered impressions versus goal
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
+ * @param {string} [tenant] - Tenant to report on; defaults to the client being managed, else the user
  * @returns {Promise<Array>} Campaign stats
  */
-export async function getCampaignStats(startDate = null, endDate = null) {
-  const { data: { user } } = await supabase.auth.getUser();
-  if (!user) throw new Error('User must be authenticated');
-
-  // Get user's tenant_id
-  const { data: profile } = await supabase
-    .from('profiles')
-    .select('id, managed_tenant_id')
-    .eq('id', user.id)
-    .single();
-
-  const tenantId = profile?.managed_tenant_id || user.id;
+export async function getCampaignStats(startDate = null, endDate = null, tenant = null) {
+  let tenantId = tenant;
+  if (!tenantId) {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User must be authenticated');
+
+    // Get user's tenant_id
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('id, managed_tenant_id')
+      .eq('id', user.id)
+      .single();
+
+    tenantId = profile?.managed_tenant_id || user.id;
+  }
 
   const start = startDate || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
   const end = endDate || new Date();
 
+  // Local dates at each screen
+  const startDay = start.toISOString().split('T')[0];
+  const endDay = end.toISOString().split('T')[0];
+
   const { data, error } = await supabase.rpc('get_campaign_playback_stats', {
     p_tenant_id: tenantId,
-    p_start_date: start.toISOString().split('T')[0],
-    p_end_date: end.toISOString().split('T')[0]
+    p_start_date: startDay,
+    p_end_date: endDay
   });
 
   if (error) throw error;
-  return data || [];
+  return (data || []).map(row => ({ ...row, ...summarizeDelivery(row, startDay, endDay) }));
 }
 
 /**
@@ -571,6 +761,8 @@ export default {
   CAMPAIGN_STATUS,
   TARGET_TYPES,
   CONTENT_TYPES,
+  PACING_MODES,
+  DELIVERY_STATUS,
   fetchCampaigns,
   getCampaign,
   createCampaign,
@@ -587,6 +779,8 @@ export default {
   updateContent,
   getContents,
   reorderContents,
+  countActiveDays,
+  summarizeDelivery,
   getCampaignStats,
   getCampaignOptions
 };
@@ -0,0 +1,427 @@
+/**
+ * Content Trigger Service
+ *
+ * Rule-based triggers that show, hide or prioritise playlist items, scene slides
+ * and campaign contents from data source values, e.g. "show the apology slide
+ * when wait_minutes > 20" or "hide this menu slide when stock = 0".
+ *
+ * A rule is { id, action, match, conditions } where each condition reads a field
+ * from a data source row (same sourceId/field/rowSelector shape as a data
+ * binding) and compares it with a value. Rules are evaluated on the player
+ * against cached data sources, so they keep working offline.
+ *
+ * An item plays unless a matching hide rule or an unmatched show rule excludes
+ * it. Items with a matching prioritize rule play before the others.
+ */
+
+import { getCachedDataSource, selectBindingRows } from './dataBindingResolver';
+import { cacheContent, getCachedContent } from './playerService';
+
+/**
+ * What a rule does when its conditions match
+ */
+export const TRIGGER_ACTIONS = {
+  SHOW: 'show', // Only play while the conditions match
+  HIDE: 'hide', // Skip while the conditions match
+  PRIORITIZE: 'prioritize', // Play first while the conditions match
+};
+
+/**
+ * How a rule combines its conditions
+ */
+export const TRIGGER_MATCH = {
+  ALL: 'all',
+  ANY: 'any',
+};
+
+/**
+ * Comparison operators for conditions
+ */
+export const TRIGGER_OPERATORS = {
+  EQ: 'eq',
+  NEQ: 'neq',
+  GT: 'gt',
+  GTE: 'gte',
+  LT: 'lt',
+  LTE: 'lte',
+  CONTAINS: 'contains',
+  NOT_CONTAINS: 'not_contains',
+  IS_EMPTY: 'is_empty',
+  IS_NOT_EMPTY: 'is_not_empty',
+};
+
+/**
+ * Operator options for rule editors
+ */
+export const TRIGGER_OPERATOR_OPTIONS = [
+  { value: TRIGGER_OPERATORS.EQ, label: 'equals' },
+  { value: TRIGGER_OPERATORS.NEQ, label: 'does not equal' },
+  { value: TRIGGER_OPERATORS.GT, label: 'is greater than' },
+  { value: TRIGGER_OPERATORS.GTE, label: 'is at least' },
+  { value: TRIGGER_OPERATORS.LT, label: 'is less than' },
+  { value: TRIGGER_OPERATORS.LTE, label: 'is at most' },
+  { value: TRIGGER_OPERATORS.CONTAINS, label: 'contains' },
+  { value: TRIGGER_OPERATORS.NOT_CONTAINS, label: 'does not contain' },
+  { value: TRIGGER_OPERATORS.IS_EMPTY, label: 'is empty' },
+  { value: TRIGGER_OPERATORS.IS_NOT_EMPTY, label: 'is not empty' },
+];
+
+const VALUELESS_OPERATORS = [TRIGGER_OPERATORS.IS_EMPTY, TRIGGER_OPERATORS.IS_NOT_EMPTY];
+
+/**
+ * Player cache TTL for trigger data sources
+ */
+const TRIGGER_SOURCE_TTL = 60 * 1000;
+
+/**
+ * Check whether an operator compares against a value
+ * @param {string} operator
+ * @returns {boolean}
+ */
+export function operatorNeedsValue(operator) {
+  return !VALUELESS_OPERATORS.includes(operator);
+}
+
+/**
+ * Trigger rules of a playlist item or campaign content
+ * @param {Object} item - Player item ({ triggerRules }) or database row ({ trigger_rules })
+ * @returns {Array<Object>}
+ */
+export function getItemTriggerRules(item) {
+  return item?.triggerRules || item?.trigger_rules || [];
+}
+
+/**
+ * Trigger rules of a scene slide (kept in its design JSON)
+ * @param {Object} slide - Slide with design or design_json
+ * @returns {Array<Object>}
+ */
+export function getSlideTriggerRules(slide) {
+  return (slide?.design || slide?.design_json)?.triggers || [];
+}
+
+/**
+ * Create an empty rule
+ * @param {Object} [overrides]
+ * @returns {Object} Rule
+ */
+export function createTriggerRule(overrides = {}) {
+  return {
+    id: crypto.randomUUID(),
+    action: TRIGGER_ACTIONS.HIDE,
+    match: TRIGGER_MATCH.ALL,
+    conditions: [],
+    ...overrides,
+  };
+}
+
+/**
+ * Validate and clean rules before saving
+ * @param {Array<Object>} rules
+ * @returns {Array<Object>} Normalized rules
+ * @throws {Error} If a rule is incomplete
+ */
+export function normalizeTriggerRules(rules) {
+  if (rules === null || rules === undefined) return [];
+  if (!Array.isArray(rules)) throw new Error('Trigger rules must be a list');
+
+  return rules.map((rule, index) => {
+    const label = `Rule ${index + 1}`;
+
+    if (!Object.values(TRIGGER_ACTIONS).includes(rule?.action)) {
+      throw new Error(`${label}: invalid action`);
+    }
+    const match = rule.match || TRIGGER_MATCH.ALL;
+    if (!Object.values(TRIGGER_MATCH).includes(match)) {
+      throw new Error(`${label}: invalid match mode`);
+    }
+    if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+      throw new Error(`${label}: add at least one condition`);
+    }
+
+    const conditions = rule.conditions.map((condition) => {
+      if (!condition?.sourceId || !condition?.field) {
+        throw new Error(`${label}: pick a data source and field for every condition`);
+      }
+      if (!Object.values(TRIGGER_OPERATORS).includes(condition.operator)) {
+        throw new Error(`${label}: invalid operator`);
+      }
+
+      const value = operatorNeedsValue(condition.operator)
+        ? String(condition.value ?? '').trim()
+        : null;
+      if (value === '') {
+        throw new Error(`${label}: enter a value to compare against`);
+      }
+
+      return {
+        sourceId: condition.sourceId,
+        field: condition.field,
+        rowSelector: condition.rowSelector || { mode: 'index', index: 0 },
+        operator: condition.operator,
+        value,
+      };
+    });
+
+    return {
+      id: rule.id || crypto.randomUUID(),
+      action: rule.action,
+      match,
+      conditions,
+    };
+  });
+}
+
+/**
+ * Turn a cell value into something comparable: a number, a boolean,
+ * a lowercase string, or null for empty
+ */
+function toComparable(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  const lower = text.toLowerCase();
+  if (lower === 'true' || lower === 'false') return lower === 'true';
+
+  // Accept formatted numbers such as "$1,200" or "20 "
+  const numeric = Number(text.replace(/[,$€£]/g, ''));
+  if (Number.isFinite(numeric)) return numeric;
+
+  return lower;
+}
+
+/**
+ * Compare a cell value with a condition value
+ * @param {any} actual - Data source value
+ * @param {string} operator - TRIGGER_OPERATORS value
+ * @param {any} expected - Condition value
+ * @returns {boolean}
+ */
+export function compareTriggerValue(actual, operator, expected) {
+  const a = toComparable(actual);
+
+  if (operator === TRIGGER_OPERATORS.IS_EMPTY) return a === null;
+  if (operator === TRIGGER_OPERATORS.IS_NOT_EMPTY) return a !== null;
+
+  const b = toComparable(expected);
+
+  if (operator === TRIGGER_OPERATORS.CONTAINS || operator === TRIGGER_OPERATORS.NOT_CONTAINS) {
+    const contains = a !== null && b !== null && String(a).includes(String(b));
+    return operator === TRIGGER_OPERATORS.CONTAINS ? contains : !contains;
+  }
+
+  if (operator === TRIGGER_OPERATORS.EQ) return a === b;
+  if (operator === TRIGGER_OPERATORS.NEQ) return a !== b;
+
+  // Ordering needs two values of the same kind
+  if (a === null || b === null || typeof a !== typeof b) return false;
+
+  switch (operator) {
+    case TRIGGER_OPERATORS.GT: return a > b;
+    case TRIGGER_OPERATORS.GTE: return a >= b;
+    case TRIGGER_OPERATORS.LT: return a < b;
+    case TRIGGER_OPERATORS.LTE: return a <= b;
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate one condition. With all rows selected it holds when any row does.
+ * @param {Object} condition - { sourceId, field, rowSelector, operator, value }
+ * @param {Map<string, Object>} sources - Data sources by ID
+ * @returns {boolean}
+ */
+export function evaluateTriggerCondition(condition, sources) {
+  const dataSource = sources?.get(condition?.sourceId);
+  const rows = selectBindingRows(dataSource, condition?.rowSelector || { mode: 'index', index: 0 });
+  const values = rows.length > 0 ? rows.map((row) => row.values?.[condition.field]) : [null];
+
+  return values.some((value) => compareTriggerValue(value, condition.operator, condition.value));
+}
+
+/**
+ * Evaluate whether a rule's conditions match
+ * @param {Object} rule
+ * @param {Map<string, Object>} sources - Data sources by ID
+ * @returns {boolean} False for rules without conditions
+ */
+export function evaluateTriggerRule(rule, sources) {
+  const conditions = rule?.conditions || [];
+  if (conditions.length === 0) return false;
+
+  return rule.match === TRIGGER_MATCH.ANY
+    ? conditions.some((condition) => evaluateTriggerCondition(condition, sources))
+    : conditions.every((condition) => evaluateTriggerCondition(condition, sources));
+}
+
+/**
+ * Evaluate all rules of an item
+ * @param {Array<Object>} rules
+ * @param {Map<string, Object>} sources - Data sources by ID
+ * @returns {{visible: boolean, prioritized: boolean}}
+ */
+export function evaluateTriggers(rules, sources) {
+  let visible = true;
+  let prioritized = false;
+
+  for (const rule of rules || []) {
+    const matched = evaluateTriggerRule(rule, sources);
+
+    if (rule.action === TRIGGER_ACTIONS.SHOW && !matched) visible = false;
+    if (rule.action === TRIGGER_ACTIONS.HIDE && matched) visible = false;
+    if (rule.action === TRIGGER_ACTIONS.PRIORITIZE && matched) prioritized = true;
+  }
+
+  return { visible, prioritized };
+}
+
+/**
+ * Apply triggers to a list: drop hidden items and move prioritized ones first,
+ * keeping the original order otherwise
+ * @param {Array<Object>} items
+ * @param {Map<string, Object>} sources - Data sources by ID
+ * @param {Function} [getRules] - Reads an item's rules
+ * @returns {Array<Object>} Items to play, possibly empty
+ */
+export function applyContentTriggers(items, sources, getRules = getItemTriggerRules) {
+  if (!Array.isArray(items)) return [];
+
+  const prioritized = [];
+  const regular = [];
+
+  for (const item of items) {
+    const { visible, prioritized: isPrioritized } = evaluateTriggers(getRules(item), sources);
+    if (!visible) continue;
+    (isPrioritized ? prioritized : regular).push(item);
+  }
+
+  return [...prioritized, ...regular];
+}
+
+/**
+ * Items the player should cycle through. When triggers hide everything the
+ * list is empty and the player shows the screen's fallback instead; hidden
+ * items never play.
+ * @param {Array<Object>} items
+ * @param {Map<string, Object>} sources
+ * @param {Function} [getRules]
+ * @returns {Array<Object>}
+ */
+export function getPlayableItems(items, sources, getRules = getItemTriggerRules) {
+  return applyContentTriggers(items, sources, getRules);
+}
+
+/**
+ * Index of the item to show for a playback position, moving off hidden items
+ * @param {Array<Object>} items
+ * @param {number} index - Current playback position
+ * @param {Map<string, Object>} sources
+ * @param {Function} [getRules]
+ * @returns {number} -1 when no item is playable
+ */
+export function resolvePlayableIndex(items, index, sources, getRules = getItemTriggerRules) {
+  if (!items?.length) return 0;
+
+  const playable = getPlayableItems(items, sources, getRules);
+  if (playable.length === 0) return -1;
+  if (playable.includes(items[index])) return index;
+
+  return items.indexOf(playable[0]);
+}
+
+/**
+ * Index of the item that plays after the current one
+ * @param {Array<Object>} items
+ * @param {number} index - Current playback position
+ * @param {Map<string, Object>} sources
+ * @param {Function} [getRules]
+ * @returns {number} -1 when no item is playable
+ */
+export function getNextPlayableIndex(items, index, sources, getRules = getItemTriggerRules) {
+  if (!items?.length) return 0;
+
+  const playable = getPlayableItems(items, sources, getRules);
+  if (playable.length === 0) return -1;
+  // A hidden current item was shown as the first playable one
+  const position = Math.max(0, playable.indexOf(items[index]));
+
+  return items.indexOf(playable[(position + 1) % playable.length]);
+}
+
+/**
+ * Data source IDs referenced by the rules of a list of items
+ * @param {Array<Object>} items
+ * @param {Function} [getRules]
+ * @returns {string[]}
+ */
+export function extractTriggerSourceIds(items, getRules = getItemTriggerRules) {
+  const ids = new Set();
+
+  for (const item of items || []) {
+    for (const rule of getRules(item) || []) {
+      for (const condition of rule.conditions || []) {
+        if (condition?.sourceId) ids.add(condition.sourceId);
+      }
+    }
+  }
+
+  return [...ids];
+}
+
+/**
+ * Load data sources for trigger evaluation on the player. Fresh copies are
+ * persisted to the offline cache; when the network is down the last cached
+ * copy is used.
+ * @param {string[]} sourceIds
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh]
+ * @returns {Promise<Map<string, Object>>} Data sources by ID
+ */
+export async function loadTriggerSources(sourceIds, { forceRefresh = false } = {}) {
+  const sources = new Map();
+
+  await Promise.all(
+    [...new Set(sourceIds || [])].map(async (id) => {
+      const cacheKey = `data-source-${id}`;
+      const fresh = await getCachedDataSource(id, { cacheTTL: TRIGGER_SOURCE_TTL, forceRefresh });
+
+      if (fresh) {
+        sources.set(id, fresh);
+        await cacheContent(cacheKey, fresh, 'data_source');
+        return;
+      }
+
+      const cached = await getCachedContent(cacheKey);
+      if (cached) {
+        sources.set(id, cached);
+      }
+    })
+  );
+
+  return sources;
+}
+
+export default {
+  TRIGGER_ACTIONS,
+  TRIGGER_MATCH,
+  TRIGGER_OPERATORS,
+  TRIGGER_OPERATOR_OPTIONS,
+  operatorNeedsValue,
+  getItemTriggerRules,
+  getSlideTriggerRules,
+  createTriggerRule,
+  normalizeTriggerRules,
+  compareTriggerValue,
+  evaluateTriggerCondition,
+  evaluateTriggerRule,
+  evaluateTriggers,
+  applyContentTriggers,
+  getPlayableItems,
+  resolvePlayableIndex,
+  getNextPlayableIndex,
+  extractTriggerSourceIds,
+  loadTriggerSources,
+};
@@ -0,0 +1,186 @@
+/**
+ * Content Validity Service
+ *
+ * Validity windows for playlist items and media assets: content only plays
+ * between its valid_from and valid_until, e.g. a promotion that ends on Sunday
+ * night. An item's effective window is the overlap of its own window and its
+ * media's window, and arrives on the player as { validFrom, validUntil }.
+ *
+ * The player enforces windows itself so content starts and stops on time
+ * between content refreshes and while offline. The daily expiry sweep
+ * (run_content_expiry_sweep) raises the content-expired alert and archives
+ * media marked archive_on_expiry.
+ */
+
+/**
+ * Where an item or asset is relative to its window
+ */
+export const VALIDITY_STATUS = {
+  SCHEDULED: 'scheduled', // valid_from is still ahead
+  ACTIVE: 'active',
+  EXPIRED: 'expired', // valid_until has passed
+};
+
+function toTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Validity window of a player item ({ validFrom, validUntil }) or database
+ * row ({ valid_from, valid_until })
+ * @param {Object} item
+ * @returns {{validFrom: number|null, validUntil: number|null}} Epoch milliseconds, null when open-ended
+ */
+export function getValidityWindow(item) {
+  return {
+    validFrom: toTime(item?.validFrom ?? item?.valid_from),
+    validUntil: toTime(item?.validUntil ?? item?.valid_until),
+  };
+}
+
+/**
+ * Check whether an item has a validity window at all
+ * @param {Object} item
+ * @returns {boolean}
+ */
+export function hasValidityWindow(item) {
+  const { validFrom, validUntil } = getValidityWindow(item);
+  return validFrom !== null || validUntil !== null;
+}
+
+/**
+ * @param {Object} item
+ * @param {number} [now]
+ * @returns {string} One of VALIDITY_STATUS
+ */
+export function getValidityStatus(item, now = Date.now()) {
+  const { validFrom, validUntil } = getValidityWindow(item);
+  if (validUntil !== null && now >= validUntil) return VALIDITY_STATUS.EXPIRED;
+  if (validFrom !== null && now < validFrom) return VALIDITY_STATUS.SCHEDULED;
+  return VALIDITY_STATUS.ACTIVE;
+}
+
+/**
+ * Check whether an item may play now
+ * @param {Object} item
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isWithinValidity(item, now = Date.now()) {
+  return getValidityStatus(item, now) === VALIDITY_STATUS.ACTIVE;
+}
+
+/**
+ * Items that may play now. Unlike trigger rules this is a hard filter: when
+ * every item is outside its window, nothing plays.
+ * @param {Array<Object>} items
+ * @param {number} [now]
+ * @returns {Array<Object>}
+ */
+export function filterValidItems(items, now = Date.now()) {
+  if (!Array.isArray(items)) return [];
+  if (!items.some(hasValidityWindow)) return items;
+  return items.filter(item => isWithinValidity(item, now));
+}
+
+/**
+ * When the set of valid items next changes, i.e. the earliest window start or
+ * end after now
+ * @param {Array<Object>} items
+ * @param {number} [now]
+ * @returns {number|null} Epoch milliseconds, or null when nothing changes
+ */
+export function getNextValidityChange(items, now = Date.now()) {
+  let next = null;
+  for (const item of items || []) {
+    const { validFrom, validUntil } = getValidityWindow(item);
+    for (const boundary of [validFrom, validUntil]) {
+      if (boundary !== null && boundary > now && (next === null || boundary < next)) {
+        next = boundary;
+      }
+    }
+  }
+  return next;
+}
+
+/**
+ * Validate a window entered in the editor and convert it for saving
+ * @param {{validFrom?: string|Date|null, validUntil?: string|Date|null}} window - Empty values are open-ended
+ * @returns {{valid_from: string|null, valid_until: string|null}} ISO timestamps
+ * @throws {Error} If a date is invalid or the window ends before it starts
+ */
+export function normalizeValidityWindow({ validFrom = null, validUntil = null } = {}) {
+  const from = toTime(validFrom);
+  const until = toTime(validUntil);
+
+  if (from === null && validFrom !== null && validFrom !== '') {
+    throw new Error('Enter a valid start date');
+  }
+  if (until === null && validUntil !== null && validUntil !== '') {
+    throw new Error('Enter a valid end date');
+  }
+  if (from !== null && until !== null && until <= from) {
+    throw new Error('End date must be after the start date');
+  }
+
+  return {
+    valid_from: from === null ? null : new Date(from).toISOString(),
+    valid_until: until === null ? null : new Date(until).toISOString(),
+  };
+}
+
+/**
+ * Format a timestamp for a datetime-local input, in local time
+ * @param {string|number|Date|null} value
+ * @returns {string} e.g. "2025-03-02T17:00", or '' when empty
+ */
+export function toDateTimeLocalValue(value) {
+  const time = toTime(value);
+  if (time === null) return '';
+  const date = new Date(time);
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Short description of a window for labels, e.g. "Until Mar 2, 5:00 PM"
+ * @param {Object} item
+ * @param {number} [now]
+ * @returns {string} '' when the item has no window
+ */
+export function describeValidityWindow(item, now = Date.now()) {
+  const { validFrom, validUntil } = getValidityWindow(item);
+  const format = time => new Date(time).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+
+  switch (getValidityStatus(item, now)) {
+    case VALIDITY_STATUS.EXPIRED:
+      return `Expired ${format(validUntil)}`;
+    case VALIDITY_STATUS.SCHEDULED:
+      return validUntil !== null
+        ? `Starts ${format(validFrom)}, until ${format(validUntil)}`
+        : `Starts ${format(validFrom)}`;
+    default:
+      return validUntil !== null ? `Until ${format(validUntil)}` : '';
+  }
+}
+
+export default {
+  VALIDITY_STATUS,
+  getValidityWindow,
+  hasValidityWindow,
+  getValidityStatus,
+  isWithinValidity,
+  filterValidItems,
+  getNextValidityChange,
+  normalizeValidityWindow,
+  toDateTimeLocalValue,
+  describeValidityWindow,
+};
@@ -0,0 +1,284 @@
+/**
+ * Countdown Service
+ *
+ * Time maths for the scene countdown widget: counting down to, or up from, a
+ * target that is either a fixed wall-clock time in the screen's timezone or a
+ * data-bound value. Pure functions; the player feeds in the drift-corrected
+ * clock (playerClockService.serverNow) every second.
+ */
+
+/**
+ * Direction of the count
+ */
+export const COUNTDOWN_MODES = {
+  DOWN: 'down',
+  UP: 'up',
+};
+
+/**
+ * Units that can be shown, largest first. The largest shown unit absorbs the
+ * ones above it, e.g. hours only shows 49 for two days and an hour.
+ */
+export const COUNTDOWN_UNITS = [
+  { key: 'days', label: 'Days', singular: 'day', ms: 24 * 60 * 60 * 1000 },
+  { key: 'hours', label: 'Hours', singular: 'hour', ms: 60 * 60 * 1000 },
+  { key: 'minutes', label: 'Minutes', singular: 'minute', ms: 60 * 1000 },
+  { key: 'seconds', label: 'Seconds', singular: 'second', ms: 1000 },
+];
+
+export const DEFAULT_COUNTDOWN_UNITS = ['days', 'hours', 'minutes', 'seconds'];
+
+/**
+ * How the remaining time is written
+ */
+export const COUNTDOWN_FORMATS = {
+  BLOCKS: 'blocks', // One tile per unit with its label
+  COMPACT: 'compact', // 3d 04:12:09
+  TEXT: 'text', // 3 days 4 hours 12 minutes
+};
+
+/**
+ * What a countdown shows once its target has passed
+ */
+export const COUNTDOWN_EXPIRY_ACTIONS = {
+  TEXT: 'text', // Replace the countdown with the expiry text
+  HIDE: 'hide', // Remove the widget
+  COUNT_UP: 'countup', // Keep going, counting time since the target
+  SHOW_MEDIA: 'media', // Play an image or video (expiredMedia) in the widget's place
+  SHOW_BLOCK: 'block', // Swap to another block of the slide (expiredBlockId), hidden until then
+  GO_TO_SLIDE: 'slide', // Move the scene on to another slide (expiredSlideId)
+};
+
+const WALL_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * Offset of a timezone from UTC at an instant (ms, positive east of UTC)
+ * @param {number} utcMs
+ * @param {string} timeZone - IANA timezone
+ * @returns {number}
+ */
+function getTimezoneOffset(utcMs, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(new Date(utcMs)).map(({ type, value }) => [type, Number(value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * @param {string} wallTime - 'YYYY-MM-DD', 'YYYY-MM-DDTHH:mm' or 'YYYY-MM-DDTHH:mm:ss'
+ * @param {string} [timeZone] - IANA timezone; the device's own when omitted
+ * @returns {number|null} Epoch ms, null when wallTime cannot be read
+ */
+export function zonedTimeToUtc(wallTime, timeZone) {
+  const match = typeof wallTime === 'string' && wallTime.trim().match(WALL_TIME_PATTERN);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match.map(part => Number(part ?? 0));
+
+  if (!timeZone) {
+    const local = new Date(year, month - 1, day, hour, minute, second).getTime();
+    return Number.isFinite(local) ? local : null;
+  }
+
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  try {
+    // Re-check the offset at the result so times near a DST change land right
+    const first = guess - getTimezoneOffset(guess, timeZone);
+    return guess - getTimezoneOffset(first, timeZone);
+  } catch {
+    // Unknown timezone: fall back to the device's own
+    return zonedTimeToUtc(wallTime);
+  }
+}
+
+/**
+ * Read a countdown target. Values with an explicit offset (ISO strings ending
+ * in Z or ±hh:mm, epoch numbers) are absolute; plain dates and times are
+ * wall-clock times in the screen's timezone.
+ * @param {string|number|Date|null} value
+ * @param {string} [timeZone] - Screen timezone
+ * @returns {number|null} Epoch ms
+ */
+export function parseCountdownTarget(value, timeZone) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return Number.isFinite(value.getTime()) ? value.getTime() : null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+
+  const wallTime = zonedTimeToUtc(text, timeZone);
+  if (wallTime !== null) return wallTime;
+
+  const absolute = Date.parse(text);
+  return Number.isFinite(absolute) ? absolute : null;
+}
+
+/**
+ * Split a duration over the chosen units
+ * @param {number} durationMs - Non-negative duration
+ * @param {Array<string>} [units] - Unit keys to show
+ * @returns {Array<{key: string, label: string, singular: string, value: number}>} Largest first
+ */
+export function splitDuration(durationMs, units = DEFAULT_COUNTDOWN_UNITS) {
+  const chosen = COUNTDOWN_UNITS.filter(unit => units.includes(unit.key));
+  const shown = chosen.length ? chosen : COUNTDOWN_UNITS;
+  let remaining = Math.max(0, durationMs);
+
+  return shown.map(({ key, label, singular, ms }) => {
+    const value = Math.floor(remaining / ms);
+    remaining -= value * ms;
+    return { key, label, singular, value };
+  });
+}
+
+/**
+ * Where a countdown widget is at a point in time
+ * @param {Object} options
+ * @param {number|null} options.target - Epoch ms
+ * @param {number} options.now - Epoch ms
+ * @param {string} [options.mode] - COUNTDOWN_MODES value
+ * @param {string} [options.expiredAction] - COUNTDOWN_EXPIRY_ACTIONS value
+ * @param {Array<string>} [options.units]
+ * @returns {{status: 'invalid'|'waiting'|'running'|'expired', direction: string, parts: Array}}
+ *   waiting: a count-up whose target is still ahead; expired: a countdown past
+ *   its target that should show its expiry content (or hide)
+ */
+export function getCountdownState({
+  target,
+  now,
+  mode = COUNTDOWN_MODES.DOWN,
+  expiredAction = COUNTDOWN_EXPIRY_ACTIONS.TEXT,
+  units = DEFAULT_COUNTDOWN_UNITS,
+}) {
+  if (target === null || target === undefined || !Number.isFinite(target)) {
+    return { status: 'invalid', direction: mode, parts: splitDuration(0, units) };
+  }
+
+  if (mode === COUNTDOWN_MODES.UP) {
+    return now < target
+      ? { status: 'waiting', direction: mode, parts: splitDuration(0, units) }
+      : { status: 'running', direction: mode, parts: splitDuration(now - target, units) };
+  }
+
+  if (now < target) {
+    // Round up so the count only reaches zero at the target itself
+    const smallest = COUNTDOWN_UNITS.filter(unit => units.includes(unit.key)).pop() || COUNTDOWN_UNITS[3];
+    const remaining = Math.ceil((target - now) / smallest.ms) * smallest.ms;
+    return { status: 'running', direction: mode, parts: splitDuration(remaining, units) };
+  }
+
+  if (expiredAction === COUNTDOWN_EXPIRY_ACTIONS.COUNT_UP) {
+    return { status: 'running', direction: COUNTDOWN_MODES.UP, parts: splitDuration(now - target, units) };
+  }
+  return { status: 'expired', direction: mode, parts: splitDuration(0, units) };
+}
+
+// Countdown blocks whose expiry changes other blocks or the slide
+function getSwapAction(block) {
+  if (block?.type !== 'widget' || block.widgetType !== 'countdown') return null;
+  const props = block.props || {};
+  if ((props.countMode || COUNTDOWN_MODES.DOWN) !== COUNTDOWN_MODES.DOWN) return null;
+
+  if (props.expiredAction === COUNTDOWN_EXPIRY_ACTIONS.SHOW_BLOCK && props.expiredBlockId) {
+    return props.expiredAction;
+  }
+  if (props.expiredAction === COUNTDOWN_EXPIRY_ACTIONS.GO_TO_SLIDE && props.expiredSlideId) {
+    return props.expiredAction;
+  }
+  return null;
+}
+
+/**
+ * Whether any countdown on a slide swaps to another block or slide when it
+ * expires (the player then checks the slide every second)
+ * @param {Array<Object>} blocks - Slide blocks
+ * @returns {boolean}
+ */
+export function hasCountdownSwaps(blocks = []) {
+  return blocks.some(block => getSwapAction(block) !== null);
+}
+
+/**
+ * What the countdowns on a slide swap at a point in time. A countdown that
+ * swaps to another block hides that block until its target passes, then
+ * hides itself; one that moves to another slide asks for it once expired.
+ * @param {Array<Object>} blocks - Slide blocks; data-bound countdowns carry
+ *   their target in resolvedContent
+ * @param {Object} options
+ * @param {number} options.now - Epoch ms
+ * @param {string} [options.timeZone] - Screen timezone
+ * @returns {{hiddenBlockIds: Set<string>, slideId: string|null}}
+ */
+export function getCountdownSwaps(blocks = [], { now, timeZone } = {}) {
+  const hiddenBlockIds = new Set();
+  let slideId = null;
+
+  for (const block of blocks) {
+    const action = getSwapAction(block);
+    if (!action) continue;
+
+    const { status } = getCountdownState({
+      target: parseCountdownTarget(block.resolvedContent || block.props.targetAt, timeZone),
+      now,
+      expiredAction: action,
+    });
+    const expired = status === 'expired';
+
+    if (action === COUNTDOWN_EXPIRY_ACTIONS.SHOW_BLOCK) {
+      hiddenBlockIds.add(expired ? block.id : block.props.expiredBlockId);
+    } else if (expired && !slideId) {
+      slideId = block.props.expiredSlideId;
+    }
+  }
+
+  return { hiddenBlockIds, slideId };
+}
+
+/**
+ * Write countdown parts as a single string
+ * @param {Array<{key: string, singular: string, value: number}>} parts - From splitDuration
+ * @param {string} [format] - COUNTDOWN_FORMATS.COMPACT or TEXT
+ * @returns {string}
+ */
+export function formatCountdown(parts, format = COUNTDOWN_FORMATS.COMPACT) {
+  if (format === COUNTDOWN_FORMATS.TEXT) {
+    return parts
+      .map(({ singular, value }) => `${value} ${singular}${value === 1 ? '' : 's'}`)
+      .join(' ');
+  }
+
+  const days = parts.find(part => part.key === 'days');
+  const clock = parts
+    .filter(part => part.key !== 'days')
+    .map(({ value }) => String(value).padStart(2, '0'))
+    .join(':');
+  if (!days) return clock;
+  return clock ? `${days.value}d ${clock}` : `${days.value}d`;
+}
+
+export default {
+  COUNTDOWN_MODES,
+  COUNTDOWN_UNITS,
+  DEFAULT_COUNTDOWN_UNITS,
+  COUNTDOWN_FORMATS,
+  COUNTDOWN_EXPIRY_ACTIONS,
+  zonedTimeToUtc,
+  parseCountdownTarget,
+  splitDuration,
+  getCountdownState,
+  hasCountdownSwaps,
+  getCountdownSwaps,
+  formatCountdown,
+};
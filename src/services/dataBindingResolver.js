@@ -1,5 +1,6 @@
 // Data Binding Resolver - Utilities for resolving data bindings in Editor and Player
 import { getDataSource, formatValue, FIELD_DATA_TYPES } from './dataSourceService';
+import { getRowFieldValue } from './formulaService';
 
 /**
  * Cache for resolved data sources
@@ -87,16 +88,44 @@ export async function preloadDataSources(dataSourceIds, options = {}) {
   return results;
 }
 
+/**
+ * Select the rows a row selector points at
+ * @param {Object} dataSource - Data source with rows
+ * @param {Object} [rowSelector] - Row selector (index, match or all)
+ * @returns {Array<Object>} Matching rows (index selects at most one, match the first match)
+ */
+export function selectBindingRows(dataSource, rowSelector = { mode: 'index', index: 0 }) {
+  const rows = dataSource?.rows || [];
+
+  if (rowSelector.mode === 'all') {
+    return rows;
+  }
+  if (rowSelector.mode === 'match') {
+    if (!rowSelector.matchField || rowSelector.matchValue === undefined) return [];
+    const row = rows.find((r) => r.values?.[rowSelector.matchField] === rowSelector.matchValue);
+    return row ? [row] : [];
+  }
+
+  if (rowSelector.mode === 'index') {
+    const row = rows[rowSelector.index ?? 0];
+    return row ? [row] : [];
+  }
+  return [];
+}
+
 /**
  * Resolve a single data binding to its display value
  * @param {Object} binding - Data binding object
  * @param {string} binding.sourceId - Data source UUID
  * @param {string} binding.field - Field name
  * @param {Object} [binding.rowSelector] - Row selector
- * @param {Object} [binding.format] - Format options
+ * @param {Object} [binding.format] - Format options; `raw: true` skips formatting,
+ *   for bindings read by widgets rather than shown as text (e.g. a countdown target)
  * @param {Object} [options] - Options
  * @param {Map<string, Object>} [options.preloadedSources] - Preloaded data sources
- * @returns {Promise<string>} Resolved and formatted value
+ * @param {number} [options.now] - Current time in ms for formulas using TODAY() or NOW()
+ * @returns {Promise<string>} Resolved and formatted value; computed fields are
+ *   evaluated from the row, falling back when their formula fails
  */
 export async function resolveBinding(binding, options = {}) {
   if (!binding?.sourceId || !binding?.field) {
@@ -104,7 +133,7 @@ export async function resolveBinding(binding, options = {}) {
   }
 
   const { sourceId, field, rowSelector = { mode: 'index', index: 0 }, format = {} } = binding;
-  const { preloadedSources } = options;
+  const { preloadedSources, now } = options;
 
   // Get data source (from preloaded or cache)
   let dataSource = preloadedSources?.get(sourceId);
@@ -116,26 +145,30 @@ export async function resolveBinding(binding, options = {}) {
     return format.fallback || '';
   }
 
-  // Find the target row
-  let row;
-  if (rowSelector.mode === 'index') {
-    const index = rowSelector.index ?? 0;
-    row = dataSource.rows[index];
-  } else if (rowSelector.mode === 'match' && rowSelector.matchField && rowSelector.matchValue !== undefined) {
-    row = dataSource.rows.find((r) => r.values?.[rowSelector.matchField] === rowSelector.matchValue);
-  }
+  // Find the target row (a single value can't come from all rows)
+  const [row] = rowSelector.mode === 'all' ? [] : selectBindingRows(dataSource, rowSelector);
 
   if (!row) {
     return format.fallback || '';
   }
 
-  // Get raw value
-  const rawValue = row.values?.[field];
+  // Get raw value (computed fields are evaluated here)
+  let rawValue;
+  try {
+    rawValue = getRowFieldValue(row.values, field, dataSource.fields || [], { now });
+  } catch (error) {
+    console.error('[DataBindingResolver] Failed to evaluate formula:', error.message);
+    return format.fallback || '';
+  }
 
   if (rawValue === undefined || rawValue === null) {
     return format.fallback || '';
   }
 
+  if (format.raw) {
+    return String(rawValue);
+  }
+
   // Find field definition for data type
   const fieldDef = dataSource.fields?.find((f) => f.name === field);
   const dataType = fieldDef?.dataType || FIELD_DATA_TYPES.TEXT;
@@ -145,12 +178,46 @@ export async function resolveBinding(binding, options = {}) {
   return formatValue(rawValue, dataType, formatOptions);
 }
 
+/**
+ * Resolve an all-rows binding to the row values, for widgets that lay out a
+ * whole data source (e.g. a menu board)
+ * @param {Object} binding - Data binding object
+ * @param {Object} [options] - Options
+ * @param {Map<string, Object>} [options.preloadedSources] - Preloaded data sources
+ * @param {number} [options.now] - Current time in ms for formulas using TODAY() or NOW()
+ * @returns {Promise<Array<Object>>} Values of each row, computed fields included
+ */
+export async function resolveRowsBinding(binding, options = {}) {
+  if (!binding?.sourceId) {
+    return [];
+  }
+
+  const { preloadedSources, now } = options;
+  const dataSource = preloadedSources?.get(binding.sourceId) || (await getCachedDataSource(binding.sourceId));
+  const fields = dataSource?.fields || [];
+
+  return selectBindingRows(dataSource, { mode: 'all' }).map((row) => {
+    const values = { ...row.values };
+    for (const field of fields) {
+      if (!field.formula) continue;
+      try {
+        values[field.name] = getRowFieldValue(row.values, field.name, fields, { now });
+      } catch (error) {
+        console.error('[DataBindingResolver] Failed to evaluate formula:', error.message);
+        values[field.name] = '';
+      }
+    }
+    return values;
+  });
+}
+
 /**
  * Resolve all bindings in a block
  * @param {Object} block - Block with potential dataBinding property
  * @param {Object} [options] - Options
  * @param {Map<string, Object>} [options.preloadedSources] - Preloaded data sources
- * @returns {Promise<Object>} Block with resolved values
+ * @returns {Promise<Object>} Block with resolved values; a widget bound to all
+ *   rows gets the row values array as its resolvedContent
  */
 export async function resolveBlockBindings(block, options = {}) {
   if (!block) return block;
@@ -159,8 +226,10 @@ export async function resolveBlockBindings(block, options = {}) {
 
   // Check for dataBinding property
   if (block.dataBinding) {
-    // For text blocks, resolve the content binding
-    if (block.dataBinding.sourceId && block.dataBinding.field) {
+    if (block.type === 'widget' && block.dataBinding.sourceId && block.dataBinding.rowSelector?.mode === 'all') {
+      resolved.resolvedContent = await resolveRowsBinding(block.dataBinding, options);
+    } else if (block.dataBinding.sourceId && block.dataBinding.field) {
+      // For text blocks, resolve the content binding
       const value = await resolveBinding(block.dataBinding, options);
       if (value) {
         resolved.resolvedContent = value;
@@ -215,15 +284,16 @@ export async function resolveSlideBindings(blocks, options = {}) {
 
 /**
  * Extract all data source IDs from a design_json
- * @param {Object} designJson - Scene design JSON
+ * @param {Object} designJson - Scene design JSON, or a single slide design with blocks
  * @returns {string[]} Array of unique data source IDs
  */
 export function extractDataSourceIds(designJson) {
   const ids = new Set();
 
-  if (!designJson?.slides) return [];
+  const slides = designJson?.slides || (designJson?.blocks ? [designJson] : null);
+  if (!slides) return [];
 
-  for (const slide of designJson.slides) {
+  for (const slide of slides) {
     if (!slide?.blocks) continue;
 
     for (const block of slide.blocks) {
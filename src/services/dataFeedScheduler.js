@@ -13,6 +13,7 @@
 
 import { supabase } from '../supabase';
 import { syncDataSourceFromSheet, INTEGRATION_TYPES } from './googleSheetsService';
+import { syncDataSourceFromRest } from './restDataSourceService';
 import {
   raiseDataSourceSyncFailedAlert,
   autoResolveAlert,
@@ -77,6 +78,7 @@ export const SYNC_EVENTS = {
   SYNC_COMPLETED: 'sync_completed',
   SYNC_FAILED: 'sync_failed',
   SYNC_SKIPPED: 'sync_skipped',
+  SYNC_HELD: 'sync_held', // Fetched, but waiting for review before rows are deleted
   SCHEDULER_STARTED: 'scheduler_started',
   SCHEDULER_STOPPED: 'scheduler_stopped',
 };
@@ -223,6 +225,13 @@ async function syncDataSource(source) {
         });
         break;
 
+      case INTEGRATION_TYPES.REST_API:
+        result = await syncDataSourceFromRest({
+          ...fullSource,
+          integration_config: source.integration_config,
+        });
+        break;
+
       default:
         result = { success: false, message: `Unknown integration type: ${source.integration_type}` };
     }
@@ -242,7 +251,7 @@ async function syncDataSource(source) {
         console.warn('[DataFeedScheduler] Error resolving alert:', alertError);
       }
 
-      emitSyncEvent(SYNC_EVENTS.SYNC_COMPLETED, source.id, {
+      emitSyncEvent(result.held ? SYNC_EVENTS.SYNC_HELD : SYNC_EVENTS.SYNC_COMPLETED, source.id, {
         name: source.name,
         message: result.message,
         changes: result.changes,
@@ -318,7 +327,7 @@ export async function triggerManualSync(dataSourceId) {
     if (error) throw error;
     if (!source) throw new Error('Data source not found');
 
-    if (!source.integrationConfig?.sheetId) {
+    if (!source.integrationConfig?.sheetId && !source.integrationConfig?.url) {
       return { success: false, message: 'No external integration configured' };
     }
 
@@ -336,13 +345,20 @@ export async function triggerManualSync(dataSourceId) {
         rows: source.rows,
         integration_config: source.integrationConfig,
       });
+    } else if (integrationType === INTEGRATION_TYPES.REST_API) {
+      result = await syncDataSourceFromRest({
+        id: source.id,
+        name: source.name,
+        rows: source.rows,
+        integration_config: source.integrationConfig,
+      });
     } else {
       result = { success: false, message: `Unknown integration type: ${integrationType}` };
     }
 
     if (result.success) {
       failedSources.delete(dataSourceId);
-      emitSyncEvent(SYNC_EVENTS.SYNC_COMPLETED, dataSourceId, {
+      emitSyncEvent(result.held ? SYNC_EVENTS.SYNC_HELD : SYNC_EVENTS.SYNC_COMPLETED, dataSourceId, {
         name: source.name,
         message: result.message,
         changes: result.changes,
@@ -1,5 +1,7 @@
 // Data Source Service - CRUD operations for dynamic data sources
 import { supabase } from '../supabase';
+import { detectChangedRows } from './googleSheetsService';
+import { parseFormula, getRowFieldValue } from './formulaService';
 
 /**
  * Data source types
@@ -8,6 +10,8 @@ export const DATA_SOURCE_TYPES = {
   INTERNAL_TABLE: 'internal_table',
   CSV_IMPORT: 'csv_import',
   GOOGLE_SHEETS: 'google_sheets',
+  REST_API: 'rest_api',
+  MENU: 'menu',
 };
 
 /**
@@ -16,6 +20,7 @@ export const DATA_SOURCE_TYPES = {
 export const INTEGRATION_TYPES = {
   NONE: 'none',
   GOOGLE_SHEETS: 'google_sheets',
+  REST_API: 'rest_api',
 };
 
 /**
@@ -26,6 +31,9 @@ export const SYNC_STATUS = {
   ERROR: 'error',
   NO_CHANGE: 'no_change',
   PENDING: 'pending',
+  HELD: 'held',
+  DISCARDED: 'discarded',
+  ROLLED_BACK: 'rolled_back',
 };
 
 /**
@@ -244,6 +252,7 @@ export async function getDataSourceFields(dataSourceId) {
  * @param {number} [field.orderIndex] - Order index
  * @param {string} [field.defaultValue] - Default value
  * @param {Object} [field.formatOptions] - Format options
+ * @param {string} [field.formula] - Formula for a computed field (see formulaService)
  * @returns {Promise<Object>} Created field
  */
 export async function createField({
@@ -254,6 +263,7 @@ export async function createField({
   orderIndex,
   defaultValue,
   formatOptions,
+  formula,
 }) {
   if (!dataSourceId) {
     throw new Error('Data source ID is required');
@@ -276,6 +286,11 @@ export async function createField({
     throw new Error('Field name must contain alphanumeric characters');
   }
 
+  // Reject formulas that don't parse (throws FormulaError)
+  if (formula?.trim()) {
+    parseFormula(formula);
+  }
+
   // If no order index, get max and add 1
   let finalOrderIndex = orderIndex;
   if (finalOrderIndex === undefined) {
@@ -300,6 +315,7 @@ export async function createField({
       order_index: finalOrderIndex,
       default_value: defaultValue ?? null,
       format_options: formatOptions ?? null,
+      formula: formula?.trim() || null,
     })
     .select()
     .single();
@@ -323,7 +339,7 @@ export async function updateField(id, updates) {
     throw new Error('Field ID is required');
   }
 
-  const allowedFields = ['name', 'label', 'data_type', 'order_index', 'default_value', 'format_options'];
+  const allowedFields = ['name', 'label', 'data_type', 'order_index', 'default_value', 'format_options', 'formula'];
   const filteredUpdates = {};
 
   // Map camelCase to snake_case
@@ -345,6 +361,12 @@ export async function updateField(id, updates) {
     throw new Error('No valid fields to update');
   }
 
+  // An empty formula turns the field back into a stored one
+  if (filteredUpdates.formula !== undefined) {
+    filteredUpdates.formula = filteredUpdates.formula?.trim() || null;
+    if (filteredUpdates.formula) parseFormula(filteredUpdates.formula);
+  }
+
   const { data, error } = await supabase
     .from('data_source_fields')
     .update(filteredUpdates)
@@ -811,6 +833,7 @@ export async function createDataSourceFromCSV({ name, csvContent, clientId, desc
 
 /**
  * Resolve a single data binding to its value
+ * Computed fields have no stored value, so they are evaluated from the row
  * @param {string} dataSourceId - Data source UUID
  * @param {string} fieldName - Field name
  * @param {number} [rowIndex] - Row index (0-based)
@@ -832,7 +855,42 @@ export async function resolveBinding(dataSourceId, fieldName, rowIndex = 0) {
     return null;
   }
 
-  return data;
+  if (data !== null && data !== undefined) {
+    return data;
+  }
+
+  const { data: field } = await supabase
+    .from('data_source_fields')
+    .select('formula')
+    .eq('data_source_id', dataSourceId)
+    .eq('name', fieldName)
+    .maybeSingle();
+
+  if (!field?.formula) {
+    return null;
+  }
+
+  try {
+    const dataSource = await getDataSource(dataSourceId);
+    const row = dataSource?.rows?.[rowIndex];
+    return row ? getRowFieldValue(row.values, fieldName, dataSource.fields) : null;
+  } catch (err) {
+    console.error('[DataSource] Failed to evaluate formula:', err);
+    return null;
+  }
+}
+
+/**
+ * Read a row's value for a field, evaluating computed fields
+ * Formula errors are logged and read as an empty value
+ */
+function readFieldValue(row, fieldName, fields) {
+  try {
+    return getRowFieldValue(row.values, fieldName, fields);
+  } catch (error) {
+    console.error('[DataSource] Failed to evaluate formula:', error);
+    return '';
+  }
 }
 
 /**
@@ -875,14 +933,14 @@ export async function resolveMultipleBindings(bindings) {
         row = dataSource.rows.find((r) => r.values[rowSelector.matchField] === rowSelector.matchValue);
       } else if (rowSelector.mode === 'all') {
         // Return all values for this field as an array
-        const allValues = dataSource.rows.map((r) => r.values[field]);
+        const allValues = dataSource.rows.map((r) => readFieldValue(r, field, dataSource.fields));
         const bindingKey = `${dataSourceId}:${field}:all`;
         results.set(bindingKey, allValues);
         continue;
       }
 
       if (row) {
-        const value = row.values[field];
+        const value = readFieldValue(row, field, dataSource.fields);
         const bindingKey = `${dataSourceId}:${field}:${JSON.stringify(rowSelector)}`;
         results.set(bindingKey, value ?? '');
       }
@@ -1097,9 +1155,10 @@ export async function getSyncHistory(dataSourceId, limit = 20) {
     throw new Error('Data source ID is required');
   }
 
+  // Snapshots are left out; they are only read to roll back
   const { data, error } = await supabase
     .from('data_source_sync_logs')
-    .select('*')
+    .select('id, data_source_id, status, message, changed_rows, added_rows, removed_rows, updated_rows, sync_duration_ms, synced_at, reviewed_at')
     .eq('data_source_id', dataSourceId)
     .order('synced_at', { ascending: false })
     .limit(limit);
@@ -1112,6 +1171,148 @@ export async function getSyncHistory(dataSourceId, limit = 20) {
   return data || [];
 }
 
+/**
+ * Get the row-level changes made (or proposed, for a held sync) by a sync
+ * @param {string} syncLogId - Sync log entry UUID
+ * @returns {Promise<Array>} Changes with change_type, row_index, row_key, before_values and after_values
+ */
+export async function getSyncRowChanges(syncLogId) {
+  if (!syncLogId) {
+    throw new Error('Sync log ID is required');
+  }
+
+  const { data, error } = await supabase
+    .from('data_source_row_changes')
+    .select('*')
+    .eq('sync_log_id', syncLogId)
+    .order('row_index', { ascending: true });
+
+  if (error) {
+    console.error('[DataSource] Failed to fetch row changes:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Apply a sync that was held for review because it deleted too many rows
+ * @param {string} dataSourceId - Data source UUID
+ * @param {string} syncLogId - Held sync log entry UUID
+ * @returns {Promise<void>}
+ */
+export async function approveHeldSync(dataSourceId, syncLogId) {
+  if (!syncLogId) {
+    throw new Error('Sync log ID is required');
+  }
+
+  const { error } = await supabase.rpc('approve_held_data_source_sync', {
+    p_sync_log_id: syncLogId,
+  });
+
+  if (error) {
+    console.error('[DataSource] Failed to approve held sync:', error);
+    throw error;
+  }
+
+  await broadcastDataSourceUpdate(dataSourceId);
+}
+
+/**
+ * Reject a held sync, keeping the current rows
+ * @param {string} syncLogId - Held sync log entry UUID
+ * @returns {Promise<void>}
+ */
+export async function discardHeldSync(syncLogId) {
+  if (!syncLogId) {
+    throw new Error('Sync log ID is required');
+  }
+
+  const { error } = await supabase.rpc('discard_held_data_source_sync', {
+    p_sync_log_id: syncLogId,
+  });
+
+  if (error) {
+    console.error('[DataSource] Failed to discard held sync:', error);
+    throw error;
+  }
+}
+
+/**
+ * Roll a data source back to its rows after an earlier sync.
+ * The rollback is logged like a sync, with its own row-level changes.
+ * @param {string} dataSourceId - Data source UUID
+ * @param {string} syncLogId - Sync log entry to restore
+ * @returns {Promise<string>} New sync log entry UUID
+ */
+export async function rollbackToSync(dataSourceId, syncLogId) {
+  if (!dataSourceId) {
+    throw new Error('Data source ID is required');
+  }
+  if (!syncLogId) {
+    throw new Error('Sync log ID is required');
+  }
+
+  const [{ data: syncLog, error: logError }, current] = await Promise.all([
+    supabase
+      .from('data_source_sync_logs')
+      .select('rows_snapshot')
+      .eq('id', syncLogId)
+      .single(),
+    getDataSource(dataSourceId),
+  ]);
+
+  if (logError) {
+    console.error('[DataSource] Failed to fetch sync snapshot:', logError);
+    throw logError;
+  }
+  if (!syncLog?.rows_snapshot) {
+    throw new Error('This sync has no snapshot to roll back to');
+  }
+
+  const { rowChanges } = detectChangedRows(current?.rows || [], syncLog.rows_snapshot, {
+    keyField: current?.integrationConfig?.keyField,
+  });
+
+  const { data, error } = await supabase.rpc('rollback_data_source_to_sync', {
+    p_sync_log_id: syncLogId,
+    p_row_changes: rowChanges,
+  });
+
+  if (error) {
+    console.error('[DataSource] Failed to roll back:', error);
+    throw error;
+  }
+
+  await broadcastDataSourceUpdate(dataSourceId);
+  return data;
+}
+
+/**
+ * Update when syncs are held for review and how rows are matched across syncs
+ * @param {string} dataSourceId - Data source UUID
+ * @param {Object} settings
+ * @param {number} [settings.maxDeletePercent] - Hold syncs deleting more than this share of rows (0-100)
+ * @param {string} [settings.keyField] - Field that identifies a row across syncs ('' for none)
+ * @returns {Promise<void>}
+ */
+export async function updateSyncSettings(dataSourceId, { maxDeletePercent, keyField } = {}) {
+  if (!dataSourceId) {
+    throw new Error('Data source ID is required');
+  }
+
+  const { error } = await supabase.rpc('update_data_source_sync_settings', {
+    p_data_source_id: dataSourceId,
+    p_max_delete_percent: maxDeletePercent ?? null,
+    p_key_field: keyField ?? null,
+  });
+
+  if (error) {
+    console.error('[DataSource] Failed to update sync settings:', error);
+    throw error;
+  }
+}
+
 /**
  * Sync data source rows (upsert with change detection)
  * @param {string} dataSourceId - Data source UUID
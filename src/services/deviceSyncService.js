@@ -255,6 +255,70 @@ export async function getDevicesForScene(sceneId) {
   }
 }
 
+/**
+ * Get all devices showing a media asset, through the playlists, layouts,
+ * scenes, schedules and campaigns that contain it
+ * @param {string} mediaId - Media asset ID
+ * @returns {Promise<Array<{screen_id: string, screen_name: string}>>}
+ */
+export async function getDevicesForMedia(mediaId) {
+  if (!mediaId) return [];
+
+  try {
+    const { data, error } = await supabase.rpc('get_media_screens', {
+      p_media_id: mediaId,
+    });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Failed to get devices for media:', error);
+    return [];
+  }
+}
+
+/**
+ * Republish a media asset whose file changed to the devices showing it
+ * This triggers the needs_refresh flag on every device from getDevicesForMedia
+ * @param {string} mediaId - Media asset ID that was updated
+ * @returns {Promise<{success: boolean, affectedDevices: number}>}
+ */
+export async function broadcastMediaUpdate(mediaId) {
+  if (!mediaId) {
+    return { success: false, affectedDevices: 0, error: 'No media ID provided' };
+  }
+
+  try {
+    const { data: devices, error: lookupError } = await supabase.rpc('get_media_screens', {
+      p_media_id: mediaId,
+    });
+
+    if (lookupError) throw lookupError;
+    if (!devices?.length) {
+      return { success: true, affectedDevices: 0 };
+    }
+
+    const { data, error } = await supabase
+      .from('tv_devices')
+      .update({
+        needs_refresh: true,
+        updated_at: new Date().toISOString(),
+      })
+      .in('id', devices.map(device => device.screen_id))
+      .select('id');
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      affectedDevices: data?.length || 0,
+    };
+  } catch (error) {
+    console.error('Failed to broadcast media update:', error);
+    return { success: false, affectedDevices: 0, error: error.message };
+  }
+}
+
 /**
  * Publish a scene to a specific device
  * @param {string} deviceId - Device UUID
@@ -386,6 +450,8 @@ export default {
   startDeviceRefreshPolling,
   stopDeviceRefreshPolling,
   getDevicesForScene,
+  getDevicesForMedia,
+  broadcastMediaUpdate,
   publishSceneToDevice,
   publishSceneToDevices,
   generateContentHash,
@@ -0,0 +1,615 @@
+// Exception Calendar Service - Holiday and special-hours overrides for schedules and locations
+import ICAL from 'ical.js';
+import { supabase } from '../supabase';
+import { icalTimeToInstant } from './calendarAppService';
+
+/**
+ * What an exception event does on its dates
+ */
+export const EXCEPTION_ACTIONS = {
+  SCREEN_OFF: 'screen_off',
+  CONTENT: 'content'
+};
+
+/**
+ * Content types an exception event can play instead of the schedule
+ */
+export const EXCEPTION_CONTENT_TYPES = ['playlist', 'layout', 'scene'];
+
+/**
+ * Calendar sources
+ */
+export const EXCEPTION_CALENDAR_SOURCES = {
+  MANUAL: 'manual',
+  ICAL: 'ical'
+};
+
+/**
+ * Recurring iCalendar events are expanded this many days ahead by default
+ */
+const DEFAULT_IMPORT_DAYS = 2 * 365;
+
+/**
+ * Safety cap on occurrences expanded per recurring event
+ */
+const MAX_OCCURRENCES_PER_EVENT = 500;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// ============================================================================
+// CALENDARS
+// ============================================================================
+
+/**
+ * Fetch all exception calendars for the current user with event counts and attachments
+ */
+export async function fetchExceptionCalendars() {
+  const { data, error } = await supabase
+    .from('schedule_exception_calendars')
+    .select(`
+      *,
+      schedule_exception_events(count),
+      schedule_exception_links(id, schedule_id, location_id)
+    `)
+    .order('name');
+
+  if (error) throw error;
+
+  return (data || []).map(calendar => ({
+    ...calendar,
+    event_count: calendar.schedule_exception_events?.[0]?.count || 0,
+    links: calendar.schedule_exception_links || []
+  }));
+}
+
+/**
+ * Fetch a single exception calendar with its events (ordered by date)
+ */
+export async function fetchExceptionCalendar(id) {
+  const { data, error } = await supabase
+    .from('schedule_exception_calendars')
+    .select(`
+      *,
+      schedule_exception_events(*),
+      schedule_exception_links(id, schedule_id, location_id)
+    `)
+    .eq('id', id)
+    .single();
+
+  if (error) throw error;
+
+  if (data?.schedule_exception_events) {
+    data.schedule_exception_events.sort((a, b) =>
+      a.start_date.localeCompare(b.start_date) || (a.start_time || '').localeCompare(b.start_time || '')
+    );
+  }
+
+  return data;
+}
+
+/**
+ * Create a new exception calendar
+ */
+export async function createExceptionCalendar({ name, description = null, source = EXCEPTION_CALENDAR_SOURCES.MANUAL }) {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('User must be authenticated');
+  if (!name?.trim()) throw new Error('Calendar name is required');
+
+  const { data, error } = await supabase
+    .from('schedule_exception_calendars')
+    .insert({
+      owner_id: user.id,
+      name: name.trim(),
+      description,
+      source
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update an exception calendar's name or description
+ */
+export async function updateExceptionCalendar(id, updates) {
+  const allowedFields = ['name', 'description'];
+  const filteredUpdates = {};
+  for (const key of allowedFields) {
+    if (key in updates) {
+      filteredUpdates[key] = updates[key];
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('schedule_exception_calendars')
+    .update(filteredUpdates)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete an exception calendar (events and attachments cascade)
+ */
+export async function deleteExceptionCalendar(id) {
+  const { error } = await supabase
+    .from('schedule_exception_calendars')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+  return true;
+}
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * Validate and normalise exception event fields
+ */
+export function normalizeExceptionEvent(eventData = {}) {
+  const startDate = eventData.start_date;
+  if (!startDate) throw new Error('Start date is required');
+  const endDate = eventData.end_date || startDate;
+  if (endDate < startDate) throw new Error('End date must be on or after the start date');
+
+  const action = eventData.action || EXCEPTION_ACTIONS.SCREEN_OFF;
+  if (!Object.values(EXCEPTION_ACTIONS).includes(action)) {
+    throw new Error(`Invalid exception action: ${action}`);
+  }
+
+  const isContent = action === EXCEPTION_ACTIONS.CONTENT;
+  if (isContent && (!EXCEPTION_CONTENT_TYPES.includes(eventData.content_type) || !eventData.content_id)) {
+    throw new Error('Alternate content is required for content exceptions');
+  }
+
+  const allDay = eventData.all_day ?? (!eventData.start_time && !eventData.end_time);
+
+  return {
+    name: eventData.name?.trim() || 'Exception',
+    start_date: startDate,
+    end_date: endDate,
+    start_time: allDay ? null : (eventData.start_time || '00:00'),
+    end_time: allDay ? null : (eventData.end_time || '23:59'),
+    action,
+    content_type: isContent ? eventData.content_type : null,
+    content_id: isContent ? eventData.content_id : null,
+    ical_uid: eventData.ical_uid || null
+  };
+}
+
+/**
+ * Add an event to an exception calendar
+ */
+export async function createExceptionEvent(calendarId, eventData) {
+  if (!calendarId) throw new Error('Calendar ID is required');
+
+  const { data, error } = await supabase
+    .from('schedule_exception_events')
+    .insert({ calendar_id: calendarId, ...normalizeExceptionEvent(eventData) })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update an exception event
+ */
+export async function updateExceptionEvent(eventId, eventData) {
+  const { data, error } = await supabase
+    .from('schedule_exception_events')
+    .update(normalizeExceptionEvent(eventData))
+    .eq('id', eventId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete an exception event
+ */
+export async function deleteExceptionEvent(eventId) {
+  const { error } = await supabase
+    .from('schedule_exception_events')
+    .delete()
+    .eq('id', eventId);
+
+  if (error) throw error;
+  return true;
+}
+
+// ============================================================================
+// ATTACHMENTS
+// ============================================================================
+
+/**
+ * Attach a calendar to a schedule or a location
+ * @param {string} calendarId - Calendar ID
+ * @param {Object} target - Exactly one of scheduleId / locationId
+ */
+export async function attachExceptionCalendar(calendarId, { scheduleId = null, locationId = null }) {
+  if (!calendarId) throw new Error('Calendar ID is required');
+  if (!scheduleId === !locationId) throw new Error('Provide either a schedule or a location');
+
+  const { data, error } = await supabase
+    .from('schedule_exception_links')
+    .insert({
+      calendar_id: calendarId,
+      schedule_id: scheduleId,
+      location_id: locationId
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Detach a calendar from a schedule or a location
+ */
+export async function detachExceptionCalendar(calendarId, { scheduleId = null, locationId = null }) {
+  if (!calendarId) throw new Error('Calendar ID is required');
+  if (!scheduleId === !locationId) throw new Error('Provide either a schedule or a location');
+
+  let query = supabase
+    .from('schedule_exception_links')
+    .delete()
+    .eq('calendar_id', calendarId);
+
+  query = scheduleId ? query.eq('schedule_id', scheduleId) : query.eq('location_id', locationId);
+
+  const { error } = await query;
+  if (error) throw error;
+  return true;
+}
+
+// ============================================================================
+// ICALENDAR IMPORT
+// ============================================================================
+
+function icalDateString(time) {
+  return `${time.year}-${pad(time.month)}-${pad(time.day)}`;
+}
+
+// Timezone imported times are expressed in: the given one if Intl knows it, else the browser's
+function importTimeZone(timeZone) {
+  if (timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return timeZone;
+    } catch {
+      // Unknown name: use the browser's
+    }
+  }
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Wall-clock date and HH:mm of an ICAL.Time in a timezone
+function zonedDateTime(time, tzid, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(new Date(icalTimeToInstant(time, time.timezone || tzid, timeZone)))
+      .map(part => [part.type, part.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+// First and last date an import covers (default: today through DEFAULT_IMPORT_DAYS ahead)
+function importWindow(from, to) {
+  const today = new Date();
+  return {
+    fromDate: from || today.toISOString().slice(0, 10),
+    toDate: to || new Date(today.getTime() + DEFAULT_IMPORT_DAYS * 86400000).toISOString().slice(0, 10)
+  };
+}
+
+/**
+ * Convert one occurrence (start/end ICAL.Time) into an exception event row.
+ * UTC and TZID times are converted to `timeZone`; floating times are kept as written.
+ */
+function occurrenceToEvent(summary, uid, start, end, tzid, timeZone) {
+  if (start.isDate) {
+    // DTEND is exclusive for all-day events
+    let last = start;
+    if (end && end.compare(start) > 0) {
+      last = end.clone();
+      last.adjust(-1, 0, 0, 0);
+    }
+    return {
+      name: summary,
+      start_date: icalDateString(start),
+      end_date: icalDateString(last),
+      start_time: null,
+      end_time: null,
+      ical_uid: uid
+    };
+  }
+
+  const first = zonedDateTime(start, tzid, timeZone);
+  const last = end && end.compare(start) > 0 ? zonedDateTime(end, tzid, timeZone) : first;
+  return {
+    name: summary,
+    start_date: first.date,
+    end_date: last.date,
+    start_time: first.time,
+    end_time: last.time,
+    ical_uid: uid
+  };
+}
+
+/**
+ * Parse an iCalendar (.ics) document into exception event rows.
+ * Recurring events are expanded into one row per occurrence within the range.
+ *
+ * @param {string} icsText - iCalendar text
+ * @param {Object} [options]
+ * @param {string} [options.from] - First date to include (YYYY-MM-DD, default: today)
+ * @param {string} [options.to] - Last date to include (YYYY-MM-DD, default: two years ahead)
+ * @param {string} [options.timeZone] - Timezone of the schedule or location the times are
+ *   applied in (default: the browser's)
+ * @returns {Array<Object>} Event rows without action/content
+ */
+export function parseICalendarExceptions(icsText, { from = null, to = null, timeZone = null } = {}) {
+  if (!icsText?.trim()) throw new Error('Calendar file is empty');
+
+  let component;
+  try {
+    component = new ICAL.Component(ICAL.parse(icsText));
+  } catch (err) {
+    throw new Error(`Invalid iCalendar file: ${err.message}`);
+  }
+
+  const { fromDate, toDate } = importWindow(from, to);
+  const zone = importTimeZone(timeZone);
+  const events = [];
+
+  for (const vevent of component.getAllSubcomponents('vevent')) {
+    const event = new ICAL.Event(vevent);
+    // Overridden instances are applied through the master event's occurrences
+    if (event.isRecurrenceException()) continue;
+
+    const summary = event.summary?.trim() || 'Holiday';
+    const uid = event.uid || `${summary}-${event.startDate?.toString()}`;
+
+    if (!event.isRecurring()) {
+      const row = occurrenceToEvent(summary, uid, event.startDate, event.endDate, event.startDate?.timezone, zone);
+      if (row.end_date >= fromDate && row.start_date <= toDate) events.push(row);
+      continue;
+    }
+
+    const iterator = event.iterator();
+    let next;
+    let count = 0;
+    while ((next = iterator.next()) && count < MAX_OCCURRENCES_PER_EVENT) {
+      if (icalDateString(next) > toDate) break;
+      const details = event.getOccurrenceDetails(next);
+      const row = occurrenceToEvent(
+        details.item.summary?.trim() || summary,
+        `${uid}:${icalDateString(next)}`,
+        details.startDate,
+        details.endDate,
+        event.startDate.timezone,
+        zone
+      );
+      if (row.end_date >= fromDate) {
+        events.push(row);
+        count++;
+      }
+    }
+  }
+
+  return events.sort((a, b) => a.start_date.localeCompare(b.start_date));
+}
+
+/**
+ * Import an iCalendar file into a new or existing exception calendar.
+ * Events are matched on their iCalendar UID, so re-importing updates in place, and
+ * imported events in the window whose UID is no longer in the file are removed.
+ *
+ * @param {string} icsText - iCalendar text
+ * @param {Object} options
+ * @param {string} [options.calendarId] - Existing calendar to import into
+ * @param {string} [options.name] - Name for a new calendar (when no calendarId)
+ * @param {string} [options.action] - Action for imported events (default: screen_off)
+ * @param {string} [options.content_type] - Alternate content type for content exceptions
+ * @param {string} [options.content_id] - Alternate content ID for content exceptions
+ * @param {string} [options.from] - First date to import (YYYY-MM-DD, default: today)
+ * @param {string} [options.to] - Last date to import (YYYY-MM-DD, default: two years ahead)
+ * @param {string} [options.timeZone] - Timezone the times are applied in (default: the browser's)
+ * @returns {Promise<{calendar: Object, inserted: number, updated: number, deleted: number}>}
+ */
+export async function importICalendar(icsText, {
+  calendarId = null,
+  name = null,
+  action = EXCEPTION_ACTIONS.SCREEN_OFF,
+  content_type = null,
+  content_id = null,
+  from = null,
+  to = null,
+  timeZone = null
+} = {}) {
+  const parsed = parseICalendarExceptions(icsText, { from, to, timeZone });
+  const rows = parsed.map(row => normalizeExceptionEvent({ ...row, action, content_type, content_id }));
+
+  const calendar = calendarId
+    ? { id: calendarId }
+    : await createExceptionCalendar({ name: name || 'Imported calendar', source: EXCEPTION_CALENDAR_SOURCES.ICAL });
+
+  const { data: existing, error: existingError } = await supabase
+    .from('schedule_exception_events')
+    .select('id, ical_uid, start_date, end_date')
+    .eq('calendar_id', calendar.id)
+    .not('ical_uid', 'is', null);
+
+  if (existingError) throw existingError;
+
+  const existingByUid = new Map((existing || []).map(e => [e.ical_uid, e.id]));
+  const toInsert = [];
+  let updated = 0;
+
+  for (const row of rows) {
+    const existingId = existingByUid.get(row.ical_uid);
+    if (existingId) {
+      const { error } = await supabase
+        .from('schedule_exception_events')
+        .update(row)
+        .eq('id', existingId);
+      if (error) throw error;
+      updated++;
+    } else {
+      toInsert.push({ calendar_id: calendar.id, ...row });
+    }
+  }
+
+  if (toInsert.length > 0) {
+    const { error } = await supabase
+      .from('schedule_exception_events')
+      .insert(toInsert);
+    if (error) throw error;
+  }
+
+  // Events dropped from the feed: only those in the window, since the file was
+  // only read for that window
+  const { fromDate, toDate } = importWindow(from, to);
+  const importedUids = new Set(rows.map(row => row.ical_uid));
+  const removedIds = (existing || [])
+    .filter(e => !importedUids.has(e.ical_uid) && e.end_date >= fromDate && e.start_date <= toDate)
+    .map(e => e.id);
+
+  if (removedIds.length > 0) {
+    const { error } = await supabase
+      .from('schedule_exception_events')
+      .delete()
+      .in('id', removedIds);
+    if (error) throw error;
+  }
+
+  return { calendar, inserted: toInsert.length, updated, deleted: removedIds.length };
+}
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Get exception events that apply to a schedule (and optionally a location) on a date,
+ * most specific first
+ * @param {string} scheduleId - Schedule ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options]
+ * @param {string} [options.locationId] - Location whose calendars also apply
+ */
+export async function getExceptionsForDate(scheduleId, date, { locationId = null } = {}) {
+  if (!scheduleId && !locationId) return [];
+
+  const { data, error } = await supabase
+    .rpc('get_schedule_exceptions', {
+      p_schedule_id: scheduleId || null,
+      p_location_id: locationId,
+      p_date: date
+    });
+
+  if (error) throw error;
+  return data || [];
+}
+
+function nextDate(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Local start and end of an exception as 'YYYY-MM-DDTHH:mm', as in
+ * resolve_schedule_exceptions: timed events run from start_date start_time to
+ * end_date end_time, all-day events to the end of end_date, and an end at or
+ * before the start runs to the end of that day
+ */
+function exceptionSpan(ex, date) {
+  const startDate = ex.start_date || date;
+  const endDate = ex.end_date || date;
+  const dayEnd = `${nextDate(endDate)}T00:00`;
+  const start = `${startDate}T${(ex.start_time || '00:00').slice(0, 5)}`;
+  const end = ex.end_time ? `${endDate}T${ex.end_time.slice(0, 5)}` : dayEnd;
+  return { start, end: end <= start ? dayEnd : end };
+}
+
+/**
+ * Find the exception in effect at a local date and time. Expects the ordering
+ * returned by getExceptionsForDate (most specific first).
+ * @param {Array<Object>} exceptions - Exceptions for the date
+ * @param {string} time - Time in HH:mm format
+ * @param {string} date - Date in YYYY-MM-DD format, in the screen's timezone
+ * @returns {Object|null}
+ */
+export function findActiveException(exceptions, time, date) {
+  const now = `${date}T${time}`;
+  return (exceptions || []).find(ex => {
+    const { start, end } = exceptionSpan(ex, date);
+    return now >= start && now < end;
+  }) || null;
+}
+
+/**
+ * Overlay exceptions on hourly schedule preview rows (from get_schedule_preview).
+ * Hours covered by an exception are replaced; others keep the scheduled entry.
+ *
+ * @param {Array<Object>} previewRows - Rows with an `hour` field
+ * @param {Array<Object>} exceptions - Exceptions for the previewed date
+ * @param {string} date - Previewed date (YYYY-MM-DD)
+ * @returns {Array<Object>} Rows for every hour that has scheduled or exception content
+ */
+export function applyExceptionsToPreview(previewRows, exceptions, date) {
+  const rowsByHour = new Map((previewRows || []).map(row => [row.hour, row]));
+  if (!exceptions || exceptions.length === 0) {
+    return (previewRows || []).map(row => ({ ...row, source: 'schedule' }));
+  }
+
+  const result = [];
+  for (let hour = 0; hour < 24; hour++) {
+    const scheduled = rowsByHour.get(hour);
+    // Match the RPC, which samples the middle of each hour
+    const exception = findActiveException(exceptions, `${pad(hour)}:30`, date);
+
+    if (exception) {
+      const screenOff = exception.action === EXCEPTION_ACTIONS.SCREEN_OFF;
+      result.push({
+        hour,
+        entry_id: null,
+        target_type: screenOff ? null : exception.content_type,
+        target_id: screenOff ? null : exception.content_id,
+        target_name: screenOff ? 'Screen Off' : (exception.content_name || exception.name),
+        priority: null,
+        event_type: screenOff ? 'screen_off' : 'content',
+        source: 'exception',
+        exception_id: exception.event_id,
+        exception_name: exception.name,
+        calendar_name: exception.calendar_name,
+        overridden_entry_id: scheduled?.entry_id || null
+      });
+    } else if (scheduled) {
+      result.push({ ...scheduled, source: 'schedule' });
+    }
+  }
+
+  return result;
+}
@@ -153,3 +153,232 @@ export function downloadGuestsCSV(guests, filename) {
   const defaultFilename = `bizscreen-data-${new Date().toISOString().split('T')[0]}.csv`;
   downloadCSV(csv, filename || defaultFilename);
 }
+
+/**
+ * Download PDF file
+ * @param {string} pdf - PDF document (from createTextPDF)
+ * @param {string} filename - Filename for download
+ */
+export function downloadPDF(pdf, filename = 'export.pdf') {
+  const bytes = Uint8Array.from(pdf, c => c.charCodeAt(0) & 0xff);
+  const blob = new Blob([bytes], { type: 'application/pdf' });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+}
+
+// Letter size in points, monospaced so report columns line up
+const PDF_PAGE = { width: 612, height: 792, margin: 40, fontSize: 8, lineHeight: 11 };
+
+// WinAnsiEncoding codes 0x80-0x9F; the rest of 0xA0-0xFF is Latin-1
+const WIN_ANSI_EXTRAS = {
+  '\u20ac': 0x80, '\u201a': 0x82, '\u0192': 0x83, '\u201e': 0x84, '\u2026': 0x85,
+  '\u2020': 0x86, '\u2021': 0x87, '\u02c6': 0x88, '\u2030': 0x89, '\u0160': 0x8a,
+  '\u2039': 0x8b, '\u0152': 0x8c, '\u017d': 0x8e, '\u2018': 0x91, '\u2019': 0x92,
+  '\u201c': 0x93, '\u201d': 0x94, '\u2022': 0x95, '\u2013': 0x96, '\u2014': 0x97,
+  '\u02dc': 0x98, '\u2122': 0x99, '\u0161': 0x9a, '\u203a': 0x9b, '\u0153': 0x9c,
+  '\u017e': 0x9e, '\u0178': 0x9f,
+};
+
+// Text for a string literal in the Courier/WinAnsiEncoding font: characters
+// outside ASCII become octal escapes of their WinAnsi code, or '?' when the
+// font cannot show them
+function escapePDFText(text) {
+  return Array.from(String(text).normalize('NFC'), (char) => {
+    const code = char.codePointAt(0);
+    if (char === '\\' || char === '(' || char === ')') return `\\${char}`;
+    if (code >= 0x20 && code <= 0x7e) return char;
+
+    const winAnsi = code >= 0xa0 && code <= 0xff ? code : WIN_ANSI_EXTRAS[char];
+    return winAnsi ? `\\${winAnsi.toString(8)}` : '?';
+  }).join('');
+}
+
+/**
+ * Create a plain-text PDF (Courier, Letter size), paginated with page numbers
+ * @param {Array<string>} lines - Text lines; long lines are cut at the margin
+ * @param {Object} options
+ * @param {string} options.title - Document title, repeated at the top of each page
+ * @returns {string} PDF document as a binary string
+ */
+export function createTextPDF(lines, { title = '' } = {}) {
+  const { width, height, margin, fontSize, lineHeight } = PDF_PAGE;
+  const maxChars = Math.floor((width - margin * 2) / (fontSize * 0.6));
+  const linesPerPage = Math.floor((height - margin * 2) / lineHeight) - 3;
+
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += linesPerPage) {
+    pages.push(lines.slice(i, i + linesPerPage));
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3 font, then a page and content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, i) => 4 + i * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((pageLines, i) => {
+    const header = title ? [`${title}`, ''] : [];
+    const body = [...header, ...pageLines].map(line => `(${escapePDFText(String(line).slice(0, maxChars))}) Tj T*`);
+    const footer = `Page ${i + 1} of ${pages.length}`;
+    const stream = [
+      'BT',
+      `/F1 ${fontSize} Tf`,
+      `${lineHeight} TL`,
+      `${margin} ${height - margin} Td`,
+      ...body,
+      'ET',
+      'BT',
+      `/F1 ${fontSize} Tf`,
+      `${width - margin - footer.length * fontSize * 0.6} ${margin / 2} Td`,
+      `(${footer}) Tj`,
+      'ET'
+    ].join('\n');
+
+    objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+    objects[pageIds[i] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = pdf.length;
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return pdf;
+}
+
+const PROOF_OF_PLAY_COLUMNS = [
+  { key: 'id', header: 'Play ID' },
+  { key: 'started_at', header: 'Started At (UTC)' },
+  { key: 'ended_at', header: 'Ended At (UTC)' },
+  { key: 'duration_seconds', header: 'Duration (s)' },
+  { key: 'screen_id', header: 'Screen ID' },
+  { key: 'screen_name', header: 'Screen' },
+  { key: 'location_name', header: 'Location' },
+  { key: 'campaign_id', header: 'Campaign ID' },
+  { key: 'campaign_name', header: 'Campaign' },
+  { key: 'advertiser', header: 'Advertiser' },
+  { key: 'media_id', header: 'Media ID' },
+  { key: 'media_name', header: 'Media' }
+];
+
+/**
+ * Export a proof-of-play report to CSV.
+ * Plays come first; report metadata and the row hash follow after a blank line.
+ * @param {Object} report - Report from proofOfPlayService.buildProofOfPlayReport
+ * @returns {string} - CSV string
+ */
+export function exportProofOfPlayToCSV(report) {
+  const table = report.rows.length > 0
+    ? arrayToCSV(report.rows, PROOF_OF_PLAY_COLUMNS)
+    : PROOF_OF_PLAY_COLUMNS.map(col => `"${col.header}"`).join(',');
+
+  const metadata = arrayToCSV([
+    { field: 'Report ID', value: report.id },
+    { field: 'Window Start (UTC)', value: report.window.from },
+    { field: 'Window End (UTC)', value: report.window.to },
+    { field: 'Total Plays', value: report.totals.plays },
+    { field: 'Total Duration (s)', value: report.totals.duration_seconds },
+    { field: 'Generated At (UTC)', value: report.generated_at },
+    { field: `Rows ${report.hash_algorithm}`, value: report.hash }
+  ], [
+    { key: 'field', header: 'Report' },
+    { key: 'value', header: 'Value' }
+  ]);
+
+  return `${table}\n\n${metadata}`;
+}
+
+function formatPlayTime(iso) {
+  return iso ? iso.replace('T', ' ').slice(0, 19) : '';
+}
+
+function column(value, size) {
+  return String(value ?? '').slice(0, size).padEnd(size);
+}
+
+/**
+ * Export a proof-of-play report to PDF
+ * @param {Object} report - Report from proofOfPlayService.buildProofOfPlayReport
+ * @returns {string} - PDF document
+ */
+export function exportProofOfPlayToPDF(report) {
+  const lines = [
+    `Report ID:   ${report.id}`,
+    `Window:      ${formatPlayTime(report.window.from)} to ${formatPlayTime(report.window.to)} UTC`,
+    ...(report.filters?.advertiser ? [`Advertiser:  ${report.filters.advertiser}`] : []),
+    `Generated:   ${formatPlayTime(report.generated_at)} UTC`,
+    `Plays:       ${report.totals.plays} on ${report.totals.screens} screen(s), ` +
+      `${report.totals.duration_seconds} seconds total`,
+    ...(report.truncated ? ['Note:        report truncated; narrow the window for a complete list'] : []),
+    ''
+  ];
+
+  if (report.campaigns.length > 0) {
+    lines.push('Campaign delivery');
+    for (const campaign of report.campaigns) {
+      const goal = campaign.goal ? ` of ${campaign.goal} goal (${Math.round(campaign.delivery_rate * 100)}%)` : '';
+      lines.push(`  ${column(campaign.campaign_name, 40)} ${campaign.delivered} plays${goal}`);
+    }
+    lines.push('');
+  }
+
+  lines.push(
+    `${column('Started (UTC)', 20)} ${column('Secs', 5)} ${column('Screen', 24)} ${column('Campaign', 26)} Media`,
+    '-'.repeat(100),
+    ...report.rows.map(row =>
+      `${column(formatPlayTime(row.started_at), 20)} ${column(row.duration_seconds, 5)} ` +
+      `${column(row.screen_name || row.screen_id, 24)} ${column(row.campaign_name, 26)} ${row.media_name || ''}`
+    ),
+    '',
+    `${report.hash_algorithm} over ${report.rows.length} play rows, as registered by BizScreen:`,
+    report.hash,
+    'To verify, hash the CSV export (one line per play, fields joined with "|",',
+    'times as UTC ISO 8601 with milliseconds) and check it against the report ID:',
+    'id|started_at|ended_at|duration_seconds|screen_id|campaign_id|media_id'
+  );
+
+  return createTextPDF(lines, { title: 'Proof of Play Report' });
+}
+
+/**
+ * Download a proof-of-play report as CSV
+ * @param {Object} report - Report from proofOfPlayService.buildProofOfPlayReport
+ * @param {string} filename - Optional filename
+ */
+export function downloadProofOfPlayCSV(report, filename) {
+  const csv = exportProofOfPlayToCSV(report);
+  const defaultFilename = `bizscreen-proof-of-play-${report.window.from.split('T')[0]}.csv`;
+  downloadCSV(csv, filename || defaultFilename);
+}
+
+/**
+ * Download a proof-of-play report as PDF
+ * @param {Object} report - Report from proofOfPlayService.buildProofOfPlayReport
+ * @param {string} filename - Optional filename
+ */
+export function downloadProofOfPlayPDF(report, filename) {
+  const pdf = exportProofOfPlayToPDF(report);
+  const defaultFilename = `bizscreen-proof-of-play-${report.window.from.split('T')[0]}.pdf`;
+  downloadPDF(pdf, filename || defaultFilename);
+}
@@ -0,0 +1,722 @@
+/**
+ * Formula Service
+ *
+ * Computed data source fields. A field with a formula has no stored value;
+ * it is worked out from the row's other fields whenever a binding reads it:
+ *
+ *   price * (1 - discount)
+ *   IF(stock = 0, "Sold out", "")
+ *   best_before - TODAY()        (days left)
+ *   opened_on + 30               (a date 30 days later)
+ *
+ * Formulas are parsed into a small expression tree and walked by the
+ * evaluator below. Nothing is passed to eval or Function, fields are looked
+ * up by name in the row values only, and the only callable functions are the
+ * ones in FORMULA_FUNCTIONS, so a formula can't reach any JavaScript.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// FIELD_DATA_TYPES.DATE; dataSourceService imports this module
+const DATE_DATA_TYPE = 'date';
+
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Longest formula accepted, and deepest nesting of computed fields
+const MAX_FORMULA_LENGTH = 2000;
+const MAX_FIELD_DEPTH = 10;
+
+/**
+ * Error in a formula: bad syntax, a missing field or function, or a value of
+ * the wrong type. `position` is the character offset for syntax errors.
+ */
+export class FormulaError extends Error {
+  constructor(message, position = null) {
+    super(message);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+// ============================================================================
+// VALUES
+// ============================================================================
+
+function isDate(value) {
+  return value instanceof Date;
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function toNumber(value) {
+  if (isBlank(value)) return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (isDate(value)) throw new FormulaError('A date can\'t be used as a number');
+
+  // Stored values are text, possibly formatted ("$4.50", "1,200")
+  const num = Number(String(value).trim().replace(/^[$€£¥]/, '').replace(/,/g, ''));
+  if (Number.isNaN(num)) {
+    throw new FormulaError(`"${value}" is not a number`);
+  }
+  return num;
+}
+
+function toText(value) {
+  if (isBlank(value)) return '';
+  if (isDate(value)) return formulaResultToValue(value);
+  if (typeof value === 'number') return formulaResultToValue(value);
+  return String(value);
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (isBlank(value)) return false;
+  if (isDate(value)) return true;
+
+  const text = String(value).trim().toLowerCase();
+  if (text === 'false' || text === 'no') return false;
+  if (text === 'true' || text === 'yes') return true;
+  const num = Number(text);
+  return Number.isNaN(num) ? true : num !== 0;
+}
+
+function toDate(value) {
+  if (isDate(value)) return value;
+  if (isBlank(value)) return null;
+
+  const text = String(value).trim();
+  const dateOnly = text.match(DATE_ONLY_PATTERN);
+  // Date-only values are local days, as formatValue shows them
+  const date = dateOnly
+    ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+    : new Date(text);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new FormulaError(`"${value}" is not a date`);
+  }
+  return date;
+}
+
+function addDays(date, days) {
+  const result = new Date(date.getTime());
+  // Whole days by calendar so daylight saving changes don't shift the time
+  result.setDate(result.getDate() + Math.trunc(days));
+  result.setTime(result.getTime() + (days % 1) * DAY_MS);
+  return result;
+}
+
+function daysBetween(end, start) {
+  return Math.round((end.getTime() - start.getTime()) / DAY_MS);
+}
+
+function compareValues(left, right) {
+  if (isDate(left) || isDate(right)) {
+    if (isBlank(left) || isBlank(right)) return isBlank(left) === isBlank(right) ? 0 : NaN;
+    return Math.sign(toDate(left).getTime() - toDate(right).getTime());
+  }
+
+  if (typeof left === 'number' || typeof right === 'number' || typeof left === 'boolean' || typeof right === 'boolean') {
+    try {
+      return Math.sign(toNumber(left) - toNumber(right));
+    } catch {
+      // A number against text that isn't one: compare as text
+    }
+  }
+
+  const a = toText(left).toLowerCase();
+  const b = toText(right).toLowerCase();
+  return a === b ? 0 : a < b ? -1 : 1;
+}
+
+/**
+ * Turn a formula result into a stored-style value for formatValue:
+ * numbers without float noise, dates as YYYY-MM-DD (or ISO when they have a
+ * time), booleans as "true"/"false"
+ * @param {*} result
+ * @returns {string}
+ */
+export function formulaResultToValue(result) {
+  if (isBlank(result)) return '';
+  if (typeof result === 'number') {
+    if (!Number.isFinite(result)) throw new FormulaError('The result is not a finite number');
+    return String(Number(result.toPrecision(12)));
+  }
+  if (isDate(result)) {
+    if (result.getHours() || result.getMinutes() || result.getSeconds() || result.getMilliseconds()) {
+      return result.toISOString();
+    }
+    const month = String(result.getMonth() + 1).padStart(2, '0');
+    const day = String(result.getDate()).padStart(2, '0');
+    return `${result.getFullYear()}-${month}-${day}`;
+  }
+  return String(result);
+}
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+const numbers = args => args.map(toNumber);
+
+// Part of a date, blank for a blank value
+const datePart = (value, read) => {
+  const date = toDate(value);
+  return date ? read(date) : '';
+};
+
+/**
+ * Functions a formula can call, by upper-case name. IF is evaluated lazily
+ * by the evaluator itself so only the chosen branch runs.
+ */
+export const FORMULA_FUNCTIONS = {
+  IF: { minArgs: 2, maxArgs: 3, description: 'IF(condition, value if true, value if false)' },
+  AND: { minArgs: 1, call: args => args.every(toBoolean), description: 'AND(a, b, ...)' },
+  OR: { minArgs: 1, call: args => args.some(toBoolean), description: 'OR(a, b, ...)' },
+  NOT: { minArgs: 1, maxArgs: 1, call: ([value]) => !toBoolean(value), description: 'NOT(value)' },
+  ISBLANK: { minArgs: 1, maxArgs: 1, call: ([value]) => isBlank(value), description: 'ISBLANK(value)' },
+
+  ROUND: {
+    minArgs: 1,
+    maxArgs: 2,
+    call: ([value, digits = 0]) => {
+      const factor = 10 ** Math.trunc(toNumber(digits));
+      return Math.round(toNumber(value) * factor) / factor;
+    },
+    description: 'ROUND(number, digits)',
+  },
+  FLOOR: { minArgs: 1, maxArgs: 1, call: ([value]) => Math.floor(toNumber(value)), description: 'FLOOR(number)' },
+  CEILING: { minArgs: 1, maxArgs: 1, call: ([value]) => Math.ceil(toNumber(value)), description: 'CEILING(number)' },
+  ABS: { minArgs: 1, maxArgs: 1, call: ([value]) => Math.abs(toNumber(value)), description: 'ABS(number)' },
+  MIN: { minArgs: 1, call: args => Math.min(...numbers(args)), description: 'MIN(a, b, ...)' },
+  MAX: { minArgs: 1, call: args => Math.max(...numbers(args)), description: 'MAX(a, b, ...)' },
+
+  CONCAT: { minArgs: 1, call: args => args.map(toText).join(''), description: 'CONCAT(a, b, ...)' },
+  UPPER: { minArgs: 1, maxArgs: 1, call: ([value]) => toText(value).toUpperCase(), description: 'UPPER(text)' },
+  LOWER: { minArgs: 1, maxArgs: 1, call: ([value]) => toText(value).toLowerCase(), description: 'LOWER(text)' },
+  TRIM: { minArgs: 1, maxArgs: 1, call: ([value]) => toText(value).trim(), description: 'TRIM(text)' },
+  LEN: { minArgs: 1, maxArgs: 1, call: ([value]) => toText(value).length, description: 'LEN(text)' },
+
+  TODAY: {
+    minArgs: 0,
+    maxArgs: 0,
+    call: (args, { now }) => {
+      const date = new Date(now);
+      return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    },
+    description: 'TODAY()',
+  },
+  NOW: { minArgs: 0, maxArgs: 0, call: (args, { now }) => new Date(now), description: 'NOW()' },
+  DATE: {
+    minArgs: 3,
+    maxArgs: 3,
+    call: ([year, month, day]) => new Date(toNumber(year), toNumber(month) - 1, toNumber(day)),
+    description: 'DATE(year, month, day)',
+  },
+  YEAR: { minArgs: 1, maxArgs: 1, call: ([value]) => datePart(value, d => d.getFullYear()), description: 'YEAR(date)' },
+  MONTH: { minArgs: 1, maxArgs: 1, call: ([value]) => datePart(value, d => d.getMonth() + 1), description: 'MONTH(date)' },
+  DAY: { minArgs: 1, maxArgs: 1, call: ([value]) => datePart(value, d => d.getDate()), description: 'DAY(date)' },
+  DAYS: {
+    minArgs: 2,
+    maxArgs: 2,
+    call: ([end, start]) => {
+      const endDate = toDate(end);
+      const startDate = toDate(start);
+      return endDate && startDate ? daysBetween(endDate, startDate) : '';
+    },
+    description: 'DAYS(end date, start date)',
+  },
+};
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+const OPERATOR_PATTERN = /^(<=|>=|<>|!=|==|[-+*/%^&=<>(),])/;
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const rest = source.slice(i);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      i += space[0].length;
+      continue;
+    }
+
+    const number = rest.match(/^(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i);
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const identifier = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position: i });
+      i += identifier[0].length;
+      continue;
+    }
+
+    if (rest[0] === '"' || rest[0] === '\'') {
+      const quote = rest[0];
+      let value = '';
+      let j = 1;
+      // A doubled quote inside a string is a literal quote
+      while (j < rest.length && (rest[j] !== quote || rest[j + 1] === quote)) {
+        if (rest[j] === quote) j++;
+        value += rest[j];
+        j++;
+      }
+      if (j >= rest.length) throw new FormulaError('Unterminated text value', i);
+      tokens.push({ type: 'string', value, position: i });
+      i += j + 1;
+      continue;
+    }
+
+    // [any field name], for names that aren't plain identifiers
+    if (rest[0] === '[') {
+      const end = rest.indexOf(']');
+      if (end < 2) throw new FormulaError('Expected a field name inside [ ]', i);
+      tokens.push({ type: 'field', value: rest.slice(1, end).trim(), position: i });
+      i += end + 1;
+      continue;
+    }
+
+    const operator = rest.match(OPERATOR_PATTERN);
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator[0], position: i });
+      i += operator[0].length;
+      continue;
+    }
+
+    throw new FormulaError(`Unexpected character "${rest[0]}"`, i);
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '<', '>', '<=', '>='];
+
+function createParser(tokens) {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+  const next = () => tokens[index++];
+
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      const token = peek();
+      throw new FormulaError(
+        token.type === 'end' ? `Expected "${value}" at the end` : `Expected "${value}"`,
+        token.position
+      );
+    }
+    return next();
+  };
+
+  const binaryLevel = (operators, parseOperand) => () => {
+    let node = parseOperand();
+    while (isOperator(...operators)) {
+      const { value, position } = next();
+      node = { type: 'binary', operator: value, left: node, right: parseOperand(), position };
+    }
+    return node;
+  };
+
+  function parsePrimary() {
+    const token = next();
+
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'field') {
+      return { type: 'field', name: token.value, position: token.position };
+    }
+    if (token.type === 'identifier') {
+      const upper = token.value.toUpperCase();
+      if (isOperator('(')) {
+        next();
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(parseExpression());
+          while (isOperator(',')) {
+            next();
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: upper, args, position: token.position };
+      }
+      if (upper === 'TRUE' || upper === 'FALSE') {
+        return { type: 'literal', value: upper === 'TRUE' };
+      }
+      return { type: 'field', name: token.value, position: token.position };
+    }
+    if (token.type === 'operator' && token.value === '(') {
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    throw new FormulaError(
+      token.type === 'end' ? 'The formula ends unexpectedly' : `Unexpected "${token.value}"`,
+      token.position
+    );
+  }
+
+  function parseUnary() {
+    if (isOperator('-', '+')) {
+      const { value, position } = next();
+      return { type: 'unary', operator: value, operand: parseUnary(), position };
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const node = parsePrimary();
+    if (isOperator('^')) {
+      const { position } = next();
+      // Right-associative: 2^3^2 is 2^(3^2)
+      return { type: 'binary', operator: '^', left: node, right: parseUnary(), position };
+    }
+    return node;
+  }
+
+  const parseMultiplicative = binaryLevel(['*', '/', '%'], parseUnary);
+  const parseAdditive = binaryLevel(['+', '-'], parseMultiplicative);
+  const parseConcat = binaryLevel(['&'], parseAdditive);
+  const parseComparison = binaryLevel(COMPARISON_OPERATORS, parseConcat);
+
+  function parseExpression() {
+    return parseComparison();
+  }
+
+  return () => {
+    const node = parseExpression();
+    const token = peek();
+    if (token.type !== 'end') {
+      throw new FormulaError(`Unexpected "${token.value}"`, token.position);
+    }
+    return node;
+  };
+}
+
+function checkCalls(node) {
+  if (node.type === 'call') {
+    const fn = FORMULA_FUNCTIONS[node.name];
+    if (!fn) {
+      throw new FormulaError(`Unknown function ${node.name}()`, node.position);
+    }
+    if (node.args.length < fn.minArgs || (fn.maxArgs !== undefined && node.args.length > fn.maxArgs)) {
+      throw new FormulaError(`${node.name}() is used as ${fn.description}`, node.position);
+    }
+    node.args.forEach(checkCalls);
+  } else if (node.type === 'binary') {
+    checkCalls(node.left);
+    checkCalls(node.right);
+  } else if (node.type === 'unary') {
+    checkCalls(node.operand);
+  }
+}
+
+const parsedFormulas = new Map();
+
+/**
+ * Parse a formula into an expression tree
+ * @param {string} formula - Formula source
+ * @returns {Object} Expression tree
+ * @throws {FormulaError} On syntax errors and unknown functions
+ */
+export function parseFormula(formula) {
+  const source = String(formula ?? '').trim();
+  if (!source) {
+    throw new FormulaError('The formula is empty');
+  }
+  if (source.length > MAX_FORMULA_LENGTH) {
+    throw new FormulaError(`Formulas can be at most ${MAX_FORMULA_LENGTH} characters`);
+  }
+
+  const cached = parsedFormulas.get(source);
+  if (cached) return cached;
+
+  const tree = createParser(tokenize(source))();
+  checkCalls(tree);
+
+  // Bindings re-evaluate the same few formulas; keep the cache from growing
+  if (parsedFormulas.size >= 500) parsedFormulas.clear();
+  parsedFormulas.set(source, tree);
+  return tree;
+}
+
+/**
+ * Names of the fields a formula reads
+ * @param {string|Object} formula - Formula source or parsed tree
+ * @returns {string[]} Unique field names in order of appearance
+ */
+export function getFormulaReferences(formula) {
+  const tree = typeof formula === 'string' ? parseFormula(formula) : formula;
+  const names = new Set();
+
+  const walk = (node) => {
+    if (node.type === 'field') names.add(node.name);
+    else if (node.type === 'binary') {
+      walk(node.left);
+      walk(node.right);
+    } else if (node.type === 'unary') walk(node.operand);
+    else if (node.type === 'call') node.args.forEach(walk);
+  };
+  walk(tree);
+
+  return [...names];
+}
+
+// ============================================================================
+// EVALUATOR
+// ============================================================================
+
+function getFieldFormula(field) {
+  return typeof field?.formula === 'string' && field.formula.trim() ? field.formula : null;
+}
+
+function getFieldDataType(field) {
+  return field?.dataType || field?.data_type;
+}
+
+function readField(name, context) {
+  const { values, fields, depth, now } = context;
+  const field = fields?.find(f => f.name === name);
+  // Own properties only, so names like "constructor" don't reach the prototype
+  const stored = Object.hasOwn(values, name);
+
+  if (!field && !(fields === undefined && stored)) {
+    throw new FormulaError(`Unknown field "${name}"`);
+  }
+
+  const formula = getFieldFormula(field);
+  if (formula) {
+    if (depth.includes(name)) {
+      throw new FormulaError(`Field "${name}" refers to itself`);
+    }
+    if (depth.length >= MAX_FIELD_DEPTH) {
+      throw new FormulaError('Computed fields are nested too deeply');
+    }
+    return evaluateTree(parseFormula(formula), { values, fields, now, depth: [...depth, name] });
+  }
+
+  const value = stored ? values[name] : undefined;
+  if (getFieldDataType(field) === DATE_DATA_TYPE && !isBlank(value)) {
+    return toDate(value);
+  }
+  return value ?? '';
+}
+
+function applyArithmetic(operator, left, right) {
+  // Date arithmetic: date ± days, and date - date in days
+  if (operator === '+' || operator === '-') {
+    const leftDate = isDate(left);
+    const rightDate = isDate(right);
+    if (leftDate && rightDate) {
+      if (operator === '+') throw new FormulaError('Two dates can\'t be added');
+      return daysBetween(left, right);
+    }
+    if (leftDate) return addDays(left, operator === '+' ? toNumber(right) : -toNumber(right));
+    if (rightDate) {
+      if (operator === '-') throw new FormulaError('A date can\'t be subtracted from a number');
+      return addDays(right, toNumber(left));
+    }
+  }
+
+  const a = toNumber(left);
+  const b = toNumber(right);
+  switch (operator) {
+    case '+':
+      return a + b;
+    case '-':
+      return a - b;
+    case '*':
+      return a * b;
+    case '/':
+    case '%':
+      if (b === 0) throw new FormulaError('Division by zero');
+      return operator === '/' ? a / b : a % b;
+    case '^':
+      return a ** b;
+    default:
+      throw new FormulaError(`Unknown operator "${operator}"`);
+  }
+}
+
+function evaluateTree(node, context) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'field':
+      return readField(node.name, context);
+
+    case 'unary': {
+      const value = toNumber(evaluateTree(node.operand, context));
+      return node.operator === '-' ? -value : value;
+    }
+
+    case 'binary': {
+      const left = evaluateTree(node.left, context);
+      const right = evaluateTree(node.right, context);
+
+      if (node.operator === '&') return toText(left) + toText(right);
+
+      if (COMPARISON_OPERATORS.includes(node.operator)) {
+        const order = compareValues(left, right);
+        switch (node.operator) {
+          case '=':
+          case '==':
+            return order === 0;
+          case '!=':
+          case '<>':
+            return order !== 0;
+          case '<':
+            return order < 0;
+          case '>':
+            return order > 0;
+          case '<=':
+            return order <= 0;
+          default:
+            return order >= 0;
+        }
+      }
+
+      return applyArithmetic(node.operator, left, right);
+    }
+
+    case 'call': {
+      if (node.name === 'IF') {
+        const [condition, whenTrue, whenFalse] = node.args;
+        if (toBoolean(evaluateTree(condition, context))) return evaluateTree(whenTrue, context);
+        return whenFalse ? evaluateTree(whenFalse, context) : '';
+      }
+      const args = node.args.map(arg => evaluateTree(arg, context));
+      return FORMULA_FUNCTIONS[node.name].call(args, context);
+    }
+
+    default:
+      throw new FormulaError('Unreadable formula');
+  }
+}
+
+/**
+ * Evaluate a formula against a row's values
+ * @param {string} formula - Formula source
+ * @param {Object} values - Row values by field name
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.fields] - Field definitions; when given, only
+ *   these fields can be referenced, date fields are read as dates and
+ *   computed fields are evaluated in turn
+ * @param {number} [options.now] - Current time in ms for TODAY() and NOW()
+ * @returns {number|string|boolean|Date} Result
+ * @throws {FormulaError}
+ */
+export function evaluateFormula(formula, values = {}, { fields, now = Date.now() } = {}) {
+  return evaluateTree(parseFormula(formula), { values: values || {}, fields, now, depth: [] });
+}
+
+/**
+ * Check a field's formula against the data source's fields
+ * @param {string} formula - Formula source
+ * @param {Array<Object>} fields - Field definitions of the data source
+ * @param {Object} [options]
+ * @param {string} [options.fieldName] - Name of the field being defined
+ * @returns {{ valid: boolean, error: string|null, references: string[] }}
+ */
+export function validateFormula(formula, fields = [], { fieldName } = {}) {
+  try {
+    const references = getFormulaReferences(formula);
+    const missing = references.filter(name => !fields.some(f => f.name === name));
+    if (missing.length) {
+      throw new FormulaError(
+        missing.length === 1
+          ? `Unknown field "${missing[0]}"`
+          : `Unknown fields ${missing.map(name => `"${name}"`).join(', ')}`
+      );
+    }
+
+    if (fieldName) {
+      // Follow computed fields it reads to catch loops back to this field
+      const seen = new Set();
+      const visit = (name, path) => {
+        if (name === fieldName) {
+          throw new FormulaError(
+            path.length
+              ? `Field "${fieldName}" refers to itself through ${path.map(ref => `"${ref}"`).join(', ')}`
+              : `Field "${fieldName}" refers to itself`
+          );
+        }
+        if (seen.has(name)) return;
+        seen.add(name);
+        const source = getFieldFormula(fields.find(f => f.name === name));
+        if (source) getFormulaReferences(source).forEach(ref => visit(ref, [...path, name]));
+      };
+      references.forEach(ref => visit(ref, []));
+    }
+
+    return { valid: true, error: null, references };
+  } catch (error) {
+    if (!(error instanceof FormulaError)) throw error;
+    return { valid: false, error: error.message, references: [] };
+  }
+}
+
+/**
+ * Whether a field definition is computed from a formula
+ * @param {Object} field - Field definition
+ * @returns {boolean}
+ */
+export function isComputedField(field) {
+  return !!getFieldFormula(field);
+}
+
+/**
+ * Value of a field in a row: the stored value, or for a computed field the
+ * formula's result as a stored-style value (see formulaResultToValue)
+ * @param {Object} values - Row values by field name
+ * @param {string} fieldName - Field to read
+ * @param {Array<Object>} fields - Field definitions of the data source
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms
+ * @returns {*} Value, undefined when a plain field has none
+ * @throws {FormulaError} When a computed field can't be evaluated
+ */
+export function getRowFieldValue(values, fieldName, fields = [], { now } = {}) {
+  const formula = getFieldFormula(fields.find(f => f.name === fieldName));
+  if (!formula) {
+    return values?.[fieldName];
+  }
+
+  try {
+    return formulaResultToValue(evaluateFormula(formula, values, { fields, now }));
+  } catch (error) {
+    if (error instanceof FormulaError) {
+      error.message = `Field "${fieldName}": ${error.message}`;
+    }
+    throw error;
+  }
+}
+
+export default {
+  FormulaError,
+  FORMULA_FUNCTIONS,
+  parseFormula,
+  getFormulaReferences,
+  evaluateFormula,
+  validateFormula,
+  isComputedField,
+  getRowFieldValue,
+  formulaResultToValue,
+};
@@ -26,6 +26,7 @@ const SHEETS_API_BASE = 'https://sheets.googleapis.com/v4/spreadsheets';
 export const INTEGRATION_TYPES = {
   NONE: 'none',
   GOOGLE_SHEETS: 'google_sheets',
+  REST_API: 'rest_api',
 };
 
 // Sync status values
@@ -34,8 +35,21 @@ export const SYNC_STATUS = {
   ERROR: 'error',
   NO_CHANGE: 'no_change',
   PENDING: 'pending',
+  HELD: 'held', // Waiting for review: the sync would delete too many rows
+  DISCARDED: 'discarded', // A held sync that was rejected
+  ROLLED_BACK: 'rolled_back', // Data restored to an earlier sync point
 };
 
+// Row change types recorded for each sync
+export const ROW_CHANGE_TYPES = {
+  INSERT: 'insert',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+// Syncs that would delete more than this share of existing rows are held
+export const DEFAULT_MAX_DELETE_PERCENT = 50;
+
 // ============================================================================
 // GOOGLE SHEETS API
 // ============================================================================
@@ -122,7 +136,7 @@ export async function fetchSheetData(sheetId, range = 'A1:Z1000') {
  * @param {string} header - Original header text
  * @returns {string} Normalized field name
  */
-function normalizeHeaderName(header) {
+export function normalizeHeaderName(header) {
   // Convert to lowercase, replace spaces/special chars with underscores
   return header
     .toString()
@@ -150,53 +164,128 @@ export function convertSheetRowsToInternalRows(headers, sheetValues) {
 }
 
 /**
- * Detect changes between old and new row data
+ * Normalize a row's values for comparison (null and undefined read as '')
+ * @param {object} values
+ * @returns {object}
+ */
+function normalizeRowValues(values = {}) {
+  const normalized = {};
+  Object.keys(values).sort().forEach(key => {
+    const value = String(values[key] || '');
+    if (value !== '') normalized[key] = value;
+  });
+  return normalized;
+}
+
+/**
+ * Detect changes between old and new row data, row by row.
+ *
+ * Identical rows are matched first wherever they moved to. Remaining rows are
+ * paired by the key field when one is set, then in order, as updates; what is
+ * left over is inserted or deleted.
+ *
  * @param {object[]} oldRows - Existing rows
  * @param {object[]} newRows - New rows from sheet
- * @returns {{changed: boolean, addedCount: number, removedCount: number, updatedCount: number, summary: string}}
+ * @param {object} [options]
+ * @param {string} [options.keyField] - Field that identifies a row across syncs
+ * @returns {{changed: boolean, addedCount: number, removedCount: number, updatedCount: number, summary: string, rowChanges: object[]}}
+ *   rowChanges: [{ changeType, rowIndex, rowKey, before, after }] with rowIndex in the new rows (old rows for deletes)
  */
-export function detectChangedRows(oldRows, newRows) {
-  const oldCount = oldRows?.length || 0;
-  const newCount = newRows?.length || 0;
-
-  // Quick check: if counts differ, there are definitely changes
-  if (oldCount !== newCount) {
-    return {
-      changed: true,
-      addedCount: Math.max(0, newCount - oldCount),
-      removedCount: Math.max(0, oldCount - newCount),
-      updatedCount: 0,
-      summary: `Row count changed from ${oldCount} to ${newCount}`,
-    };
+export function detectChangedRows(oldRows, newRows, { keyField } = {}) {
+  const oldList = (oldRows || []).map((row, index) => ({ index, values: normalizeRowValues(row?.values) }));
+  const newList = (newRows || []).map((row, index) => ({ index, values: normalizeRowValues(row?.values) }));
+  const signature = row => JSON.stringify(row.values);
+  const rowKey = row => (keyField ? row.values[keyField] ?? '' : null);
+
+  // Identical rows are unchanged wherever they are
+  const unmatchedOld = new Map();
+  oldList.forEach(row => {
+    const sig = signature(row);
+    if (!unmatchedOld.has(sig)) unmatchedOld.set(sig, []);
+    unmatchedOld.get(sig).push(row);
+  });
+  const leftoverNew = newList.filter(row => {
+    const candidates = unmatchedOld.get(signature(row));
+    return !candidates?.length || !candidates.shift();
+  });
+  let leftoverOld = [...unmatchedOld.values()].flat().sort((a, b) => a.index - b.index);
+
+  const pairs = [];
+  let unpairedNew = leftoverNew;
+
+  if (keyField) {
+    unpairedNew = leftoverNew.filter(row => {
+      const match = leftoverOld.find(old => rowKey(old) !== '' && rowKey(old) === rowKey(row));
+      if (!match) return true;
+      pairs.push([match, row]);
+      leftoverOld = leftoverOld.filter(old => old !== match);
+      return false;
+    });
   }
 
-  // Deep comparison of values
-  let updatedCount = 0;
-  for (let i = 0; i < newCount; i++) {
-    const oldValues = oldRows[i]?.values || {};
-    const newValues = newRows[i]?.values || {};
-
-    // Compare all keys
-    const allKeys = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
-    for (const key of allKeys) {
-      if (String(oldValues[key] || '') !== String(newValues[key] || '')) {
-        updatedCount++;
-        break; // Count each row only once
-      }
-    }
-  }
+  // Without a key, pair what is left in order
+  const inOrder = Math.min(unpairedNew.length, leftoverOld.length);
+  for (let i = 0; i < inOrder; i++) pairs.push([leftoverOld[i], unpairedNew[i]]);
+
+  const rowChanges = [
+    ...pairs.map(([before, after]) => ({
+      changeType: ROW_CHANGE_TYPES.UPDATE,
+      rowIndex: after.index,
+      rowKey: rowKey(after),
+      before: oldRows[before.index].values,
+      after: newRows[after.index].values,
+    })),
+    ...unpairedNew.slice(inOrder).map(row => ({
+      changeType: ROW_CHANGE_TYPES.INSERT,
+      rowIndex: row.index,
+      rowKey: rowKey(row),
+      before: null,
+      after: newRows[row.index].values,
+    })),
+    ...leftoverOld.slice(inOrder).map(row => ({
+      changeType: ROW_CHANGE_TYPES.DELETE,
+      rowIndex: row.index,
+      rowKey: rowKey(row),
+      before: oldRows[row.index].values,
+      after: null,
+    })),
+  ];
+
+  const count = type => rowChanges.filter(change => change.changeType === type).length;
+  const addedCount = count(ROW_CHANGE_TYPES.INSERT);
+  const removedCount = count(ROW_CHANGE_TYPES.DELETE);
+  const updatedCount = count(ROW_CHANGE_TYPES.UPDATE);
+  const plural = (n, word) => `${n} row${n === 1 ? '' : 's'} ${word}`;
+
+  const summary = [
+    addedCount > 0 && plural(addedCount, 'added'),
+    updatedCount > 0 && plural(updatedCount, 'updated'),
+    removedCount > 0 && plural(removedCount, 'removed'),
+  ].filter(Boolean).join(', ');
 
   return {
-    changed: updatedCount > 0,
-    addedCount: 0,
-    removedCount: 0,
+    changed: rowChanges.length > 0,
+    addedCount,
+    removedCount,
     updatedCount,
-    summary: updatedCount > 0
-      ? `${updatedCount} row${updatedCount === 1 ? '' : 's'} updated`
-      : 'No changes detected',
+    summary: summary || 'No changes detected',
+    rowChanges,
   };
 }
 
+/**
+ * Check whether a sync deletes too many rows to apply without review
+ * @param {object} changes - From detectChangedRows
+ * @param {number} existingRowCount - Rows before the sync
+ * @param {number} [maxDeletePercent] - Largest share of rows (0-100) a sync may delete
+ * @returns {boolean}
+ */
+export function shouldHoldSync(changes, existingRowCount, maxDeletePercent = DEFAULT_MAX_DELETE_PERCENT) {
+  if (!changes?.removedCount || !existingRowCount) return false;
+  const limit = Number.isFinite(Number(maxDeletePercent)) ? Number(maxDeletePercent) : DEFAULT_MAX_DELETE_PERCENT;
+  return (changes.removedCount / existingRowCount) * 100 > limit;
+}
+
 /**
  * Generate field definitions from headers
  * @param {string[]} headers - Column headers
@@ -309,7 +398,9 @@ export async function syncDataSourceFromSheet(dataSource) {
     const fieldDefinitions = generateFieldDefinitions(headers, rows);
 
     // Detect changes
-    const changes = detectChangedRows(dataSource.rows || [], rows);
+    const changes = detectChangedRows(dataSource.rows || [], rows, {
+      keyField: dataSource.integration_config.keyField,
+    });
 
     // If no changes, just update sync status
     if (!changes.changed) {
@@ -325,35 +416,8 @@ export async function syncDataSourceFromSheet(dataSource) {
       };
     }
 
-    // Sync rows to database
-    const { data: syncResult, error: syncError } = await supabase
-      .rpc('sync_data_source_rows', {
-        p_data_source_id: dataSource.id,
-        p_new_rows: rows.map(r => ({ values: r.values })),
-        p_field_definitions: fieldDefinitions,
-      });
-
-    if (syncError) throw syncError;
-
-    // Update sync status
-    await updateSyncStatus(dataSource.id, SYNC_STATUS.OK, {
-      message: changes.summary,
-      changedRows: changes.addedCount + changes.removedCount + changes.updatedCount,
-      addedRows: changes.addedCount,
-      removedRows: changes.removedCount,
-      updatedRows: changes.updatedCount,
-      syncDurationMs: Date.now() - startTime,
-    });
-
-    // Broadcast update for real-time listeners
-    await broadcastDataSourceUpdate(dataSource.id);
-
-    return {
-      success: true,
-      message: changes.summary,
-      changes,
-      rowCount: rows.length,
-    };
+    // Apply the rows (or hold them for review) and log the row changes
+    return await commitSyncChanges(dataSource, { rows, fieldDefinitions, changes, startTime });
   } catch (error) {
     console.error('[GoogleSheetsService] Sync error:', error);
 
@@ -373,12 +437,59 @@ export async function syncDataSourceFromSheet(dataSource) {
 }
 
 /**
- * Update sync status in database
+ * Apply synced rows, or hold them for review when they would delete more than
+ * the source's maxDeletePercent of its rows. Either way the sync log keeps
+ * the row-level changes and a snapshot of the rows for rollback.
+ * Shared by the other external integrations (REST API).
+ * @param {object} dataSource - Data source with id, rows and integration_config
+ * @param {object} sync
+ * @param {object[]} sync.rows - New rows
+ * @param {object[]} sync.fieldDefinitions - Field definitions
+ * @param {object} sync.changes - From detectChangedRows
+ * @param {number} sync.startTime - Sync start (ms)
+ * @returns {Promise<{success: boolean, held: boolean, message: string, changes: object, rowCount: number}>}
+ */
+export async function commitSyncChanges(dataSource, { rows, fieldDefinitions, changes, startTime }) {
+  const existingRowCount = dataSource.rows?.length || 0;
+  const held = shouldHoldSync(changes, existingRowCount, dataSource.integration_config?.maxDeletePercent);
+  const message = held
+    ? `Held for review: ${changes.removedCount} of ${existingRowCount} rows would be removed`
+    : changes.summary;
+
+  const { error } = await supabase.rpc('record_data_source_sync', {
+    p_data_source_id: dataSource.id,
+    p_status: held ? SYNC_STATUS.HELD : SYNC_STATUS.OK,
+    p_new_rows: rows.map(r => ({ values: r.values })),
+    p_field_definitions: fieldDefinitions,
+    p_row_changes: changes.rowChanges,
+    p_message: message,
+    p_sync_duration_ms: Date.now() - startTime,
+  });
+
+  if (error) throw error;
+
+  // Broadcast update for real-time listeners
+  if (!held) {
+    await broadcastDataSourceUpdate(dataSource.id);
+  }
+
+  return {
+    success: true,
+    held,
+    message,
+    changes,
+    rowCount: rows.length,
+  };
+}
+
+/**
+ * Update sync status in database and write a sync log entry.
+ * Shared by the other external integrations (REST API).
  * @param {string} dataSourceId
  * @param {string} status
  * @param {object} options
  */
-async function updateSyncStatus(dataSourceId, status, options = {}) {
+export async function updateSyncStatus(dataSourceId, status, options = {}) {
   try {
     await supabase.rpc('update_data_source_sync_status', {
       p_data_source_id: dataSourceId,
@@ -501,12 +612,18 @@ export async function getSyncHistory(dataSourceId, limit = 20) {
 export default {
   INTEGRATION_TYPES,
   SYNC_STATUS,
+  ROW_CHANGE_TYPES,
+  DEFAULT_MAX_DELETE_PERCENT,
   parseSheetId,
   fetchSheetData,
+  normalizeHeaderName,
   convertSheetRowsToInternalRows,
   detectChangedRows,
+  shouldHoldSync,
   generateFieldDefinitions,
   syncDataSourceFromSheet,
+  commitSyncChanges,
+  updateSyncStatus,
   linkToGoogleSheet,
   unlinkIntegration,
   getSyncHistory,
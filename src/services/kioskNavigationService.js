@@ -0,0 +1,146 @@
+/**
+ * Kiosk Navigation Service
+ *
+ * Touch-screen kiosks built from scenes. Any scene block can carry a tap
+ * action (block.action in the slide design) that jumps to another slide or
+ * scene, opens a QR code detail, or goes back home. The scene's own
+ * slideshow is the attract loop: it pauses while someone is using the screen
+ * and resumes from the first slide of the home scene after the idle timeout
+ * in scene.settings.kiosk.
+ *
+ * Taps are recorded through playbackTrackingService.trackInteraction.
+ */
+
+import { supabase } from '../supabase';
+
+/**
+ * What tapping a block does
+ */
+export const BLOCK_ACTION_TYPES = {
+  NONE: 'none',
+  GO_TO_SLIDE: 'slide',
+  GO_TO_SCENE: 'scene',
+  SHOW_QR: 'qr',
+  HOME: 'home',
+};
+
+export const BLOCK_ACTION_OPTIONS = [
+  { value: BLOCK_ACTION_TYPES.NONE, label: 'None' },
+  { value: BLOCK_ACTION_TYPES.GO_TO_SLIDE, label: 'Go to slide' },
+  { value: BLOCK_ACTION_TYPES.GO_TO_SCENE, label: 'Go to scene' },
+  { value: BLOCK_ACTION_TYPES.SHOW_QR, label: 'Show QR code' },
+  { value: BLOCK_ACTION_TYPES.HOME, label: 'Back to start' },
+];
+
+export const DEFAULT_IDLE_TIMEOUT_SECONDS = 30;
+export const MIN_IDLE_TIMEOUT_SECONDS = 5;
+export const MAX_IDLE_TIMEOUT_SECONDS = 600;
+
+/**
+ * A block's tap action, or null when tapping it does nothing. Actions missing
+ * their target (e.g. a deleted slide never picked again) count as none.
+ * @param {Object} block - Scene block
+ * @returns {Object|null} { type, slideId?, sceneId?, url?, title? }
+ */
+export function getBlockAction(block) {
+  const action = block?.action;
+  if (!action?.type) return null;
+
+  switch (action.type) {
+    case BLOCK_ACTION_TYPES.GO_TO_SLIDE:
+      return action.slideId ? action : null;
+    case BLOCK_ACTION_TYPES.GO_TO_SCENE:
+      return action.sceneId ? action : null;
+    case BLOCK_ACTION_TYPES.SHOW_QR:
+      return action.url ? action : null;
+    case BLOCK_ACTION_TYPES.HOME:
+      return action;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether any slide of a scene has tappable blocks
+ * @param {Object} scene - Scene with slides (player payload)
+ * @returns {boolean}
+ */
+export function isInteractiveScene(scene) {
+  return (scene?.slides || []).some(slide =>
+    (slide?.design?.blocks || []).some(block => getBlockAction(block))
+  );
+}
+
+/**
+ * IDs of the other scenes a scene's blocks link to
+ * @param {Object} scene - Scene with slides (player payload)
+ * @returns {Array<string>}
+ */
+export function getLinkedSceneIds(scene) {
+  const ids = new Set();
+  for (const slide of scene?.slides || []) {
+    for (const block of slide?.design?.blocks || []) {
+      const action = getBlockAction(block);
+      if (action?.type === BLOCK_ACTION_TYPES.GO_TO_SCENE && action.sceneId !== scene.id) {
+        ids.add(action.sceneId);
+      }
+    }
+  }
+  return [...ids];
+}
+
+/**
+ * Kiosk settings of a scene with defaults applied
+ * @param {Object} scene - Scene row or player payload
+ * @returns {{idleTimeoutSeconds: number}}
+ */
+export function getKioskSettings(scene) {
+  const timeout = Number(scene?.settings?.kiosk?.idleTimeoutSeconds);
+  return {
+    idleTimeoutSeconds: Number.isFinite(timeout)
+      ? Math.min(Math.max(Math.round(timeout), MIN_IDLE_TIMEOUT_SECONDS), MAX_IDLE_TIMEOUT_SECONDS)
+      : DEFAULT_IDLE_TIMEOUT_SECONDS,
+  };
+}
+
+/**
+ * Index of a slide in a scene, falling back to the first slide
+ * @param {Array<Object>} slides
+ * @param {string} [slideId]
+ * @returns {number}
+ */
+export function getSlideIndex(slides, slideId) {
+  const index = (slides || []).findIndex(slide => slide.id === slideId);
+  return index === -1 ? 0 : index;
+}
+
+/**
+ * Fetch a scene a kiosk navigates to. The RPC only returns active scenes of
+ * the screen's own tenant.
+ * @param {string} screenId - Device UUID
+ * @param {string} sceneId - Scene UUID
+ * @returns {Promise<Object|null>} Scene with slides, as in the player content payload
+ */
+export async function fetchKioskScene(screenId, sceneId) {
+  const { data, error } = await supabase.rpc('get_player_kiosk_scene', {
+    p_screen_id: screenId,
+    p_scene_id: sceneId,
+  });
+
+  if (error) throw error;
+  return data?.id ? data : null;
+}
+
+export default {
+  BLOCK_ACTION_TYPES,
+  BLOCK_ACTION_OPTIONS,
+  DEFAULT_IDLE_TIMEOUT_SECONDS,
+  MIN_IDLE_TIMEOUT_SECONDS,
+  MAX_IDLE_TIMEOUT_SECONDS,
+  getBlockAction,
+  isInteractiveScene,
+  getLinkedSceneIds,
+  getKioskSettings,
+  getSlideIndex,
+  fetchKioskScene,
+};
@@ -36,6 +36,8 @@ export async function fetchLocations() {
         country,
         postal_code,
         timezone,
+        latitude,
+        longitude,
         notes,
         created_at,
         updated_at
@@ -117,6 +119,8 @@ export async function fetchLocation(locationId) {
  * @param {string} [locationData.country]
  * @param {string} [locationData.postalCode]
  * @param {string} [locationData.timezone]
+ * @param {number} [locationData.latitude] - Used for sunrise/sunset schedule triggers
+ * @param {number} [locationData.longitude]
  * @param {string} [locationData.notes]
  * @returns {Promise<{data: object|null, error: string|null}>}
  */
@@ -131,6 +135,11 @@ export async function createLocation(locationData) {
       return { data: null, error: 'Location name is required' };
     }
 
+    const coordinates = parseCoordinates(locationData);
+    if (coordinates.error) {
+      return { data: null, error: coordinates.error };
+    }
+
     // Generate slug from name
     const slug = generateSlug(locationData.name);
 
@@ -146,6 +155,8 @@ export async function createLocation(locationData) {
         country: locationData.country?.trim() || null,
         postal_code: locationData.postalCode?.trim() || null,
         timezone: locationData.timezone || null,
+        latitude: coordinates.latitude,
+        longitude: coordinates.longitude,
         notes: locationData.notes?.trim() || null,
       })
       .select()
@@ -190,6 +201,15 @@ export async function updateLocation(locationId, updates) {
     if (updates.timezone !== undefined) updateData.timezone = updates.timezone || null;
     if (updates.notes !== undefined) updateData.notes = updates.notes?.trim() || null;
 
+    if (updates.latitude !== undefined || updates.longitude !== undefined) {
+      const coordinates = parseCoordinates(updates);
+      if (coordinates.error) {
+        return { data: null, error: coordinates.error };
+      }
+      updateData.latitude = coordinates.latitude;
+      updateData.longitude = coordinates.longitude;
+    }
+
     const { data, error } = await supabase
       .from('locations')
       .update(updateData)
@@ -435,6 +455,29 @@ function generateSlug(name) {
     .replace(/^-+|-+$/g, '');
 }
 
+/**
+ * Validate optional latitude/longitude (both or neither)
+ * @param {{latitude?: number|string, longitude?: number|string}} data
+ * @returns {{latitude: number|null, longitude: number|null, error?: string}}
+ */
+function parseCoordinates({ latitude, longitude }) {
+  const empty = (v) => v === undefined || v === null || v === '';
+  if (empty(latitude) && empty(longitude)) {
+    return { latitude: null, longitude: null };
+  }
+
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  if (empty(latitude) || empty(longitude) || Number.isNaN(lat) || Number.isNaN(lon)) {
+    return { latitude: null, longitude: null, error: 'Both latitude and longitude are required' };
+  }
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return { latitude: null, longitude: null, error: 'Coordinates are out of range' };
+  }
+
+  return { latitude: lat, longitude: lon };
+}
+
 /**
  * Common timezone options
  */
@@ -0,0 +1,365 @@
+/**
+ * Media Collection Service
+ *
+ * Smart collections: saved rules over the media library such as "tag
+ * includes summer", "type is video", "uploaded in the last 30 days" or
+ * "orientation is portrait". The database evaluates them when they are read
+ * (media_matches_collection, migration 198), so a collection always contains
+ * the media that match right now.
+ *
+ * Collections can be added to playlists (item type 'collection'). The player
+ * gets them as a nested playlist of the matching media, so a playlist bound to
+ * a collection grows as matching media is uploaded.
+ */
+
+import { supabase } from '../supabase';
+
+/**
+ * Fields a rule can test, with their operators and the kind of value they take
+ */
+export const COLLECTION_FIELDS = {
+  tag: {
+    label: 'Tag',
+    operators: [
+      { value: 'includes', label: 'includes' },
+      { value: 'excludes', label: 'does not include' },
+    ],
+    valueType: 'text',
+  },
+  type: {
+    label: 'Type',
+    operators: [
+      { value: 'is', label: 'is' },
+      { value: 'is_not', label: 'is not' },
+    ],
+    valueType: 'select',
+    options: [
+      { value: 'image', label: 'Image' },
+      { value: 'video', label: 'Video' },
+      { value: 'audio', label: 'Audio' },
+      { value: 'document', label: 'Document' },
+      { value: 'web_page', label: 'Web page' },
+      { value: 'app', label: 'App' },
+    ],
+  },
+  orientation: {
+    label: 'Orientation',
+    operators: [
+      { value: 'is', label: 'is' },
+      { value: 'is_not', label: 'is not' },
+    ],
+    valueType: 'select',
+    options: [
+      { value: 'landscape', label: 'Landscape' },
+      { value: 'portrait', label: 'Portrait' },
+      { value: 'square', label: 'Square' },
+    ],
+  },
+  uploaded: {
+    label: 'Uploaded',
+    operators: [
+      { value: 'within_days', label: 'in the last (days)', valueType: 'number' },
+      { value: 'before', label: 'before', valueType: 'date' },
+      { value: 'after', label: 'after', valueType: 'date' },
+    ],
+    valueType: 'number',
+  },
+  name: {
+    label: 'Name',
+    operators: [{ value: 'contains', label: 'contains' }],
+    valueType: 'text',
+  },
+  folder: {
+    label: 'Folder',
+    operators: [{ value: 'is', label: 'is' }],
+    valueType: 'folder',
+  },
+  duration: {
+    label: 'Duration (seconds)',
+    operators: [
+      { value: 'at_least', label: 'is at least' },
+      { value: 'at_most', label: 'is at most' },
+    ],
+    valueType: 'number',
+  },
+};
+
+/**
+ * How a collection combines its rules
+ */
+export const COLLECTION_MATCH = {
+  ALL: 'all',
+  ANY: 'any',
+};
+
+/**
+ * Order of a collection's media; random collections play shuffled
+ */
+export const COLLECTION_SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'name', label: 'By name' },
+  { value: 'random', label: 'Random' },
+];
+
+export const MAX_COLLECTION_ITEMS = 500;
+
+/**
+ * Kind of value a rule takes ('text', 'number', 'date', 'select' or 'folder')
+ * @param {Object} rule - { field, operator }
+ * @returns {string}
+ */
+export function getRuleValueType(rule) {
+  const field = COLLECTION_FIELDS[rule?.field];
+  if (!field) return 'text';
+  return field.operators.find(op => op.value === rule.operator)?.valueType || field.valueType;
+}
+
+/**
+ * Create a rule for a field, with its first operator and option
+ * @param {string} [field='tag']
+ * @returns {Object} Rule
+ */
+export function createCollectionRule(field = 'tag') {
+  const definition = COLLECTION_FIELDS[field] || COLLECTION_FIELDS.tag;
+  return {
+    field: COLLECTION_FIELDS[field] ? field : 'tag',
+    operator: definition.operators[0].value,
+    value: definition.options?.[0]?.value ?? '',
+  };
+}
+
+/**
+ * Validate and clean rules before saving
+ * @param {Array<Object>} rules
+ * @returns {Array<Object>} Normalized rules
+ * @throws {Error} If a rule is incomplete
+ */
+export function normalizeCollectionRules(rules) {
+  if (rules === null || rules === undefined) return [];
+  if (!Array.isArray(rules)) throw new Error('Collection rules must be a list');
+
+  return rules.map((rule, index) => {
+    const label = `Rule ${index + 1}`;
+    const field = COLLECTION_FIELDS[rule?.field];
+    if (!field) {
+      throw new Error(`${label}: invalid field`);
+    }
+    if (!field.operators.some(op => op.value === rule.operator)) {
+      throw new Error(`${label}: invalid operator`);
+    }
+
+    const valueType = getRuleValueType(rule);
+    const text = String(rule.value ?? '').trim();
+    if (text === '') {
+      throw new Error(`${label}: enter a value`);
+    }
+
+    if (valueType === 'number') {
+      const number = Number(text);
+      if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`${label}: enter a number of 0 or more`);
+      }
+      return { field: rule.field, operator: rule.operator, value: rule.field === 'uploaded' ? Math.round(number) : number };
+    }
+    if (valueType === 'date' && Number.isNaN(Date.parse(`${text}T00:00:00Z`))) {
+      throw new Error(`${label}: enter a date`);
+    }
+    if (valueType === 'select' && !field.options.some(option => option.value === text)) {
+      throw new Error(`${label}: choose a ${field.label.toLowerCase()}`);
+    }
+
+    return { field: rule.field, operator: rule.operator, value: text };
+  });
+}
+
+/**
+ * Short description of a rule, e.g. "Tag includes summer"
+ * @param {Object} rule
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.folderNames] - Folder names by id
+ * @returns {string}
+ */
+export function describeCollectionRule(rule, { folderNames = {} } = {}) {
+  const field = COLLECTION_FIELDS[rule?.field];
+  if (!field) return '';
+
+  const operator = field.operators.find(op => op.value === rule.operator)?.label || rule.operator;
+  let value = rule.value;
+  if (field.options) {
+    value = field.options.find(option => option.value === rule.value)?.label || rule.value;
+  } else if (rule.field === 'folder') {
+    value = folderNames[rule.value] || 'a folder';
+  } else if (rule.field === 'uploaded' && rule.operator === 'within_days') {
+    return `Uploaded in the last ${rule.value} day${Number(rule.value) === 1 ? '' : 's'}`;
+  }
+
+  return `${field.label} ${operator} ${value}`;
+}
+
+/**
+ * Short description of a collection's rules, e.g.
+ * "Tag includes summer and Type is Video"
+ * @param {Object} collection - { rules, match_mode }
+ * @param {Object} [options] - See describeCollectionRule
+ * @returns {string}
+ */
+export function describeCollection(collection, options) {
+  const joiner = collection?.match_mode === COLLECTION_MATCH.ANY ? ' or ' : ' and ';
+  return (collection?.rules || []).map(rule => describeCollectionRule(rule, options)).join(joiner);
+}
+
+// ============================================
+// COLLECTIONS
+// ============================================
+
+/**
+ * Fetch the current user's smart collections
+ * @returns {Promise<Array>} Collections, by name
+ */
+export async function fetchMediaCollections() {
+  const { data, error } = await supabase
+    .from('media_collections')
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Get a smart collection by ID
+ * @param {string} id - Collection ID
+ * @returns {Promise<Object>}
+ */
+export async function getMediaCollection(id) {
+  const { data, error } = await supabase
+    .from('media_collections')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Collection fields to columns, with rules validated
+function toCollectionRow({ name, description, rules, matchMode, sortOrder, itemLimit }) {
+  const row = {};
+  if (name !== undefined) {
+    if (!String(name).trim()) throw new Error('Enter a collection name');
+    row.name = String(name).trim();
+  }
+  if (description !== undefined) row.description = description || null;
+  if (rules !== undefined) row.rules = normalizeCollectionRules(rules);
+  if (matchMode !== undefined) row.match_mode = matchMode === COLLECTION_MATCH.ANY ? COLLECTION_MATCH.ANY : COLLECTION_MATCH.ALL;
+  if (sortOrder !== undefined) row.sort_order = sortOrder;
+  if (itemLimit !== undefined) {
+    row.item_limit = itemLimit ? Math.min(MAX_COLLECTION_ITEMS, Math.max(1, Math.round(itemLimit))) : null;
+  }
+  return row;
+}
+
+/**
+ * Create a smart collection
+ * @param {Object} collection
+ * @param {string} collection.name
+ * @param {string} [collection.description]
+ * @param {Array<Object>} collection.rules - [{ field, operator, value }]
+ * @param {'all'|'any'} [collection.matchMode='all']
+ * @param {string} [collection.sortOrder='newest'] - One of COLLECTION_SORT_OPTIONS
+ * @param {number|null} [collection.itemLimit=null] - At most this many media
+ * @returns {Promise<Object>} The created collection
+ */
+export async function createMediaCollection({
+  name,
+  description = null,
+  rules = [],
+  matchMode = COLLECTION_MATCH.ALL,
+  sortOrder = 'newest',
+  itemLimit = null
+}) {
+  const row = toCollectionRow({ name, description, rules, matchMode, sortOrder, itemLimit });
+
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('User must be authenticated');
+
+  const { data, error } = await supabase
+    .from('media_collections')
+    .insert({ owner_id: user.id, ...row })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a smart collection
+ * @param {string} id - Collection ID
+ * @param {Object} updates - Same fields as createMediaCollection
+ * @returns {Promise<Object>} The updated collection
+ */
+export async function updateMediaCollection(id, updates) {
+  const { data, error } = await supabase
+    .from('media_collections')
+    .update(toCollectionRow(updates))
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete a smart collection; playlists using it drop the item
+ * @param {string} id - Collection ID
+ */
+export async function deleteMediaCollection(id) {
+  const { error } = await supabase
+    .from('media_collections')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+  return true;
+}
+
+/**
+ * What a collection contains now (or would, while its rules are being edited)
+ * @param {Object} collection - { rules, matchMode, sortOrder, itemLimit } or a collection row
+ * @param {Object} [options]
+ * @param {number} [options.sample=24] - How many media to return
+ * @returns {Promise<{count: number, items: Array}>}
+ */
+export async function previewMediaCollection(collection, { sample = 24 } = {}) {
+  const { data, error } = await supabase.rpc('preview_media_collection', {
+    p_rules: collection.rules || [],
+    p_match_mode: collection.matchMode || collection.match_mode || COLLECTION_MATCH.ALL,
+    p_sort_order: collection.sortOrder || collection.sort_order || 'newest',
+    p_item_limit: collection.itemLimit ?? collection.item_limit ?? null,
+    p_sample: sample
+  });
+
+  if (error) throw error;
+  return data || { count: 0, items: [] };
+}
+
+export default {
+  COLLECTION_FIELDS,
+  COLLECTION_MATCH,
+  COLLECTION_SORT_OPTIONS,
+  MAX_COLLECTION_ITEMS,
+  getRuleValueType,
+  createCollectionRule,
+  normalizeCollectionRules,
+  describeCollectionRule,
+  describeCollection,
+  fetchMediaCollections,
+  getMediaCollection,
+  createMediaCollection,
+  updateMediaCollection,
+  deleteMediaCollection,
+  previewMediaCollection,
+};
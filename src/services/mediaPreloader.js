@@ -4,6 +4,11 @@
  * Preloads images and videos before slide transitions to prevent
  * blank flicker on TV screens. Uses Image() objects and Promises
  * to ensure all media is loaded before displaying.
+ *
+ * When the processing worker has made downscaled renditions of a file
+ * (registerMediaRenditions), the preloader and the player use the smallest
+ * rendition that still fills the screen, capped by the measured bandwidth,
+ * instead of the original.
  */
 
 // Cache of already loaded images (URL -> load status)
@@ -30,6 +35,20 @@ export const BANDWIDTH_LEVELS = {
   UNKNOWN: 'unknown',
 };
 
+/**
+ * Largest rendition (short edge, px) worth downloading per image quality
+ * level from getPreloadSettings
+ */
+export const RENDITION_MAX_SHORT_EDGE = {
+  high: Infinity,
+  medium: 1080,
+  low: 720,
+  thumbnail: 480,
+};
+
+// Original URL -> { renditions: [{ url, width, height, bitrate }], poster }
+const mediaRenditions = new Map();
+
 /**
  * Detect current network bandwidth
  * Uses Navigator.connection API if available, otherwise performs a timing probe
@@ -197,6 +216,127 @@ export function getPreloadSettings(bandwidthLevel) {
   }
 }
 
+// ============================================
+// RENDITIONS
+// ============================================
+
+/**
+ * Register the renditions available for media the player is about to play
+ * (from get_screen_media_renditions). Replaces earlier entries for the same URLs.
+ * @param {Array<{url: string, renditions: Object[]|null, poster: string|null}>} entries
+ */
+export function registerMediaRenditions(entries) {
+  (entries || []).forEach(entry => {
+    if (!entry?.url) return;
+    mediaRenditions.set(entry.url, {
+      renditions: (entry.renditions || []).filter(r => r?.url && r.width && r.height),
+      poster: entry.poster || null,
+    });
+  });
+}
+
+/**
+ * Forget all registered renditions
+ */
+export function clearMediaRenditions() {
+  mediaRenditions.clear();
+}
+
+/**
+ * Screen size in device pixels
+ * @returns {{width: number, height: number}}
+ */
+export function getScreenSize() {
+  if (typeof window === 'undefined') return { width: 1920, height: 1080 };
+  const ratio = window.devicePixelRatio || 1;
+  return {
+    width: Math.round((window.innerWidth || 1920) * ratio),
+    height: Math.round((window.innerHeight || 1080) * ratio),
+  };
+}
+
+/**
+ * Pick the rendition to play on a screen: the smallest one that still covers
+ * the screen (long edge against long edge, so portrait screens work too),
+ * never larger than the bandwidth allows. Returns null to play the original.
+ *
+ * @param {Object[]} renditions - [{ url, width, height, bitrate }]
+ * @param {Object} [options]
+ * @param {{width: number, height: number}} [options.screen] - Screen size in device pixels
+ * @param {string} [options.bandwidthLevel] - One of BANDWIDTH_LEVELS
+ * @returns {Object|null} The chosen rendition
+ */
+export function selectRendition(renditions, { screen = getScreenSize(), bandwidthLevel = BANDWIDTH_LEVELS.UNKNOWN } = {}) {
+  if (!renditions || renditions.length === 0) return null;
+
+  const longEdge = r => Math.max(r.width, r.height);
+  const shortEdge = r => Math.min(r.width, r.height);
+  const sorted = [...renditions].sort((a, b) => longEdge(a) - longEdge(b));
+
+  const maxShortEdge = RENDITION_MAX_SHORT_EDGE[getPreloadSettings(bandwidthLevel).imageQuality] ?? Infinity;
+  const allowed = sorted.filter(r => shortEdge(r) <= maxShortEdge);
+  // Even the smallest rendition beats the original on a slow link
+  if (allowed.length === 0) return sorted[0];
+
+  const covering = allowed.find(r => longEdge(r) >= longEdge(screen) && shortEdge(r) >= shortEdge(screen));
+  if (covering) return covering;
+
+  // Nothing covers the screen: the original is best unless bandwidth capped us
+  return maxShortEdge === Infinity ? null : allowed[allowed.length - 1];
+}
+
+/**
+ * URL to load for a media file on this screen: a rendition when one fits,
+ * otherwise the original
+ * @param {string} url - Original media URL
+ * @param {Object} [options] - See selectRendition; bandwidth defaults to the last detected level
+ * @returns {string}
+ */
+export function getRenditionUrl(url, options = {}) {
+  const entry = url ? mediaRenditions.get(url) : null;
+  if (!entry || entry.renditions.length === 0) return url;
+
+  const rendition = selectRendition(entry.renditions, {
+    bandwidthLevel: lastBandwidth?.level,
+    ...options,
+  });
+  return rendition?.url || url;
+}
+
+/**
+ * Poster frame for a video, if the worker made one
+ * @param {string} url - Original video URL
+ * @returns {string|null}
+ */
+export function getPosterUrl(url) {
+  return (url && mediaRenditions.get(url)?.poster) || null;
+}
+
+/**
+ * Collect media URLs from player content (playlist items, zones, scene
+ * blocks) to look up their renditions
+ * @param {*} content - Resolved player content
+ * @returns {string[]} Unique http(s) URLs
+ */
+export function collectContentMediaUrls(content) {
+  const urls = new Set();
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => {
+        if (key === 'url' && typeof child === 'string' && /^https?:\/\//.test(child)) {
+          urls.add(child);
+        } else {
+          visit(child);
+        }
+      });
+    }
+  };
+  visit(content);
+  return [...urls];
+}
+
 /**
  * Clear cached bandwidth result (force re-detection)
  */
@@ -342,11 +482,15 @@ export function extractMediaUrls(design) {
  * @returns {Promise<{slideId: string, success: boolean, results: Object[]}>}
  */
 export async function preloadSlide(slide, options = {}) {
-  const { timeout = 10000, includeVideos = true } = options;
+  const { timeout = 10000, includeVideos = true, bandwidthLevel } = options;
   const design = slide?.design_json || slide?.design || slide;
   const slideId = slide?.id || 'unknown';
 
-  const { images, videos } = extractMediaUrls(design);
+  // Load what the player will show: the rendition for this screen, if any
+  const renditionOptions = bandwidthLevel ? { bandwidthLevel } : {};
+  const media = extractMediaUrls(design);
+  const images = media.images.map(url => getRenditionUrl(url, renditionOptions));
+  const videos = media.videos.map(url => getRenditionUrl(url, renditionOptions));
 
   const results = [];
 
@@ -456,6 +600,7 @@ export function isCached(url, type = 'image') {
 
 /**
  * Adaptive preload - automatically adjusts settings based on detected bandwidth
+ * and preloads the rendition that fits the screen at that bandwidth
  * @param {Object[]} slides - Array of slides
  * @param {number} currentIndex - Current slide index
  * @returns {Promise<{bandwidth: object, settings: object, results: object[]}>}
@@ -488,6 +633,7 @@ export async function adaptivePreload(slides, currentIndex) {
     toPreload.map(slide => preloadSlide(slide, {
       timeout: settings.timeout,
       includeVideos: settings.preloadVideos,
+      bandwidthLevel: bandwidth.level,
     }))
   );
 
@@ -536,4 +682,12 @@ export default {
   clearBandwidthCache,
   adaptivePreload,
   onBandwidthChange,
+  // Renditions
+  RENDITION_MAX_SHORT_EDGE,
+  registerMediaRenditions,
+  clearMediaRenditions,
+  selectRendition,
+  getRenditionUrl,
+  getPosterUrl,
+  collectContentMediaUrls,
 };
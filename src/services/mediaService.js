@@ -1,5 +1,7 @@
 // Media Asset Service - CRUD operations for media library
 import { supabase } from '../supabase';
+import { normalizeValidityWindow } from './contentValidityService';
+import { broadcastMediaUpdate } from './deviceSyncService';
 
 /**
  * Media asset types
@@ -63,7 +65,7 @@ export function validateMediaFile(file, maxSizeMB = 100) {
  * Fetch all media assets with optional filtering
  * Orders by sort_order first, then by created_at for items with same sort_order
  */
-export async function fetchMediaAssets({ type = null, search = '', limit = 100, folderId = undefined } = {}) {
+export async function fetchMediaAssets({ type = null, search = '', limit = 100, folderId = undefined, archived = false } = {}) {
   let query = supabase
     .from('media_assets')
     .select('*')
@@ -71,6 +73,9 @@ export async function fetchMediaAssets({ type = null, search = '', limit = 100,
     .order('created_at', { ascending: false })
     .limit(limit);
 
+  // Archived media is hidden unless asked for
+  query = archived ? query.not('archived_at', 'is', null) : query.is('archived_at', null);
+
   if (type) {
     query = query.eq('type', type);
   }
@@ -124,7 +129,8 @@ export async function createMediaAsset({
   description = null,
   tags = [],
   configJson = null,
-  folderId = null
+  folderId = null,
+  contentHash = null
 }) {
   const { data: { user } } = await supabase.auth.getUser();
 
@@ -146,7 +152,8 @@ export async function createMediaAsset({
       description,
       tags,
       config_json: configJson,
-      folder_id: folderId
+      folder_id: folderId,
+      content_hash: contentHash
     })
     .select()
     .single();
@@ -218,7 +225,8 @@ export async function uploadMediaFromDataUrl(dataUrl, options = {}) {
 export async function updateMediaAsset(id, updates) {
   const allowedFields = [
     'name', 'description', 'tags', 'config_json', 'folder_id',
-    'thumbnail_url', 'duration', 'width', 'height'
+    'thumbnail_url', 'duration', 'width', 'height',
+    'valid_from', 'valid_until', 'archive_on_expiry'
   ];
 
   const filteredUpdates = {};
@@ -573,6 +581,200 @@ export async function batchDeleteMediaAssets(ids) {
   return { deleted: ids.length };
 }
 
+// ============================================
+// DUPLICATES
+// ============================================
+
+/**
+ * Find an existing asset with the same content, to offer reusing it instead
+ * of uploading the file again
+ *
+ * @param {string|null} contentHash - Hash from computeContentHash
+ * @returns {Promise<Object|null>} The oldest matching asset, or null
+ */
+export async function findMediaByContentHash(contentHash) {
+  if (!contentHash) return null;
+
+  const { data, error } = await supabase
+    .from('media_assets')
+    .select('*')
+    .eq('content_hash', contentHash)
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Group assets that share a content hash. The oldest asset in each group is
+ * suggested as the one to keep; groups wasting the most space come first.
+ *
+ * @param {Array<Object>} assets - Media assets with content_hash
+ * @returns {Array<{ contentHash: string, keep: Object, assets: Object[], wastedBytes: number }>}
+ */
+export function groupDuplicateMedia(assets) {
+  const byHash = new Map();
+  for (const asset of assets) {
+    if (!asset.content_hash) continue;
+    if (!byHash.has(asset.content_hash)) byHash.set(asset.content_hash, []);
+    byHash.get(asset.content_hash).push(asset);
+  }
+
+  return [...byHash.entries()]
+    .filter(([, group]) => group.length > 1)
+    .map(([contentHash, group]) => {
+      const sorted = [...group].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+      return {
+        contentHash,
+        keep: sorted[0],
+        assets: sorted,
+        wastedBytes: sorted.slice(1).reduce((sum, asset) => sum + (asset.file_size || 0), 0),
+      };
+    })
+    .sort((a, b) => b.wastedBytes - a.wastedBytes);
+}
+
+/**
+ * Find groups of duplicate media in the library
+ * @returns {Promise<Array>} Groups from groupDuplicateMedia
+ */
+export async function findDuplicateMedia() {
+  const { data, error } = await supabase
+    .from('media_assets')
+    .select('id, name, type, url, thumbnail_url, file_size, content_hash, folder_id, archived_at, created_at')
+    .not('content_hash', 'is', null)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return groupDuplicateMedia(data || []);
+}
+
+/**
+ * Merge duplicates into one asset: playlist items, layout zones, scene
+ * blocks, schedule entries and campaign contents using a duplicate switch to
+ * the kept asset, the duplicates are deleted, and the merge is recorded in
+ * the activity log.
+ *
+ * @param {string} keepId - Asset to keep
+ * @param {string[]} duplicateIds - Assets with the same content to merge into it
+ * @returns {Promise<Object>} { kept_id, merged, merged_count, bytes_freed, playlist_items, layout_zones,
+ *   scene_slides, schedule_entries, campaign_contents }
+ */
+export async function mergeDuplicateMedia(keepId, duplicateIds) {
+  const { data, error } = await supabase.rpc('merge_duplicate_media', {
+    p_keep_id: keepId,
+    p_duplicate_ids: duplicateIds
+  });
+
+  if (error) throw error;
+  return data;
+}
+
+// ============================================
+// PROCESSING
+// ============================================
+
+/**
+ * Get the thumbnail, poster and renditions the media worker made for an asset
+ * @param {string} mediaId - Media asset ID
+ * @returns {Promise<Array>} Variants, smallest first
+ */
+export async function getMediaVariants(mediaId) {
+  const { data, error } = await supabase
+    .from('media_variants')
+    .select('id, kind, label, url, mime_type, width, height, file_size, bitrate, created_at')
+    .eq('media_id', mediaId)
+    .order('kind')
+    .order('height', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Queue an asset to have its thumbnail, poster and renditions made again
+ * (e.g. after processing failed)
+ * @param {string} mediaId - Media asset ID
+ * @returns {Promise<string|null>} Job ID, or null for types that are not processed
+ */
+export async function reprocessMedia(mediaId) {
+  const { data, error } = await supabase.rpc('enqueue_media_processing', {
+    p_media_id: mediaId
+  });
+
+  if (error) throw error;
+  return data;
+}
+
+// ============================================
+// VERSIONS
+// ============================================
+
+/**
+ * Get the files uploaded for an asset over time, with who uploaded them
+ * @param {string} mediaId - Media asset ID
+ * @returns {Promise<Array>} Versions, newest first; empty until a second version is uploaded
+ */
+export async function getMediaVersions(mediaId) {
+  const { data, error } = await supabase
+    .from('media_asset_versions')
+    .select('*, uploader:profiles(full_name, email)')
+    .eq('media_id', mediaId)
+    .order('version_number', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Make an uploaded file the new version of an asset. Playlists, layouts and
+ * scenes using the asset show it without being edited, and the screens
+ * showing the asset are told to refresh.
+ *
+ * @param {string} mediaId - Media asset ID
+ * @param {Object} upload - Result from useS3Upload / uploadFileToS3
+ * @returns {Promise<Object>} { version, previous_version, scene_slides, republished, affectedDevices }
+ */
+export async function uploadMediaVersion(mediaId, upload) {
+  const { data, error } = await supabase.rpc('add_media_version', {
+    p_media_id: mediaId,
+    p_url: upload.url,
+    p_thumbnail_url: upload.thumbnail || null,
+    p_mime_type: upload.type || null,
+    p_file_size: upload.size || null,
+    p_width: upload.width || null,
+    p_height: upload.height || null,
+    p_duration: upload.duration ? Math.round(upload.duration) : null,
+    p_content_hash: upload.contentHash || null
+  });
+
+  if (error) throw error;
+
+  const sync = await broadcastMediaUpdate(mediaId);
+  return { ...data, republished: sync.success, affectedDevices: sync.affectedDevices };
+}
+
+/**
+ * Make an earlier version of an asset current again and republish it to the
+ * screens showing the asset
+ *
+ * @param {string} mediaId - Media asset ID
+ * @param {number} versionNumber - Version to restore
+ * @returns {Promise<Object>} { version, previous_version, scene_slides, republished, affectedDevices }
+ */
+export async function rollbackMediaVersion(mediaId, versionNumber) {
+  const { data, error } = await supabase.rpc('rollback_media_version', {
+    p_media_id: mediaId,
+    p_version_number: versionNumber
+  });
+
+  if (error) throw error;
+
+  const sync = await broadcastMediaUpdate(mediaId);
+  return { ...data, republished: sync.success, affectedDevices: sync.affectedDevices };
+}
+
 /**
  * Move media assets to a folder
  */
@@ -586,6 +788,63 @@ export async function moveMediaToFolder(mediaIds, folderId) {
   return true;
 }
 
+// ============================================
+// VALIDITY AND ARCHIVING
+// ============================================
+
+/**
+ * Set when a media asset may play. Applies to every playlist, schedule and
+ * campaign using it; the daily expiry sweep alerts when it expires.
+ *
+ * @param {string} id - Media asset ID
+ * @param {Object} window
+ * @param {string|null} [window.validFrom] - Empty for no start
+ * @param {string|null} [window.validUntil] - Empty to never expire
+ * @param {boolean} [window.archiveOnExpiry=false] - Archive the asset once the sweep finds it expired
+ * @returns {Promise<Object>} Updated media asset
+ * @throws {Error} If the window is invalid or the update fails
+ */
+export async function updateMediaValidity(id, { validFrom = null, validUntil = null, archiveOnExpiry = false } = {}) {
+  return updateMediaAsset(id, {
+    ...normalizeValidityWindow({ validFrom, validUntil }),
+    archive_on_expiry: Boolean(archiveOnExpiry),
+  });
+}
+
+/**
+ * Archive media assets: hidden from the library and never played, but kept
+ * with their usage so they can be restored
+ *
+ * @param {string[]} mediaIds - Media asset IDs
+ * @returns {Promise<boolean>} Success status
+ */
+export async function archiveMediaAssets(mediaIds) {
+  const { error } = await supabase
+    .from('media_assets')
+    .update({ archived_at: new Date().toISOString() })
+    .in('id', mediaIds);
+
+  if (error) throw error;
+  return true;
+}
+
+/**
+ * Restore archived media assets. Assets that are still expired stay off
+ * screen until their validity window is changed.
+ *
+ * @param {string[]} mediaIds - Media asset IDs
+ * @returns {Promise<boolean>} Success status
+ */
+export async function restoreMediaAssets(mediaIds) {
+  const { error } = await supabase
+    .from('media_assets')
+    .update({ archived_at: null })
+    .in('id', mediaIds);
+
+  if (error) throw error;
+  return true;
+}
+
 // ============================================
 // DRAG AND DROP ORDERING
 // ============================================
@@ -971,3 +1230,43 @@ export async function createDataTableApp({
     refreshMinutes: Math.max(2, refreshMinutes)
   });
 }
+
+/**
+ * Create a Calendar app from an iCalendar feed
+ * @param {Object} options - Calendar configuration
+ * @param {string} options.name - Display name
+ * @param {string} options.feedUrl - iCalendar (.ics) feed URL; webcal:// links are accepted
+ * @param {string} options.view - 'agenda', 'day' or 'room'
+ * @param {string} options.roomName - Heading for the room board view
+ * @param {number} options.daysAhead - Days shown in the agenda view (1-31)
+ * @param {string} options.theme - 'light' or 'dark'
+ * @param {number} options.refreshMinutes - How often to refresh (min 2)
+ * @returns {Promise<Object>} Created app asset
+ */
+export async function createCalendarApp({
+  name = 'Calendar',
+  feedUrl = '',
+  view = 'agenda',
+  roomName = '',
+  daysAhead = 7,
+  theme = 'dark',
+  refreshMinutes = 5
+} = {}) {
+  if (!feedUrl) throw new Error('Feed URL is required');
+
+  // Validate URL
+  try {
+    new URL(feedUrl.trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch {
+    throw new Error('Invalid feed URL format');
+  }
+
+  return createAppAsset(APP_TYPE_KEYS.CALENDAR, name, {
+    feedUrl: feedUrl.trim(),
+    view,
+    roomName,
+    daysAhead: Math.min(31, Math.max(1, daysAhead)),
+    theme,
+    refreshMinutes: Math.max(2, refreshMinutes)
+  });
+}
@@ -0,0 +1,816 @@
+// Menu Service - Menu boards: categories, items, modifiers, dayparts and sold-out items
+import { supabase } from '../supabase';
+import {
+  createDataSource,
+  deleteDataSource,
+  broadcastDataSourceUpdate,
+  DATA_SOURCE_TYPES,
+  FIELD_DATA_TYPES,
+} from './dataSourceService';
+
+/**
+ * Common allergens that can be tagged on an item
+ */
+export const MENU_ALLERGENS = [
+  { key: 'gluten', label: 'Gluten' },
+  { key: 'dairy', label: 'Dairy' },
+  { key: 'eggs', label: 'Eggs' },
+  { key: 'tree_nuts', label: 'Tree nuts' },
+  { key: 'peanuts', label: 'Peanuts' },
+  { key: 'soy', label: 'Soy' },
+  { key: 'fish', label: 'Fish' },
+  { key: 'shellfish', label: 'Shellfish' },
+  { key: 'sesame', label: 'Sesame' },
+];
+
+/**
+ * Dietary tags, with the short marker shown next to an item on screen
+ */
+export const MENU_DIETARY_TAGS = [
+  { key: 'vegetarian', label: 'Vegetarian', short: 'V' },
+  { key: 'vegan', label: 'Vegan', short: 'VG' },
+  { key: 'gluten_free', label: 'Gluten free', short: 'GF' },
+  { key: 'spicy', label: 'Spicy', short: 'HOT' },
+];
+
+/**
+ * Dayparts a new menu starts with (times are in the screen's timezone)
+ */
+export const DEFAULT_DAYPARTS = [
+  { key: 'breakfast', label: 'Breakfast', start: '06:00', end: '11:00' },
+  { key: 'lunch', label: 'Lunch', start: '11:00', end: '16:00' },
+  { key: 'dinner', label: 'Dinner', start: '16:00', end: '23:00' },
+];
+
+/**
+ * Which items a menu widget shows: the dayparts on now, everything, or a
+ * daypart key
+ */
+export const MENU_DAYPART_MODES = {
+  AUTO: 'auto',
+  ALL: 'all',
+};
+
+/**
+ * Fields of the data source a menu is published to. `dayparts` holds the
+ * item's daypart keys and `hours` their windows ("06:00-11:00,16:00-23:00");
+ * both are empty for items served all day. `item_id` ties a row to its menu
+ * item so sold-out changes can reach screens without a republish.
+ */
+export const MENU_DATA_FIELDS = [
+  { name: 'category', label: 'Category', dataType: FIELD_DATA_TYPES.TEXT },
+  { name: 'name', label: 'Name', dataType: FIELD_DATA_TYPES.TEXT },
+  { name: 'description', label: 'Description', dataType: FIELD_DATA_TYPES.TEXT },
+  { name: 'price', label: 'Price', dataType: FIELD_DATA_TYPES.CURRENCY },
+  { name: 'calories', label: 'Calories', dataType: FIELD_DATA_TYPES.NUMBER },
+  { name: 'allergens', label: 'Allergens', dataType: FIELD_DATA_TYPES.TEXT },
+  { name: 'dietary', label: 'Dietary', dataType: FIELD_DATA_TYPES.TEXT },
+  { name: 'modifiers', label: 'Modifiers', dataType: FIELD_DATA_TYPES.TEXT },
+  { name: 'image_url', label: 'Image', dataType: FIELD_DATA_TYPES.IMAGE_URL },
+  { name: 'dayparts', label: 'Dayparts', dataType: FIELD_DATA_TYPES.TEXT },
+  { name: 'hours', label: 'Hours', dataType: FIELD_DATA_TYPES.TEXT },
+  { name: 'item_id', label: 'Item ID', dataType: FIELD_DATA_TYPES.TEXT },
+].map((field, orderIndex) => ({ ...field, orderIndex }));
+
+const TIME_OF_DAY_PATTERN = /^([01]?\d|2[0-4]):([0-5]\d)$/;
+
+// ============================================================================
+// DAYPARTS AND AVAILABILITY
+// ============================================================================
+
+/**
+ * Minutes after midnight for an HH:MM time
+ * @param {string} time - e.g. '06:30'
+ * @returns {number|null} Minutes, or null when unreadable
+ */
+export function parseTimeOfDay(time) {
+  const match = typeof time === 'string' && time.trim().match(TIME_OF_DAY_PATTERN);
+  if (!match) return null;
+  return Math.min(Number(match[1]) * 60 + Number(match[2]), 24 * 60);
+}
+
+/**
+ * Minutes after midnight of an instant, in a timezone
+ * @param {number} now - Time in ms
+ * @param {string} [timeZone] - IANA timezone (defaults to the device's)
+ * @returns {number}
+ */
+export function getMinutesOfDay(now, timeZone) {
+  let formatter;
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone: timeZone || undefined, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  } catch {
+    // Unknown timezone: use the device's
+    formatter = new Intl.DateTimeFormat('en-US', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+  }
+
+  const parts = Object.fromEntries(formatter.formatToParts(new Date(now)).map(({ type, value }) => [type, value]));
+  return Number(parts.hour) * 60 + Number(parts.minute);
+}
+
+/**
+ * Whether a time falls in a daypart window. Windows ending before they
+ * start run past midnight (e.g. late night 22:00-02:00).
+ * @param {{ start: string, end: string }} daypart
+ * @param {number} minutes - Minutes after midnight
+ * @returns {boolean}
+ */
+export function isDaypartActive(daypart, minutes) {
+  const start = parseTimeOfDay(daypart?.start);
+  const end = parseTimeOfDay(daypart?.end);
+  if (start === null || end === null || start === end) return false;
+
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Keys of the dayparts on at a time
+ * @param {Array<Object>} dayparts - Menu dayparts
+ * @param {Object} options
+ * @param {number} options.now - Time in ms
+ * @param {string} [options.timeZone] - Screen timezone
+ * @returns {string[]}
+ */
+export function getActiveDayparts(dayparts = [], { now, timeZone } = {}) {
+  const minutes = getMinutesOfDay(now, timeZone);
+  return dayparts.filter(daypart => isDaypartActive(daypart, minutes)).map(daypart => daypart.key);
+}
+
+/**
+ * Dayparts an item is served in: its own, else its category's (empty = all day)
+ * @param {Object} item
+ * @param {Object} [category]
+ * @returns {string[]}
+ */
+export function getItemDayparts(item, category) {
+  if (item?.dayparts?.length) return item.dayparts;
+  return category?.dayparts || [];
+}
+
+// ============================================================================
+// PUBLISHING
+// ============================================================================
+
+/**
+ * Format a menu price, e.g. 4.5 -> '$4.50'
+ * @param {number|string|null} price
+ * @param {string} [symbol]
+ * @returns {string} Formatted price, empty when there is none
+ */
+export function formatMenuPrice(price, symbol = '$') {
+  if (price === null || price === undefined || price === '') return '';
+  const num = Number(price);
+  if (Number.isNaN(num)) return '';
+  return `${symbol}${num.toFixed(2)}`;
+}
+
+/**
+ * Modifiers as one line, e.g. 'Oat milk +$0.50, Decaf'
+ * @param {Array<{ name: string, price?: number }>} modifiers
+ * @param {string} [symbol]
+ * @returns {string}
+ */
+export function formatModifiers(modifiers = [], symbol = '$') {
+  return modifiers
+    .filter(modifier => modifier?.name?.trim())
+    .map(modifier => {
+      const price = Number(modifier.price) || 0;
+      if (!price) return modifier.name.trim();
+      return `${modifier.name.trim()} ${price > 0 ? '+' : '-'}${formatMenuPrice(Math.abs(price), symbol)}`;
+    })
+    .join(', ');
+}
+
+/**
+ * Read modifiers typed one per line, with an optional price change:
+ * 'Oat milk +0.50', 'Extra shot +$1', 'Small -1'
+ * @param {string} text
+ * @returns {Array<{ name: string, price: number }>}
+ */
+export function parseModifierLines(text = '') {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const match = line.match(/^(.*?)\s+([+-])\s*\$?(\d+(?:\.\d+)?)$/);
+      if (!match) return { name: line, price: 0 };
+      const amount = Number(match[3]);
+      return { name: match[1].trim(), price: match[2] === '-' ? -amount : amount };
+    });
+}
+
+/**
+ * Modifiers back to editable lines (see parseModifierLines)
+ * @param {Array<{ name: string, price?: number }>} modifiers
+ * @returns {string}
+ */
+export function modifiersToLines(modifiers = []) {
+  return modifiers
+    .map(({ name, price }) => {
+      const amount = Number(price) || 0;
+      return amount ? `${name} ${amount > 0 ? '+' : '-'}${Math.abs(amount).toFixed(2)}` : name;
+    })
+    .join('\n');
+}
+
+const labelsFor = (keys, options) =>
+  (keys || []).map(key => options.find(option => option.key === key)?.label || key).join(', ');
+
+/**
+ * Data source rows for a menu: one per item in category and item order.
+ * Sold-out items are kept as inactive rows, which screens don't show, so
+ * they can be switched back on in place.
+ * @param {Object} menu - Menu with categories and their items (see fetchMenu)
+ * @returns {Array<{ values: Object, isActive: boolean }>}
+ */
+export function buildMenuRows(menu) {
+  const symbol = menu?.currency_symbol || '$';
+  const dayparts = menu?.dayparts || [];
+  const rows = [];
+
+  for (const category of menu?.categories || []) {
+    for (const item of category.items || []) {
+      const itemDayparts = getItemDayparts(item, category).filter(key => dayparts.some(d => d.key === key));
+      const hours = itemDayparts
+        .map(key => dayparts.find(d => d.key === key))
+        .map(daypart => `${daypart.start}-${daypart.end}`);
+
+      rows.push({
+        values: {
+          category: category.name,
+          name: item.name,
+          description: item.description || '',
+          price: item.price === null || item.price === undefined ? '' : Number(item.price).toFixed(2),
+          calories: item.calories === null || item.calories === undefined ? '' : String(item.calories),
+          allergens: labelsFor(item.allergens, MENU_ALLERGENS),
+          dietary: (item.dietary_tags || [])
+            .map(key => MENU_DIETARY_TAGS.find(tag => tag.key === key)?.short || key)
+            .join(' '),
+          modifiers: formatModifiers(item.modifiers, symbol),
+          image_url: item.image_url || '',
+          dayparts: itemDayparts.join(','),
+          hours: hours.join(','),
+          item_id: item.id,
+        },
+        isActive: !item.is_sold_out,
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Rows of a published menu that a widget shows
+ * @param {Array<Object>} rows - Row values of the menu data source
+ * @param {Object} [options]
+ * @param {string} [options.category] - Only this category
+ * @param {string} [options.daypart] - MENU_DAYPART_MODES value or a daypart key
+ * @param {number} [options.now] - Time in ms (for 'auto')
+ * @param {string} [options.timeZone] - Screen timezone (for 'auto')
+ * @returns {Array<Object>} Row values
+ */
+export function filterMenuRows(rows = [], { category, daypart = MENU_DAYPART_MODES.AUTO, now = Date.now(), timeZone } = {}) {
+  const minutes = daypart === MENU_DAYPART_MODES.AUTO ? getMinutesOfDay(now, timeZone) : null;
+
+  return rows.filter(values => {
+    if (!values) return false;
+    if (category && values.category !== category) return false;
+    if (daypart === MENU_DAYPART_MODES.ALL) return true;
+
+    if (daypart === MENU_DAYPART_MODES.AUTO) {
+      if (!values.hours) return true;
+      return values.hours.split(',').some(window => {
+        const [start, end] = window.split('-');
+        return isDaypartActive({ start, end }, minutes);
+      });
+    }
+
+    return !values.dayparts || values.dayparts.split(',').includes(daypart);
+  });
+}
+
+/**
+ * Group row values by category, keeping their order
+ * @param {Array<Object>} rows - Row values
+ * @returns {Array<{ category: string, items: Array<Object> }>}
+ */
+export function groupMenuRows(rows = []) {
+  const groups = [];
+  for (const values of rows) {
+    let group = groups[groups.length - 1];
+    if (!group || group.category !== values.category) {
+      group = groups.find(g => g.category === values.category);
+      if (!group) {
+        group = { category: values.category, items: [] };
+        groups.push(group);
+      }
+    }
+    group.items.push(values);
+  }
+  return groups;
+}
+
+// Show or hide the published rows of some items; returns the rows changed
+async function setPublishedItemsActive(dataSourceId, itemIds, isActive) {
+  const { data, error } = await supabase
+    .from('data_source_rows')
+    .update({ is_active: isActive })
+    .eq('data_source_id', dataSourceId)
+    .in('values->>item_id', itemIds)
+    .select('id');
+
+  if (error) {
+    console.error('[Menu] Failed to update published items:', error);
+    throw error;
+  }
+
+  return data || [];
+}
+
+/**
+ * Publish a menu to its data source, creating the data source the first
+ * time, and notify screens showing it
+ * @param {string} menuId - Menu UUID
+ * @param {Object} [options]
+ * @param {string} [options.clientId] - Client for a new data source
+ * @returns {Promise<{ dataSourceId: string, rowCount: number }>} rowCount counts the items in stock
+ */
+export async function publishMenu(menuId, { clientId } = {}) {
+  const menu = await fetchMenu(menuId);
+  let dataSourceId = menu.data_source_id;
+
+  if (!dataSourceId) {
+    const dataSource = await createDataSource({
+      name: `${menu.name} (Menu)`,
+      description: 'Published from Menus; edit items there',
+      type: DATA_SOURCE_TYPES.MENU,
+      clientId,
+    });
+    dataSourceId = dataSource.id;
+  }
+
+  const rows = buildMenuRows(menu);
+  const { error } = await supabase.rpc('sync_data_source_rows', {
+    p_data_source_id: dataSourceId,
+    p_new_rows: rows,
+    p_field_definitions: MENU_DATA_FIELDS,
+  });
+
+  if (error) {
+    console.error('[Menu] Failed to publish menu:', error);
+    throw error;
+  }
+
+  // sync_data_source_rows inserts every row active
+  const soldOutIds = rows.filter(row => !row.isActive).map(row => row.values.item_id);
+  if (soldOutIds.length > 0) {
+    await setPublishedItemsActive(dataSourceId, soldOutIds, false);
+  }
+
+  const { error: updateError } = await supabase
+    .from('menus')
+    .update({ data_source_id: dataSourceId, published_at: new Date().toISOString() })
+    .eq('id', menuId);
+
+  if (updateError) {
+    console.error('[Menu] Failed to record publish:', updateError);
+    throw updateError;
+  }
+
+  await broadcastDataSourceUpdate(dataSourceId);
+  return { dataSourceId, rowCount: rows.length - soldOutIds.length };
+}
+
+/**
+ * Mark an item sold out (86 it) or back in stock. If the item is on a
+ * published menu, only its published row is hidden or shown again, so the
+ * item disappears from, or returns to, every screen at once while other
+ * unpublished edits stay unpublished.
+ * @param {string} itemId - Menu item UUID
+ * @param {boolean} soldOut
+ * @returns {Promise<{ item: Object, published: boolean }>} published is false
+ *   when the item isn't on screens yet; it follows the next publish
+ */
+export async function setItemSoldOut(itemId, soldOut) {
+  const item = await updateItem(itemId, {
+    is_sold_out: !!soldOut,
+    sold_out_at: soldOut ? new Date().toISOString() : null,
+  });
+
+  const { data: menu, error } = await supabase
+    .from('menus')
+    .select('id, data_source_id')
+    .eq('id', item.menu_id)
+    .single();
+
+  if (error) {
+    console.error('[Menu] Failed to fetch menu:', error);
+    throw error;
+  }
+
+  if (!menu?.data_source_id) {
+    return { item, published: false };
+  }
+
+  const changed = await setPublishedItemsActive(menu.data_source_id, [itemId], !soldOut);
+  if (changed.length === 0) {
+    return { item, published: false };
+  }
+
+  await broadcastDataSourceUpdate(menu.data_source_id);
+  return { item, published: true };
+}
+
+// ============================================================================
+// MENUS
+// ============================================================================
+
+/**
+ * Fetch the current user's menus with category and item counts
+ * @returns {Promise<Array>}
+ */
+export async function fetchMenus() {
+  const { data, error } = await supabase
+    .from('menus')
+    .select('*, menu_categories(count), menu_items(count)')
+    .order('name');
+
+  if (error) {
+    console.error('[Menu] Failed to fetch menus:', error);
+    throw error;
+  }
+
+  return (data || []).map(({ menu_categories, menu_items, ...menu }) => ({
+    ...menu,
+    category_count: menu_categories?.[0]?.count || 0,
+    item_count: menu_items?.[0]?.count || 0,
+  }));
+}
+
+/**
+ * Fetch a menu with its categories and their items, in order
+ * @param {string} id - Menu UUID
+ * @returns {Promise<Object>} Menu with `categories[].items`
+ */
+export async function fetchMenu(id) {
+  if (!id) {
+    throw new Error('Menu ID is required');
+  }
+
+  const { data, error } = await supabase
+    .from('menus')
+    .select('*, menu_categories(*), menu_items(*)')
+    .eq('id', id)
+    .single();
+
+  if (error) {
+    console.error('[Menu] Failed to fetch menu:', error);
+    throw error;
+  }
+
+  const { menu_categories: categories = [], menu_items: items = [], ...menu } = data;
+  const byOrder = (a, b) => a.order_index - b.order_index;
+
+  return {
+    ...menu,
+    categories: [...categories].sort(byOrder).map(category => ({
+      ...category,
+      items: items.filter(item => item.category_id === category.id).sort(byOrder),
+    })),
+  };
+}
+
+/**
+ * Create a menu with the default dayparts
+ * @param {Object} menu
+ * @param {string} menu.name
+ * @param {string} [menu.description]
+ * @param {string} [menu.currencySymbol]
+ * @returns {Promise<Object>} Created menu
+ */
+export async function createMenu({ name, description = null, currencySymbol = '$' }) {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('User must be authenticated');
+  if (!name?.trim()) throw new Error('Menu name is required');
+
+  const { data, error } = await supabase
+    .from('menus')
+    .insert({
+      owner_id: user.id,
+      name: name.trim(),
+      description,
+      currency_symbol: currencySymbol,
+      dayparts: DEFAULT_DAYPARTS,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[Menu] Failed to create menu:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Update a menu's name, description, currency symbol or dayparts
+ * @param {string} id - Menu UUID
+ * @param {Object} updates
+ * @returns {Promise<Object>} Updated menu
+ */
+export async function updateMenu(id, updates) {
+  if (updates.dayparts) {
+    for (const daypart of updates.dayparts) {
+      if (!daypart.key || parseTimeOfDay(daypart.start) === null || parseTimeOfDay(daypart.end) === null) {
+        throw new Error(`Daypart "${daypart.label || daypart.key}" needs HH:MM start and end times`);
+      }
+    }
+  }
+
+  const { data, error } = await supabase
+    .from('menus')
+    .update(pickUpdates(updates, ['name', 'description', 'currency_symbol', 'dayparts'], { currencySymbol: 'currency_symbol' }))
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[Menu] Failed to update menu:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Delete a menu with its categories and items, and its published data source
+ * @param {string} id - Menu UUID
+ * @returns {Promise<void>}
+ */
+export async function deleteMenu(id) {
+  const { data: menu } = await supabase.from('menus').select('data_source_id').eq('id', id).single();
+
+  const { error } = await supabase.from('menus').delete().eq('id', id);
+  if (error) {
+    console.error('[Menu] Failed to delete menu:', error);
+    throw error;
+  }
+
+  if (menu?.data_source_id) {
+    await deleteDataSource(menu.data_source_id);
+  }
+}
+
+// ============================================================================
+// CATEGORIES AND ITEMS
+// ============================================================================
+
+const ITEM_FIELD_MAP = {
+  categoryId: 'category_id',
+  dietaryTags: 'dietary_tags',
+  imageUrl: 'image_url',
+  isSoldOut: 'is_sold_out',
+  soldOutAt: 'sold_out_at',
+  orderIndex: 'order_index',
+};
+
+const ITEM_FIELDS = [
+  'category_id', 'name', 'description', 'price', 'calories', 'allergens', 'dietary_tags',
+  'modifiers', 'image_url', 'dayparts', 'is_sold_out', 'sold_out_at', 'order_index',
+];
+
+// Allowed updates, with camelCase keys mapped to columns
+function pickUpdates(updates, allowedFields, fieldMap = {}) {
+  const filtered = {};
+  for (const [key, value] of Object.entries(updates || {})) {
+    const column = fieldMap[key] || key;
+    if (allowedFields.includes(column) && value !== undefined) {
+      filtered[column] = value;
+    }
+  }
+  if (Object.keys(filtered).length === 0) {
+    throw new Error('No valid fields to update');
+  }
+  return filtered;
+}
+
+// Next order_index among a menu's categories or a category's items
+async function nextOrderIndex(table, column, id) {
+  const { data } = await supabase
+    .from(table)
+    .select('order_index')
+    .eq(column, id)
+    .order('order_index', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return (data?.order_index ?? -1) + 1;
+}
+
+/**
+ * Add a category to the end of a menu
+ * @param {Object} category
+ * @param {string} category.menuId
+ * @param {string} category.name
+ * @param {string} [category.description]
+ * @param {string[]} [category.dayparts] - Daypart keys (empty = all day)
+ * @returns {Promise<Object>} Created category
+ */
+export async function createCategory({ menuId, name, description = null, dayparts = [] }) {
+  if (!menuId) throw new Error('Menu ID is required');
+  if (!name?.trim()) throw new Error('Category name is required');
+
+  const { data, error } = await supabase
+    .from('menu_categories')
+    .insert({
+      menu_id: menuId,
+      name: name.trim(),
+      description,
+      dayparts,
+      order_index: await nextOrderIndex('menu_categories', 'menu_id', menuId),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[Menu] Failed to create category:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Update a category's name, description, dayparts or order
+ * @param {string} id - Category UUID
+ * @param {Object} updates
+ * @returns {Promise<Object>} Updated category
+ */
+export async function updateCategory(id, updates) {
+  const { data, error } = await supabase
+    .from('menu_categories')
+    .update(pickUpdates(updates, ['name', 'description', 'dayparts', 'order_index'], { orderIndex: 'order_index' }))
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[Menu] Failed to update category:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Delete a category and its items
+ * @param {string} id - Category UUID
+ * @returns {Promise<void>}
+ */
+export async function deleteCategory(id) {
+  const { error } = await supabase.from('menu_categories').delete().eq('id', id);
+
+  if (error) {
+    console.error('[Menu] Failed to delete category:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add an item to the end of a category
+ * @param {Object} item
+ * @param {string} item.menuId
+ * @param {string} item.categoryId
+ * @param {string} item.name
+ * @param {number} [item.price]
+ * @param {number} [item.calories]
+ * @param {string[]} [item.allergens] - MENU_ALLERGENS keys
+ * @param {string[]} [item.dietaryTags] - MENU_DIETARY_TAGS keys
+ * @param {Array<{ name: string, price?: number }>} [item.modifiers]
+ * @param {string[]} [item.dayparts] - Daypart keys (empty = the category's)
+ * @returns {Promise<Object>} Created item
+ */
+export async function createItem({ menuId, categoryId, name, ...fields }) {
+  if (!menuId) throw new Error('Menu ID is required');
+  if (!categoryId) throw new Error('Category ID is required');
+  if (!name?.trim()) throw new Error('Item name is required');
+
+  const { data, error } = await supabase
+    .from('menu_items')
+    .insert({
+      allergens: [],
+      dietary_tags: [],
+      modifiers: [],
+      dayparts: [],
+      ...(Object.keys(fields).length ? pickUpdates(fields, ITEM_FIELDS, ITEM_FIELD_MAP) : {}),
+      menu_id: menuId,
+      category_id: categoryId,
+      name: name.trim(),
+      order_index: await nextOrderIndex('menu_items', 'category_id', categoryId),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[Menu] Failed to create item:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Update an item
+ * @param {string} id - Menu item UUID
+ * @param {Object} updates - camelCase or column names
+ * @returns {Promise<Object>} Updated item
+ */
+export async function updateItem(id, updates) {
+  if (!id) throw new Error('Menu item ID is required');
+
+  const { data, error } = await supabase
+    .from('menu_items')
+    .update(pickUpdates(updates, ITEM_FIELDS, ITEM_FIELD_MAP))
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[Menu] Failed to update item:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Delete an item
+ * @param {string} id - Menu item UUID
+ * @returns {Promise<void>}
+ */
+export async function deleteItem(id) {
+  const { error } = await supabase.from('menu_items').delete().eq('id', id);
+
+  if (error) {
+    console.error('[Menu] Failed to delete item:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the order of categories or items from their IDs in display order
+ * @param {'menu_categories'|'menu_items'} table
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+export async function reorderMenuEntries(table, ids) {
+  if (!['menu_categories', 'menu_items'].includes(table)) {
+    throw new Error(`Cannot reorder ${table}`);
+  }
+
+  const results = await Promise.all(
+    ids.map((id, orderIndex) => supabase.from(table).update({ order_index: orderIndex }).eq('id', id))
+  );
+
+  if (results.some(result => result.error)) {
+    console.error('[Menu] Failed to reorder:', results.filter(result => result.error));
+    throw new Error('Failed to reorder some entries');
+  }
+}
+
+export default {
+  MENU_ALLERGENS,
+  MENU_DIETARY_TAGS,
+  DEFAULT_DAYPARTS,
+  MENU_DAYPART_MODES,
+  MENU_DATA_FIELDS,
+  parseTimeOfDay,
+  getMinutesOfDay,
+  isDaypartActive,
+  getActiveDayparts,
+  getItemDayparts,
+  formatMenuPrice,
+  formatModifiers,
+  parseModifierLines,
+  modifiersToLines,
+  buildMenuRows,
+  filterMenuRows,
+  groupMenuRows,
+  publishMenu,
+  setItemSoldOut,
+  fetchMenus,
+  fetchMenu,
+  createMenu,
+  updateMenu,
+  deleteMenu,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  createItem,
+  updateItem,
+  deleteItem,
+  reorderMenuEntries,
+};
@@ -4,9 +4,11 @@
  * Handles tracking of scene playback events, player status, and offline queueing.
  * Events are queued locally and flushed periodically to reduce network overhead.
  * Integrates with offline mode for reliable delivery when connection is restored.
+ * Timestamps use the drift-corrected player clock.
  */
 
 import { supabase } from '../supabase';
+import { serverDate } from './playerClockService';
 
 // ============================================================================
 // CONFIGURATION
@@ -138,7 +140,7 @@ export function trackSceneStart({ sceneId, scheduleId, groupId }) {
     trackSceneEnd();
   }
 
-  const startedAt = new Date().toISOString();
+  const startedAt = serverDate().toISOString();
 
   currentSceneEvent = {
     eventType: EVENT_TYPES.SCENE_START,
@@ -167,7 +169,7 @@ export function trackSceneEnd() {
     return null;
   }
 
-  const endedAt = new Date();
+  const endedAt = serverDate();
   const startedAt = new Date(currentSceneEvent.startedAt);
   const durationSeconds = Math.round((endedAt - startedAt) / 1000);
 
@@ -211,7 +213,7 @@ export function trackPlayerOnline(at) {
     return;
   }
 
-  const timestamp = at ? new Date(at).toISOString() : new Date().toISOString();
+  const timestamp = at ? new Date(at).toISOString() : serverDate().toISOString();
 
   const event = {
     eventType: EVENT_TYPES.PLAYER_ONLINE,
@@ -243,7 +245,7 @@ export function trackPlayerOffline(at) {
     trackSceneEnd();
   }
 
-  const timestamp = at ? new Date(at).toISOString() : new Date().toISOString();
+  const timestamp = at ? new Date(at).toISOString() : serverDate().toISOString();
 
   const event = {
     eventType: EVENT_TYPES.PLAYER_OFFLINE,
@@ -281,7 +283,7 @@ export function trackMediaPlay({ mediaId, playlistId, durationSeconds }) {
     return;
   }
 
-  const now = new Date();
+  const now = serverDate();
   const startedAt = new Date(now.getTime() - durationSeconds * 1000);
 
   const event = {
@@ -325,7 +327,7 @@ export function trackSegmentProgress({ slideId, progress, totalDuration }) {
     sceneId: currentSceneEvent?.sceneId || null,
     groupId: deviceContext.groupId,
     locationId: deviceContext.locationId,
-    startedAt: new Date().toISOString(),
+    startedAt: serverDate().toISOString(),
     playerSessionId: sessionId,
     itemType: 'segment',
     segmentProgress: {
@@ -357,7 +359,7 @@ export function trackMediaLoad({ url, mediaType, latencyMs, bytes, cached = fals
     screenId: deviceContext.deviceId,
     sceneId: currentSceneEvent?.sceneId || null,
     groupId: deviceContext.groupId,
-    startedAt: new Date().toISOString(),
+    startedAt: serverDate().toISOString(),
     playerSessionId: sessionId,
     itemType: 'media_load',
     loadLatencyMs: latencyMs,
@@ -389,7 +391,7 @@ export function trackMediaError({ url, mediaType, error, httpStatus }) {
     screenId: deviceContext.deviceId,
     sceneId: currentSceneEvent?.sceneId || null,
     groupId: deviceContext.groupId,
-    startedAt: new Date().toISOString(),
+    startedAt: serverDate().toISOString(),
     playerSessionId: sessionId,
     itemType: 'error',
     errorDetails: {
@@ -405,12 +407,14 @@ export function trackMediaError({ url, mediaType, error, httpStatus }) {
 }
 
 /**
- * Track user interaction (pause, skip, etc.)
+ * Track user interaction (pause, skip, kiosk taps, etc.)
  * @param {Object} params - Interaction parameters
- * @param {string} params.action - 'pause' | 'resume' | 'skip' | 'replay'
+ * @param {string} params.action - 'pause' | 'resume' | 'skip' | 'replay' | 'tap' | 'idle_reset'
  * @param {string} [params.slideId] - Current slide
+ * @param {string} [params.blockId] - Tapped block
+ * @param {Object} [params.target] - Tap action, e.g. { type: 'scene', sceneId }
  */
-export function trackInteraction({ action, slideId }) {
+export function trackInteraction({ action, slideId, blockId, target }) {
   if (!deviceContext) return;
 
   const event = {
@@ -419,12 +423,14 @@ export function trackInteraction({ action, slideId }) {
     screenId: deviceContext.deviceId,
     sceneId: currentSceneEvent?.sceneId || null,
     groupId: deviceContext.groupId,
-    startedAt: new Date().toISOString(),
+    startedAt: serverDate().toISOString(),
     playerSessionId: sessionId,
     itemType: 'interaction',
     interactionDetails: {
       action,
       slideId,
+      ...(blockId && { blockId }),
+      ...(target && { target }),
     },
   };
 
@@ -446,7 +452,7 @@ export function trackNetworkChange({ level, downlink, rtt }) {
     tenantId: deviceContext.tenantId,
     screenId: deviceContext.deviceId,
     groupId: deviceContext.groupId,
-    startedAt: new Date().toISOString(),
+    startedAt: serverDate().toISOString(),
     playerSessionId: sessionId,
     itemType: 'network',
     networkQuality: level,
@@ -479,7 +485,7 @@ export function trackFrameDrop({ expectedMs, actualMs, droppedFrames }) {
     screenId: deviceContext.deviceId,
     sceneId: currentSceneEvent?.sceneId || null,
     groupId: deviceContext.groupId,
-    startedAt: new Date().toISOString(),
+    startedAt: serverDate().toISOString(),
     playerSessionId: sessionId,
     itemType: 'performance',
     frameDropDetails: {
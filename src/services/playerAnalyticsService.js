@@ -3,8 +3,11 @@
  *
  * Handles batching and sending playback events from the TV player to the backend.
  * Events are queued locally and flushed periodically to reduce network overhead.
+ * Timestamps use the drift-corrected player clock.
  */
 
+import { serverDate } from './playerClockService';
+
 // Configuration
 const FLUSH_INTERVAL_MS = 30000; // Flush every 30 seconds
 const MAX_QUEUE_SIZE = 100; // Force flush if queue exceeds this
@@ -92,7 +95,7 @@ export function startPlaybackEvent({
     campaignId: campaignId || null,
     itemType,
     itemName, // Not sent to server, just for debugging
-    startedAt: new Date().toISOString(),
+    startedAt: serverDate().toISOString(),
     playerSessionId: sessionId,
   };
 
@@ -110,7 +113,7 @@ export function endPlaybackEvent() {
     return null;
   }
 
-  const endedAt = new Date();
+  const endedAt = serverDate();
   const startedAt = new Date(currentEvent.startedAt);
   const durationSeconds = Math.round((endedAt - startedAt) / 1000);
 
@@ -0,0 +1,151 @@
+/**
+ * Player Clock Service
+ *
+ * Drift-corrected clock for the TV player. Cheap players often have no NTP
+ * and drift by minutes, so the player measures its offset to the server clock
+ * on every heartbeat (see playerService.heartbeat) and reads the time through
+ * serverNow() / serverDate() instead of Date.now() / new Date(): clocks,
+ * countdowns, validity windows and playback event timestamps all follow the
+ * server.
+ *
+ * The offset is estimated from a rolling window of heartbeat round trips, and
+ * kept in localStorage so a player that reboots offline starts from the last
+ * known offset rather than its raw clock.
+ */
+
+// Heartbeats kept for the estimate (~4 minutes at the 30s heartbeat interval)
+export const CLOCK_SAMPLE_WINDOW = 8;
+
+// A sample further than this (plus network delay) from the estimate means the
+// local clock was set, so older samples no longer apply
+export const CLOCK_STEP_TOLERANCE_MS = 1000;
+
+const STORAGE_KEY = 'player_clock_offset';
+
+let samples = [];
+let estimate = null;
+let syncedAt = null;
+let storedOffset = null;
+
+/**
+ * Estimate the offset between the local clock and the server clock from
+ * round trips, NTP style: the sample with the shortest round trip is the most
+ * accurate, and the server is assumed to answer halfway through it.
+ * @param {Array<{sentAt: number, receivedAt: number, serverTime: number}>} samples - Local send/receive and server times (ms)
+ * @returns {{offset: number, roundTrip: number}|null} Add offset to Date.now() to get server time
+ */
+export function estimateClockOffset(samples) {
+  const valid = (samples || []).filter(s =>
+    Number.isFinite(s.sentAt) && Number.isFinite(s.receivedAt) && Number.isFinite(s.serverTime)
+    && s.receivedAt >= s.sentAt
+  );
+  if (!valid.length) return null;
+
+  const best = valid.reduce((a, b) => (b.receivedAt - b.sentAt < a.receivedAt - a.sentAt ? b : a));
+  const roundTrip = best.receivedAt - best.sentAt;
+  return {
+    offset: Math.round(best.serverTime - (best.sentAt + roundTrip / 2)),
+    roundTrip,
+  };
+}
+
+function loadStoredOffset() {
+  if (storedOffset === null) {
+    const value = Number(typeof localStorage !== 'undefined' ? localStorage.getItem(STORAGE_KEY) : null);
+    storedOffset = Number.isFinite(value) ? value : 0;
+  }
+  return storedOffset;
+}
+
+/**
+ * Add a heartbeat round trip to the estimate
+ * @param {{sentAt: number, receivedAt: number, serverTime: number}} sample - Local send/receive and server times (ms)
+ * @returns {Object} Clock status, see getClockStatus()
+ */
+export function recordClockSample(sample) {
+  const single = estimateClockOffset([sample]);
+  if (!single) return getClockStatus();
+
+  if (estimate
+      && Math.abs(single.offset - estimate.offset)
+        > (single.roundTrip + estimate.roundTrip) / 2 + CLOCK_STEP_TOLERANCE_MS) {
+    samples = [];
+  }
+
+  samples = [...samples, sample].slice(-CLOCK_SAMPLE_WINDOW);
+  estimate = estimateClockOffset(samples);
+  syncedAt = sample.receivedAt;
+  storedOffset = estimate.offset;
+
+  try {
+    localStorage.setItem(STORAGE_KEY, String(estimate.offset));
+  } catch {
+    // Storage full or unavailable; the in-memory estimate still applies
+  }
+
+  return getClockStatus();
+}
+
+/**
+ * Current offset to add to the local clock (ms)
+ * @returns {number}
+ */
+export function getClockOffset() {
+  return estimate ? estimate.offset : loadStoredOffset();
+}
+
+/**
+ * @returns {{offset: number, roundTrip: number|null, synced: boolean, syncedAt: number|null}}
+ *   synced is false until a heartbeat has been measured this session
+ */
+export function getClockStatus() {
+  return {
+    offset: getClockOffset(),
+    roundTrip: estimate ? estimate.roundTrip : null,
+    synced: Boolean(estimate),
+    syncedAt,
+  };
+}
+
+/**
+ * Current server time (ms)
+ * @returns {number}
+ */
+export function serverNow() {
+  return Date.now() + getClockOffset();
+}
+
+/**
+ * Current server time as a Date
+ * @returns {Date}
+ */
+export function serverDate() {
+  return new Date(serverNow());
+}
+
+/**
+ * Forget all measurements, e.g. when the player is reset
+ */
+export function resetClock() {
+  samples = [];
+  estimate = null;
+  syncedAt = null;
+  storedOffset = null;
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Ignore unavailable storage
+  }
+}
+
+export default {
+  CLOCK_SAMPLE_WINDOW,
+  CLOCK_STEP_TOLERANCE_MS,
+  estimateClockOffset,
+  recordClockSample,
+  getClockOffset,
+  getClockStatus,
+  serverNow,
+  serverDate,
+  resetClock,
+};
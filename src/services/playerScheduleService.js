@@ -0,0 +1,138 @@
+/**
+ * Player Schedule Service
+ *
+ * Keeps sunrise/sunset schedule entries switching on an offline player. While
+ * online the player caches a snapshot of its assigned schedule: every entry
+ * with its triggers and the content it plays, plus the assigned fallback
+ * (get_player_schedule_snapshot, migration 207). Offline, the active entry is
+ * re-resolved from that snapshot with solarService the way
+ * resolve_schedule_entry does on the server, so day and night content still
+ * change over.
+ */
+
+import { supabase } from '../supabase';
+import { TIME_ANCHORS, resolveEntryTimes } from './solarService';
+
+/**
+ * Content sources the snapshot can replace. Anything above the schedule
+ * (overrides, exception calendars, campaigns, scheduled scenes) keeps playing
+ * until the player is back online.
+ */
+export const SNAPSHOT_SOURCES = ['legacy_schedule', 'assigned_layout', 'assigned_playlist'];
+
+/**
+ * Whether offline content may be switched by the snapshot: it came from the
+ * schedule or its fallback, or nothing was playing
+ * @param {Object} content - Player content
+ * @returns {boolean}
+ */
+export function followsScheduleSnapshot(content) {
+  return Boolean(content) && (!content.source || SNAPSHOT_SOURCES.includes(content.source));
+}
+
+/**
+ * Fetch the screen's schedule snapshot
+ * @param {string} screenId
+ * @returns {Promise<Object|null>} Null when the schedule has no sunrise/sunset entries
+ */
+export async function fetchScheduleSnapshot(screenId) {
+  const { data, error } = await supabase.rpc('get_player_schedule_snapshot', { p_screen_id: screenId });
+  if (error) throw error;
+  return data || null;
+}
+
+// Local date, day of week and HH:mm:ss of an instant in a timezone
+function localClock(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: timeZone || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    day: new Date(`${date}T00:00:00Z`).getUTCDay(),
+    time: `${parts.hour}:${parts.minute}:${parts.second}`
+  };
+}
+
+const withSeconds = (time) => (time && time.length === 5 ? `${time}:00` : time);
+
+function entryIsActive(entry, clock, snapshot) {
+  if (!(entry.daysOfWeek || []).includes(clock.day)) return false;
+  // Weather is unknown offline, and stale weather never matches on the server
+  if (entry.hasWeatherConditions) return false;
+
+  const solar = [entry.startAnchor, entry.endAnchor].some(a => a && a !== TIME_ANCHORS.TIME);
+  if (!solar) {
+    return (!entry.startTime || clock.time >= withSeconds(entry.startTime))
+      && (!entry.endTime || clock.time <= withSeconds(entry.endTime));
+  }
+
+  const times = resolveEntryTimes({
+    start_anchor: entry.startAnchor,
+    start_offset_minutes: entry.startOffsetMinutes,
+    start_time: entry.startTime,
+    end_anchor: entry.endAnchor,
+    end_offset_minutes: entry.endOffsetMinutes,
+    end_time: entry.endTime
+  }, {
+    date: clock.date,
+    latitude: snapshot.latitude,
+    longitude: snapshot.longitude,
+    timezone: snapshot.timezone
+  });
+  const start = withSeconds(times.start_time);
+  const end = withSeconds(times.end_time);
+  if (!start || !end) return false;
+
+  // Solar entries may wrap past midnight (e.g. sunset to sunrise)
+  if (end <= start) return clock.time >= start || clock.time < end;
+  return clock.time >= start && clock.time < end;
+}
+
+/**
+ * Content the schedule plays at an instant: the first active entry's, else
+ * the assigned fallback
+ * @param {Object} snapshot - From fetchScheduleSnapshot
+ * @param {Date} [now] - The player passes its server clock
+ * @returns {Object|null} Player content, in the get_resolved_player_content shape
+ */
+export function resolveSnapshotContent(snapshot, now = new Date()) {
+  if (!snapshot) return null;
+
+  const clock = localClock(now, snapshot.timezone);
+  const entry = (snapshot.entries || []).find(e => entryIsActive(e, clock, snapshot));
+  return entry ? entry.content : (snapshot.fallback || null);
+}
+
+/**
+ * Whether two player contents play the same thing
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function isSameContent(a, b) {
+  const key = (content) => [
+    content?.mode || content?.type,
+    content?.playlist?.id || '',
+    content?.layout?.id || '',
+    content?.playlist ? '' : (content?.items || []).map(item => item.id).join(',')
+  ].join(':');
+  return key(a) === key(b);
+}
+
+export default {
+  SNAPSHOT_SOURCES,
+  followsScheduleSnapshot,
+  fetchScheduleSnapshot,
+  resolveSnapshotContent,
+  isSameContent
+};
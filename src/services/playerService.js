@@ -2,6 +2,7 @@
 // Uses SECURITY DEFINER RPC functions for anonymous access
 // Includes offline mode support, command polling, and auto-recovery
 import { supabase } from '../supabase';
+import { getClockStatus, recordClockSample } from './playerClockService';
 
 // ============================================
 // CONSTANTS
@@ -16,16 +17,35 @@ const CACHE_STORE_NAME = 'content-cache';
 
 /**
  * Update device last_seen timestamp (call this on every content fetch)
+ *
+ * Doubles as the player's time sync: the round trip is timed against the
+ * server time the RPC returns and fed to the player clock, and the current
+ * offset estimate is reported so it shows up in screen diagnostics.
  * @param {string} screenId - The screen UUID
+ * @returns {Promise<Object|null>} Clock status (see playerClockService.getClockStatus) or null on error
  */
 export async function heartbeat(screenId) {
-  const { error } = await supabase.rpc('player_heartbeat', {
-    p_screen_id: screenId
+  const clock = getClockStatus();
+  const sentAt = Date.now();
+  const { data, error } = await supabase.rpc('player_heartbeat', {
+    p_screen_id: screenId,
+    p_clock_offset_ms: clock.synced ? clock.offset : null,
+    p_clock_round_trip_ms: clock.roundTrip
   });
+  const receivedAt = Date.now();
 
   if (error) {
     console.error('Failed to update heartbeat:', error);
+    return null;
   }
+
+  if (!data?.serverTime) return clock;
+
+  return recordClockSample({
+    sentAt,
+    receivedAt,
+    serverTime: new Date(data.serverTime).getTime()
+  });
 }
 
 /**
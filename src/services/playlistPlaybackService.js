@@ -0,0 +1,313 @@
+/**
+ * Playlist Playback Service
+ *
+ * Builds the order a playlist plays in on the player:
+ * - sequential, shuffled, or weighted random (items picked in proportion to
+ *   their weight)
+ * - nested playlists (items of type 'playlist') play all of their items, in
+ *   their own mode, where they sit
+ * - interleave rules insert items from other playlists, e.g. one item from
+ *   "Ads" after every 3 items
+ *
+ * Random modes are seeded with the playlist's seed and the cycle number, so
+ * the same cycle always plays in the same order on every screen, in the
+ * editor preview and in proof-of-play.
+ */
+
+/**
+ * How a playlist orders its items
+ */
+export const PLAYBACK_MODES = {
+  SEQUENTIAL: 'sequential',
+  SHUFFLE: 'shuffle',
+  WEIGHTED: 'weighted',
+};
+
+export const PLAYBACK_MODE_OPTIONS = [
+  { value: PLAYBACK_MODES.SEQUENTIAL, label: 'In order', description: 'Plays items in playlist order' },
+  { value: PLAYBACK_MODES.SHUFFLE, label: 'Shuffle', description: 'Plays every item once per cycle, in a random order' },
+  { value: PLAYBACK_MODES.WEIGHTED, label: 'Weighted random', description: 'Picks items at random; higher weights play more often' },
+];
+
+/**
+ * Playlists nested deeper than this are not expanded (matches the server)
+ */
+export const MAX_NESTING_DEPTH = 3;
+
+/**
+ * Seeded pseudo-random number generator (mulberry32 over a string hash)
+ * @param {string|number} seed
+ * @returns {() => number} Returns numbers in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let h = 1779033703 ^ String(seed).length;
+  for (const char of String(seed)) {
+    h = Math.imul(h ^ char.charCodeAt(0), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+
+  let state = h >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Playback mode of a player playlist ({ playbackMode }) or database row
+ * ({ playback_mode }). Playlists without one fall back to the shuffle flag.
+ * @param {Object|null} playlist
+ * @returns {string} One of PLAYBACK_MODES
+ */
+export function getPlaybackMode(playlist) {
+  const mode = playlist?.playbackMode || playlist?.playback_mode;
+  if (Object.values(PLAYBACK_MODES).includes(mode)) return mode;
+  return playlist?.shuffle ? PLAYBACK_MODES.SHUFFLE : PLAYBACK_MODES.SEQUENTIAL;
+}
+
+/**
+ * @param {Object|null} playlist
+ * @returns {string} The playlist's seed, its ID when it has none
+ */
+export function getPlaybackSeed(playlist) {
+  return playlist?.playbackSeed || playlist?.playback_seed || playlist?.playlistId || playlist?.id || '';
+}
+
+/**
+ * @param {Object} item
+ * @returns {number} The item's weight, 1 when missing or invalid
+ */
+export function getItemWeight(item) {
+  const weight = Number(item?.weight);
+  return Number.isFinite(weight) && weight > 0 ? weight : 1;
+}
+
+function pickWeighted(items, random) {
+  const total = items.reduce((sum, item) => sum + getItemWeight(item), 0);
+  let target = random() * total;
+  for (const item of items) {
+    target -= getItemWeight(item);
+    if (target < 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+/**
+ * Order one level of items for a mode
+ * @param {Array<Object>} items
+ * @param {string} mode - One of PLAYBACK_MODES
+ * @param {() => number} random - Seeded random source
+ * @returns {Array<Object>} Sequential and shuffle return each item once;
+ *   weighted returns as many picks as there are items, never the same item
+ *   twice in a row
+ */
+export function orderItems(items, mode, random) {
+  const list = [...(items || [])];
+  if (list.length < 2) return list;
+
+  if (mode === PLAYBACK_MODES.SHUFFLE) {
+    for (let i = list.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+  }
+
+  if (mode === PLAYBACK_MODES.WEIGHTED) {
+    const picks = [];
+    for (let i = 0; i < list.length; i++) {
+      const previous = picks[picks.length - 1];
+      picks.push(pickWeighted(list.filter(item => item !== previous), random));
+    }
+    return picks;
+  }
+
+  return list;
+}
+
+function latest(a, b) {
+  if (a == null) return b ?? null;
+  if (b == null) return a;
+  return new Date(a) >= new Date(b) ? a : b;
+}
+
+function earliest(a, b) {
+  if (a == null) return b ?? null;
+  if (b == null) return a;
+  return new Date(a) <= new Date(b) ? a : b;
+}
+
+// A nested playlist's rules, weather and window also apply to its items
+function inheritFromParent(item, parent) {
+  return {
+    ...item,
+    triggerRules: [...(parent.triggerRules || []), ...(item.triggerRules || [])],
+    weatherConditions: [...(parent.weatherConditions || []), ...(item.weatherConditions || [])],
+    validFrom: latest(parent.validFrom, item.validFrom),
+    validUntil: earliest(parent.validUntil, item.validUntil),
+    sourcePlaylistId: item.sourcePlaylistId || parent.playlistId,
+  };
+}
+
+/**
+ * Order a playlist level and expand its nested playlists into their items
+ * @param {Array<Object>} items
+ * @param {Object} options
+ * @param {string} options.mode
+ * @param {string} options.seed
+ * @param {number} options.cycle
+ * @param {number} [options.depth=0]
+ * @returns {Array<Object>} Leaf items in play order
+ */
+export function expandPlaylistItems(items, { mode, seed, cycle, depth = 0 }) {
+  const ordered = orderItems(items, mode, createSeededRandom(`${seed}:${cycle}`));
+  const occurrences = new Map();
+
+  return ordered.flatMap((item) => {
+    if (item?.type !== 'playlist') return [item];
+    if (depth >= MAX_NESTING_DEPTH) return [];
+
+    // A nested playlist picked twice in one cycle plays a fresh order each time
+    const occurrence = occurrences.get(item.id) || 0;
+    occurrences.set(item.id, occurrence + 1);
+
+    return expandPlaylistItems(item.items || [], {
+      mode: getPlaybackMode(item),
+      seed: `${getPlaybackSeed(item)}#${occurrence}`,
+      cycle,
+      depth: depth + 1,
+    }).map(child => inheritFromParent(child, item));
+  });
+}
+
+/**
+ * Items a source playlist contributes to interleaving, continuing across
+ * cycles of the host playlist
+ */
+function takeInterleaveItems(source, start, count) {
+  const cycleOf = sourceCycle => expandPlaylistItems(source.items || [], {
+    mode: getPlaybackMode(source),
+    seed: getPlaybackSeed(source),
+    cycle: sourceCycle,
+    depth: 1,
+  });
+
+  // A source cycle's length does not depend on the cycle number
+  const length = cycleOf(0).length;
+  if (!length) return [];
+
+  const cycles = new Map();
+  const taken = [];
+  for (let i = start; i < start + count; i++) {
+    const sourceCycle = Math.floor(i / length);
+    if (!cycles.has(sourceCycle)) cycles.set(sourceCycle, cycleOf(sourceCycle));
+
+    const item = cycles.get(sourceCycle)[i % length];
+    taken.push({ ...item, sourcePlaylistId: item.sourcePlaylistId || source.playlistId });
+  }
+  return taken;
+}
+
+/**
+ * Insert items from interleave sources between a sequence's items
+ * @param {Array<Object>} sequence - Host items in play order
+ * @param {Array<Object>} interleave - [{ playlistId, every, count, playbackMode, playbackSeed, items }]
+ * @param {Object} [options]
+ * @param {number} [options.cycle=0] - Host cycle, so sources continue where the last cycle stopped
+ * @returns {Array<Object>}
+ */
+export function applyInterleaveRules(sequence, interleave, { cycle = 0 } = {}) {
+  const rules = (interleave || []).filter(rule => rule.every >= 1 && rule.count >= 1 && rule.items?.length);
+  if (!rules.length || !sequence.length) return sequence;
+
+  const inserts = rules.map((rule) => {
+    const perCycle = Math.floor(sequence.length / rule.every) * rule.count;
+    return takeInterleaveItems(rule, cycle * perCycle, perCycle);
+  });
+  const used = rules.map(() => 0);
+
+  return sequence.flatMap((item, index) => {
+    const played = [item];
+    rules.forEach((rule, r) => {
+      if ((index + 1) % rule.every === 0) {
+        played.push(...inserts[r].slice(used[r], used[r] + rule.count));
+        used[r] += rule.count;
+      }
+    });
+    return played;
+  });
+}
+
+/**
+ * The play order of a playlist for one cycle
+ * @param {Object|null} playlist - Player playlist ({ id, playbackMode, playbackSeed, interleave, shuffle })
+ * @param {Array<Object>} items - Player items, possibly with nested playlists
+ * @param {Object} [options]
+ * @param {number} [options.cycle=0] - How many times the playlist has played through
+ * @returns {Array<Object>} New item objects (one per play slot) with sequenceIndex
+ */
+export function buildPlaybackSequence(playlist, items, { cycle = 0 } = {}) {
+  const sequence = expandPlaylistItems(items || [], {
+    mode: getPlaybackMode(playlist),
+    seed: getPlaybackSeed(playlist),
+    cycle,
+  });
+
+  return applyInterleaveRules(sequence, playlist?.interleave, { cycle })
+    .map((item, sequenceIndex) => ({ ...item, sequenceIndex }));
+}
+
+/**
+ * Whether the play order changes from one cycle to the next
+ * @param {Object|null} playlist
+ * @param {Array<Object>} items
+ * @returns {boolean}
+ */
+export function isPlaybackDynamic(playlist, items) {
+  if (getPlaybackMode(playlist) !== PLAYBACK_MODES.SEQUENTIAL) return true;
+  if (playlist?.interleave?.some(rule => rule.items?.length)) return true;
+  return (items || []).some(item => item?.type === 'playlist' && isPlaybackDynamic(item, item.items));
+}
+
+/**
+ * Validate interleave rules before saving
+ * @param {Array<Object>} rules - [{ playlistId, every, count }]
+ * @param {string} [playlistId] - The playlist being edited, which cannot interleave itself
+ * @returns {Array<Object>} Normalized rules
+ * @throws {Error} If a rule is incomplete
+ */
+export function normalizeInterleaveRules(rules, playlistId = null) {
+  if (!Array.isArray(rules)) return [];
+
+  return rules.map((rule, index) => {
+    const label = `Interleave rule ${index + 1}`;
+    const every = Number(rule?.every);
+    const count = Number(rule?.count ?? 1);
+
+    if (!rule?.playlistId) throw new Error(`${label}: choose a playlist`);
+    if (rule.playlistId === playlistId) throw new Error(`${label}: a playlist cannot interleave itself`);
+    if (!Number.isInteger(every) || every < 1 || !Number.isInteger(count) || count < 1) {
+      throw new Error(`${label}: every and count must be whole numbers from 1`);
+    }
+
+    return { playlistId: rule.playlistId, every, count };
+  });
+}
+
+export default {
+  PLAYBACK_MODES,
+  PLAYBACK_MODE_OPTIONS,
+  MAX_NESTING_DEPTH,
+  createSeededRandom,
+  getPlaybackMode,
+  getPlaybackSeed,
+  getItemWeight,
+  orderItems,
+  expandPlaylistItems,
+  applyInterleaveRules,
+  buildPlaybackSequence,
+  isPlaybackDynamic,
+  normalizeInterleaveRules,
+};
@@ -9,15 +9,24 @@
  */
 import { supabase } from '../supabase';
 import { logActivity, ACTIONS, RESOURCE_TYPES } from './activityLogService';
+import { normalizeTriggerRules } from './contentTriggerService';
+import { normalizeWeatherConditions } from './weatherConditionService';
+import { normalizeValidityWindow } from './contentValidityService';
+import { PLAYBACK_MODES, normalizeInterleaveRules } from './playlistPlaybackService';
 
 /**
  * @typedef {Object} PlaylistItem
  * @property {string} id - Playlist item UUID
  * @property {string} playlist_id - Parent playlist UUID
- * @property {'media'|'app'} item_type - Type of content
- * @property {string} item_id - Referenced media/app UUID
+ * @property {'media'|'app'|'playlist'|'collection'} item_type - Type of content
+ * @property {string} item_id - Referenced media/app/playlist/collection UUID
  * @property {number} position - Display order position
  * @property {number|null} duration - Override duration in seconds
+ * @property {Array<Object>} trigger_rules - Data-driven show/hide/prioritize rules
+ * @property {Array<Object>} weather_conditions - Weather the item plays in
+ * @property {string|null} valid_from - Item does not play before this ISO timestamp
+ * @property {string|null} valid_until - Item stops playing at this ISO timestamp
+ * @property {number} weight - Relative play frequency in weighted playback
  * @property {Object} [media] - Nested media asset data
  */
 
@@ -29,7 +38,10 @@ import { logActivity, ACTIONS, RESOURCE_TYPES } from './activityLogService';
  * @property {string|null} description - Playlist description
  * @property {number} default_duration - Default item duration in seconds
  * @property {'fade'|'slide'|'none'} transition_effect - Transition between items
- * @property {boolean} shuffle - Whether to shuffle playback order
+ * @property {boolean} shuffle - Whether to shuffle playback order (kept in sync with playback_mode)
+ * @property {'sequential'|'shuffle'|'weighted'} playback_mode - How items are ordered (see playlistPlaybackService)
+ * @property {string|null} playback_seed - Seed for random modes, the playlist ID when null
+ * @property {Array<{playlistId: string, every: number, count: number}>} interleave_rules - Items inserted from other playlists
  * @property {string} created_at - ISO timestamp
  * @property {string} updated_at - ISO timestamp
  * @property {PlaylistItem[]} [items] - Playlist items when fetched
@@ -92,7 +104,10 @@ export async function createPlaylist({
   description = null,
   defaultDuration = 10,
   transitionEffect = 'fade',
-  shuffle = false
+  shuffle = false,
+  playbackMode = null,
+  playbackSeed = null,
+  interleaveRules = []
 }) {
   const { data: { user } } = await supabase.auth.getUser();
   if (!user) throw new Error('User must be authenticated');
@@ -105,7 +120,10 @@ export async function createPlaylist({
       description,
       default_duration: defaultDuration,
       transition_effect: transitionEffect,
-      shuffle
+      shuffle: playbackMode ? playbackMode === PLAYBACK_MODES.SHUFFLE : shuffle,
+      playback_mode: playbackMode || (shuffle ? PLAYBACK_MODES.SHUFFLE : PLAYBACK_MODES.SEQUENTIAL),
+      playback_seed: playbackSeed,
+      interleave_rules: interleaveRules
     })
     .select()
     .single();
@@ -129,7 +147,16 @@ export async function createPlaylist({
  * Update a playlist
  */
 export async function updatePlaylist(id, updates) {
-  const allowedFields = ['name', 'description', 'default_duration', 'transition_effect', 'shuffle'];
+  const allowedFields = [
+    'name',
+    'description',
+    'default_duration',
+    'transition_effect',
+    'shuffle',
+    'playback_mode',
+    'playback_seed',
+    'interleave_rules',
+  ];
 
   const filteredUpdates = {};
   for (const key of allowedFields) {
@@ -138,6 +165,16 @@ export async function updatePlaylist(id, updates) {
     }
   }
 
+  // Older clients only know the shuffle flag; keep both in sync
+  if ('playback_mode' in filteredUpdates) {
+    filteredUpdates.shuffle = filteredUpdates.playback_mode === PLAYBACK_MODES.SHUFFLE;
+  } else if ('shuffle' in filteredUpdates) {
+    filteredUpdates.playback_mode = filteredUpdates.shuffle ? PLAYBACK_MODES.SHUFFLE : PLAYBACK_MODES.SEQUENTIAL;
+  }
+  if ('interleave_rules' in filteredUpdates) {
+    filteredUpdates.interleave_rules = normalizeInterleaveRules(filteredUpdates.interleave_rules, id);
+  }
+
   const { data, error } = await supabase
     .from('playlists')
     .update(filteredUpdates)
@@ -276,6 +313,87 @@ export async function updatePlaylistItemDuration(itemId, duration) {
   return data;
 }
 
+/**
+ * Update a playlist item's trigger rules
+ * @param {string} itemId - Playlist item UUID
+ * @param {Array<Object>} rules - Rules (see contentTriggerService)
+ * @returns {Promise<PlaylistItem>} Updated item
+ * @throws {Error} If a rule is incomplete or the update fails
+ */
+export async function updatePlaylistItemTriggers(itemId, rules) {
+  const { data, error } = await supabase
+    .from('playlist_items')
+    .update({ trigger_rules: normalizeTriggerRules(rules) })
+    .eq('id', itemId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a playlist item's weather conditions
+ * @param {string} itemId - Playlist item UUID
+ * @param {Array<Object>} conditions - Conditions (see weatherConditionService)
+ * @returns {Promise<PlaylistItem>} Updated item
+ * @throws {Error} If a condition is incomplete or the update fails
+ */
+export async function updatePlaylistItemWeather(itemId, conditions) {
+  const { data, error } = await supabase
+    .from('playlist_items')
+    .update({ weather_conditions: normalizeWeatherConditions(conditions) })
+    .eq('id', itemId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a playlist item's validity window
+ * @param {string} itemId - Playlist item UUID
+ * @param {{validFrom?: string|null, validUntil?: string|null}} window - Empty values are open-ended
+ * @returns {Promise<PlaylistItem>} Updated item
+ * @throws {Error} If the window is invalid or the update fails
+ */
+export async function updatePlaylistItemValidity(itemId, window) {
+  const { data, error } = await supabase
+    .from('playlist_items')
+    .update(normalizeValidityWindow(window))
+    .eq('id', itemId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a playlist item's weight for weighted playback
+ * @param {string} itemId - Playlist item UUID
+ * @param {number} weight - Relative play frequency, e.g. 2 plays twice as often as 1
+ * @returns {Promise<PlaylistItem>} Updated item
+ * @throws {Error} If the weight is not positive or the update fails
+ */
+export async function updatePlaylistItemWeight(itemId, weight) {
+  const value = Number(weight);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('Weight must be greater than 0');
+  }
+
+  const { data, error } = await supabase
+    .from('playlist_items')
+    .update({ weight: value })
+    .eq('id', itemId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
 /**
  * Get playlist usage - where this playlist is being used
  */
@@ -348,7 +466,10 @@ export async function duplicatePlaylist(id) {
     description: original.description,
     defaultDuration: original.default_duration,
     transitionEffect: original.transition_effect,
-    shuffle: original.shuffle
+    shuffle: original.shuffle,
+    playbackMode: original.playback_mode,
+    playbackSeed: original.playback_seed,
+    interleaveRules: original.interleave_rules || []
   });
 
   // Copy all items
@@ -358,7 +479,8 @@ export async function duplicatePlaylist(id) {
       item_type: item.item_type,
       item_id: item.item_id,
       position: item.position,
-      duration: item.duration
+      duration: item.duration,
+      weight: item.weight ?? 1
     }));
 
     const { error } = await supabase
@@ -0,0 +1,261 @@
+/**
+ * Proof of Play Service
+ *
+ * Builds proof-of-play reports for advertisers: every campaign play recorded in
+ * playback_events for a time window, narrowed by campaign, advertiser or screen,
+ * with delivery totals from get_campaign_playback_stats.
+ *
+ * Reports carry a SHA-256 hash over their rows. Each row is serialized as
+ *   id|started_at|ended_at|duration_seconds|screen_id|campaign_id|media_id
+ * (timestamps as UTC ISO 8601 with milliseconds) and the lines are joined with
+ * "\n" in report order. The hash is computed by the server from
+ * playback_events and stored with the report (create_proof_of_play_report,
+ * migration 200); an exported report verifies only against that stored hash,
+ * so edited, added or removed plays are detected even if the file's own hash
+ * was recomputed.
+ */
+
+import { supabase } from '../supabase';
+import { getCampaignStats } from './campaignService';
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Reports stop at this many plays; narrow the window or filters beyond it
+ */
+export const MAX_REPORT_ROWS = 100000;
+
+export const PROOF_OF_PLAY_HASH_ALGORITHM = 'SHA-256';
+
+const CANONICAL_FIELDS = ['id', 'started_at', 'ended_at', 'duration_seconds', 'screen_id', 'campaign_id', 'media_id'];
+const TIMESTAMP_FIELDS = new Set(['started_at', 'ended_at']);
+
+/**
+ * Serialize a report row for hashing
+ * @param {Object} row - Proof-of-play row
+ * @returns {string}
+ */
+export function canonicalizeProofOfPlayRow(row) {
+  return CANONICAL_FIELDS.map((field) => {
+    const value = row[field];
+    if (value === null || value === undefined) return '';
+    // Same format as the server: PostgREST returns microseconds and offsets
+    return TIMESTAMP_FIELDS.has(field) ? new Date(value).toISOString() : value.toString();
+  }).join('|');
+}
+
+/**
+ * SHA-256 over report rows, in order
+ * @param {Array} rows - Proof-of-play rows
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashProofOfPlayRows(rows) {
+  const data = new TextEncoder().encode(rows.map(canonicalizeProofOfPlayRow).join('\n'));
+  const hashBuffer = await crypto.subtle.digest(PROOF_OF_PLAY_HASH_ALGORITHM, data);
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check a report's rows against the hash the server stored when the report
+ * was generated. The hash carried in the report itself is not trusted.
+ * @param {Object} report - { id, rows }, e.g. from buildProofOfPlayReport
+ * @returns {Promise<boolean>}
+ */
+export async function verifyProofOfPlayReport(report) {
+  if (!report?.id || !Array.isArray(report.rows)) return false;
+
+  const { data, error } = await supabase.rpc('verify_proof_of_play_report', {
+    p_report_id: report.id,
+    p_hash: await hashProofOfPlayRows(report.rows)
+  });
+
+  if (error) throw error;
+  return data?.valid === true;
+}
+
+function toIso(value) {
+  return (value instanceof Date ? value : new Date(value)).toISOString();
+}
+
+// Tenant whose plays a report covers: the client being managed, else the user
+async function resolveReportTenant() {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('User must be authenticated');
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('id, managed_tenant_id')
+    .eq('id', user.id)
+    .single();
+
+  return profile?.managed_tenant_id || user.id;
+}
+
+/**
+ * Fetch a tenant's campaign plays page by page, as the server hashed them: recorded by
+ * the time the report was generated
+ */
+async function fetchPlays({ tenantId, campaignIds, screenId, from, to, recordedBy }) {
+  const plays = [];
+
+  for (let offset = 0; offset < MAX_REPORT_ROWS; offset += PAGE_SIZE) {
+    let query = supabase
+      .from('playback_events')
+      .select(`
+        id, started_at, ended_at, duration_seconds, screen_id, campaign_id, media_id,
+        tv_devices(device_name),
+        locations(name),
+        campaigns(name, advertiser),
+        media_assets(name)
+      `)
+      .eq('tenant_id', tenantId)
+      .gte('started_at', from)
+      .lt('started_at', to)
+      .lte('created_at', recordedBy)
+      .order('started_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, Math.min(offset + PAGE_SIZE, MAX_REPORT_ROWS) - 1);
+
+    query = campaignIds
+      ? query.in('campaign_id', campaignIds)
+      : query.not('campaign_id', 'is', null);
+
+    if (screenId) {
+      query = query.eq('screen_id', screenId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    plays.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return plays;
+}
+
+/**
+ * Build a proof-of-play report
+ * @param {Object} options
+ * @param {Date|string} options.from - Window start (inclusive)
+ * @param {Date|string} options.to - Window end (exclusive)
+ * @param {string} [options.campaignId] - Single campaign
+ * @param {string} [options.advertiser] - All campaigns of an advertiser
+ * @param {string} [options.screenId] - Single screen
+ * @param {string} [options.tenantId] - Tenant whose plays are reported; defaults to the
+ *   client being managed, else the current user
+ * @returns {Promise<Object>} { id, window, filters, rows, totals, campaigns, hash, hash_algorithm, truncated, generated_at }
+ */
+export async function buildProofOfPlayReport({
+  from,
+  to,
+  campaignId = null,
+  advertiser = null,
+  screenId = null,
+  tenantId = null
+}) {
+  if (!from || !to) throw new Error('Report window is required');
+  const range = { from: toIso(from), to: toIso(to) };
+  if (range.from >= range.to) throw new Error('Report window must end after it starts');
+
+  // Server and client must select the same tenant's plays
+  const reportTenantId = tenantId || await resolveReportTenant();
+
+  // The server hashes the plays and stores the report first
+  const { data: registered, error } = await supabase.rpc('create_proof_of_play_report', {
+    p_from: range.from,
+    p_to: range.to,
+    p_campaign_id: campaignId,
+    p_advertiser: advertiser,
+    p_screen_id: screenId,
+    p_tenant_id: reportTenantId
+  });
+
+  if (error) throw error;
+
+  const campaignIds = registered.campaign_ids;
+  const plays = campaignIds?.length === 0
+    ? []
+    : await fetchPlays({
+      tenantId: registered.tenant_id,
+      campaignIds,
+      screenId,
+      ...range,
+      recordedBy: registered.generated_at
+    });
+
+  const rows = plays.map(play => ({
+    id: play.id,
+    started_at: play.started_at,
+    ended_at: play.ended_at,
+    duration_seconds: play.duration_seconds,
+    screen_id: play.screen_id,
+    screen_name: play.tv_devices?.device_name || '',
+    location_name: play.locations?.name || '',
+    campaign_id: play.campaign_id,
+    campaign_name: play.campaigns?.name || '',
+    advertiser: play.campaigns?.advertiser || '',
+    media_id: play.media_id,
+    media_name: play.media_assets?.name || ''
+  }));
+
+  const reportCampaignIds = new Set(campaignIds || rows.map(r => r.campaign_id));
+  const stats = await getCampaignStats(new Date(range.from), new Date(range.to), registered.tenant_id);
+  const campaigns = stats
+    .filter(s => reportCampaignIds.has(s.campaign_id))
+    .map(s => ({
+      campaign_id: s.campaign_id,
+      campaign_name: s.campaign_name,
+      delivered: s.delivered,
+      goal: s.goal,
+      delivery_rate: s.delivery_rate
+    }));
+
+  // Rows hidden by RLS or changed since would not verify later
+  const hash = await hashProofOfPlayRows(rows);
+  if (rows.length !== registered.row_count || hash !== registered.hash) {
+    throw new Error('Report plays do not match the registered report; generate it again');
+  }
+
+  return {
+    id: registered.id,
+    generated_at: registered.generated_at,
+    window: range,
+    filters: { campaignId, advertiser, screenId },
+    rows,
+    totals: {
+      plays: rows.length,
+      duration_seconds: rows.reduce((sum, r) => sum + (r.duration_seconds || 0), 0),
+      screens: new Set(rows.map(r => r.screen_id)).size
+    },
+    campaigns,
+    hash: registered.hash,
+    hash_algorithm: registered.hash_algorithm || PROOF_OF_PLAY_HASH_ALGORITHM,
+    truncated: registered.truncated
+  };
+}
+
+/**
+ * Distinct advertisers for report filters
+ * @returns {Promise<Array<string>>}
+ */
+export async function fetchAdvertisers() {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .select('advertiser')
+    .not('advertiser', 'is', null)
+    .order('advertiser', { ascending: true });
+
+  if (error) throw error;
+  return [...new Set((data || []).map(c => c.advertiser).filter(Boolean))];
+}
+
+export default {
+  MAX_REPORT_ROWS,
+  PROOF_OF_PLAY_HASH_ALGORITHM,
+  canonicalizeProofOfPlayRow,
+  hashProofOfPlayRows,
+  verifyProofOfPlayReport,
+  buildProofOfPlayReport,
+  fetchAdvertisers
+};
@@ -231,6 +231,61 @@ export function subscribeToContentUpdates(sceneId, onUpdate) {
   return unsubscribe;
 }
 
+/**
+ * Subscribe to changes of a device's screen group, e.g. a video wall's layout
+ * or sync epoch
+ * @param {string} groupId - Screen group UUID
+ * @param {function} onChange - Callback with the updated group row
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeToScreenGroup(groupId, onChange) {
+  if (!groupId || !onChange) {
+    console.warn('[RealtimeService] Invalid params for subscribeToScreenGroup');
+    return () => {};
+  }
+
+  const channelName = `screen_group:${groupId}`;
+
+  if (subscriptions.has(channelName)) {
+    console.log('[RealtimeService] Already subscribed to', channelName);
+    return subscriptions.get(channelName).unsubscribe;
+  }
+
+  console.log('[RealtimeService] Subscribing to screen group:', groupId);
+
+  const channel = supabase
+    .channel(channelName)
+    .on(
+      'postgres_changes',
+      {
+        event: 'UPDATE',
+        schema: 'public',
+        table: 'screen_groups',
+        filter: `id=eq.${groupId}`,
+      },
+      (payload) => {
+        console.log('[RealtimeService] Screen group changed:', groupId);
+        onChange(payload.new);
+      }
+    )
+    .subscribe((status) => {
+      console.log('[RealtimeService] Screen group channel status:', status);
+      if (status === 'SUBSCRIBED') {
+        isConnected = true;
+      }
+    });
+
+  const unsubscribe = () => {
+    console.log('[RealtimeService] Unsubscribing from', channelName);
+    supabase.removeChannel(channel);
+    subscriptions.delete(channelName);
+  };
+
+  subscriptions.set(channelName, { channel, unsubscribe, type: 'group' });
+
+  return unsubscribe;
+}
+
 /**
  * Subscribe to all player-relevant events for a device
  * Convenience function that sets up all subscriptions at once
@@ -322,6 +377,7 @@ export default {
   subscribeToDeviceCommands,
   subscribeToDeviceRefresh,
   subscribeToContentUpdates,
+  subscribeToScreenGroup,
   subscribeToPlayer,
   unsubscribeAll,
   getStatus,
@@ -0,0 +1,484 @@
+/**
+ * REST Data Source Service
+ *
+ * Service for fetching and syncing data sources from JSON/REST APIs.
+ * A linked source polls a URL with its own headers and auth, picks the rows
+ * out of the response with a JSONPath-style selector and maps each row's
+ * fields onto data source fields.
+ *
+ * Features:
+ * - Build requests with custom headers, bearer/basic/API key auth
+ * - Select rows with paths like $.data.items[*] or results[0].entries
+ * - Map response fields (including nested paths) to typed fields
+ * - Sync data sources through the same sync log, review hold and broadcast as Google Sheets
+ */
+
+import { supabase } from '../supabase';
+import { FIELD_DATA_TYPES } from './dataSourceService';
+import {
+  SYNC_STATUS,
+  normalizeHeaderName,
+  detectChangedRows,
+  generateFieldDefinitions,
+  commitSyncChanges,
+  updateSyncStatus,
+} from './googleSheetsService';
+
+// Abort requests that take longer than this
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Maximum rows kept from a response
+const MAX_ROWS = 1000;
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Supported authentication types
+ */
+export const REST_AUTH_TYPES = {
+  NONE: 'none',
+  BEARER: 'bearer',
+  BASIC: 'basic',
+  API_KEY: 'api_key',
+};
+
+/**
+ * Where an API key is sent
+ */
+export const API_KEY_LOCATIONS = {
+  HEADER: 'header',
+  QUERY: 'query',
+};
+
+/**
+ * Encode a string as base64, including non-ASCII characters
+ * @param {string} text
+ * @returns {string}
+ */
+function encodeBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Parse header lines ("Name: value", one per line) into an object
+ * @param {string} text - Header lines
+ * @returns {Object<string, string>} Headers
+ */
+export function parseHeaderLines(text) {
+  const headers = {};
+  (text || '').split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0) return;
+    const name = line.slice(0, separator).trim();
+    if (name) headers[name] = line.slice(separator + 1).trim();
+  });
+  return headers;
+}
+
+/**
+ * Build the fetch request for a REST data source
+ * @param {object} config - Integration config
+ * @param {string} config.url - http(s) URL returning JSON
+ * @param {Object<string, string>} [config.headers] - Extra request headers
+ * @param {object} [config.auth] - { type, token, username, password, keyName, keyValue, keyLocation }
+ * @returns {{url: string, options: object}}
+ */
+export function buildRestRequest(config) {
+  let url;
+  try {
+    url = new URL(config?.url?.trim());
+  } catch {
+    throw new Error('A valid API URL is required');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('API URL must use http or https');
+  }
+
+  const headers = { Accept: 'application/json', ...(config.headers || {}) };
+  const auth = config.auth || {};
+
+  switch (auth.type) {
+    case REST_AUTH_TYPES.BEARER:
+      if (auth.token) headers.Authorization = `Bearer ${auth.token}`;
+      break;
+
+    case REST_AUTH_TYPES.BASIC:
+      headers.Authorization = `Basic ${encodeBase64(`${auth.username || ''}:${auth.password || ''}`)}`;
+      break;
+
+    case REST_AUTH_TYPES.API_KEY:
+      if (!auth.keyName) break;
+      if (auth.keyLocation === API_KEY_LOCATIONS.QUERY) {
+        url.searchParams.set(auth.keyName, auth.keyValue || '');
+      } else {
+        headers[auth.keyName] = auth.keyValue || '';
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return {
+    url: url.toString(),
+    options: { method: 'GET', headers },
+  };
+}
+
+// ============================================================================
+// JSON PATH SELECTION
+// ============================================================================
+
+/**
+ * Split a path into segments: keys, array indexes and '*' wildcards.
+ * Accepts $.a.b, a.b, a[0], a[*], a.* and ['key with spaces'].
+ * @param {string} path
+ * @returns {Array<string|number>}
+ */
+function parseJsonPath(path) {
+  const text = (path || '').trim().replace(/^\$/, '');
+  const segments = [];
+  const pattern = /\.?([^.[\]]+)|\[(\d+|\*)\]|\[\s*(['"])(.*?)\3\s*\]/g;
+  let match;
+  let position = 0;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index !== position) break;
+    position = pattern.lastIndex;
+    if (match[1] !== undefined) segments.push(match[1]);
+    else if (match[2] !== undefined) segments.push(match[2] === '*' ? '*' : Number(match[2]));
+    else segments.push(match[4]);
+  }
+
+  if (position !== text.length) {
+    throw new Error(`Invalid path: ${path}`);
+  }
+  return segments;
+}
+
+/**
+ * Select values from parsed JSON with a JSONPath-style path
+ * @param {any} json - Parsed JSON
+ * @param {string} path - e.g. '$.data.items[*].name'; '$' or '' selects the root
+ * @returns {any[]} Matched values (wildcards can match many)
+ */
+export function selectJsonPath(json, path) {
+  let nodes = [json];
+
+  for (const segment of parseJsonPath(path)) {
+    nodes = nodes.flatMap(node => {
+      if (node === null || typeof node !== 'object') return [];
+      if (segment === '*') return Array.isArray(node) ? node : Object.values(node);
+      return node[segment] === undefined ? [] : [node[segment]];
+    });
+  }
+
+  return nodes;
+}
+
+/**
+ * Pick the rows out of a response
+ * @param {any} json - Parsed JSON
+ * @param {string} [rowPath] - Path to the rows; an array match is used as the row list
+ * @returns {any[]} Rows
+ */
+export function selectRows(json, rowPath = '$') {
+  const matches = selectJsonPath(json, rowPath);
+  if (matches.length === 0) {
+    throw new Error(`No data found at ${rowPath || '$'}`);
+  }
+  if (matches.length === 1) {
+    return Array.isArray(matches[0]) ? matches[0] : [matches[0]];
+  }
+  return matches;
+}
+
+// ============================================================================
+// FIELD MAPPING
+// ============================================================================
+
+/**
+ * Convert a JSON value to a stored cell value
+ * @param {any} value
+ * @returns {string}
+ */
+function toCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Map response rows to internal rows
+ * @param {any[]} rows - Rows from selectRows
+ * @param {object[]} fieldMappings - [{ name, source }] where source is a path within the row
+ * @returns {object[]} Array of row objects with values
+ */
+export function mapResponseRows(rows, fieldMappings) {
+  return rows.slice(0, MAX_ROWS).map((row, index) => {
+    const values = {};
+    fieldMappings.forEach(({ name, source }) => {
+      values[name] = toCellValue(selectJsonPath(row, source || name)[0]);
+    });
+    return { values, orderIndex: index };
+  });
+}
+
+/**
+ * Suggest field mappings from sample rows. Nested objects are flattened one
+ * level deep (address.city); arrays are kept whole as JSON text.
+ * @param {any[]} rows - Rows from selectRows
+ * @returns {object[]} Field mappings with name, label, source and dataType
+ */
+export function suggestFieldMappings(rows) {
+  const sample = rows.slice(0, 10);
+  const sources = new Map(); // source path -> first non-empty sample value
+
+  const addSource = (source, value) => {
+    if (!sources.has(source) || sources.get(source) === null || sources.get(source) === undefined) {
+      sources.set(source, value);
+    }
+  };
+
+  sample.forEach(row => {
+    if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+      addSource('$', row);
+      return;
+    }
+    Object.entries(row).forEach(([key, value]) => {
+      const keyPath = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `['${key}']`;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([childKey, childValue]) => {
+          if (childValue && typeof childValue === 'object') return;
+          addSource(/^[A-Za-z_$][\w$]*$/.test(childKey) ? `${keyPath}.${childKey}` : `${keyPath}['${childKey}']`, childValue);
+        });
+      } else {
+        addSource(keyPath, value);
+      }
+    });
+  });
+
+  const usedNames = new Set();
+  const mappings = [...sources].map(([source, value]) => {
+    const base = source === '$' ? 'value' : normalizeHeaderName(source.replace(/[[\]'.]+/g, ' '));
+    let name = base;
+    for (let n = 2; usedNames.has(name); n++) name = `${base}_${n}`;
+    usedNames.add(name);
+    return { name, source, value };
+  });
+
+  const sampleRow = { values: Object.fromEntries(mappings.map(({ name, value }) => [name, toCellValue(value)])) };
+  const definitions = generateFieldDefinitions(mappings.map(m => m.name), [sampleRow]);
+
+  return mappings.map(({ name, source, value }, index) => {
+    // JSON numbers and booleans are typed already; strings are inferred
+    let dataType = definitions[index].dataType;
+    if (typeof value === 'number') dataType = FIELD_DATA_TYPES.NUMBER;
+    else if (typeof value === 'boolean') dataType = FIELD_DATA_TYPES.BOOLEAN;
+
+    return { name, label: definitions[index].label, source, dataType };
+  });
+}
+
+/**
+ * Turn field mappings into field definitions for sync_data_source_rows
+ * @param {object[]} fieldMappings
+ * @returns {object[]} Field definitions
+ */
+function toFieldDefinitions(fieldMappings) {
+  const dataTypes = Object.values(FIELD_DATA_TYPES);
+  return fieldMappings.map(({ name, label, dataType }, index) => ({
+    name,
+    label: label || name,
+    dataType: dataTypes.includes(dataType) ? dataType : FIELD_DATA_TYPES.TEXT,
+    orderIndex: index,
+  }));
+}
+
+// ============================================================================
+// REST API
+// ============================================================================
+
+/**
+ * Fetch JSON from a REST data source
+ * @param {object} config - Integration config (see buildRestRequest)
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - Request timeout
+ * @returns {Promise<any>} Parsed JSON
+ */
+export async function fetchRestData(config, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+  const { url, options } = buildRestRequest(config);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+
+    if (!response.ok) {
+      if (response.status === 401 || response.status === 403) {
+        throw new Error(`API rejected the credentials (${response.status}). Check the authentication settings.`);
+      }
+      throw new Error(`API request failed: ${response.status}`);
+    }
+
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error('API response is not valid JSON');
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error(`API request timed out after ${Math.round(timeoutMs / 1000)} seconds`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch a REST data source and map it to fields and rows
+ * @param {object} config - Integration config with rowPath and fieldMappings
+ * @returns {Promise<{fields: object[], rows: object[]}>}
+ */
+export async function fetchRestRows(config) {
+  const json = await fetchRestData(config);
+  const responseRows = selectRows(json, config.rowPath);
+  const fieldMappings = config.fieldMappings?.length
+    ? config.fieldMappings
+    : suggestFieldMappings(responseRows);
+
+  return {
+    fields: toFieldDefinitions(fieldMappings),
+    rows: mapResponseRows(responseRows, fieldMappings),
+  };
+}
+
+// ============================================================================
+// DATA SOURCE SYNC
+// ============================================================================
+
+/**
+ * Sync a data source from its linked REST API
+ * @param {object} dataSource - Data source object with integration config
+ * @returns {Promise<{success: boolean, message: string, changes: object}>}
+ */
+export async function syncDataSourceFromRest(dataSource) {
+  const startTime = Date.now();
+
+  if (!dataSource?.integration_config?.url) {
+    return {
+      success: false,
+      message: 'No REST API linked to this data source',
+      changes: null,
+    };
+  }
+
+  try {
+    const { fields, rows } = await fetchRestRows(dataSource.integration_config);
+
+    if (fields.length === 0) {
+      return {
+        success: false,
+        message: 'API response has no fields to map',
+        changes: null,
+      };
+    }
+
+    const changes = detectChangedRows(dataSource.rows || [], rows, {
+      keyField: dataSource.integration_config.keyField,
+    });
+
+    if (!changes.changed) {
+      await updateSyncStatus(dataSource.id, SYNC_STATUS.NO_CHANGE, {
+        message: 'No changes detected',
+        syncDurationMs: Date.now() - startTime,
+      });
+
+      return {
+        success: true,
+        message: 'No changes detected',
+        changes,
+      };
+    }
+
+    return await commitSyncChanges(dataSource, { rows, fieldDefinitions: fields, changes, startTime });
+  } catch (error) {
+    console.error('[RestDataSourceService] Sync error:', error);
+
+    await updateSyncStatus(dataSource.id, SYNC_STATUS.ERROR, {
+      message: error.message,
+      error: error.message,
+      syncDurationMs: Date.now() - startTime,
+    });
+
+    return {
+      success: false,
+      message: error.message,
+      changes: null,
+    };
+  }
+}
+
+// ============================================================================
+// LINK OPERATIONS
+// ============================================================================
+
+/**
+ * Link a data source to a REST API
+ * @param {string} dataSourceId
+ * @param {object} config - { url, headers, auth, rowPath, fieldMappings, pollIntervalMinutes }
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function linkToRestApi(dataSourceId, config) {
+  try {
+    // Test fetch to validate the API is reachable and the rows can be found
+    const json = await fetchRestData(config);
+    const responseRows = selectRows(json, config.rowPath);
+    const fieldMappings = config.fieldMappings?.length
+      ? config.fieldMappings
+      : suggestFieldMappings(responseRows);
+
+    const { error } = await supabase.rpc('link_data_source_to_rest_api', {
+      p_data_source_id: dataSourceId,
+      p_config: {
+        url: config.url.trim(),
+        headers: config.headers || {},
+        auth: config.auth || { type: REST_AUTH_TYPES.NONE },
+        rowPath: config.rowPath || '$',
+        fieldMappings,
+        pollIntervalMinutes: config.pollIntervalMinutes || 15,
+      },
+    });
+
+    if (error) throw error;
+
+    return { success: true, message: 'Successfully linked to REST API' };
+  } catch (error) {
+    console.error('[RestDataSourceService] Link error:', error);
+    return { success: false, message: error.message };
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+  REST_AUTH_TYPES,
+  API_KEY_LOCATIONS,
+  parseHeaderLines,
+  buildRestRequest,
+  selectJsonPath,
+  selectRows,
+  mapResponseRows,
+  suggestFieldMappings,
+  fetchRestData,
+  fetchRestRows,
+  syncDataSourceFromRest,
+  linkToRestApi,
+};
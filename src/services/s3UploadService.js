@@ -1,11 +1,36 @@
 /**
  * S3 Upload Service
  *
- * Handles file uploads to AWS S3 using presigned URLs
+ * Handles file uploads to AWS S3 using presigned URLs. Large files go up as
+ * multipart uploads: parts upload in parallel, each retried on its own, and
+ * progress is kept in localStorage so an upload can resume after a pause or
+ * a page reload instead of starting over.
  */
 
+import { hashFileContents } from '../utils/contentHash';
+
 const API_BASE = import.meta.env.VITE_API_URL || '';
 
+// Files at or above this size use multipart uploads
+export const MULTIPART_THRESHOLD = 64 * 1024 * 1024; // 64MB
+
+// S3 part limits: every part but the last is at least 5MB, at most 10,000 parts
+export const MIN_PART_SIZE = 5 * 1024 * 1024;
+export const DEFAULT_PART_SIZE = 16 * 1024 * 1024;
+export const MAX_PARTS = 10000;
+
+export const DEFAULT_MULTIPART_CONCURRENCY = 4;
+export const PART_MAX_RETRIES = 3;
+const PART_RETRY_BASE_DELAY_MS = 1000;
+
+// Part URLs are signed in batches as the upload gets to them
+const SIGN_BATCH_SIZE = 20;
+
+const RESUME_STORAGE_PREFIX = 'bizscreen:s3-multipart:';
+
+// Resumable uploads older than this are dropped (S3 lifecycle rules clean them up)
+const RESUME_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
 /**
  * Get file type category from MIME type
  */
@@ -54,17 +79,55 @@ async function getPresignedUrl(filename, contentType, folder = 'uploads') {
   return response.json();
 }
 
+/**
+ * Build the upload result returned for a finished upload
+ */
+function buildUploadResult(file, { fileUrl, key, mediaType }) {
+  return {
+    url: fileUrl,
+    key,
+    name: file.name,
+    originalFilename: file.name,
+    size: file.size,
+    type: file.type,
+    mediaType,
+    thumbnail: generateThumbnailUrl(fileUrl, mediaType),
+    width: null, // Would need to read image dimensions
+    height: null,
+    duration: null, // Would need to read video duration
+    format: file.name.split('.').pop().toLowerCase(),
+    resourceType: mediaType,
+    optimizedUrl: fileUrl, // S3 doesn't auto-optimize like Cloudinary
+  };
+}
+
+function createAbortError(message = 'Upload paused') {
+  return new DOMException(message, 'AbortError');
+}
+
 /**
  * Upload a single file to S3
  *
+ * Files at or above MULTIPART_THRESHOLD use a resumable multipart upload.
+ *
  * @param {File} file - The file to upload
  * @param {Object} options - Upload options
  * @param {string} options.folder - Folder to upload to (default: 'uploads')
  * @param {Function} options.onProgress - Progress callback (0-100)
+ * @param {AbortSignal} [options.signal] - Aborting pauses a multipart upload
+ *   (upload the same file again to resume) and cancels a single-request one
+ * @param {boolean} [options.multipart] - Force (true) or skip (false) multipart
+ * @param {string} [options.contentHash] - Kept with a multipart upload's saved progress
  * @returns {Promise<Object>} Upload result with URL and metadata
  */
 export async function uploadFileToS3(file, options = {}) {
-  const { folder = 'uploads', onProgress } = options;
+  const { folder = 'uploads', onProgress, signal, multipart } = options;
+
+  if (multipart ?? file.size >= MULTIPART_THRESHOLD) {
+    return uploadFileMultipart(file, options);
+  }
+
+  if (signal?.aborted) throw createAbortError('Upload aborted');
 
   // Get presigned URL
   const { uploadUrl, fileUrl, key, mediaType } = await getPresignedUrl(
@@ -76,6 +139,7 @@ export async function uploadFileToS3(file, options = {}) {
   // Upload file using XMLHttpRequest for progress tracking
   return new Promise((resolve, reject) => {
     const xhr = new XMLHttpRequest();
+    signal?.addEventListener('abort', () => xhr.abort(), { once: true });
 
     // Track upload progress
     xhr.upload.addEventListener('progress', (event) => {
@@ -88,22 +152,7 @@ export async function uploadFileToS3(file, options = {}) {
     // Handle completion
     xhr.addEventListener('load', () => {
       if (xhr.status >= 200 && xhr.status < 300) {
-        resolve({
-          url: fileUrl,
-          key,
-          name: file.name,
-          originalFilename: file.name,
-          size: file.size,
-          type: file.type,
-          mediaType,
-          thumbnail: generateThumbnailUrl(fileUrl, mediaType),
-          width: null, // Would need to read image dimensions
-          height: null,
-          duration: null, // Would need to read video duration
-          format: file.name.split('.').pop().toLowerCase(),
-          resourceType: mediaType,
-          optimizedUrl: fileUrl, // S3 doesn't auto-optimize like Cloudinary
-        });
+        resolve(buildUploadResult(file, { fileUrl, key, mediaType }));
       } else {
         reject(new Error(`Upload failed with status ${xhr.status}`));
       }
@@ -115,7 +164,7 @@ export async function uploadFileToS3(file, options = {}) {
     });
 
     xhr.addEventListener('abort', () => {
-      reject(new Error('Upload aborted'));
+      reject(signal?.aborted ? createAbortError('Upload aborted') : new Error('Upload aborted'));
     });
 
     // Send the file
@@ -125,6 +174,422 @@ export async function uploadFileToS3(file, options = {}) {
   });
 }
 
+// ============================================
+// CONTENT HASHING
+// ============================================
+
+/**
+ * Hash a file's contents to spot duplicate uploads ('sha256:<hex>').
+ *
+ * The whole file is hashed, reading it a chunk at a time, so only files with
+ * identical content ever share a hash. Hashing runs in a Web Worker so large
+ * files don't freeze the page (on the main thread where workers are missing).
+ *
+ * @param {Blob} file - File to hash
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Progress callback (0-100)
+ * @param {AbortSignal} [options.signal] - Aborting stops hashing
+ * @returns {Promise<string>} Content hash
+ */
+export async function computeContentHash(file, { onProgress, signal } = {}) {
+  if (signal?.aborted) throw createAbortError();
+  if (typeof Worker === 'undefined') return hashFileContents(file, { onProgress, signal });
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('../workers/contentHash.worker.js', import.meta.url), { type: 'module' });
+
+    const onAbort = () => finish(() => reject(createAbortError()));
+    const finish = (settle) => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+      settle();
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') onProgress?.(data.progress);
+      else if (data.type === 'done') finish(() => resolve(data.hash));
+      else finish(() => reject(new Error(data.message)));
+    };
+    worker.onerror = (event) => finish(() => reject(new Error(event.message || 'Could not hash file')));
+    worker.postMessage({ file });
+  });
+}
+
+// ============================================
+// MULTIPART UPLOADS
+// ============================================
+
+/**
+ * Part size for a file: the preferred size, grown when the file would
+ * otherwise need more than MAX_PARTS parts
+ * @param {number} fileSize - File size in bytes
+ * @param {number} [preferred] - Preferred part size in bytes
+ * @returns {number} Part size in bytes
+ */
+export function getPartSize(fileSize, preferred = DEFAULT_PART_SIZE) {
+  const minForCount = Math.ceil(fileSize / MAX_PARTS);
+  return Math.max(MIN_PART_SIZE, preferred, minForCount);
+}
+
+/**
+ * Split a file into parts
+ * @param {number} fileSize - File size in bytes
+ * @param {number} partSize - Part size in bytes
+ * @returns {Array<{ partNumber: number, start: number, end: number }>} Byte ranges (end exclusive)
+ */
+export function planParts(fileSize, partSize) {
+  const parts = [];
+  for (let start = 0, partNumber = 1; start < fileSize; start += partSize, partNumber++) {
+    parts.push({ partNumber, start, end: Math.min(start + partSize, fileSize) });
+  }
+  return parts;
+}
+
+/**
+ * Key identifying a file between page loads (a File can't be stored, so the
+ * same name, size and modified time in the same folder count as the same file)
+ * @param {File} file
+ * @param {string} folder
+ * @returns {string}
+ */
+export function getUploadFingerprint(file, folder = 'uploads') {
+  return [folder, file.name, file.size, file.lastModified].join(':');
+}
+
+function getStorage() {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Saved state of an unfinished multipart upload for a file
+ * @param {File} file
+ * @param {string} [folder]
+ * @returns {Object|null} { uploadId, key, fileUrl, mediaType, partSize, parts, contentHash, ... }
+ */
+export function loadResumableUpload(file, folder = 'uploads') {
+  const storage = getStorage();
+  const storageKey = RESUME_STORAGE_PREFIX + getUploadFingerprint(file, folder);
+
+  try {
+    const state = JSON.parse(storage?.getItem(storageKey) || 'null');
+    if (!state) return null;
+    if (Date.now() - state.startedAt > RESUME_MAX_AGE_MS) {
+      storage.removeItem(storageKey);
+      return null;
+    }
+    return state;
+  } catch {
+    return null;
+  }
+}
+
+function saveResumableUpload(file, folder, state) {
+  try {
+    getStorage()?.setItem(RESUME_STORAGE_PREFIX + getUploadFingerprint(file, folder), JSON.stringify(state));
+  } catch (error) {
+    // Storage full or unavailable: the upload still works, it just can't resume
+    console.warn('[S3Upload] Could not save upload progress:', error);
+  }
+}
+
+function clearResumableUpload(file, folder) {
+  getStorage()?.removeItem(RESUME_STORAGE_PREFIX + getUploadFingerprint(file, folder));
+}
+
+/**
+ * Unfinished multipart uploads saved in this browser, e.g. to ask the user to
+ * pick the same file again after a reload
+ * @returns {Array<{ filename: string, size: number, folder: string, uploadedBytes: number, startedAt: number }>}
+ */
+export function listResumableUploads() {
+  const storage = getStorage();
+  if (!storage) return [];
+
+  const uploads = [];
+  for (let i = 0; i < storage.length; i++) {
+    const storageKey = storage.key(i);
+    if (!storageKey?.startsWith(RESUME_STORAGE_PREFIX)) continue;
+    try {
+      const state = JSON.parse(storage.getItem(storageKey));
+      if (Date.now() - state.startedAt > RESUME_MAX_AGE_MS) continue;
+      uploads.push({
+        filename: state.filename,
+        size: state.size,
+        folder: state.folder,
+        uploadedBytes: state.parts.reduce((sum, part) => sum + part.size, 0),
+        startedAt: state.startedAt,
+      });
+    } catch {
+      // Ignore unreadable entries
+    }
+  }
+  return uploads;
+}
+
+/**
+ * Call the multipart upload API
+ */
+async function multipartRequest(action, params, signal) {
+  const response = await fetch(`${API_BASE}/api/media/multipart`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ action, ...params }),
+    signal,
+  });
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    const error = new Error(body.error || `Multipart ${action} failed`);
+    error.code = body.code;
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+/**
+ * PUT one part to its presigned URL
+ * @returns {Promise<string>} The part's ETag
+ */
+function putPart(url, blob, { signal, onProgress }) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const done = () => signal?.removeEventListener('abort', onAbort);
+
+    xhr.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable) onProgress?.(event.loaded);
+    });
+
+    xhr.addEventListener('load', () => {
+      done();
+      const etag = xhr.getResponseHeader('ETag');
+      if (xhr.status >= 200 && xhr.status < 300 && etag) {
+        resolve(etag);
+      } else if (xhr.status >= 200 && xhr.status < 300) {
+        reject(new Error('Part uploaded but no ETag was returned (check the bucket CORS ExposeHeaders)'));
+      } else {
+        reject(new Error(`Part upload failed with status ${xhr.status}`));
+      }
+    });
+
+    xhr.addEventListener('error', () => {
+      done();
+      reject(new Error('Part upload failed'));
+    });
+
+    xhr.addEventListener('abort', () => {
+      done();
+      reject(createAbortError());
+    });
+
+    xhr.open('PUT', url);
+    xhr.send(blob);
+  });
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    }, { once: true });
+  });
+}
+
+/**
+ * Start a multipart upload, or pick up the saved one for this file
+ */
+async function startOrResumeMultipart(file, { folder, partSize, contentHash, signal }) {
+  const saved = loadResumableUpload(file, folder);
+
+  if (saved) {
+    try {
+      // S3 is the source of truth for which parts arrived
+      const { parts } = await multipartRequest('list', { key: saved.key, uploadId: saved.uploadId }, signal);
+      return { ...saved, contentHash: saved.contentHash || contentHash, parts: parts.filter((part) => part.size > 0) };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      if (error.code !== 'NoSuchUpload') {
+        // Can't check the parts right now: keep what this browser recorded
+        console.warn('[S3Upload] Could not list uploaded parts, using saved progress:', error.message);
+        return saved;
+      }
+      clearResumableUpload(file, folder);
+    }
+  }
+
+  const created = await multipartRequest('create', {
+    filename: file.name,
+    contentType: file.type,
+    folder,
+    size: file.size,
+  }, signal);
+
+  return {
+    uploadId: created.uploadId,
+    key: created.key,
+    fileUrl: created.fileUrl,
+    mediaType: created.mediaType,
+    partSize: getPartSize(file.size, partSize),
+    filename: file.name,
+    size: file.size,
+    folder,
+    contentHash,
+    startedAt: Date.now(),
+    parts: [],
+  };
+}
+
+/**
+ * Upload a file as a resumable S3 multipart upload
+ *
+ * @param {File} file - The file to upload
+ * @param {Object} options - Upload options
+ * @param {string} [options.folder] - Folder to upload to (default: 'uploads')
+ * @param {Function} [options.onProgress] - Progress callback (0-100)
+ * @param {AbortSignal} [options.signal] - Aborting pauses the upload; finished
+ *   parts are kept and uploading the same file again resumes it
+ * @param {number} [options.concurrency] - Parts uploaded at once
+ * @param {number} [options.partSize] - Preferred part size in bytes
+ * @param {number} [options.maxRetries] - Retries per part before giving up
+ * @param {string} [options.contentHash] - Saved with the progress so a resume
+ *   doesn't hash the file again (see loadResumableUpload)
+ * @returns {Promise<Object>} Upload result with URL and metadata
+ */
+export async function uploadFileMultipart(file, options = {}) {
+  const {
+    folder = 'uploads',
+    onProgress,
+    signal,
+    contentHash = null,
+    concurrency = DEFAULT_MULTIPART_CONCURRENCY,
+    partSize: preferredPartSize = DEFAULT_PART_SIZE,
+    maxRetries = PART_MAX_RETRIES,
+  } = options;
+
+  if (signal?.aborted) throw createAbortError();
+
+  const state = await startOrResumeMultipart(file, { folder, partSize: preferredPartSize, contentHash, signal });
+  saveResumableUpload(file, folder, state);
+
+  const doneParts = new Map(state.parts.map((part) => [part.partNumber, part]));
+  const pending = planParts(file.size, state.partSize).filter((part) => !doneParts.has(part.partNumber));
+
+  // Progress counts finished parts plus bytes in flight
+  let completedBytes = [...doneParts.values()].reduce((sum, part) => sum + part.size, 0);
+  const inFlight = new Map();
+  const reportProgress = () => {
+    if (!onProgress || file.size === 0) return;
+    const loaded = completedBytes + [...inFlight.values()].reduce((sum, bytes) => sum + bytes, 0);
+    onProgress(Math.min(100, Math.round((loaded / file.size) * 100)));
+  };
+  reportProgress();
+
+  // Presigned part URLs, signed a batch at a time. Workers share the pending
+  // request for a batch; a retry signs its part again.
+  const urls = new Map();
+  const getPartUrl = (partNumber, { fresh = false } = {}) => {
+    if (fresh || !urls.has(partNumber)) {
+      const batch = pending
+        .map((part) => part.partNumber)
+        .filter((n) => n === partNumber || (!fresh && n > partNumber && !urls.has(n)))
+        .slice(0, SIGN_BATCH_SIZE);
+      const request = multipartRequest('sign', { key: state.key, uploadId: state.uploadId, partNumbers: batch }, signal);
+      for (const n of batch) urls.set(n, request);
+      // A failed batch is signed again on the next attempt
+      request.catch(() => batch.forEach((n) => urls.get(n) === request && urls.delete(n)));
+    }
+    return urls.get(partNumber).then(({ urls: signed }) => signed[partNumber]);
+  };
+
+  const uploadPart = async (part) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const url = await getPartUrl(part.partNumber, { fresh: attempt > 0 });
+        const etag = await putPart(url, file.slice(part.start, part.end), {
+          signal,
+          onProgress: (loaded) => {
+            inFlight.set(part.partNumber, loaded);
+            reportProgress();
+          },
+        });
+
+        inFlight.delete(part.partNumber);
+        completedBytes += part.end - part.start;
+        doneParts.set(part.partNumber, { partNumber: part.partNumber, etag, size: part.end - part.start });
+        saveResumableUpload(file, folder, { ...state, parts: [...doneParts.values()] });
+        reportProgress();
+        return;
+      } catch (error) {
+        inFlight.delete(part.partNumber);
+        if (error.name === 'AbortError' || attempt >= maxRetries) throw error;
+        console.warn(`[S3Upload] Part ${part.partNumber} failed (attempt ${attempt + 1}), retrying:`, error.message);
+        await wait(PART_RETRY_BASE_DELAY_MS * 2 ** attempt, signal);
+      }
+    }
+  };
+
+  // Worker pool: each worker takes the next pending part
+  const queue = [...pending];
+  let failure = null;
+  const worker = async () => {
+    while (queue.length > 0 && !failure) {
+      const part = queue.shift();
+      try {
+        await uploadPart(part);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, pending.length)) }, worker));
+
+  // Paused or failed: finished parts stay saved for the next attempt
+  if (failure) throw failure;
+
+  await multipartRequest('complete', {
+    key: state.key,
+    uploadId: state.uploadId,
+    parts: [...doneParts.values()].map(({ partNumber, etag }) => ({ partNumber, etag })),
+  }, signal);
+  clearResumableUpload(file, folder);
+
+  return buildUploadResult(file, state);
+}
+
+/**
+ * Cancel a paused or failed multipart upload for good: S3 discards its parts
+ * and the saved progress is cleared
+ * @param {File} file
+ * @param {Object} [options]
+ * @param {string} [options.folder]
+ * @returns {Promise<boolean>} True if there was an upload to cancel
+ */
+export async function abortResumableUpload(file, { folder = 'uploads' } = {}) {
+  const saved = loadResumableUpload(file, folder);
+  if (!saved) return false;
+
+  clearResumableUpload(file, folder);
+  try {
+    await multipartRequest('abort', { key: saved.key, uploadId: saved.uploadId });
+  } catch (error) {
+    // Left for the bucket's lifecycle rule to clean up
+    console.warn('[S3Upload] Could not abort multipart upload:', error.message);
+  }
+  return true;
+}
+
 /**
  * Upload multiple files to S3
  *
@@ -247,7 +712,14 @@ export function validateFile(file, options = {}) {
 
 export default {
   uploadFileToS3,
+  uploadFileMultipart,
+  abortResumableUpload,
+  loadResumableUpload,
+  listResumableUploads,
+  getPartSize,
+  planParts,
   uploadFilesToS3,
+  computeContentHash,
   getImageDimensions,
   getVideoDuration,
   validateFile,
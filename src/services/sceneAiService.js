@@ -393,13 +393,41 @@ export function suggestPromoSlide({ scene, businessType }) {
 
 /**
  * Generate a menu slide (for restaurant/coffee)
- * @param {Object} params - { scene, businessType }
+ * With a published menu the slide shows it through a menu widget, so prices
+ * and sold-out items stay live; otherwise it uses the static preset.
+ * @param {Object} params - { scene, businessType, menu }
  * @returns {Object} Slide data with design
  */
-export function suggestMenuSlide({ scene, businessType }) {
+export function suggestMenuSlide({ scene, businessType, menu }) {
   const presets = getPresetsForBusinessType(businessType);
   const menuPreset = presets.find(p => p.kind === 'menu' || p.kind === 'services') || presets[0];
 
+  if (menu?.data_source_id) {
+    const accentColor = menuPreset.kind === 'menu' ? menuPreset.design.blocks[0].props.color : '#f59e0b';
+    return {
+      title: menu.name,
+      kind: 'menu',
+      design_json: {
+        background: menuPreset.design.background,
+        blocks: [
+          createTextBlock({ x: 0.05, y: 0.05, width: 0.9, height: 0.12, text: menu.name, fontSize: 52, fontWeight: '700', color: accentColor }),
+          {
+            ...createWidgetBlock({
+              widgetType: 'menu',
+              x: 0.05,
+              y: 0.2,
+              width: 0.9,
+              height: 0.75,
+              layer: 1,
+              props: { menuId: menu.id, menuColumns: 2, currencySymbol: menu.currency_symbol || '$', accentColor },
+            }),
+            dataBinding: { sourceId: menu.data_source_id, field: 'name', rowSelector: { mode: 'all' } },
+          },
+        ],
+      },
+    };
+  }
+
   return {
     title: menuPreset.title,
     kind: menuPreset.kind,
@@ -258,6 +258,24 @@ export const WIDGET_BLOCK_DEFAULTS = {
     qrScale: 1.0, // Size multiplier (0.5 - 2.0)
     qrFgColor: '#000000', // QR foreground color
     qrBgColor: '#ffffff', // QR background color
+    // Countdown-specific props (label is shared with QR)
+    countMode: 'down', // 'down' | 'up'
+    targetAt: '', // Wall-clock 'YYYY-MM-DDTHH:mm' in the screen timezone; a dataBinding overrides it
+    countdownUnits: ['days', 'hours', 'minutes', 'seconds'],
+    countdownFormat: 'blocks', // 'blocks' | 'compact' | 'text'
+    expiredAction: 'text', // 'text' | 'hide' | 'countup'
+    expiredText: '',
+    // Menu-specific props (label is the menu title); rows come from a dataBinding to the menu's data source
+    menuId: '',
+    menuCategory: '', // Category name, '' = all
+    menuDaypart: 'auto', // 'auto' | 'all' | a daypart key
+    menuColumns: 1,
+    currencySymbol: '$',
+    showPrices: true,
+    showDescriptions: true,
+    showModifiers: false,
+    showCalories: false,
+    showAllergens: false,
   },
   animation: { ...DEFAULT_BLOCK_ANIMATION },
 };
@@ -0,0 +1,498 @@
+// Schedule Conflict Service - Expands schedule entries into concrete intervals and detects overlaps
+import { fetchScheduleWithEntries, getDevicesWithSchedule, getGroupsWithSchedule } from './scheduleService';
+import { raiseScheduleConflictAlert, autoResolveAlert, ALERT_TYPES } from './alertEngineService';
+import { hasSolarTrigger, resolveEntryTimes } from './solarService';
+
+/**
+ * Conflict severities
+ * - blocking: overlapping entries with the same priority (the winner is only decided by tie-break)
+ * - warning: overlapping entries where the higher priority entry wins
+ */
+export const CONFLICT_SEVERITY = {
+  BLOCKING: 'blocking',
+  WARNING: 'warning'
+};
+
+/**
+ * Placeholder id given to an unsaved entry by checkEntryConflicts
+ */
+export const CANDIDATE_ENTRY_ID = '__candidate__';
+
+/**
+ * Default number of days analyzed when no range is given
+ */
+export const DEFAULT_ANALYSIS_DAYS = 14;
+
+/**
+ * Upper bound on the analysis window to keep expansion cheap
+ */
+const MAX_ANALYSIS_DAYS = 366;
+
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Convert a YYYY-MM-DD string to a day number (days since 1970-01-01)
+ * Dates are treated as calendar dates in the schedule's timezone, so UTC math is used
+ * to avoid DST shifts.
+ */
+export function dateToDayNumber(dateStr) {
+  if (!dateStr) return null;
+  const [year, month, day] = String(dateStr).slice(0, 10).split('-').map(Number);
+  if (!year || !month || !day) return null;
+  return Math.floor(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+}
+
+/**
+ * Convert a day number back to a YYYY-MM-DD string
+ */
+export function dayNumberToDate(dayNumber) {
+  return new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Convert HH:mm[:ss] to minutes since midnight
+ */
+export function timeToMinutes(time) {
+  if (!time) return null;
+  const [hours, minutes] = String(time).split(':').map(Number);
+  if (Number.isNaN(hours)) return null;
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Convert minutes since midnight to HH:mm (wraps past midnight)
+ */
+export function minutesToTime(minutes) {
+  const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const h = Math.floor(normalized / 60);
+  const m = normalized % 60;
+  return `${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`;
+}
+
+function dayOfWeek(dayNumber) {
+  // 1970-01-01 was a Thursday (4)
+  return ((dayNumber % 7) + 7 + 4) % 7;
+}
+
+function dayParts(dayNumber) {
+  const d = new Date(dayNumber * MS_PER_DAY);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth(), day: d.getUTCDate() };
+}
+
+function monthsBetween(fromDay, toDay) {
+  const a = dayParts(fromDay);
+  const b = dayParts(toDay);
+  return (b.year - a.year) * 12 + (b.month - a.month);
+}
+
+/**
+ * Whether an entry repeats on a given day, relative to its anchor day
+ */
+function matchesRepeat(entry, anchorDay, dayNumber) {
+  const config = entry.repeat_config || {};
+  const daysOfWeek = Array.isArray(entry.days_of_week) && entry.days_of_week.length > 0
+    ? entry.days_of_week
+    : ALL_DAYS;
+
+  switch (entry.repeat_type) {
+    case 'daily':
+      return true;
+    case 'weekday':
+      return WEEKDAYS.includes(dayOfWeek(dayNumber));
+    case 'weekly':
+      return dayOfWeek(dayNumber) === dayOfWeek(anchorDay);
+    case 'monthly':
+      return dayParts(dayNumber).day === dayParts(anchorDay).day;
+    case 'yearly': {
+      const a = dayParts(anchorDay);
+      const b = dayParts(dayNumber);
+      return a.month === b.month && a.day === b.day;
+    }
+    case 'custom': {
+      const every = Math.max(1, parseInt(config.repeat_every, 10) || 1);
+      const diff = dayNumber - anchorDay;
+      switch (config.repeat_unit) {
+        case 'week': {
+          const allowed = daysOfWeek.length < 7 ? daysOfWeek : [dayOfWeek(anchorDay)];
+          return allowed.includes(dayOfWeek(dayNumber)) && Math.floor(diff / 7) % every === 0;
+        }
+        case 'month':
+          return dayParts(dayNumber).day === dayParts(anchorDay).day &&
+            monthsBetween(anchorDay, dayNumber) % every === 0;
+        case 'year': {
+          const a = dayParts(anchorDay);
+          const b = dayParts(dayNumber);
+          return a.month === b.month && a.day === b.day && (b.year - a.year) % every === 0;
+        }
+        case 'day':
+        default:
+          return diff % every === 0;
+      }
+    }
+    default:
+      // Legacy entries without a repeat type recur on their days_of_week
+      return daysOfWeek.includes(dayOfWeek(dayNumber));
+  }
+}
+
+function hasCoordinates(location) {
+  return location?.latitude !== null && location?.latitude !== undefined &&
+    location?.longitude !== null && location?.longitude !== undefined;
+}
+
+/**
+ * Whether an entry's sunrise/sunset anchors are compared at its fallback
+ * start_time/end_time, because no location with coordinates was given
+ */
+export function usesSolarFallback(entry, location = null) {
+  return hasSolarTrigger(entry) && !hasCoordinates(location);
+}
+
+/**
+ * Expand a schedule entry into concrete intervals within a date range
+ *
+ * Interval bounds are expressed as minutes since the start of `from`, so intervals from
+ * different entries can be compared directly. Overnight entries (end_time <= start_time)
+ * extend into the following day. Sunrise/sunset anchors are resolved for each date at
+ * `location`; without coordinates the entry's fixed times are used.
+ *
+ * @param {Object} entry - Schedule entry row
+ * @param {Object} range - Analysis range
+ * @param {string} range.from - First date (YYYY-MM-DD, inclusive)
+ * @param {string} range.to - Last date (YYYY-MM-DD, inclusive)
+ * @param {Object} [range.location] - { latitude, longitude, timezone } for solar anchors
+ * @returns {Array<{entryId: string, date: string, start: number, end: number}>}
+ */
+export function expandEntryIntervals(entry, { from, to, location = null }) {
+  if (!entry || entry.is_active === false) return [];
+
+  const fromDay = dateToDayNumber(from);
+  const toDay = Math.min(dateToDayNumber(to), fromDay + MAX_ANALYSIS_DAYS);
+  if (fromDay === null || toDay === null || toDay < fromDay) return [];
+
+  const solar = hasSolarTrigger(entry) && hasCoordinates(location);
+  // Start and end minutes of the entry on a day; `end` is past `start`, `endOfDay` is as written
+  const timesOn = (day) => {
+    const times = solar
+      ? resolveEntryTimes(entry, { ...location, date: dayNumberToDate(day), timezone: location.timezone || 'UTC' })
+      : entry;
+    const start = timeToMinutes(times.start_time) ?? 0;
+    const endOfDay = timeToMinutes(times.end_time) ?? MINUTES_PER_DAY;
+    return { start, end: endOfDay <= start ? endOfDay + MINUTES_PER_DAY : endOfDay, endOfDay };
+  };
+
+  const startDay = dateToDayNumber(entry.start_date);
+  const endDay = dateToDayNumber(entry.end_date);
+  const repeatType = entry.repeat_type || 'none';
+  const intervals = [];
+
+  // One-off event: from start_date/start_time to end_date/end_time. Legacy entries that
+  // restrict days_of_week keep recurring weekly between start_date and end_date.
+  const restrictsDays = Array.isArray(entry.days_of_week) &&
+    entry.days_of_week.length > 0 && entry.days_of_week.length < 7;
+  if (repeatType === 'none' && startDay !== null && !restrictsDays) {
+    const lastDay = endDay !== null && endDay > startDay ? endDay : startDay;
+    const first = timesOn(startDay);
+    const start = (startDay - fromDay) * MINUTES_PER_DAY + first.start;
+    const end = lastDay > startDay
+      ? (lastDay - fromDay) * MINUTES_PER_DAY + timesOn(lastDay).endOfDay
+      : (startDay - fromDay) * MINUTES_PER_DAY + first.end;
+    const windowEnd = (toDay - fromDay + 1) * MINUTES_PER_DAY;
+    if (end > 0 && start < windowEnd && end > start) {
+      intervals.push({ entryId: entry.id, date: dayNumberToDate(startDay), start, end });
+    }
+    return intervals;
+  }
+
+  const config = entry.repeat_config || {};
+  const anchorDay = startDay ?? fromDay;
+  let lastDay = repeatType === 'none' ? endDay : null;
+  if (config.repeat_until === 'date' && config.repeat_until_date) {
+    lastDay = dateToDayNumber(config.repeat_until_date);
+  }
+  const maxCount = config.repeat_until === 'count'
+    ? Math.max(1, parseInt(config.repeat_until_count, 10) || 1)
+    : Infinity;
+
+  // Count occurrences before the window so repeat_until_count is honoured
+  let occurrences = 0;
+  const scanFrom = maxCount === Infinity ? Math.max(anchorDay, fromDay - 1) : anchorDay;
+
+  for (let day = scanFrom; day <= toDay; day++) {
+    if (lastDay !== null && day > lastDay) break;
+    if (occurrences >= maxCount) break;
+    if (!matchesRepeat(entry, anchorDay, day)) continue;
+    occurrences++;
+
+    const times = timesOn(day);
+    const start = (day - fromDay) * MINUTES_PER_DAY + times.start;
+    const end = (day - fromDay) * MINUTES_PER_DAY + times.end;
+    if (end <= 0) continue;
+    intervals.push({ entryId: entry.id, date: dayNumberToDate(day), start, end });
+  }
+
+  return intervals;
+}
+
+/**
+ * Target key for an entry. Legacy entries may target a single screen or group;
+ * everything else applies to every screen the schedule is assigned to.
+ */
+export function getEntryTargetKey(entry) {
+  if ((entry.target_type === 'screen' || entry.target_type === 'screen_group') && entry.target_id) {
+    return `${entry.target_type}:${entry.target_id}`;
+  }
+  return 'all';
+}
+
+/**
+ * Deterministic ordering used to pick a winner between overlapping entries:
+ * higher priority first, then the most recently created entry, then the lowest id.
+ * Matches the ORDER BY used by the schedule resolution RPCs.
+ */
+export function compareEntryPrecedence(a, b) {
+  const priorityDiff = (b.priority ?? 0) - (a.priority ?? 0);
+  if (priorityDiff !== 0) return priorityDiff;
+
+  const createdA = a.created_at ? new Date(a.created_at).getTime() : 0;
+  const createdB = b.created_at ? new Date(b.created_at).getTime() : 0;
+  if (createdA !== createdB) return createdB - createdA;
+
+  return String(a.id ?? '').localeCompare(String(b.id ?? ''));
+}
+
+function targetsIntersect(keyA, keyB) {
+  return keyA === 'all' || keyB === 'all' || keyA === keyB;
+}
+
+/**
+ * Analyze schedule entries for overlapping intervals
+ *
+ * @param {Array<Object>} entries - Schedule entries
+ * @param {Object} [options]
+ * @param {string} [options.from] - First date to analyze (YYYY-MM-DD, default: today)
+ * @param {number} [options.days] - Number of days to analyze (default: 14)
+ * @param {string} [options.to] - Last date to analyze (overrides days)
+ * @param {Object} [options.location] - { latitude, longitude, timezone } of the screen, to resolve
+ *   sunrise/sunset anchors. Without it, solar entries are compared at their fallback times and
+ *   their conflicts are marked `solarFallback`.
+ * @returns {{conflicts: Array<Object>, byTarget: Object<string, Array<Object>>, hasBlocking: boolean,
+ *   solarFallbackEntryIds: Array<string>}}
+ */
+export function analyzeScheduleConflicts(entries, {
+  from = null,
+  days = DEFAULT_ANALYSIS_DAYS,
+  to = null,
+  location = null
+} = {}) {
+  const fromDate = from || new Date().toISOString().slice(0, 10);
+  const toDate = to || dayNumberToDate(dateToDayNumber(fromDate) + Math.max(1, days) - 1);
+
+  const expanded = (entries || [])
+    .filter(entry => entry && entry.is_active !== false)
+    .map(entry => ({
+      entry,
+      targetKey: getEntryTargetKey(entry),
+      solarFallback: usesSolarFallback(entry, location),
+      intervals: expandEntryIntervals(entry, { from: fromDate, to: toDate, location })
+    }))
+    .filter(item => item.intervals.length > 0);
+
+  const conflicts = [];
+
+  for (let i = 0; i < expanded.length; i++) {
+    for (let j = i + 1; j < expanded.length; j++) {
+      const a = expanded[i];
+      const b = expanded[j];
+      if (!targetsIntersect(a.targetKey, b.targetKey)) continue;
+
+      const overlaps = [];
+      for (const ia of a.intervals) {
+        for (const ib of b.intervals) {
+          const start = Math.max(ia.start, ib.start);
+          const end = Math.min(ia.end, ib.end);
+          if (start < end) {
+            const dayOffset = Math.floor(start / MINUTES_PER_DAY);
+            overlaps.push({
+              date: dayNumberToDate(dateToDayNumber(fromDate) + dayOffset),
+              start_time: minutesToTime(start),
+              end_time: minutesToTime(end),
+              minutes: end - start
+            });
+          }
+        }
+      }
+      if (overlaps.length === 0) continue;
+
+      const [winner, loser] = compareEntryPrecedence(a.entry, b.entry) <= 0
+        ? [a.entry, b.entry]
+        : [b.entry, a.entry];
+      const samePriority = (a.entry.priority ?? 0) === (b.entry.priority ?? 0);
+
+      conflicts.push({
+        targetKey: a.targetKey === 'all' ? b.targetKey : a.targetKey,
+        entryIds: [a.entry.id, b.entry.id],
+        winnerId: winner.id,
+        loserId: loser.id,
+        severity: samePriority ? CONFLICT_SEVERITY.BLOCKING : CONFLICT_SEVERITY.WARNING,
+        solarFallback: a.solarFallback || b.solarFallback,
+        overlaps,
+        totalMinutes: overlaps.reduce((sum, o) => sum + o.minutes, 0)
+      });
+    }
+  }
+
+  const byTarget = {};
+  for (const conflict of conflicts) {
+    if (!byTarget[conflict.targetKey]) byTarget[conflict.targetKey] = [];
+    byTarget[conflict.targetKey].push(conflict);
+  }
+
+  return {
+    from: fromDate,
+    to: toDate,
+    conflicts,
+    byTarget,
+    hasBlocking: conflicts.some(c => c.severity === CONFLICT_SEVERITY.BLOCKING),
+    solarFallbackEntryIds: expanded.filter(item => item.solarFallback).map(item => item.entry.id)
+  };
+}
+
+/**
+ * Check a candidate entry (new or edited) against the existing entries of a schedule
+ *
+ * @param {Array<Object>} entries - Existing schedule entries
+ * @param {Object} candidate - Entry being saved (may have no id yet)
+ * @param {Object} [options] - Same options as analyzeScheduleConflicts
+ * @returns {{blocking: Array<Object>, warnings: Array<Object>}}
+ */
+export function checkEntryConflicts(entries, candidate, options = {}) {
+  const candidateId = candidate.id || CANDIDATE_ENTRY_ID;
+  const others = (entries || []).filter(entry => entry.id !== candidateId);
+  // From the entry's first day, or today if it already started
+  const today = new Date().toISOString().slice(0, 10);
+  const startDate = candidate.start_date ? String(candidate.start_date).slice(0, 10) : null;
+  const { conflicts } = analyzeScheduleConflicts(
+    [...others, { ...candidate, id: candidateId, created_at: candidate.created_at || new Date().toISOString() }],
+    { from: startDate && startDate > today ? startDate : today, ...options }
+  );
+
+  const relevant = conflicts.filter(c => c.entryIds.includes(candidateId));
+  return {
+    blocking: relevant.filter(c => c.severity === CONFLICT_SEVERITY.BLOCKING),
+    warnings: relevant.filter(c => c.severity === CONFLICT_SEVERITY.WARNING)
+  };
+}
+
+// Where a published screen sees the sun: its own coordinates, else its location's
+function screenSolarLocation(screen) {
+  const coordinates = hasCoordinates(screen) ? screen : screen.location;
+  if (!hasCoordinates(coordinates)) return null;
+  return {
+    latitude: Number(coordinates.latitude),
+    longitude: Number(coordinates.longitude),
+    timezone: screen.timezone || 'UTC'
+  };
+}
+
+/**
+ * Analyze a stored schedule and raise (or auto-resolve) the SCHEDULE_CONFLICT alert
+ * when the schedule is published to at least one screen or screen group.
+ * Schedules with sunrise/sunset entries are analyzed at each published screen's
+ * coordinates, and an entry pair conflicts if it overlaps on any of them.
+ *
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} [options] - Same options as analyzeScheduleConflicts
+ * @returns {Promise<Object>} Analysis result with `published` and `targets`
+ */
+export async function checkPublishedScheduleConflicts(scheduleId, options = {}) {
+  if (!scheduleId) throw new Error('Schedule ID is required');
+
+  const [schedule, devices, groups] = await Promise.all([
+    fetchScheduleWithEntries(scheduleId),
+    getDevicesWithSchedule(scheduleId),
+    getGroupsWithSchedule(scheduleId)
+  ]);
+
+  const entries = schedule?.schedule_entries || [];
+  const locations = new Map();
+  if (entries.some(hasSolarTrigger)) {
+    for (const screen of [...devices, ...groups.flatMap(g => g.screens || [])]) {
+      const location = screenSolarLocation(screen);
+      if (location) locations.set(`${location.latitude}|${location.longitude}|${location.timezone}`, location);
+    }
+  }
+
+  let analysis;
+  if (locations.size === 0) {
+    analysis = analyzeScheduleConflicts(entries, options);
+  } else {
+    const analyses = [...locations.values()].map(location =>
+      analyzeScheduleConflicts(entries, { ...options, location })
+    );
+    const conflicts = new Map();
+    for (const conflict of analyses.flatMap(a => a.conflicts)) {
+      const key = conflict.entryIds.join(':');
+      const existing = conflicts.get(key);
+      // Keep the most severe overlap seen on any screen
+      if (!existing || (existing.severity !== CONFLICT_SEVERITY.BLOCKING && conflict.severity === CONFLICT_SEVERITY.BLOCKING)) {
+        conflicts.set(key, conflict);
+      }
+    }
+
+    const merged = [...conflicts.values()];
+    const byTarget = {};
+    for (const conflict of merged) {
+      if (!byTarget[conflict.targetKey]) byTarget[conflict.targetKey] = [];
+      byTarget[conflict.targetKey].push(conflict);
+    }
+    analysis = {
+      ...analyses[0],
+      conflicts: merged,
+      byTarget,
+      hasBlocking: merged.some(c => c.severity === CONFLICT_SEVERITY.BLOCKING)
+    };
+  }
+
+  const targets = [
+    ...devices.map(d => ({ type: 'screen', id: d.id, name: d.device_name })),
+    ...groups.map(g => ({ type: 'screen_group', id: g.id, name: g.name }))
+  ];
+  const published = targets.length > 0;
+
+  if (published && analysis.hasBlocking) {
+    await raiseScheduleConflictAlert(
+      schedule,
+      analysis.conflicts.filter(c => c.severity === CONFLICT_SEVERITY.BLOCKING),
+      targets
+    );
+  } else if (schedule) {
+    await autoResolveAlert({
+      type: ALERT_TYPES.SCHEDULE_CONFLICT,
+      tenantId: schedule.tenant_id || schedule.owner_id || null,
+      scheduleId
+    });
+  }
+
+  return { ...analysis, published, targets };
+}
+
+/**
+ * Re-check the conflict alert of schedules whose screens or groups changed, so
+ * assigning a schedule raises the alert and unassigning it resolves it.
+ * Failures are logged rather than thrown, so the assignment itself still succeeds.
+ *
+ * @param {...(string|null)} scheduleIds - Schedules before and after the change
+ * @returns {Promise<void>}
+ */
+export async function refreshScheduleConflictAlerts(...scheduleIds) {
+  const ids = [...new Set(scheduleIds.filter(Boolean))];
+  await Promise.all(ids.map(id =>
+    checkPublishedScheduleConflicts(id).catch(err => {
+      console.error('Error checking schedule conflicts:', err);
+    })
+  ));
+}
@@ -1,6 +1,8 @@
 // Schedule Service - CRUD operations for time-based content scheduling
 import { supabase } from '../supabase';
 import { logActivity, ACTIONS, RESOURCE_TYPES } from './activityLogService';
+import { getExceptionsForDate, applyExceptionsToPreview } from './exceptionCalendarService';
+import { normalizeWeatherConditions } from './weatherConditionService';
 
 /**
  * Days of the week
@@ -127,12 +129,18 @@ export async function fetchScheduleWithEntries(id) {
         end_date,
         start_time,
         end_time,
+        start_anchor,
+        start_offset_minutes,
+        end_anchor,
+        end_offset_minutes,
+        weather_conditions,
         days_of_week,
         priority,
         is_active,
         event_type,
         repeat_type,
-        repeat_config
+        repeat_config,
+        created_at
       )
     `)
     .eq('id', id)
@@ -283,6 +291,13 @@ export async function createScheduleEntry(scheduleId, entryData = {}) {
     end_date: entryData.end_date || null,
     start_time: entryData.start_time || '09:00',
     end_time: entryData.end_time || '17:00',
+    // Solar anchors - start_time/end_time are the fallback when no coordinates are known
+    start_anchor: entryData.start_anchor || 'time',
+    start_offset_minutes: entryData.start_offset_minutes ?? 0,
+    end_anchor: entryData.end_anchor || 'time',
+    end_offset_minutes: entryData.end_offset_minutes ?? 0,
+    // Only applies while the screen's reported weather matches
+    weather_conditions: normalizeWeatherConditions(entryData.weather_conditions),
     days_of_week: entryData.days_of_week || [1, 2, 3, 4, 5], // Default weekdays
     // Settings
     priority: entryData.priority ?? 0,
@@ -309,6 +324,8 @@ export async function updateScheduleEntry(entryId, updates) {
   const allowedFields = [
     'target_type', 'target_id', 'content_type', 'content_id',
     'start_date', 'end_date', 'start_time', 'end_time',
+    'start_anchor', 'start_offset_minutes', 'end_anchor', 'end_offset_minutes',
+    'weather_conditions',
     'days_of_week', 'priority', 'is_active',
     'event_type', 'repeat_type', 'repeat_config'
   ];
@@ -320,6 +337,10 @@ export async function updateScheduleEntry(entryId, updates) {
     }
   }
 
+  if ('weather_conditions' in filteredUpdates) {
+    filteredUpdates.weather_conditions = normalizeWeatherConditions(filteredUpdates.weather_conditions);
+  }
+
   // Build repeat_config from individual fields if provided
   if (updates.repeat_every || updates.repeat_unit || updates.repeat_until || updates.repeat_until_date || updates.repeat_until_count) {
     filteredUpdates.repeat_config = {
@@ -448,6 +469,14 @@ export async function fetchSchedulesWithUsage() {
   return data || [];
 }
 
+// Raise or resolve the conflict alerts of the schedules a screen or group moved between.
+// scheduleConflictService imports this module, so it is loaded on first use.
+async function refreshConflictAlerts(previousScheduleId, scheduleId) {
+  if ((previousScheduleId || null) === (scheduleId || null)) return;
+  const { refreshScheduleConflictAlerts } = await import('./scheduleConflictService');
+  await refreshScheduleConflictAlerts(previousScheduleId, scheduleId);
+}
+
 /**
  * Assign a schedule to a device
  * @param {string} deviceId - Device ID
@@ -456,6 +485,12 @@ export async function fetchSchedulesWithUsage() {
 export async function assignScheduleToDevice(deviceId, scheduleId) {
   if (!deviceId) throw new Error('Device ID is required');
 
+  const { data: current } = await supabase
+    .from('tv_devices')
+    .select('assigned_schedule_id')
+    .eq('id', deviceId)
+    .single();
+
   const { data, error } = await supabase
     .rpc('assign_schedule_to_device', {
       p_device_id: deviceId,
@@ -463,6 +498,7 @@ export async function assignScheduleToDevice(deviceId, scheduleId) {
     });
 
   if (error) throw error;
+  await refreshConflictAlerts(current?.assigned_schedule_id, scheduleId);
   return data;
 }
 
@@ -474,6 +510,12 @@ export async function assignScheduleToDevice(deviceId, scheduleId) {
 export async function assignScheduleToGroup(groupId, scheduleId) {
   if (!groupId) throw new Error('Group ID is required');
 
+  const { data: current } = await supabase
+    .from('screen_groups')
+    .select('assigned_schedule_id')
+    .eq('id', groupId)
+    .single();
+
   const { data, error } = await supabase
     .rpc('assign_schedule_to_group', {
       p_group_id: groupId,
@@ -481,32 +523,36 @@ export async function assignScheduleToGroup(groupId, scheduleId) {
     });
 
   if (error) throw error;
+  await refreshConflictAlerts(current?.assigned_schedule_id, scheduleId);
   return data;
 }
 
 /**
- * Get schedule preview for a specific date
+ * Get schedule preview for a specific date, with exception calendars applied
  * @param {string} scheduleId - Schedule ID
  * @param {string} timezone - Timezone (default: UTC)
- * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} date - Date in YYYY-MM-DD format (default: today in the timezone)
+ * @param {Object} [options]
+ * @param {string} [options.locationId] - Location whose exception calendars also apply
  */
-export async function getSchedulePreview(scheduleId, timezone = 'UTC', date = null) {
+export async function getSchedulePreview(scheduleId, timezone = 'UTC', date = null, { locationId = null } = {}) {
   if (!scheduleId) throw new Error('Schedule ID is required');
 
+  const previewDate = date || new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date());
+
   const params = {
     p_schedule_id: scheduleId,
-    p_timezone: timezone
+    p_timezone: timezone,
+    p_date: previewDate
   };
 
-  if (date) {
-    params.p_date = date;
-  }
-
-  const { data, error } = await supabase
-    .rpc('get_schedule_preview', params);
+  const [{ data, error }, exceptions] = await Promise.all([
+    supabase.rpc('get_schedule_preview', params),
+    getExceptionsForDate(scheduleId, previewDate, { locationId })
+  ]);
 
   if (error) throw error;
-  return data || [];
+  return applyExceptionsToPreview(data || [], exceptions, previewDate);
 }
 
 /**
@@ -516,7 +562,7 @@ export async function getSchedulePreview(scheduleId, timezone = 'UTC', date = nu
 export async function getDevicesWithSchedule(scheduleId) {
   const { data, error } = await supabase
     .from('tv_devices')
-    .select('id, device_name, is_online, location:locations(id, name)')
+    .select('id, device_name, is_online, timezone, latitude, longitude, location:locations(id, name, latitude, longitude)')
     .eq('assigned_schedule_id', scheduleId)
     .order('device_name');
 
@@ -531,7 +577,7 @@ export async function getDevicesWithSchedule(scheduleId) {
 export async function getGroupsWithSchedule(scheduleId) {
   const { data, error } = await supabase
     .from('screen_groups')
-    .select('id, name, location:locations(id, name)')
+    .select('id, name, location:locations(id, name), screens:tv_devices(id, timezone, latitude, longitude, location:locations(latitude, longitude))')
     .eq('assigned_schedule_id', scheduleId)
     .order('name');
 
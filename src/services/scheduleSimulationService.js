@@ -0,0 +1,690 @@
+/**
+ * Schedule Simulation Service
+ *
+ * Simulates what a screen will play over a date range, minute by minute, by combining
+ * every content source the player considers: scene overrides, group-published scenes,
+ * exception calendars, campaigns, schedule entries and the assigned layout/playlist
+ * fallbacks. Each timeline segment records why it won and what it outranked, so support
+ * can answer "why is this screen showing X at 3pm Friday".
+ */
+
+import { supabase } from '../supabase';
+import { fetchScheduleWithEntries } from './scheduleService';
+import { getExceptionsForDate, findActiveException, EXCEPTION_ACTIONS } from './exceptionCalendarService';
+import {
+  expandEntryIntervals,
+  compareEntryPrecedence,
+  dateToDayNumber,
+  dayNumberToDate,
+  minutesToTime,
+  timeToMinutes
+} from './scheduleConflictService';
+import { hasSolarTrigger, resolveEntryTimes, formatTrigger } from './solarService';
+import { getWeatherConditions, describeWeatherConditions } from './weatherConditionService';
+
+/**
+ * Timeline sources, in resolution order (first wins). Values match the `source`
+ * reported by get_resolved_player_content.
+ */
+export const TIMELINE_SOURCES = {
+  DEVICE_OVERRIDE: 'device_override',
+  GROUP_OVERRIDE: 'group_override',
+  EXCEPTION: 'exception_calendar',
+  CAMPAIGN: 'campaign',
+  SCHEDULE: 'schedule',
+  LEGACY_SCHEDULE: 'legacy_schedule',
+  ASSIGNED_LAYOUT: 'assigned_layout',
+  ASSIGNED_PLAYLIST: 'assigned_playlist',
+  NONE: 'none'
+};
+
+/**
+ * Display labels for timeline sources
+ */
+export const TIMELINE_SOURCE_LABELS = {
+  device_override: 'Screen Override',
+  group_override: 'Group Scene',
+  exception_calendar: 'Exception Calendar',
+  campaign: 'Campaign',
+  schedule: 'Scheduled Scene',
+  legacy_schedule: 'Schedule',
+  assigned_layout: 'Assigned Layout',
+  assigned_playlist: 'Assigned Playlist',
+  none: 'Nothing Scheduled'
+};
+
+export const DEFAULT_SIMULATION_DAYS = 7;
+const MAX_SIMULATION_DAYS = 31;
+const MINUTES_PER_DAY = 24 * 60;
+
+// Campaign target specificity (lower wins), as in get_active_campaign_for_screen
+const CAMPAIGN_TARGET_SPECIFICITY = {
+  screen: 1,
+  screen_group: 2,
+  location: 3,
+  all: 4
+};
+
+const CAMPAIGN_TARGET_LABELS = {
+  screen: 'this screen',
+  screen_group: "this screen's group",
+  location: "this screen's location",
+  all: 'all screens'
+};
+
+/**
+ * Get today's date (YYYY-MM-DD) in a timezone
+ */
+export function getLocalDate(timezone = 'UTC', now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone || 'UTC' }).format(now);
+}
+
+/**
+ * Convert a timestamp to minutes since the start of `fromDate` in a timezone
+ * @param {string|Date} timestamp - Timestamp to convert
+ * @param {string} timezone - IANA timezone
+ * @param {string} fromDate - Range start (YYYY-MM-DD, local to the timezone)
+ * @returns {number|null}
+ */
+export function toRangeMinutes(timestamp, timezone, fromDate) {
+  if (!timestamp) return null;
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return null;
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone || 'UTC',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+
+  const dayOffset = dateToDayNumber(`${parts.year}-${parts.month}-${parts.day}`) - dateToDayNumber(fromDate);
+  return dayOffset * MINUTES_PER_DAY + Number(parts.hour) * 60 + Number(parts.minute);
+}
+
+function contentName(names, type, id) {
+  if (!id) return null;
+  return names?.[type]?.[id]?.name || `Unknown ${type}`;
+}
+
+/**
+ * Resolve a scene to the layout/playlist it plays, mirroring the player RPC
+ */
+function sceneContent(names, sceneId) {
+  const scene = names?.scene?.[sceneId];
+  if (!scene || scene.is_active === false) return null;
+  if (!scene.layout_id && !scene.primary_playlist_id) return null;
+  return { contentType: 'scene', contentId: sceneId, contentName: scene.name };
+}
+
+/**
+ * Move a fixed-time interval to the entry's sunrise/sunset-relative times on that date
+ */
+function applySolarTimes(entry, interval, context, fromDay) {
+  const { screen, coordinates } = context;
+  const times = resolveEntryTimes(entry, {
+    date: interval.date,
+    latitude: coordinates?.latitude,
+    longitude: coordinates?.longitude,
+    timezone: screen.timezone || 'UTC'
+  });
+  const dayStart = (dateToDayNumber(interval.date) - fromDay) * MINUTES_PER_DAY;
+  const start = timeToMinutes(times.start_time) ?? 0;
+  let end = timeToMinutes(times.end_time) ?? MINUTES_PER_DAY;
+  if (end <= start) end += MINUTES_PER_DAY;
+  return { ...interval, start: dayStart + start, end: dayStart + end };
+}
+
+/**
+ * Intervals of a one-off (repeat_type 'none') entry as the player resolves it.
+ * resolve_scene_schedule and resolve_schedule_entry ignore its dates and match
+ * it on every day in days_of_week (scenes: every day when unset; other
+ * entries: never), in a daily window. Scene and solar windows wrap past
+ * midnight within the same day; fixed-time legacy entries never wrap.
+ */
+function expandOneOffEntryIntervals(entry, range, context, isScene) {
+  const { screen, coordinates } = context;
+  const fromDay = dateToDayNumber(range.from);
+  const toDay = dateToDayNumber(range.to);
+  const solar = hasSolarTrigger(entry);
+  const wraps = isScene || solar;
+  const intervals = [];
+
+  for (let day = fromDay; day <= toDay; day++) {
+    const date = dayNumberToDate(day);
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if (Array.isArray(entry.days_of_week) ? !entry.days_of_week.includes(dayOfWeek) : !isScene) continue;
+
+    const times = solar
+      ? resolveEntryTimes(entry, {
+        date,
+        latitude: coordinates?.latitude,
+        longitude: coordinates?.longitude,
+        timezone: screen.timezone || 'UTC'
+      })
+      : entry;
+    const dayStart = (day - fromDay) * MINUTES_PER_DAY;
+    const start = timeToMinutes(times.start_time) ?? 0;
+    const end = timeToMinutes(times.end_time) ?? MINUTES_PER_DAY;
+
+    if (end > start) {
+      intervals.push({ entryId: entry.id, date, start: dayStart + start, end: dayStart + end });
+    } else if (wraps) {
+      intervals.push({ entryId: entry.id, date, start: dayStart, end: dayStart + end });
+      intervals.push({ entryId: entry.id, date, start: dayStart + start, end: dayStart + MINUTES_PER_DAY });
+    }
+  }
+
+  return intervals;
+}
+
+/**
+ * Paint candidates into a per-minute array; later candidates overwrite earlier ones,
+ * so callers pass them lowest precedence first
+ */
+function paint(layer, start, end, candidate) {
+  const from = Math.max(0, start);
+  const to = Math.min(layer.length, end);
+  for (let m = from; m < to; m++) layer[m] = candidate;
+}
+
+function buildScheduleLayers(context, range, totalMinutes) {
+  const { schedule, screen, names } = context;
+  const sceneLayer = new Array(totalMinutes).fill(null);
+  const legacyLayer = new Array(totalMinutes).fill(null);
+  if (!schedule) return { sceneLayer, legacyLayer };
+
+  const entries = [...(schedule.entries || schedule.schedule_entries || [])]
+    .filter(entry => entry.is_active !== false)
+    .sort((a, b) => compareEntryPrecedence(b, a));
+
+  // Legacy (non-scene) entries only resolve from the screen's own schedule
+  const legacyEnabled = schedule.id === screen.assigned_schedule_id && schedule.is_active !== false;
+
+  for (const entry of entries) {
+    const type = entry.content_type || entry.target_type;
+    const id = entry.content_id || entry.target_id;
+    if (!id) continue;
+
+    let candidate;
+    let layer;
+    if (type === 'scene') {
+      const content = sceneContent(names, id);
+      if (!content) continue;
+      layer = sceneLayer;
+      candidate = { source: TIMELINE_SOURCES.SCHEDULE, ...content };
+    } else if (['playlist', 'layout', 'media'].includes(type) && legacyEnabled) {
+      layer = legacyLayer;
+      candidate = {
+        source: TIMELINE_SOURCES.LEGACY_SCHEDULE,
+        contentType: type,
+        contentId: id,
+        contentName: contentName(names, type, id)
+      };
+    } else {
+      continue;
+    }
+
+    const window = hasSolarTrigger(entry)
+      ? `${formatTrigger({ anchor: entry.start_anchor, offset: entry.start_offset_minutes, time: entry.start_time })}–` +
+        formatTrigger({ anchor: entry.end_anchor, offset: entry.end_offset_minutes, time: entry.end_time })
+      : entry.start_time || entry.end_time
+        ? `${(entry.start_time || '00:00').slice(0, 5)}–${(entry.end_time || '24:00').slice(0, 5)}`
+        : 'all day';
+    // Weather cannot be simulated ahead of time; say when the entry really applies
+    const weather = getWeatherConditions(entry);
+    Object.assign(candidate, {
+      key: `entry:${entry.id}`,
+      refId: entry.id,
+      refName: schedule.name,
+      priority: entry.priority ?? 0,
+      reason: `Event in schedule "${schedule.name}" (${window}, priority ${entry.priority ?? 0})` +
+        (schedule.fromGroup ? ', inherited from the screen group' : '') +
+        (weather.length ? `; only in this weather: ${describeWeatherConditions(weather)}` : '')
+    });
+
+    const solar = hasSolarTrigger(entry);
+    const fromDay = dateToDayNumber(range.from);
+    const intervals = (entry.repeat_type || 'none') === 'none'
+      ? expandOneOffEntryIntervals(entry, range, context, type === 'scene')
+      : expandEntryIntervals(entry, range).map(interval =>
+        solar ? applySolarTimes(entry, interval, context, fromDay) : interval
+      );
+    for (const { start, end } of intervals) {
+      paint(layer, start, end, candidate);
+    }
+  }
+
+  return { sceneLayer, legacyLayer };
+}
+
+function buildCampaignLayer(context, range, totalMinutes) {
+  const { campaigns, screen, names } = context;
+  const layer = new Array(totalMinutes).fill(null);
+
+  const ranked = (campaigns || [])
+    .filter(c => c.contents?.length > 0 && CAMPAIGN_TARGET_SPECIFICITY[c.effective_target])
+    // Lowest precedence first: least specific, then lowest priority
+    .sort((a, b) =>
+      CAMPAIGN_TARGET_SPECIFICITY[b.effective_target] - CAMPAIGN_TARGET_SPECIFICITY[a.effective_target] ||
+      (a.priority ?? 0) - (b.priority ?? 0) ||
+      String(b.id).localeCompare(String(a.id))
+    );
+
+  for (const campaign of ranked) {
+    const [primary] = [...campaign.contents].sort((a, b) =>
+      (a.position ?? 0) - (b.position ?? 0) || (b.weight ?? 1) - (a.weight ?? 1)
+    );
+    const rotation = campaign.contents.length > 1
+      ? `; rotates ${campaign.contents.length} items by weight`
+      : '';
+    const limits = [
+      campaign.frequency_cap_per_hour && `${campaign.frequency_cap_per_hour} plays/hour`,
+      campaign.share_of_voice && `${Number(campaign.share_of_voice)}% share of voice`,
+      campaign.daily_impression_goal && `${campaign.daily_impression_goal} plays/day goal`
+    ].filter(Boolean);
+    const delivery = limits.length > 0
+      ? `. Delivery is limited to ${limits.join(', ')}, so lower sources fill the remaining airtime`
+      : '';
+    const candidate = {
+      key: `campaign:${campaign.id}`,
+      source: TIMELINE_SOURCES.CAMPAIGN,
+      contentType: primary.content_type,
+      contentId: primary.content_id,
+      contentName: contentName(names, primary.content_type, primary.content_id),
+      refId: campaign.id,
+      refName: campaign.name,
+      priority: campaign.priority ?? 0,
+      reason: `Campaign "${campaign.name}" targets ${CAMPAIGN_TARGET_LABELS[campaign.effective_target]} ` +
+        `(priority ${campaign.priority ?? 0}${rotation})${delivery}`
+    };
+
+    const start = campaign.start_at ? toRangeMinutes(campaign.start_at, screen.timezone, range.from) : 0;
+    const end = campaign.end_at ? toRangeMinutes(campaign.end_at, screen.timezone, range.from) : totalMinutes;
+    paint(layer, start, end, candidate);
+  }
+
+  return layer;
+}
+
+function buildExceptionLayer(context, fromDay, days) {
+  const { exceptionsByDate, names } = context;
+  const layer = new Array(days * MINUTES_PER_DAY).fill(null);
+  const candidates = new Map();
+
+  for (let d = 0; d < days; d++) {
+    const date = dayNumberToDate(fromDay + d);
+    const exceptions = exceptionsByDate?.[date] || [];
+    if (exceptions.length === 0) continue;
+
+    for (let m = 0; m < MINUTES_PER_DAY; m++) {
+      const exception = findActiveException(exceptions, minutesToTime(m), date);
+      if (!exception) continue;
+
+      if (!candidates.has(exception.event_id)) {
+        const screenOff = exception.action === EXCEPTION_ACTIONS.SCREEN_OFF;
+        const content = screenOff
+          ? { contentType: 'screen_off', contentId: null, contentName: 'Screen Off' }
+          : exception.content_type === 'scene'
+            ? sceneContent(names, exception.content_id)
+            : {
+              contentType: exception.content_type,
+              contentId: exception.content_id,
+              contentName: exception.content_name || contentName(names, exception.content_type, exception.content_id)
+            };
+
+        candidates.set(exception.event_id, content && {
+          key: `exception:${exception.event_id}`,
+          source: TIMELINE_SOURCES.EXCEPTION,
+          ...content,
+          refId: exception.event_id,
+          refName: exception.calendar_name,
+          reason: `"${exception.name}" in exception calendar "${exception.calendar_name}"` +
+            (exception.scope ? ` (attached to the ${exception.scope})` : '')
+        });
+      }
+
+      layer[d * MINUTES_PER_DAY + m] = candidates.get(exception.event_id);
+    }
+  }
+
+  return layer;
+}
+
+function overrideCandidate(source, sceneId, names, reason, refId, refName) {
+  const content = sceneId ? sceneContent(names, sceneId) : null;
+  if (!content) return null;
+  return { key: `${source}:${sceneId}`, source, ...content, refId, refName, reason };
+}
+
+/**
+ * Build a minute-resolution timeline from preloaded simulation inputs
+ *
+ * @param {Object} context - Inputs (see loadScreenSimulationContext)
+ * @param {Object} context.screen - tv_devices row (timezone, active_scene_id, assigned_* ids)
+ * @param {Object} [context.group] - screen_groups row
+ * @param {Object} [context.schedule] - Schedule with `entries`; `fromGroup` when inherited
+ * @param {Object} [context.exceptionsByDate] - get_schedule_exceptions rows keyed by date
+ * @param {Array<Object>} [context.campaigns] - Campaigns with `effective_target` and `contents`
+ * @param {Object} [context.names] - Lookup by content type then id ({ scene, playlist, layout, media })
+ * @param {Object} [context.coordinates] - { latitude, longitude } for sunrise/sunset entries
+ * @param {Object} options
+ * @param {string} options.from - First local date (YYYY-MM-DD)
+ * @param {number} [options.days] - Number of days (default 7, max 31)
+ * @returns {Object} Timeline with per-day `segments` and minutes per source in `summary`
+ */
+export function buildScreenTimeline(context, { from, days = DEFAULT_SIMULATION_DAYS }) {
+  const { screen, group, names } = context;
+  const dayCount = Math.min(Math.max(1, days), MAX_SIMULATION_DAYS);
+  const fromDay = dateToDayNumber(from);
+  const to = dayNumberToDate(fromDay + dayCount - 1);
+  const totalMinutes = dayCount * MINUTES_PER_DAY;
+  const range = { from, to };
+
+  const deviceOverride = overrideCandidate(
+    TIMELINE_SOURCES.DEVICE_OVERRIDE, screen.active_scene_id, names,
+    'Scene set directly on this screen', screen.id, screen.device_name || screen.name
+  );
+  const groupOverride = group ? overrideCandidate(
+    TIMELINE_SOURCES.GROUP_OVERRIDE, group.active_scene_id, names,
+    `Scene published to screen group "${group.name}"`, group.id, group.name
+  ) : null;
+  const exceptionLayer = buildExceptionLayer(context, fromDay, dayCount);
+  const campaignLayer = buildCampaignLayer(context, range, totalMinutes);
+  const { sceneLayer, legacyLayer } = buildScheduleLayers(context, range, totalMinutes);
+  const assignedLayout = screen.assigned_layout_id ? {
+    key: `layout:${screen.assigned_layout_id}`,
+    source: TIMELINE_SOURCES.ASSIGNED_LAYOUT,
+    contentType: 'layout',
+    contentId: screen.assigned_layout_id,
+    contentName: contentName(names, 'layout', screen.assigned_layout_id),
+    reason: 'Layout assigned to this screen (fallback)'
+  } : null;
+  const assignedPlaylist = screen.assigned_playlist_id ? {
+    key: `playlist:${screen.assigned_playlist_id}`,
+    source: TIMELINE_SOURCES.ASSIGNED_PLAYLIST,
+    contentType: 'playlist',
+    contentId: screen.assigned_playlist_id,
+    contentName: contentName(names, 'playlist', screen.assigned_playlist_id),
+    reason: 'Playlist assigned to this screen (fallback)'
+  } : null;
+  const nothing = {
+    key: 'none',
+    source: TIMELINE_SOURCES.NONE,
+    contentType: null,
+    contentId: null,
+    contentName: null,
+    reason: 'No override, campaign, schedule or fallback content applies'
+  };
+
+  const segments = [];
+  const summary = {};
+  let current = null;
+
+  for (let m = 0; m < totalMinutes; m++) {
+    const candidates = [
+      deviceOverride,
+      groupOverride,
+      exceptionLayer[m],
+      campaignLayer[m],
+      sceneLayer[m],
+      legacyLayer[m],
+      assignedLayout,
+      assignedPlaylist
+    ].filter(Boolean);
+    const [winner = nothing, ...shadowed] = candidates;
+    const key = candidates.map(c => c.key).join('|') || nothing.key;
+    summary[winner.source] = (summary[winner.source] || 0) + 1;
+
+    const minuteOfDay = m % MINUTES_PER_DAY;
+    if (current && current.key === key && minuteOfDay !== 0) {
+      current.end = m + 1;
+      continue;
+    }
+
+    current = {
+      key,
+      date: dayNumberToDate(fromDay + Math.floor(m / MINUTES_PER_DAY)),
+      start: m,
+      end: m + 1,
+      source: winner.source,
+      contentType: winner.contentType,
+      contentId: winner.contentId,
+      contentName: winner.contentName,
+      refId: winner.refId || null,
+      refName: winner.refName || null,
+      reason: winner.reason,
+      shadowed: shadowed.map(c => ({
+        source: c.source,
+        contentName: c.contentName,
+        refName: c.refName || null,
+        reason: c.reason
+      }))
+    };
+    segments.push(current);
+  }
+
+  return {
+    screen: {
+      id: screen.id,
+      name: screen.device_name || screen.name,
+      timezone: screen.timezone || 'UTC'
+    },
+    from,
+    to,
+    days: dayCount,
+    segments: segments.map(({ key: _key, ...segment }) => ({
+      ...segment,
+      startTime: minutesToTime(segment.start),
+      endTime: segment.end % MINUTES_PER_DAY === 0 ? '24:00' : minutesToTime(segment.end)
+    })),
+    summary
+  };
+}
+
+/**
+ * Find the timeline segment playing at a local date and time
+ * @param {Object} timeline - Result of buildScreenTimeline / simulateScreenTimeline
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:mm)
+ * @returns {Object|null}
+ */
+export function findTimelineSegment(timeline, date, time) {
+  const dayOffset = dateToDayNumber(date) - dateToDayNumber(timeline.from);
+  const [h, m] = String(time).split(':').map(Number);
+  const minute = dayOffset * MINUTES_PER_DAY + h * 60 + (m || 0);
+  return timeline.segments.find(s => s.start <= minute && minute < s.end) || null;
+}
+
+async function fetchNames(table, ids, columns = 'id, name') {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0) return {};
+  const { data, error } = await supabase.from(table).select(columns).in('id', unique);
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(row => [row.id, row]));
+}
+
+/**
+ * Campaigns running during the range that target the screen, with the most specific
+ * matching target as `effective_target`. One query: only matching targets are
+ * embedded, and campaigns without one are left out.
+ */
+async function fetchCampaignsForScreen(screen, fromDate, toDate) {
+  const matchers = {
+    screen: screen.id,
+    screen_group: screen.screen_group_id,
+    location: screen.location_id
+  };
+  const targetFilters = ['target_type.eq.all'];
+  for (const [type, id] of Object.entries(matchers)) {
+    if (id) targetFilters.push(`and(target_type.eq.${type},target_id.eq.${id})`);
+  }
+
+  // Generous UTC bounds; exact local boundaries are applied when painting the timeline
+  const rangeStart = `${dayNumberToDate(dateToDayNumber(fromDate) - 1)}T00:00:00Z`;
+  const rangeEnd = `${dayNumberToDate(dateToDayNumber(toDate) + 2)}T00:00:00Z`;
+
+  const { data, error } = await supabase
+    .from('campaigns')
+    .select('id, name, priority, status, start_at, end_at, campaign_targets!inner(target_type, target_id), campaign_contents(*)')
+    .in('status', ['active', 'scheduled'])
+    .or(`start_at.is.null,start_at.lt.${rangeEnd}`)
+    .or(`end_at.is.null,end_at.gte.${rangeStart}`)
+    .or(targetFilters.join(','), { foreignTable: 'campaign_targets' })
+    .order('position', { foreignTable: 'campaign_contents', ascending: true });
+
+  if (error) throw error;
+
+  return (data || []).map(({ campaign_targets: targets, campaign_contents: contents, ...campaign }) => {
+    const [matching] = [...targets].sort((a, b) =>
+      CAMPAIGN_TARGET_SPECIFICITY[a.target_type] - CAMPAIGN_TARGET_SPECIFICITY[b.target_type]
+    );
+    return { ...campaign, effective_target: matching.target_type, contents: contents || [] };
+  });
+}
+
+/**
+ * Load everything the simulator needs for one screen
+ * @param {string} screenId - Screen ID
+ * @param {Object} options
+ * @param {string} [options.from] - First local date (default: today in the screen's timezone)
+ * @param {number} [options.days] - Number of days
+ */
+export async function loadScreenSimulationContext(screenId, { from = null, days = DEFAULT_SIMULATION_DAYS } = {}) {
+  const { data: screen, error } = await supabase
+    .from('tv_devices')
+    .select('*')
+    .eq('id', screenId)
+    .single();
+
+  if (error) throw error;
+
+  let group = null;
+  if (screen.screen_group_id) {
+    const { data: groupData, error: groupError } = await supabase
+      .from('screen_groups')
+      .select('id, name, active_scene_id, assigned_schedule_id')
+      .eq('id', screen.screen_group_id)
+      .single();
+    if (groupError) throw groupError;
+    group = groupData;
+  }
+
+  let coordinates = { latitude: screen.latitude ?? null, longitude: screen.longitude ?? null };
+  if ((coordinates.latitude === null || coordinates.longitude === null) && screen.location_id) {
+    const { data: location, error: locationError } = await supabase
+      .from('locations')
+      .select('latitude, longitude')
+      .eq('id', screen.location_id)
+      .single();
+    if (locationError) throw locationError;
+    coordinates = { latitude: location?.latitude ?? null, longitude: location?.longitude ?? null };
+  }
+
+  const fromDate = from || getLocalDate(screen.timezone);
+  const dayCount = Math.min(Math.max(1, days), MAX_SIMULATION_DAYS);
+  const fromDay = dateToDayNumber(fromDate);
+  const toDate = dayNumberToDate(fromDay + dayCount - 1);
+
+  const scheduleId = screen.assigned_schedule_id || group?.assigned_schedule_id || null;
+  const dates = Array.from({ length: dayCount }, (_, d) => dayNumberToDate(fromDay + d));
+
+  const [scheduleRow, exceptionLists, campaigns] = await Promise.all([
+    scheduleId ? fetchScheduleWithEntries(scheduleId) : null,
+    Promise.all(dates.map(date => getExceptionsForDate(scheduleId, date, { locationId: screen.location_id }))),
+    fetchCampaignsForScreen(screen, fromDate, toDate)
+  ]);
+
+  const schedule = scheduleRow ? {
+    id: scheduleRow.id,
+    name: scheduleRow.name,
+    is_active: scheduleRow.is_active,
+    entries: scheduleRow.schedule_entries || [],
+    fromGroup: !screen.assigned_schedule_id
+  } : null;
+
+  const exceptionsByDate = Object.fromEntries(dates.map((date, i) => [date, exceptionLists[i]]));
+
+  // Collect referenced content so the timeline can show names
+  const ids = { scene: [screen.active_scene_id, group?.active_scene_id], playlist: [screen.assigned_playlist_id], layout: [screen.assigned_layout_id], media: [] };
+  for (const entry of schedule?.entries || []) {
+    const type = entry.content_type || entry.target_type;
+    ids[type]?.push(entry.content_id || entry.target_id);
+  }
+  for (const exception of exceptionLists.flat()) {
+    ids[exception.content_type]?.push(exception.content_id);
+  }
+  for (const campaign of campaigns) {
+    for (const content of campaign.contents) ids[content.content_type]?.push(content.content_id);
+  }
+
+  const [scene, playlist, layout, media] = await Promise.all([
+    fetchNames('scenes', ids.scene, 'id, name, is_active, layout_id, primary_playlist_id'),
+    fetchNames('playlists', ids.playlist),
+    fetchNames('layouts', ids.layout),
+    fetchNames('media_assets', ids.media)
+  ]);
+
+  return {
+    screen,
+    group,
+    schedule,
+    exceptionsByDate,
+    campaigns,
+    names: { scene, playlist, layout, media },
+    coordinates,
+    from: fromDate,
+    days: dayCount
+  };
+}
+
+/**
+ * Simulate what a screen will play, minute by minute
+ * @param {string} screenId - Screen ID
+ * @param {Object} [options]
+ * @param {string} [options.from] - First local date (default: today in the screen's timezone)
+ * @param {number} [options.days] - Number of days (default 7)
+ * @returns {Promise<Object>} Timeline (see buildScreenTimeline)
+ */
+export async function simulateScreenTimeline(screenId, options = {}) {
+  if (!screenId) throw new Error('Screen ID is required');
+  const context = await loadScreenSimulationContext(screenId, options);
+  return buildScreenTimeline(context, { from: context.from, days: context.days });
+}
+
+/**
+ * Simulate every screen in a screen group
+ * @param {string} groupId - Screen group ID
+ * @param {Object} [options] - Same options as simulateScreenTimeline
+ * @returns {Promise<Array<Object>>} One timeline per screen
+ */
+export async function simulateScreenGroupTimelines(groupId, options = {}) {
+  if (!groupId) throw new Error('Group ID is required');
+
+  const { data, error } = await supabase
+    .from('tv_devices')
+    .select('id')
+    .eq('screen_group_id', groupId);
+
+  if (error) throw error;
+
+  const timelines = [];
+  for (const { id } of data || []) {
+    timelines.push(await simulateScreenTimeline(id, options));
+  }
+  return timelines;
+}
+
+export default {
+  TIMELINE_SOURCES,
+  TIMELINE_SOURCE_LABELS,
+  buildScreenTimeline,
+  findTimelineSegment,
+  simulateScreenTimeline,
+  simulateScreenGroupTimelines
+};
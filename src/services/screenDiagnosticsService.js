@@ -138,6 +138,69 @@ export function formatUptime(percent) {
   return `${percent.toFixed(1)}%`;
 }
 
+// Device clocks within this of the server count as in sync
+const CLOCK_IN_SYNC_MS = 1000;
+// Beyond this the device clock is badly off, though the player corrects it
+const CLOCK_LARGE_DRIFT_MS = 60 * 1000;
+
+/**
+ * Format a measured clock offset as how far the device clock is off
+ * @param {number} offsetMs - Server time minus device time (ms)
+ * @returns {string} e.g. "2m 5s behind", "340ms ahead"
+ */
+export function formatClockOffset(offsetMs) {
+  if (offsetMs === null || offsetMs === undefined) return 'Unknown';
+
+  const abs = Math.abs(offsetMs);
+  // A positive offset means the server is ahead, i.e. the device is behind
+  const direction = offsetMs > 0 ? 'behind' : 'ahead';
+
+  if (abs < 1000) return `${abs}ms ${direction}`;
+  if (abs < 60 * 1000) return `${(abs / 1000).toFixed(1)}s ${direction}`;
+
+  const totalSeconds = Math.round(abs / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m ${direction}`;
+  return `${minutes}m ${seconds}s ${direction}`;
+}
+
+/**
+ * Get clock sync status info from the offset the player last measured
+ * @param {Object} screen - Screen info from diagnostics
+ * @returns {Object} Status info with label, detail and color
+ */
+export function getClockSyncInfo(screen) {
+  const offset = screen?.clock_offset_ms;
+  if (offset === null || offset === undefined) {
+    return {
+      label: 'Not Measured',
+      detail: 'The player has not reported its clock yet',
+      color: 'text-gray-500',
+      bgColor: 'bg-gray-100',
+    };
+  }
+
+  const detail = `Device clock ${formatClockOffset(offset)}`
+    + (screen.clock_round_trip_ms !== null && screen.clock_round_trip_ms !== undefined
+      ? ` (±${Math.round(screen.clock_round_trip_ms / 2)}ms)`
+      : '');
+
+  if (Math.abs(offset) < CLOCK_IN_SYNC_MS) {
+    return { label: 'In Sync', detail, color: 'text-green-600', bgColor: 'bg-green-100' };
+  }
+  if (Math.abs(offset) < CLOCK_LARGE_DRIFT_MS) {
+    return { label: 'Corrected', detail, color: 'text-yellow-600', bgColor: 'bg-yellow-100' };
+  }
+  return {
+    label: 'Large Drift',
+    detail: `${detail}. The player corrects for it, but check the device's time settings.`,
+    color: 'text-orange-600',
+    bgColor: 'bg-orange-100',
+  };
+}
+
 /**
  * Get content type label
  * @param {string} type - Content type (layout, playlist)
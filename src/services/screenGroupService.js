@@ -1,5 +1,6 @@
 // Screen Group Service - CRUD operations for screen groups
 import { supabase } from '../supabase';
+import { SYNC_MODES, validateWallLayout } from './videoWallService';
 
 /**
  * Fetch all screen groups for the current tenant
@@ -152,6 +153,8 @@ export async function getScreensInGroup(groupId) {
       name,
       is_online,
       last_seen_at,
+      wall_row,
+      wall_column,
       location:locations(id, name)
     `)
     .eq('screen_group_id', groupId)
@@ -359,6 +362,60 @@ export async function getGroupActiveScene(groupId) {
   return data?.active_scene || null;
 }
 
+/**
+ * Turn a screen group into a video wall, or back into independent screens
+ * @param {string} groupId - Screen group UUID
+ * @param {Object} wall
+ * @param {string} wall.syncMode - One of SYNC_MODES
+ * @param {number} [wall.columns]
+ * @param {number} [wall.rows]
+ * @param {Array<{deviceId: string, row: number|null, column: number|null}>} [wall.positions]
+ * @returns {Promise<Object>} Updated screen group
+ * @throws {Error} If the wall layout is invalid or an update fails
+ */
+export async function updateVideoWall(groupId, { syncMode, columns = 1, rows = 1, positions = [] }) {
+  if (!groupId) throw new Error('Group ID is required');
+
+  if (syncMode === SYNC_MODES.VIDEO_WALL) {
+    const errors = validateWallLayout({ columns, rows, positions });
+    if (errors.length) throw new Error(errors[0]);
+  }
+
+  // Clear positions first so panels can swap places without hitting the
+  // one-panel-per-position index
+  const { error: clearError } = await supabase
+    .from('tv_devices')
+    .update({ wall_row: null, wall_column: null })
+    .eq('screen_group_id', groupId);
+  if (clearError) throw clearError;
+
+  if (syncMode === SYNC_MODES.VIDEO_WALL) {
+    const results = await Promise.all(
+      positions
+        .filter(p => p.row !== null && p.row !== undefined)
+        .map(({ deviceId, row, column }) =>
+          supabase
+            .from('tv_devices')
+            .update({ wall_row: row, wall_column: column })
+            .eq('id', deviceId)
+            .eq('screen_group_id', groupId)
+        )
+    );
+    const failed = results.find(r => r.error);
+    if (failed) throw failed.error;
+  }
+
+  const { data, error } = await supabase
+    .from('screen_groups')
+    .update({ sync_mode: syncMode, wall_columns: columns, wall_rows: rows })
+    .eq('id', groupId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
 export default {
   fetchScreenGroups,
   fetchScreenGroupsWithScenes,
@@ -375,5 +432,6 @@ export default {
   publishSceneToGroup,
   unpublishSceneFromGroup,
   publishSceneToMultipleGroups,
-  getGroupActiveScene
+  getGroupActiveScene,
+  updateVideoWall
 };
@@ -1,6 +1,7 @@
 // Screen Service - CRUD operations for TV devices (screens)
 import { supabase } from '../supabase';
 import { logActivity, ACTIONS, RESOURCE_TYPES } from './activityLogService';
+import { refreshScheduleConflictAlerts } from './scheduleConflictService';
 
 /**
  * Fetch all screens for the current user
@@ -68,6 +69,17 @@ export async function updateScreen(id, updates) {
     'assigned_layout_id' in updates ||
     'assigned_schedule_id' in updates;
 
+  // Schedule whose screens change, for its conflict alert
+  let previousScheduleId = null;
+  if ('assigned_schedule_id' in filteredUpdates) {
+    const { data: current } = await supabase
+      .from('tv_devices')
+      .select('assigned_schedule_id')
+      .eq('id', id)
+      .single();
+    previousScheduleId = current?.assigned_schedule_id || null;
+  }
+
   const { data, error } = await supabase
     .from('tv_devices')
     .update(filteredUpdates)
@@ -77,6 +89,10 @@ export async function updateScreen(id, updates) {
 
   if (error) throw error;
 
+  if ('assigned_schedule_id' in filteredUpdates && previousScheduleId !== data?.assigned_schedule_id) {
+    await refreshScheduleConflictAlerts(previousScheduleId, data?.assigned_schedule_id);
+  }
+
   // Log activity for assignment updates
   if (isAssignmentUpdate && data) {
     logActivity(
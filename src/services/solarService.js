@@ -0,0 +1,218 @@
+/**
+ * Solar Service
+ *
+ * Computes sunrise/sunset locally (NOAA approximation, accurate to a minute or two)
+ * so schedule entries can be anchored to solar events without any external API.
+ * Mirrors public.solar_event_minutes() in migration 181, so the editor, the schedule
+ * simulator and offline players agree with the server.
+ */
+
+/**
+ * Time anchors for schedule entry start/end
+ */
+export const TIME_ANCHORS = {
+  TIME: 'time',
+  SUNRISE: 'sunrise',
+  SUNSET: 'sunset'
+};
+
+// Sun's upper limb on the horizon, corrected for atmospheric refraction
+const ZENITH_DEGREES = 90.833;
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+function dateParts(date) {
+  const [year, month, day] = String(date).slice(0, 10).split('-').map(Number);
+  return { year, month, day };
+}
+
+/**
+ * Compute a solar event for a date at a location
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} latitude - Latitude in degrees (north positive)
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @param {'sunrise'|'sunset'} event - Solar event
+ * @returns {number|null} Minutes from 00:00 UTC on `date` (may be negative or exceed a day),
+ *   or null when the sun does not rise/set that day (polar day or night)
+ */
+export function getSolarEventMinutes(date, latitude, longitude, event) {
+  if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) return null;
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  if (Number.isNaN(lat) || Number.isNaN(lon)) return null;
+
+  const { year, month, day } = dateParts(date);
+  const dayOfYear = Math.floor((Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / MS_PER_DAY) + 1;
+
+  // Fractional year (radians), evaluated at local solar noon
+  const gamma = (2 * Math.PI / 365) * (dayOfYear - 1);
+
+  const eqTime = 229.18 * (
+    0.000075 +
+    0.001868 * Math.cos(gamma) -
+    0.032077 * Math.sin(gamma) -
+    0.014615 * Math.cos(2 * gamma) -
+    0.040849 * Math.sin(2 * gamma)
+  );
+
+  const decl =
+    0.006918 -
+    0.399912 * Math.cos(gamma) +
+    0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) +
+    0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) +
+    0.00148 * Math.sin(3 * gamma);
+
+  const latRad = toRadians(lat);
+  const cosHourAngle =
+    Math.cos(toRadians(ZENITH_DEGREES)) / (Math.cos(latRad) * Math.cos(decl)) -
+    Math.tan(latRad) * Math.tan(decl);
+
+  if (cosHourAngle > 1 || cosHourAngle < -1) return null;
+
+  const hourAngle = toDegrees(Math.acos(cosHourAngle));
+  const sign = event === TIME_ANCHORS.SUNSET ? -1 : 1;
+  return 720 - 4 * (lon + sign * hourAngle) - eqTime;
+}
+
+/**
+ * Format a UTC instant as HH:mm in a timezone
+ */
+function formatLocalTime(utcMs, timezone) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(new Date(utcMs));
+}
+
+/**
+ * Local sunrise and sunset for a date
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} location
+ * @param {number} location.latitude
+ * @param {number} location.longitude
+ * @param {string} [location.timezone] - IANA timezone for the returned times (default UTC)
+ * @returns {{sunrise: string|null, sunset: string|null}} Local HH:mm times
+ */
+export function getSunTimes(date, { latitude, longitude, timezone = 'UTC' }) {
+  const { year, month, day } = dateParts(date);
+  const midnightUtc = Date.UTC(year, month - 1, day);
+  const result = {};
+
+  for (const event of [TIME_ANCHORS.SUNRISE, TIME_ANCHORS.SUNSET]) {
+    const minutes = getSolarEventMinutes(date, latitude, longitude, event);
+    result[event] = minutes === null
+      ? null
+      : formatLocalTime(midnightUtc + Math.round(minutes) * 60000, timezone);
+  }
+
+  return result;
+}
+
+function addMinutes(time, offset) {
+  const [h, m] = time.split(':').map(Number);
+  const total = (((h * 60 + m + offset) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${Math.floor(total / 60).toString().padStart(2, '0')}:${(total % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Resolve an anchored time (fixed, or sunrise/sunset plus an offset) to local HH:mm
+ *
+ * @param {Object} trigger
+ * @param {string} [trigger.anchor] - 'time' | 'sunrise' | 'sunset'
+ * @param {number} [trigger.offset] - Minutes after (positive) or before (negative) the event
+ * @param {string} [trigger.time] - Fixed time; also used when the solar event cannot be computed
+ * @param {Object} context - { date, latitude, longitude, timezone }
+ * @returns {string|null} Local HH:mm
+ */
+export function resolveTriggerTime({ anchor = TIME_ANCHORS.TIME, offset = 0, time = null }, context) {
+  if (!anchor || anchor === TIME_ANCHORS.TIME) return time ? time.slice(0, 5) : null;
+
+  const solar = getSunTimes(context.date, context)[anchor];
+  if (!solar) return time ? time.slice(0, 5) : null;
+  return addMinutes(solar, offset || 0);
+}
+
+/**
+ * Effective start/end times of a schedule entry on a date at a location.
+ * Entries without solar anchors are returned unchanged.
+ *
+ * @param {Object} entry - Schedule entry row
+ * @param {Object} context - { date, latitude, longitude, timezone }
+ * @returns {{start_time: string|null, end_time: string|null}}
+ */
+export function resolveEntryTimes(entry, context) {
+  return {
+    start_time: resolveTriggerTime({
+      anchor: entry.start_anchor,
+      offset: entry.start_offset_minutes,
+      time: entry.start_time
+    }, context),
+    end_time: resolveTriggerTime({
+      anchor: entry.end_anchor,
+      offset: entry.end_offset_minutes,
+      time: entry.end_time
+    }, context)
+  };
+}
+
+/**
+ * Whether an entry has a solar-anchored start or end
+ */
+export function hasSolarTrigger(entry) {
+  return [entry?.start_anchor, entry?.end_anchor].some(a => a === TIME_ANCHORS.SUNRISE || a === TIME_ANCHORS.SUNSET);
+}
+
+/**
+ * Parse expressions like "sunset", "sunrise+15m", "sunset-1h30m" or "08:00"
+ * @param {string} expression
+ * @returns {{anchor: string, offset: number, time: string|null}|null}
+ */
+export function parseTriggerExpression(expression) {
+  const value = String(expression || '').trim().toLowerCase();
+  if (/^\d{1,2}:\d{2}$/.test(value)) {
+    return { anchor: TIME_ANCHORS.TIME, offset: 0, time: value.padStart(5, '0') };
+  }
+
+  const match = value.match(/^(sunrise|sunset)\s*(?:([+-])\s*(?:(\d+)h)?\s*(?:(\d+)m)?)?$/);
+  if (!match || (match[2] && !match[3] && !match[4])) return null;
+
+  const [, anchor, sign, hours, minutes] = match;
+  const magnitude = (parseInt(hours || '0', 10) * 60) + parseInt(minutes || '0', 10);
+  return { anchor, offset: sign === '-' ? -magnitude : magnitude, time: null };
+}
+
+/**
+ * Format an anchored time for display, e.g. "Sunset − 30m"
+ */
+export function formatTrigger({ anchor = TIME_ANCHORS.TIME, offset = 0, time = null }) {
+  if (!anchor || anchor === TIME_ANCHORS.TIME) return time ? time.slice(0, 5) : '';
+
+  const label = anchor === TIME_ANCHORS.SUNRISE ? 'Sunrise' : 'Sunset';
+  if (!offset) return label;
+
+  const magnitude = Math.abs(offset);
+  const hours = Math.floor(magnitude / 60);
+  const minutes = magnitude % 60;
+  const parts = [hours ? `${hours}h` : '', minutes ? `${minutes}m` : ''].filter(Boolean).join(' ');
+  return `${label} ${offset < 0 ? '−' : '+'} ${parts}`;
+}
+
+export default {
+  TIME_ANCHORS,
+  getSolarEventMinutes,
+  getSunTimes,
+  resolveTriggerTime,
+  resolveEntryTimes,
+  hasSolarTrigger,
+  parseTriggerExpression,
+  formatTrigger
+};
@@ -0,0 +1,158 @@
+/**
+ * Video Wall Service
+ *
+ * Synchronized playback for screen groups in 'video_wall' sync mode: the
+ * group is one canvas of columns x rows panels, each member device renders its
+ * crop of the group's layout or scene.
+ *
+ * Panels do not message each other to stay in step. Each one measures its
+ * offset to the server clock and derives the current slide, and how far into
+ * it a video should be, from the group's sync epoch. Panels with clocks
+ * measured to within a few milliseconds therefore switch slides within a
+ * frame or two of each other. The epoch is reset on the server whenever the
+ * wall's content or geometry changes (see migration 189), and players pick up
+ * the change through realtimeService.subscribeToScreenGroup.
+ */
+
+import { supabase } from '../supabase';
+import { estimateClockOffset } from './playerClockService';
+
+// Re-exported for wall callers; the estimate is shared with the player clock
+export { estimateClockOffset };
+
+/**
+ * How a screen group's members play
+ */
+export const SYNC_MODES = {
+  INDEPENDENT: 'independent',
+  VIDEO_WALL: 'video_wall',
+};
+
+export const MAX_WALL_SIZE = 8;
+
+// Videos further than this from their scheduled position are re-seeked
+export const VIDEO_DRIFT_TOLERANCE_MS = 40;
+
+/**
+ * Where a looping schedule of durations is at a point in time
+ * @param {Array<number>} durations - Slide durations in ms
+ * @param {number} epoch - When slide 0 of cycle 0 started (ms, server time)
+ * @param {number} now - Current server time (ms)
+ * @returns {{index: number, cycle: number, startedAt: number, endsAt: number}|null}
+ *   null when there is nothing to play
+ */
+export function getSchedulePosition(durations, epoch, now) {
+  const lengths = (durations || []).map(d => (Number.isFinite(d) && d > 0 ? d : 0));
+  const total = lengths.reduce((sum, d) => sum + d, 0);
+  if (!total) return null;
+
+  const elapsed = Math.max(0, now - epoch);
+  const cycle = Math.floor(elapsed / total);
+  let offset = elapsed - cycle * total;
+  let startedAt = epoch + cycle * total;
+
+  for (let index = 0; index < lengths.length; index++) {
+    if (offset < lengths[index]) {
+      return { index, cycle, startedAt, endsAt: startedAt + lengths[index] };
+    }
+    offset -= lengths[index];
+    startedAt += lengths[index];
+  }
+
+  // Floating point leftovers land on the last slide
+  const last = lengths.length - 1;
+  return { index: last, cycle, startedAt: startedAt - lengths[last], endsAt: startedAt };
+}
+
+/**
+ * Style that places the full canvas behind a panel so only its crop shows
+ * @param {{columns: number, rows: number, row: number, column: number}} wall
+ * @returns {Object} Absolute-position style for the canvas element
+ */
+export function getPanelCropStyle({ columns, rows, row, column }) {
+  return {
+    position: 'absolute',
+    width: `${columns * 100}%`,
+    height: `${rows * 100}%`,
+    left: `${-column * 100}%`,
+    top: `${-row * 100}%`,
+  };
+}
+
+/**
+ * Validate a wall layout before saving
+ * @param {Object} layout
+ * @param {number} layout.columns
+ * @param {number} layout.rows
+ * @param {Array<{deviceId: string, row: number|null, column: number|null}>} layout.positions
+ * @returns {Array<string>} Errors, empty when valid
+ */
+export function validateWallLayout({ columns, rows, positions = [] }) {
+  const errors = [];
+  if (!Number.isInteger(columns) || columns < 1 || columns > MAX_WALL_SIZE
+      || !Number.isInteger(rows) || rows < 1 || rows > MAX_WALL_SIZE) {
+    errors.push(`Walls can be 1 to ${MAX_WALL_SIZE} panels wide and high`);
+    return errors;
+  }
+
+  const taken = new Set();
+  for (const { row, column } of positions) {
+    if (row === null || row === undefined) continue;
+    if (row < 0 || row >= rows || column < 0 || column >= columns) {
+      errors.push('A screen is placed outside the wall');
+    } else if (taken.has(`${row}:${column}`)) {
+      errors.push('Each wall position can only hold one screen');
+    }
+    taken.add(`${row}:${column}`);
+  }
+
+  if (taken.size < columns * rows) {
+    errors.push(`Place a screen in each of the ${columns * rows} wall positions`);
+  }
+
+  return [...new Set(errors)];
+}
+
+/**
+ * Fetch a player's wall config and measure its clock offset
+ * @param {string} deviceId - Device UUID
+ * @param {Object} [options]
+ * @param {number} [options.samples=3] - Round trips to measure
+ * @returns {Promise<Object>} { enabled, groupId, columns, rows, row, column, epoch (ms), clockOffset, roundTrip }
+ */
+export async function fetchWallConfig(deviceId, { samples = 3 } = {}) {
+  const measurements = [];
+  let config = null;
+
+  for (let i = 0; i < samples; i++) {
+    const sentAt = Date.now();
+    const { data, error } = await supabase.rpc('get_video_wall_config', { p_device_id: deviceId });
+    const receivedAt = Date.now();
+    if (error) throw error;
+
+    config = data;
+    measurements.push({ sentAt, receivedAt, serverTime: new Date(data?.serverTime).getTime() });
+    // Only walls need an accurate clock
+    if (!data?.enabled) break;
+  }
+
+  const clock = estimateClockOffset(measurements);
+  return {
+    ...config,
+    enabled: Boolean(config?.enabled),
+    epoch: config?.epoch ? new Date(config.epoch).getTime() : null,
+    clockOffset: clock?.offset ?? 0,
+    roundTrip: clock?.roundTrip ?? null,
+  };
+}
+
+export default {
+  SYNC_MODES,
+  MAX_WALL_SIZE,
+  VIDEO_DRIFT_TOLERANCE_MS,
+  estimateClockOffset,
+  getSchedulePosition,
+  getPanelCropStyle,
+  validateWallLayout,
+  fetchWallConfig,
+};
@@ -0,0 +1,349 @@
+/**
+ * Weather Condition Service
+ *
+ * Weather conditions let playlist items and schedule entries play only in
+ * certain weather at the screen's location, e.g. hot drinks when it is below
+ * 10°C or umbrellas when it rains. Conditions are stored as
+ * [{ type, value, units }] and all of them must hold.
+ *
+ * The player fetches the weather for its location (weatherService by default,
+ * or any provider passed in), keeps the last real reading in the offline cache
+ * and reports it to the server, which uses it for schedule entries. Playlist
+ * items are evaluated on the player as show rules against a weather data
+ * source (see contentTriggerService).
+ *
+ * A reading older than WEATHER_STALE_AFTER_MS, a mock reading or no reading at
+ * all counts as unknown weather: weather-conditional content is skipped and
+ * the unconditional content plays instead.
+ */
+
+import { supabase } from '../supabase';
+import { getWeather, getWeatherByCoords } from './weatherService';
+import { cacheContent, getCachedContent } from './playerService';
+import { TRIGGER_ACTIONS, TRIGGER_MATCH, TRIGGER_OPERATORS } from './contentTriggerService';
+
+/**
+ * Condition types
+ */
+export const WEATHER_CONDITION_TYPES = {
+  RAIN: 'rain',
+  SNOW: 'snow',
+  CLEAR: 'clear',
+  CLOUDS: 'clouds',
+  TEMP_ABOVE: 'temp_above',
+  TEMP_BELOW: 'temp_below',
+};
+
+/**
+ * Condition options for editors
+ */
+export const WEATHER_CONDITION_OPTIONS = [
+  { value: WEATHER_CONDITION_TYPES.RAIN, label: 'Raining' },
+  { value: WEATHER_CONDITION_TYPES.SNOW, label: 'Snowing' },
+  { value: WEATHER_CONDITION_TYPES.CLEAR, label: 'Clear sky' },
+  { value: WEATHER_CONDITION_TYPES.CLOUDS, label: 'Cloudy' },
+  { value: WEATHER_CONDITION_TYPES.TEMP_ABOVE, label: 'Temperature above' },
+  { value: WEATHER_CONDITION_TYPES.TEMP_BELOW, label: 'Temperature below' },
+];
+
+/**
+ * Temperature units for thresholds
+ */
+export const TEMPERATURE_UNITS = {
+  CELSIUS: 'C',
+  FAHRENHEIT: 'F',
+};
+
+/**
+ * Readings older than this count as unknown weather
+ * (same window as weather_conditions_match in the database)
+ */
+export const WEATHER_STALE_AFTER_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * Data source ID under which the weather reading is evaluated by triggers
+ */
+export const WEATHER_SOURCE_ID = 'weather';
+
+const TEMPERATURE_TYPES = [WEATHER_CONDITION_TYPES.TEMP_ABOVE, WEATHER_CONDITION_TYPES.TEMP_BELOW];
+
+// OpenWeatherMap "main" groups by condition type
+const WEATHER_GROUPS = {
+  Rain: WEATHER_CONDITION_TYPES.RAIN,
+  Drizzle: WEATHER_CONDITION_TYPES.RAIN,
+  Thunderstorm: WEATHER_CONDITION_TYPES.RAIN,
+  Snow: WEATHER_CONDITION_TYPES.SNOW,
+  Clear: WEATHER_CONDITION_TYPES.CLEAR,
+  Clouds: WEATHER_CONDITION_TYPES.CLOUDS,
+};
+
+/**
+ * Weather conditions of a playlist item or schedule entry
+ * @param {Object} item - Player item ({ weatherConditions }) or database row ({ weather_conditions })
+ * @returns {Array<Object>}
+ */
+export function getWeatherConditions(item) {
+  return item?.weatherConditions || item?.weather_conditions || [];
+}
+
+/**
+ * Check whether a condition type compares against a temperature
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isTemperatureCondition(type) {
+  return TEMPERATURE_TYPES.includes(type);
+}
+
+/**
+ * Validate and clean conditions before saving
+ * @param {Array<Object>} conditions
+ * @returns {Array<Object>} Normalized conditions
+ * @throws {Error} If a condition is incomplete
+ */
+export function normalizeWeatherConditions(conditions) {
+  if (!Array.isArray(conditions)) return [];
+
+  const types = Object.values(WEATHER_CONDITION_TYPES);
+
+  return conditions.map((condition, index) => {
+    const label = `Weather condition ${index + 1}`;
+
+    if (!types.includes(condition?.type)) {
+      throw new Error(`${label}: invalid condition`);
+    }
+
+    if (!isTemperatureCondition(condition.type)) {
+      return { type: condition.type };
+    }
+
+    const value = Number(condition.value);
+    if (condition.value === '' || condition.value == null || !Number.isFinite(value)) {
+      throw new Error(`${label}: enter a temperature`);
+    }
+
+    return {
+      type: condition.type,
+      value,
+      units: condition.units === TEMPERATURE_UNITS.FAHRENHEIT
+        ? TEMPERATURE_UNITS.FAHRENHEIT
+        : TEMPERATURE_UNITS.CELSIUS,
+    };
+  });
+}
+
+/**
+ * Short description of conditions, e.g. "Raining, below 10°C"
+ * @param {Array<Object>} conditions
+ * @returns {string}
+ */
+export function describeWeatherConditions(conditions) {
+  return (conditions || []).map((condition) => {
+    if (condition.type === WEATHER_CONDITION_TYPES.TEMP_ABOVE) {
+      return `above ${condition.value}°${condition.units || TEMPERATURE_UNITS.CELSIUS}`;
+    }
+    if (condition.type === WEATHER_CONDITION_TYPES.TEMP_BELOW) {
+      return `below ${condition.value}°${condition.units || TEMPERATURE_UNITS.CELSIUS}`;
+    }
+    return WEATHER_CONDITION_OPTIONS.find(opt => opt.value === condition.type)?.label || condition.type;
+  }).join(', ');
+}
+
+/**
+ * Turn a weatherService reading into the snapshot conditions are evaluated
+ * against. Mock readings (no API key, API errors) are not real weather.
+ * @param {Object} weather - Result of getWeather/getWeatherByCoords
+ * @returns {{condition: string, tempC: number, observedAt: number}|null}
+ */
+export function toWeatherSnapshot(weather) {
+  if (!weather || weather.isMock || !Number.isFinite(weather.temp)) return null;
+
+  const tempC = weather.tempUnit === '°F' ? (weather.temp - 32) * 5 / 9 : weather.temp;
+
+  return {
+    condition: WEATHER_GROUPS[weather.main] || 'other',
+    tempC: Math.round(tempC * 10) / 10,
+    observedAt: weather.timestamp || Date.now(),
+  };
+}
+
+/**
+ * Check whether a snapshot is missing or too old to act on
+ * @param {Object|null} snapshot
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isWeatherStale(snapshot, now = Date.now()) {
+  return !snapshot || now - snapshot.observedAt > WEATHER_STALE_AFTER_MS;
+}
+
+/**
+ * Threshold of a temperature condition in Celsius
+ */
+function thresholdCelsius(condition) {
+  const value = Number(condition.value);
+  return condition.units === TEMPERATURE_UNITS.FAHRENHEIT ? (value - 32) * 5 / 9 : value;
+}
+
+/**
+ * Evaluate conditions against a weather snapshot
+ * @param {Array<Object>} conditions
+ * @param {Object|null} snapshot - From toWeatherSnapshot
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @returns {boolean} True without conditions; false when the weather is unknown
+ */
+export function evaluateWeatherConditions(conditions, snapshot, { now = Date.now() } = {}) {
+  if (!conditions?.length) return true;
+  if (isWeatherStale(snapshot, now)) return false;
+
+  return conditions.every((condition) => {
+    switch (condition.type) {
+      case WEATHER_CONDITION_TYPES.TEMP_ABOVE:
+        return snapshot.tempC > thresholdCelsius(condition);
+      case WEATHER_CONDITION_TYPES.TEMP_BELOW:
+        return snapshot.tempC < thresholdCelsius(condition);
+      default:
+        return snapshot.condition === condition.type;
+    }
+  });
+}
+
+/**
+ * Weather conditions of an item as a trigger show rule, so the player can
+ * evaluate them together with data triggers
+ * @param {Object} item
+ * @returns {Array<Object>} Zero or one rule
+ */
+export function getWeatherTriggerRules(item) {
+  const conditions = getWeatherConditions(item);
+  if (!conditions.length) return [];
+
+  return [{
+    id: `${WEATHER_SOURCE_ID}-${item.id}`,
+    action: TRIGGER_ACTIONS.SHOW,
+    match: TRIGGER_MATCH.ALL,
+    conditions: conditions.map((condition) => {
+      const base = { sourceId: WEATHER_SOURCE_ID, rowSelector: { mode: 'index', index: 0 } };
+
+      if (isTemperatureCondition(condition.type)) {
+        return {
+          ...base,
+          field: 'temp_c',
+          operator: condition.type === WEATHER_CONDITION_TYPES.TEMP_ABOVE ? TRIGGER_OPERATORS.GT : TRIGGER_OPERATORS.LT,
+          value: String(thresholdCelsius(condition)),
+        };
+      }
+
+      return { ...base, field: 'condition', operator: TRIGGER_OPERATORS.EQ, value: condition.type };
+    }),
+  }];
+}
+
+/**
+ * Add the weather reading to a map of trigger data sources. Stale readings
+ * are left out, so weather show rules do not match.
+ * @param {Map<string, Object>} sources - Data sources by ID
+ * @param {Object|null} snapshot
+ * @param {number} [now]
+ * @returns {Map<string, Object>}
+ */
+export function withWeatherSource(sources, snapshot, now = Date.now()) {
+  if (isWeatherStale(snapshot, now)) return sources;
+
+  const merged = new Map(sources);
+  merged.set(WEATHER_SOURCE_ID, {
+    id: WEATHER_SOURCE_ID,
+    fields: [{ name: 'condition' }, { name: 'temp_c' }],
+    rows: [{ values: { condition: snapshot.condition, temp_c: snapshot.tempC } }],
+  });
+  return merged;
+}
+
+/**
+ * Default provider: current weather from weatherService, by coordinates when
+ * the screen has them
+ * @param {{latitude?: number, longitude?: number, city?: string}} location
+ * @returns {Promise<Object|null>}
+ */
+export function fetchLocationWeather(location) {
+  const latitude = Number(location?.latitude);
+  const longitude = Number(location?.longitude);
+
+  if (location?.latitude != null && location?.longitude != null && Number.isFinite(latitude) && Number.isFinite(longitude)) {
+    return getWeatherByCoords(latitude, longitude, { units: 'metric' });
+  }
+  return getWeather(location?.city, 'metric');
+}
+
+/**
+ * Cache key of a location's last reading
+ */
+function weatherCacheKey(location) {
+  if (location?.latitude != null && location?.longitude != null) {
+    return `weather-${Number(location.latitude).toFixed(2)},${Number(location.longitude).toFixed(2)}`;
+  }
+  return `weather-${String(location?.city || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Load the weather at a screen's location. Real readings are persisted to the
+ * offline cache; otherwise the last cached reading is returned, which may be
+ * stale (check with isWeatherStale).
+ * @param {{latitude?: number, longitude?: number, city?: string}} location
+ * @param {Object} [options]
+ * @param {Function} [options.provider] - async (location) => weatherService-shaped reading
+ * @returns {Promise<Object|null>} Snapshot, or null when the weather has never been known
+ */
+export async function loadScreenWeather(location, { provider = fetchLocationWeather } = {}) {
+  const key = weatherCacheKey(location);
+
+  try {
+    const snapshot = toWeatherSnapshot(await provider(location));
+    if (snapshot) {
+      await cacheContent(key, snapshot, 'weather');
+      return snapshot;
+    }
+  } catch (error) {
+    console.warn('[WeatherConditions] Weather provider failed:', error);
+  }
+
+  return (await getCachedContent(key)) || null;
+}
+
+/**
+ * Report a screen's weather so schedule entries with weather conditions can
+ * be resolved on the server
+ * @param {string} screenId
+ * @param {Object} snapshot - From toWeatherSnapshot
+ * @returns {Promise<void>}
+ */
+export async function reportScreenWeather(screenId, snapshot) {
+  const { error } = await supabase.rpc('report_screen_weather', {
+    p_screen_id: screenId,
+    p_weather: { condition: snapshot.condition, tempC: snapshot.tempC },
+    p_observed_at: new Date(snapshot.observedAt).toISOString(),
+  });
+
+  if (error) throw error;
+}
+
+export default {
+  WEATHER_CONDITION_TYPES,
+  WEATHER_CONDITION_OPTIONS,
+  TEMPERATURE_UNITS,
+  WEATHER_STALE_AFTER_MS,
+  WEATHER_SOURCE_ID,
+  getWeatherConditions,
+  isTemperatureCondition,
+  normalizeWeatherConditions,
+  describeWeatherConditions,
+  toWeatherSnapshot,
+  isWeatherStale,
+  evaluateWeatherConditions,
+  getWeatherTriggerRules,
+  withWeatherSource,
+  fetchLocationWeather,
+  loadScreenWeather,
+  reportScreenWeather,
+};
@@ -0,0 +1,28 @@
+/**
+ * Content hashing shared by the upload service and its hashing worker
+ */
+
+import { sha256 } from '@noble/hashes/sha2.js';
+import { bytesToHex } from '@noble/hashes/utils.js';
+
+// Files are hashed this much at a time, so large files are never read whole
+export const HASH_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+
+/**
+ * Hash a file's whole contents a chunk at a time ('sha256:<hex>')
+ * @param {Blob} file - File to hash
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Progress callback (0-100)
+ * @param {AbortSignal} [options.signal] - Stops hashing between chunks
+ * @returns {Promise<string>} Content hash
+ */
+export async function hashFileContents(file, { onProgress, signal } = {}) {
+  const hash = sha256.create();
+  for (let offset = 0; offset < file.size; offset += HASH_CHUNK_SIZE) {
+    if (signal?.aborted) throw new DOMException('Hashing aborted', 'AbortError');
+    const chunk = await file.slice(offset, offset + HASH_CHUNK_SIZE).arrayBuffer();
+    hash.update(new Uint8Array(chunk));
+    onProgress?.(Math.round((Math.min(offset + HASH_CHUNK_SIZE, file.size) / file.size) * 100));
+  }
+  return `sha256:${bytesToHex(hash.digest())}`;
+}
@@ -0,0 +1,21 @@
+/**
+ * Content Hash Worker
+ *
+ * Hashes a file off the main thread for s3UploadService.computeContentHash.
+ * Receives { file }; posts { type: 'progress', progress }, then
+ * { type: 'done', hash } or { type: 'error', message }. The page stops a
+ * hash by terminating the worker.
+ */
+
+import { hashFileContents } from '../utils/contentHash';
+
+self.onmessage = async (event) => {
+  try {
+    const hash = await hashFileContents(event.data.file, {
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress }),
+    });
+    self.postMessage({ type: 'done', hash });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
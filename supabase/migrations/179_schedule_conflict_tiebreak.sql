@@ -0,0 +1,199 @@
+-- ============================================================================
+-- Migration 179: Deterministic tie-break for overlapping schedule entries
+--
+-- Overlapping entries with the same priority were resolved by whatever order
+-- Postgres returned them in, so the schedule conflict analyzer could not tell
+-- users which entry would actually play. The resolution RPCs now order by
+--   priority DESC, created_at DESC, id ASC
+-- which matches compareEntryPrecedence() in scheduleConflictService.
+--
+-- Idempotent: CREATE OR REPLACE only.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. RPC: resolve_scene_schedule(device_id, timezone)
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.resolve_scene_schedule(
+  p_device_id UUID,
+  p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (
+  schedule_id UUID,
+  entry_id UUID,
+  scene_id UUID,
+  scene_name TEXT,
+  priority INTEGER
+) AS $$
+DECLARE
+  v_device RECORD;
+  v_schedule_id UUID;
+  v_current_time TIME;
+  v_current_dow INTEGER;
+BEGIN
+  -- Get device info
+  SELECT td.id, td.assigned_schedule_id, td.screen_group_id, COALESCE(td.timezone, p_timezone) as tz
+  INTO v_device
+  FROM public.tv_devices td
+  WHERE td.id = p_device_id;
+
+  IF v_device.id IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Calculate current time and day of week in the device's timezone
+  v_current_time := (NOW() AT TIME ZONE v_device.tz)::TIME;
+  v_current_dow := EXTRACT(DOW FROM NOW() AT TIME ZONE v_device.tz)::INTEGER;
+
+  -- First, check device's own schedule
+  v_schedule_id := v_device.assigned_schedule_id;
+
+  -- If no device schedule, check group schedule
+  IF v_schedule_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+    SELECT sg.assigned_schedule_id INTO v_schedule_id
+    FROM public.screen_groups sg
+    WHERE sg.id = v_device.screen_group_id;
+  END IF;
+
+  -- If no schedule, return empty
+  IF v_schedule_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Find matching schedule entries for scenes
+  RETURN QUERY
+  SELECT
+    se.schedule_id,
+    se.id AS entry_id,
+    se.target_id AS scene_id,
+    s.name AS scene_name,
+    se.priority
+  FROM public.schedule_entries se
+  JOIN public.scenes s ON se.target_id = s.id AND s.is_active = true
+  WHERE se.schedule_id = v_schedule_id
+    AND se.target_type = 'scene'
+    AND se.is_active = true
+    AND (se.days_of_week IS NULL OR v_current_dow = ANY(se.days_of_week))
+    AND (
+      (se.start_time IS NULL AND se.end_time IS NULL)
+      OR (se.start_time <= v_current_time AND se.end_time > v_current_time)
+      OR (se.start_time <= v_current_time AND se.end_time <= se.start_time) -- overnight schedules
+      OR (se.end_time > v_current_time AND se.end_time <= se.start_time) -- overnight schedules
+    )
+  ORDER BY se.priority DESC, se.created_at DESC, se.id ASC
+  LIMIT 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.resolve_scene_schedule(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_scene_schedule(UUID, TEXT) TO anon;
+
+-- ============================================================================
+-- 2. RPC: get_schedule_preview(schedule_id, timezone, date)
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_schedule_preview(
+  p_schedule_id UUID,
+  p_timezone TEXT DEFAULT 'UTC',
+  p_date DATE DEFAULT CURRENT_DATE
+)
+RETURNS TABLE (
+  hour INTEGER,
+  entry_id UUID,
+  target_type TEXT,
+  target_id UUID,
+  target_name TEXT,
+  priority INTEGER
+) AS $$
+DECLARE
+  v_dow INTEGER;
+  v_hour INTEGER;
+  v_time TIME;
+BEGIN
+  -- Get day of week for the date
+  v_dow := EXTRACT(DOW FROM p_date)::INTEGER;
+
+  -- For each hour, find active entry
+  FOR v_hour IN 0..23 LOOP
+    v_time := (v_hour || ':30')::TIME; -- Use middle of hour for matching
+
+    RETURN QUERY
+    SELECT
+      v_hour AS hour,
+      se.id AS entry_id,
+      se.target_type,
+      se.target_id,
+      COALESCE(
+        sc.name,  -- scene
+        pl.name,  -- playlist
+        ly.name,  -- layout
+        ma.name   -- media
+      ) AS target_name,
+      se.priority
+    FROM public.schedule_entries se
+    LEFT JOIN public.scenes sc ON se.target_type = 'scene' AND se.target_id = sc.id
+    LEFT JOIN public.playlists pl ON se.target_type = 'playlist' AND se.target_id = pl.id
+    LEFT JOIN public.layouts ly ON se.target_type = 'layout' AND se.target_id = ly.id
+    LEFT JOIN public.media_assets ma ON se.target_type = 'media' AND se.target_id = ma.id
+    WHERE se.schedule_id = p_schedule_id
+      AND se.is_active = true
+      AND (se.days_of_week IS NULL OR v_dow = ANY(se.days_of_week))
+      AND (
+        (se.start_time IS NULL AND se.end_time IS NULL)
+        OR (se.start_time <= v_time AND se.end_time > v_time)
+        OR (se.start_time <= v_time AND se.end_time <= se.start_time) -- overnight
+        OR (se.end_time > v_time AND se.end_time <= se.start_time) -- overnight
+      )
+    ORDER BY se.priority DESC, se.created_at DESC, se.id ASC
+    LIMIT 1;
+  END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_schedule_preview(UUID, TEXT, DATE) TO authenticated;
+
+-- ============================================================================
+-- 3. RPC: resolve_schedule_entry(schedule_id, timezone)
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.resolve_schedule_entry(
+  p_schedule_id UUID,
+  p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE(
+  target_type TEXT,
+  target_id UUID,
+  priority INTEGER
+) AS $$
+DECLARE
+  v_current_day INTEGER;
+  v_current_time TIME;
+BEGIN
+  -- Get current time in device timezone
+  v_current_time := (NOW() AT TIME ZONE p_timezone)::TIME;
+  v_current_day := EXTRACT(DOW FROM NOW() AT TIME ZONE p_timezone)::INTEGER;
+
+  RETURN QUERY
+  SELECT
+    se.target_type,
+    se.target_id,
+    se.priority
+  FROM public.schedule_entries se
+  JOIN public.schedules s ON se.schedule_id = s.id
+  WHERE se.schedule_id = p_schedule_id
+    AND s.is_active = true
+    AND se.is_active = true
+    AND v_current_day = ANY(se.days_of_week)
+    AND (se.start_time IS NULL OR v_current_time >= se.start_time)
+    AND (se.end_time IS NULL OR v_current_time <= se.end_time)
+  ORDER BY se.priority DESC, se.created_at DESC, se.id ASC
+  LIMIT 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.resolve_schedule_entry(UUID, TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION public.resolve_schedule_entry(UUID, TEXT) TO authenticated;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 179 completed: Deterministic tie-break for overlapping schedule entries';
+END $$;
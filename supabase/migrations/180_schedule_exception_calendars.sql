@@ -0,0 +1,561 @@
+-- ============================================================================
+-- Migration 180: Holiday and exception calendars for schedules
+--
+-- Named exception calendars hold dated events (public holidays, special
+-- hours, one-off events) that override regular schedule entries. A calendar
+-- can be attached to a schedule or to a location; on a matching date the
+-- exception either turns the screen off or plays alternate content.
+--
+-- Tables:
+--   schedule_exception_calendars  - named calendar (manual or imported from .ics)
+--   schedule_exception_events     - dated overrides within a calendar
+--   schedule_exception_links      - calendar -> schedule / location attachments
+--
+-- RPCs:
+--   get_schedule_exceptions(schedule_id, location_id, date)
+--   get_resolved_player_content(screen_id) - now applies exceptions after
+--                                            manual overrides and before schedules
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP POLICY IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Tables
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.schedule_exception_calendars (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'ical')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_exception_calendars_owner
+  ON public.schedule_exception_calendars(owner_id);
+
+CREATE TABLE IF NOT EXISTS public.schedule_exception_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  calendar_id UUID REFERENCES public.schedule_exception_calendars(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  -- Inclusive date range; single-day events have start_date = end_date
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  -- NULL times = all day
+  start_time TIME,
+  end_time TIME,
+  action TEXT NOT NULL DEFAULT 'screen_off' CHECK (action IN ('screen_off', 'content')),
+  content_type TEXT CHECK (content_type IN ('playlist', 'layout', 'scene')),
+  content_id UUID,
+  -- UID from the source .ics so re-imports update instead of duplicating
+  ical_uid TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT schedule_exception_events_date_order CHECK (end_date >= start_date),
+  CONSTRAINT schedule_exception_events_content CHECK (
+    action = 'screen_off' OR (content_type IS NOT NULL AND content_id IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_exception_events_calendar_dates
+  ON public.schedule_exception_events(calendar_id, start_date, end_date);
+
+CREATE TABLE IF NOT EXISTS public.schedule_exception_links (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  calendar_id UUID REFERENCES public.schedule_exception_calendars(id) ON DELETE CASCADE NOT NULL,
+  schedule_id UUID REFERENCES public.schedules(id) ON DELETE CASCADE,
+  location_id UUID REFERENCES public.locations(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT schedule_exception_links_one_target CHECK (
+    (schedule_id IS NOT NULL AND location_id IS NULL)
+    OR (schedule_id IS NULL AND location_id IS NOT NULL)
+  )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_schedule_exception_links_schedule
+  ON public.schedule_exception_links(calendar_id, schedule_id) WHERE schedule_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_schedule_exception_links_location
+  ON public.schedule_exception_links(calendar_id, location_id) WHERE location_id IS NOT NULL;
+
+COMMENT ON TABLE public.schedule_exception_calendars IS 'Named holiday/exception calendars that override schedule entries';
+COMMENT ON TABLE public.schedule_exception_events IS 'Dated overrides: screen off or alternate content';
+COMMENT ON TABLE public.schedule_exception_links IS 'Attaches an exception calendar to a schedule or a location';
+
+DROP TRIGGER IF EXISTS update_schedule_exception_calendars_updated_at ON public.schedule_exception_calendars;
+CREATE TRIGGER update_schedule_exception_calendars_updated_at
+  BEFORE UPDATE ON public.schedule_exception_calendars
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_schedule_exception_events_updated_at ON public.schedule_exception_events;
+CREATE TRIGGER update_schedule_exception_events_updated_at
+  BEFORE UPDATE ON public.schedule_exception_events
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- 2. RLS
+-- ============================================================================
+
+ALTER TABLE public.schedule_exception_calendars ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.schedule_exception_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.schedule_exception_links ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "schedule_exception_calendars_all_policy" ON public.schedule_exception_calendars;
+CREATE POLICY "schedule_exception_calendars_all_policy"
+ON public.schedule_exception_calendars FOR ALL
+USING (
+  owner_id = auth.uid()
+  OR is_super_admin()
+  OR (is_admin() AND owner_id IN (SELECT client_id FROM get_my_client_ids()))
+)
+WITH CHECK (
+  owner_id = auth.uid()
+  OR is_super_admin()
+  OR (is_admin() AND owner_id IN (SELECT client_id FROM get_my_client_ids()))
+);
+
+DROP POLICY IF EXISTS "schedule_exception_events_all_policy" ON public.schedule_exception_events;
+CREATE POLICY "schedule_exception_events_all_policy"
+ON public.schedule_exception_events FOR ALL
+USING (
+  calendar_id IN (SELECT id FROM public.schedule_exception_calendars)
+)
+WITH CHECK (
+  calendar_id IN (SELECT id FROM public.schedule_exception_calendars)
+);
+
+DROP POLICY IF EXISTS "schedule_exception_links_all_policy" ON public.schedule_exception_links;
+CREATE POLICY "schedule_exception_links_all_policy"
+ON public.schedule_exception_links FOR ALL
+USING (
+  calendar_id IN (SELECT id FROM public.schedule_exception_calendars)
+)
+WITH CHECK (
+  calendar_id IN (SELECT id FROM public.schedule_exception_calendars)
+);
+
+COMMENT ON POLICY "schedule_exception_events_all_policy" ON public.schedule_exception_events IS 'RBAC: Access tied to calendar ownership';
+COMMENT ON POLICY "schedule_exception_links_all_policy" ON public.schedule_exception_links IS 'RBAC: Access tied to calendar ownership';
+
+-- ============================================================================
+-- 3. RPC: get_schedule_exceptions(schedule_id, location_id, date)
+-- ============================================================================
+-- Returns the exception events that apply on a date, most specific first:
+-- schedule calendars before location calendars, timed events before all-day
+-- events, newest first.
+
+CREATE OR REPLACE FUNCTION public.get_schedule_exceptions(
+  p_schedule_id UUID,
+  p_location_id UUID DEFAULT NULL,
+  p_date DATE DEFAULT CURRENT_DATE
+)
+RETURNS TABLE (
+  event_id UUID,
+  calendar_id UUID,
+  calendar_name TEXT,
+  name TEXT,
+  scope TEXT,
+  start_time TIME,
+  end_time TIME,
+  action TEXT,
+  content_type TEXT,
+  content_id UUID,
+  content_name TEXT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    ev.id AS event_id,
+    cal.id AS calendar_id,
+    cal.name AS calendar_name,
+    ev.name,
+    CASE WHEN lnk.schedule_id IS NOT NULL THEN 'schedule' ELSE 'location' END AS scope,
+    ev.start_time,
+    ev.end_time,
+    ev.action,
+    ev.content_type,
+    ev.content_id,
+    COALESCE(pl.name, ly.name, sc.name) AS content_name
+  FROM public.schedule_exception_links lnk
+  JOIN public.schedule_exception_calendars cal ON cal.id = lnk.calendar_id
+  JOIN public.schedule_exception_events ev ON ev.calendar_id = cal.id
+  LEFT JOIN public.playlists pl ON ev.content_type = 'playlist' AND ev.content_id = pl.id
+  LEFT JOIN public.layouts ly ON ev.content_type = 'layout' AND ev.content_id = ly.id
+  LEFT JOIN public.scenes sc ON ev.content_type = 'scene' AND ev.content_id = sc.id
+  WHERE (
+      (p_schedule_id IS NOT NULL AND lnk.schedule_id = p_schedule_id)
+      OR (p_location_id IS NOT NULL AND lnk.location_id = p_location_id)
+    )
+    AND p_date BETWEEN ev.start_date AND ev.end_date
+  ORDER BY
+    (lnk.schedule_id IS NOT NULL) DESC,
+    (ev.start_time IS NOT NULL) DESC,
+    ev.created_at DESC,
+    ev.id ASC;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+GRANT EXECUTE ON FUNCTION public.get_schedule_exceptions(UUID, UUID, DATE) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_schedule_exceptions(UUID, UUID, DATE) TO anon;
+
+COMMENT ON FUNCTION public.get_schedule_exceptions IS
+  'Exception calendar events applying to a schedule and/or location on a date, most specific first';
+
+-- ============================================================================
+-- 4. Update get_resolved_player_content to apply exception calendars
+-- ============================================================================
+-- Priority order:
+-- 1. device.active_scene_id (manual override - highest priority)
+-- 2. group.active_scene_id (group override)
+-- 3. Exception calendar event (schedule or location calendars)
+-- 4. Schedule-based scene (from resolve_scene_schedule)
+-- 5. Legacy schedule entries (playlist/layout/media)
+-- 6. assigned_layout_id fallback
+-- 7. assigned_playlist_id fallback
+
+CREATE OR REPLACE FUNCTION public.get_resolved_player_content(p_screen_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_device tv_devices%ROWTYPE;
+  v_scene scenes%ROWTYPE;
+  v_group_scene_id uuid;
+  v_scheduled_scene RECORD;
+  v_schedule_entry RECORD;
+  v_playlist_id UUID;
+  v_layout_id UUID;
+  v_playlist playlists%ROWTYPE;
+  v_items JSONB;
+  v_layout_content JSONB;
+  v_result JSONB;
+  v_mode TEXT;
+  v_source TEXT;
+  v_schedule_id UUID;
+  v_local_now TIMESTAMP;
+  v_exception RECORD;
+BEGIN
+  -- Find the TV device
+  SELECT * INTO v_device
+  FROM public.tv_devices
+  WHERE id = p_screen_id
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Screen not found';
+  END IF;
+
+  -- Update heartbeat
+  UPDATE public.tv_devices
+  SET last_seen = NOW(),
+      is_online = true
+  WHERE id = v_device.id;
+
+  -- Initialize
+  v_playlist_id := NULL;
+  v_layout_id := NULL;
+  v_mode := 'playlist';
+  v_source := NULL;
+
+  -- =========================================================================
+  -- Step 0: Check for active scene (highest priority - manual override)
+  -- =========================================================================
+  IF v_device.active_scene_id IS NOT NULL THEN
+    SELECT * INTO v_scene
+    FROM public.scenes
+    WHERE id = v_device.active_scene_id AND is_active = true;
+
+    IF v_scene.id IS NOT NULL THEN
+      v_source := 'device_override';
+      IF v_scene.layout_id IS NOT NULL THEN
+        v_layout_id := v_scene.layout_id;
+        v_mode := 'layout';
+      ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+        v_playlist_id := v_scene.primary_playlist_id;
+        v_mode := 'playlist';
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1: Check group's active scene (if no device override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+    SELECT sg.active_scene_id INTO v_group_scene_id
+    FROM public.screen_groups sg
+    WHERE sg.id = v_device.screen_group_id;
+
+    IF v_group_scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_group_scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'group_override';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.5: Check exception calendars (holidays, special hours)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    v_schedule_id := v_device.assigned_schedule_id;
+    IF v_schedule_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+      SELECT sg.assigned_schedule_id INTO v_schedule_id
+      FROM public.screen_groups sg
+      WHERE sg.id = v_device.screen_group_id;
+    END IF;
+
+    v_local_now := NOW() AT TIME ZONE COALESCE(v_device.timezone, 'UTC');
+
+    SELECT * INTO v_exception
+    FROM public.get_schedule_exceptions(v_schedule_id, v_device.location_id, v_local_now::DATE) ex
+    WHERE (ex.start_time IS NULL OR ex.start_time <= v_local_now::TIME)
+      AND (ex.end_time IS NULL OR ex.end_time > v_local_now::TIME OR ex.end_time <= ex.start_time)
+    LIMIT 1;
+
+    IF v_exception.event_id IS NOT NULL THEN
+      IF v_exception.action = 'screen_off' THEN
+        RETURN jsonb_build_object(
+          'mode', 'screen_off',
+          'source', 'exception_calendar',
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC')
+          ),
+          'exception', jsonb_build_object(
+            'id', v_exception.event_id,
+            'name', v_exception.name,
+            'calendarId', v_exception.calendar_id,
+            'calendarName', v_exception.calendar_name
+          ),
+          'items', '[]'::jsonb
+        );
+      ELSIF v_exception.content_type = 'playlist' THEN
+        v_source := 'exception_calendar';
+        v_playlist_id := v_exception.content_id;
+        v_mode := 'playlist';
+      ELSIF v_exception.content_type = 'layout' THEN
+        v_source := 'exception_calendar';
+        v_layout_id := v_exception.content_id;
+        v_mode := 'layout';
+      ELSIF v_exception.content_type = 'scene' THEN
+        SELECT * INTO v_scene
+        FROM public.scenes
+        WHERE id = v_exception.content_id AND is_active = true;
+
+        IF v_scene.id IS NOT NULL THEN
+          v_source := 'exception_calendar';
+          IF v_scene.layout_id IS NOT NULL THEN
+            v_layout_id := v_scene.layout_id;
+            v_mode := 'layout';
+          ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+            v_playlist_id := v_scene.primary_playlist_id;
+            v_mode := 'playlist';
+          END IF;
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 2: Check scheduled scene (if no manual override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_scheduled_scene
+    FROM public.resolve_scene_schedule(p_screen_id, COALESCE(v_device.timezone, 'UTC'))
+    LIMIT 1;
+
+    IF v_scheduled_scene.scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_scheduled_scene.scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'schedule';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 3: Check legacy schedule entries (playlist/layout/media)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_schedule_id IS NOT NULL THEN
+    SELECT * INTO v_schedule_entry
+    FROM public.resolve_schedule_entry(
+      v_device.assigned_schedule_id,
+      COALESCE(v_device.timezone, 'UTC')
+    );
+
+    IF v_schedule_entry IS NOT NULL AND v_schedule_entry.target_id IS NOT NULL THEN
+      v_source := 'legacy_schedule';
+      IF v_schedule_entry.target_type = 'playlist' THEN
+        v_playlist_id := v_schedule_entry.target_id;
+        v_mode := 'playlist';
+      ELSIF v_schedule_entry.target_type = 'layout' THEN
+        v_layout_id := v_schedule_entry.target_id;
+        v_mode := 'layout';
+      ELSIF v_schedule_entry.target_type = 'media' THEN
+        -- Single media - wrap in playlist-like response
+        v_mode := 'playlist';
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_schedule_entry.target_id;
+
+        IF v_items IS NOT NULL THEN
+          v_items := jsonb_build_array(v_items);
+        ELSE
+          v_items := '[]'::jsonb;
+        END IF;
+
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC')
+          ),
+          'playlist', NULL,
+          'items', v_items,
+          'scene', NULL
+        );
+      END IF;
+    END IF;
+  END IF;
+
+  -- Step 4: Fallback to assigned layout
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_layout_id IS NOT NULL THEN
+    v_layout_id := v_device.assigned_layout_id;
+    v_mode := 'layout';
+    v_source := 'assigned_layout';
+  END IF;
+
+  -- Step 5: Fallback to assigned playlist
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_playlist_id IS NOT NULL THEN
+    v_playlist_id := v_device.assigned_playlist_id;
+    v_mode := 'playlist';
+    v_source := 'assigned_playlist';
+  END IF;
+
+  -- Build response based on mode
+  IF v_mode = 'layout' AND v_layout_id IS NOT NULL THEN
+    -- Get layout content
+    SELECT public.get_layout_content(v_layout_id) INTO v_layout_content;
+
+    v_result := jsonb_build_object(
+      'mode', 'layout',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC')
+      ),
+      'layout', v_layout_content,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  ELSE
+    -- Playlist mode (default)
+    IF v_playlist_id IS NOT NULL THEN
+      SELECT * INTO v_playlist
+      FROM public.playlists
+      WHERE id = v_playlist_id;
+
+      SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+          'id', pi.id,
+          'position', pi.position,
+          'type', pi.item_type,
+          'mediaType', COALESCE(ma.type, 'unknown'),
+          'url', COALESCE(ma.url, ''),
+          'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+          'name', COALESCE(ma.name, ''),
+          'duration', COALESCE(pi.duration, ma.duration, COALESCE(v_playlist.default_duration, 10)),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json
+        )
+        ORDER BY pi.position
+      ), '[]'::jsonb) INTO v_items
+      FROM public.playlist_items pi
+      LEFT JOIN public.media_assets ma ON pi.item_id = ma.id
+      WHERE pi.playlist_id = v_playlist_id;
+    ELSE
+      v_items := '[]'::jsonb;
+    END IF;
+
+    v_result := jsonb_build_object(
+      'mode', 'playlist',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC')
+      ),
+      'playlist', CASE
+        WHEN v_playlist.id IS NOT NULL THEN
+          jsonb_build_object(
+            'id', v_playlist.id,
+            'name', v_playlist.name,
+            'defaultDuration', COALESCE(v_playlist.default_duration, 10),
+            'transitionEffect', COALESCE(v_playlist.transition_effect, 'fade'),
+            'shuffle', COALESCE(v_playlist.shuffle, false)
+          )
+        ELSE NULL
+      END,
+      'items', v_items,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  END IF;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO authenticated;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 180 completed: Holiday and exception calendars for schedules';
+END $$;
@@ -0,0 +1,676 @@
+-- ============================================================================
+-- Migration 181: Sunrise/sunset schedule triggers
+--
+-- Schedule entries can now start or end relative to a solar event
+-- ("sunset - 30m", "sunrise + 1h") instead of a fixed clock time. Solar times
+-- are computed in the database from the screen's coordinates (falling back to
+-- its location's), using the same NOAA approximation as src/services/solarService.js.
+-- No external API is involved.
+--
+-- Columns:
+--   locations.latitude / longitude
+--   schedule_entries.start_anchor / start_offset_minutes
+--   schedule_entries.end_anchor / end_offset_minutes
+--   (start_time / end_time remain the fallback when no coordinates are known
+--    or the sun does not rise/set that day)
+--
+-- Functions:
+--   solar_event_minutes(date, lat, lon, event)
+--   schedule_entry_local_time(anchor, offset, fallback, date, lat, lon, tz)
+--   resolve_scene_schedule(device_id, timezone)           - solar aware
+--   resolve_schedule_entry(schedule_id, timezone, device) - solar aware
+--   get_resolved_player_content(screen_id)                - passes the device
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP ... IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Columns
+-- ============================================================================
+
+ALTER TABLE public.locations
+ADD COLUMN IF NOT EXISTS latitude DECIMAL(10, 8),
+ADD COLUMN IF NOT EXISTS longitude DECIMAL(11, 8);
+
+ALTER TABLE public.schedule_entries
+ADD COLUMN IF NOT EXISTS start_anchor TEXT NOT NULL DEFAULT 'time',
+ADD COLUMN IF NOT EXISTS start_offset_minutes INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS end_anchor TEXT NOT NULL DEFAULT 'time',
+ADD COLUMN IF NOT EXISTS end_offset_minutes INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE public.schedule_entries
+DROP CONSTRAINT IF EXISTS schedule_entries_start_anchor_check;
+ALTER TABLE public.schedule_entries
+ADD CONSTRAINT schedule_entries_start_anchor_check
+  CHECK (start_anchor IN ('time', 'sunrise', 'sunset'));
+
+ALTER TABLE public.schedule_entries
+DROP CONSTRAINT IF EXISTS schedule_entries_end_anchor_check;
+ALTER TABLE public.schedule_entries
+ADD CONSTRAINT schedule_entries_end_anchor_check
+  CHECK (end_anchor IN ('time', 'sunrise', 'sunset'));
+
+ALTER TABLE public.schedule_entries
+DROP CONSTRAINT IF EXISTS schedule_entries_offsets_check;
+ALTER TABLE public.schedule_entries
+ADD CONSTRAINT schedule_entries_offsets_check
+  CHECK (start_offset_minutes BETWEEN -720 AND 720 AND end_offset_minutes BETWEEN -720 AND 720);
+
+COMMENT ON COLUMN public.schedule_entries.start_anchor IS
+'time = use start_time; sunrise/sunset = solar event at the screen plus start_offset_minutes';
+COMMENT ON COLUMN public.schedule_entries.end_anchor IS
+'time = use end_time; sunrise/sunset = solar event at the screen plus end_offset_minutes';
+
+-- ============================================================================
+-- 2. Solar calculation
+-- ============================================================================
+
+-- Minutes from 00:00 UTC on p_date to the solar event, NULL during polar day/night
+CREATE OR REPLACE FUNCTION public.solar_event_minutes(
+  p_date DATE,
+  p_latitude NUMERIC,
+  p_longitude NUMERIC,
+  p_event TEXT
+)
+RETURNS NUMERIC AS $$
+DECLARE
+  v_gamma DOUBLE PRECISION;
+  v_eq_time DOUBLE PRECISION;
+  v_decl DOUBLE PRECISION;
+  v_lat DOUBLE PRECISION;
+  v_cos_ha DOUBLE PRECISION;
+  v_ha DOUBLE PRECISION;
+BEGIN
+  IF p_latitude IS NULL OR p_longitude IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  v_gamma := 2 * pi() / 365 * (EXTRACT(DOY FROM p_date) - 1);
+
+  v_eq_time := 229.18 * (
+    0.000075
+    + 0.001868 * cos(v_gamma)
+    - 0.032077 * sin(v_gamma)
+    - 0.014615 * cos(2 * v_gamma)
+    - 0.040849 * sin(2 * v_gamma)
+  );
+
+  v_decl := 0.006918
+    - 0.399912 * cos(v_gamma)
+    + 0.070257 * sin(v_gamma)
+    - 0.006758 * cos(2 * v_gamma)
+    + 0.000907 * sin(2 * v_gamma)
+    - 0.002697 * cos(3 * v_gamma)
+    + 0.00148 * sin(3 * v_gamma);
+
+  v_lat := radians(p_latitude::DOUBLE PRECISION);
+  v_cos_ha := cos(radians(90.833)) / (cos(v_lat) * cos(v_decl)) - tan(v_lat) * tan(v_decl);
+
+  IF v_cos_ha > 1 OR v_cos_ha < -1 THEN
+    RETURN NULL;
+  END IF;
+
+  v_ha := degrees(acos(v_cos_ha));
+
+  IF p_event = 'sunset' THEN
+    RETURN (720 - 4 * (p_longitude::DOUBLE PRECISION - v_ha) - v_eq_time)::NUMERIC;
+  END IF;
+  RETURN (720 - 4 * (p_longitude::DOUBLE PRECISION + v_ha) - v_eq_time)::NUMERIC;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Local time of an entry boundary on a date: a fixed time, or a solar event plus offset
+CREATE OR REPLACE FUNCTION public.schedule_entry_local_time(
+  p_anchor TEXT,
+  p_offset_minutes INTEGER,
+  p_fallback TIME,
+  p_date DATE,
+  p_latitude NUMERIC,
+  p_longitude NUMERIC,
+  p_timezone TEXT
+)
+RETURNS TIME AS $$
+DECLARE
+  v_minutes NUMERIC;
+BEGIN
+  IF p_anchor IS NULL OR p_anchor = 'time' THEN
+    RETURN p_fallback;
+  END IF;
+
+  v_minutes := public.solar_event_minutes(p_date, p_latitude, p_longitude, p_anchor);
+  IF v_minutes IS NULL THEN
+    RETURN p_fallback;
+  END IF;
+
+  RETURN ((
+    (p_date::TIMESTAMP AT TIME ZONE 'UTC')
+    + make_interval(mins => round(v_minutes)::INTEGER + COALESCE(p_offset_minutes, 0))
+  ) AT TIME ZONE COALESCE(p_timezone, 'UTC'))::TIME;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+GRANT EXECUTE ON FUNCTION public.solar_event_minutes(DATE, NUMERIC, NUMERIC, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.solar_event_minutes(DATE, NUMERIC, NUMERIC, TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION public.schedule_entry_local_time(TEXT, INTEGER, TIME, DATE, NUMERIC, NUMERIC, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.schedule_entry_local_time(TEXT, INTEGER, TIME, DATE, NUMERIC, NUMERIC, TEXT) TO anon;
+
+-- ============================================================================
+-- 3. RPC: resolve_scene_schedule(device_id, timezone)
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.resolve_scene_schedule(
+  p_device_id UUID,
+  p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (
+  schedule_id UUID,
+  entry_id UUID,
+  scene_id UUID,
+  scene_name TEXT,
+  priority INTEGER
+) AS $$
+DECLARE
+  v_device RECORD;
+  v_schedule_id UUID;
+  v_local_now TIMESTAMP;
+  v_current_time TIME;
+  v_current_dow INTEGER;
+BEGIN
+  -- Get device info, with coordinates falling back to the device's location
+  SELECT
+    td.id,
+    td.assigned_schedule_id,
+    td.screen_group_id,
+    COALESCE(td.timezone, p_timezone) AS tz,
+    COALESCE(td.latitude, l.latitude) AS latitude,
+    COALESCE(td.longitude, l.longitude) AS longitude
+  INTO v_device
+  FROM public.tv_devices td
+  LEFT JOIN public.locations l ON l.id = td.location_id
+  WHERE td.id = p_device_id;
+
+  IF v_device.id IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Calculate current time and day of week in the device's timezone
+  v_local_now := NOW() AT TIME ZONE v_device.tz;
+  v_current_time := v_local_now::TIME;
+  v_current_dow := EXTRACT(DOW FROM v_local_now)::INTEGER;
+
+  -- First, check device's own schedule
+  v_schedule_id := v_device.assigned_schedule_id;
+
+  -- If no device schedule, check group schedule
+  IF v_schedule_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+    SELECT sg.assigned_schedule_id INTO v_schedule_id
+    FROM public.screen_groups sg
+    WHERE sg.id = v_device.screen_group_id;
+  END IF;
+
+  -- If no schedule, return empty
+  IF v_schedule_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Find matching schedule entries for scenes
+  RETURN QUERY
+  SELECT
+    se.schedule_id,
+    se.id AS entry_id,
+    se.target_id AS scene_id,
+    s.name AS scene_name,
+    se.priority
+  FROM public.schedule_entries se
+  JOIN public.scenes s ON se.target_id = s.id AND s.is_active = true
+  CROSS JOIN LATERAL (
+    SELECT
+      public.schedule_entry_local_time(se.start_anchor, se.start_offset_minutes, se.start_time,
+        v_local_now::DATE, v_device.latitude, v_device.longitude, v_device.tz) AS start_time,
+      public.schedule_entry_local_time(se.end_anchor, se.end_offset_minutes, se.end_time,
+        v_local_now::DATE, v_device.latitude, v_device.longitude, v_device.tz) AS end_time
+  ) w
+  WHERE se.schedule_id = v_schedule_id
+    AND se.target_type = 'scene'
+    AND se.is_active = true
+    AND (se.days_of_week IS NULL OR v_current_dow = ANY(se.days_of_week))
+    AND (
+      (w.start_time IS NULL AND w.end_time IS NULL)
+      OR (w.start_time <= v_current_time AND w.end_time > v_current_time)
+      OR (w.start_time <= v_current_time AND w.end_time <= w.start_time) -- overnight schedules
+      OR (w.end_time > v_current_time AND w.end_time <= w.start_time) -- overnight schedules
+    )
+  ORDER BY se.priority DESC, se.created_at DESC, se.id ASC
+  LIMIT 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.resolve_scene_schedule(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_scene_schedule(UUID, TEXT) TO anon;
+
+-- ============================================================================
+-- 4. RPC: resolve_schedule_entry(schedule_id, timezone, device_id)
+-- ============================================================================
+
+-- The device is needed for its coordinates; drop the two-argument version so
+-- existing two-argument calls resolve to the new signature without ambiguity.
+DROP FUNCTION IF EXISTS public.resolve_schedule_entry(UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION public.resolve_schedule_entry(
+  p_schedule_id UUID,
+  p_timezone TEXT DEFAULT 'UTC',
+  p_device_id UUID DEFAULT NULL
+)
+RETURNS TABLE(
+  target_type TEXT,
+  target_id UUID,
+  priority INTEGER
+) AS $$
+DECLARE
+  v_local_now TIMESTAMP;
+  v_current_day INTEGER;
+  v_current_time TIME;
+  v_latitude NUMERIC;
+  v_longitude NUMERIC;
+BEGIN
+  -- Get current time in device timezone
+  v_local_now := NOW() AT TIME ZONE p_timezone;
+  v_current_time := v_local_now::TIME;
+  v_current_day := EXTRACT(DOW FROM v_local_now)::INTEGER;
+
+  IF p_device_id IS NOT NULL THEN
+    SELECT COALESCE(td.latitude, l.latitude), COALESCE(td.longitude, l.longitude)
+    INTO v_latitude, v_longitude
+    FROM public.tv_devices td
+    LEFT JOIN public.locations l ON l.id = td.location_id
+    WHERE td.id = p_device_id;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    se.target_type,
+    se.target_id,
+    se.priority
+  FROM public.schedule_entries se
+  JOIN public.schedules s ON se.schedule_id = s.id
+  CROSS JOIN LATERAL (
+    SELECT
+      public.schedule_entry_local_time(se.start_anchor, se.start_offset_minutes, se.start_time,
+        v_local_now::DATE, v_latitude, v_longitude, p_timezone) AS start_time,
+      public.schedule_entry_local_time(se.end_anchor, se.end_offset_minutes, se.end_time,
+        v_local_now::DATE, v_latitude, v_longitude, p_timezone) AS end_time
+  ) w
+  WHERE se.schedule_id = p_schedule_id
+    AND s.is_active = true
+    AND se.is_active = true
+    AND v_current_day = ANY(se.days_of_week)
+    AND (
+      -- Fixed-time entries keep their original inclusive window
+      (se.start_anchor = 'time' AND se.end_anchor = 'time'
+        AND (se.start_time IS NULL OR v_current_time >= se.start_time)
+        AND (se.end_time IS NULL OR v_current_time <= se.end_time))
+      -- Solar entries may wrap past midnight (e.g. sunset to sunrise)
+      OR ((se.start_anchor <> 'time' OR se.end_anchor <> 'time') AND (
+        (w.start_time <= v_current_time AND w.end_time > v_current_time)
+        OR (w.start_time <= v_current_time AND w.end_time <= w.start_time)
+        OR (w.end_time > v_current_time AND w.end_time <= w.start_time)
+      ))
+    )
+  ORDER BY se.priority DESC, se.created_at DESC, se.id ASC
+  LIMIT 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.resolve_schedule_entry(UUID, TEXT, UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.resolve_schedule_entry(UUID, TEXT, UUID) TO authenticated;
+
+-- ============================================================================
+-- 5. RPC: get_resolved_player_content(screen_id)
+--    Unchanged from migration 180 except that legacy schedule resolution now
+--    passes the device so solar triggers use its coordinates.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_resolved_player_content(p_screen_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_device tv_devices%ROWTYPE;
+  v_scene scenes%ROWTYPE;
+  v_group_scene_id uuid;
+  v_scheduled_scene RECORD;
+  v_schedule_entry RECORD;
+  v_playlist_id UUID;
+  v_layout_id UUID;
+  v_playlist playlists%ROWTYPE;
+  v_items JSONB;
+  v_layout_content JSONB;
+  v_result JSONB;
+  v_mode TEXT;
+  v_source TEXT;
+  v_schedule_id UUID;
+  v_local_now TIMESTAMP;
+  v_exception RECORD;
+BEGIN
+  -- Find the TV device
+  SELECT * INTO v_device
+  FROM public.tv_devices
+  WHERE id = p_screen_id
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Screen not found';
+  END IF;
+
+  -- Update heartbeat
+  UPDATE public.tv_devices
+  SET last_seen = NOW(),
+      is_online = true
+  WHERE id = v_device.id;
+
+  -- Initialize
+  v_playlist_id := NULL;
+  v_layout_id := NULL;
+  v_mode := 'playlist';
+  v_source := NULL;
+
+  -- =========================================================================
+  -- Step 0: Check for active scene (highest priority - manual override)
+  -- =========================================================================
+  IF v_device.active_scene_id IS NOT NULL THEN
+    SELECT * INTO v_scene
+    FROM public.scenes
+    WHERE id = v_device.active_scene_id AND is_active = true;
+
+    IF v_scene.id IS NOT NULL THEN
+      v_source := 'device_override';
+      IF v_scene.layout_id IS NOT NULL THEN
+        v_layout_id := v_scene.layout_id;
+        v_mode := 'layout';
+      ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+        v_playlist_id := v_scene.primary_playlist_id;
+        v_mode := 'playlist';
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1: Check group's active scene (if no device override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+    SELECT sg.active_scene_id INTO v_group_scene_id
+    FROM public.screen_groups sg
+    WHERE sg.id = v_device.screen_group_id;
+
+    IF v_group_scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_group_scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'group_override';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.5: Check exception calendars (holidays, special hours)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    v_schedule_id := v_device.assigned_schedule_id;
+    IF v_schedule_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+      SELECT sg.assigned_schedule_id INTO v_schedule_id
+      FROM public.screen_groups sg
+      WHERE sg.id = v_device.screen_group_id;
+    END IF;
+
+    v_local_now := NOW() AT TIME ZONE COALESCE(v_device.timezone, 'UTC');
+
+    SELECT * INTO v_exception
+    FROM public.get_schedule_exceptions(v_schedule_id, v_device.location_id, v_local_now::DATE) ex
+    WHERE (ex.start_time IS NULL OR ex.start_time <= v_local_now::TIME)
+      AND (ex.end_time IS NULL OR ex.end_time > v_local_now::TIME OR ex.end_time <= ex.start_time)
+    LIMIT 1;
+
+    IF v_exception.event_id IS NOT NULL THEN
+      IF v_exception.action = 'screen_off' THEN
+        RETURN jsonb_build_object(
+          'mode', 'screen_off',
+          'source', 'exception_calendar',
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC')
+          ),
+          'exception', jsonb_build_object(
+            'id', v_exception.event_id,
+            'name', v_exception.name,
+            'calendarId', v_exception.calendar_id,
+            'calendarName', v_exception.calendar_name
+          ),
+          'items', '[]'::jsonb
+        );
+      ELSIF v_exception.content_type = 'playlist' THEN
+        v_source := 'exception_calendar';
+        v_playlist_id := v_exception.content_id;
+        v_mode := 'playlist';
+      ELSIF v_exception.content_type = 'layout' THEN
+        v_source := 'exception_calendar';
+        v_layout_id := v_exception.content_id;
+        v_mode := 'layout';
+      ELSIF v_exception.content_type = 'scene' THEN
+        SELECT * INTO v_scene
+        FROM public.scenes
+        WHERE id = v_exception.content_id AND is_active = true;
+
+        IF v_scene.id IS NOT NULL THEN
+          v_source := 'exception_calendar';
+          IF v_scene.layout_id IS NOT NULL THEN
+            v_layout_id := v_scene.layout_id;
+            v_mode := 'layout';
+          ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+            v_playlist_id := v_scene.primary_playlist_id;
+            v_mode := 'playlist';
+          END IF;
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 2: Check scheduled scene (if no manual override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_scheduled_scene
+    FROM public.resolve_scene_schedule(p_screen_id, COALESCE(v_device.timezone, 'UTC'))
+    LIMIT 1;
+
+    IF v_scheduled_scene.scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_scheduled_scene.scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'schedule';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 3: Check legacy schedule entries (playlist/layout/media)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_schedule_id IS NOT NULL THEN
+    SELECT * INTO v_schedule_entry
+    FROM public.resolve_schedule_entry(
+      v_device.assigned_schedule_id,
+      COALESCE(v_device.timezone, 'UTC'),
+      v_device.id
+    );
+
+    IF v_schedule_entry IS NOT NULL AND v_schedule_entry.target_id IS NOT NULL THEN
+      v_source := 'legacy_schedule';
+      IF v_schedule_entry.target_type = 'playlist' THEN
+        v_playlist_id := v_schedule_entry.target_id;
+        v_mode := 'playlist';
+      ELSIF v_schedule_entry.target_type = 'layout' THEN
+        v_layout_id := v_schedule_entry.target_id;
+        v_mode := 'layout';
+      ELSIF v_schedule_entry.target_type = 'media' THEN
+        -- Single media - wrap in playlist-like response
+        v_mode := 'playlist';
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_schedule_entry.target_id;
+
+        IF v_items IS NOT NULL THEN
+          v_items := jsonb_build_array(v_items);
+        ELSE
+          v_items := '[]'::jsonb;
+        END IF;
+
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC')
+          ),
+          'playlist', NULL,
+          'items', v_items,
+          'scene', NULL
+        );
+      END IF;
+    END IF;
+  END IF;
+
+  -- Step 4: Fallback to assigned layout
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_layout_id IS NOT NULL THEN
+    v_layout_id := v_device.assigned_layout_id;
+    v_mode := 'layout';
+    v_source := 'assigned_layout';
+  END IF;
+
+  -- Step 5: Fallback to assigned playlist
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_playlist_id IS NOT NULL THEN
+    v_playlist_id := v_device.assigned_playlist_id;
+    v_mode := 'playlist';
+    v_source := 'assigned_playlist';
+  END IF;
+
+  -- Build response based on mode
+  IF v_mode = 'layout' AND v_layout_id IS NOT NULL THEN
+    -- Get layout content
+    SELECT public.get_layout_content(v_layout_id) INTO v_layout_content;
+
+    v_result := jsonb_build_object(
+      'mode', 'layout',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC')
+      ),
+      'layout', v_layout_content,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  ELSE
+    -- Playlist mode (default)
+    IF v_playlist_id IS NOT NULL THEN
+      SELECT * INTO v_playlist
+      FROM public.playlists
+      WHERE id = v_playlist_id;
+
+      SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+          'id', pi.id,
+          'position', pi.position,
+          'type', pi.item_type,
+          'mediaType', COALESCE(ma.type, 'unknown'),
+          'url', COALESCE(ma.url, ''),
+          'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+          'name', COALESCE(ma.name, ''),
+          'duration', COALESCE(pi.duration, ma.duration, COALESCE(v_playlist.default_duration, 10)),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json
+        )
+        ORDER BY pi.position
+      ), '[]'::jsonb) INTO v_items
+      FROM public.playlist_items pi
+      LEFT JOIN public.media_assets ma ON pi.item_id = ma.id
+      WHERE pi.playlist_id = v_playlist_id;
+    ELSE
+      v_items := '[]'::jsonb;
+    END IF;
+
+    v_result := jsonb_build_object(
+      'mode', 'playlist',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC')
+      ),
+      'playlist', CASE
+        WHEN v_playlist.id IS NOT NULL THEN
+          jsonb_build_object(
+            'id', v_playlist.id,
+            'name', v_playlist.name,
+            'defaultDuration', COALESCE(v_playlist.default_duration, 10),
+            'transitionEffect', COALESCE(v_playlist.transition_effect, 'fade'),
+            'shuffle', COALESCE(v_playlist.shuffle, false)
+          )
+        ELSE NULL
+      END,
+      'items', v_items,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  END IF;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO authenticated;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 181 completed: Sunrise/sunset schedule triggers';
+END $$;
@@ -0,0 +1,721 @@
+-- ============================================================================
+-- Migration 182: Campaign frequency caps, share of voice and pacing
+--
+-- Campaigns can now limit how often and how much they play:
+--   frequency_cap_per_hour - max campaign plays per screen in any rolling hour
+--   share_of_voice         - max % of a screen's airtime over the rolling hour
+--   daily_impression_goal  - plays per day across all targeted screens
+--   pacing                 - 'even' spreads the goal across the screen's local
+--                            day, 'asap' plays until the goal is met
+-- A play is one playback_events row tagged with the campaign.
+--
+-- While a campaign is over a limit it is skipped, so the next eligible
+-- campaign (or the regular schedule) plays instead. get_resolved_player_content
+-- checks campaigns again, after exception calendars and before schedules, and
+-- returns the campaign so the player tags its playback events.
+--
+-- get_campaign_playback_stats also returns the goal, so delivered impressions
+-- can be compared with the goal for billing.
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP ... IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Columns
+-- ============================================================================
+
+ALTER TABLE public.campaigns
+ADD COLUMN IF NOT EXISTS frequency_cap_per_hour INTEGER,
+ADD COLUMN IF NOT EXISTS share_of_voice NUMERIC(5, 2),
+ADD COLUMN IF NOT EXISTS daily_impression_goal INTEGER,
+ADD COLUMN IF NOT EXISTS pacing TEXT NOT NULL DEFAULT 'even';
+
+ALTER TABLE public.campaigns
+DROP CONSTRAINT IF EXISTS campaigns_frequency_cap_check,
+DROP CONSTRAINT IF EXISTS campaigns_share_of_voice_check,
+DROP CONSTRAINT IF EXISTS campaigns_daily_impression_goal_check,
+DROP CONSTRAINT IF EXISTS campaigns_pacing_check;
+
+ALTER TABLE public.campaigns
+ADD CONSTRAINT campaigns_frequency_cap_check
+  CHECK (frequency_cap_per_hour IS NULL OR frequency_cap_per_hour > 0),
+ADD CONSTRAINT campaigns_share_of_voice_check
+  CHECK (share_of_voice IS NULL OR (share_of_voice > 0 AND share_of_voice <= 100)),
+ADD CONSTRAINT campaigns_daily_impression_goal_check
+  CHECK (daily_impression_goal IS NULL OR daily_impression_goal > 0),
+ADD CONSTRAINT campaigns_pacing_check
+  CHECK (pacing IN ('even', 'asap'));
+
+COMMENT ON COLUMN public.campaigns.frequency_cap_per_hour IS
+'Max plays per screen in a rolling hour (NULL = uncapped)';
+COMMENT ON COLUMN public.campaigns.share_of_voice IS
+'Max percentage of a screen''s airtime over a rolling hour (NULL = all airtime while active)';
+COMMENT ON COLUMN public.campaigns.daily_impression_goal IS
+'Target plays per day across all targeted screens; delivery stops once met';
+COMMENT ON COLUMN public.campaigns.pacing IS
+'even: deliver the daily goal evenly over the day; asap: deliver as fast as possible';
+
+CREATE INDEX IF NOT EXISTS idx_playback_events_campaign_started
+  ON public.playback_events(campaign_id, started_at)
+  WHERE campaign_id IS NOT NULL;
+
+-- ============================================================================
+-- 2. campaign_delivery_allowed(campaign, screen, now, timezone)
+--    Whether a campaign may play on a screen right now.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.campaign_delivery_allowed(
+  p_campaign_id UUID,
+  p_screen_id UUID,
+  p_now TIMESTAMPTZ DEFAULT now(),
+  p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_campaign RECORD;
+  v_count INTEGER;
+  v_total_seconds BIGINT;
+  v_campaign_seconds BIGINT;
+  v_local_now TIMESTAMP;
+  v_day_start TIMESTAMPTZ;
+  v_day_fraction NUMERIC;
+BEGIN
+  SELECT frequency_cap_per_hour, share_of_voice, daily_impression_goal, pacing
+  INTO v_campaign
+  FROM public.campaigns
+  WHERE id = p_campaign_id;
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  -- Frequency cap: plays on this screen in the last hour
+  IF v_campaign.frequency_cap_per_hour IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_count
+    FROM public.playback_events pe
+    WHERE pe.campaign_id = p_campaign_id
+      AND pe.screen_id = p_screen_id
+      AND pe.started_at > p_now - INTERVAL '1 hour';
+
+    IF v_count >= v_campaign.frequency_cap_per_hour THEN
+      RETURN false;
+    END IF;
+  END IF;
+
+  -- Share of voice: campaign airtime vs. everything this screen played in the last hour
+  IF v_campaign.share_of_voice IS NOT NULL THEN
+    SELECT
+      COALESCE(SUM(pe.duration_seconds), 0),
+      COALESCE(SUM(pe.duration_seconds) FILTER (WHERE pe.campaign_id = p_campaign_id), 0)
+    INTO v_total_seconds, v_campaign_seconds
+    FROM public.playback_events pe
+    WHERE pe.screen_id = p_screen_id
+      AND pe.started_at > p_now - INTERVAL '1 hour';
+
+    IF v_total_seconds > 0 AND v_campaign_seconds * 100 >= v_campaign.share_of_voice * v_total_seconds THEN
+      RETURN false;
+    END IF;
+  END IF;
+
+  -- Daily goal and pacing: plays across all screens since local midnight
+  IF v_campaign.daily_impression_goal IS NOT NULL THEN
+    v_local_now := p_now AT TIME ZONE p_timezone;
+    v_day_start := date_trunc('day', v_local_now) AT TIME ZONE p_timezone;
+
+    SELECT COUNT(*) INTO v_count
+    FROM public.playback_events pe
+    WHERE pe.campaign_id = p_campaign_id
+      AND pe.started_at >= v_day_start;
+
+    IF v_count >= v_campaign.daily_impression_goal THEN
+      RETURN false;
+    END IF;
+
+    IF v_campaign.pacing = 'even' THEN
+      v_day_fraction := EXTRACT(EPOCH FROM (v_local_now - date_trunc('day', v_local_now))) / 86400;
+      IF v_count >= CEIL(v_campaign.daily_impression_goal * v_day_fraction) THEN
+        RETURN false;
+      END IF;
+    END IF;
+  END IF;
+
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.campaign_delivery_allowed(UUID, UUID, TIMESTAMPTZ, TEXT) TO authenticated;
+
+-- ============================================================================
+-- 3. get_active_campaign_for_screen(screen_id, now)
+--    As in migration 043, but campaigns over a delivery limit are skipped.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_active_campaign_for_screen(
+    p_screen_id UUID,
+    p_now TIMESTAMPTZ DEFAULT now()
+)
+RETURNS TABLE (
+    campaign_id UUID,
+    campaign_name TEXT,
+    priority INTEGER,
+    effective_target TEXT,
+    content_type TEXT,
+    content_id UUID
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_screen RECORD;
+BEGIN
+    SELECT
+        d.id,
+        d.tenant_id,
+        d.screen_group_id,
+        d.location_id,
+        COALESCE(d.timezone, 'UTC') AS timezone
+    INTO v_screen
+    FROM public.tv_devices d
+    WHERE d.id = p_screen_id;
+
+    IF v_screen IS NULL THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    WITH matched_campaigns AS (
+        SELECT DISTINCT ON (c.id)
+            c.id AS campaign_id,
+            c.name AS campaign_name,
+            c.priority,
+            ct.target_type AS effective_target,
+            CASE ct.target_type
+                WHEN 'screen' THEN 1
+                WHEN 'screen_group' THEN 2
+                WHEN 'location' THEN 3
+                WHEN 'all' THEN 4
+            END AS target_specificity
+        FROM public.campaigns c
+        INNER JOIN public.campaign_targets ct ON ct.campaign_id = c.id
+        WHERE c.tenant_id = v_screen.tenant_id
+          AND c.status IN ('active', 'scheduled')
+          AND (c.start_at IS NULL OR c.start_at <= p_now)
+          AND (c.end_at IS NULL OR c.end_at > p_now)
+          AND EXISTS (SELECT 1 FROM public.campaign_contents cc WHERE cc.campaign_id = c.id)
+          AND (
+              (ct.target_type = 'screen' AND ct.target_id = p_screen_id)
+              OR (ct.target_type = 'screen_group' AND ct.target_id = v_screen.screen_group_id AND v_screen.screen_group_id IS NOT NULL)
+              OR (ct.target_type = 'location' AND ct.target_id = v_screen.location_id AND v_screen.location_id IS NOT NULL)
+              OR (ct.target_type = 'all')
+          )
+        ORDER BY c.id, target_specificity ASC
+    ),
+    best_campaign AS (
+        SELECT mc.*
+        FROM matched_campaigns mc
+        WHERE public.campaign_delivery_allowed(mc.campaign_id, p_screen_id, p_now, v_screen.timezone)
+        ORDER BY mc.target_specificity ASC, mc.priority DESC, mc.campaign_id ASC
+        LIMIT 1
+    )
+    SELECT
+        bc.campaign_id,
+        bc.campaign_name,
+        bc.priority,
+        bc.effective_target,
+        wc.content_type,
+        wc.content_id
+    FROM best_campaign bc
+    CROSS JOIN LATERAL public.select_weighted_content(bc.campaign_id) wc;
+END;
+$$;
+
+COMMENT ON FUNCTION public.get_active_campaign_for_screen IS
+  'Returns the highest priority active campaign targeting a screen that is within its frequency cap, share of voice and pacing, with weighted content selection';
+
+-- ============================================================================
+-- 4. get_campaign_playback_stats(tenant, start, end)
+--    Adds the goal for the period and today's delivery.
+-- ============================================================================
+
+DROP FUNCTION IF EXISTS public.get_campaign_playback_stats(UUID, DATE, DATE);
+
+CREATE OR REPLACE FUNCTION public.get_campaign_playback_stats(
+    p_tenant_id UUID,
+    p_start_date DATE DEFAULT CURRENT_DATE - INTERVAL '30 days',
+    p_end_date DATE DEFAULT CURRENT_DATE
+)
+RETURNS TABLE (
+    campaign_id UUID,
+    campaign_name TEXT,
+    campaign_status TEXT,
+    total_playback_seconds BIGINT,
+    unique_screens BIGINT,
+    unique_locations BIGINT,
+    play_count BIGINT,
+    delivered_today BIGINT,
+    daily_impression_goal INTEGER,
+    frequency_cap_per_hour INTEGER,
+    share_of_voice NUMERIC,
+    pacing TEXT,
+    start_at TIMESTAMPTZ,
+    end_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        c.id AS campaign_id,
+        c.name AS campaign_name,
+        c.status AS campaign_status,
+        COALESCE(SUM(pe.duration_seconds), 0)::BIGINT AS total_playback_seconds,
+        COUNT(DISTINCT pe.screen_id)::BIGINT AS unique_screens,
+        COUNT(DISTINCT d.location_id)::BIGINT AS unique_locations,
+        COUNT(pe.id)::BIGINT AS play_count,
+        COUNT(pe.id) FILTER (WHERE pe.started_at::date = CURRENT_DATE)::BIGINT AS delivered_today,
+        c.daily_impression_goal,
+        c.frequency_cap_per_hour,
+        c.share_of_voice,
+        c.pacing,
+        c.start_at,
+        c.end_at
+    FROM public.campaigns c
+    LEFT JOIN public.playback_events pe ON pe.campaign_id = c.id
+        AND pe.started_at::date BETWEEN p_start_date AND p_end_date
+    LEFT JOIN public.tv_devices d ON d.id = pe.screen_id
+    WHERE c.tenant_id = p_tenant_id
+    GROUP BY c.id, c.name, c.status
+    ORDER BY total_playback_seconds DESC;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_campaign_playback_stats TO authenticated;
+
+-- ============================================================================
+-- 5. RPC: get_resolved_player_content(screen_id)
+--    As in migration 181, plus a campaign step (1.75) between exception
+--    calendars and scheduled scenes. The response includes a 'campaign'
+--    object when a campaign supplied the content.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_resolved_player_content(p_screen_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_device tv_devices%ROWTYPE;
+  v_scene scenes%ROWTYPE;
+  v_group_scene_id uuid;
+  v_scheduled_scene RECORD;
+  v_schedule_entry RECORD;
+  v_playlist_id UUID;
+  v_layout_id UUID;
+  v_playlist playlists%ROWTYPE;
+  v_items JSONB;
+  v_layout_content JSONB;
+  v_result JSONB;
+  v_mode TEXT;
+  v_source TEXT;
+  v_schedule_id UUID;
+  v_local_now TIMESTAMP;
+  v_exception RECORD;
+  v_campaign RECORD;
+BEGIN
+  -- Find the TV device
+  SELECT * INTO v_device
+  FROM public.tv_devices
+  WHERE id = p_screen_id
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Screen not found';
+  END IF;
+
+  -- Update heartbeat
+  UPDATE public.tv_devices
+  SET last_seen = NOW(),
+      is_online = true
+  WHERE id = v_device.id;
+
+  -- Initialize
+  v_playlist_id := NULL;
+  v_layout_id := NULL;
+  v_mode := 'playlist';
+  v_source := NULL;
+
+  -- =========================================================================
+  -- Step 0: Check for active scene (highest priority - manual override)
+  -- =========================================================================
+  IF v_device.active_scene_id IS NOT NULL THEN
+    SELECT * INTO v_scene
+    FROM public.scenes
+    WHERE id = v_device.active_scene_id AND is_active = true;
+
+    IF v_scene.id IS NOT NULL THEN
+      v_source := 'device_override';
+      IF v_scene.layout_id IS NOT NULL THEN
+        v_layout_id := v_scene.layout_id;
+        v_mode := 'layout';
+      ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+        v_playlist_id := v_scene.primary_playlist_id;
+        v_mode := 'playlist';
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1: Check group's active scene (if no device override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+    SELECT sg.active_scene_id INTO v_group_scene_id
+    FROM public.screen_groups sg
+    WHERE sg.id = v_device.screen_group_id;
+
+    IF v_group_scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_group_scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'group_override';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.5: Check exception calendars (holidays, special hours)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    v_schedule_id := v_device.assigned_schedule_id;
+    IF v_schedule_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+      SELECT sg.assigned_schedule_id INTO v_schedule_id
+      FROM public.screen_groups sg
+      WHERE sg.id = v_device.screen_group_id;
+    END IF;
+
+    v_local_now := NOW() AT TIME ZONE COALESCE(v_device.timezone, 'UTC');
+
+    SELECT * INTO v_exception
+    FROM public.get_schedule_exceptions(v_schedule_id, v_device.location_id, v_local_now::DATE) ex
+    WHERE (ex.start_time IS NULL OR ex.start_time <= v_local_now::TIME)
+      AND (ex.end_time IS NULL OR ex.end_time > v_local_now::TIME OR ex.end_time <= ex.start_time)
+    LIMIT 1;
+
+    IF v_exception.event_id IS NOT NULL THEN
+      IF v_exception.action = 'screen_off' THEN
+        RETURN jsonb_build_object(
+          'mode', 'screen_off',
+          'source', 'exception_calendar',
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC')
+          ),
+          'exception', jsonb_build_object(
+            'id', v_exception.event_id,
+            'name', v_exception.name,
+            'calendarId', v_exception.calendar_id,
+            'calendarName', v_exception.calendar_name
+          ),
+          'items', '[]'::jsonb
+        );
+      ELSIF v_exception.content_type = 'playlist' THEN
+        v_source := 'exception_calendar';
+        v_playlist_id := v_exception.content_id;
+        v_mode := 'playlist';
+      ELSIF v_exception.content_type = 'layout' THEN
+        v_source := 'exception_calendar';
+        v_layout_id := v_exception.content_id;
+        v_mode := 'layout';
+      ELSIF v_exception.content_type = 'scene' THEN
+        SELECT * INTO v_scene
+        FROM public.scenes
+        WHERE id = v_exception.content_id AND is_active = true;
+
+        IF v_scene.id IS NOT NULL THEN
+          v_source := 'exception_calendar';
+          IF v_scene.layout_id IS NOT NULL THEN
+            v_layout_id := v_scene.layout_id;
+            v_mode := 'layout';
+          ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+            v_playlist_id := v_scene.primary_playlist_id;
+            v_mode := 'playlist';
+          END IF;
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.75: Check active campaigns (frequency caps, share of voice and
+  -- pacing are applied by get_active_campaign_for_screen)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_campaign
+    FROM public.get_active_campaign_for_screen(p_screen_id, NOW())
+    LIMIT 1;
+
+    IF v_campaign.campaign_id IS NOT NULL THEN
+      v_source := 'campaign';
+      IF v_campaign.content_type = 'playlist' THEN
+        v_playlist_id := v_campaign.content_id;
+        v_mode := 'playlist';
+      ELSIF v_campaign.content_type = 'layout' THEN
+        v_layout_id := v_campaign.content_id;
+        v_mode := 'layout';
+      ELSIF v_campaign.content_type = 'media' THEN
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_campaign.content_id;
+
+        IF v_items IS NOT NULL THEN
+          RETURN jsonb_build_object(
+            'mode', 'playlist',
+            'source', v_source,
+            'device', jsonb_build_object(
+              'id', v_device.id,
+              'name', v_device.device_name,
+              'timezone', COALESCE(v_device.timezone, 'UTC')
+            ),
+            'campaign', jsonb_build_object(
+              'id', v_campaign.campaign_id,
+              'name', v_campaign.campaign_name,
+              'priority', v_campaign.priority,
+              'target', v_campaign.effective_target
+            ),
+            'playlist', NULL,
+            'items', jsonb_build_array(v_items),
+            'scene', NULL
+          );
+        END IF;
+        v_source := NULL;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 2: Check scheduled scene (if no manual override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_scheduled_scene
+    FROM public.resolve_scene_schedule(p_screen_id, COALESCE(v_device.timezone, 'UTC'))
+    LIMIT 1;
+
+    IF v_scheduled_scene.scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_scheduled_scene.scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'schedule';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 3: Check legacy schedule entries (playlist/layout/media)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_schedule_id IS NOT NULL THEN
+    SELECT * INTO v_schedule_entry
+    FROM public.resolve_schedule_entry(
+      v_device.assigned_schedule_id,
+      COALESCE(v_device.timezone, 'UTC'),
+      v_device.id
+    );
+
+    IF v_schedule_entry IS NOT NULL AND v_schedule_entry.target_id IS NOT NULL THEN
+      v_source := 'legacy_schedule';
+      IF v_schedule_entry.target_type = 'playlist' THEN
+        v_playlist_id := v_schedule_entry.target_id;
+        v_mode := 'playlist';
+      ELSIF v_schedule_entry.target_type = 'layout' THEN
+        v_layout_id := v_schedule_entry.target_id;
+        v_mode := 'layout';
+      ELSIF v_schedule_entry.target_type = 'media' THEN
+        -- Single media - wrap in playlist-like response
+        v_mode := 'playlist';
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_schedule_entry.target_id;
+
+        IF v_items IS NOT NULL THEN
+          v_items := jsonb_build_array(v_items);
+        ELSE
+          v_items := '[]'::jsonb;
+        END IF;
+
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC')
+          ),
+          'playlist', NULL,
+          'items', v_items,
+          'scene', NULL
+        );
+      END IF;
+    END IF;
+  END IF;
+
+  -- Step 4: Fallback to assigned layout
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_layout_id IS NOT NULL THEN
+    v_layout_id := v_device.assigned_layout_id;
+    v_mode := 'layout';
+    v_source := 'assigned_layout';
+  END IF;
+
+  -- Step 5: Fallback to assigned playlist
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_playlist_id IS NOT NULL THEN
+    v_playlist_id := v_device.assigned_playlist_id;
+    v_mode := 'playlist';
+    v_source := 'assigned_playlist';
+  END IF;
+
+  -- Build response based on mode
+  IF v_mode = 'layout' AND v_layout_id IS NOT NULL THEN
+    -- Get layout content
+    SELECT public.get_layout_content(v_layout_id) INTO v_layout_content;
+
+    v_result := jsonb_build_object(
+      'mode', 'layout',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC')
+      ),
+      'layout', v_layout_content,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  ELSE
+    -- Playlist mode (default)
+    IF v_playlist_id IS NOT NULL THEN
+      SELECT * INTO v_playlist
+      FROM public.playlists
+      WHERE id = v_playlist_id;
+
+      SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+          'id', pi.id,
+          'position', pi.position,
+          'type', pi.item_type,
+          'mediaType', COALESCE(ma.type, 'unknown'),
+          'url', COALESCE(ma.url, ''),
+          'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+          'name', COALESCE(ma.name, ''),
+          'duration', COALESCE(pi.duration, ma.duration, COALESCE(v_playlist.default_duration, 10)),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json
+        )
+        ORDER BY pi.position
+      ), '[]'::jsonb) INTO v_items
+      FROM public.playlist_items pi
+      LEFT JOIN public.media_assets ma ON pi.item_id = ma.id
+      WHERE pi.playlist_id = v_playlist_id;
+    ELSE
+      v_items := '[]'::jsonb;
+    END IF;
+
+    v_result := jsonb_build_object(
+      'mode', 'playlist',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC')
+      ),
+      'playlist', CASE
+        WHEN v_playlist.id IS NOT NULL THEN
+          jsonb_build_object(
+            'id', v_playlist.id,
+            'name', v_playlist.name,
+            'defaultDuration', COALESCE(v_playlist.default_duration, 10),
+            'transitionEffect', COALESCE(v_playlist.transition_effect, 'fade'),
+            'shuffle', COALESCE(v_playlist.shuffle, false)
+          )
+        ELSE NULL
+      END,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'items', v_items,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  END IF;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO authenticated;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 182 completed: Campaign frequency caps, share of voice and pacing';
+END $$;
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- Migration 183: Proof-of-play reports
+--
+-- Proof-of-play reports list every campaign play (playback_events rows tagged
+-- with a campaign) for a time window, optionally narrowed to one campaign, one
+-- screen or all campaigns of an advertiser. Reports are built client-side
+-- from playback_events under the existing tenant RLS policies.
+--
+-- Columns:
+--   campaigns.advertiser - who the airtime was sold to (free text)
+--
+-- Idempotent: IF NOT EXISTS.
+-- ============================================================================
+
+ALTER TABLE public.campaigns
+ADD COLUMN IF NOT EXISTS advertiser TEXT;
+
+COMMENT ON COLUMN public.campaigns.advertiser IS
+'Advertiser the campaign''s airtime was sold to; groups campaigns in proof-of-play reports';
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_tenant_advertiser
+  ON public.campaigns(tenant_id, advertiser)
+  WHERE advertiser IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_playback_events_campaign_screen_started
+  ON public.playback_events(campaign_id, screen_id, started_at)
+  WHERE campaign_id IS NOT NULL;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 183 completed: Proof-of-play reports';
+END $$;
@@ -0,0 +1,197 @@
+-- ============================================================================
+-- Migration 184: Campaign lifecycle worker
+--
+-- Campaigns move scheduled -> active when start_at passes and
+-- scheduled/active/paused -> completed when end_at passes. Until now
+-- update_campaign_statuses() did this silently and nothing called it.
+--
+-- 1. trg_campaign_status_transition: every status change (manual or automatic)
+--    is written to activity_log and emits the matching webhook event:
+--      active    -> campaign.activated
+--      paused    -> campaign.deactivated
+--      completed -> campaign.ended
+--    Moves back to scheduled are logged as campaign.scheduled (no webhook).
+-- 2. run_campaign_lifecycle(p_now): the worker. Applies due transitions and
+--    returns them. Transitions it makes are tagged source = 'lifecycle_worker'
+--    and logged with a NULL actor (system action).
+-- 3. pg_cron job 'campaign-lifecycle' running the worker every minute, when
+--    the extension is installed.
+--
+-- Idempotent: CREATE OR REPLACE, DROP TRIGGER IF EXISTS, cron job re-created.
+-- ============================================================================
+
+-- ----------------------------------------------------------------------------
+-- 1. Status transition trigger
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.handle_campaign_status_transition()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_source TEXT := COALESCE(NULLIF(current_setting('bizscreen.campaign_transition_source', true), ''), 'manual');
+  v_actor_id UUID;
+  v_action TEXT;
+  v_data JSONB;
+BEGIN
+  v_action := CASE NEW.status
+    WHEN 'active' THEN 'campaign.activated'
+    WHEN 'paused' THEN 'campaign.deactivated'
+    WHEN 'completed' THEN 'campaign.ended'
+    WHEN 'scheduled' THEN 'campaign.scheduled'
+  END;
+
+  -- Reverting to draft is part of the approval flow, not the lifecycle
+  IF v_action IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF v_source <> 'lifecycle_worker' THEN
+    v_actor_id := auth.uid();
+  END IF;
+
+  v_data := jsonb_build_object(
+    'campaign_id', NEW.id,
+    'name', NEW.name,
+    'status', NEW.status,
+    'previous_status', OLD.status,
+    'start_at', NEW.start_at,
+    'end_at', NEW.end_at,
+    'source', v_source
+  );
+
+  PERFORM public.log_activity(
+    v_actor_id,
+    NEW.tenant_id,
+    v_action,
+    'campaign',
+    NEW.id,
+    NEW.name,
+    v_data
+  );
+
+  IF v_action IN ('campaign.activated', 'campaign.deactivated', 'campaign.ended') THEN
+    PERFORM public.enqueue_webhook_event(
+      NEW.tenant_id,
+      v_action,
+      jsonb_build_object(
+        'event', v_action,
+        'timestamp', NOW(),
+        'data', v_data
+      )
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_campaign_status_transition ON public.campaigns;
+CREATE TRIGGER trg_campaign_status_transition
+  AFTER UPDATE OF status ON public.campaigns
+  FOR EACH ROW
+  WHEN (OLD.status IS DISTINCT FROM NEW.status)
+  EXECUTE FUNCTION public.handle_campaign_status_transition();
+
+COMMENT ON FUNCTION public.handle_campaign_status_transition IS
+'Logs campaign status changes to activity_log and enqueues campaign.activated/deactivated/ended webhooks';
+
+-- ----------------------------------------------------------------------------
+-- 2. Lifecycle worker
+-- ----------------------------------------------------------------------------
+
+CREATE OR REPLACE FUNCTION public.run_campaign_lifecycle(p_now TIMESTAMPTZ DEFAULT NOW())
+RETURNS TABLE (
+  campaign_id UUID,
+  tenant_id UUID,
+  from_status TEXT,
+  to_status TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM set_config('bizscreen.campaign_transition_source', 'lifecycle_worker', true);
+
+  -- Ended: includes scheduled campaigns whose whole window was missed
+  RETURN QUERY
+  WITH due AS (
+    SELECT c.id, c.status
+    FROM public.campaigns c
+    WHERE c.status IN ('scheduled', 'active', 'paused')
+      AND c.end_at IS NOT NULL
+      AND c.end_at <= p_now
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE public.campaigns c
+  SET status = 'completed', updated_at = p_now
+  FROM due
+  WHERE c.id = due.id
+  RETURNING c.id, c.tenant_id, due.status, c.status;
+
+  -- Started
+  RETURN QUERY
+  WITH due AS (
+    SELECT c.id, c.status
+    FROM public.campaigns c
+    WHERE c.status = 'scheduled'
+      AND c.start_at IS NOT NULL
+      AND c.start_at <= p_now
+      AND (c.end_at IS NULL OR c.end_at > p_now)
+    FOR UPDATE SKIP LOCKED
+  )
+  UPDATE public.campaigns c
+  SET status = 'active', updated_at = p_now
+  FROM due
+  WHERE c.id = due.id
+  RETURNING c.id, c.tenant_id, due.status, c.status;
+
+  PERFORM set_config('bizscreen.campaign_transition_source', '', true);
+END;
+$$;
+
+COMMENT ON FUNCTION public.run_campaign_lifecycle IS
+'Campaign lifecycle worker: scheduled -> active at start_at, scheduled/active/paused -> completed at end_at. Returns the transitions made.';
+
+-- Kept for existing callers
+CREATE OR REPLACE FUNCTION public.update_campaign_statuses()
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM public.run_campaign_lifecycle(NOW());
+END;
+$$;
+
+COMMENT ON FUNCTION public.update_campaign_statuses IS
+'Deprecated: use run_campaign_lifecycle()';
+
+-- The worker spans every tenant; only the scheduler may run it
+REVOKE ALL ON FUNCTION public.run_campaign_lifecycle(TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.update_campaign_statuses() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.run_campaign_lifecycle(TIMESTAMPTZ) TO service_role;
+GRANT EXECUTE ON FUNCTION public.update_campaign_statuses() TO service_role;
+
+-- ----------------------------------------------------------------------------
+-- 3. Schedule
+-- ----------------------------------------------------------------------------
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.unschedule(jobid) FROM cron.job WHERE jobname = 'campaign-lifecycle';
+    PERFORM cron.schedule('campaign-lifecycle', '* * * * *', 'SELECT public.run_campaign_lifecycle()');
+    RAISE NOTICE 'Scheduled campaign-lifecycle job (every minute)';
+  ELSE
+    RAISE NOTICE 'pg_cron not installed: call public.run_campaign_lifecycle() every minute from an external scheduler';
+  END IF;
+END $$;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 184 completed: Campaign lifecycle worker';
+END $$;
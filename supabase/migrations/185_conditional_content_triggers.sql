@@ -0,0 +1,580 @@
+-- ============================================================================
+-- Migration 185: Conditional content triggers
+--
+-- Trigger rules show, hide or prioritise content from data source values
+-- ("show the apology slide when wait_minutes > 20"). They are evaluated on
+-- the player against cached data sources (contentTriggerService), so the
+-- database only stores them and hands them to the player.
+--
+-- Rules live in:
+--   playlist_items.trigger_rules     - per playlist item
+--   campaign_contents.trigger_rules  - per campaign content (playlist/media)
+--   scene_slides.design_json.triggers - per slide (no schema change)
+--
+-- get_resolved_player_content returns each item's rules as 'triggerRules'.
+-- When any playlist/media content of the chosen campaign has rules, every
+-- playlist/media content is sent (content rules first, then item rules) and
+-- the player picks by rule instead of the weighted server pick.
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP ... IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Columns
+-- ============================================================================
+
+ALTER TABLE public.playlist_items
+ADD COLUMN IF NOT EXISTS trigger_rules JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.campaign_contents
+ADD COLUMN IF NOT EXISTS trigger_rules JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.playlist_items
+DROP CONSTRAINT IF EXISTS playlist_items_trigger_rules_array;
+ALTER TABLE public.playlist_items
+ADD CONSTRAINT playlist_items_trigger_rules_array
+CHECK (jsonb_typeof(trigger_rules) = 'array');
+
+ALTER TABLE public.campaign_contents
+DROP CONSTRAINT IF EXISTS campaign_contents_trigger_rules_array;
+ALTER TABLE public.campaign_contents
+ADD CONSTRAINT campaign_contents_trigger_rules_array
+CHECK (jsonb_typeof(trigger_rules) = 'array');
+
+COMMENT ON COLUMN public.playlist_items.trigger_rules IS
+'Data-driven show/hide/prioritize rules evaluated by the player: [{ id, action, match, conditions: [{ sourceId, field, rowSelector, operator, value }] }]';
+
+COMMENT ON COLUMN public.campaign_contents.trigger_rules IS
+'Data-driven show/hide/prioritize rules for this content, evaluated by the player (same shape as playlist_items.trigger_rules)';
+
+-- ============================================================================
+-- 2. get_campaign_conditional_items(campaign_id)
+--    Items of all playlist and media contents of a campaign, in content
+--    order, each carrying the content's rules followed by the item's own.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_campaign_conditional_items(p_campaign_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(jsonb_agg(x.item ORDER BY x.content_position, x.content_created_at, x.item_position), '[]'::jsonb)
+  FROM (
+    SELECT
+      cc.position AS content_position,
+      cc.created_at AS content_created_at,
+      0 AS item_position,
+      jsonb_build_object(
+        'id', ma.id,
+        'position', 0,
+        'type', 'media',
+        'mediaType', ma.type,
+        'url', ma.url,
+        'thumbnailUrl', ma.thumbnail_url,
+        'name', ma.name,
+        'duration', COALESCE(ma.duration, 10),
+        'width', ma.width,
+        'height', ma.height,
+        'config', ma.config_json,
+        'campaignContentId', cc.id,
+        'triggerRules', cc.trigger_rules
+      ) AS item
+    FROM public.campaign_contents cc
+    JOIN public.media_assets ma ON ma.id = cc.content_id
+    WHERE cc.campaign_id = p_campaign_id
+      AND cc.content_type = 'media'
+
+    UNION ALL
+
+    SELECT
+      cc.position,
+      cc.created_at,
+      pi.position,
+      jsonb_build_object(
+        'id', pi.id,
+        'position', pi.position,
+        'type', pi.item_type,
+        'mediaType', COALESCE(ma.type, 'unknown'),
+        'url', COALESCE(ma.url, ''),
+        'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+        'name', COALESCE(ma.name, ''),
+        'duration', COALESCE(pi.duration, ma.duration, COALESCE(pl.default_duration, 10)),
+        'width', ma.width,
+        'height', ma.height,
+        'config', ma.config_json,
+        'campaignContentId', cc.id,
+        'triggerRules', cc.trigger_rules || pi.trigger_rules
+      )
+    FROM public.campaign_contents cc
+    JOIN public.playlists pl ON pl.id = cc.content_id
+    JOIN public.playlist_items pi ON pi.playlist_id = pl.id
+    LEFT JOIN public.media_assets ma ON pi.item_id = ma.id
+    WHERE cc.campaign_id = p_campaign_id
+      AND cc.content_type = 'playlist'
+  ) x;
+$$;
+
+COMMENT ON FUNCTION public.get_campaign_conditional_items IS
+'Player items for every playlist/media content of a campaign, with content and item trigger rules combined';
+
+-- Only reached through get_resolved_player_content
+REVOKE ALL ON FUNCTION public.get_campaign_conditional_items(UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================================
+-- 3. RPC: get_resolved_player_content(screen_id)
+--    As in migration 182, plus trigger rules on playlist items and the
+--    conditional campaign contents path in step 1.75.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_resolved_player_content(p_screen_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_device tv_devices%ROWTYPE;
+  v_scene scenes%ROWTYPE;
+  v_group_scene_id uuid;
+  v_scheduled_scene RECORD;
+  v_schedule_entry RECORD;
+  v_playlist_id UUID;
+  v_layout_id UUID;
+  v_playlist playlists%ROWTYPE;
+  v_items JSONB;
+  v_layout_content JSONB;
+  v_result JSONB;
+  v_mode TEXT;
+  v_source TEXT;
+  v_schedule_id UUID;
+  v_local_now TIMESTAMP;
+  v_exception RECORD;
+  v_campaign RECORD;
+BEGIN
+  -- Find the TV device
+  SELECT * INTO v_device
+  FROM public.tv_devices
+  WHERE id = p_screen_id
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Screen not found';
+  END IF;
+
+  -- Update heartbeat
+  UPDATE public.tv_devices
+  SET last_seen = NOW(),
+      is_online = true
+  WHERE id = v_device.id;
+
+  -- Initialize
+  v_playlist_id := NULL;
+  v_layout_id := NULL;
+  v_mode := 'playlist';
+  v_source := NULL;
+
+  -- =========================================================================
+  -- Step 0: Check for active scene (highest priority - manual override)
+  -- =========================================================================
+  IF v_device.active_scene_id IS NOT NULL THEN
+    SELECT * INTO v_scene
+    FROM public.scenes
+    WHERE id = v_device.active_scene_id AND is_active = true;
+
+    IF v_scene.id IS NOT NULL THEN
+      v_source := 'device_override';
+      IF v_scene.layout_id IS NOT NULL THEN
+        v_layout_id := v_scene.layout_id;
+        v_mode := 'layout';
+      ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+        v_playlist_id := v_scene.primary_playlist_id;
+        v_mode := 'playlist';
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1: Check group's active scene (if no device override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+    SELECT sg.active_scene_id INTO v_group_scene_id
+    FROM public.screen_groups sg
+    WHERE sg.id = v_device.screen_group_id;
+
+    IF v_group_scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_group_scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'group_override';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.5: Check exception calendars (holidays, special hours)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    v_schedule_id := v_device.assigned_schedule_id;
+    IF v_schedule_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+      SELECT sg.assigned_schedule_id INTO v_schedule_id
+      FROM public.screen_groups sg
+      WHERE sg.id = v_device.screen_group_id;
+    END IF;
+
+    v_local_now := NOW() AT TIME ZONE COALESCE(v_device.timezone, 'UTC');
+
+    SELECT * INTO v_exception
+    FROM public.get_schedule_exceptions(v_schedule_id, v_device.location_id, v_local_now::DATE) ex
+    WHERE (ex.start_time IS NULL OR ex.start_time <= v_local_now::TIME)
+      AND (ex.end_time IS NULL OR ex.end_time > v_local_now::TIME OR ex.end_time <= ex.start_time)
+    LIMIT 1;
+
+    IF v_exception.event_id IS NOT NULL THEN
+      IF v_exception.action = 'screen_off' THEN
+        RETURN jsonb_build_object(
+          'mode', 'screen_off',
+          'source', 'exception_calendar',
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC')
+          ),
+          'exception', jsonb_build_object(
+            'id', v_exception.event_id,
+            'name', v_exception.name,
+            'calendarId', v_exception.calendar_id,
+            'calendarName', v_exception.calendar_name
+          ),
+          'items', '[]'::jsonb
+        );
+      ELSIF v_exception.content_type = 'playlist' THEN
+        v_source := 'exception_calendar';
+        v_playlist_id := v_exception.content_id;
+        v_mode := 'playlist';
+      ELSIF v_exception.content_type = 'layout' THEN
+        v_source := 'exception_calendar';
+        v_layout_id := v_exception.content_id;
+        v_mode := 'layout';
+      ELSIF v_exception.content_type = 'scene' THEN
+        SELECT * INTO v_scene
+        FROM public.scenes
+        WHERE id = v_exception.content_id AND is_active = true;
+
+        IF v_scene.id IS NOT NULL THEN
+          v_source := 'exception_calendar';
+          IF v_scene.layout_id IS NOT NULL THEN
+            v_layout_id := v_scene.layout_id;
+            v_mode := 'layout';
+          ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+            v_playlist_id := v_scene.primary_playlist_id;
+            v_mode := 'playlist';
+          END IF;
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.75: Check active campaigns (frequency caps, share of voice and
+  -- pacing are applied by get_active_campaign_for_screen)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_campaign
+    FROM public.get_active_campaign_for_screen(p_screen_id, NOW())
+    LIMIT 1;
+
+    IF v_campaign.campaign_id IS NOT NULL THEN
+      v_source := 'campaign';
+
+      -- Conditional contents: send every playlist/media content so the
+      -- player can choose between them with their trigger rules
+      IF v_campaign.content_type IN ('playlist', 'media') AND EXISTS (
+        SELECT 1 FROM public.campaign_contents cc
+        WHERE cc.campaign_id = v_campaign.campaign_id
+          AND cc.content_type IN ('playlist', 'media')
+          AND jsonb_array_length(cc.trigger_rules) > 0
+      ) THEN
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC')
+          ),
+          'campaign', jsonb_build_object(
+            'id', v_campaign.campaign_id,
+            'name', v_campaign.campaign_name,
+            'priority', v_campaign.priority,
+            'target', v_campaign.effective_target
+          ),
+          'playlist', NULL,
+          'items', public.get_campaign_conditional_items(v_campaign.campaign_id),
+          'scene', NULL
+        );
+      END IF;
+
+      IF v_campaign.content_type = 'playlist' THEN
+        v_playlist_id := v_campaign.content_id;
+        v_mode := 'playlist';
+      ELSIF v_campaign.content_type = 'layout' THEN
+        v_layout_id := v_campaign.content_id;
+        v_mode := 'layout';
+      ELSIF v_campaign.content_type = 'media' THEN
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_campaign.content_id;
+
+        IF v_items IS NOT NULL THEN
+          RETURN jsonb_build_object(
+            'mode', 'playlist',
+            'source', v_source,
+            'device', jsonb_build_object(
+              'id', v_device.id,
+              'name', v_device.device_name,
+              'timezone', COALESCE(v_device.timezone, 'UTC')
+            ),
+            'campaign', jsonb_build_object(
+              'id', v_campaign.campaign_id,
+              'name', v_campaign.campaign_name,
+              'priority', v_campaign.priority,
+              'target', v_campaign.effective_target
+            ),
+            'playlist', NULL,
+            'items', jsonb_build_array(v_items),
+            'scene', NULL
+          );
+        END IF;
+        v_source := NULL;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 2: Check scheduled scene (if no manual override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_scheduled_scene
+    FROM public.resolve_scene_schedule(p_screen_id, COALESCE(v_device.timezone, 'UTC'))
+    LIMIT 1;
+
+    IF v_scheduled_scene.scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_scheduled_scene.scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'schedule';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 3: Check legacy schedule entries (playlist/layout/media)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_schedule_id IS NOT NULL THEN
+    SELECT * INTO v_schedule_entry
+    FROM public.resolve_schedule_entry(
+      v_device.assigned_schedule_id,
+      COALESCE(v_device.timezone, 'UTC'),
+      v_device.id
+    );
+
+    IF v_schedule_entry IS NOT NULL AND v_schedule_entry.target_id IS NOT NULL THEN
+      v_source := 'legacy_schedule';
+      IF v_schedule_entry.target_type = 'playlist' THEN
+        v_playlist_id := v_schedule_entry.target_id;
+        v_mode := 'playlist';
+      ELSIF v_schedule_entry.target_type = 'layout' THEN
+        v_layout_id := v_schedule_entry.target_id;
+        v_mode := 'layout';
+      ELSIF v_schedule_entry.target_type = 'media' THEN
+        -- Single media - wrap in playlist-like response
+        v_mode := 'playlist';
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_schedule_entry.target_id;
+
+        IF v_items IS NOT NULL THEN
+          v_items := jsonb_build_array(v_items);
+        ELSE
+          v_items := '[]'::jsonb;
+        END IF;
+
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC')
+          ),
+          'playlist', NULL,
+          'items', v_items,
+          'scene', NULL
+        );
+      END IF;
+    END IF;
+  END IF;
+
+  -- Step 4: Fallback to assigned layout
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_layout_id IS NOT NULL THEN
+    v_layout_id := v_device.assigned_layout_id;
+    v_mode := 'layout';
+    v_source := 'assigned_layout';
+  END IF;
+
+  -- Step 5: Fallback to assigned playlist
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_playlist_id IS NOT NULL THEN
+    v_playlist_id := v_device.assigned_playlist_id;
+    v_mode := 'playlist';
+    v_source := 'assigned_playlist';
+  END IF;
+
+  -- Build response based on mode
+  IF v_mode = 'layout' AND v_layout_id IS NOT NULL THEN
+    -- Get layout content
+    SELECT public.get_layout_content(v_layout_id) INTO v_layout_content;
+
+    v_result := jsonb_build_object(
+      'mode', 'layout',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC')
+      ),
+      'layout', v_layout_content,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  ELSE
+    -- Playlist mode (default)
+    IF v_playlist_id IS NOT NULL THEN
+      SELECT * INTO v_playlist
+      FROM public.playlists
+      WHERE id = v_playlist_id;
+
+      SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+          'id', pi.id,
+          'position', pi.position,
+          'type', pi.item_type,
+          'mediaType', COALESCE(ma.type, 'unknown'),
+          'url', COALESCE(ma.url, ''),
+          'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+          'name', COALESCE(ma.name, ''),
+          'duration', COALESCE(pi.duration, ma.duration, COALESCE(v_playlist.default_duration, 10)),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json,
+          'triggerRules', COALESCE(pi.trigger_rules, '[]'::jsonb)
+        )
+        ORDER BY pi.position
+      ), '[]'::jsonb) INTO v_items
+      FROM public.playlist_items pi
+      LEFT JOIN public.media_assets ma ON pi.item_id = ma.id
+      WHERE pi.playlist_id = v_playlist_id;
+    ELSE
+      v_items := '[]'::jsonb;
+    END IF;
+
+    v_result := jsonb_build_object(
+      'mode', 'playlist',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC')
+      ),
+      'playlist', CASE
+        WHEN v_playlist.id IS NOT NULL THEN
+          jsonb_build_object(
+            'id', v_playlist.id,
+            'name', v_playlist.name,
+            'defaultDuration', COALESCE(v_playlist.default_duration, 10),
+            'transitionEffect', COALESCE(v_playlist.transition_effect, 'fade'),
+            'shuffle', COALESCE(v_playlist.shuffle, false)
+          )
+        ELSE NULL
+      END,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'items', v_items,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  END IF;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO authenticated;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 185 completed: Conditional content triggers';
+END $$;
@@ -0,0 +1,920 @@
+-- ============================================================================
+-- Migration 186: Weather-conditional content
+--
+-- Playlist items and schedule entries can carry weather conditions, e.g.
+-- "temperature below 10°C" or "raining"; all conditions of an item or entry
+-- must hold for it to play:
+--   [{ "type": "rain" | "snow" | "clear" | "clouds" }]
+--   [{ "type": "temp_above" | "temp_below", "value": 10, "units": "C" | "F" }]
+--
+-- The player fetches the weather for its location (the screen's coordinates,
+-- falling back to its location's coordinates or city) and reports it with
+-- report_screen_weather. Schedule entries are matched on the server against
+-- that report; playlist items are evaluated on the player
+-- (weatherConditionService) and are returned as 'weatherConditions'.
+--
+-- Reports older than 3 hours count as unknown weather: conditional entries and
+-- items are skipped and unconditional content plays instead.
+--
+-- Columns:
+--   playlist_items.weather_conditions
+--   schedule_entries.weather_conditions
+--   tv_devices.weather_snapshot / weather_observed_at
+--
+-- Functions:
+--   weather_threshold_celsius(condition)
+--   weather_conditions_match(conditions, snapshot, observed_at)
+--   screen_schedule_uses_weather(device_id)
+--   report_screen_weather(screen_id, weather, observed_at)   - player RPC
+--   resolve_scene_schedule(device_id, timezone)              - weather aware
+--   resolve_schedule_entry(schedule_id, timezone, device)    - weather aware
+--   get_campaign_conditional_items(campaign_id)              - adds weatherConditions
+--   get_resolved_player_content(screen_id)                   - adds weatherConditions
+--                                                              and device.weather
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP ... IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Columns
+-- ============================================================================
+
+ALTER TABLE public.playlist_items
+ADD COLUMN IF NOT EXISTS weather_conditions JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.schedule_entries
+ADD COLUMN IF NOT EXISTS weather_conditions JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.tv_devices
+ADD COLUMN IF NOT EXISTS weather_snapshot JSONB,
+ADD COLUMN IF NOT EXISTS weather_observed_at TIMESTAMPTZ;
+
+ALTER TABLE public.playlist_items
+DROP CONSTRAINT IF EXISTS playlist_items_weather_conditions_array;
+ALTER TABLE public.playlist_items
+ADD CONSTRAINT playlist_items_weather_conditions_array
+CHECK (jsonb_typeof(weather_conditions) = 'array');
+
+ALTER TABLE public.schedule_entries
+DROP CONSTRAINT IF EXISTS schedule_entries_weather_conditions_array;
+ALTER TABLE public.schedule_entries
+ADD CONSTRAINT schedule_entries_weather_conditions_array
+CHECK (jsonb_typeof(weather_conditions) = 'array');
+
+COMMENT ON COLUMN public.playlist_items.weather_conditions IS
+'Weather the item plays in, evaluated by the player: [{ type, value?, units? }], all must hold';
+
+COMMENT ON COLUMN public.schedule_entries.weather_conditions IS
+'Weather the entry applies in, matched against the screen''s reported weather: [{ type, value?, units? }], all must hold';
+
+COMMENT ON COLUMN public.tv_devices.weather_snapshot IS
+'Last weather reported by the player: { condition, tempC }';
+
+-- ============================================================================
+-- 2. Weather matching
+-- ============================================================================
+
+-- Temperature threshold of a condition in Celsius
+CREATE OR REPLACE FUNCTION public.weather_threshold_celsius(p_condition JSONB)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE WHEN p_condition->>'units' = 'F'
+    THEN ((p_condition->>'value')::NUMERIC - 32) * 5 / 9
+    ELSE (p_condition->>'value')::NUMERIC
+  END;
+$$;
+
+-- True when every condition holds for the reported weather. Entries without
+-- conditions always match; with conditions, missing or stale weather never does.
+CREATE OR REPLACE FUNCTION public.weather_conditions_match(
+  p_conditions JSONB,
+  p_weather JSONB,
+  p_observed_at TIMESTAMPTZ
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN p_conditions IS NULL OR jsonb_array_length(p_conditions) = 0 THEN true
+    WHEN p_weather IS NULL OR p_observed_at IS NULL
+      OR p_observed_at < NOW() - INTERVAL '3 hours' THEN false
+    ELSE NOT EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(p_conditions) AS c(condition)
+      WHERE NOT COALESCE(
+        CASE c.condition->>'type'
+          WHEN 'temp_above' THEN (p_weather->>'tempC')::NUMERIC > public.weather_threshold_celsius(c.condition)
+          WHEN 'temp_below' THEN (p_weather->>'tempC')::NUMERIC < public.weather_threshold_celsius(c.condition)
+          ELSE p_weather->>'condition' = c.condition->>'type'
+        END,
+        false
+      )
+    )
+  END;
+$$;
+
+COMMENT ON FUNCTION public.weather_conditions_match IS
+'Whether weather conditions hold for a screen''s reported weather (false when older than 3 hours)';
+
+-- Whether the screen's schedule (or its group's) has weather-conditional entries,
+-- i.e. whether the player needs to report its weather
+CREATE OR REPLACE FUNCTION public.screen_schedule_uses_weather(p_device_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1
+    FROM public.tv_devices td
+    LEFT JOIN public.screen_groups sg ON sg.id = td.screen_group_id
+    JOIN public.schedule_entries se
+      ON se.schedule_id IN (td.assigned_schedule_id, sg.assigned_schedule_id)
+    WHERE td.id = p_device_id
+      AND se.is_active = true
+      AND jsonb_array_length(se.weather_conditions) > 0
+  );
+$$;
+
+REVOKE ALL ON FUNCTION public.screen_schedule_uses_weather(UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================================
+-- 3. RPC: report_screen_weather(screen_id, weather, observed_at)
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.report_screen_weather(
+  p_screen_id UUID,
+  p_weather JSONB,
+  p_observed_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS VOID AS $$
+BEGIN
+  IF p_weather->>'condition' IS NULL
+    OR p_weather->>'condition' NOT IN ('rain', 'snow', 'clear', 'clouds', 'other') THEN
+    RAISE EXCEPTION 'Invalid weather condition';
+  END IF;
+
+  IF jsonb_typeof(p_weather->'tempC') <> 'number'
+    OR (p_weather->>'tempC')::NUMERIC NOT BETWEEN -100 AND 70 THEN
+    RAISE EXCEPTION 'Invalid temperature';
+  END IF;
+
+  UPDATE public.tv_devices
+  SET weather_snapshot = jsonb_build_object(
+        'condition', p_weather->>'condition',
+        'tempC', (p_weather->>'tempC')::NUMERIC
+      ),
+      -- A player clock running ahead must not keep a reading fresh
+      weather_observed_at = LEAST(COALESCE(p_observed_at, NOW()), NOW())
+  WHERE id = p_screen_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Screen not found';
+  END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.report_screen_weather(UUID, JSONB, TIMESTAMPTZ) TO anon;
+GRANT EXECUTE ON FUNCTION public.report_screen_weather(UUID, JSONB, TIMESTAMPTZ) TO authenticated;
+
+-- ============================================================================
+-- 4. RPC: resolve_scene_schedule(device_id, timezone)
+--    As in migration 181, skipping entries whose weather conditions do not
+--    hold for the device's reported weather.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.resolve_scene_schedule(
+  p_device_id UUID,
+  p_timezone TEXT DEFAULT 'UTC'
+)
+RETURNS TABLE (
+  schedule_id UUID,
+  entry_id UUID,
+  scene_id UUID,
+  scene_name TEXT,
+  priority INTEGER
+) AS $$
+DECLARE
+  v_device RECORD;
+  v_schedule_id UUID;
+  v_local_now TIMESTAMP;
+  v_current_time TIME;
+  v_current_dow INTEGER;
+BEGIN
+  -- Get device info, with coordinates falling back to the device's location
+  -- and the weather last reported by the player
+  SELECT
+    td.id,
+    td.assigned_schedule_id,
+    td.screen_group_id,
+    COALESCE(td.timezone, p_timezone) AS tz,
+    COALESCE(td.latitude, l.latitude) AS latitude,
+    COALESCE(td.longitude, l.longitude) AS longitude,
+    td.weather_snapshot,
+    td.weather_observed_at
+  INTO v_device
+  FROM public.tv_devices td
+  LEFT JOIN public.locations l ON l.id = td.location_id
+  WHERE td.id = p_device_id;
+
+  IF v_device.id IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Calculate current time and day of week in the device's timezone
+  v_local_now := NOW() AT TIME ZONE v_device.tz;
+  v_current_time := v_local_now::TIME;
+  v_current_dow := EXTRACT(DOW FROM v_local_now)::INTEGER;
+
+  -- First, check device's own schedule
+  v_schedule_id := v_device.assigned_schedule_id;
+
+  -- If no device schedule, check group schedule
+  IF v_schedule_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+    SELECT sg.assigned_schedule_id INTO v_schedule_id
+    FROM public.screen_groups sg
+    WHERE sg.id = v_device.screen_group_id;
+  END IF;
+
+  -- If no schedule, return empty
+  IF v_schedule_id IS NULL THEN
+    RETURN;
+  END IF;
+
+  -- Find matching schedule entries for scenes
+  RETURN QUERY
+  SELECT
+    se.schedule_id,
+    se.id AS entry_id,
+    se.target_id AS scene_id,
+    s.name AS scene_name,
+    se.priority
+  FROM public.schedule_entries se
+  JOIN public.scenes s ON se.target_id = s.id AND s.is_active = true
+  CROSS JOIN LATERAL (
+    SELECT
+      public.schedule_entry_local_time(se.start_anchor, se.start_offset_minutes, se.start_time,
+        v_local_now::DATE, v_device.latitude, v_device.longitude, v_device.tz) AS start_time,
+      public.schedule_entry_local_time(se.end_anchor, se.end_offset_minutes, se.end_time,
+        v_local_now::DATE, v_device.latitude, v_device.longitude, v_device.tz) AS end_time
+  ) w
+  WHERE se.schedule_id = v_schedule_id
+    AND se.target_type = 'scene'
+    AND se.is_active = true
+    AND (se.days_of_week IS NULL OR v_current_dow = ANY(se.days_of_week))
+    AND public.weather_conditions_match(se.weather_conditions, v_device.weather_snapshot, v_device.weather_observed_at)
+    AND (
+      (w.start_time IS NULL AND w.end_time IS NULL)
+      OR (w.start_time <= v_current_time AND w.end_time > v_current_time)
+      OR (w.start_time <= v_current_time AND w.end_time <= w.start_time) -- overnight schedules
+      OR (w.end_time > v_current_time AND w.end_time <= w.start_time) -- overnight schedules
+    )
+  ORDER BY se.priority DESC, se.created_at DESC, se.id ASC
+  LIMIT 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.resolve_scene_schedule(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_scene_schedule(UUID, TEXT) TO anon;
+
+-- ============================================================================
+-- 5. RPC: resolve_schedule_entry(schedule_id, timezone, device_id)
+--    As in migration 181, with the same weather check.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.resolve_schedule_entry(
+  p_schedule_id UUID,
+  p_timezone TEXT DEFAULT 'UTC',
+  p_device_id UUID DEFAULT NULL
+)
+RETURNS TABLE(
+  target_type TEXT,
+  target_id UUID,
+  priority INTEGER
+) AS $$
+DECLARE
+  v_local_now TIMESTAMP;
+  v_current_day INTEGER;
+  v_current_time TIME;
+  v_latitude NUMERIC;
+  v_longitude NUMERIC;
+  v_weather JSONB;
+  v_weather_observed_at TIMESTAMPTZ;
+BEGIN
+  -- Get current time in device timezone
+  v_local_now := NOW() AT TIME ZONE p_timezone;
+  v_current_time := v_local_now::TIME;
+  v_current_day := EXTRACT(DOW FROM v_local_now)::INTEGER;
+
+  IF p_device_id IS NOT NULL THEN
+    SELECT COALESCE(td.latitude, l.latitude), COALESCE(td.longitude, l.longitude),
+      td.weather_snapshot, td.weather_observed_at
+    INTO v_latitude, v_longitude, v_weather, v_weather_observed_at
+    FROM public.tv_devices td
+    LEFT JOIN public.locations l ON l.id = td.location_id
+    WHERE td.id = p_device_id;
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    se.target_type,
+    se.target_id,
+    se.priority
+  FROM public.schedule_entries se
+  JOIN public.schedules s ON se.schedule_id = s.id
+  CROSS JOIN LATERAL (
+    SELECT
+      public.schedule_entry_local_time(se.start_anchor, se.start_offset_minutes, se.start_time,
+        v_local_now::DATE, v_latitude, v_longitude, p_timezone) AS start_time,
+      public.schedule_entry_local_time(se.end_anchor, se.end_offset_minutes, se.end_time,
+        v_local_now::DATE, v_latitude, v_longitude, p_timezone) AS end_time
+  ) w
+  WHERE se.schedule_id = p_schedule_id
+    AND s.is_active = true
+    AND se.is_active = true
+    AND v_current_day = ANY(se.days_of_week)
+    -- Without a device there is no weather, so weather entries never match
+    AND public.weather_conditions_match(se.weather_conditions, v_weather, v_weather_observed_at)
+    AND (
+      -- Fixed-time entries keep their original inclusive window
+      (se.start_anchor = 'time' AND se.end_anchor = 'time'
+        AND (se.start_time IS NULL OR v_current_time >= se.start_time)
+        AND (se.end_time IS NULL OR v_current_time <= se.end_time))
+      -- Solar entries may wrap past midnight (e.g. sunset to sunrise)
+      OR ((se.start_anchor <> 'time' OR se.end_anchor <> 'time') AND (
+        (w.start_time <= v_current_time AND w.end_time > v_current_time)
+        OR (w.start_time <= v_current_time AND w.end_time <= w.start_time)
+        OR (w.end_time > v_current_time AND w.end_time <= w.start_time)
+      ))
+    )
+  ORDER BY se.priority DESC, se.created_at DESC, se.id ASC
+  LIMIT 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.resolve_schedule_entry(UUID, TEXT, UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.resolve_schedule_entry(UUID, TEXT, UUID) TO authenticated;
+
+-- ============================================================================
+-- 6. get_campaign_conditional_items(campaign_id)
+--    As in migration 185, plus the weather conditions of playlist items.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_campaign_conditional_items(p_campaign_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(jsonb_agg(x.item ORDER BY x.content_position, x.content_created_at, x.item_position), '[]'::jsonb)
+  FROM (
+    SELECT
+      cc.position AS content_position,
+      cc.created_at AS content_created_at,
+      0 AS item_position,
+      jsonb_build_object(
+        'id', ma.id,
+        'position', 0,
+        'type', 'media',
+        'mediaType', ma.type,
+        'url', ma.url,
+        'thumbnailUrl', ma.thumbnail_url,
+        'name', ma.name,
+        'duration', COALESCE(ma.duration, 10),
+        'width', ma.width,
+        'height', ma.height,
+        'config', ma.config_json,
+        'campaignContentId', cc.id,
+        'triggerRules', cc.trigger_rules,
+        'weatherConditions', '[]'::jsonb
+      ) AS item
+    FROM public.campaign_contents cc
+    JOIN public.media_assets ma ON ma.id = cc.content_id
+    WHERE cc.campaign_id = p_campaign_id
+      AND cc.content_type = 'media'
+
+    UNION ALL
+
+    SELECT
+      cc.position,
+      cc.created_at,
+      pi.position,
+      jsonb_build_object(
+        'id', pi.id,
+        'position', pi.position,
+        'type', pi.item_type,
+        'mediaType', COALESCE(ma.type, 'unknown'),
+        'url', COALESCE(ma.url, ''),
+        'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+        'name', COALESCE(ma.name, ''),
+        'duration', COALESCE(pi.duration, ma.duration, COALESCE(pl.default_duration, 10)),
+        'width', ma.width,
+        'height', ma.height,
+        'config', ma.config_json,
+        'campaignContentId', cc.id,
+        'triggerRules', cc.trigger_rules || pi.trigger_rules,
+        'weatherConditions', pi.weather_conditions
+      )
+    FROM public.campaign_contents cc
+    JOIN public.playlists pl ON pl.id = cc.content_id
+    JOIN public.playlist_items pi ON pi.playlist_id = pl.id
+    LEFT JOIN public.media_assets ma ON pi.item_id = ma.id
+    WHERE cc.campaign_id = p_campaign_id
+      AND cc.content_type = 'playlist'
+  ) x;
+$$;
+
+COMMENT ON FUNCTION public.get_campaign_conditional_items IS
+'Player items for every playlist/media content of a campaign, with content and item trigger rules combined and item weather conditions';
+
+-- Only reached through get_resolved_player_content
+REVOKE ALL ON FUNCTION public.get_campaign_conditional_items(UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================================
+-- 7. RPC: get_resolved_player_content(screen_id)
+--    As in migration 185, plus 'weatherConditions' on playlist items, the
+--    weather location on the device, and weather-conditional items making a
+--    campaign conditional.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_resolved_player_content(p_screen_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_device tv_devices%ROWTYPE;
+  v_scene scenes%ROWTYPE;
+  v_group_scene_id uuid;
+  v_scheduled_scene RECORD;
+  v_schedule_entry RECORD;
+  v_playlist_id UUID;
+  v_layout_id UUID;
+  v_playlist playlists%ROWTYPE;
+  v_items JSONB;
+  v_layout_content JSONB;
+  v_result JSONB;
+  v_mode TEXT;
+  v_source TEXT;
+  v_schedule_id UUID;
+  v_local_now TIMESTAMP;
+  v_exception RECORD;
+  v_campaign RECORD;
+  v_location locations%ROWTYPE;
+  v_weather JSONB;
+BEGIN
+  -- Find the TV device
+  SELECT * INTO v_device
+  FROM public.tv_devices
+  WHERE id = p_screen_id
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Screen not found';
+  END IF;
+
+  -- Update heartbeat
+  UPDATE public.tv_devices
+  SET last_seen = NOW(),
+      is_online = true
+  WHERE id = v_device.id;
+
+  -- Where the player gets its weather: the screen's coordinates, falling
+  -- back to its location's coordinates or city
+  SELECT * INTO v_location
+  FROM public.locations
+  WHERE id = v_device.location_id;
+
+  v_weather := jsonb_build_object(
+    'latitude', COALESCE(v_device.latitude, v_location.latitude),
+    'longitude', COALESCE(v_device.longitude, v_location.longitude),
+    'city', v_location.city,
+    'usedBySchedule', public.screen_schedule_uses_weather(v_device.id)
+  );
+
+  -- Initialize
+  v_playlist_id := NULL;
+  v_layout_id := NULL;
+  v_mode := 'playlist';
+  v_source := NULL;
+
+  -- =========================================================================
+  -- Step 0: Check for active scene (highest priority - manual override)
+  -- =========================================================================
+  IF v_device.active_scene_id IS NOT NULL THEN
+    SELECT * INTO v_scene
+    FROM public.scenes
+    WHERE id = v_device.active_scene_id AND is_active = true;
+
+    IF v_scene.id IS NOT NULL THEN
+      v_source := 'device_override';
+      IF v_scene.layout_id IS NOT NULL THEN
+        v_layout_id := v_scene.layout_id;
+        v_mode := 'layout';
+      ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+        v_playlist_id := v_scene.primary_playlist_id;
+        v_mode := 'playlist';
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1: Check group's active scene (if no device override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+    SELECT sg.active_scene_id INTO v_group_scene_id
+    FROM public.screen_groups sg
+    WHERE sg.id = v_device.screen_group_id;
+
+    IF v_group_scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_group_scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'group_override';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.5: Check exception calendars (holidays, special hours)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    v_schedule_id := v_device.assigned_schedule_id;
+    IF v_schedule_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+      SELECT sg.assigned_schedule_id INTO v_schedule_id
+      FROM public.screen_groups sg
+      WHERE sg.id = v_device.screen_group_id;
+    END IF;
+
+    v_local_now := NOW() AT TIME ZONE COALESCE(v_device.timezone, 'UTC');
+
+    SELECT * INTO v_exception
+    FROM public.get_schedule_exceptions(v_schedule_id, v_device.location_id, v_local_now::DATE) ex
+    WHERE (ex.start_time IS NULL OR ex.start_time <= v_local_now::TIME)
+      AND (ex.end_time IS NULL OR ex.end_time > v_local_now::TIME OR ex.end_time <= ex.start_time)
+    LIMIT 1;
+
+    IF v_exception.event_id IS NOT NULL THEN
+      IF v_exception.action = 'screen_off' THEN
+        RETURN jsonb_build_object(
+          'mode', 'screen_off',
+          'source', 'exception_calendar',
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'exception', jsonb_build_object(
+            'id', v_exception.event_id,
+            'name', v_exception.name,
+            'calendarId', v_exception.calendar_id,
+            'calendarName', v_exception.calendar_name
+          ),
+          'items', '[]'::jsonb
+        );
+      ELSIF v_exception.content_type = 'playlist' THEN
+        v_source := 'exception_calendar';
+        v_playlist_id := v_exception.content_id;
+        v_mode := 'playlist';
+      ELSIF v_exception.content_type = 'layout' THEN
+        v_source := 'exception_calendar';
+        v_layout_id := v_exception.content_id;
+        v_mode := 'layout';
+      ELSIF v_exception.content_type = 'scene' THEN
+        SELECT * INTO v_scene
+        FROM public.scenes
+        WHERE id = v_exception.content_id AND is_active = true;
+
+        IF v_scene.id IS NOT NULL THEN
+          v_source := 'exception_calendar';
+          IF v_scene.layout_id IS NOT NULL THEN
+            v_layout_id := v_scene.layout_id;
+            v_mode := 'layout';
+          ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+            v_playlist_id := v_scene.primary_playlist_id;
+            v_mode := 'playlist';
+          END IF;
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.75: Check active campaigns (frequency caps, share of voice and
+  -- pacing are applied by get_active_campaign_for_screen)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_campaign
+    FROM public.get_active_campaign_for_screen(p_screen_id, NOW())
+    LIMIT 1;
+
+    IF v_campaign.campaign_id IS NOT NULL THEN
+      v_source := 'campaign';
+
+      -- Conditional contents: send every playlist/media content so the
+      -- player can choose between them with their trigger rules and the
+      -- weather conditions of their items
+      IF v_campaign.content_type IN ('playlist', 'media') AND EXISTS (
+        SELECT 1 FROM public.campaign_contents cc
+        LEFT JOIN public.playlist_items pi
+          ON cc.content_type = 'playlist' AND pi.playlist_id = cc.content_id
+        WHERE cc.campaign_id = v_campaign.campaign_id
+          AND cc.content_type IN ('playlist', 'media')
+          AND (jsonb_array_length(cc.trigger_rules) > 0
+            OR jsonb_array_length(pi.weather_conditions) > 0)
+      ) THEN
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'campaign', jsonb_build_object(
+            'id', v_campaign.campaign_id,
+            'name', v_campaign.campaign_name,
+            'priority', v_campaign.priority,
+            'target', v_campaign.effective_target
+          ),
+          'playlist', NULL,
+          'items', public.get_campaign_conditional_items(v_campaign.campaign_id),
+          'scene', NULL
+        );
+      END IF;
+
+      IF v_campaign.content_type = 'playlist' THEN
+        v_playlist_id := v_campaign.content_id;
+        v_mode := 'playlist';
+      ELSIF v_campaign.content_type = 'layout' THEN
+        v_layout_id := v_campaign.content_id;
+        v_mode := 'layout';
+      ELSIF v_campaign.content_type = 'media' THEN
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_campaign.content_id;
+
+        IF v_items IS NOT NULL THEN
+          RETURN jsonb_build_object(
+            'mode', 'playlist',
+            'source', v_source,
+            'device', jsonb_build_object(
+              'id', v_device.id,
+              'name', v_device.device_name,
+              'timezone', COALESCE(v_device.timezone, 'UTC'),
+              'weather', v_weather
+            ),
+            'campaign', jsonb_build_object(
+              'id', v_campaign.campaign_id,
+              'name', v_campaign.campaign_name,
+              'priority', v_campaign.priority,
+              'target', v_campaign.effective_target
+            ),
+            'playlist', NULL,
+            'items', jsonb_build_array(v_items),
+            'scene', NULL
+          );
+        END IF;
+        v_source := NULL;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 2: Check scheduled scene (if no manual override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_scheduled_scene
+    FROM public.resolve_scene_schedule(p_screen_id, COALESCE(v_device.timezone, 'UTC'))
+    LIMIT 1;
+
+    IF v_scheduled_scene.scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_scheduled_scene.scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'schedule';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 3: Check legacy schedule entries (playlist/layout/media)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_schedule_id IS NOT NULL THEN
+    SELECT * INTO v_schedule_entry
+    FROM public.resolve_schedule_entry(
+      v_device.assigned_schedule_id,
+      COALESCE(v_device.timezone, 'UTC'),
+      v_device.id
+    );
+
+    IF v_schedule_entry IS NOT NULL AND v_schedule_entry.target_id IS NOT NULL THEN
+      v_source := 'legacy_schedule';
+      IF v_schedule_entry.target_type = 'playlist' THEN
+        v_playlist_id := v_schedule_entry.target_id;
+        v_mode := 'playlist';
+      ELSIF v_schedule_entry.target_type = 'layout' THEN
+        v_layout_id := v_schedule_entry.target_id;
+        v_mode := 'layout';
+      ELSIF v_schedule_entry.target_type = 'media' THEN
+        -- Single media - wrap in playlist-like response
+        v_mode := 'playlist';
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_schedule_entry.target_id;
+
+        IF v_items IS NOT NULL THEN
+          v_items := jsonb_build_array(v_items);
+        ELSE
+          v_items := '[]'::jsonb;
+        END IF;
+
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'playlist', NULL,
+          'items', v_items,
+          'scene', NULL
+        );
+      END IF;
+    END IF;
+  END IF;
+
+  -- Step 4: Fallback to assigned layout
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_layout_id IS NOT NULL THEN
+    v_layout_id := v_device.assigned_layout_id;
+    v_mode := 'layout';
+    v_source := 'assigned_layout';
+  END IF;
+
+  -- Step 5: Fallback to assigned playlist
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_playlist_id IS NOT NULL THEN
+    v_playlist_id := v_device.assigned_playlist_id;
+    v_mode := 'playlist';
+    v_source := 'assigned_playlist';
+  END IF;
+
+  -- Build response based on mode
+  IF v_mode = 'layout' AND v_layout_id IS NOT NULL THEN
+    -- Get layout content
+    SELECT public.get_layout_content(v_layout_id) INTO v_layout_content;
+
+    v_result := jsonb_build_object(
+      'mode', 'layout',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC'),
+        'weather', v_weather
+      ),
+      'layout', v_layout_content,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  ELSE
+    -- Playlist mode (default)
+    IF v_playlist_id IS NOT NULL THEN
+      SELECT * INTO v_playlist
+      FROM public.playlists
+      WHERE id = v_playlist_id;
+
+      SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+          'id', pi.id,
+          'position', pi.position,
+          'type', pi.item_type,
+          'mediaType', COALESCE(ma.type, 'unknown'),
+          'url', COALESCE(ma.url, ''),
+          'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+          'name', COALESCE(ma.name, ''),
+          'duration', COALESCE(pi.duration, ma.duration, COALESCE(v_playlist.default_duration, 10)),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json,
+          'triggerRules', COALESCE(pi.trigger_rules, '[]'::jsonb),
+          'weatherConditions', COALESCE(pi.weather_conditions, '[]'::jsonb)
+        )
+        ORDER BY pi.position
+      ), '[]'::jsonb) INTO v_items
+      FROM public.playlist_items pi
+      LEFT JOIN public.media_assets ma ON pi.item_id = ma.id
+      WHERE pi.playlist_id = v_playlist_id;
+    ELSE
+      v_items := '[]'::jsonb;
+    END IF;
+
+    v_result := jsonb_build_object(
+      'mode', 'playlist',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC'),
+        'weather', v_weather
+      ),
+      'playlist', CASE
+        WHEN v_playlist.id IS NOT NULL THEN
+          jsonb_build_object(
+            'id', v_playlist.id,
+            'name', v_playlist.name,
+            'defaultDuration', COALESCE(v_playlist.default_duration, 10),
+            'transitionEffect', COALESCE(v_playlist.transition_effect, 'fade'),
+            'shuffle', COALESCE(v_playlist.shuffle, false)
+          )
+        ELSE NULL
+      END,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'items', v_items,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  END IF;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO authenticated;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 186 completed: Weather-conditional content';
+END $$;
@@ -0,0 +1,807 @@
+-- ============================================================================
+-- Migration 187: Content validity windows and expiry sweep
+--
+-- Playlist items and media assets can carry a validity window
+-- (valid_from / valid_until). Promotions stop playing when their window ends
+-- instead of staying on screen until someone removes them.
+--
+-- An item plays only inside both its own window and its media's window. The
+-- player receives the combined window as 'validFrom' / 'validUntil' and
+-- enforces it itself (contentValidityService), so items start and stop on
+-- time between content refreshes and while offline. Items that have already
+-- ended and archived media are no longer returned at all.
+--
+-- run_content_expiry_sweep(p_now), run daily:
+--   - raises one 'content_expired' alert per tenant for items and media whose
+--     window ended since the last sweep
+--   - archives expired media that has archive_on_expiry set
+--   Changing valid_until re-arms the alert for that row.
+--
+-- Columns:
+--   playlist_items.valid_from / valid_until / expiry_alerted_at
+--   media_assets.valid_from / valid_until / expiry_alerted_at
+--   media_assets.archive_on_expiry / archived_at
+--
+-- Functions:
+--   run_content_expiry_sweep(now)                 - the sweep (service_role)
+--   get_campaign_conditional_items(campaign_id)   - adds validity, skips ended
+--   get_resolved_player_content(screen_id)        - adds validity, skips ended
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP ... IF EXISTS, cron job
+-- re-created.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Columns
+-- ============================================================================
+
+ALTER TABLE public.playlist_items
+ADD COLUMN IF NOT EXISTS valid_from TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS valid_until TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS expiry_alerted_at TIMESTAMPTZ;
+
+ALTER TABLE public.media_assets
+ADD COLUMN IF NOT EXISTS valid_from TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS valid_until TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS expiry_alerted_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS archive_on_expiry BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+
+ALTER TABLE public.playlist_items
+DROP CONSTRAINT IF EXISTS playlist_items_validity_window;
+ALTER TABLE public.playlist_items
+ADD CONSTRAINT playlist_items_validity_window
+CHECK (valid_from IS NULL OR valid_until IS NULL OR valid_until > valid_from);
+
+ALTER TABLE public.media_assets
+DROP CONSTRAINT IF EXISTS media_assets_validity_window;
+ALTER TABLE public.media_assets
+ADD CONSTRAINT media_assets_validity_window
+CHECK (valid_from IS NULL OR valid_until IS NULL OR valid_until > valid_from);
+
+-- Rows the sweep still has to look at
+CREATE INDEX IF NOT EXISTS idx_playlist_items_pending_expiry
+ON public.playlist_items(valid_until)
+WHERE valid_until IS NOT NULL AND expiry_alerted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_pending_expiry
+ON public.media_assets(valid_until)
+WHERE valid_until IS NOT NULL AND expiry_alerted_at IS NULL AND archived_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_archived
+ON public.media_assets(owner_id, archived_at)
+WHERE archived_at IS NOT NULL;
+
+COMMENT ON COLUMN public.playlist_items.valid_from IS
+'Item does not play before this time (NULL = no start)';
+COMMENT ON COLUMN public.playlist_items.valid_until IS
+'Item stops playing at this time (NULL = never expires)';
+COMMENT ON COLUMN public.media_assets.valid_from IS
+'Asset does not play anywhere before this time (NULL = no start)';
+COMMENT ON COLUMN public.media_assets.valid_until IS
+'Asset stops playing everywhere at this time (NULL = never expires)';
+COMMENT ON COLUMN public.media_assets.archive_on_expiry IS
+'Archive the asset when the expiry sweep finds it expired';
+COMMENT ON COLUMN public.media_assets.archived_at IS
+'Archived assets are hidden from the library and never played';
+
+-- Moving valid_until re-arms the expiry alert
+CREATE OR REPLACE FUNCTION public.reset_content_expiry_alert()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.valid_until IS DISTINCT FROM OLD.valid_until THEN
+    NEW.expiry_alerted_at := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_playlist_items_reset_expiry_alert ON public.playlist_items;
+CREATE TRIGGER trg_playlist_items_reset_expiry_alert
+  BEFORE UPDATE OF valid_until ON public.playlist_items
+  FOR EACH ROW EXECUTE FUNCTION public.reset_content_expiry_alert();
+
+DROP TRIGGER IF EXISTS trg_media_assets_reset_expiry_alert ON public.media_assets;
+CREATE TRIGGER trg_media_assets_reset_expiry_alert
+  BEFORE UPDATE OF valid_until ON public.media_assets
+  FOR EACH ROW EXECUTE FUNCTION public.reset_content_expiry_alert();
+
+-- ============================================================================
+-- 2. Expiry sweep
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.run_content_expiry_sweep(p_now TIMESTAMPTZ DEFAULT NOW())
+RETURNS TABLE (
+  tenant_id UUID,
+  alert_id UUID,
+  expired_item_count INTEGER,
+  expired_media_count INTEGER,
+  archived_media_count INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  r RECORD;
+  v_parts TEXT[];
+BEGIN
+  FOR r IN
+    WITH expired_items AS (
+      SELECT
+        pl.owner_id,
+        array_agg(pi.id) AS item_ids,
+        jsonb_agg(DISTINCT jsonb_build_object('id', pl.id, 'name', pl.name)) AS playlists
+      FROM public.playlist_items pi
+      JOIN public.playlists pl ON pl.id = pi.playlist_id
+      WHERE pi.valid_until <= p_now
+        AND pi.expiry_alerted_at IS NULL
+      GROUP BY pl.owner_id
+    ),
+    expired_media AS (
+      SELECT
+        ma.owner_id,
+        array_agg(ma.id) AS media_ids,
+        COALESCE(array_agg(ma.id) FILTER (WHERE ma.archive_on_expiry), '{}') AS archive_ids,
+        jsonb_agg(jsonb_build_object('id', ma.id, 'name', ma.name)) AS media
+      FROM public.media_assets ma
+      WHERE ma.valid_until <= p_now
+        AND ma.expiry_alerted_at IS NULL
+        AND ma.archived_at IS NULL
+      GROUP BY ma.owner_id
+    )
+    SELECT
+      COALESCE(i.owner_id, m.owner_id) AS owner_id,
+      COALESCE(i.item_ids, '{}') AS item_ids,
+      COALESCE(i.playlists, '[]'::jsonb) AS playlists,
+      COALESCE(m.media_ids, '{}') AS media_ids,
+      COALESCE(m.archive_ids, '{}') AS archive_ids,
+      COALESCE(m.media, '[]'::jsonb) AS media
+    FROM expired_items i
+    FULL JOIN expired_media m ON m.owner_id = i.owner_id
+  LOOP
+    UPDATE public.playlist_items
+    SET expiry_alerted_at = p_now
+    WHERE id = ANY(r.item_ids);
+
+    UPDATE public.media_assets
+    SET expiry_alerted_at = p_now,
+        archived_at = CASE WHEN id = ANY(r.archive_ids) THEN p_now ELSE archived_at END
+    WHERE id = ANY(r.media_ids);
+
+    v_parts := ARRAY[]::TEXT[];
+    IF cardinality(r.item_ids) > 0 THEN
+      v_parts := v_parts || format('%s playlist item(s) in %s playlist(s)',
+        cardinality(r.item_ids), jsonb_array_length(r.playlists));
+    END IF;
+    IF cardinality(r.media_ids) > 0 THEN
+      v_parts := v_parts || format('%s media asset(s)', cardinality(r.media_ids));
+    END IF;
+
+    tenant_id := r.owner_id;
+    alert_id := public.raise_alert(
+      r.owner_id,
+      'content_expired',
+      'warning',
+      'Content expired',
+      array_to_string(v_parts, ' and ') || ' reached the end of their validity window and stopped playing'
+        || CASE WHEN cardinality(r.archive_ids) > 0
+             THEN format('; %s media asset(s) archived', cardinality(r.archive_ids))
+             ELSE '' END,
+      NULL, NULL, NULL, NULL,
+      jsonb_build_object(
+        'expired_at', p_now,
+        'playlist_item_ids', to_jsonb(r.item_ids),
+        'playlists', r.playlists,
+        'media_asset_ids', to_jsonb(r.media_ids),
+        'media', r.media,
+        'archived_media_ids', to_jsonb(r.archive_ids)
+      )
+    );
+    expired_item_count := cardinality(r.item_ids);
+    expired_media_count := cardinality(r.media_ids);
+    archived_media_count := cardinality(r.archive_ids);
+    RETURN NEXT;
+  END LOOP;
+END;
+$$;
+
+COMMENT ON FUNCTION public.run_content_expiry_sweep IS
+'Daily content expiry sweep: raises a content_expired alert per tenant for newly expired playlist items and media, and archives expired media marked archive_on_expiry. Returns one row per tenant alerted.';
+
+-- The sweep spans every tenant; only the scheduler may run it
+REVOKE ALL ON FUNCTION public.run_content_expiry_sweep(TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.run_content_expiry_sweep(TIMESTAMPTZ) TO service_role;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+    PERFORM cron.unschedule(jobid) FROM cron.job WHERE jobname = 'content-expiry-sweep';
+    PERFORM cron.schedule('content-expiry-sweep', '5 0 * * *', 'SELECT public.run_content_expiry_sweep()');
+    RAISE NOTICE 'Scheduled content-expiry-sweep job (daily at 00:05 UTC)';
+  ELSE
+    RAISE NOTICE 'pg_cron not installed: call public.run_content_expiry_sweep() daily from an external scheduler';
+  END IF;
+END $$;
+
+-- ============================================================================
+-- 3. get_campaign_conditional_items(campaign_id)
+--    As in migration 186, plus the validity window of each item. Ended items
+--    and archived media are left out.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_campaign_conditional_items(p_campaign_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(jsonb_agg(x.item ORDER BY x.content_position, x.content_created_at, x.item_position), '[]'::jsonb)
+  FROM (
+    SELECT
+      cc.position AS content_position,
+      cc.created_at AS content_created_at,
+      0 AS item_position,
+      jsonb_build_object(
+        'id', ma.id,
+        'position', 0,
+        'type', 'media',
+        'mediaType', ma.type,
+        'url', ma.url,
+        'thumbnailUrl', ma.thumbnail_url,
+        'name', ma.name,
+        'duration', COALESCE(ma.duration, 10),
+        'width', ma.width,
+        'height', ma.height,
+        'config', ma.config_json,
+        'campaignContentId', cc.id,
+        'triggerRules', cc.trigger_rules,
+        'weatherConditions', '[]'::jsonb,
+        'validFrom', ma.valid_from,
+        'validUntil', ma.valid_until
+      ) AS item
+    FROM public.campaign_contents cc
+    JOIN public.media_assets ma ON ma.id = cc.content_id
+    WHERE cc.campaign_id = p_campaign_id
+      AND cc.content_type = 'media'
+      AND ma.archived_at IS NULL
+      AND COALESCE(ma.valid_until > NOW(), true)
+
+    UNION ALL
+
+    SELECT
+      cc.position,
+      cc.created_at,
+      pi.position,
+      jsonb_build_object(
+        'id', pi.id,
+        'position', pi.position,
+        'type', pi.item_type,
+        'mediaType', COALESCE(ma.type, 'unknown'),
+        'url', COALESCE(ma.url, ''),
+        'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+        'name', COALESCE(ma.name, ''),
+        'duration', COALESCE(pi.duration, ma.duration, COALESCE(pl.default_duration, 10)),
+        'width', ma.width,
+        'height', ma.height,
+        'config', ma.config_json,
+        'campaignContentId', cc.id,
+        'triggerRules', cc.trigger_rules || pi.trigger_rules,
+        'weatherConditions', pi.weather_conditions,
+        'validFrom', GREATEST(pi.valid_from, ma.valid_from),
+        'validUntil', LEAST(pi.valid_until, ma.valid_until)
+      )
+    FROM public.campaign_contents cc
+    JOIN public.playlists pl ON pl.id = cc.content_id
+    JOIN public.playlist_items pi ON pi.playlist_id = pl.id
+    LEFT JOIN public.media_assets ma ON pi.item_id = ma.id
+    WHERE cc.campaign_id = p_campaign_id
+      AND cc.content_type = 'playlist'
+      AND ma.archived_at IS NULL
+      AND COALESCE(LEAST(pi.valid_until, ma.valid_until) > NOW(), true)
+  ) x;
+$$;
+
+COMMENT ON FUNCTION public.get_campaign_conditional_items IS
+'Player items for every playlist/media content of a campaign, with content and item trigger rules combined, item weather conditions and validity windows';
+
+-- Only reached through get_resolved_player_content
+REVOKE ALL ON FUNCTION public.get_campaign_conditional_items(UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================================
+-- 4. RPC: get_resolved_player_content(screen_id)
+--    As in migration 186, plus 'validFrom' / 'validUntil' on items. Ended
+--    items and archived media are left out.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_resolved_player_content(p_screen_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_device tv_devices%ROWTYPE;
+  v_scene scenes%ROWTYPE;
+  v_group_scene_id uuid;
+  v_scheduled_scene RECORD;
+  v_schedule_entry RECORD;
+  v_playlist_id UUID;
+  v_layout_id UUID;
+  v_playlist playlists%ROWTYPE;
+  v_items JSONB;
+  v_layout_content JSONB;
+  v_result JSONB;
+  v_mode TEXT;
+  v_source TEXT;
+  v_schedule_id UUID;
+  v_local_now TIMESTAMP;
+  v_exception RECORD;
+  v_campaign RECORD;
+  v_location locations%ROWTYPE;
+  v_weather JSONB;
+BEGIN
+  -- Find the TV device
+  SELECT * INTO v_device
+  FROM public.tv_devices
+  WHERE id = p_screen_id
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Screen not found';
+  END IF;
+
+  -- Update heartbeat
+  UPDATE public.tv_devices
+  SET last_seen = NOW(),
+      is_online = true
+  WHERE id = v_device.id;
+
+  -- Where the player gets its weather: the screen's coordinates, falling
+  -- back to its location's coordinates or city
+  SELECT * INTO v_location
+  FROM public.locations
+  WHERE id = v_device.location_id;
+
+  v_weather := jsonb_build_object(
+    'latitude', COALESCE(v_device.latitude, v_location.latitude),
+    'longitude', COALESCE(v_device.longitude, v_location.longitude),
+    'city', v_location.city,
+    'usedBySchedule', public.screen_schedule_uses_weather(v_device.id)
+  );
+
+  -- Initialize
+  v_playlist_id := NULL;
+  v_layout_id := NULL;
+  v_mode := 'playlist';
+  v_source := NULL;
+
+  -- =========================================================================
+  -- Step 0: Check for active scene (highest priority - manual override)
+  -- =========================================================================
+  IF v_device.active_scene_id IS NOT NULL THEN
+    SELECT * INTO v_scene
+    FROM public.scenes
+    WHERE id = v_device.active_scene_id AND is_active = true;
+
+    IF v_scene.id IS NOT NULL THEN
+      v_source := 'device_override';
+      IF v_scene.layout_id IS NOT NULL THEN
+        v_layout_id := v_scene.layout_id;
+        v_mode := 'layout';
+      ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+        v_playlist_id := v_scene.primary_playlist_id;
+        v_mode := 'playlist';
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1: Check group's active scene (if no device override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+    SELECT sg.active_scene_id INTO v_group_scene_id
+    FROM public.screen_groups sg
+    WHERE sg.id = v_device.screen_group_id;
+
+    IF v_group_scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_group_scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'group_override';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.5: Check exception calendars (holidays, special hours)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    v_schedule_id := v_device.assigned_schedule_id;
+    IF v_schedule_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+      SELECT sg.assigned_schedule_id INTO v_schedule_id
+      FROM public.screen_groups sg
+      WHERE sg.id = v_device.screen_group_id;
+    END IF;
+
+    v_local_now := NOW() AT TIME ZONE COALESCE(v_device.timezone, 'UTC');
+
+    SELECT * INTO v_exception
+    FROM public.get_schedule_exceptions(v_schedule_id, v_device.location_id, v_local_now::DATE) ex
+    WHERE (ex.start_time IS NULL OR ex.start_time <= v_local_now::TIME)
+      AND (ex.end_time IS NULL OR ex.end_time > v_local_now::TIME OR ex.end_time <= ex.start_time)
+    LIMIT 1;
+
+    IF v_exception.event_id IS NOT NULL THEN
+      IF v_exception.action = 'screen_off' THEN
+        RETURN jsonb_build_object(
+          'mode', 'screen_off',
+          'source', 'exception_calendar',
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'exception', jsonb_build_object(
+            'id', v_exception.event_id,
+            'name', v_exception.name,
+            'calendarId', v_exception.calendar_id,
+            'calendarName', v_exception.calendar_name
+          ),
+          'items', '[]'::jsonb
+        );
+      ELSIF v_exception.content_type = 'playlist' THEN
+        v_source := 'exception_calendar';
+        v_playlist_id := v_exception.content_id;
+        v_mode := 'playlist';
+      ELSIF v_exception.content_type = 'layout' THEN
+        v_source := 'exception_calendar';
+        v_layout_id := v_exception.content_id;
+        v_mode := 'layout';
+      ELSIF v_exception.content_type = 'scene' THEN
+        SELECT * INTO v_scene
+        FROM public.scenes
+        WHERE id = v_exception.content_id AND is_active = true;
+
+        IF v_scene.id IS NOT NULL THEN
+          v_source := 'exception_calendar';
+          IF v_scene.layout_id IS NOT NULL THEN
+            v_layout_id := v_scene.layout_id;
+            v_mode := 'layout';
+          ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+            v_playlist_id := v_scene.primary_playlist_id;
+            v_mode := 'playlist';
+          END IF;
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.75: Check active campaigns (frequency caps, share of voice and
+  -- pacing are applied by get_active_campaign_for_screen)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_campaign
+    FROM public.get_active_campaign_for_screen(p_screen_id, NOW())
+    LIMIT 1;
+
+    IF v_campaign.campaign_id IS NOT NULL THEN
+      v_source := 'campaign';
+
+      -- Conditional contents: send every playlist/media content so the
+      -- player can choose between them with their trigger rules and the
+      -- weather conditions of their items
+      IF v_campaign.content_type IN ('playlist', 'media') AND EXISTS (
+        SELECT 1 FROM public.campaign_contents cc
+        LEFT JOIN public.playlist_items pi
+          ON cc.content_type = 'playlist' AND pi.playlist_id = cc.content_id
+        WHERE cc.campaign_id = v_campaign.campaign_id
+          AND cc.content_type IN ('playlist', 'media')
+          AND (jsonb_array_length(cc.trigger_rules) > 0
+            OR jsonb_array_length(pi.weather_conditions) > 0)
+      ) THEN
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'campaign', jsonb_build_object(
+            'id', v_campaign.campaign_id,
+            'name', v_campaign.campaign_name,
+            'priority', v_campaign.priority,
+            'target', v_campaign.effective_target
+          ),
+          'playlist', NULL,
+          'items', public.get_campaign_conditional_items(v_campaign.campaign_id),
+          'scene', NULL
+        );
+      END IF;
+
+      IF v_campaign.content_type = 'playlist' THEN
+        v_playlist_id := v_campaign.content_id;
+        v_mode := 'playlist';
+      ELSIF v_campaign.content_type = 'layout' THEN
+        v_layout_id := v_campaign.content_id;
+        v_mode := 'layout';
+      ELSIF v_campaign.content_type = 'media' THEN
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json,
+          'validFrom', ma.valid_from,
+          'validUntil', ma.valid_until
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_campaign.content_id
+          AND ma.archived_at IS NULL
+          AND COALESCE(ma.valid_until > NOW(), true);
+
+        IF v_items IS NOT NULL THEN
+          RETURN jsonb_build_object(
+            'mode', 'playlist',
+            'source', v_source,
+            'device', jsonb_build_object(
+              'id', v_device.id,
+              'name', v_device.device_name,
+              'timezone', COALESCE(v_device.timezone, 'UTC'),
+              'weather', v_weather
+            ),
+            'campaign', jsonb_build_object(
+              'id', v_campaign.campaign_id,
+              'name', v_campaign.campaign_name,
+              'priority', v_campaign.priority,
+              'target', v_campaign.effective_target
+            ),
+            'playlist', NULL,
+            'items', jsonb_build_array(v_items),
+            'scene', NULL
+          );
+        END IF;
+        v_source := NULL;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 2: Check scheduled scene (if no manual override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_scheduled_scene
+    FROM public.resolve_scene_schedule(p_screen_id, COALESCE(v_device.timezone, 'UTC'))
+    LIMIT 1;
+
+    IF v_scheduled_scene.scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_scheduled_scene.scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'schedule';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 3: Check legacy schedule entries (playlist/layout/media)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_schedule_id IS NOT NULL THEN
+    SELECT * INTO v_schedule_entry
+    FROM public.resolve_schedule_entry(
+      v_device.assigned_schedule_id,
+      COALESCE(v_device.timezone, 'UTC'),
+      v_device.id
+    );
+
+    IF v_schedule_entry IS NOT NULL AND v_schedule_entry.target_id IS NOT NULL THEN
+      v_source := 'legacy_schedule';
+      IF v_schedule_entry.target_type = 'playlist' THEN
+        v_playlist_id := v_schedule_entry.target_id;
+        v_mode := 'playlist';
+      ELSIF v_schedule_entry.target_type = 'layout' THEN
+        v_layout_id := v_schedule_entry.target_id;
+        v_mode := 'layout';
+      ELSIF v_schedule_entry.target_type = 'media' THEN
+        -- Single media - wrap in playlist-like response
+        v_mode := 'playlist';
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json,
+          'validFrom', ma.valid_from,
+          'validUntil', ma.valid_until
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_schedule_entry.target_id
+          AND ma.archived_at IS NULL
+          AND COALESCE(ma.valid_until > NOW(), true);
+
+        IF v_items IS NOT NULL THEN
+          v_items := jsonb_build_array(v_items);
+        ELSE
+          v_items := '[]'::jsonb;
+        END IF;
+
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'playlist', NULL,
+          'items', v_items,
+          'scene', NULL
+        );
+      END IF;
+    END IF;
+  END IF;
+
+  -- Step 4: Fallback to assigned layout
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_layout_id IS NOT NULL THEN
+    v_layout_id := v_device.assigned_layout_id;
+    v_mode := 'layout';
+    v_source := 'assigned_layout';
+  END IF;
+
+  -- Step 5: Fallback to assigned playlist
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_playlist_id IS NOT NULL THEN
+    v_playlist_id := v_device.assigned_playlist_id;
+    v_mode := 'playlist';
+    v_source := 'assigned_playlist';
+  END IF;
+
+  -- Build response based on mode
+  IF v_mode = 'layout' AND v_layout_id IS NOT NULL THEN
+    -- Get layout content
+    SELECT public.get_layout_content(v_layout_id) INTO v_layout_content;
+
+    v_result := jsonb_build_object(
+      'mode', 'layout',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC'),
+        'weather', v_weather
+      ),
+      'layout', v_layout_content,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  ELSE
+    -- Playlist mode (default)
+    IF v_playlist_id IS NOT NULL THEN
+      SELECT * INTO v_playlist
+      FROM public.playlists
+      WHERE id = v_playlist_id;
+
+      SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+          'id', pi.id,
+          'position', pi.position,
+          'type', pi.item_type,
+          'mediaType', COALESCE(ma.type, 'unknown'),
+          'url', COALESCE(ma.url, ''),
+          'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+          'name', COALESCE(ma.name, ''),
+          'duration', COALESCE(pi.duration, ma.duration, COALESCE(v_playlist.default_duration, 10)),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json,
+          'triggerRules', COALESCE(pi.trigger_rules, '[]'::jsonb),
+          'weatherConditions', COALESCE(pi.weather_conditions, '[]'::jsonb),
+          'validFrom', GREATEST(pi.valid_from, ma.valid_from),
+          'validUntil', LEAST(pi.valid_until, ma.valid_until)
+        )
+        ORDER BY pi.position
+      ), '[]'::jsonb) INTO v_items
+      FROM public.playlist_items pi
+      LEFT JOIN public.media_assets ma ON pi.item_id = ma.id
+      WHERE pi.playlist_id = v_playlist_id
+        AND ma.archived_at IS NULL
+        AND COALESCE(LEAST(pi.valid_until, ma.valid_until) > NOW(), true);
+    ELSE
+      v_items := '[]'::jsonb;
+    END IF;
+
+    v_result := jsonb_build_object(
+      'mode', 'playlist',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC'),
+        'weather', v_weather
+      ),
+      'playlist', CASE
+        WHEN v_playlist.id IS NOT NULL THEN
+          jsonb_build_object(
+            'id', v_playlist.id,
+            'name', v_playlist.name,
+            'defaultDuration', COALESCE(v_playlist.default_duration, 10),
+            'transitionEffect', COALESCE(v_playlist.transition_effect, 'fade'),
+            'shuffle', COALESCE(v_playlist.shuffle, false)
+          )
+        ELSE NULL
+      END,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'items', v_items,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  END IF;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO authenticated;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 187 completed: Content validity windows and expiry sweep';
+END $$;
@@ -0,0 +1,859 @@
+-- ============================================================================
+-- Migration 188: Playlist playback modes, interleaving and nested playlists
+--
+-- Playlists used to play in order, optionally shuffled. They now have:
+--   playback_mode    'sequential' | 'shuffle' | 'weighted'
+--                    weighted picks items at random in proportion to
+--                    playlist_items.weight
+--   playback_seed    seed for the random modes (defaults to the playlist id)
+--   interleave_rules [{ "playlistId": uuid, "every": 3, "count": 1 }]
+--                    "insert 1 item from playlist B after every 3 items"
+-- and playlist items can be other playlists (item_type 'playlist'), which
+-- play all of their items in their own mode where the item sits.
+--
+-- The player builds the play order itself (playlistPlaybackService) from the
+-- seed and the cycle number, so every screen, the editor preview and
+-- proof-of-play see the same order for the same cycle.
+--
+-- Nesting is limited to 3 levels; a playlist cannot contain itself directly
+-- or indirectly. Deleting a playlist removes it from other playlists and from
+-- their interleave rules.
+--
+-- Functions:
+--   playlist_player_items(playlist_id, depth)       - player items, nested
+--   get_campaign_conditional_items(campaign_id)     - uses playlist_player_items
+--   get_resolved_player_content(screen_id)          - adds playbackMode,
+--                                                     playbackSeed, interleave
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP ... IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Columns
+-- ============================================================================
+
+ALTER TABLE public.playlists
+ADD COLUMN IF NOT EXISTS playback_mode TEXT NOT NULL DEFAULT 'sequential',
+ADD COLUMN IF NOT EXISTS playback_seed TEXT,
+ADD COLUMN IF NOT EXISTS interleave_rules JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+ALTER TABLE public.playlist_items
+ADD COLUMN IF NOT EXISTS weight NUMERIC NOT NULL DEFAULT 1;
+
+ALTER TABLE public.playlists
+DROP CONSTRAINT IF EXISTS playlists_playback_mode_check;
+ALTER TABLE public.playlists
+ADD CONSTRAINT playlists_playback_mode_check
+CHECK (playback_mode IN ('sequential', 'shuffle', 'weighted'));
+
+ALTER TABLE public.playlists
+DROP CONSTRAINT IF EXISTS playlists_interleave_rules_array;
+ALTER TABLE public.playlists
+ADD CONSTRAINT playlists_interleave_rules_array
+CHECK (jsonb_typeof(interleave_rules) = 'array');
+
+ALTER TABLE public.playlist_items
+DROP CONSTRAINT IF EXISTS playlist_items_weight_positive;
+ALTER TABLE public.playlist_items
+ADD CONSTRAINT playlist_items_weight_positive
+CHECK (weight > 0);
+
+-- Playlists can be items of other playlists
+ALTER TABLE public.playlist_items
+DROP CONSTRAINT IF EXISTS playlist_items_item_type_check;
+ALTER TABLE public.playlist_items
+ADD CONSTRAINT playlist_items_item_type_check
+CHECK (item_type IN ('media', 'app', 'layout', 'web_page', 'playlist'));
+
+-- Existing shuffled playlists keep shuffling
+UPDATE public.playlists
+SET playback_mode = 'shuffle'
+WHERE shuffle = true AND playback_mode = 'sequential';
+
+COMMENT ON COLUMN public.playlists.playback_mode IS
+'sequential, shuffle or weighted (random by playlist_items.weight); shuffle mirrors the legacy shuffle flag';
+COMMENT ON COLUMN public.playlists.playback_seed IS
+'Seed for shuffle/weighted order; NULL uses the playlist id';
+COMMENT ON COLUMN public.playlists.interleave_rules IS
+'Items inserted from other playlists: [{ playlistId, every, count }]';
+COMMENT ON COLUMN public.playlist_items.weight IS
+'Relative chance of being picked in weighted playlists';
+
+-- ============================================================================
+-- 2. Nesting and interleave integrity
+-- ============================================================================
+
+-- Whether p_playlist_id contains p_target_id, directly or through nested
+-- playlists or interleave rules
+CREATE OR REPLACE FUNCTION public.playlist_contains_playlist(p_playlist_id UUID, p_target_id UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH RECURSIVE children(id) AS (
+    SELECT p_playlist_id
+    UNION
+    SELECT child.id
+    FROM children c
+    CROSS JOIN LATERAL (
+      SELECT pi.item_id AS id
+      FROM public.playlist_items pi
+      WHERE pi.playlist_id = c.id AND pi.item_type = 'playlist'
+      UNION
+      SELECT (r->>'playlistId')::uuid
+      FROM public.playlists pl, jsonb_array_elements(pl.interleave_rules) r
+      WHERE pl.id = c.id
+    ) child
+  )
+  SELECT EXISTS (SELECT 1 FROM children WHERE id = p_target_id);
+$$;
+
+CREATE OR REPLACE FUNCTION public.check_nested_playlist_item()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.item_type <> 'playlist' THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM public.playlists parent
+    JOIN public.playlists child ON child.owner_id = parent.owner_id
+    WHERE parent.id = NEW.playlist_id AND child.id = NEW.item_id
+  ) THEN
+    RAISE EXCEPTION 'Nested playlist not found';
+  END IF;
+
+  IF public.playlist_contains_playlist(NEW.item_id, NEW.playlist_id) THEN
+    RAISE EXCEPTION 'A playlist cannot contain itself';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_check_nested_playlist_item ON public.playlist_items;
+CREATE TRIGGER trg_check_nested_playlist_item
+  BEFORE INSERT OR UPDATE OF item_type, item_id, playlist_id ON public.playlist_items
+  FOR EACH ROW EXECUTE FUNCTION public.check_nested_playlist_item();
+
+CREATE OR REPLACE FUNCTION public.check_playlist_interleave_rules()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_rule JSONB;
+  v_index INTEGER := 0;
+  v_target UUID;
+BEGIN
+  FOR v_rule IN SELECT * FROM jsonb_array_elements(NEW.interleave_rules) LOOP
+    v_index := v_index + 1;
+
+    IF COALESCE(v_rule->>'playlistId', '') !~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' THEN
+      RAISE EXCEPTION 'Interleave rule %: choose a playlist', v_index;
+    END IF;
+    v_target := (v_rule->>'playlistId')::uuid;
+
+    IF jsonb_typeof(v_rule->'every') <> 'number' OR (v_rule->>'every') !~ '^[1-9][0-9]{0,3}$'
+       OR jsonb_typeof(v_rule->'count') <> 'number' OR (v_rule->>'count') !~ '^[1-9][0-9]{0,3}$' THEN
+      RAISE EXCEPTION 'Interleave rule %: every and count must be whole numbers from 1', v_index;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM public.playlists WHERE id = v_target AND owner_id = NEW.owner_id) THEN
+      RAISE EXCEPTION 'Interleave rule %: playlist not found', v_index;
+    END IF;
+
+    IF v_target = NEW.id OR public.playlist_contains_playlist(v_target, NEW.id) THEN
+      RAISE EXCEPTION 'Interleave rule %: a playlist cannot interleave itself', v_index;
+    END IF;
+  END LOOP;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_check_playlist_interleave_rules ON public.playlists;
+CREATE TRIGGER trg_check_playlist_interleave_rules
+  BEFORE INSERT OR UPDATE OF interleave_rules ON public.playlists
+  FOR EACH ROW EXECUTE FUNCTION public.check_playlist_interleave_rules();
+
+-- A deleted playlist disappears from the playlists that used it
+CREATE OR REPLACE FUNCTION public.detach_deleted_playlist()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM public.playlist_items
+  WHERE item_type = 'playlist' AND item_id = OLD.id;
+
+  UPDATE public.playlists pl
+  SET interleave_rules = (
+    SELECT COALESCE(jsonb_agg(r ORDER BY ord), '[]'::jsonb)
+    FROM jsonb_array_elements(pl.interleave_rules) WITH ORDINALITY AS x(r, ord)
+    WHERE r->>'playlistId' <> OLD.id::text
+  )
+  WHERE pl.owner_id = OLD.owner_id
+    AND pl.interleave_rules @> jsonb_build_array(jsonb_build_object('playlistId', OLD.id::text));
+
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_detach_deleted_playlist ON public.playlists;
+CREATE TRIGGER trg_detach_deleted_playlist
+  AFTER DELETE ON public.playlists
+  FOR EACH ROW EXECUTE FUNCTION public.detach_deleted_playlist();
+
+-- ============================================================================
+-- 3. playlist_player_items(playlist_id, depth)
+--    The player items of a playlist, as get_resolved_player_content returned
+--    them in migration 187, plus 'weight'. Nested playlists are returned as
+--    { type: 'playlist', playlistId, playbackMode, playbackSeed, items }.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.playlist_player_items(p_playlist_id UUID, p_depth INTEGER DEFAULT 0)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_default_duration INTEGER;
+  v_items JSONB;
+BEGIN
+  -- Deeper nesting is ignored
+  IF p_depth > 3 THEN
+    RETURN '[]'::jsonb;
+  END IF;
+
+  SELECT COALESCE(default_duration, 10) INTO v_default_duration
+  FROM public.playlists
+  WHERE id = p_playlist_id;
+
+  SELECT COALESCE(jsonb_agg(
+    CASE WHEN pi.item_type = 'playlist' THEN
+      jsonb_build_object(
+        'id', pi.id,
+        'position', pi.position,
+        'type', 'playlist',
+        'mediaType', 'playlist',
+        'name', sub.name,
+        'playlistId', sub.id,
+        'playbackMode', sub.playback_mode,
+        'playbackSeed', COALESCE(sub.playback_seed, sub.id::text),
+        'weight', pi.weight,
+        'triggerRules', COALESCE(pi.trigger_rules, '[]'::jsonb),
+        'weatherConditions', COALESCE(pi.weather_conditions, '[]'::jsonb),
+        'validFrom', pi.valid_from,
+        'validUntil', pi.valid_until,
+        'items', public.playlist_player_items(sub.id, p_depth + 1)
+      )
+    ELSE
+      jsonb_build_object(
+        'id', pi.id,
+        'position', pi.position,
+        'type', pi.item_type,
+        'mediaType', COALESCE(ma.type, 'unknown'),
+        'url', COALESCE(ma.url, ''),
+        'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+        'name', COALESCE(ma.name, ''),
+        'duration', COALESCE(pi.duration, ma.duration, v_default_duration),
+        'width', ma.width,
+        'height', ma.height,
+        'config', ma.config_json,
+        'weight', pi.weight,
+        'triggerRules', COALESCE(pi.trigger_rules, '[]'::jsonb),
+        'weatherConditions', COALESCE(pi.weather_conditions, '[]'::jsonb),
+        'validFrom', GREATEST(pi.valid_from, ma.valid_from),
+        'validUntil', LEAST(pi.valid_until, ma.valid_until)
+      )
+    END
+    ORDER BY pi.position
+  ), '[]'::jsonb) INTO v_items
+  FROM public.playlist_items pi
+  LEFT JOIN public.media_assets ma ON pi.item_type <> 'playlist' AND pi.item_id = ma.id
+  LEFT JOIN public.playlists sub ON pi.item_type = 'playlist' AND pi.item_id = sub.id
+  WHERE pi.playlist_id = p_playlist_id
+    AND (pi.item_type <> 'playlist' OR sub.id IS NOT NULL)
+    AND ma.archived_at IS NULL
+    AND COALESCE(LEAST(pi.valid_until, ma.valid_until) > NOW(), true);
+
+  RETURN v_items;
+END;
+$$;
+
+COMMENT ON FUNCTION public.playlist_player_items IS
+'Player items of a playlist with nested playlists expanded (up to 3 levels); ended items and archived media are left out';
+
+-- Only reached through get_resolved_player_content
+REVOKE ALL ON FUNCTION public.playlist_player_items(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================================
+-- 4. get_campaign_conditional_items(campaign_id)
+--    As in migration 187, with playlist contents read through
+--    playlist_player_items so nested playlists are included.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_campaign_conditional_items(p_campaign_id UUID)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(jsonb_agg(x.item ORDER BY x.content_position, x.content_created_at, x.item_position), '[]'::jsonb)
+  FROM (
+    SELECT
+      cc.position AS content_position,
+      cc.created_at AS content_created_at,
+      0 AS item_position,
+      jsonb_build_object(
+        'id', ma.id,
+        'position', 0,
+        'type', 'media',
+        'mediaType', ma.type,
+        'url', ma.url,
+        'thumbnailUrl', ma.thumbnail_url,
+        'name', ma.name,
+        'duration', COALESCE(ma.duration, 10),
+        'width', ma.width,
+        'height', ma.height,
+        'config', ma.config_json,
+        'campaignContentId', cc.id,
+        'triggerRules', cc.trigger_rules,
+        'weatherConditions', '[]'::jsonb,
+        'validFrom', ma.valid_from,
+        'validUntil', ma.valid_until
+      ) AS item
+    FROM public.campaign_contents cc
+    JOIN public.media_assets ma ON ma.id = cc.content_id
+    WHERE cc.campaign_id = p_campaign_id
+      AND cc.content_type = 'media'
+      AND ma.archived_at IS NULL
+      AND COALESCE(ma.valid_until > NOW(), true)
+
+    UNION ALL
+
+    SELECT
+      cc.position,
+      cc.created_at,
+      pli.ord::integer,
+      pli.item || jsonb_build_object(
+        'campaignContentId', cc.id,
+        'triggerRules', cc.trigger_rules || COALESCE(pli.item->'triggerRules', '[]'::jsonb)
+      )
+    FROM public.campaign_contents cc
+    JOIN public.playlists pl ON pl.id = cc.content_id
+    CROSS JOIN LATERAL jsonb_array_elements(public.playlist_player_items(pl.id)) WITH ORDINALITY AS pli(item, ord)
+    WHERE cc.campaign_id = p_campaign_id
+      AND cc.content_type = 'playlist'
+  ) x;
+$$;
+
+COMMENT ON FUNCTION public.get_campaign_conditional_items IS
+'Player items for every playlist/media content of a campaign, with content and item trigger rules combined, item weather conditions and validity windows; nested playlists included';
+
+-- Only reached through get_resolved_player_content
+REVOKE ALL ON FUNCTION public.get_campaign_conditional_items(UUID) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================================
+-- 5. RPC: get_resolved_player_content(screen_id)
+--    As in migration 187, with playlist items from playlist_player_items and
+--    the playlist's playbackMode, playbackSeed and interleave sources.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_resolved_player_content(p_screen_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_device tv_devices%ROWTYPE;
+  v_scene scenes%ROWTYPE;
+  v_group_scene_id uuid;
+  v_scheduled_scene RECORD;
+  v_schedule_entry RECORD;
+  v_playlist_id UUID;
+  v_layout_id UUID;
+  v_playlist playlists%ROWTYPE;
+  v_items JSONB;
+  v_layout_content JSONB;
+  v_result JSONB;
+  v_mode TEXT;
+  v_source TEXT;
+  v_schedule_id UUID;
+  v_local_now TIMESTAMP;
+  v_exception RECORD;
+  v_campaign RECORD;
+  v_location locations%ROWTYPE;
+  v_weather JSONB;
+  v_interleave JSONB;
+BEGIN
+  -- Find the TV device
+  SELECT * INTO v_device
+  FROM public.tv_devices
+  WHERE id = p_screen_id
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Screen not found';
+  END IF;
+
+  -- Update heartbeat
+  UPDATE public.tv_devices
+  SET last_seen = NOW(),
+      is_online = true
+  WHERE id = v_device.id;
+
+  -- Where the player gets its weather: the screen's coordinates, falling
+  -- back to its location's coordinates or city
+  SELECT * INTO v_location
+  FROM public.locations
+  WHERE id = v_device.location_id;
+
+  v_weather := jsonb_build_object(
+    'latitude', COALESCE(v_device.latitude, v_location.latitude),
+    'longitude', COALESCE(v_device.longitude, v_location.longitude),
+    'city', v_location.city,
+    'usedBySchedule', public.screen_schedule_uses_weather(v_device.id)
+  );
+
+  -- Initialize
+  v_playlist_id := NULL;
+  v_layout_id := NULL;
+  v_mode := 'playlist';
+  v_source := NULL;
+
+  -- =========================================================================
+  -- Step 0: Check for active scene (highest priority - manual override)
+  -- =========================================================================
+  IF v_device.active_scene_id IS NOT NULL THEN
+    SELECT * INTO v_scene
+    FROM public.scenes
+    WHERE id = v_device.active_scene_id AND is_active = true;
+
+    IF v_scene.id IS NOT NULL THEN
+      v_source := 'device_override';
+      IF v_scene.layout_id IS NOT NULL THEN
+        v_layout_id := v_scene.layout_id;
+        v_mode := 'layout';
+      ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+        v_playlist_id := v_scene.primary_playlist_id;
+        v_mode := 'playlist';
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1: Check group's active scene (if no device override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+    SELECT sg.active_scene_id INTO v_group_scene_id
+    FROM public.screen_groups sg
+    WHERE sg.id = v_device.screen_group_id;
+
+    IF v_group_scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_group_scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'group_override';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.5: Check exception calendars (holidays, special hours)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    v_schedule_id := v_device.assigned_schedule_id;
+    IF v_schedule_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+      SELECT sg.assigned_schedule_id INTO v_schedule_id
+      FROM public.screen_groups sg
+      WHERE sg.id = v_device.screen_group_id;
+    END IF;
+
+    v_local_now := NOW() AT TIME ZONE COALESCE(v_device.timezone, 'UTC');
+
+    SELECT * INTO v_exception
+    FROM public.get_schedule_exceptions(v_schedule_id, v_device.location_id, v_local_now::DATE) ex
+    WHERE (ex.start_time IS NULL OR ex.start_time <= v_local_now::TIME)
+      AND (ex.end_time IS NULL OR ex.end_time > v_local_now::TIME OR ex.end_time <= ex.start_time)
+    LIMIT 1;
+
+    IF v_exception.event_id IS NOT NULL THEN
+      IF v_exception.action = 'screen_off' THEN
+        RETURN jsonb_build_object(
+          'mode', 'screen_off',
+          'source', 'exception_calendar',
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'exception', jsonb_build_object(
+            'id', v_exception.event_id,
+            'name', v_exception.name,
+            'calendarId', v_exception.calendar_id,
+            'calendarName', v_exception.calendar_name
+          ),
+          'items', '[]'::jsonb
+        );
+      ELSIF v_exception.content_type = 'playlist' THEN
+        v_source := 'exception_calendar';
+        v_playlist_id := v_exception.content_id;
+        v_mode := 'playlist';
+      ELSIF v_exception.content_type = 'layout' THEN
+        v_source := 'exception_calendar';
+        v_layout_id := v_exception.content_id;
+        v_mode := 'layout';
+      ELSIF v_exception.content_type = 'scene' THEN
+        SELECT * INTO v_scene
+        FROM public.scenes
+        WHERE id = v_exception.content_id AND is_active = true;
+
+        IF v_scene.id IS NOT NULL THEN
+          v_source := 'exception_calendar';
+          IF v_scene.layout_id IS NOT NULL THEN
+            v_layout_id := v_scene.layout_id;
+            v_mode := 'layout';
+          ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+            v_playlist_id := v_scene.primary_playlist_id;
+            v_mode := 'playlist';
+          END IF;
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.75: Check active campaigns (frequency caps, share of voice and
+  -- pacing are applied by get_active_campaign_for_screen)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_campaign
+    FROM public.get_active_campaign_for_screen(p_screen_id, NOW())
+    LIMIT 1;
+
+    IF v_campaign.campaign_id IS NOT NULL THEN
+      v_source := 'campaign';
+
+      -- Conditional contents: send every playlist/media content so the
+      -- player can choose between them with their trigger rules and the
+      -- weather conditions of their items
+      IF v_campaign.content_type IN ('playlist', 'media') AND EXISTS (
+        SELECT 1 FROM public.campaign_contents cc
+        LEFT JOIN public.playlist_items pi
+          ON cc.content_type = 'playlist' AND pi.playlist_id = cc.content_id
+        WHERE cc.campaign_id = v_campaign.campaign_id
+          AND cc.content_type IN ('playlist', 'media')
+          AND (jsonb_array_length(cc.trigger_rules) > 0
+            OR jsonb_array_length(pi.weather_conditions) > 0)
+      ) THEN
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'campaign', jsonb_build_object(
+            'id', v_campaign.campaign_id,
+            'name', v_campaign.campaign_name,
+            'priority', v_campaign.priority,
+            'target', v_campaign.effective_target
+          ),
+          'playlist', NULL,
+          'items', public.get_campaign_conditional_items(v_campaign.campaign_id),
+          'scene', NULL
+        );
+      END IF;
+
+      IF v_campaign.content_type = 'playlist' THEN
+        v_playlist_id := v_campaign.content_id;
+        v_mode := 'playlist';
+      ELSIF v_campaign.content_type = 'layout' THEN
+        v_layout_id := v_campaign.content_id;
+        v_mode := 'layout';
+      ELSIF v_campaign.content_type = 'media' THEN
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json,
+          'validFrom', ma.valid_from,
+          'validUntil', ma.valid_until
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_campaign.content_id
+          AND ma.archived_at IS NULL
+          AND COALESCE(ma.valid_until > NOW(), true);
+
+        IF v_items IS NOT NULL THEN
+          RETURN jsonb_build_object(
+            'mode', 'playlist',
+            'source', v_source,
+            'device', jsonb_build_object(
+              'id', v_device.id,
+              'name', v_device.device_name,
+              'timezone', COALESCE(v_device.timezone, 'UTC'),
+              'weather', v_weather
+            ),
+            'campaign', jsonb_build_object(
+              'id', v_campaign.campaign_id,
+              'name', v_campaign.campaign_name,
+              'priority', v_campaign.priority,
+              'target', v_campaign.effective_target
+            ),
+            'playlist', NULL,
+            'items', jsonb_build_array(v_items),
+            'scene', NULL
+          );
+        END IF;
+        v_source := NULL;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 2: Check scheduled scene (if no manual override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_scheduled_scene
+    FROM public.resolve_scene_schedule(p_screen_id, COALESCE(v_device.timezone, 'UTC'))
+    LIMIT 1;
+
+    IF v_scheduled_scene.scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_scheduled_scene.scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'schedule';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 3: Check legacy schedule entries (playlist/layout/media)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_schedule_id IS NOT NULL THEN
+    SELECT * INTO v_schedule_entry
+    FROM public.resolve_schedule_entry(
+      v_device.assigned_schedule_id,
+      COALESCE(v_device.timezone, 'UTC'),
+      v_device.id
+    );
+
+    IF v_schedule_entry IS NOT NULL AND v_schedule_entry.target_id IS NOT NULL THEN
+      v_source := 'legacy_schedule';
+      IF v_schedule_entry.target_type = 'playlist' THEN
+        v_playlist_id := v_schedule_entry.target_id;
+        v_mode := 'playlist';
+      ELSIF v_schedule_entry.target_type = 'layout' THEN
+        v_layout_id := v_schedule_entry.target_id;
+        v_mode := 'layout';
+      ELSIF v_schedule_entry.target_type = 'media' THEN
+        -- Single media - wrap in playlist-like response
+        v_mode := 'playlist';
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json,
+          'validFrom', ma.valid_from,
+          'validUntil', ma.valid_until
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_schedule_entry.target_id
+          AND ma.archived_at IS NULL
+          AND COALESCE(ma.valid_until > NOW(), true);
+
+        IF v_items IS NOT NULL THEN
+          v_items := jsonb_build_array(v_items);
+        ELSE
+          v_items := '[]'::jsonb;
+        END IF;
+
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'playlist', NULL,
+          'items', v_items,
+          'scene', NULL
+        );
+      END IF;
+    END IF;
+  END IF;
+
+  -- Step 4: Fallback to assigned layout
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_layout_id IS NOT NULL THEN
+    v_layout_id := v_device.assigned_layout_id;
+    v_mode := 'layout';
+    v_source := 'assigned_layout';
+  END IF;
+
+  -- Step 5: Fallback to assigned playlist
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_playlist_id IS NOT NULL THEN
+    v_playlist_id := v_device.assigned_playlist_id;
+    v_mode := 'playlist';
+    v_source := 'assigned_playlist';
+  END IF;
+
+  -- Build response based on mode
+  IF v_mode = 'layout' AND v_layout_id IS NOT NULL THEN
+    -- Get layout content
+    SELECT public.get_layout_content(v_layout_id) INTO v_layout_content;
+
+    v_result := jsonb_build_object(
+      'mode', 'layout',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC'),
+        'weather', v_weather
+      ),
+      'layout', v_layout_content,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  ELSE
+    -- Playlist mode (default)
+    IF v_playlist_id IS NOT NULL THEN
+      SELECT * INTO v_playlist
+      FROM public.playlists
+      WHERE id = v_playlist_id;
+
+      v_items := public.playlist_player_items(v_playlist_id);
+
+      -- Playlists whose items are inserted between this playlist's items
+      SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+          'playlistId', ip.id,
+          'name', ip.name,
+          'every', (r.rule->>'every')::integer,
+          'count', (r.rule->>'count')::integer,
+          'playbackMode', ip.playback_mode,
+          'playbackSeed', COALESCE(ip.playback_seed, ip.id::text),
+          'items', public.playlist_player_items(ip.id, 1)
+        )
+        ORDER BY r.ord
+      ), '[]'::jsonb) INTO v_interleave
+      FROM jsonb_array_elements(v_playlist.interleave_rules) WITH ORDINALITY AS r(rule, ord)
+      JOIN public.playlists ip ON ip.id = (r.rule->>'playlistId')::uuid;
+    ELSE
+      v_items := '[]'::jsonb;
+    END IF;
+
+    v_result := jsonb_build_object(
+      'mode', 'playlist',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC'),
+        'weather', v_weather
+      ),
+      'playlist', CASE
+        WHEN v_playlist.id IS NOT NULL THEN
+          jsonb_build_object(
+            'id', v_playlist.id,
+            'name', v_playlist.name,
+            'defaultDuration', COALESCE(v_playlist.default_duration, 10),
+            'transitionEffect', COALESCE(v_playlist.transition_effect, 'fade'),
+            'shuffle', COALESCE(v_playlist.shuffle, false),
+            'playbackMode', v_playlist.playback_mode,
+            'playbackSeed', COALESCE(v_playlist.playback_seed, v_playlist.id::text),
+            'interleave', COALESCE(v_interleave, '[]'::jsonb)
+          )
+        ELSE NULL
+      END,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'items', v_items,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  END IF;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO authenticated;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 188 completed: Playlist playback modes, interleaving and nested playlists';
+END $$;
@@ -0,0 +1,169 @@
+-- ============================================================================
+-- Migration 189: Synchronized video walls
+--
+-- A screen group in 'video_wall' sync mode acts as one canvas of
+-- wall_columns x wall_rows panels. Each member device has a wall_row /
+-- wall_column and renders only its crop of the group's layout or scene.
+--
+-- Panels stay in step without talking to each other: slide and video start
+-- times are derived from the group's sync_epoch on the server clock, and each
+-- player measures its offset to the server clock (get_video_wall_config
+-- returns 'serverTime'). sync_epoch is reset whenever the wall's content or
+-- geometry changes, so every panel restarts from the first slide together.
+--
+-- Columns:
+--   screen_groups.sync_mode / wall_columns / wall_rows / sync_epoch
+--   tv_devices.wall_row / wall_column
+--
+-- Functions:
+--   get_video_wall_config(device_id)   - wall geometry, panel position and
+--                                        server time for the player
+--   reset_video_wall_epoch()           - trigger: restart the shared schedule
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP ... IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Columns
+-- ============================================================================
+
+ALTER TABLE public.screen_groups
+ADD COLUMN IF NOT EXISTS sync_mode TEXT NOT NULL DEFAULT 'independent',
+ADD COLUMN IF NOT EXISTS wall_columns INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS wall_rows INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS sync_epoch TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+ALTER TABLE public.screen_groups
+DROP CONSTRAINT IF EXISTS screen_groups_sync_mode_check;
+ALTER TABLE public.screen_groups
+ADD CONSTRAINT screen_groups_sync_mode_check
+CHECK (sync_mode IN ('independent', 'video_wall'));
+
+ALTER TABLE public.screen_groups
+DROP CONSTRAINT IF EXISTS screen_groups_wall_size_check;
+ALTER TABLE public.screen_groups
+ADD CONSTRAINT screen_groups_wall_size_check
+CHECK (wall_columns BETWEEN 1 AND 8 AND wall_rows BETWEEN 1 AND 8);
+
+COMMENT ON COLUMN public.screen_groups.sync_mode IS
+'independent: members play on their own. video_wall: members form one canvas of wall_columns x wall_rows panels';
+COMMENT ON COLUMN public.screen_groups.sync_epoch IS
+'Server time the wall''s shared playback schedule starts from; reset when content or geometry changes';
+
+ALTER TABLE public.tv_devices
+ADD COLUMN IF NOT EXISTS wall_row INTEGER,
+ADD COLUMN IF NOT EXISTS wall_column INTEGER;
+
+ALTER TABLE public.tv_devices
+DROP CONSTRAINT IF EXISTS tv_devices_wall_position_check;
+ALTER TABLE public.tv_devices
+ADD CONSTRAINT tv_devices_wall_position_check
+CHECK (
+  (wall_row IS NULL AND wall_column IS NULL)
+  OR (wall_row >= 0 AND wall_column >= 0)
+);
+
+COMMENT ON COLUMN public.tv_devices.wall_row IS
+'Zero-based row of this panel in its screen group''s video wall';
+
+-- One panel per wall position
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tv_devices_wall_position
+ON public.tv_devices(screen_group_id, wall_row, wall_column)
+WHERE screen_group_id IS NOT NULL AND wall_row IS NOT NULL;
+
+-- ============================================================================
+-- 2. Restart the shared schedule when the wall changes
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.reset_video_wall_epoch()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.sync_mode IS DISTINCT FROM OLD.sync_mode
+     OR NEW.wall_columns IS DISTINCT FROM OLD.wall_columns
+     OR NEW.wall_rows IS DISTINCT FROM OLD.wall_rows
+     OR NEW.active_scene_id IS DISTINCT FROM OLD.active_scene_id THEN
+    NEW.sync_epoch := NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_reset_video_wall_epoch ON public.screen_groups;
+CREATE TRIGGER trg_reset_video_wall_epoch
+BEFORE UPDATE ON public.screen_groups
+FOR EACH ROW
+EXECUTE FUNCTION public.reset_video_wall_epoch();
+
+-- Moving a panel restarts the wall so the new arrangement starts in step
+CREATE OR REPLACE FUNCTION public.reset_video_wall_epoch_for_device()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.wall_row IS DISTINCT FROM OLD.wall_row
+     OR NEW.wall_column IS DISTINCT FROM OLD.wall_column
+     OR NEW.screen_group_id IS DISTINCT FROM OLD.screen_group_id THEN
+    UPDATE public.screen_groups
+    SET sync_epoch = NOW()
+    WHERE id IN (NEW.screen_group_id, OLD.screen_group_id)
+      AND sync_mode = 'video_wall';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS trg_reset_video_wall_epoch_for_device ON public.tv_devices;
+CREATE TRIGGER trg_reset_video_wall_epoch_for_device
+AFTER UPDATE OF wall_row, wall_column, screen_group_id ON public.tv_devices
+FOR EACH ROW
+EXECUTE FUNCTION public.reset_video_wall_epoch_for_device();
+
+-- ============================================================================
+-- 3. Player config
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_video_wall_config(p_device_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_device RECORD;
+  v_group RECORD;
+BEGIN
+  SELECT id, screen_group_id, wall_row, wall_column
+  INTO v_device
+  FROM public.tv_devices
+  WHERE id = p_device_id;
+
+  IF v_device.id IS NULL OR v_device.screen_group_id IS NULL THEN
+    RETURN jsonb_build_object('enabled', false, 'serverTime', clock_timestamp());
+  END IF;
+
+  SELECT id, sync_mode, wall_columns, wall_rows, sync_epoch
+  INTO v_group
+  FROM public.screen_groups
+  WHERE id = v_device.screen_group_id;
+
+  IF v_group.sync_mode IS DISTINCT FROM 'video_wall'
+     OR v_device.wall_row IS NULL
+     OR v_device.wall_row >= v_group.wall_rows
+     OR v_device.wall_column >= v_group.wall_columns THEN
+    RETURN jsonb_build_object('enabled', false, 'groupId', v_group.id, 'serverTime', clock_timestamp());
+  END IF;
+
+  RETURN jsonb_build_object(
+    'enabled', true,
+    'groupId', v_group.id,
+    'columns', v_group.wall_columns,
+    'rows', v_group.wall_rows,
+    'row', v_device.wall_row,
+    'column', v_device.wall_column,
+    'epoch', v_group.sync_epoch,
+    'serverTime', clock_timestamp()
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_video_wall_config(UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_video_wall_config(UUID) TO authenticated;
+
+COMMENT ON FUNCTION public.get_video_wall_config(UUID) IS
+'Video wall geometry, panel position, shared epoch and current server time for a player';
+
+DO $$ BEGIN RAISE NOTICE 'Migration 189 completed: synchronized video walls'; END $$;
@@ -0,0 +1,198 @@
+-- ============================================================================
+-- Migration 190: Player clock synchronisation
+--
+-- Players time their heartbeat against the server clock and correct their
+-- local clock by the measured offset, so clocks, countdowns, validity windows
+-- and playback timestamps stay right on devices whose clocks drift.
+-- player_heartbeat now returns the server time for the measurement and takes
+-- the player's current estimate so it can be shown in screen diagnostics.
+--
+-- Columns:
+--   tv_devices.clock_offset_ms      - server minus device clock, as measured
+--   tv_devices.clock_round_trip_ms  - round trip of the measurement
+--   tv_devices.clock_synced_at      - when the player last reported it
+--
+-- Functions:
+--   player_heartbeat(screen_id, clock_offset_ms, clock_round_trip_ms)
+--   get_screen_diagnostics(screen_id)  - adds the clock fields to 'screen'
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP ... IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Columns
+-- ============================================================================
+
+ALTER TABLE public.tv_devices
+ADD COLUMN IF NOT EXISTS clock_offset_ms INTEGER,
+ADD COLUMN IF NOT EXISTS clock_round_trip_ms INTEGER,
+ADD COLUMN IF NOT EXISTS clock_synced_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.tv_devices.clock_offset_ms IS
+'Milliseconds to add to the player''s local clock to get server time, as last measured by the player';
+
+-- ============================================================================
+-- 2. Heartbeat with time sync
+-- ============================================================================
+
+-- The return type changes from void, so the old signature has to go first
+DROP FUNCTION IF EXISTS public.player_heartbeat(UUID);
+
+CREATE OR REPLACE FUNCTION public.player_heartbeat(
+  p_screen_id UUID,
+  p_clock_offset_ms INTEGER DEFAULT NULL,
+  p_clock_round_trip_ms INTEGER DEFAULT NULL
+)
+RETURNS JSONB AS $$
+BEGIN
+  UPDATE public.tv_devices
+  SET last_seen = NOW(),
+      is_online = true,
+      clock_offset_ms = COALESCE(p_clock_offset_ms, clock_offset_ms),
+      clock_round_trip_ms = COALESCE(p_clock_round_trip_ms, clock_round_trip_ms),
+      clock_synced_at = CASE WHEN p_clock_offset_ms IS NULL THEN clock_synced_at ELSE NOW() END
+  WHERE id = p_screen_id;
+
+  -- clock_timestamp(), not NOW(): the time of the answer, not of the transaction
+  RETURN jsonb_build_object('serverTime', clock_timestamp());
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.player_heartbeat(UUID, INTEGER, INTEGER) TO anon;
+GRANT EXECUTE ON FUNCTION public.player_heartbeat(UUID, INTEGER, INTEGER) TO authenticated;
+
+COMMENT ON FUNCTION public.player_heartbeat(UUID, INTEGER, INTEGER) IS
+'Updates last_seen for a TV screen and records its clock offset; returns server time for the player''s clock sync';
+
+-- ============================================================================
+-- 3. Diagnostics
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION get_screen_diagnostics(p_screen_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID;
+  v_screen RECORD;
+  v_location RECORD;
+  v_group RECORD;
+  v_layout RECORD;
+  v_playlist RECORD;
+  v_result JSONB;
+BEGIN
+  v_user_id := auth.uid();
+
+  -- Get screen info
+  SELECT
+    d.id,
+    d.device_name,
+    d.owner_id,
+    d.location_id,
+    d.screen_group_id,
+    d.assigned_layout_id,
+    d.assigned_playlist_id,
+    d.last_seen_at,
+    d.is_online,
+    d.player_version,
+    d.kiosk_mode_enabled,
+    d.cached_content_hash,
+    d.timezone,
+    d.clock_offset_ms,
+    d.clock_round_trip_ms,
+    d.clock_synced_at,
+    d.created_at
+  INTO v_screen
+  FROM public.tv_devices d
+  WHERE d.id = p_screen_id;
+
+  IF v_screen.id IS NULL THEN
+    RETURN jsonb_build_object('error', 'Screen not found');
+  END IF;
+
+  -- Verify access
+  IF NOT (
+    v_screen.owner_id = v_user_id OR
+    is_super_admin() OR
+    is_admin() OR
+    v_screen.owner_id IN (SELECT get_my_tenant_ids())
+  ) THEN
+    RETURN jsonb_build_object('error', 'Access denied');
+  END IF;
+
+  -- Get location info
+  SELECT l.id, l.name, l.timezone
+  INTO v_location
+  FROM public.locations l
+  WHERE l.id = v_screen.location_id;
+
+  -- Get screen group info
+  SELECT sg.id, sg.name
+  INTO v_group
+  FROM public.screen_groups sg
+  WHERE sg.id = v_screen.screen_group_id;
+
+  -- Get assigned layout info
+  SELECT l.id, l.name
+  INTO v_layout
+  FROM public.layouts l
+  WHERE l.id = v_screen.assigned_layout_id;
+
+  -- Get assigned playlist info
+  SELECT p.id, p.name
+  INTO v_playlist
+  FROM public.playlists p
+  WHERE p.id = v_screen.assigned_playlist_id;
+
+  -- Build result
+  v_result := jsonb_build_object(
+    'screen', jsonb_build_object(
+      'id', v_screen.id,
+      'name', v_screen.device_name,
+      'location_id', v_screen.location_id,
+      'location_name', v_location.name,
+      'group_id', v_screen.screen_group_id,
+      'group_name', v_group.name,
+      'last_seen_at', v_screen.last_seen_at,
+      'timezone', COALESCE(v_screen.timezone, v_location.timezone, 'UTC'),
+      'is_online', COALESCE(v_screen.is_online, false),
+      'player_version', v_screen.player_version,
+      'kiosk_mode_enabled', COALESCE(v_screen.kiosk_mode_enabled, false),
+      'cached_content_hash', v_screen.cached_content_hash,
+      'clock_offset_ms', v_screen.clock_offset_ms,
+      'clock_round_trip_ms', v_screen.clock_round_trip_ms,
+      'clock_synced_at', v_screen.clock_synced_at,
+      'created_at', v_screen.created_at
+    ),
+    'content_source', jsonb_build_object(
+      'active_campaign', NULL,
+      'active_schedule', NULL,
+      'assigned_layout', CASE WHEN v_layout.id IS NOT NULL THEN
+        jsonb_build_object('id', v_layout.id, 'name', v_layout.name)
+      ELSE NULL END,
+      'assigned_playlist', CASE WHEN v_playlist.id IS NOT NULL THEN
+        jsonb_build_object('id', v_playlist.id, 'name', v_playlist.name)
+      ELSE NULL END,
+      'resolution_path', CASE
+        WHEN v_layout.id IS NOT NULL THEN 'layout'
+        WHEN v_playlist.id IS NOT NULL THEN 'playlist'
+        ELSE 'none'
+      END
+    ),
+    'resolved_content', '{}'::jsonb,
+    'recent_playback', jsonb_build_object(
+      'last_event_at', NULL,
+      'uptime_24h_percent', 0,
+      'top_items', '[]'::jsonb
+    )
+  );
+
+  RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_screen_diagnostics(UUID) TO authenticated;
+
+DO $$ BEGIN RAISE NOTICE 'Migration 190 completed: player clock synchronisation'; END $$;
@@ -0,0 +1,48 @@
+-- ============================================================================
+-- Migration 191: Touch kiosk scene navigation
+--
+-- Scene blocks can carry a tap action in their slide design (block.action):
+-- go to a slide, go to another scene, show a QR code or go back to start.
+-- The idle timeout that returns a kiosk to its attract loop lives in
+-- scenes.settings.kiosk.idleTimeoutSeconds, so no new columns are needed.
+--
+-- Players only receive their assigned scene with their content, so scenes a
+-- kiosk navigates to are fetched through get_player_kiosk_scene, which is
+-- limited to active scenes of the screen's own tenant.
+--
+-- Functions:
+--   get_player_kiosk_scene(screen_id, scene_id) - scene with slides for a player
+--
+-- Idempotent: CREATE OR REPLACE.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_player_kiosk_scene(p_screen_id UUID, p_scene_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_owner_id UUID;
+BEGIN
+  SELECT owner_id INTO v_owner_id
+  FROM public.tv_devices
+  WHERE id = p_screen_id;
+
+  IF v_owner_id IS NULL OR NOT EXISTS (
+    SELECT 1
+    FROM public.scenes
+    WHERE id = p_scene_id
+      AND tenant_id = v_owner_id
+      AND is_active = true
+  ) THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN public.get_scene_with_slides(p_scene_id);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_player_kiosk_scene(UUID, UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_player_kiosk_scene(UUID, UUID) TO authenticated;
+
+COMMENT ON FUNCTION public.get_player_kiosk_scene(UUID, UUID) IS
+'Scene with slides for a touch kiosk navigating away from its assigned scene; same-tenant active scenes only';
+
+DO $$ BEGIN RAISE NOTICE 'Migration 191 completed: touch kiosk scene navigation'; END $$;
@@ -0,0 +1,106 @@
+-- ============================================================================
+-- Migration 192: REST/JSON data sources
+--
+-- Data sources can be linked to a JSON/REST API as well as a Google Sheet.
+-- The integration config holds the URL, request headers, auth, a JSONPath-
+-- style row selector, the field mappings and the poll interval:
+--
+--   {
+--     "url": "https://api.example.com/menu",
+--     "headers": { "X-Store": "12" },
+--     "auth": { "type": "bearer", "token": "..." },
+--     "rowPath": "$.data.items[*]",
+--     "fieldMappings": [{ "name": "price", "label": "Price", "source": "price.amount", "dataType": "currency" }],
+--     "pollIntervalMinutes": 15
+--   }
+--
+-- Syncing reuses list_data_sources_needing_sync, sync_data_source_rows and
+-- update_data_source_sync_status from migration 078.
+--
+-- Functions:
+--   link_data_source_to_rest_api(data_source_id, config) - link a source to an API
+--
+-- Idempotent: constraints are dropped and re-added, CREATE OR REPLACE.
+-- ============================================================================
+
+-- ============================================================================
+-- CONSTRAINTS
+-- ============================================================================
+
+ALTER TABLE data_sources DROP CONSTRAINT IF EXISTS data_sources_integration_type_check;
+ALTER TABLE data_sources ADD CONSTRAINT data_sources_integration_type_check
+  CHECK (integration_type IN ('none', 'google_sheets', 'rest_api'));
+
+ALTER TABLE data_sources DROP CONSTRAINT IF EXISTS data_sources_type_check;
+ALTER TABLE data_sources ADD CONSTRAINT data_sources_type_check
+  CHECK (type IN ('internal_table', 'csv_import', 'google_sheets', 'rest_api'));
+
+COMMENT ON COLUMN data_sources.integration_type IS 'Type of external integration: none (internal), google_sheets, rest_api';
+
+-- ============================================================================
+-- LINK FUNCTION
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION link_data_source_to_rest_api(
+  p_data_source_id UUID,
+  p_config JSONB
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tenant_id UUID;
+  v_user_tenant_id UUID;
+BEGIN
+  -- Get the data source's tenant_id
+  SELECT tenant_id INTO v_tenant_id FROM data_sources WHERE id = p_data_source_id;
+
+  IF v_tenant_id IS NULL THEN
+    RAISE EXCEPTION 'Data source not found';
+  END IF;
+
+  -- Check user has access
+  SELECT tenant_id INTO v_user_tenant_id FROM profiles WHERE id = auth.uid();
+
+  IF v_user_tenant_id != v_tenant_id AND NOT EXISTS (
+    SELECT 1 FROM profiles WHERE id = auth.uid() AND role = 'superadmin'
+  ) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  IF COALESCE(p_config->>'url', '') !~* '^https?://' THEN
+    RAISE EXCEPTION 'An http or https URL is required';
+  END IF;
+
+  -- Update data source with integration config
+  UPDATE data_sources
+  SET
+    type = 'rest_api',
+    integration_type = 'rest_api',
+    integration_config = jsonb_build_object(
+      'url', p_config->>'url',
+      'headers', COALESCE(p_config->'headers', '{}'::jsonb),
+      'auth', COALESCE(p_config->'auth', '{"type": "none"}'::jsonb),
+      'rowPath', COALESCE(NULLIF(p_config->>'rowPath', ''), '$'),
+      'fieldMappings', COALESCE(p_config->'fieldMappings', '[]'::jsonb),
+      'pollIntervalMinutes', GREATEST(COALESCE((p_config->>'pollIntervalMinutes')::INTEGER, 15), 1)
+    ),
+    last_sync_status = 'pending',
+    updated_at = now()
+  WHERE id = p_data_source_id;
+
+  RETURN TRUE;
+END;
+$$;
+
+COMMENT ON FUNCTION link_data_source_to_rest_api IS 'Link a data source to a JSON/REST API for automatic syncing';
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+GRANT EXECUTE ON FUNCTION link_data_source_to_rest_api TO authenticated;
+
+DO $$ BEGIN RAISE NOTICE 'Migration 192 completed: REST/JSON data sources'; END $$;
@@ -0,0 +1,530 @@
+-- ============================================================================
+-- Migration 193: Row-level data source sync history
+--
+-- Every applied or held sync now records its row-level changes (inserted,
+-- updated and deleted rows with before and after values) and a snapshot of
+-- the rows it produced, so a data source can be rolled back to the state
+-- after any earlier sync.
+--
+-- Syncs that would delete more than integration_config.maxDeletePercent of a
+-- source's rows (default 50) are held: they are logged with status 'held'
+-- and only applied once approved. A newer held sync replaces an older one.
+--
+-- Tables:
+--   data_source_row_changes - row-level changes per sync log entry
+--
+-- Functions:
+--   record_data_source_sync(...)              - apply or hold a sync and log it
+--   approve_held_data_source_sync(log_id)     - apply a held sync
+--   discard_held_data_source_sync(log_id)     - reject a held sync
+--   rollback_data_source_to_sync(log_id, ...) - restore rows from a sync point
+--   update_data_source_sync_settings(id, ...) - hold threshold and row key field
+--
+-- get_data_source_with_data also returns the integration columns under their
+-- column names, which DataSourcesPage reads.
+--
+-- Idempotent: IF NOT EXISTS, constraints re-added, CREATE OR REPLACE.
+-- ============================================================================
+
+-- ============================================================================
+-- STATUS CONSTRAINTS
+-- ============================================================================
+
+ALTER TABLE data_source_sync_logs DROP CONSTRAINT IF EXISTS data_source_sync_logs_status_check;
+ALTER TABLE data_source_sync_logs ADD CONSTRAINT data_source_sync_logs_status_check
+  CHECK (status IN ('ok', 'error', 'no_change', 'held', 'discarded', 'rolled_back'));
+
+COMMENT ON COLUMN data_source_sync_logs.status IS
+  'Sync result: ok (changes applied), error (failed), no_change (no updates needed), held (waiting for review), discarded (held sync rejected), rolled_back (rows restored from an earlier sync)';
+
+ALTER TABLE data_sources DROP CONSTRAINT IF EXISTS data_sources_last_sync_status_check;
+ALTER TABLE data_sources ADD CONSTRAINT data_sources_last_sync_status_check
+  CHECK (last_sync_status IS NULL OR last_sync_status IN ('ok', 'error', 'no_change', 'pending', 'held', 'rolled_back'));
+
+-- ============================================================================
+-- SNAPSHOTS AND REVIEW
+-- ============================================================================
+
+ALTER TABLE data_source_sync_logs ADD COLUMN IF NOT EXISTS rows_snapshot JSONB;
+ALTER TABLE data_source_sync_logs ADD COLUMN IF NOT EXISTS fields_snapshot JSONB;
+ALTER TABLE data_source_sync_logs ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+ALTER TABLE data_source_sync_logs ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN data_source_sync_logs.rows_snapshot IS 'Rows ([{values}]) after this sync, or proposed by a held sync';
+COMMENT ON COLUMN data_source_sync_logs.fields_snapshot IS 'Field definitions ([{name, label, dataType}]) matching rows_snapshot';
+
+-- ============================================================================
+-- ROW CHANGES TABLE
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS data_source_row_changes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sync_log_id UUID NOT NULL REFERENCES data_source_sync_logs(id) ON DELETE CASCADE,
+  data_source_id UUID NOT NULL REFERENCES data_sources(id) ON DELETE CASCADE,
+  change_type TEXT NOT NULL CHECK (change_type IN ('insert', 'update', 'delete')),
+  row_index INTEGER,
+  row_key TEXT,
+  before_values JSONB,
+  after_values JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+COMMENT ON TABLE data_source_row_changes IS 'Row-level changes made (or proposed) by each data source sync';
+COMMENT ON COLUMN data_source_row_changes.row_index IS 'Position in the synced rows (in the previous rows for deletes)';
+COMMENT ON COLUMN data_source_row_changes.row_key IS 'Value of the row key field, when the source has one';
+
+CREATE INDEX IF NOT EXISTS idx_row_changes_sync_log ON data_source_row_changes(sync_log_id);
+CREATE INDEX IF NOT EXISTS idx_row_changes_source ON data_source_row_changes(data_source_id, created_at DESC);
+
+ALTER TABLE data_source_row_changes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "row_changes_select" ON data_source_row_changes;
+CREATE POLICY "row_changes_select"
+  ON data_source_row_changes FOR SELECT
+  USING (
+    data_source_id IN (
+      SELECT id FROM data_sources WHERE tenant_id IN (
+        SELECT id FROM profiles WHERE id = auth.uid()
+      )
+    )
+  );
+
+DROP POLICY IF EXISTS "row_changes_superadmin_all" ON data_source_row_changes;
+CREATE POLICY "row_changes_superadmin_all"
+  ON data_source_row_changes FOR ALL
+  USING (
+    EXISTS (
+      SELECT 1 FROM profiles WHERE id = auth.uid() AND role = 'superadmin'
+    )
+  );
+
+-- ============================================================================
+-- HELPER FUNCTIONS
+-- ============================================================================
+
+-- Raise unless the current user may manage the data source
+CREATE OR REPLACE FUNCTION assert_data_source_access(p_data_source_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tenant_id UUID;
+  v_user_tenant_id UUID;
+BEGIN
+  SELECT tenant_id INTO v_tenant_id FROM data_sources WHERE id = p_data_source_id;
+
+  IF v_tenant_id IS NULL THEN
+    RAISE EXCEPTION 'Data source not found';
+  END IF;
+
+  SELECT tenant_id INTO v_user_tenant_id FROM profiles WHERE id = auth.uid();
+
+  IF v_user_tenant_id != v_tenant_id AND NOT EXISTS (
+    SELECT 1 FROM profiles WHERE id = auth.uid() AND role = 'superadmin'
+  ) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+END;
+$$;
+
+-- Write a sync log entry with its row changes
+CREATE OR REPLACE FUNCTION insert_data_source_sync_log(
+  p_data_source_id UUID,
+  p_status TEXT,
+  p_message TEXT,
+  p_rows JSONB,
+  p_field_definitions JSONB,
+  p_row_changes JSONB,
+  p_sync_duration_ms INTEGER
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_log_id UUID;
+  v_changes JSONB := COALESCE(p_row_changes, '[]'::jsonb);
+BEGIN
+  INSERT INTO data_source_sync_logs (
+    data_source_id,
+    status,
+    message,
+    changed_rows,
+    added_rows,
+    removed_rows,
+    updated_rows,
+    sync_duration_ms,
+    rows_snapshot,
+    fields_snapshot
+  )
+  SELECT
+    p_data_source_id,
+    p_status,
+    p_message,
+    jsonb_array_length(v_changes),
+    COUNT(*) FILTER (WHERE c->>'changeType' = 'insert'),
+    COUNT(*) FILTER (WHERE c->>'changeType' = 'delete'),
+    COUNT(*) FILTER (WHERE c->>'changeType' = 'update'),
+    p_sync_duration_ms,
+    p_rows,
+    p_field_definitions
+  FROM jsonb_array_elements(v_changes) AS c
+  RETURNING id INTO v_log_id;
+
+  INSERT INTO data_source_row_changes (
+    sync_log_id,
+    data_source_id,
+    change_type,
+    row_index,
+    row_key,
+    before_values,
+    after_values
+  )
+  SELECT
+    v_log_id,
+    p_data_source_id,
+    c->>'changeType',
+    (c->>'rowIndex')::INTEGER,
+    c->>'rowKey',
+    NULLIF(c->'before', 'null'::jsonb),
+    NULLIF(c->'after', 'null'::jsonb)
+  FROM jsonb_array_elements(v_changes) AS c;
+
+  RETURN v_log_id;
+END;
+$$;
+
+-- ============================================================================
+-- SYNC FUNCTIONS
+-- ============================================================================
+
+-- Apply ('ok') or hold ('held') the rows of a sync and log its row changes
+CREATE OR REPLACE FUNCTION record_data_source_sync(
+  p_data_source_id UUID,
+  p_status TEXT,
+  p_new_rows JSONB,
+  p_field_definitions JSONB DEFAULT NULL,
+  p_row_changes JSONB DEFAULT '[]'::jsonb,
+  p_message TEXT DEFAULT NULL,
+  p_sync_duration_ms INTEGER DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_log_id UUID;
+BEGIN
+  PERFORM assert_data_source_access(p_data_source_id);
+
+  IF p_status NOT IN ('ok', 'held') THEN
+    RAISE EXCEPTION 'Invalid sync status: %', p_status;
+  END IF;
+
+  -- A newer sync supersedes any sync still waiting for review
+  UPDATE data_source_sync_logs
+  SET status = 'discarded',
+      message = COALESCE(message, '') || ' (superseded)'
+  WHERE data_source_id = p_data_source_id
+    AND status = 'held';
+
+  IF p_status = 'ok' THEN
+    PERFORM * FROM sync_data_source_rows(p_data_source_id, p_new_rows, p_field_definitions);
+  END IF;
+
+  v_log_id := insert_data_source_sync_log(
+    p_data_source_id, p_status, p_message, p_new_rows, p_field_definitions, p_row_changes, p_sync_duration_ms
+  );
+
+  UPDATE data_sources
+  SET
+    last_sync_at = now(),
+    last_sync_status = p_status,
+    last_sync_error = NULL,
+    updated_at = now()
+  WHERE id = p_data_source_id;
+
+  RETURN v_log_id;
+END;
+$$;
+
+COMMENT ON FUNCTION record_data_source_sync IS 'Apply or hold synced rows and log the row-level changes with a snapshot';
+
+-- Apply a held sync
+CREATE OR REPLACE FUNCTION approve_held_data_source_sync(p_sync_log_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_log data_source_sync_logs%ROWTYPE;
+BEGIN
+  SELECT * INTO v_log FROM data_source_sync_logs WHERE id = p_sync_log_id;
+
+  IF v_log.id IS NULL THEN
+    RAISE EXCEPTION 'Sync not found';
+  END IF;
+
+  PERFORM assert_data_source_access(v_log.data_source_id);
+
+  IF v_log.status != 'held' THEN
+    RAISE EXCEPTION 'Only held syncs can be approved';
+  END IF;
+
+  PERFORM * FROM sync_data_source_rows(v_log.data_source_id, v_log.rows_snapshot, v_log.fields_snapshot);
+
+  UPDATE data_source_sync_logs
+  SET status = 'ok',
+      message = 'Approved: ' || COALESCE(message, ''),
+      reviewed_by = auth.uid(),
+      reviewed_at = now()
+  WHERE id = p_sync_log_id;
+
+  UPDATE data_sources
+  SET last_sync_status = 'ok',
+      updated_at = now()
+  WHERE id = v_log.data_source_id;
+
+  RETURN TRUE;
+END;
+$$;
+
+COMMENT ON FUNCTION approve_held_data_source_sync IS 'Apply a sync that was held for review';
+
+-- Reject a held sync, leaving the rows as they are
+CREATE OR REPLACE FUNCTION discard_held_data_source_sync(p_sync_log_id UUID)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_log data_source_sync_logs%ROWTYPE;
+BEGIN
+  SELECT * INTO v_log FROM data_source_sync_logs WHERE id = p_sync_log_id;
+
+  IF v_log.id IS NULL THEN
+    RAISE EXCEPTION 'Sync not found';
+  END IF;
+
+  PERFORM assert_data_source_access(v_log.data_source_id);
+
+  IF v_log.status != 'held' THEN
+    RAISE EXCEPTION 'Only held syncs can be discarded';
+  END IF;
+
+  UPDATE data_source_sync_logs
+  SET status = 'discarded',
+      reviewed_by = auth.uid(),
+      reviewed_at = now()
+  WHERE id = p_sync_log_id;
+
+  UPDATE data_sources
+  SET last_sync_status = 'no_change',
+      updated_at = now()
+  WHERE id = v_log.data_source_id
+    AND last_sync_status = 'held';
+
+  RETURN TRUE;
+END;
+$$;
+
+COMMENT ON FUNCTION discard_held_data_source_sync IS 'Reject a sync that was held for review';
+
+-- Restore the rows (and fields) a data source had after an earlier sync
+CREATE OR REPLACE FUNCTION rollback_data_source_to_sync(
+  p_sync_log_id UUID,
+  p_row_changes JSONB DEFAULT '[]'::jsonb
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_log data_source_sync_logs%ROWTYPE;
+  v_log_id UUID;
+BEGIN
+  SELECT * INTO v_log FROM data_source_sync_logs WHERE id = p_sync_log_id;
+
+  IF v_log.id IS NULL THEN
+    RAISE EXCEPTION 'Sync not found';
+  END IF;
+
+  PERFORM assert_data_source_access(v_log.data_source_id);
+
+  IF v_log.status NOT IN ('ok', 'rolled_back') OR v_log.rows_snapshot IS NULL THEN
+    RAISE EXCEPTION 'This sync has no snapshot to roll back to';
+  END IF;
+
+  PERFORM * FROM sync_data_source_rows(v_log.data_source_id, v_log.rows_snapshot, v_log.fields_snapshot);
+
+  v_log_id := insert_data_source_sync_log(
+    v_log.data_source_id,
+    'rolled_back',
+    'Rolled back to sync of ' || to_char(v_log.synced_at AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI') || ' UTC',
+    v_log.rows_snapshot,
+    v_log.fields_snapshot,
+    p_row_changes,
+    NULL
+  );
+
+  UPDATE data_source_sync_logs
+  SET reviewed_by = auth.uid(),
+      reviewed_at = now()
+  WHERE id = v_log_id;
+
+  UPDATE data_sources
+  SET last_sync_status = 'rolled_back',
+      updated_at = now()
+  WHERE id = v_log.data_source_id;
+
+  RETURN v_log_id;
+END;
+$$;
+
+COMMENT ON FUNCTION rollback_data_source_to_sync IS 'Restore a data source to its rows after an earlier sync';
+
+-- Hold threshold and row key field, kept in integration_config
+CREATE OR REPLACE FUNCTION update_data_source_sync_settings(
+  p_data_source_id UUID,
+  p_max_delete_percent INTEGER DEFAULT NULL,
+  p_key_field TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM assert_data_source_access(p_data_source_id);
+
+  IF p_max_delete_percent IS NOT NULL AND (p_max_delete_percent < 0 OR p_max_delete_percent > 100) THEN
+    RAISE EXCEPTION 'maxDeletePercent must be between 0 and 100';
+  END IF;
+
+  UPDATE data_sources
+  SET
+    integration_config = COALESCE(integration_config, '{}'::jsonb)
+      || jsonb_build_object(
+        'maxDeletePercent', COALESCE(p_max_delete_percent, (integration_config->>'maxDeletePercent')::INTEGER, 50),
+        'keyField', CASE
+          WHEN p_key_field IS NULL THEN integration_config->'keyField'
+          ELSE to_jsonb(NULLIF(p_key_field, ''))
+        END
+      ),
+    updated_at = now()
+  WHERE id = p_data_source_id;
+
+  RETURN TRUE;
+END;
+$$;
+
+COMMENT ON FUNCTION update_data_source_sync_settings IS 'Set the delete share that holds a sync for review and the row key field';
+
+-- ============================================================================
+-- DATA SOURCE WITH INTEGRATION COLUMNS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION get_data_source_with_data(p_data_source_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_result JSONB;
+  v_tenant_id UUID;
+  v_user_tenant_id UUID;
+BEGIN
+  -- Get the data source's tenant_id
+  SELECT tenant_id INTO v_tenant_id FROM data_sources WHERE id = p_data_source_id;
+
+  IF v_tenant_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  -- Check user has access
+  SELECT tenant_id INTO v_user_tenant_id FROM profiles WHERE id = auth.uid();
+
+  IF v_user_tenant_id != v_tenant_id AND NOT EXISTS (
+    SELECT 1 FROM profiles WHERE id = auth.uid() AND role = 'superadmin'
+  ) THEN
+    RETURN NULL;
+  END IF;
+
+  -- Build the result
+  SELECT jsonb_build_object(
+    'id', ds.id,
+    'name', ds.name,
+    'description', ds.description,
+    'type', ds.type,
+    'integrationString', ds.integration_type,
+    'integrationConfig', ds.integration_config,
+    'lastSyncAt', ds.last_sync_at,
+    'lastSyncStatus', ds.last_sync_status,
+    'lastSyncError', ds.last_sync_error,
+    'integration_type', ds.integration_type,
+    'integration_config', ds.integration_config,
+    'last_sync_at', ds.last_sync_at,
+    'last_sync_status', ds.last_sync_status,
+    'last_sync_error', ds.last_sync_error,
+    'fields', COALESCE((
+      SELECT jsonb_agg(
+        jsonb_build_object(
+          'id', f.id,
+          'name', f.name,
+          'label', f.label,
+          'dataType', f.data_type,
+          'orderIndex', f.order_index,
+          'defaultValue', f.default_value,
+          'formatOptions', f.format_options
+        ) ORDER BY f.order_index
+      )
+      FROM data_source_fields f
+      WHERE f.data_source_id = ds.id
+    ), '[]'::jsonb),
+    'rows', COALESCE((
+      SELECT jsonb_agg(
+        jsonb_build_object(
+          'id', r.id,
+          'values', r.values,
+          'orderIndex', r.order_index,
+          'isActive', r.is_active
+        ) ORDER BY r.order_index
+      )
+      FROM data_source_rows r
+      WHERE r.data_source_id = ds.id AND r.is_active = true
+    ), '[]'::jsonb),
+    'createdAt', ds.created_at,
+    'updatedAt', ds.updated_at
+  ) INTO v_result
+  FROM data_sources ds
+  WHERE ds.id = p_data_source_id;
+
+  RETURN v_result;
+END;
+$$;
+
+-- ============================================================================
+-- GRANTS
+-- ============================================================================
+
+GRANT SELECT ON data_source_row_changes TO authenticated;
+
+GRANT EXECUTE ON FUNCTION record_data_source_sync TO authenticated;
+GRANT EXECUTE ON FUNCTION approve_held_data_source_sync TO authenticated;
+GRANT EXECUTE ON FUNCTION discard_held_data_source_sync TO authenticated;
+GRANT EXECUTE ON FUNCTION rollback_data_source_to_sync TO authenticated;
+GRANT EXECUTE ON FUNCTION update_data_source_sync_settings TO authenticated;
+
+-- Internal helpers are only called from the functions above
+REVOKE ALL ON FUNCTION assert_data_source_access(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION insert_data_source_sync_log(UUID, TEXT, TEXT, JSONB, JSONB, JSONB, INTEGER) FROM PUBLIC, anon, authenticated;
+
+DO $$ BEGIN RAISE NOTICE 'Migration 193 completed: row-level data source sync history'; END $$;
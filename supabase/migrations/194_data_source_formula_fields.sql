@@ -0,0 +1,237 @@
+-- ============================================================================
+-- Migration 194: Computed data source fields
+--
+-- A field can hold a formula instead of stored values, e.g.
+-- price * (1 - discount) or IF(stock = 0, "Sold out", ""). Rows never store a
+-- value for it: bindings evaluate the formula against the row's other fields
+-- (src/services/formulaService.js), in the editor and on the player.
+--
+-- Changes:
+--   data_source_fields.formula         - formula of a computed field
+--   sync_data_source_rows(...)         - keeps computed fields when a sync
+--                                        replaces the field definitions
+--   get_data_source_with_data(id)      - returns each field's formula
+--
+-- Idempotent: IF NOT EXISTS, CREATE OR REPLACE.
+-- ============================================================================
+
+-- ============================================================================
+-- FORMULA COLUMN
+-- ============================================================================
+
+ALTER TABLE data_source_fields ADD COLUMN IF NOT EXISTS formula TEXT;
+
+COMMENT ON COLUMN data_source_fields.formula IS
+  'Formula of a computed field (evaluated by the client for each row); NULL for stored fields';
+
+-- ============================================================================
+-- SYNC KEEPS COMPUTED FIELDS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION sync_data_source_rows(
+  p_data_source_id UUID,
+  p_new_rows JSONB,
+  p_field_definitions JSONB DEFAULT NULL
+)
+RETURNS TABLE (
+  added_count INTEGER,
+  updated_count INTEGER,
+  removed_count INTEGER,
+  total_changed INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_tenant_id UUID;
+  v_user_tenant_id UUID;
+  v_old_row RECORD;
+  v_new_row JSONB;
+  v_added INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_removed INTEGER := 0;
+  v_order_index INTEGER := 0;
+  v_field JSONB;
+BEGIN
+  -- Get the data source's tenant_id
+  SELECT tenant_id INTO v_tenant_id FROM data_sources WHERE id = p_data_source_id;
+
+  IF v_tenant_id IS NULL THEN
+    RAISE EXCEPTION 'Data source not found';
+  END IF;
+
+  -- Check user has access
+  SELECT tenant_id INTO v_user_tenant_id FROM profiles WHERE id = auth.uid();
+
+  IF v_user_tenant_id != v_tenant_id AND NOT EXISTS (
+    SELECT 1 FROM profiles WHERE id = auth.uid() AND role = 'superadmin'
+  ) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  -- Update field definitions if provided
+  IF p_field_definitions IS NOT NULL THEN
+    -- Delete existing stored fields; computed fields stay unless the sync
+    -- now provides a field with the same name
+    DELETE FROM data_source_fields
+    WHERE data_source_id = p_data_source_id
+      AND (
+        formula IS NULL
+        OR name IN (SELECT f->>'name' FROM jsonb_array_elements(p_field_definitions) f)
+      );
+
+    -- Insert new fields
+    FOR v_field IN SELECT * FROM jsonb_array_elements(p_field_definitions)
+    LOOP
+      INSERT INTO data_source_fields (
+        data_source_id,
+        name,
+        label,
+        data_type,
+        order_index
+      ) VALUES (
+        p_data_source_id,
+        v_field->>'name',
+        COALESCE(v_field->>'label', v_field->>'name'),
+        COALESCE(v_field->>'dataType', 'text'),
+        v_order_index
+      );
+      v_order_index := v_order_index + 1;
+    END LOOP;
+
+    -- Computed fields follow the synced ones, in their existing order
+    UPDATE data_source_fields f
+    SET order_index = v_order_index + c.position
+    FROM (
+      SELECT id, ROW_NUMBER() OVER (ORDER BY order_index) - 1 AS position
+      FROM data_source_fields
+      WHERE data_source_id = p_data_source_id AND formula IS NOT NULL
+    ) c
+    WHERE f.id = c.id;
+  END IF;
+
+  -- Delete existing rows and insert new ones
+  -- (For simplicity, we replace all rows on sync)
+  SELECT COUNT(*) INTO v_removed
+  FROM data_source_rows
+  WHERE data_source_id = p_data_source_id;
+
+  DELETE FROM data_source_rows WHERE data_source_id = p_data_source_id;
+
+  -- Insert new rows
+  v_order_index := 0;
+  FOR v_new_row IN SELECT * FROM jsonb_array_elements(p_new_rows)
+  LOOP
+    INSERT INTO data_source_rows (
+      data_source_id,
+      values,
+      order_index,
+      is_active
+    ) VALUES (
+      p_data_source_id,
+      COALESCE(v_new_row->'values', v_new_row),
+      v_order_index,
+      true
+    );
+    v_added := v_added + 1;
+    v_order_index := v_order_index + 1;
+  END LOOP;
+
+  -- Update data source timestamp
+  UPDATE data_sources
+  SET updated_at = now()
+  WHERE id = p_data_source_id;
+
+  RETURN QUERY SELECT v_added, v_updated, v_removed, (v_added + v_updated + v_removed);
+END;
+$$;
+
+COMMENT ON FUNCTION sync_data_source_rows IS 'Replace all rows and stored fields in a data source with new data from external sync';
+
+-- ============================================================================
+-- DATA SOURCE WITH FORMULAS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION get_data_source_with_data(p_data_source_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_result JSONB;
+  v_tenant_id UUID;
+  v_user_tenant_id UUID;
+BEGIN
+  -- Get the data source's tenant_id
+  SELECT tenant_id INTO v_tenant_id FROM data_sources WHERE id = p_data_source_id;
+
+  IF v_tenant_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  -- Check user has access
+  SELECT tenant_id INTO v_user_tenant_id FROM profiles WHERE id = auth.uid();
+
+  IF v_user_tenant_id != v_tenant_id AND NOT EXISTS (
+    SELECT 1 FROM profiles WHERE id = auth.uid() AND role = 'superadmin'
+  ) THEN
+    RETURN NULL;
+  END IF;
+
+  -- Build the result
+  SELECT jsonb_build_object(
+    'id', ds.id,
+    'name', ds.name,
+    'description', ds.description,
+    'type', ds.type,
+    'integrationString', ds.integration_type,
+    'integrationConfig', ds.integration_config,
+    'lastSyncAt', ds.last_sync_at,
+    'lastSyncStatus', ds.last_sync_status,
+    'lastSyncError', ds.last_sync_error,
+    'integration_type', ds.integration_type,
+    'integration_config', ds.integration_config,
+    'last_sync_at', ds.last_sync_at,
+    'last_sync_status', ds.last_sync_status,
+    'last_sync_error', ds.last_sync_error,
+    'fields', COALESCE((
+      SELECT jsonb_agg(
+        jsonb_build_object(
+          'id', f.id,
+          'name', f.name,
+          'label', f.label,
+          'dataType', f.data_type,
+          'orderIndex', f.order_index,
+          'defaultValue', f.default_value,
+          'formatOptions', f.format_options,
+          'formula', f.formula
+        ) ORDER BY f.order_index
+      )
+      FROM data_source_fields f
+      WHERE f.data_source_id = ds.id
+    ), '[]'::jsonb),
+    'rows', COALESCE((
+      SELECT jsonb_agg(
+        jsonb_build_object(
+          'id', r.id,
+          'values', r.values,
+          'orderIndex', r.order_index,
+          'isActive', r.is_active
+        ) ORDER BY r.order_index
+      )
+      FROM data_source_rows r
+      WHERE r.data_source_id = ds.id AND r.is_active = true
+    ), '[]'::jsonb),
+    'createdAt', ds.created_at,
+    'updatedAt', ds.updated_at
+  ) INTO v_result
+  FROM data_sources ds
+  WHERE ds.id = p_data_source_id;
+
+  RETURN v_result;
+END;
+$$;
+
+DO $$ BEGIN RAISE NOTICE 'Migration 194 completed: computed data source fields'; END $$;
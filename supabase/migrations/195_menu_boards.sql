@@ -0,0 +1,155 @@
+-- ============================================================================
+-- Migration 195: Menu boards
+--
+-- First-class restaurant menus: categories, items with prices, calories,
+-- allergen and dietary tags, modifiers, and availability by daypart
+-- (breakfast, lunch, ...). Items can be marked sold out ("86'd").
+--
+-- Scenes don't read these tables directly. Each menu is published to a data
+-- source of type 'menu' (one row per available item, sold-out items left out)
+-- and menu widgets bind to that data source, so publishing after an edit or a
+-- sold-out change reaches every screen through the existing data source
+-- realtime updates.
+--
+-- Tables:
+--   menus            - named menu with its dayparts and published data source
+--   menu_categories  - ordered sections of a menu
+--   menu_items       - dishes/drinks within a category
+--
+-- Idempotent: IF NOT EXISTS / DROP POLICY IF EXISTS / constraints re-added.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Tables
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.menus (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  currency_symbol TEXT NOT NULL DEFAULT '$',
+  -- [{ "key": "breakfast", "label": "Breakfast", "start": "06:00", "end": "11:00" }]
+  dayparts JSONB NOT NULL DEFAULT '[]'::jsonb,
+  data_source_id UUID REFERENCES public.data_sources(id) ON DELETE SET NULL,
+  published_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_menus_owner ON public.menus(owner_id);
+
+CREATE TABLE IF NOT EXISTS public.menu_categories (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  menu_id UUID REFERENCES public.menus(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  -- Daypart keys the category is served in; empty = all day
+  dayparts TEXT[] NOT NULL DEFAULT '{}',
+  order_index INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_categories_menu ON public.menu_categories(menu_id, order_index);
+
+CREATE TABLE IF NOT EXISTS public.menu_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  menu_id UUID REFERENCES public.menus(id) ON DELETE CASCADE NOT NULL,
+  category_id UUID REFERENCES public.menu_categories(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  price NUMERIC(10, 2),
+  calories INTEGER CHECK (calories IS NULL OR calories >= 0),
+  allergens TEXT[] NOT NULL DEFAULT '{}',
+  dietary_tags TEXT[] NOT NULL DEFAULT '{}',
+  -- [{ "name": "Oat milk", "price": 0.5 }]
+  modifiers JSONB NOT NULL DEFAULT '[]'::jsonb,
+  image_url TEXT,
+  -- Daypart keys the item is served in; empty = the category's dayparts
+  dayparts TEXT[] NOT NULL DEFAULT '{}',
+  is_sold_out BOOLEAN NOT NULL DEFAULT false,
+  sold_out_at TIMESTAMPTZ,
+  order_index INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_category ON public.menu_items(category_id, order_index);
+CREATE INDEX IF NOT EXISTS idx_menu_items_menu ON public.menu_items(menu_id);
+
+COMMENT ON TABLE public.menus IS 'Restaurant menus published to a menu data source for scenes';
+COMMENT ON TABLE public.menu_categories IS 'Ordered sections of a menu, optionally limited to dayparts';
+COMMENT ON TABLE public.menu_items IS 'Menu items with pricing, nutrition, modifiers and sold-out state';
+COMMENT ON COLUMN public.menus.dayparts IS 'Named serving windows: [{key, label, start, end}] with HH:MM times in the screen timezone';
+COMMENT ON COLUMN public.menu_items.is_sold_out IS 'Sold out (86''d): left out of the published menu until cleared';
+
+DROP TRIGGER IF EXISTS update_menus_updated_at ON public.menus;
+CREATE TRIGGER update_menus_updated_at
+  BEFORE UPDATE ON public.menus
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_menu_categories_updated_at ON public.menu_categories;
+CREATE TRIGGER update_menu_categories_updated_at
+  BEFORE UPDATE ON public.menu_categories
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_menu_items_updated_at ON public.menu_items;
+CREATE TRIGGER update_menu_items_updated_at
+  BEFORE UPDATE ON public.menu_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- 2. RLS
+-- ============================================================================
+
+ALTER TABLE public.menus ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.menu_categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.menu_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "menus_all_policy" ON public.menus;
+CREATE POLICY "menus_all_policy"
+ON public.menus FOR ALL
+USING (
+  owner_id = auth.uid()
+  OR is_super_admin()
+  OR (is_admin() AND owner_id IN (SELECT client_id FROM get_my_client_ids()))
+)
+WITH CHECK (
+  owner_id = auth.uid()
+  OR is_super_admin()
+  OR (is_admin() AND owner_id IN (SELECT client_id FROM get_my_client_ids()))
+);
+
+DROP POLICY IF EXISTS "menu_categories_all_policy" ON public.menu_categories;
+CREATE POLICY "menu_categories_all_policy"
+ON public.menu_categories FOR ALL
+USING (menu_id IN (SELECT id FROM public.menus))
+WITH CHECK (menu_id IN (SELECT id FROM public.menus));
+
+DROP POLICY IF EXISTS "menu_items_all_policy" ON public.menu_items;
+CREATE POLICY "menu_items_all_policy"
+ON public.menu_items FOR ALL
+USING (menu_id IN (SELECT id FROM public.menus))
+WITH CHECK (menu_id IN (SELECT id FROM public.menus));
+
+COMMENT ON POLICY "menu_categories_all_policy" ON public.menu_categories IS 'RBAC: Access tied to menu ownership';
+COMMENT ON POLICY "menu_items_all_policy" ON public.menu_items IS 'RBAC: Access tied to menu ownership';
+
+-- ============================================================================
+-- 3. Menu data sources
+-- ============================================================================
+
+ALTER TABLE data_sources DROP CONSTRAINT IF EXISTS data_sources_type_check;
+ALTER TABLE data_sources ADD CONSTRAINT data_sources_type_check
+  CHECK (type IN ('internal_table', 'csv_import', 'google_sheets', 'rest_api', 'menu'));
+
+COMMENT ON COLUMN data_sources.type IS
+  'Source type: internal_table, csv_import, google_sheets, rest_api, or menu (published from the menus tables)';
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 195 completed: Menu boards';
+END $$;
@@ -0,0 +1,183 @@
+-- ============================================================================
+-- Migration 196: Media content hashes and duplicate merging
+--
+-- The same logo or video gets uploaded many times, and every copy counts
+-- against the storage quota and is cached separately on players. Uploads now
+-- record a content hash (computed in the browser, see s3UploadService), so a
+-- tenant's duplicates can be found and merged.
+--
+-- merge_duplicate_media(keep_id, duplicate_ids):
+--   - every duplicate must belong to the same tenant as the kept asset and
+--     have the same content hash
+--   - playlist items, layout zones and scene image blocks that use a
+--     duplicate are pointed at the kept asset
+--   - the duplicates are deleted and the merge is written to activity_log as
+--     'media.merged'
+--
+-- Columns:
+--   media_assets.content_hash  - 'sha256:<hex>' (or 'sha256-sampled:<hex>'
+--                                for very large files)
+--
+-- Functions:
+--   merge_duplicate_media(keep_id, duplicate_ids) - the merge (authenticated)
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Column
+-- ============================================================================
+
+ALTER TABLE public.media_assets
+ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+-- Duplicate lookups are always within one tenant
+CREATE INDEX IF NOT EXISTS idx_media_assets_content_hash
+ON public.media_assets(owner_id, content_hash)
+WHERE content_hash IS NOT NULL;
+
+COMMENT ON COLUMN public.media_assets.content_hash IS
+'Hash of the file contents, set at upload; equal hashes within a tenant are duplicates';
+
+-- ============================================================================
+-- 2. Merge
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.merge_duplicate_media(
+  p_keep_id UUID,
+  p_duplicate_ids UUID[]
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_keep RECORD;
+  v_duplicate_ids UUID[];
+  v_duplicates JSONB;
+  v_bytes_freed BIGINT;
+  v_playlist_items INTEGER := 0;
+  v_layout_zones INTEGER := 0;
+  v_scene_slides INTEGER := 0;
+  v_result JSONB;
+BEGIN
+  SELECT id, owner_id, name, url, content_hash INTO v_keep
+  FROM media_assets
+  WHERE id = p_keep_id;
+
+  IF v_keep.id IS NULL THEN
+    RAISE EXCEPTION 'Media not found';
+  END IF;
+
+  -- Same access rule as get_media_usage
+  IF NOT (
+    v_keep.owner_id = auth.uid() OR
+    is_super_admin() OR
+    is_admin()
+  ) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  IF v_keep.content_hash IS NULL THEN
+    RAISE EXCEPTION 'Media has no content hash';
+  END IF;
+
+  v_duplicate_ids := ARRAY(
+    SELECT DISTINCT unnest(p_duplicate_ids)
+    EXCEPT SELECT p_keep_id
+  );
+
+  IF COALESCE(array_length(v_duplicate_ids, 1), 0) = 0 THEN
+    RAISE EXCEPTION 'No duplicates to merge';
+  END IF;
+
+  -- Only true duplicates of the kept asset, in the same tenant
+  SELECT
+    jsonb_agg(jsonb_build_object('id', id, 'name', name) ORDER BY created_at),
+    COALESCE(SUM(file_size), 0)
+  INTO v_duplicates, v_bytes_freed
+  FROM media_assets
+  WHERE id = ANY(v_duplicate_ids)
+    AND owner_id = v_keep.owner_id
+    AND content_hash = v_keep.content_hash;
+
+  IF COALESCE(jsonb_array_length(v_duplicates), 0) <> array_length(v_duplicate_ids, 1) THEN
+    RAISE EXCEPTION 'Every duplicate must be in the same library and have the same content';
+  END IF;
+
+  UPDATE playlist_items
+  SET item_id = p_keep_id
+  WHERE item_type = 'media'
+    AND item_id = ANY(v_duplicate_ids);
+  GET DIAGNOSTICS v_playlist_items = ROW_COUNT;
+
+  UPDATE layout_zones
+  SET content_id = p_keep_id
+  WHERE content_type = 'media'
+    AND content_id = ANY(v_duplicate_ids);
+  GET DIAGNOSTICS v_layout_zones = ROW_COUNT;
+
+  -- Scene image blocks keep the asset id and URL in their props
+  UPDATE scene_slides ss
+  SET design_json = jsonb_set(
+    ss.design_json,
+    '{blocks}',
+    (
+      SELECT jsonb_agg(
+        CASE
+          WHEN block->'props'->>'media_asset_id' = ANY(v_duplicate_ids::text[]) THEN
+            jsonb_set(
+              jsonb_set(block, '{props,media_asset_id}', to_jsonb(p_keep_id::text)),
+              '{props,url}',
+              to_jsonb(v_keep.url)
+            )
+          ELSE block
+        END
+        ORDER BY position
+      )
+      FROM jsonb_array_elements(ss.design_json->'blocks') WITH ORDINALITY AS b(block, position)
+    )
+  )
+  FROM scenes s
+  WHERE s.id = ss.scene_id
+    AND s.tenant_id = v_keep.owner_id
+    AND jsonb_typeof(ss.design_json->'blocks') = 'array'
+    AND EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(ss.design_json->'blocks') AS b(block)
+      WHERE b.block->'props'->>'media_asset_id' = ANY(v_duplicate_ids::text[])
+    );
+  GET DIAGNOSTICS v_scene_slides = ROW_COUNT;
+
+  DELETE FROM media_assets
+  WHERE id = ANY(v_duplicate_ids);
+
+  v_result := jsonb_build_object(
+    'kept_id', p_keep_id,
+    'merged', v_duplicates,
+    'merged_count', jsonb_array_length(v_duplicates),
+    'bytes_freed', v_bytes_freed,
+    'playlist_items', v_playlist_items,
+    'layout_zones', v_layout_zones,
+    'scene_slides', v_scene_slides
+  );
+
+  PERFORM public.log_activity(
+    auth.uid(),
+    v_keep.owner_id,
+    'media.merged',
+    'media',
+    p_keep_id,
+    v_keep.name,
+    v_result
+  );
+
+  RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.merge_duplicate_media(UUID, UUID[]) TO authenticated;
+
+COMMENT ON FUNCTION public.merge_duplicate_media(UUID, UUID[]) IS
+'Points playlist items, layout zones and scene blocks at the kept asset, deletes its duplicates and logs media.merged';
@@ -0,0 +1,463 @@
+-- ============================================================================
+-- Migration 197: Media processing pipeline (thumbnails, posters, renditions)
+--
+-- Uploads were played as-is: players on weak hardware downloaded 4K
+-- originals, and dimensions, durations and thumbnails came from the browser
+-- that uploaded the file. Uploaded images and videos now get a processing
+-- job; a worker (scripts/media-worker.mjs, ffmpeg + sharp) picks it up and
+-- stores the results as variants of the asset:
+--
+--   thumbnail  - small preview for the library
+--   poster     - a frame from a video, shown before it starts
+--   rendition  - downscaled copy per common screen size (2160/1080/720/480),
+--                rotated upright ("normalised orientation")
+--
+-- Players fetch the renditions of the media they play
+-- (get_screen_media_renditions) and mediaPreloader picks one for the screen
+-- size and measured bandwidth; the original stays the fallback.
+--
+-- Jobs are claimed with SKIP LOCKED so several workers can run side by side.
+-- Failures retry with backoff up to max_attempts; a job locked for longer
+-- than 30 minutes is considered abandoned and can be claimed again.
+--
+-- Tables:
+--   media_variants           - one row per generated file
+--   media_processing_jobs    - the queue
+--
+-- Columns:
+--   media_assets.processing_status - pending / processing / ready / failed
+--
+-- Functions:
+--   enqueue_media_processing(media_id)          - (re)process an asset (authenticated)
+--   claim_media_processing_job(worker_id)        - worker (service_role)
+--   complete_media_processing_job(job_id, ...)   - worker (service_role)
+--   fail_media_processing_job(job_id, error)     - worker (service_role)
+--   get_screen_media_renditions(screen_id, urls) - player (anon)
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP ... IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Tables and columns
+-- ============================================================================
+
+ALTER TABLE public.media_assets
+ADD COLUMN IF NOT EXISTS processing_status TEXT;
+
+ALTER TABLE public.media_assets
+DROP CONSTRAINT IF EXISTS media_assets_processing_status_check;
+ALTER TABLE public.media_assets
+ADD CONSTRAINT media_assets_processing_status_check
+CHECK (processing_status IS NULL OR processing_status IN ('pending', 'processing', 'ready', 'failed'));
+
+COMMENT ON COLUMN public.media_assets.processing_status IS
+'Server-side processing state (NULL for types that are not processed)';
+
+CREATE TABLE IF NOT EXISTS public.media_variants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  media_id UUID NOT NULL REFERENCES public.media_assets(id) ON DELETE CASCADE,
+  owner_id UUID NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('thumbnail', 'poster', 'rendition')),
+  label TEXT NOT NULL,
+  url TEXT NOT NULL,
+  storage_key TEXT,
+  mime_type TEXT,
+  width INTEGER,
+  height INTEGER,
+  file_size BIGINT,
+  bitrate INTEGER, -- bits per second (video renditions)
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (media_id, kind, label)
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_variants_media ON public.media_variants(media_id);
+
+COMMENT ON TABLE public.media_variants IS
+'Files generated from a media asset by the processing worker: thumbnails, video posters and downscaled renditions';
+
+CREATE TABLE IF NOT EXISTS public.media_processing_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  media_id UUID NOT NULL REFERENCES public.media_assets(id) ON DELETE CASCADE,
+  owner_id UUID NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_by TEXT,
+  locked_at TIMESTAMPTZ,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+-- At most one open job per asset
+CREATE UNIQUE INDEX IF NOT EXISTS idx_media_processing_jobs_open
+ON public.media_processing_jobs(media_id)
+WHERE status IN ('pending', 'processing');
+
+CREATE INDEX IF NOT EXISTS idx_media_processing_jobs_queue
+ON public.media_processing_jobs(run_after)
+WHERE status IN ('pending', 'processing');
+
+COMMENT ON TABLE public.media_processing_jobs IS
+'Queue of media assets waiting for the processing worker';
+
+-- ============================================================================
+-- 2. RLS
+-- ============================================================================
+
+ALTER TABLE public.media_variants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.media_processing_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Read-only for tenants; only the worker (service_role) writes
+DROP POLICY IF EXISTS "media_variants_select_policy" ON public.media_variants;
+CREATE POLICY "media_variants_select_policy"
+ON public.media_variants FOR SELECT
+USING (
+  owner_id = auth.uid()
+  OR is_super_admin()
+  OR (is_admin() AND owner_id IN (SELECT client_id FROM get_my_client_ids()))
+);
+
+DROP POLICY IF EXISTS "media_processing_jobs_select_policy" ON public.media_processing_jobs;
+CREATE POLICY "media_processing_jobs_select_policy"
+ON public.media_processing_jobs FOR SELECT
+USING (
+  owner_id = auth.uid()
+  OR is_super_admin()
+  OR (is_admin() AND owner_id IN (SELECT client_id FROM get_my_client_ids()))
+);
+
+-- ============================================================================
+-- 3. Enqueueing
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.queue_media_processing_job(p_media_id UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_media RECORD;
+  v_job_id UUID;
+BEGIN
+  SELECT id, owner_id, type, url INTO v_media
+  FROM media_assets
+  WHERE id = p_media_id;
+
+  IF v_media.id IS NULL OR v_media.type NOT IN ('image', 'video') OR v_media.url IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT id INTO v_job_id
+  FROM media_processing_jobs
+  WHERE media_id = p_media_id
+    AND status IN ('pending', 'processing');
+
+  IF v_job_id IS NULL THEN
+    INSERT INTO media_processing_jobs (media_id, owner_id)
+    VALUES (p_media_id, v_media.owner_id)
+    RETURNING id INTO v_job_id;
+  END IF;
+
+  UPDATE media_assets
+  SET processing_status = 'pending'
+  WHERE id = p_media_id
+    AND processing_status IS DISTINCT FROM 'processing';
+
+  RETURN v_job_id;
+END;
+$$;
+
+-- New uploads and replaced files are processed automatically
+CREATE OR REPLACE FUNCTION public.enqueue_media_processing_on_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.type IN ('image', 'video') AND NEW.url IS NOT NULL
+     AND (TG_OP = 'INSERT' OR NEW.url IS DISTINCT FROM OLD.url) THEN
+    PERFORM public.queue_media_processing_job(NEW.id);
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_media_assets_enqueue_processing ON public.media_assets;
+CREATE TRIGGER trg_media_assets_enqueue_processing
+  AFTER INSERT OR UPDATE OF url ON public.media_assets
+  FOR EACH ROW EXECUTE FUNCTION public.enqueue_media_processing_on_change();
+
+-- Users can ask for an asset to be processed again (e.g. media uploaded
+-- before the pipeline existed)
+CREATE OR REPLACE FUNCTION public.enqueue_media_processing(p_media_id UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner_id UUID;
+BEGIN
+  SELECT owner_id INTO v_owner_id
+  FROM media_assets
+  WHERE id = p_media_id;
+
+  IF v_owner_id IS NULL THEN
+    RAISE EXCEPTION 'Media not found';
+  END IF;
+
+  IF NOT (v_owner_id = auth.uid() OR is_super_admin() OR is_admin()) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  RETURN public.queue_media_processing_job(p_media_id);
+END;
+$$;
+
+-- ============================================================================
+-- 4. Worker
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.claim_media_processing_job(p_worker_id TEXT)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_job media_processing_jobs%ROWTYPE;
+  v_media RECORD;
+BEGIN
+  SELECT * INTO v_job
+  FROM media_processing_jobs
+  WHERE run_after <= NOW()
+    AND (
+      status = 'pending'
+      OR (status = 'processing' AND locked_at < NOW() - INTERVAL '30 minutes')
+    )
+  ORDER BY run_after, created_at
+  LIMIT 1
+  FOR UPDATE SKIP LOCKED;
+
+  IF v_job.id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  UPDATE media_processing_jobs
+  SET status = 'processing',
+      attempts = attempts + 1,
+      locked_by = p_worker_id,
+      locked_at = NOW()
+  WHERE id = v_job.id;
+
+  UPDATE media_assets
+  SET processing_status = 'processing'
+  WHERE id = v_job.media_id;
+
+  SELECT id, owner_id, type, url, mime_type, name INTO v_media
+  FROM media_assets
+  WHERE id = v_job.media_id;
+
+  RETURN jsonb_build_object(
+    'job_id', v_job.id,
+    'attempt', v_job.attempts + 1,
+    'media', to_jsonb(v_media)
+  );
+END;
+$$;
+
+-- p_variants: [{ kind, label, url, storage_key, mime_type, width, height, file_size, bitrate }]
+-- p_metadata: { width, height, duration } measured from the upright file
+-- (trigger_set_media_orientation derives orientation from them)
+CREATE OR REPLACE FUNCTION public.complete_media_processing_job(
+  p_job_id UUID,
+  p_variants JSONB,
+  p_metadata JSONB DEFAULT '{}'
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_job media_processing_jobs%ROWTYPE;
+  v_thumbnail_url TEXT;
+BEGIN
+  SELECT * INTO v_job
+  FROM media_processing_jobs
+  WHERE id = p_job_id
+  FOR UPDATE;
+
+  IF v_job.id IS NULL THEN
+    RAISE EXCEPTION 'Job not found';
+  END IF;
+
+  -- Replace the previous run's variants
+  DELETE FROM media_variants WHERE media_id = v_job.media_id;
+
+  INSERT INTO media_variants (
+    media_id, owner_id, kind, label, url, storage_key, mime_type,
+    width, height, file_size, bitrate
+  )
+  SELECT
+    v_job.media_id,
+    v_job.owner_id,
+    v->>'kind',
+    v->>'label',
+    v->>'url',
+    v->>'storage_key',
+    v->>'mime_type',
+    (v->>'width')::INTEGER,
+    (v->>'height')::INTEGER,
+    (v->>'file_size')::BIGINT,
+    (v->>'bitrate')::INTEGER
+  FROM jsonb_array_elements(COALESCE(p_variants, '[]'::jsonb)) AS v;
+
+  SELECT url INTO v_thumbnail_url
+  FROM media_variants
+  WHERE media_id = v_job.media_id AND kind = 'thumbnail'
+  LIMIT 1;
+
+  -- Measured values replace what the uploading browser reported
+  UPDATE media_assets
+  SET processing_status = 'ready',
+      thumbnail_url = COALESCE(v_thumbnail_url, thumbnail_url),
+      width = COALESCE((p_metadata->>'width')::INTEGER, width),
+      height = COALESCE((p_metadata->>'height')::INTEGER, height),
+      duration = COALESCE(ROUND((p_metadata->>'duration')::NUMERIC)::INTEGER, duration)
+  WHERE id = v_job.media_id;
+
+  UPDATE media_processing_jobs
+  SET status = 'completed',
+      completed_at = NOW(),
+      locked_by = NULL,
+      locked_at = NULL,
+      last_error = NULL
+  WHERE id = p_job_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.fail_media_processing_job(p_job_id UUID, p_error TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_job media_processing_jobs%ROWTYPE;
+  v_final BOOLEAN;
+BEGIN
+  SELECT * INTO v_job
+  FROM media_processing_jobs
+  WHERE id = p_job_id
+  FOR UPDATE;
+
+  IF v_job.id IS NULL THEN
+    RAISE EXCEPTION 'Job not found';
+  END IF;
+
+  v_final := v_job.attempts >= v_job.max_attempts;
+
+  -- Retry after 1, 4, 9... minutes
+  UPDATE media_processing_jobs
+  SET status = CASE WHEN v_final THEN 'failed' ELSE 'pending' END,
+      run_after = NOW() + make_interval(mins => v_job.attempts * v_job.attempts),
+      locked_by = NULL,
+      locked_at = NULL,
+      last_error = left(p_error, 2000)
+  WHERE id = p_job_id;
+
+  -- The original still plays; only a final failure is surfaced
+  UPDATE media_assets
+  SET processing_status = CASE WHEN v_final THEN 'failed' ELSE 'pending' END
+  WHERE id = v_job.media_id;
+END;
+$$;
+
+-- ============================================================================
+-- 5. Player
+-- ============================================================================
+
+-- Renditions of the screen's tenant's media, looked up by the URLs the player
+-- is about to play
+CREATE OR REPLACE FUNCTION public.get_screen_media_renditions(
+  p_screen_id UUID,
+  p_urls TEXT[]
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner_id UUID;
+BEGIN
+  SELECT owner_id INTO v_owner_id
+  FROM tv_devices
+  WHERE id = p_screen_id;
+
+  IF v_owner_id IS NULL OR p_urls IS NULL THEN
+    RETURN '[]'::jsonb;
+  END IF;
+
+  RETURN COALESCE((
+    SELECT jsonb_agg(jsonb_build_object(
+      'url', ma.url,
+      'type', ma.type,
+      'width', ma.width,
+      'height', ma.height,
+      'renditions', (
+        SELECT jsonb_agg(jsonb_build_object(
+          'label', mv.label,
+          'url', mv.url,
+          'width', mv.width,
+          'height', mv.height,
+          'bitrate', mv.bitrate
+        ) ORDER BY mv.height)
+        FROM media_variants mv
+        WHERE mv.media_id = ma.id AND mv.kind = 'rendition'
+      ),
+      'poster', (
+        SELECT mv.url
+        FROM media_variants mv
+        WHERE mv.media_id = ma.id AND mv.kind = 'poster'
+        LIMIT 1
+      )
+    ))
+    FROM media_assets ma
+    WHERE ma.owner_id = v_owner_id
+      AND ma.url = ANY(p_urls[1:500])
+      AND EXISTS (SELECT 1 FROM media_variants mv WHERE mv.media_id = ma.id)
+  ), '[]'::jsonb);
+END;
+$$;
+
+-- ============================================================================
+-- 6. Grants
+-- ============================================================================
+
+REVOKE ALL ON FUNCTION public.queue_media_processing_job(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.claim_media_processing_job(TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.complete_media_processing_job(UUID, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE ALL ON FUNCTION public.fail_media_processing_job(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_media_processing_job(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION public.complete_media_processing_job(UUID, JSONB, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION public.fail_media_processing_job(UUID, TEXT) TO service_role;
+
+GRANT EXECUTE ON FUNCTION public.enqueue_media_processing(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_screen_media_renditions(UUID, TEXT[]) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_screen_media_renditions(UUID, TEXT[]) TO authenticated;
+
+COMMENT ON FUNCTION public.claim_media_processing_job(TEXT) IS
+'Worker: claims the next due media processing job (SKIP LOCKED) and returns it with its media';
+COMMENT ON FUNCTION public.complete_media_processing_job(UUID, JSONB, JSONB) IS
+'Worker: stores generated variants and measured dimensions/duration, marks the asset ready';
+COMMENT ON FUNCTION public.fail_media_processing_job(UUID, TEXT) IS
+'Worker: records a failed attempt and schedules a retry until max_attempts';
+COMMENT ON FUNCTION public.get_screen_media_renditions(UUID, TEXT[]) IS
+'Player: renditions and posters for the given media URLs in the screen''s tenant';
@@ -0,0 +1,607 @@
+-- ============================================================================
+-- Migration 198: Smart media collections
+--
+-- Folders and tags are filled in by hand. A smart collection is a saved query
+-- over the media library instead: a list of rules such as
+--
+--   { "field": "tag",         "operator": "includes",    "value": "summer" }
+--   { "field": "type",        "operator": "is",          "value": "video" }
+--   { "field": "uploaded",    "operator": "within_days", "value": 30 }
+--   { "field": "orientation", "operator": "is",          "value": "portrait" }
+--
+-- matched all together or any one of them (match_mode). Collections are
+-- evaluated when they are read, so they are always up to date.
+--
+-- A collection can be added to a playlist (playlist_items.item_type
+-- 'collection'). The player receives it like a nested playlist whose items
+-- are the matching media, so a playlist bound to "Summer videos" grows as
+-- matching media is uploaded. Screens of the tenant are flagged to refresh
+-- (tv_devices.needs_refresh) when media that matches a collection in use is
+-- added, changed or removed, or when such a collection's rules change.
+--
+-- Rules (see mediaCollectionService.COLLECTION_FIELDS):
+--   tag          includes | excludes           value: tag (case-insensitive)
+--   type         is | is_not                   value: image, video, ...
+--   orientation  is | is_not                   value: landscape, portrait, square
+--   uploaded     within_days                   value: number of days
+--                before | after                value: 'YYYY-MM-DD'
+--   name         contains                      value: text (case-insensitive)
+--   folder       is                            value: folder id
+--   duration     at_least | at_most            value: seconds
+-- A collection without rules matches nothing. Archived and ended media are
+-- left out.
+--
+-- Tables:
+--   media_collections - name, rules, match_mode, sort_order, item_limit
+--
+-- Functions:
+--   media_matches_collection(media, rules, match_mode)   - rule evaluation
+--   media_collection_assets(owner, rules, ...)           - matching media
+--   preview_media_collection(rules, ...)                 - editor preview (authenticated)
+--   playlist_player_items(playlist_id, depth)            - adds collection items
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP ... IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.media_collections (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  rules JSONB NOT NULL DEFAULT '[]'::jsonb,
+  match_mode TEXT NOT NULL DEFAULT 'all',
+  -- 'random' is sent to the player as a shuffled nested playlist
+  sort_order TEXT NOT NULL DEFAULT 'newest',
+  item_limit INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_collections_owner ON public.media_collections(owner_id);
+
+ALTER TABLE public.media_collections
+DROP CONSTRAINT IF EXISTS media_collections_rules_array;
+ALTER TABLE public.media_collections
+ADD CONSTRAINT media_collections_rules_array
+CHECK (jsonb_typeof(rules) = 'array');
+
+ALTER TABLE public.media_collections
+DROP CONSTRAINT IF EXISTS media_collections_match_mode_check;
+ALTER TABLE public.media_collections
+ADD CONSTRAINT media_collections_match_mode_check
+CHECK (match_mode IN ('all', 'any'));
+
+ALTER TABLE public.media_collections
+DROP CONSTRAINT IF EXISTS media_collections_sort_order_check;
+ALTER TABLE public.media_collections
+ADD CONSTRAINT media_collections_sort_order_check
+CHECK (sort_order IN ('newest', 'oldest', 'name', 'random'));
+
+ALTER TABLE public.media_collections
+DROP CONSTRAINT IF EXISTS media_collections_item_limit_check;
+ALTER TABLE public.media_collections
+ADD CONSTRAINT media_collections_item_limit_check
+CHECK (item_limit IS NULL OR item_limit BETWEEN 1 AND 500);
+
+DROP TRIGGER IF EXISTS update_media_collections_updated_at ON public.media_collections;
+CREATE TRIGGER update_media_collections_updated_at
+  BEFORE UPDATE ON public.media_collections
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Collections can be items of playlists
+ALTER TABLE public.playlist_items
+DROP CONSTRAINT IF EXISTS playlist_items_item_type_check;
+ALTER TABLE public.playlist_items
+ADD CONSTRAINT playlist_items_item_type_check
+CHECK (item_type IN ('media', 'app', 'layout', 'web_page', 'playlist', 'collection'));
+
+COMMENT ON TABLE public.media_collections IS
+'Smart collections: saved rules over the media library, evaluated when read';
+COMMENT ON COLUMN public.media_collections.rules IS
+'[{ field, operator, value }], see migration 198 for fields and operators';
+COMMENT ON COLUMN public.media_collections.item_limit IS
+'At most this many media (after sorting); NULL for all, capped at 500';
+
+-- ============================================================================
+-- 2. RLS
+-- ============================================================================
+
+ALTER TABLE public.media_collections ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "media_collections_all_policy" ON public.media_collections;
+CREATE POLICY "media_collections_all_policy"
+ON public.media_collections FOR ALL
+USING (
+  owner_id = auth.uid()
+  OR is_super_admin()
+  OR (is_admin() AND owner_id IN (SELECT client_id FROM get_my_client_ids()))
+)
+WITH CHECK (
+  owner_id = auth.uid()
+  OR is_super_admin()
+  OR (is_admin() AND owner_id IN (SELECT client_id FROM get_my_client_ids()))
+);
+
+-- ============================================================================
+-- 3. Rule evaluation
+-- ============================================================================
+
+-- 'YYYY-MM-DD' as a date, NULL when it is not one (e.g. 2026-02-31)
+CREATE OR REPLACE FUNCTION public.media_collection_rule_date(p_value TEXT)
+RETURNS DATE
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+  IF p_value !~ '^[0-9]{4}-[0-9]{2}-[0-9]{2}$' THEN
+    RETURN NULL;
+  END IF;
+  RETURN p_value::DATE;
+EXCEPTION
+  WHEN invalid_datetime_format OR datetime_field_overflow THEN
+    RETURN NULL;
+END;
+$$;
+
+-- Whether one media asset passes one rule; unknown fields, operators and
+-- malformed values never match
+CREATE OR REPLACE FUNCTION public.media_matches_collection_rule(p_media public.media_assets, p_rule JSONB)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+DECLARE
+  v_operator TEXT := p_rule->>'operator';
+  v_value TEXT := NULLIF(btrim(p_rule->>'value'), '');
+  v_has_tag BOOLEAN;
+BEGIN
+  IF v_value IS NULL THEN
+    RETURN false;
+  END IF;
+
+  CASE p_rule->>'field'
+    WHEN 'tag' THEN
+      v_has_tag := EXISTS (
+        SELECT 1
+        FROM jsonb_array_elements_text(
+          CASE WHEN jsonb_typeof(p_media.tags) = 'array' THEN p_media.tags ELSE '[]'::jsonb END
+        ) AS t(tag)
+        WHERE lower(t.tag) = lower(v_value)
+      );
+      RETURN CASE v_operator
+        WHEN 'includes' THEN v_has_tag
+        WHEN 'excludes' THEN NOT v_has_tag
+        ELSE false
+      END;
+
+    WHEN 'type' THEN
+      RETURN COALESCE(CASE v_operator
+        WHEN 'is' THEN p_media.type = v_value
+        WHEN 'is_not' THEN p_media.type IS DISTINCT FROM v_value
+      END, false);
+
+    WHEN 'orientation' THEN
+      RETURN COALESCE(CASE v_operator
+        WHEN 'is' THEN p_media.orientation = v_value
+        WHEN 'is_not' THEN p_media.orientation IS DISTINCT FROM v_value
+      END, false);
+
+    WHEN 'uploaded' THEN
+      IF v_operator = 'within_days' AND v_value ~ '^[0-9]{1,5}$' THEN
+        RETURN p_media.created_at >= NOW() - make_interval(days => v_value::INTEGER);
+      ELSIF v_operator = 'before' THEN
+        RETURN COALESCE(p_media.created_at < public.media_collection_rule_date(v_value), false);
+      ELSIF v_operator = 'after' THEN
+        RETURN COALESCE(p_media.created_at >= public.media_collection_rule_date(v_value) + 1, false);
+      END IF;
+      RETURN false;
+
+    WHEN 'name' THEN
+      RETURN v_operator = 'contains'
+        AND position(lower(v_value) IN lower(COALESCE(p_media.name, ''))) > 0;
+
+    WHEN 'folder' THEN
+      RETURN v_operator = 'is' AND p_media.folder_id::TEXT = v_value;
+
+    WHEN 'duration' THEN
+      IF v_value !~ '^[0-9]+(\.[0-9]+)?$' OR p_media.duration IS NULL THEN
+        RETURN false;
+      END IF;
+      RETURN COALESCE(CASE v_operator
+        WHEN 'at_least' THEN p_media.duration >= v_value::NUMERIC
+        WHEN 'at_most' THEN p_media.duration <= v_value::NUMERIC
+      END, false);
+
+    ELSE
+      RETURN false;
+  END CASE;
+END;
+$$;
+
+-- All rules ('all') or at least one ('any'); no rules matches nothing
+CREATE OR REPLACE FUNCTION public.media_matches_collection(
+  p_media public.media_assets,
+  p_rules JSONB,
+  p_match_mode TEXT
+)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT COALESCE(
+    CASE WHEN p_match_mode = 'any'
+      THEN bool_or(public.media_matches_collection_rule(p_media, r.rule))
+      ELSE bool_and(public.media_matches_collection_rule(p_media, r.rule))
+    END,
+    false
+  )
+  FROM jsonb_array_elements(
+    CASE WHEN jsonb_typeof(p_rules) = 'array' THEN p_rules ELSE '[]'::jsonb END
+  ) AS r(rule);
+$$;
+
+-- A tenant's media matching a set of rules, sorted and limited. 'random'
+-- returns the newest; the player shuffles them.
+CREATE OR REPLACE FUNCTION public.media_collection_assets(
+  p_owner_id UUID,
+  p_rules JSONB,
+  p_match_mode TEXT DEFAULT 'all',
+  p_sort_order TEXT DEFAULT 'newest',
+  p_item_limit INTEGER DEFAULT NULL
+)
+RETURNS SETOF public.media_assets
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT ma.*
+  FROM public.media_assets ma
+  WHERE ma.owner_id = p_owner_id
+    AND ma.archived_at IS NULL
+    AND COALESCE(ma.valid_until > NOW(), true)
+    AND public.media_matches_collection(ma, p_rules, p_match_mode)
+  ORDER BY
+    CASE WHEN p_sort_order = 'name' THEN lower(ma.name) END,
+    CASE WHEN p_sort_order = 'oldest' THEN ma.created_at END,
+    ma.created_at DESC
+  LIMIT LEAST(COALESCE(p_item_limit, 500), 500);
+$$;
+
+REVOKE ALL ON FUNCTION public.media_collection_assets(UUID, JSONB, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- What a collection being edited would contain, for the current user's
+-- library: { count, items: first p_sample media }
+CREATE OR REPLACE FUNCTION public.preview_media_collection(
+  p_rules JSONB,
+  p_match_mode TEXT DEFAULT 'all',
+  p_sort_order TEXT DEFAULT 'newest',
+  p_item_limit INTEGER DEFAULT NULL,
+  p_sample INTEGER DEFAULT 24
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_count INTEGER;
+  v_items JSONB;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  SELECT
+    COUNT(*)::INTEGER,
+    COALESCE(jsonb_agg(jsonb_build_object(
+      'id', m.id,
+      'name', m.name,
+      'type', m.type,
+      'url', m.url,
+      'thumbnail_url', m.thumbnail_url,
+      'orientation', m.orientation,
+      'created_at', m.created_at
+    ) ORDER BY m.ordinality) FILTER (WHERE m.ordinality <= LEAST(GREATEST(p_sample, 0), 100)), '[]'::jsonb)
+  INTO v_count, v_items
+  FROM public.media_collection_assets(auth.uid(), p_rules, p_match_mode, p_sort_order, p_item_limit)
+    WITH ORDINALITY AS m;
+
+  RETURN jsonb_build_object('count', v_count, 'items', v_items);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.preview_media_collection(JSONB, TEXT, TEXT, INTEGER, INTEGER) TO authenticated;
+
+COMMENT ON FUNCTION public.preview_media_collection(JSONB, TEXT, TEXT, INTEGER, INTEGER) IS
+'Count and first media of the current user''s library matching collection rules';
+
+-- ============================================================================
+-- 4. Playlist integrity
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.check_collection_playlist_item()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NEW.item_type <> 'collection' THEN
+    RETURN NEW;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM public.playlists pl
+    JOIN public.media_collections c ON c.owner_id = pl.owner_id
+    WHERE pl.id = NEW.playlist_id AND c.id = NEW.item_id
+  ) THEN
+    RAISE EXCEPTION 'Collection not found';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_check_collection_playlist_item ON public.playlist_items;
+CREATE TRIGGER trg_check_collection_playlist_item
+  BEFORE INSERT OR UPDATE OF item_type, item_id, playlist_id ON public.playlist_items
+  FOR EACH ROW EXECUTE FUNCTION public.check_collection_playlist_item();
+
+-- ============================================================================
+-- 5. Screen refresh
+--    Playlists read collections live, but players only reload content when
+--    flagged. Flag the tenant's screens when a collection in use changes
+--    what it contains.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.mark_devices_for_refresh_on_collection_media()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner_id UUID;
+  v_affected BOOLEAN := false;
+  v_collection RECORD;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    v_owner_id := OLD.owner_id;
+  ELSE
+    v_owner_id := NEW.owner_id;
+  END IF;
+
+  FOR v_collection IN
+    SELECT c.rules, c.match_mode
+    FROM public.media_collections c
+    WHERE c.owner_id = v_owner_id
+      AND EXISTS (
+        SELECT 1 FROM public.playlist_items pi
+        WHERE pi.item_type = 'collection' AND pi.item_id = c.id
+      )
+  LOOP
+    IF TG_OP <> 'DELETE' AND public.media_matches_collection(NEW, v_collection.rules, v_collection.match_mode) THEN
+      v_affected := true;
+    ELSIF TG_OP <> 'INSERT' AND public.media_matches_collection(OLD, v_collection.rules, v_collection.match_mode) THEN
+      v_affected := true;
+    END IF;
+    EXIT WHEN v_affected;
+  END LOOP;
+
+  IF v_affected THEN
+    UPDATE public.tv_devices
+    SET needs_refresh = true
+    WHERE owner_id = v_owner_id
+      AND needs_refresh IS DISTINCT FROM true;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_refresh_devices_on_collection_media ON public.media_assets;
+CREATE TRIGGER trg_refresh_devices_on_collection_media
+  AFTER INSERT OR DELETE OR UPDATE OF
+    name, type, url, tags, width, height, orientation, folder_id, duration, archived_at, valid_until
+  ON public.media_assets
+  FOR EACH ROW EXECUTE FUNCTION public.mark_devices_for_refresh_on_collection_media();
+
+-- A deleted collection leaves the playlists that used it; edited or deleted
+-- collections in use refresh the tenant's screens
+CREATE OR REPLACE FUNCTION public.handle_media_collection_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner_id UUID;
+  v_in_use BOOLEAN;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    v_owner_id := OLD.owner_id;
+    DELETE FROM public.playlist_items
+    WHERE item_type = 'collection' AND item_id = OLD.id;
+    v_in_use := FOUND;
+  ELSE
+    v_owner_id := NEW.owner_id;
+    v_in_use := EXISTS (
+      SELECT 1 FROM public.playlist_items
+      WHERE item_type = 'collection' AND item_id = NEW.id
+    );
+  END IF;
+
+  IF v_in_use THEN
+    UPDATE public.tv_devices
+    SET needs_refresh = true
+    WHERE owner_id = v_owner_id
+      AND needs_refresh IS DISTINCT FROM true;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_handle_media_collection_change ON public.media_collections;
+CREATE TRIGGER trg_handle_media_collection_change
+  AFTER DELETE OR UPDATE OF name, rules, match_mode, sort_order, item_limit
+  ON public.media_collections
+  FOR EACH ROW EXECUTE FUNCTION public.handle_media_collection_change();
+
+-- ============================================================================
+-- 6. playlist_player_items(playlist_id, depth)
+--    As in migration 188, plus collection items. A collection is returned
+--    like a nested playlist { type: 'playlist', mediaType: 'collection',
+--    collectionId, playbackMode, playbackSeed, items } so the player expands
+--    it with the playlist's rules; 'random' collections play shuffled.
+-- ============================================================================
+
+-- Player items for the media of a collection; the playlist item's duration
+-- overrides every media's own
+CREATE OR REPLACE FUNCTION public.media_collection_player_items(
+  p_collection_id UUID,
+  p_duration INTEGER,
+  p_default_duration INTEGER
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE(jsonb_agg(
+    jsonb_build_object(
+      'id', ma.id,
+      'position', ma.ordinality - 1,
+      'type', 'media',
+      'mediaType', ma.type,
+      'url', COALESCE(ma.url, ''),
+      'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+      'name', COALESCE(ma.name, ''),
+      'duration', COALESCE(p_duration, ma.duration, p_default_duration),
+      'width', ma.width,
+      'height', ma.height,
+      'config', ma.config_json,
+      'weight', 1,
+      'triggerRules', '[]'::jsonb,
+      'weatherConditions', '[]'::jsonb,
+      'validFrom', ma.valid_from,
+      'validUntil', ma.valid_until
+    )
+    ORDER BY ma.ordinality
+  ), '[]'::jsonb)
+  FROM public.media_collections c
+  CROSS JOIN LATERAL public.media_collection_assets(c.owner_id, c.rules, c.match_mode, c.sort_order, c.item_limit)
+    WITH ORDINALITY AS ma
+  WHERE c.id = p_collection_id;
+$$;
+
+REVOKE ALL ON FUNCTION public.media_collection_player_items(UUID, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION public.playlist_player_items(p_playlist_id UUID, p_depth INTEGER DEFAULT 0)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_default_duration INTEGER;
+  v_items JSONB;
+BEGIN
+  -- Deeper nesting is ignored
+  IF p_depth > 3 THEN
+    RETURN '[]'::jsonb;
+  END IF;
+
+  SELECT COALESCE(default_duration, 10) INTO v_default_duration
+  FROM public.playlists
+  WHERE id = p_playlist_id;
+
+  SELECT COALESCE(jsonb_agg(
+    CASE
+    WHEN pi.item_type = 'playlist' THEN
+      jsonb_build_object(
+        'id', pi.id,
+        'position', pi.position,
+        'type', 'playlist',
+        'mediaType', 'playlist',
+        'name', sub.name,
+        'playlistId', sub.id,
+        'playbackMode', sub.playback_mode,
+        'playbackSeed', COALESCE(sub.playback_seed, sub.id::text),
+        'weight', pi.weight,
+        'triggerRules', COALESCE(pi.trigger_rules, '[]'::jsonb),
+        'weatherConditions', COALESCE(pi.weather_conditions, '[]'::jsonb),
+        'validFrom', pi.valid_from,
+        'validUntil', pi.valid_until,
+        'items', public.playlist_player_items(sub.id, p_depth + 1)
+      )
+    WHEN pi.item_type = 'collection' THEN
+      jsonb_build_object(
+        'id', pi.id,
+        'position', pi.position,
+        'type', 'playlist',
+        'mediaType', 'collection',
+        'name', mc.name,
+        'collectionId', mc.id,
+        'playbackMode', CASE WHEN mc.sort_order = 'random' THEN 'shuffle' ELSE 'sequential' END,
+        'playbackSeed', mc.id::text,
+        'weight', pi.weight,
+        'triggerRules', COALESCE(pi.trigger_rules, '[]'::jsonb),
+        'weatherConditions', COALESCE(pi.weather_conditions, '[]'::jsonb),
+        'validFrom', pi.valid_from,
+        'validUntil', pi.valid_until,
+        'items', public.media_collection_player_items(mc.id, pi.duration, v_default_duration)
+      )
+    ELSE
+      jsonb_build_object(
+        'id', pi.id,
+        'position', pi.position,
+        'type', pi.item_type,
+        'mediaType', COALESCE(ma.type, 'unknown'),
+        'url', COALESCE(ma.url, ''),
+        'thumbnailUrl', COALESCE(ma.thumbnail_url, ''),
+        'name', COALESCE(ma.name, ''),
+        'duration', COALESCE(pi.duration, ma.duration, v_default_duration),
+        'width', ma.width,
+        'height', ma.height,
+        'config', ma.config_json,
+        'weight', pi.weight,
+        'triggerRules', COALESCE(pi.trigger_rules, '[]'::jsonb),
+        'weatherConditions', COALESCE(pi.weather_conditions, '[]'::jsonb),
+        'validFrom', GREATEST(pi.valid_from, ma.valid_from),
+        'validUntil', LEAST(pi.valid_until, ma.valid_until)
+      )
+    END
+    ORDER BY pi.position
+  ), '[]'::jsonb) INTO v_items
+  FROM public.playlist_items pi
+  LEFT JOIN public.media_assets ma ON pi.item_type NOT IN ('playlist', 'collection') AND pi.item_id = ma.id
+  LEFT JOIN public.playlists sub ON pi.item_type = 'playlist' AND pi.item_id = sub.id
+  LEFT JOIN public.media_collections mc ON pi.item_type = 'collection' AND pi.item_id = mc.id
+  WHERE pi.playlist_id = p_playlist_id
+    AND (pi.item_type <> 'playlist' OR sub.id IS NOT NULL)
+    AND (pi.item_type <> 'collection' OR mc.id IS NOT NULL)
+    AND ma.archived_at IS NULL
+    AND COALESCE(LEAST(pi.valid_until, ma.valid_until) > NOW(), true);
+
+  RETURN v_items;
+END;
+$$;
+
+COMMENT ON FUNCTION public.playlist_player_items IS
+'Player items of a playlist with nested playlists (up to 3 levels) and smart collections expanded; ended items and archived media are left out';
+
+-- Only reached through get_resolved_player_content
+REVOKE ALL ON FUNCTION public.playlist_player_items(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,231 @@
+-- ============================================================================
+-- Migration 200: Proof-of-play report registry
+--
+-- Proof-of-play reports carried a SHA-256 over their rows that was computed
+-- in the browser and shipped inside the same CSV/PDF, so anyone editing the
+-- plays could recompute it. The hash is now computed here, from
+-- playback_events, and kept in proof_of_play_reports. An exported report
+-- verifies only when the hash of its rows matches the stored one.
+--
+-- Rows are hashed in report order (started_at, id), one line per play:
+--   id|started_at|ended_at|duration_seconds|screen_id|campaign_id|media_id
+-- with timestamps as UTC ISO 8601 with milliseconds (2026-03-02T10:00:00.000Z)
+-- and an empty field for a missing media_id, lines joined with "\n". This is
+-- the same serialization as proofOfPlayService.canonicalizeProofOfPlayRow.
+--
+-- Plays recorded after a report was generated are left out of it
+-- (playback_events.created_at <= generated_at), so the client can fetch the
+-- same rows after registering the report.
+--
+-- Tables:
+--   proof_of_play_reports - one row per generated report (read-only for clients)
+--
+-- Functions:
+--   create_proof_of_play_report(from, to, campaign, advertiser, screen, tenant)
+--                                                  - hash and store a report (authenticated)
+--   verify_proof_of_play_report(report_id, hash)   - check an exported report (anon)
+--
+-- Idempotent: IF NOT EXISTS / CREATE OR REPLACE / DROP ... IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Table
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS public.proof_of_play_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  window_from TIMESTAMPTZ NOT NULL,
+  window_to TIMESTAMPTZ NOT NULL,
+  -- { campaignId, advertiser, screenId } as requested
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- Campaigns the report covers; NULL for every campaign
+  campaign_ids UUID[],
+  row_count INTEGER NOT NULL,
+  duration_seconds BIGINT NOT NULL,
+  truncated BOOLEAN NOT NULL DEFAULT false,
+  hash TEXT NOT NULL,
+  hash_algorithm TEXT NOT NULL DEFAULT 'SHA-256',
+  generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  generated_by UUID REFERENCES public.profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_proof_of_play_reports_tenant
+  ON public.proof_of_play_reports(tenant_id, generated_at DESC);
+
+COMMENT ON TABLE public.proof_of_play_reports IS
+'Proof-of-play reports with the server-computed hash of their rows; written only by create_proof_of_play_report';
+
+-- Readable by the tenant; no write policies, so stored hashes cannot be changed
+ALTER TABLE public.proof_of_play_reports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "proof_of_play_reports_select_policy" ON public.proof_of_play_reports;
+CREATE POLICY "proof_of_play_reports_select_policy"
+ON public.proof_of_play_reports FOR SELECT
+USING (
+  tenant_id = auth.uid()
+  OR is_super_admin()
+  OR (is_admin() AND tenant_id IN (SELECT client_id FROM get_my_client_ids()))
+);
+
+-- ============================================================================
+-- 2. Generating a report
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.create_proof_of_play_report(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ,
+  p_campaign_id UUID DEFAULT NULL,
+  p_advertiser TEXT DEFAULT NULL,
+  p_screen_id UUID DEFAULT NULL,
+  p_tenant_id UUID DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  c_max_rows CONSTANT INTEGER := 100000;
+  v_tenant_id UUID;
+  v_campaign_ids UUID[];
+  v_generated_at TIMESTAMPTZ := NOW();
+  v_row_count INTEGER;
+  v_duration BIGINT;
+  v_hash TEXT;
+  v_report proof_of_play_reports%ROWTYPE;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_from IS NULL OR p_to IS NULL THEN
+    RAISE EXCEPTION 'Report window is required';
+  END IF;
+
+  IF p_from >= p_to THEN
+    RAISE EXCEPTION 'Report window must end after it starts';
+  END IF;
+
+  -- Admins can report on a client they manage
+  v_tenant_id := COALESCE(p_tenant_id, auth.uid());
+
+  IF NOT (
+    v_tenant_id = auth.uid()
+    OR is_super_admin()
+    OR (is_admin() AND v_tenant_id IN (SELECT client_id FROM get_my_client_ids()))
+  ) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  IF p_campaign_id IS NOT NULL THEN
+    v_campaign_ids := ARRAY(
+      SELECT id FROM campaigns WHERE id = p_campaign_id AND tenant_id = v_tenant_id
+    );
+    IF cardinality(v_campaign_ids) = 0 THEN
+      RAISE EXCEPTION 'Campaign not found';
+    END IF;
+  ELSIF p_advertiser IS NOT NULL THEN
+    v_campaign_ids := ARRAY(
+      SELECT id FROM campaigns WHERE advertiser = p_advertiser AND tenant_id = v_tenant_id ORDER BY id
+    );
+  END IF;
+
+  WITH plays AS (
+    SELECT pe.*
+    FROM playback_events pe
+    WHERE pe.tenant_id = v_tenant_id
+      AND pe.started_at >= p_from
+      AND pe.started_at < p_to
+      AND pe.created_at <= v_generated_at
+      AND pe.campaign_id IS NOT NULL
+      AND (v_campaign_ids IS NULL OR pe.campaign_id = ANY(v_campaign_ids))
+      AND (p_screen_id IS NULL OR pe.screen_id = p_screen_id)
+    ORDER BY pe.started_at, pe.id
+    LIMIT c_max_rows
+  )
+  SELECT
+    COUNT(*)::INTEGER,
+    COALESCE(SUM(duration_seconds), 0)::BIGINT,
+    encode(sha256(convert_to(COALESCE(string_agg(
+      concat_ws('|',
+        id::text,
+        to_char(started_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+        to_char(ended_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'),
+        duration_seconds::text,
+        screen_id::text,
+        campaign_id::text,
+        COALESCE(media_id::text, '')
+      ),
+      E'\n' ORDER BY started_at, id
+    ), ''), 'UTF8')), 'hex')
+  INTO v_row_count, v_duration, v_hash
+  FROM plays;
+
+  INSERT INTO proof_of_play_reports (
+    tenant_id, window_from, window_to, filters, campaign_ids,
+    row_count, duration_seconds, truncated, hash, generated_at, generated_by
+  )
+  VALUES (
+    v_tenant_id, p_from, p_to,
+    jsonb_build_object('campaignId', p_campaign_id, 'advertiser', p_advertiser, 'screenId', p_screen_id),
+    v_campaign_ids,
+    v_row_count, v_duration, v_row_count >= c_max_rows, v_hash, v_generated_at, auth.uid()
+  )
+  RETURNING * INTO v_report;
+
+  RETURN to_jsonb(v_report);
+END;
+$$;
+
+-- ============================================================================
+-- 3. Verifying a report
+-- ============================================================================
+
+-- Advertisers check a report they were sent without an account: the hash of
+-- the report's rows must equal the stored one. Nothing is returned for a
+-- wrong hash.
+CREATE OR REPLACE FUNCTION public.verify_proof_of_play_report(
+  p_report_id UUID,
+  p_hash TEXT
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_report proof_of_play_reports%ROWTYPE;
+BEGIN
+  SELECT * INTO v_report
+  FROM proof_of_play_reports
+  WHERE id = p_report_id;
+
+  IF v_report.id IS NULL OR p_hash IS NULL OR lower(p_hash) <> v_report.hash THEN
+    RETURN jsonb_build_object('valid', false);
+  END IF;
+
+  RETURN jsonb_build_object(
+    'valid', true,
+    'report_id', v_report.id,
+    'window_from', v_report.window_from,
+    'window_to', v_report.window_to,
+    'row_count', v_report.row_count,
+    'generated_at', v_report.generated_at
+  );
+END;
+$$;
+
+-- ============================================================================
+-- 4. Grants
+-- ============================================================================
+
+REVOKE ALL ON FUNCTION public.create_proof_of_play_report(TIMESTAMPTZ, TIMESTAMPTZ, UUID, TEXT, UUID, UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.create_proof_of_play_report(TIMESTAMPTZ, TIMESTAMPTZ, UUID, TEXT, UUID, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.verify_proof_of_play_report(UUID, TEXT) TO anon;
+GRANT EXECUTE ON FUNCTION public.verify_proof_of_play_report(UUID, TEXT) TO authenticated;
+
+COMMENT ON FUNCTION public.create_proof_of_play_report(TIMESTAMPTZ, TIMESTAMPTZ, UUID, TEXT, UUID, UUID) IS
+'Hashes the plays of a proof-of-play report from playback_events and stores the report';
+COMMENT ON FUNCTION public.verify_proof_of_play_report(UUID, TEXT) IS
+'True when the hash of a report''s rows matches the hash stored when it was generated';
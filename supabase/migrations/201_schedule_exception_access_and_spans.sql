@@ -0,0 +1,683 @@
+-- ============================================================================
+-- Migration 201: Exception calendar access and multi-day timed events
+--
+-- get_schedule_exceptions (migration 180) was SECURITY DEFINER, granted to
+-- anon and returned the events of any schedule or location it was given. It
+-- now requires a signed-in user with access to the schedule and location, and
+-- is no longer granted to anon; players get exceptions through
+-- get_resolved_player_content, which uses resolve_schedule_exceptions.
+--
+-- Timed events were matched by their time of day on every date they covered,
+-- so an imported event from Fri 22:00 to Sat 02:00 applied from 22:00 to the
+-- end of Friday and from 22:00 on Saturday, and one from Mon 09:00 to Wed 17:00
+-- applied 09:00-17:00 each day. An event now runs from start_date start_time
+-- to end_date end_time in the screen's timezone:
+--   - all-day events run from the start of start_date to the end of end_date
+--   - an end at or before the start on the same date runs to the end of that day
+--
+-- Functions:
+--   resolve_schedule_exceptions(schedule_id, location_id, date)
+--                                       - events on a date with their start/end (internal)
+--   get_schedule_exceptions(schedule_id, location_id, date)
+--                                       - now checks access; adds start/end columns
+--   get_resolved_player_content(screen_id) - matches exceptions by start/end
+--
+-- Idempotent: CREATE OR REPLACE / DROP ... IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Internal: resolve_schedule_exceptions(schedule_id, location_id, date)
+-- ============================================================================
+-- Exception events covering a date, most specific first (schedule calendars
+-- before location calendars, timed events before all-day events, newest
+-- first), with starts_at/ends_at as local timestamps.
+
+CREATE OR REPLACE FUNCTION public.resolve_schedule_exceptions(
+  p_schedule_id UUID,
+  p_location_id UUID DEFAULT NULL,
+  p_date DATE DEFAULT CURRENT_DATE
+)
+RETURNS TABLE (
+  event_id UUID,
+  calendar_id UUID,
+  calendar_name TEXT,
+  name TEXT,
+  scope TEXT,
+  start_date DATE,
+  end_date DATE,
+  start_time TIME,
+  end_time TIME,
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  action TEXT,
+  content_type TEXT,
+  content_id UUID,
+  content_name TEXT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    ev.id AS event_id,
+    cal.id AS calendar_id,
+    cal.name AS calendar_name,
+    ev.name,
+    CASE WHEN lnk.schedule_id IS NOT NULL THEN 'schedule' ELSE 'location' END AS scope,
+    ev.start_date,
+    ev.end_date,
+    ev.start_time,
+    ev.end_time,
+    ev.start_date + COALESCE(ev.start_time, TIME '00:00') AS starts_at,
+    CASE
+      WHEN ev.end_time IS NULL
+        OR ev.end_date + ev.end_time <= ev.start_date + COALESCE(ev.start_time, TIME '00:00')
+        THEN (ev.end_date + 1)::TIMESTAMP
+      ELSE ev.end_date + ev.end_time
+    END AS ends_at,
+    ev.action,
+    ev.content_type,
+    ev.content_id,
+    COALESCE(pl.name, ly.name, sc.name) AS content_name
+  FROM schedule_exception_links lnk
+  JOIN schedule_exception_calendars cal ON cal.id = lnk.calendar_id
+  JOIN schedule_exception_events ev ON ev.calendar_id = cal.id
+  LEFT JOIN playlists pl ON ev.content_type = 'playlist' AND ev.content_id = pl.id
+  LEFT JOIN layouts ly ON ev.content_type = 'layout' AND ev.content_id = ly.id
+  LEFT JOIN scenes sc ON ev.content_type = 'scene' AND ev.content_id = sc.id
+  WHERE (
+      (p_schedule_id IS NOT NULL AND lnk.schedule_id = p_schedule_id)
+      OR (p_location_id IS NOT NULL AND lnk.location_id = p_location_id)
+    )
+    AND p_date BETWEEN ev.start_date AND ev.end_date
+  ORDER BY
+    (lnk.schedule_id IS NOT NULL) DESC,
+    (ev.start_time IS NOT NULL) DESC,
+    ev.created_at DESC,
+    ev.id ASC;
+END;
+$$;
+
+COMMENT ON FUNCTION public.resolve_schedule_exceptions(UUID, UUID, DATE) IS
+'Exception calendar events covering a date, most specific first, with local start/end timestamps';
+
+-- Only reached through get_schedule_exceptions and get_resolved_player_content
+REVOKE ALL ON FUNCTION public.resolve_schedule_exceptions(UUID, UUID, DATE) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================================
+-- 2. RPC: get_schedule_exceptions(schedule_id, location_id, date)
+-- ============================================================================
+-- The return type gains start/end columns, so the function is recreated.
+
+DROP FUNCTION IF EXISTS public.get_schedule_exceptions(UUID, UUID, DATE);
+
+CREATE FUNCTION public.get_schedule_exceptions(
+  p_schedule_id UUID,
+  p_location_id UUID DEFAULT NULL,
+  p_date DATE DEFAULT CURRENT_DATE
+)
+RETURNS TABLE (
+  event_id UUID,
+  calendar_id UUID,
+  calendar_name TEXT,
+  name TEXT,
+  scope TEXT,
+  start_date DATE,
+  end_date DATE,
+  start_time TIME,
+  end_time TIME,
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  action TEXT,
+  content_type TEXT,
+  content_id UUID,
+  content_name TEXT
+)
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner_id UUID;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  IF p_schedule_id IS NOT NULL THEN
+    SELECT owner_id INTO v_owner_id FROM schedules WHERE id = p_schedule_id;
+
+    IF v_owner_id IS NULL THEN
+      RAISE EXCEPTION 'Schedule not found';
+    END IF;
+
+    IF NOT (
+      v_owner_id = auth.uid()
+      OR is_super_admin()
+      OR (is_admin() AND v_owner_id IN (SELECT client_id FROM get_my_client_ids()))
+    ) THEN
+      RAISE EXCEPTION 'Access denied';
+    END IF;
+  END IF;
+
+  IF p_location_id IS NOT NULL THEN
+    SELECT tenant_id INTO v_owner_id FROM locations WHERE id = p_location_id;
+
+    IF v_owner_id IS NULL THEN
+      RAISE EXCEPTION 'Location not found';
+    END IF;
+
+    IF NOT (
+      v_owner_id = auth.uid()
+      OR is_super_admin()
+      OR (is_admin() AND v_owner_id IN (SELECT client_id FROM get_my_client_ids()))
+    ) THEN
+      RAISE EXCEPTION 'Access denied';
+    END IF;
+  END IF;
+
+  RETURN QUERY
+  SELECT * FROM resolve_schedule_exceptions(p_schedule_id, p_location_id, p_date);
+END;
+$$;
+
+REVOKE ALL ON FUNCTION public.get_schedule_exceptions(UUID, UUID, DATE) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.get_schedule_exceptions(UUID, UUID, DATE) TO authenticated;
+
+COMMENT ON FUNCTION public.get_schedule_exceptions(UUID, UUID, DATE) IS
+  'Exception calendar events applying to a schedule and/or location on a date, most specific first';
+
+-- ============================================================================
+-- 3. RPC: get_resolved_player_content(screen_id)
+--    As in migration 188, with the exception calendar event in effect found by
+--    its full start and end in the screen's timezone.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_resolved_player_content(p_screen_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_device tv_devices%ROWTYPE;
+  v_scene scenes%ROWTYPE;
+  v_group_scene_id uuid;
+  v_scheduled_scene RECORD;
+  v_schedule_entry RECORD;
+  v_playlist_id UUID;
+  v_layout_id UUID;
+  v_playlist playlists%ROWTYPE;
+  v_items JSONB;
+  v_layout_content JSONB;
+  v_result JSONB;
+  v_mode TEXT;
+  v_source TEXT;
+  v_schedule_id UUID;
+  v_local_now TIMESTAMP;
+  v_exception RECORD;
+  v_campaign RECORD;
+  v_location locations%ROWTYPE;
+  v_weather JSONB;
+  v_interleave JSONB;
+BEGIN
+  -- Find the TV device
+  SELECT * INTO v_device
+  FROM public.tv_devices
+  WHERE id = p_screen_id
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Screen not found';
+  END IF;
+
+  -- Update heartbeat
+  UPDATE public.tv_devices
+  SET last_seen = NOW(),
+      is_online = true
+  WHERE id = v_device.id;
+
+  -- Where the player gets its weather: the screen's coordinates, falling
+  -- back to its location's coordinates or city
+  SELECT * INTO v_location
+  FROM public.locations
+  WHERE id = v_device.location_id;
+
+  v_weather := jsonb_build_object(
+    'latitude', COALESCE(v_device.latitude, v_location.latitude),
+    'longitude', COALESCE(v_device.longitude, v_location.longitude),
+    'city', v_location.city,
+    'usedBySchedule', public.screen_schedule_uses_weather(v_device.id)
+  );
+
+  -- Initialize
+  v_playlist_id := NULL;
+  v_layout_id := NULL;
+  v_mode := 'playlist';
+  v_source := NULL;
+
+  -- =========================================================================
+  -- Step 0: Check for active scene (highest priority - manual override)
+  -- =========================================================================
+  IF v_device.active_scene_id IS NOT NULL THEN
+    SELECT * INTO v_scene
+    FROM public.scenes
+    WHERE id = v_device.active_scene_id AND is_active = true;
+
+    IF v_scene.id IS NOT NULL THEN
+      v_source := 'device_override';
+      IF v_scene.layout_id IS NOT NULL THEN
+        v_layout_id := v_scene.layout_id;
+        v_mode := 'layout';
+      ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+        v_playlist_id := v_scene.primary_playlist_id;
+        v_mode := 'playlist';
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1: Check group's active scene (if no device override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+    SELECT sg.active_scene_id INTO v_group_scene_id
+    FROM public.screen_groups sg
+    WHERE sg.id = v_device.screen_group_id;
+
+    IF v_group_scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_group_scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'group_override';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.5: Check exception calendars (holidays, special hours)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    v_schedule_id := v_device.assigned_schedule_id;
+    IF v_schedule_id IS NULL AND v_device.screen_group_id IS NOT NULL THEN
+      SELECT sg.assigned_schedule_id INTO v_schedule_id
+      FROM public.screen_groups sg
+      WHERE sg.id = v_device.screen_group_id;
+    END IF;
+
+    v_local_now := NOW() AT TIME ZONE COALESCE(v_device.timezone, 'UTC');
+
+    SELECT * INTO v_exception
+    FROM public.resolve_schedule_exceptions(v_schedule_id, v_device.location_id, v_local_now::DATE) ex
+    WHERE ex.starts_at <= v_local_now
+      AND ex.ends_at > v_local_now
+    LIMIT 1;
+
+    IF v_exception.event_id IS NOT NULL THEN
+      IF v_exception.action = 'screen_off' THEN
+        RETURN jsonb_build_object(
+          'mode', 'screen_off',
+          'source', 'exception_calendar',
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'exception', jsonb_build_object(
+            'id', v_exception.event_id,
+            'name', v_exception.name,
+            'calendarId', v_exception.calendar_id,
+            'calendarName', v_exception.calendar_name
+          ),
+          'items', '[]'::jsonb
+        );
+      ELSIF v_exception.content_type = 'playlist' THEN
+        v_source := 'exception_calendar';
+        v_playlist_id := v_exception.content_id;
+        v_mode := 'playlist';
+      ELSIF v_exception.content_type = 'layout' THEN
+        v_source := 'exception_calendar';
+        v_layout_id := v_exception.content_id;
+        v_mode := 'layout';
+      ELSIF v_exception.content_type = 'scene' THEN
+        SELECT * INTO v_scene
+        FROM public.scenes
+        WHERE id = v_exception.content_id AND is_active = true;
+
+        IF v_scene.id IS NOT NULL THEN
+          v_source := 'exception_calendar';
+          IF v_scene.layout_id IS NOT NULL THEN
+            v_layout_id := v_scene.layout_id;
+            v_mode := 'layout';
+          ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+            v_playlist_id := v_scene.primary_playlist_id;
+            v_mode := 'playlist';
+          END IF;
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 1.75: Check active campaigns (frequency caps, share of voice and
+  -- pacing are applied by get_active_campaign_for_screen)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_campaign
+    FROM public.get_active_campaign_for_screen(p_screen_id, NOW())
+    LIMIT 1;
+
+    IF v_campaign.campaign_id IS NOT NULL THEN
+      v_source := 'campaign';
+
+      -- Conditional contents: send every playlist/media content so the
+      -- player can choose between them with their trigger rules and the
+      -- weather conditions of their items
+      IF v_campaign.content_type IN ('playlist', 'media') AND EXISTS (
+        SELECT 1 FROM public.campaign_contents cc
+        LEFT JOIN public.playlist_items pi
+          ON cc.content_type = 'playlist' AND pi.playlist_id = cc.content_id
+        WHERE cc.campaign_id = v_campaign.campaign_id
+          AND cc.content_type IN ('playlist', 'media')
+          AND (jsonb_array_length(cc.trigger_rules) > 0
+            OR jsonb_array_length(pi.weather_conditions) > 0)
+      ) THEN
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'campaign', jsonb_build_object(
+            'id', v_campaign.campaign_id,
+            'name', v_campaign.campaign_name,
+            'priority', v_campaign.priority,
+            'target', v_campaign.effective_target
+          ),
+          'playlist', NULL,
+          'items', public.get_campaign_conditional_items(v_campaign.campaign_id),
+          'scene', NULL
+        );
+      END IF;
+
+      IF v_campaign.content_type = 'playlist' THEN
+        v_playlist_id := v_campaign.content_id;
+        v_mode := 'playlist';
+      ELSIF v_campaign.content_type = 'layout' THEN
+        v_layout_id := v_campaign.content_id;
+        v_mode := 'layout';
+      ELSIF v_campaign.content_type = 'media' THEN
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json,
+          'validFrom', ma.valid_from,
+          'validUntil', ma.valid_until
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_campaign.content_id
+          AND ma.archived_at IS NULL
+          AND COALESCE(ma.valid_until > NOW(), true);
+
+        IF v_items IS NOT NULL THEN
+          RETURN jsonb_build_object(
+            'mode', 'playlist',
+            'source', v_source,
+            'device', jsonb_build_object(
+              'id', v_device.id,
+              'name', v_device.device_name,
+              'timezone', COALESCE(v_device.timezone, 'UTC'),
+              'weather', v_weather
+            ),
+            'campaign', jsonb_build_object(
+              'id', v_campaign.campaign_id,
+              'name', v_campaign.campaign_name,
+              'priority', v_campaign.priority,
+              'target', v_campaign.effective_target
+            ),
+            'playlist', NULL,
+            'items', jsonb_build_array(v_items),
+            'scene', NULL
+          );
+        END IF;
+        v_source := NULL;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 2: Check scheduled scene (if no manual override)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL THEN
+    SELECT * INTO v_scheduled_scene
+    FROM public.resolve_scene_schedule(p_screen_id, COALESCE(v_device.timezone, 'UTC'))
+    LIMIT 1;
+
+    IF v_scheduled_scene.scene_id IS NOT NULL THEN
+      SELECT * INTO v_scene
+      FROM public.scenes
+      WHERE id = v_scheduled_scene.scene_id AND is_active = true;
+
+      IF v_scene.id IS NOT NULL THEN
+        v_source := 'schedule';
+        IF v_scene.layout_id IS NOT NULL THEN
+          v_layout_id := v_scene.layout_id;
+          v_mode := 'layout';
+        ELSIF v_scene.primary_playlist_id IS NOT NULL THEN
+          v_playlist_id := v_scene.primary_playlist_id;
+          v_mode := 'playlist';
+        END IF;
+      END IF;
+    END IF;
+  END IF;
+
+  -- =========================================================================
+  -- Step 3: Check legacy schedule entries (playlist/layout/media)
+  -- =========================================================================
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_schedule_id IS NOT NULL THEN
+    SELECT * INTO v_schedule_entry
+    FROM public.resolve_schedule_entry(
+      v_device.assigned_schedule_id,
+      COALESCE(v_device.timezone, 'UTC'),
+      v_device.id
+    );
+
+    IF v_schedule_entry IS NOT NULL AND v_schedule_entry.target_id IS NOT NULL THEN
+      v_source := 'legacy_schedule';
+      IF v_schedule_entry.target_type = 'playlist' THEN
+        v_playlist_id := v_schedule_entry.target_id;
+        v_mode := 'playlist';
+      ELSIF v_schedule_entry.target_type = 'layout' THEN
+        v_layout_id := v_schedule_entry.target_id;
+        v_mode := 'layout';
+      ELSIF v_schedule_entry.target_type = 'media' THEN
+        -- Single media - wrap in playlist-like response
+        v_mode := 'playlist';
+        SELECT jsonb_build_object(
+          'id', ma.id,
+          'position', 0,
+          'type', 'media',
+          'mediaType', ma.type,
+          'url', ma.url,
+          'thumbnailUrl', ma.thumbnail_url,
+          'name', ma.name,
+          'duration', COALESCE(ma.duration, 10),
+          'width', ma.width,
+          'height', ma.height,
+          'config', ma.config_json,
+          'validFrom', ma.valid_from,
+          'validUntil', ma.valid_until
+        ) INTO v_items
+        FROM public.media_assets ma
+        WHERE ma.id = v_schedule_entry.target_id
+          AND ma.archived_at IS NULL
+          AND COALESCE(ma.valid_until > NOW(), true);
+
+        IF v_items IS NOT NULL THEN
+          v_items := jsonb_build_array(v_items);
+        ELSE
+          v_items := '[]'::jsonb;
+        END IF;
+
+        RETURN jsonb_build_object(
+          'mode', 'playlist',
+          'source', v_source,
+          'device', jsonb_build_object(
+            'id', v_device.id,
+            'name', v_device.device_name,
+            'timezone', COALESCE(v_device.timezone, 'UTC'),
+            'weather', v_weather
+          ),
+          'playlist', NULL,
+          'items', v_items,
+          'scene', NULL
+        );
+      END IF;
+    END IF;
+  END IF;
+
+  -- Step 4: Fallback to assigned layout
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_layout_id IS NOT NULL THEN
+    v_layout_id := v_device.assigned_layout_id;
+    v_mode := 'layout';
+    v_source := 'assigned_layout';
+  END IF;
+
+  -- Step 5: Fallback to assigned playlist
+  IF v_layout_id IS NULL AND v_playlist_id IS NULL AND v_device.assigned_playlist_id IS NOT NULL THEN
+    v_playlist_id := v_device.assigned_playlist_id;
+    v_mode := 'playlist';
+    v_source := 'assigned_playlist';
+  END IF;
+
+  -- Build response based on mode
+  IF v_mode = 'layout' AND v_layout_id IS NOT NULL THEN
+    -- Get layout content
+    SELECT public.get_layout_content(v_layout_id) INTO v_layout_content;
+
+    v_result := jsonb_build_object(
+      'mode', 'layout',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC'),
+        'weather', v_weather
+      ),
+      'layout', v_layout_content,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  ELSE
+    -- Playlist mode (default)
+    IF v_playlist_id IS NOT NULL THEN
+      SELECT * INTO v_playlist
+      FROM public.playlists
+      WHERE id = v_playlist_id;
+
+      v_items := public.playlist_player_items(v_playlist_id);
+
+      -- Playlists whose items are inserted between this playlist's items
+      SELECT COALESCE(jsonb_agg(
+        jsonb_build_object(
+          'playlistId', ip.id,
+          'name', ip.name,
+          'every', (r.rule->>'every')::integer,
+          'count', (r.rule->>'count')::integer,
+          'playbackMode', ip.playback_mode,
+          'playbackSeed', COALESCE(ip.playback_seed, ip.id::text),
+          'items', public.playlist_player_items(ip.id, 1)
+        )
+        ORDER BY r.ord
+      ), '[]'::jsonb) INTO v_interleave
+      FROM jsonb_array_elements(v_playlist.interleave_rules) WITH ORDINALITY AS r(rule, ord)
+      JOIN public.playlists ip ON ip.id = (r.rule->>'playlistId')::uuid;
+    ELSE
+      v_items := '[]'::jsonb;
+    END IF;
+
+    v_result := jsonb_build_object(
+      'mode', 'playlist',
+      'source', v_source,
+      'device', jsonb_build_object(
+        'id', v_device.id,
+        'name', v_device.device_name,
+        'timezone', COALESCE(v_device.timezone, 'UTC'),
+        'weather', v_weather
+      ),
+      'playlist', CASE
+        WHEN v_playlist.id IS NOT NULL THEN
+          jsonb_build_object(
+            'id', v_playlist.id,
+            'name', v_playlist.name,
+            'defaultDuration', COALESCE(v_playlist.default_duration, 10),
+            'transitionEffect', COALESCE(v_playlist.transition_effect, 'fade'),
+            'shuffle', COALESCE(v_playlist.shuffle, false),
+            'playbackMode', v_playlist.playback_mode,
+            'playbackSeed', COALESCE(v_playlist.playback_seed, v_playlist.id::text),
+            'interleave', COALESCE(v_interleave, '[]'::jsonb)
+          )
+        ELSE NULL
+      END,
+      'campaign', CASE WHEN v_source = 'campaign' THEN
+        jsonb_build_object(
+          'id', v_campaign.campaign_id,
+          'name', v_campaign.campaign_name,
+          'priority', v_campaign.priority,
+          'target', v_campaign.effective_target
+        )
+      ELSE NULL END,
+      'items', v_items,
+      'scene', CASE WHEN v_scene.id IS NOT NULL THEN
+        jsonb_build_object(
+          'id', v_scene.id,
+          'name', v_scene.name,
+          'businessType', v_scene.business_type
+        )
+      ELSE NULL END
+    );
+  END IF;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_resolved_player_content(UUID) TO authenticated;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 201 completed: Exception calendar access and multi-day timed events';
+END $$;
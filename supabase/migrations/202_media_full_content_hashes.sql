@@ -0,0 +1,54 @@
+-- ============================================================================
+-- Migration 202: Full content hashes only
+--
+-- Files over 256MB used to be hashed from their size and eight samples
+-- ('sha256-sampled:<hex>'), so two different videos could share a hash and
+-- be offered for merging, deleting one of them. Uploads now hash every file
+-- in full (s3UploadService.computeContentHash). Sampled hashes already stored
+-- are cleared, and only full hashes can be stored from now on, so
+-- merge_duplicate_media (migration 196) only ever merges identical files.
+-- Assets whose hash is cleared are no longer listed as duplicates.
+--
+-- Columns:
+--   media_assets.content_hash         - 'sha256:<hex>' or NULL
+--   media_asset_versions.content_hash - 'sha256:<hex>' or NULL
+--
+-- Idempotent: UPDATE ... WHERE / DROP CONSTRAINT IF EXISTS.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Clear sampled hashes
+-- ============================================================================
+
+UPDATE public.media_assets
+SET content_hash = NULL
+WHERE content_hash IS NOT NULL AND content_hash NOT LIKE 'sha256:%';
+
+UPDATE public.media_asset_versions
+SET content_hash = NULL
+WHERE content_hash IS NOT NULL AND content_hash NOT LIKE 'sha256:%';
+
+-- ============================================================================
+-- 2. Constraints
+-- ============================================================================
+
+ALTER TABLE public.media_assets
+DROP CONSTRAINT IF EXISTS media_assets_content_hash_full;
+
+ALTER TABLE public.media_assets
+ADD CONSTRAINT media_assets_content_hash_full
+CHECK (content_hash IS NULL OR content_hash ~ '^sha256:[0-9a-f]{64}$');
+
+ALTER TABLE public.media_asset_versions
+DROP CONSTRAINT IF EXISTS media_asset_versions_content_hash_full;
+
+ALTER TABLE public.media_asset_versions
+ADD CONSTRAINT media_asset_versions_content_hash_full
+CHECK (content_hash IS NULL OR content_hash ~ '^sha256:[0-9a-f]{64}$');
+
+COMMENT ON COLUMN public.media_assets.content_hash IS
+'SHA-256 of the whole file (sha256:<hex>), set at upload; equal hashes within a tenant are duplicates';
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 202 completed: Full content hashes only';
+END $$;
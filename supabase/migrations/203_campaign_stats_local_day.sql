@@ -0,0 +1,121 @@
+-- ============================================================================
+-- Migration 203: Campaign delivery stats by the screens' local day
+--
+-- campaign_delivery_allowed (migration 182) paces a campaign's daily goal over
+-- the screen's local day, but get_campaign_playback_stats counted today's
+-- delivery and the report period by UTC date. For screens away from UTC the
+-- dashboard compared a different day than the player enforced.
+--
+-- Stats are now counted in the campaign's timezone: the most common timezone
+-- of the screens that played it in the period, else of the tenant's screens,
+-- else UTC. The timezone is returned so campaignService.summarizeDelivery
+-- paces today's goal on the same day.
+--
+-- Functions:
+--   get_campaign_playback_stats(tenant, start, end) - adds timezone; local days
+--
+-- Idempotent: DROP ... IF EXISTS / CREATE OR REPLACE.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. get_campaign_playback_stats(tenant, start, end)
+--    p_start_date and p_end_date are local dates in each campaign's timezone.
+-- ============================================================================
+
+DROP FUNCTION IF EXISTS public.get_campaign_playback_stats(UUID, DATE, DATE);
+
+CREATE OR REPLACE FUNCTION public.get_campaign_playback_stats(
+    p_tenant_id UUID,
+    p_start_date DATE DEFAULT CURRENT_DATE - INTERVAL '30 days',
+    p_end_date DATE DEFAULT CURRENT_DATE
+)
+RETURNS TABLE (
+    campaign_id UUID,
+    campaign_name TEXT,
+    campaign_status TEXT,
+    total_playback_seconds BIGINT,
+    unique_screens BIGINT,
+    unique_locations BIGINT,
+    play_count BIGINT,
+    delivered_today BIGINT,
+    daily_impression_goal INTEGER,
+    frequency_cap_per_hour INTEGER,
+    share_of_voice NUMERIC,
+    pacing TEXT,
+    start_at TIMESTAMPTZ,
+    end_at TIMESTAMPTZ,
+    timezone TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    RETURN QUERY
+    WITH campaign_zones AS (
+        SELECT
+            c.id,
+            COALESCE(
+                (
+                    SELECT d.timezone
+                    FROM public.playback_events pe
+                    JOIN public.tv_devices d ON d.id = pe.screen_id
+                    WHERE pe.campaign_id = c.id
+                      AND d.timezone IS NOT NULL
+                      AND pe.started_at >= (p_start_date - 1)::timestamp AT TIME ZONE 'UTC'
+                      AND pe.started_at < (p_end_date + 2)::timestamp AT TIME ZONE 'UTC'
+                    GROUP BY d.timezone
+                    ORDER BY COUNT(*) DESC, d.timezone
+                    LIMIT 1
+                ),
+                (
+                    SELECT d.timezone
+                    FROM public.tv_devices d
+                    WHERE d.owner_id = p_tenant_id
+                      AND d.timezone IS NOT NULL
+                    GROUP BY d.timezone
+                    ORDER BY COUNT(*) DESC, d.timezone
+                    LIMIT 1
+                ),
+                'UTC'
+            ) AS timezone
+        FROM public.campaigns c
+        WHERE c.tenant_id = p_tenant_id
+    )
+    SELECT
+        c.id AS campaign_id,
+        c.name AS campaign_name,
+        c.status AS campaign_status,
+        COALESCE(SUM(pe.duration_seconds), 0)::BIGINT AS total_playback_seconds,
+        COUNT(DISTINCT pe.screen_id)::BIGINT AS unique_screens,
+        COUNT(DISTINCT d.location_id)::BIGINT AS unique_locations,
+        COUNT(pe.id)::BIGINT AS play_count,
+        COUNT(pe.id) FILTER (
+            WHERE (pe.started_at AT TIME ZONE cz.timezone)::date = (NOW() AT TIME ZONE cz.timezone)::date
+        )::BIGINT AS delivered_today,
+        c.daily_impression_goal,
+        c.frequency_cap_per_hour,
+        c.share_of_voice,
+        c.pacing,
+        c.start_at,
+        c.end_at,
+        cz.timezone
+    FROM public.campaigns c
+    JOIN campaign_zones cz ON cz.id = c.id
+    LEFT JOIN public.playback_events pe ON pe.campaign_id = c.id
+        AND (pe.started_at AT TIME ZONE cz.timezone)::date BETWEEN p_start_date AND p_end_date
+    LEFT JOIN public.tv_devices d ON d.id = pe.screen_id
+    WHERE c.tenant_id = p_tenant_id
+    GROUP BY c.id, c.name, c.status, cz.timezone
+    ORDER BY total_playback_seconds DESC;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_campaign_playback_stats TO authenticated;
+
+COMMENT ON FUNCTION public.get_campaign_playback_stats(UUID, DATE, DATE) IS
+'Plays per campaign between two local dates and today, counted in the timezone of the campaign''s screens';
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 203 completed: Campaign delivery stats by local day';
+END $$;
@@ -0,0 +1,104 @@
+-- ============================================================================
+-- Migration 204: Keep sync settings when a data source is re-linked
+--
+-- link_data_source_to_rest_api (migration 192) and
+-- link_data_source_to_google_sheets (migration 078) rebuilt integration_config
+-- from the new connection settings, so saving a source's API or sheet again
+-- dropped the settings update_data_source_sync_settings (migration 193) keeps
+-- in the same object:
+--   keyField         - field that identifies a row across syncs
+--   maxDeletePercent - share of deleted rows that holds a sync for review
+-- Both are now carried over. Other keys are still replaced, so switching a
+-- source from a sheet to an API does not leave the sheet settings behind.
+--
+-- Functions:
+--   link_data_source_to_rest_api(data_source_id, config)
+--   link_data_source_to_google_sheets(data_source_id, sheet, range, poll)
+--
+-- Idempotent: CREATE OR REPLACE.
+-- ============================================================================
+
+-- ============================================================================
+-- LINK FUNCTIONS
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION link_data_source_to_rest_api(
+  p_data_source_id UUID,
+  p_config JSONB
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM assert_data_source_access(p_data_source_id);
+
+  IF COALESCE(p_config->>'url', '') !~* '^https?://' THEN
+    RAISE EXCEPTION 'An http or https URL is required';
+  END IF;
+
+  -- Update data source with integration config, keeping its sync settings
+  UPDATE data_sources
+  SET
+    type = 'rest_api',
+    integration_type = 'rest_api',
+    integration_config = jsonb_strip_nulls(jsonb_build_object(
+      'keyField', integration_config->'keyField',
+      'maxDeletePercent', integration_config->'maxDeletePercent'
+    )) || jsonb_build_object(
+      'url', p_config->>'url',
+      'headers', COALESCE(p_config->'headers', '{}'::jsonb),
+      'auth', COALESCE(p_config->'auth', '{"type": "none"}'::jsonb),
+      'rowPath', COALESCE(NULLIF(p_config->>'rowPath', ''), '$'),
+      'fieldMappings', COALESCE(p_config->'fieldMappings', '[]'::jsonb),
+      'pollIntervalMinutes', GREATEST(COALESCE((p_config->>'pollIntervalMinutes')::INTEGER, 15), 1)
+    ),
+    last_sync_status = 'pending',
+    updated_at = now()
+  WHERE id = p_data_source_id;
+
+  RETURN TRUE;
+END;
+$$;
+
+COMMENT ON FUNCTION link_data_source_to_rest_api IS 'Link a data source to a JSON/REST API for automatic syncing';
+
+CREATE OR REPLACE FUNCTION link_data_source_to_google_sheets(
+  p_data_source_id UUID,
+  p_sheet_id TEXT,
+  p_range TEXT DEFAULT 'A1:Z1000',
+  p_poll_interval_minutes INTEGER DEFAULT 5
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM assert_data_source_access(p_data_source_id);
+
+  -- Update data source with integration config, keeping its sync settings
+  UPDATE data_sources
+  SET
+    type = 'google_sheets',
+    integration_type = 'google_sheets',
+    integration_config = jsonb_strip_nulls(jsonb_build_object(
+      'keyField', integration_config->'keyField',
+      'maxDeletePercent', integration_config->'maxDeletePercent'
+    )) || jsonb_build_object(
+      'sheetId', p_sheet_id,
+      'range', p_range,
+      'pollIntervalMinutes', p_poll_interval_minutes
+    ),
+    last_sync_status = 'pending',
+    updated_at = now()
+  WHERE id = p_data_source_id;
+
+  RETURN TRUE;
+END;
+$$;
+
+COMMENT ON FUNCTION link_data_source_to_google_sheets IS 'Link a data source to a Google Sheet for automatic syncing';
+
+DO $$ BEGIN RAISE NOTICE 'Migration 204 completed: Keep sync settings when a data source is re-linked'; END $$;
@@ -0,0 +1,191 @@
+-- ============================================================================
+-- Migration 205: Duplicate merging scoped to the tenant, with every reference
+--
+-- merge_duplicate_media (migration 196) let any admin merge, and so delete,
+-- another tenant's media: admins are now limited to the clients they manage,
+-- as in the media_assets policies of migration 199.
+--
+-- The merge also left some references to the deleted duplicates behind. It
+-- now points these at the kept asset as well:
+--   layout_zones.assigned_media_id        - cleared by the FK on delete
+--   schedule_entries (content_type media) - left pointing at a deleted id
+--   campaign_contents (content_type media)
+-- and returns how many of each it changed.
+--
+-- Functions:
+--   merge_duplicate_media(keep_id, duplicate_ids) - the merge (authenticated)
+--
+-- Idempotent: CREATE OR REPLACE.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Merge
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.merge_duplicate_media(
+  p_keep_id UUID,
+  p_duplicate_ids UUID[]
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_keep RECORD;
+  v_duplicate_ids UUID[];
+  v_duplicates JSONB;
+  v_bytes_freed BIGINT;
+  v_playlist_items INTEGER := 0;
+  v_layout_zones INTEGER := 0;
+  v_scene_slides INTEGER := 0;
+  v_schedule_entries INTEGER := 0;
+  v_campaign_contents INTEGER := 0;
+  v_result JSONB;
+BEGIN
+  SELECT id, owner_id, name, url, content_hash INTO v_keep
+  FROM media_assets
+  WHERE id = p_keep_id;
+
+  IF v_keep.id IS NULL THEN
+    RAISE EXCEPTION 'Media not found';
+  END IF;
+
+  -- Admins can merge in the libraries of the clients they manage
+  IF NOT (
+    v_keep.owner_id = auth.uid() OR
+    is_super_admin() OR
+    (is_admin() AND v_keep.owner_id IN (SELECT client_id FROM get_my_client_ids()))
+  ) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  IF v_keep.content_hash IS NULL THEN
+    RAISE EXCEPTION 'Media has no content hash';
+  END IF;
+
+  v_duplicate_ids := ARRAY(
+    SELECT DISTINCT unnest(p_duplicate_ids)
+    EXCEPT SELECT p_keep_id
+  );
+
+  IF COALESCE(array_length(v_duplicate_ids, 1), 0) = 0 THEN
+    RAISE EXCEPTION 'No duplicates to merge';
+  END IF;
+
+  -- Only true duplicates of the kept asset, in the same tenant
+  SELECT
+    jsonb_agg(jsonb_build_object('id', id, 'name', name) ORDER BY created_at),
+    COALESCE(SUM(file_size), 0)
+  INTO v_duplicates, v_bytes_freed
+  FROM media_assets
+  WHERE id = ANY(v_duplicate_ids)
+    AND owner_id = v_keep.owner_id
+    AND content_hash = v_keep.content_hash;
+
+  IF COALESCE(jsonb_array_length(v_duplicates), 0) <> array_length(v_duplicate_ids, 1) THEN
+    RAISE EXCEPTION 'Every duplicate must be in the same library and have the same content';
+  END IF;
+
+  UPDATE playlist_items
+  SET item_id = p_keep_id
+  WHERE item_type = 'media'
+    AND item_id = ANY(v_duplicate_ids);
+  GET DIAGNOSTICS v_playlist_items = ROW_COUNT;
+
+  -- Zones reference media through assigned_media_id (layoutService) or content_id
+  UPDATE layout_zones
+  SET
+    content_id = CASE
+      WHEN content_type = 'media' AND content_id = ANY(v_duplicate_ids) THEN p_keep_id
+      ELSE content_id
+    END,
+    assigned_media_id = CASE
+      WHEN assigned_media_id = ANY(v_duplicate_ids) THEN p_keep_id
+      ELSE assigned_media_id
+    END
+  WHERE (content_type = 'media' AND content_id = ANY(v_duplicate_ids))
+    OR assigned_media_id = ANY(v_duplicate_ids);
+  GET DIAGNOSTICS v_layout_zones = ROW_COUNT;
+
+  UPDATE schedule_entries
+  SET content_id = p_keep_id
+  WHERE content_type = 'media'
+    AND content_id = ANY(v_duplicate_ids);
+  GET DIAGNOSTICS v_schedule_entries = ROW_COUNT;
+
+  UPDATE campaign_contents
+  SET content_id = p_keep_id
+  WHERE content_type = 'media'
+    AND content_id = ANY(v_duplicate_ids);
+  GET DIAGNOSTICS v_campaign_contents = ROW_COUNT;
+
+  -- Scene image blocks keep the asset id and URL in their props
+  UPDATE scene_slides ss
+  SET design_json = jsonb_set(
+    ss.design_json,
+    '{blocks}',
+    (
+      SELECT jsonb_agg(
+        CASE
+          WHEN block->'props'->>'media_asset_id' = ANY(v_duplicate_ids::text[]) THEN
+            jsonb_set(
+              jsonb_set(block, '{props,media_asset_id}', to_jsonb(p_keep_id::text)),
+              '{props,url}',
+              to_jsonb(v_keep.url)
+            )
+          ELSE block
+        END
+        ORDER BY position
+      )
+      FROM jsonb_array_elements(ss.design_json->'blocks') WITH ORDINALITY AS b(block, position)
+    )
+  )
+  FROM scenes s
+  WHERE s.id = ss.scene_id
+    AND s.tenant_id = v_keep.owner_id
+    AND jsonb_typeof(ss.design_json->'blocks') = 'array'
+    AND EXISTS (
+      SELECT 1
+      FROM jsonb_array_elements(ss.design_json->'blocks') AS b(block)
+      WHERE b.block->'props'->>'media_asset_id' = ANY(v_duplicate_ids::text[])
+    );
+  GET DIAGNOSTICS v_scene_slides = ROW_COUNT;
+
+  DELETE FROM media_assets
+  WHERE id = ANY(v_duplicate_ids);
+
+  v_result := jsonb_build_object(
+    'kept_id', p_keep_id,
+    'merged', v_duplicates,
+    'merged_count', jsonb_array_length(v_duplicates),
+    'bytes_freed', v_bytes_freed,
+    'playlist_items', v_playlist_items,
+    'layout_zones', v_layout_zones,
+    'scene_slides', v_scene_slides,
+    'schedule_entries', v_schedule_entries,
+    'campaign_contents', v_campaign_contents
+  );
+
+  PERFORM public.log_activity(
+    auth.uid(),
+    v_keep.owner_id,
+    'media.merged',
+    'media',
+    p_keep_id,
+    v_keep.name,
+    v_result
+  );
+
+  RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.merge_duplicate_media(UUID, UUID[]) TO authenticated;
+
+COMMENT ON FUNCTION public.merge_duplicate_media(UUID, UUID[]) IS
+'Points playlist items, layout zones, scene blocks, schedule entries and campaign contents at the kept asset, deletes its duplicates and logs media.merged';
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 205 completed: Duplicate merging scoped to the tenant';
+END $$;
@@ -0,0 +1,293 @@
+-- ============================================================================
+-- Migration 206: Media versions scoped to the tenant
+--
+-- add_media_version, rollback_media_version and get_media_screens
+-- (migration 199) let any admin act on another tenant's media, so an admin
+-- could replace or roll back a file that is then republished to that
+-- tenant's screens. Admins are now limited to the clients they manage, the
+-- same rule as the media_asset_versions policies.
+--
+-- Functions:
+--   add_media_version(media_id, url, ...)          - upload a version (authenticated)
+--   rollback_media_version(media_id, version)      - make a version current (authenticated)
+--   get_media_screens(media_id)                    - screens showing an asset (authenticated)
+--
+-- Idempotent: CREATE OR REPLACE.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Versions
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.add_media_version(
+  p_media_id UUID,
+  p_url TEXT,
+  p_thumbnail_url TEXT DEFAULT NULL,
+  p_mime_type TEXT DEFAULT NULL,
+  p_file_size BIGINT DEFAULT NULL,
+  p_width INTEGER DEFAULT NULL,
+  p_height INTEGER DEFAULT NULL,
+  p_duration INTEGER DEFAULT NULL,
+  p_content_hash TEXT DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_media RECORD;
+  v_version media_asset_versions%ROWTYPE;
+  v_scene_slides INTEGER;
+  v_result JSONB;
+BEGIN
+  SELECT * INTO v_media
+  FROM media_assets
+  WHERE id = p_media_id
+  FOR UPDATE;
+
+  IF v_media.id IS NULL THEN
+    RAISE EXCEPTION 'Media not found';
+  END IF;
+
+  IF NOT (
+    v_media.owner_id = auth.uid() OR
+    is_super_admin() OR
+    (is_admin() AND v_media.owner_id IN (SELECT client_id FROM get_my_client_ids()))
+  ) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  IF v_media.type NOT IN ('image', 'video', 'audio', 'document') THEN
+    RAISE EXCEPTION 'Only uploaded files have versions';
+  END IF;
+
+  IF p_url IS NULL OR btrim(p_url) = '' THEN
+    RAISE EXCEPTION 'A file URL is required';
+  END IF;
+
+  -- An image stays an image: playlists and zones were set up for its type
+  IF v_media.type IN ('image', 'video', 'audio')
+     AND p_mime_type IS NOT NULL
+     AND split_part(p_mime_type, '/', 1) <> v_media.type THEN
+    RAISE EXCEPTION 'A new version of a % must also be a %', v_media.type, v_media.type;
+  END IF;
+
+  IF p_content_hash IS NOT NULL AND p_content_hash = v_media.content_hash THEN
+    RAISE EXCEPTION 'This file is already the current version';
+  END IF;
+
+  -- The file in use before versions existed becomes version 1
+  IF NOT EXISTS (SELECT 1 FROM media_asset_versions WHERE media_id = p_media_id) THEN
+    INSERT INTO media_asset_versions (
+      media_id, owner_id, version_number, url, thumbnail_url, mime_type,
+      file_size, width, height, duration, content_hash, uploaded_by, created_at
+    )
+    VALUES (
+      v_media.id, v_media.owner_id, 1, v_media.url, v_media.thumbnail_url, v_media.mime_type,
+      v_media.file_size, v_media.width, v_media.height, v_media.duration, v_media.content_hash,
+      (SELECT id FROM profiles WHERE id = v_media.owner_id), v_media.created_at
+    );
+  END IF;
+
+  INSERT INTO media_asset_versions (
+    media_id, owner_id, version_number, url, thumbnail_url, mime_type,
+    file_size, width, height, duration, content_hash, uploaded_by
+  )
+  SELECT
+    v_media.id, v_media.owner_id, MAX(version_number) + 1, p_url, p_thumbnail_url, p_mime_type,
+    p_file_size, p_width, p_height, p_duration, p_content_hash, auth.uid()
+  FROM media_asset_versions
+  WHERE media_id = p_media_id
+  RETURNING * INTO v_version;
+
+  v_scene_slides := public.apply_media_version(v_version);
+
+  v_result := jsonb_build_object(
+    'media_id', p_media_id,
+    'version', v_version.version_number,
+    'previous_version', COALESCE(v_media.current_version, 1),
+    'scene_slides', v_scene_slides
+  );
+
+  PERFORM public.log_activity(
+    auth.uid(),
+    v_media.owner_id,
+    'media.version_added',
+    'media',
+    p_media_id,
+    v_media.name,
+    v_result
+  );
+
+  RETURN v_result;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.rollback_media_version(
+  p_media_id UUID,
+  p_version_number INTEGER
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_media RECORD;
+  v_version media_asset_versions%ROWTYPE;
+  v_scene_slides INTEGER;
+  v_result JSONB;
+BEGIN
+  SELECT id, owner_id, name, current_version INTO v_media
+  FROM media_assets
+  WHERE id = p_media_id
+  FOR UPDATE;
+
+  IF v_media.id IS NULL THEN
+    RAISE EXCEPTION 'Media not found';
+  END IF;
+
+  IF NOT (
+    v_media.owner_id = auth.uid() OR
+    is_super_admin() OR
+    (is_admin() AND v_media.owner_id IN (SELECT client_id FROM get_my_client_ids()))
+  ) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  SELECT * INTO v_version
+  FROM media_asset_versions
+  WHERE media_id = p_media_id
+    AND version_number = p_version_number;
+
+  IF v_version.id IS NULL THEN
+    RAISE EXCEPTION 'Version not found';
+  END IF;
+
+  IF p_version_number = COALESCE(v_media.current_version, 1) THEN
+    RAISE EXCEPTION 'Version % is already current', p_version_number;
+  END IF;
+
+  v_scene_slides := public.apply_media_version(v_version);
+
+  v_result := jsonb_build_object(
+    'media_id', p_media_id,
+    'version', p_version_number,
+    'previous_version', COALESCE(v_media.current_version, 1),
+    'scene_slides', v_scene_slides
+  );
+
+  PERFORM public.log_activity(
+    auth.uid(),
+    v_media.owner_id,
+    'media.version_restored',
+    'media',
+    p_media_id,
+    v_media.name,
+    v_result
+  );
+
+  RETURN v_result;
+END;
+$$;
+
+-- ============================================================================
+-- 2. Affected screens
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_media_screens(p_media_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner_id UUID;
+BEGIN
+  SELECT owner_id INTO v_owner_id
+  FROM media_assets
+  WHERE id = p_media_id;
+
+  IF v_owner_id IS NULL THEN
+    RAISE EXCEPTION 'Media not found';
+  END IF;
+
+  IF NOT (
+    v_owner_id = auth.uid() OR
+    is_super_admin() OR
+    (is_admin() AND v_owner_id IN (SELECT client_id FROM get_my_client_ids()))
+  ) THEN
+    RAISE EXCEPTION 'Access denied';
+  END IF;
+
+  RETURN COALESCE((
+    WITH RECURSIVE edges AS (
+      SELECT pi.item_type AS child_type, pi.item_id AS child_id,
+             'playlist'::text AS parent_type, pi.playlist_id AS parent_id
+      FROM playlist_items pi
+      JOIN playlists p ON p.id = pi.playlist_id
+      WHERE p.owner_id = v_owner_id
+      UNION ALL
+      SELECT lz.content_type, lz.content_id, 'layout', lz.layout_id
+      FROM layout_zones lz
+      JOIN layouts l ON l.id = lz.layout_id
+      WHERE l.owner_id = v_owner_id
+        AND lz.content_id IS NOT NULL
+    ),
+    contents(content_type, content_id) AS (
+      SELECT 'media'::text, p_media_id
+      UNION
+      SELECT 'scene', ss.scene_id
+      FROM scene_slides ss
+      JOIN scenes s ON s.id = ss.scene_id
+      WHERE s.tenant_id = v_owner_id
+        AND jsonb_typeof(ss.design_json->'blocks') = 'array'
+        AND EXISTS (
+          SELECT 1
+          FROM jsonb_array_elements(ss.design_json->'blocks') AS b(block)
+          WHERE b.block->'props'->>'media_asset_id' = p_media_id::text
+        )
+      UNION
+      SELECT e.parent_type, e.parent_id
+      FROM edges e
+      JOIN contents c ON c.content_type = e.child_type AND c.content_id = e.child_id
+    )
+    SELECT jsonb_agg(
+      jsonb_build_object('screen_id', td.id, 'screen_name', td.device_name)
+      ORDER BY td.device_name
+    )
+    FROM tv_devices td
+    WHERE td.owner_id = v_owner_id
+      AND (
+        td.assigned_playlist_id IN (SELECT content_id FROM contents WHERE content_type = 'playlist')
+        OR td.assigned_layout_id IN (SELECT content_id FROM contents WHERE content_type = 'layout')
+        OR td.active_scene_id IN (SELECT content_id FROM contents WHERE content_type = 'scene')
+        OR td.assigned_schedule_id IN (
+          SELECT se.schedule_id
+          FROM schedule_entries se
+          JOIN contents c ON c.content_type = se.content_type AND c.content_id = se.content_id
+        )
+        OR EXISTS (
+          SELECT 1
+          FROM campaigns cp
+          JOIN campaign_contents cc ON cc.campaign_id = cp.id
+          JOIN contents c ON c.content_type = cc.content_type AND c.content_id = cc.content_id
+          JOIN campaign_targets ct ON ct.campaign_id = cp.id
+          WHERE cp.tenant_id = v_owner_id
+            AND cp.status IN ('active', 'scheduled')
+            AND (
+              (ct.target_type = 'screen' AND ct.target_id = td.id)
+              OR (ct.target_type = 'screen_group' AND ct.target_id = td.screen_group_id)
+              OR (ct.target_type = 'location' AND ct.target_id = td.location_id)
+              OR ct.target_type = 'all'
+            )
+        )
+      )
+  ), '[]'::jsonb);
+END;
+$$;
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 206 completed: Media versions scoped to the tenant';
+END $$;
@@ -0,0 +1,250 @@
+-- ============================================================================
+-- Migration 207: Schedule snapshot for offline sunrise/sunset switching
+--
+-- Sunrise/sunset schedule entries (migration 181) are resolved by
+-- get_resolved_player_content, so a player that loses its connection keeps
+-- playing whatever was on when it went offline and never switches between
+-- day and night content.
+--
+-- get_player_schedule_snapshot returns the screen's assigned schedule with
+-- each entry's triggers and the content it plays, plus the assigned
+-- layout/playlist fallback, in the same shape as get_resolved_player_content.
+-- The player caches it and re-resolves the active entry with
+-- src/services/solarService.js while offline. Schedules without a solar entry
+-- return NULL: their fixed times are already handled online.
+--
+-- Functions:
+--   player_schedule_target_content(type, id, source, device) - internal
+--   get_player_schedule_snapshot(screen_id)
+--
+-- Idempotent: CREATE OR REPLACE.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. player_schedule_target_content(type, id, source, device)
+--    Player content for a playlist, layout or media target, as
+--    get_resolved_player_content builds it.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.player_schedule_target_content(
+  p_target_type TEXT,
+  p_target_id UUID,
+  p_source TEXT,
+  p_device JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_playlist playlists%ROWTYPE;
+  v_items JSONB;
+  v_interleave JSONB;
+BEGIN
+  IF p_target_type = 'layout' THEN
+    RETURN jsonb_build_object(
+      'mode', 'layout',
+      'source', p_source,
+      'device', p_device,
+      'layout', public.get_layout_content(p_target_id),
+      'campaign', NULL,
+      'scene', NULL
+    );
+  END IF;
+
+  IF p_target_type = 'media' THEN
+    SELECT jsonb_build_array(jsonb_build_object(
+      'id', ma.id,
+      'position', 0,
+      'type', 'media',
+      'mediaType', ma.type,
+      'url', ma.url,
+      'thumbnailUrl', ma.thumbnail_url,
+      'name', ma.name,
+      'duration', COALESCE(ma.duration, 10),
+      'width', ma.width,
+      'height', ma.height,
+      'config', ma.config_json,
+      'validFrom', ma.valid_from,
+      'validUntil', ma.valid_until
+    )) INTO v_items
+    FROM public.media_assets ma
+    WHERE ma.id = p_target_id
+      AND ma.archived_at IS NULL
+      AND COALESCE(ma.valid_until > NOW(), true);
+
+    RETURN jsonb_build_object(
+      'mode', 'playlist',
+      'source', p_source,
+      'device', p_device,
+      'playlist', NULL,
+      'items', COALESCE(v_items, '[]'::jsonb),
+      'scene', NULL
+    );
+  END IF;
+
+  SELECT * INTO v_playlist
+  FROM public.playlists
+  WHERE id = p_target_id;
+
+  IF v_playlist.id IS NULL THEN
+    RETURN jsonb_build_object(
+      'mode', 'playlist',
+      'source', p_source,
+      'device', p_device,
+      'playlist', NULL,
+      'items', '[]'::jsonb,
+      'scene', NULL
+    );
+  END IF;
+
+  SELECT COALESCE(jsonb_agg(
+    jsonb_build_object(
+      'playlistId', ip.id,
+      'name', ip.name,
+      'every', (r.rule->>'every')::integer,
+      'count', (r.rule->>'count')::integer,
+      'playbackMode', ip.playback_mode,
+      'playbackSeed', COALESCE(ip.playback_seed, ip.id::text),
+      'items', public.playlist_player_items(ip.id, 1)
+    )
+    ORDER BY r.ord
+  ), '[]'::jsonb) INTO v_interleave
+  FROM jsonb_array_elements(v_playlist.interleave_rules) WITH ORDINALITY AS r(rule, ord)
+  JOIN public.playlists ip ON ip.id = (r.rule->>'playlistId')::uuid;
+
+  RETURN jsonb_build_object(
+    'mode', 'playlist',
+    'source', p_source,
+    'device', p_device,
+    'playlist', jsonb_build_object(
+      'id', v_playlist.id,
+      'name', v_playlist.name,
+      'defaultDuration', COALESCE(v_playlist.default_duration, 10),
+      'transitionEffect', COALESCE(v_playlist.transition_effect, 'fade'),
+      'shuffle', COALESCE(v_playlist.shuffle, false),
+      'playbackMode', v_playlist.playback_mode,
+      'playbackSeed', COALESCE(v_playlist.playback_seed, v_playlist.id::text),
+      'interleave', v_interleave
+    ),
+    'campaign', NULL,
+    'items', public.playlist_player_items(v_playlist.id),
+    'scene', NULL
+  );
+END;
+$$;
+
+-- Only reached through get_player_schedule_snapshot
+REVOKE ALL ON FUNCTION public.player_schedule_target_content(TEXT, UUID, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- ============================================================================
+-- 2. get_player_schedule_snapshot(screen_id)
+--    Entries are in resolve_schedule_entry order (priority, newest first);
+--    the player plays the first one active at the screen's local time.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_player_schedule_snapshot(p_screen_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_device tv_devices%ROWTYPE;
+  v_location locations%ROWTYPE;
+  v_device_json JSONB;
+  v_entries JSONB;
+  v_fallback JSONB;
+BEGIN
+  SELECT * INTO v_device
+  FROM public.tv_devices
+  WHERE id = p_screen_id;
+
+  IF v_device.id IS NULL OR v_device.assigned_schedule_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1
+    FROM public.schedule_entries se
+    JOIN public.schedules s ON s.id = se.schedule_id
+    WHERE se.schedule_id = v_device.assigned_schedule_id
+      AND s.is_active = true
+      AND se.is_active = true
+      AND (se.start_anchor <> 'time' OR se.end_anchor <> 'time')
+  ) THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_location
+  FROM public.locations
+  WHERE id = v_device.location_id;
+
+  v_device_json := jsonb_build_object(
+    'id', v_device.id,
+    'name', v_device.device_name,
+    'timezone', COALESCE(v_device.timezone, 'UTC'),
+    'weather', jsonb_build_object(
+      'latitude', COALESCE(v_device.latitude, v_location.latitude),
+      'longitude', COALESCE(v_device.longitude, v_location.longitude),
+      'city', v_location.city,
+      'usedBySchedule', public.screen_schedule_uses_weather(v_device.id)
+    )
+  );
+
+  SELECT COALESCE(jsonb_agg(
+    jsonb_build_object(
+      'id', se.id,
+      'daysOfWeek', to_jsonb(se.days_of_week),
+      'startTime', se.start_time,
+      'endTime', se.end_time,
+      'startAnchor', se.start_anchor,
+      'startOffsetMinutes', se.start_offset_minutes,
+      'endAnchor', se.end_anchor,
+      'endOffsetMinutes', se.end_offset_minutes,
+      'hasWeatherConditions', jsonb_array_length(COALESCE(se.weather_conditions, '[]'::jsonb)) > 0,
+      'content', public.player_schedule_target_content(se.target_type, se.target_id, 'legacy_schedule', v_device_json)
+    )
+    ORDER BY se.priority DESC, se.created_at DESC, se.id ASC
+  ), '[]'::jsonb) INTO v_entries
+  FROM public.schedule_entries se
+  WHERE se.schedule_id = v_device.assigned_schedule_id
+    AND se.is_active = true
+    AND se.target_id IS NOT NULL;
+
+  IF v_device.assigned_layout_id IS NOT NULL THEN
+    v_fallback := public.player_schedule_target_content('layout', v_device.assigned_layout_id, 'assigned_layout', v_device_json);
+  ELSIF v_device.assigned_playlist_id IS NOT NULL THEN
+    v_fallback := public.player_schedule_target_content('playlist', v_device.assigned_playlist_id, 'assigned_playlist', v_device_json);
+  ELSE
+    v_fallback := jsonb_build_object(
+      'mode', 'playlist',
+      'source', NULL,
+      'device', v_device_json,
+      'playlist', NULL,
+      'items', '[]'::jsonb,
+      'scene', NULL
+    );
+  END IF;
+
+  RETURN jsonb_build_object(
+    'scheduleId', v_device.assigned_schedule_id,
+    'timezone', COALESCE(v_device.timezone, 'UTC'),
+    'latitude', COALESCE(v_device.latitude, v_location.latitude),
+    'longitude', COALESCE(v_device.longitude, v_location.longitude),
+    'entries', v_entries,
+    'fallback', v_fallback
+  );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_player_schedule_snapshot(UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_player_schedule_snapshot(UUID) TO authenticated;
+
+COMMENT ON FUNCTION public.get_player_schedule_snapshot(UUID) IS
+'Assigned schedule entries with their content and the assigned fallback, so an offline player can follow sunrise/sunset entries';
+
+DO $$ BEGIN RAISE NOTICE 'Migration 207 completed: Schedule snapshot for offline sunrise/sunset switching'; END $$;
@@ -0,0 +1,132 @@
+-- ============================================================================
+-- Migration 208: Campaign delivery stats by each screen's local day
+--
+-- Migration 203 counted every play of a campaign in one timezone, the most
+-- common one among its screens. campaign_delivery_allowed (migration 182)
+-- counts the day from each screen's own midnight, so for campaigns running
+-- across timezones the dashboard still bucketed some plays on a different day
+-- than the screen that played them.
+--
+-- Each play is now dated in the timezone of the screen that played it (UTC
+-- for screens without one), for both the report period and delivered_today.
+-- The timezone column keeps the campaign's most common screen timezone, which
+-- campaignService.summarizeDelivery uses to pace today's goal.
+--
+-- Functions:
+--   get_campaign_playback_stats(tenant, start, end) - per-screen local days
+--
+-- Idempotent: CREATE OR REPLACE.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. get_campaign_playback_stats(tenant, start, end)
+--    p_start_date and p_end_date are local dates at each screen.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_campaign_playback_stats(
+    p_tenant_id UUID,
+    p_start_date DATE DEFAULT CURRENT_DATE - INTERVAL '30 days',
+    p_end_date DATE DEFAULT CURRENT_DATE
+)
+RETURNS TABLE (
+    campaign_id UUID,
+    campaign_name TEXT,
+    campaign_status TEXT,
+    total_playback_seconds BIGINT,
+    unique_screens BIGINT,
+    unique_locations BIGINT,
+    play_count BIGINT,
+    delivered_today BIGINT,
+    daily_impression_goal INTEGER,
+    frequency_cap_per_hour INTEGER,
+    share_of_voice NUMERIC,
+    pacing TEXT,
+    start_at TIMESTAMPTZ,
+    end_at TIMESTAMPTZ,
+    timezone TEXT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    RETURN QUERY
+    WITH plays AS (
+        -- Plays dated by the local day of the screen that played them. Local
+        -- dates are at most a day off UTC, so the scan is one day wider.
+        SELECT
+            pe.id,
+            pe.campaign_id,
+            pe.screen_id,
+            pe.duration_seconds,
+            d.location_id,
+            d.timezone AS screen_timezone,
+            (pe.started_at AT TIME ZONE COALESCE(d.timezone, 'UTC'))::date AS local_date,
+            (NOW() AT TIME ZONE COALESCE(d.timezone, 'UTC'))::date AS local_today
+        FROM public.playback_events pe
+        LEFT JOIN public.tv_devices d ON d.id = pe.screen_id
+        WHERE pe.campaign_id IN (SELECT c.id FROM public.campaigns c WHERE c.tenant_id = p_tenant_id)
+          AND pe.started_at >= (p_start_date - 1)::timestamp AT TIME ZONE 'UTC'
+          AND pe.started_at < (p_end_date + 2)::timestamp AT TIME ZONE 'UTC'
+    ),
+    campaign_zones AS (
+        SELECT
+            c.id,
+            COALESCE(
+                (
+                    SELECT p.screen_timezone
+                    FROM plays p
+                    WHERE p.campaign_id = c.id
+                      AND p.screen_timezone IS NOT NULL
+                    GROUP BY p.screen_timezone
+                    ORDER BY COUNT(*) DESC, p.screen_timezone
+                    LIMIT 1
+                ),
+                (
+                    SELECT d.timezone
+                    FROM public.tv_devices d
+                    WHERE d.owner_id = p_tenant_id
+                      AND d.timezone IS NOT NULL
+                    GROUP BY d.timezone
+                    ORDER BY COUNT(*) DESC, d.timezone
+                    LIMIT 1
+                ),
+                'UTC'
+            ) AS timezone
+        FROM public.campaigns c
+        WHERE c.tenant_id = p_tenant_id
+    )
+    SELECT
+        c.id AS campaign_id,
+        c.name AS campaign_name,
+        c.status AS campaign_status,
+        COALESCE(SUM(p.duration_seconds), 0)::BIGINT AS total_playback_seconds,
+        COUNT(DISTINCT p.screen_id)::BIGINT AS unique_screens,
+        COUNT(DISTINCT p.location_id)::BIGINT AS unique_locations,
+        COUNT(p.id)::BIGINT AS play_count,
+        COUNT(p.id) FILTER (WHERE p.local_date = p.local_today)::BIGINT AS delivered_today,
+        c.daily_impression_goal,
+        c.frequency_cap_per_hour,
+        c.share_of_voice,
+        c.pacing,
+        c.start_at,
+        c.end_at,
+        cz.timezone
+    FROM public.campaigns c
+    JOIN campaign_zones cz ON cz.id = c.id
+    LEFT JOIN plays p ON p.campaign_id = c.id
+        AND p.local_date BETWEEN p_start_date AND p_end_date
+    WHERE c.tenant_id = p_tenant_id
+    GROUP BY c.id, c.name, c.status, cz.timezone
+    ORDER BY total_playback_seconds DESC;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_campaign_playback_stats TO authenticated;
+
+COMMENT ON FUNCTION public.get_campaign_playback_stats(UUID, DATE, DATE) IS
+'Plays per campaign between two local dates and today, each play dated in the timezone of the screen that played it';
+
+DO $$ BEGIN
+  RAISE NOTICE 'Migration 208 completed: Campaign delivery stats by each screen''s local day';
+END $$;
@@ -0,0 +1,49 @@
+-- ============================================================================
+-- Migration 209: Pin the search_path of get_player_kiosk_scene
+--
+-- get_player_kiosk_scene (migration 191) is SECURITY DEFINER and granted to
+-- anon, but was created without a fixed search_path, so a caller could put
+-- its own objects ahead of public while it runs with the owner's rights.
+-- It is recreated unchanged apart from SET search_path = public.
+--
+-- Functions:
+--   get_player_kiosk_scene(screen_id, scene_id) - scene with slides for a player
+--
+-- Idempotent: CREATE OR REPLACE.
+-- ============================================================================
+
+CREATE OR REPLACE FUNCTION public.get_player_kiosk_scene(p_screen_id UUID, p_scene_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_owner_id UUID;
+BEGIN
+  SELECT owner_id INTO v_owner_id
+  FROM public.tv_devices
+  WHERE id = p_screen_id;
+
+  IF v_owner_id IS NULL OR NOT EXISTS (
+    SELECT 1
+    FROM public.scenes
+    WHERE id = p_scene_id
+      AND tenant_id = v_owner_id
+      AND is_active = true
+  ) THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN public.get_scene_with_slides(p_scene_id);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_player_kiosk_scene(UUID, UUID) TO anon;
+GRANT EXECUTE ON FUNCTION public.get_player_kiosk_scene(UUID, UUID) TO authenticated;
+
+COMMENT ON FUNCTION public.get_player_kiosk_scene(UUID, UUID) IS
+'Scene with slides for a touch kiosk navigating away from its assigned scene; same-tenant active scenes only';
+
+DO $$ BEGIN RAISE NOTICE 'Migration 209 completed: get_player_kiosk_scene search_path pinned'; END $$;
@@ -0,0 +1,119 @@
+/**
+ * useKioskNavigation hook unit tests
+ * Tests for tap navigation, the QR detail and the idle return to the attract loop
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+
+vi.mock('../../../src/services/kioskNavigationService', async (importOriginal) => ({
+  ...(await importOriginal()),
+  fetchKioskScene: vi.fn(),
+}));
+
+vi.mock('../../../src/services/playbackTrackingService', () => ({
+  trackInteraction: vi.fn(),
+  trackSceneStart: vi.fn(),
+}));
+
+import { useKioskNavigation } from '../../../src/hooks/useKioskNavigation';
+import { fetchKioskScene } from '../../../src/services/kioskNavigationService';
+import { trackInteraction, trackSceneStart } from '../../../src/services/playbackTrackingService';
+
+const button = (id, action) => ({ id, type: 'shape', action });
+
+const homeScene = {
+  id: 'scene-home',
+  settings: { kiosk: { idleTimeoutSeconds: 20 } },
+  slides: [
+    { id: 's1', design: { blocks: [button('to-menu', { type: 'scene', sceneId: 'scene-menu' })] } },
+    { id: 's2', design: { blocks: [button('qr', { type: 'qr', url: 'https://example.com', title: 'Book' })] } },
+    { id: 's3', design: { blocks: [button('to-s2', { type: 'slide', slideId: 's2' })] } },
+  ],
+};
+const menuScene = { id: 'scene-menu', slides: [{ id: 'm1', design: { blocks: [] } }] };
+
+describe('useKioskNavigation', () => {
+  let onGoToSlide;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    onGoToSlide = vi.fn();
+    fetchKioskScene.mockResolvedValue(menuScene);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const renderKiosk = (options = {}) => renderHook(
+    ({ scene }) => useKioskNavigation(scene, { screenId: 'screen-1', onGoToSlide, ...options }),
+    { initialProps: { scene: homeScene } }
+  );
+
+  it('prefetches linked scenes and is not interacting at first', async () => {
+    const { result } = renderKiosk();
+    await act(async () => {});
+
+    expect(fetchKioskScene).toHaveBeenCalledWith('screen-1', 'scene-menu');
+    expect(result.current).toMatchObject({ scene: homeScene, interactive: true, interacting: false });
+  });
+
+  it('jumps to a slide and records the tap', async () => {
+    const { result } = renderKiosk();
+
+    await act(async () => {
+      await result.current.handleTap(homeScene.slides[2].design.blocks[0], homeScene.slides[2]);
+    });
+
+    expect(onGoToSlide).toHaveBeenCalledWith(1);
+    expect(result.current.interacting).toBe(true);
+    expect(trackInteraction).toHaveBeenCalledWith({
+      action: 'tap',
+      slideId: 's3',
+      blockId: 'to-s2',
+      target: { type: 'slide', slideId: 's2' },
+    });
+  });
+
+  it('switches scenes and returns home after the idle timeout', async () => {
+    const { result } = renderKiosk();
+    await act(async () => {});
+
+    await act(async () => {
+      await result.current.handleTap(homeScene.slides[0].design.blocks[0], homeScene.slides[0]);
+    });
+    expect(result.current.scene).toBe(menuScene);
+    expect(trackSceneStart).toHaveBeenCalledWith({ sceneId: 'scene-menu' });
+
+    // A touch re-arms the timer
+    act(() => vi.advanceTimersByTime(15000));
+    act(() => result.current.handleTouch());
+    act(() => vi.advanceTimersByTime(15000));
+    expect(result.current.scene).toBe(menuScene);
+
+    act(() => vi.advanceTimersByTime(5000));
+    expect(result.current).toMatchObject({ scene: homeScene, interacting: false });
+    expect(onGoToSlide).toHaveBeenLastCalledWith(0);
+    expect(trackInteraction).toHaveBeenLastCalledWith({ action: 'idle_reset' });
+    expect(trackSceneStart).toHaveBeenLastCalledWith({ sceneId: 'scene-home' });
+  });
+
+  it('opens and closes the QR detail', async () => {
+    const { result } = renderKiosk();
+
+    await act(async () => {
+      await result.current.handleTap(homeScene.slides[1].design.blocks[0], homeScene.slides[1]);
+    });
+    expect(result.current.qr).toEqual({ url: 'https://example.com', title: 'Book' });
+
+    act(() => result.current.closeQr());
+    expect(result.current.qr).toBeNull();
+  });
+
+  it('stays in its attract loop when disabled', () => {
+    const { result } = renderKiosk({ enabled: false });
+    expect(result.current.interactive).toBe(false);
+    expect(fetchKioskScene).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Activity Log Service Unit Tests
+ * Tests for campaign lifecycle activity descriptions
+ */
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    auth: { getUser: vi.fn() },
+    rpc: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/tenantService', () => ({
+  getEffectiveOwnerId: vi.fn(),
+}));
+
+import {
+  ACTIONS,
+  ACTION_LABELS,
+  RESOURCE_TYPES,
+  describeActivity,
+} from '../../../src/services/activityLogService';
+
+describe('activityLogService', () => {
+  describe('campaign lifecycle actions', () => {
+    it('uses the campaign webhook event names as action codes', () => {
+      expect(ACTIONS.CAMPAIGN_ACTIVATED).toBe('campaign.activated');
+      expect(ACTIONS.CAMPAIGN_DEACTIVATED).toBe('campaign.deactivated');
+      expect(ACTIONS.CAMPAIGN_ENDED).toBe('campaign.ended');
+      expect(RESOURCE_TYPES.CAMPAIGN).toBe('campaign');
+      expect(ACTION_LABELS[ACTIONS.CAMPAIGN_ENDED]).toBe('Campaign Ended');
+    });
+
+    it('describes worker transitions as scheduled system actions', () => {
+      const activity = {
+        action: ACTIONS.CAMPAIGN_ACTIVATED,
+        actor_name: null,
+        resource_name: 'Summer Sale',
+        metadata: { source: 'lifecycle_worker', previous_status: 'scheduled' },
+      };
+
+      expect(describeActivity(activity)).toBe('Campaign "Summer Sale" started on schedule');
+      expect(describeActivity({ ...activity, action: ACTIONS.CAMPAIGN_ENDED }))
+        .toBe('Campaign "Summer Sale" ended on schedule');
+    });
+
+    it('describes manual transitions with the actor', () => {
+      const activity = {
+        action: ACTIONS.CAMPAIGN_DEACTIVATED,
+        actor_name: 'Dana',
+        resource_name: 'Summer Sale',
+        metadata: { source: 'manual' },
+      };
+
+      expect(describeActivity(activity)).toBe('Dana paused campaign "Summer Sale"');
+      expect(describeActivity({ ...activity, action: ACTIONS.CAMPAIGN_ACTIVATED }))
+        .toBe('Dana started campaign "Summer Sale"');
+    });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Calendar App Service Unit Tests
+ * Tests for iCalendar feed parsing, recurrence, timezones and the calendar views
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  normalizeFeedUrl,
+  parseCalendarFeed,
+  loadCalendarEvents,
+  getAgendaDays,
+  getDayEvents,
+  getRoomStatus,
+} from '../../../src/services/calendarAppService';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Test//EN',
+  // Other components (VTIMEZONE) are passed whole
+  ...events.flatMap(lines => (lines[0].startsWith('BEGIN:') ? lines : ['BEGIN:VEVENT', ...lines, 'END:VEVENT'])),
+  'END:VCALENDAR',
+].join('\r\n');
+
+const VTIMEZONE_EASTERN = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Eastern Standard Time',
+  'BEGIN:STANDARD',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'END:STANDARD',
+  'BEGIN:DAYLIGHT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'END:DAYLIGHT',
+  'END:VTIMEZONE',
+];
+
+const from = Date.UTC(2026, 9, 19);
+const to = Date.UTC(2026, 10, 30);
+
+describe('calendarAppService', () => {
+  describe('normalizeFeedUrl', () => {
+    it('turns webcal links into https', () => {
+      expect(normalizeFeedUrl(' webcal://calendar.example.com/a.ics ')).toBe('https://calendar.example.com/a.ics');
+      expect(normalizeFeedUrl('https://example.com/a.ics')).toBe('https://example.com/a.ics');
+    });
+  });
+
+  describe('parseCalendarFeed', () => {
+    it('reads UTC, VTIMEZONE, IANA TZID and floating times', () => {
+      const ics = calendar(
+        VTIMEZONE_EASTERN,
+        ['UID:utc', 'SUMMARY:UTC', 'DTSTART:20261020T150000Z', 'DTEND:20261020T160000Z'],
+        [
+          'UID:eastern',
+          'SUMMARY:Eastern',
+          'DTSTART;TZID=Eastern Standard Time:20261020T090000',
+          'DTEND;TZID=Eastern Standard Time:20261020T100000',
+        ],
+        ['UID:paris', 'SUMMARY:Paris', 'DTSTART;TZID=Europe/Paris:20261020T090000', 'DTEND;TZID=Europe/Paris:20261020T100000'],
+        ['UID:floating', 'SUMMARY:Floating', 'DTSTART:20261020T090000', 'DTEND:20261020T093000'],
+      );
+
+      const events = parseCalendarFeed(ics, { timeZone: 'America/Los_Angeles', from, to });
+      const byTitle = Object.fromEntries(events.map(e => [e.title, e.start]));
+
+      expect(byTitle.UTC).toBe(Date.UTC(2026, 9, 20, 15));
+      expect(byTitle.Eastern).toBe(Date.UTC(2026, 9, 20, 13));
+      expect(byTitle.Paris).toBe(Date.UTC(2026, 9, 20, 7));
+      // Floating times are in the screen's timezone
+      expect(byTitle.Floating).toBe(Date.UTC(2026, 9, 20, 16));
+    });
+
+    it('expands recurrences with exclusions and moved instances', () => {
+      const ics = calendar(
+        [
+          'UID:weekly',
+          'SUMMARY:Team sync',
+          'LOCATION:Boardroom',
+          'DTSTART;TZID=Europe/Paris:20261020T090000',
+          'DTEND;TZID=Europe/Paris:20261020T100000',
+          'RRULE:FREQ=WEEKLY',
+          'EXDATE;TZID=Europe/Paris:20261027T090000',
+        ],
+        [
+          'UID:weekly',
+          'RECURRENCE-ID;TZID=Europe/Paris:20261103T090000',
+          'SUMMARY:Team sync (moved)',
+          'DTSTART;TZID=Europe/Paris:20261103T140000',
+          'DTEND;TZID=Europe/Paris:20261103T150000',
+        ],
+      );
+
+      const events = parseCalendarFeed(ics, { timeZone: 'Europe/Paris', from, to: Date.UTC(2026, 10, 12) });
+
+      expect(events.map(e => [e.title, new Date(e.start).toISOString()])).toEqual([
+        ['Team sync', '2026-10-20T07:00:00.000Z'],
+        // Paris leaves summer time on 25 October
+        ['Team sync (moved)', '2026-11-03T13:00:00.000Z'],
+        ['Team sync', '2026-11-10T08:00:00.000Z'],
+      ]);
+      expect(events[0].location).toBe('Boardroom');
+    });
+
+    it('keeps long-running recurrences and skips the past', () => {
+      const ics = calendar([
+        'UID:daily',
+        'SUMMARY:Standup',
+        'DTSTART:20100104T090000Z',
+        'DTEND:20100104T091500Z',
+        'RRULE:FREQ=DAILY',
+      ]);
+
+      const events = parseCalendarFeed(ics, { from, to: from + 3 * DAY });
+      expect(events).toHaveLength(3);
+      expect(events[0].start).toBe(Date.UTC(2026, 9, 19, 9));
+    });
+
+    it('treats all-day events as screen-local days and drops cancelled events', () => {
+      const ics = calendar(
+        ['UID:holiday', 'SUMMARY:Holiday', 'DTSTART;VALUE=DATE:20261022', 'DTEND;VALUE=DATE:20261023'],
+        ['UID:off', 'SUMMARY:Cancelled', 'STATUS:CANCELLED', 'DTSTART:20261022T090000Z', 'DTEND:20261022T100000Z'],
+      );
+
+      const [holiday, ...rest] = parseCalendarFeed(ics, { timeZone: 'America/New_York', from, to });
+      expect(rest).toHaveLength(0);
+      expect(holiday).toMatchObject({ allDay: true, start: Date.UTC(2026, 9, 22, 4), end: Date.UTC(2026, 9, 23, 4) });
+    });
+
+    it('rejects empty and invalid feeds', () => {
+      expect(() => parseCalendarFeed('')).toThrow('Calendar feed is empty');
+      expect(() => parseCalendarFeed('not a calendar')).toThrow('Invalid iCalendar feed');
+    });
+  });
+
+  describe('loadCalendarEvents', () => {
+    beforeEach(() => {
+      vi.stubGlobal('fetch', vi.fn());
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('fetches the feed through the app data endpoint and parses it from the start of the local day', async () => {
+      fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({
+          success: true,
+          data: calendar(['UID:a', 'SUMMARY:Early', 'DTSTART:20261019T130000Z', 'DTEND:20261019T140000Z']),
+        }),
+      });
+
+      const now = Date.UTC(2026, 9, 19, 18);
+      const result = await loadCalendarEvents(
+        { feedUrl: 'webcal://example.com/room.ics' },
+        { timeZone: 'America/New_York', now }
+      );
+
+      const url = new URL(fetch.mock.calls[0][0], 'http://localhost');
+      expect(url.pathname).toBe('/api/apps/data');
+      expect(JSON.parse(url.searchParams.get('config'))).toEqual({ feedUrl: 'https://example.com/room.ics' });
+      expect(result).toEqual({ events: [expect.objectContaining({ title: 'Early' })], fetchedAt: now });
+    });
+
+    it('asks for a saved app by ID', async () => {
+      fetch.mockResolvedValue({ ok: true, json: async () => ({ success: true, data: calendar() }) });
+
+      await loadCalendarEvents({ feedUrl: 'https://example.com/a.ics' }, { appId: 'app 1' });
+
+      expect(fetch).toHaveBeenCalledWith('/api/apps/data?appId=app%201');
+    });
+
+    it('throws when the server reports an error', async () => {
+      fetch.mockResolvedValue({ ok: true, json: async () => ({ success: false, error: 'Feed unreachable' }) });
+      await expect(loadCalendarEvents({ feedUrl: 'https://example.com/a.ics' })).rejects.toThrow('Feed unreachable');
+    });
+
+    it('throws when the feed cannot be fetched', async () => {
+      fetch.mockResolvedValue({ ok: false, status: 404 });
+      await expect(loadCalendarEvents({ feedUrl: 'https://example.com/a.ics' })).rejects.toThrow('404');
+    });
+  });
+
+  describe('views', () => {
+    const at = (hour, minute = 0) => Date.UTC(2026, 9, 20, hour, minute);
+    const event = (id, start, end, extra = {}) => ({ id, title: id, location: '', start, end, allDay: false, ...extra });
+    const events = [
+      event('standup', at(13), at(13, 30)),
+      event('review', at(13, 30), at(14, 30)),
+      event('lunch', at(16), at(17)),
+      event('tomorrow', at(13) + DAY, at(14) + DAY),
+    ];
+    const timeZone = 'America/New_York';
+
+    it('shows the room as busy through back-to-back meetings', () => {
+      const status = getRoomStatus(events, { now: at(13, 10), timeZone });
+      expect(status).toMatchObject({ busy: true, busyUntil: at(14, 30), freeUntil: null });
+      expect(status.current.id).toBe('standup');
+      expect(status.next.id).toBe('review');
+    });
+
+    it('shows when a free room is next booked today', () => {
+      expect(getRoomStatus(events, { now: at(15), timeZone })).toMatchObject({ busy: false, freeUntil: at(16) });
+      expect(getRoomStatus(events, { now: at(18), timeZone })).toMatchObject({ busy: false, freeUntil: null, next: null });
+    });
+
+    it('lists the local day for the day view', () => {
+      const day = getDayEvents([...events, event('holiday', at(4), at(4) + DAY, { allDay: true })], { now: at(15), timeZone });
+      expect(day.date).toBe('2026-10-20');
+      expect(day.timed.map(e => e.id)).toEqual(['standup', 'review', 'lunch']);
+      expect(day.allDay.map(e => e.id)).toEqual(['holiday']);
+    });
+
+    it('groups upcoming events by local day for the agenda', () => {
+      const days = getAgendaDays(events, { now: at(14), timeZone });
+      expect(days).toEqual([
+        { date: '2026-10-20', events: [events[1], events[2]] },
+        { date: '2026-10-21', events: [events[3]] },
+      ]);
+      expect(getAgendaDays(events, { now: at(14), timeZone, daysAhead: 0 })).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Campaign Service Unit Tests
+ * Tests for delivery settings validation and delivered-vs-goal reporting
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    auth: { getUser: vi.fn() },
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+import { supabase } from '../../../src/supabase';
+import {
+  DELIVERY_STATUS,
+  PACING_MODES,
+  countActiveDays,
+  summarizeDelivery,
+  updateCampaign,
+  getCampaignStats,
+} from '../../../src/services/campaignService';
+
+function mockQuery(result = { data: {}, error: null }) {
+  const query = {
+    select: vi.fn().mockReturnThis(),
+    update: vi.fn().mockReturnThis(),
+    eq: vi.fn().mockReturnThis(),
+    single: vi.fn().mockResolvedValue(result),
+  };
+  supabase.from.mockReturnValue(query);
+  return query;
+}
+
+describe('campaignService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('countActiveDays', () => {
+    const start = new Date('2026-03-01T00:00:00Z');
+    const end = new Date('2026-03-30T12:00:00Z');
+
+    it('counts the whole period for open-ended campaigns', () => {
+      expect(countActiveDays({}, start, end)).toBe(30);
+    });
+
+    it('clips to the campaign flight dates', () => {
+      expect(countActiveDays({
+        start_at: '2026-03-10T09:00:00Z',
+        end_at: '2026-03-14T18:00:00Z',
+      }, start, end)).toBe(5);
+    });
+
+    it('returns zero when the campaign ran outside the period', () => {
+      expect(countActiveDays({ end_at: '2026-02-01T00:00:00Z' }, start, end)).toBe(0);
+    });
+
+    it('counts days in the campaign timezone', () => {
+      // 03:00 UTC on the 10th is still the 9th in Los Angeles
+      const campaign = { start_at: '2026-03-10T03:00:00Z', timezone: 'America/Los_Angeles' };
+      expect(countActiveDays(campaign, '2026-03-01', '2026-03-09')).toBe(1);
+      expect(countActiveDays({ ...campaign, timezone: 'UTC' }, '2026-03-01', '2026-03-09')).toBe(0);
+    });
+  });
+
+  describe('summarizeDelivery', () => {
+    const start = new Date('2026-03-01T00:00:00Z');
+    const end = new Date('2026-03-10T00:00:00Z');
+    const noon = new Date('2026-03-10T12:00:00Z');
+
+    it('reports no goal when none is set', () => {
+      expect(summarizeDelivery({ play_count: 40 }, start, end, noon)).toMatchObject({
+        delivered: 40,
+        goal: null,
+        delivery_status: DELIVERY_STATUS.NO_GOAL,
+      });
+    });
+
+    it('compares delivered plays with the goal for the period', () => {
+      const summary = summarizeDelivery({
+        play_count: 450,
+        delivered_today: 50,
+        daily_impression_goal: 100,
+        pacing: PACING_MODES.EVEN,
+      }, start, end, noon);
+
+      expect(summary.goal).toBe(1000);
+      expect(summary.delivery_rate).toBeCloseTo(0.45);
+      expect(summary.expected_today).toBe(50);
+      expect(summary.delivery_status).toBe(DELIVERY_STATUS.ON_TRACK);
+    });
+
+    it('flags even pacing that is ahead or behind', () => {
+      const row = { play_count: 0, daily_impression_goal: 100, pacing: PACING_MODES.EVEN };
+      expect(summarizeDelivery({ ...row, delivered_today: 80 }, start, end, noon).delivery_status)
+        .toBe(DELIVERY_STATUS.AHEAD);
+      expect(summarizeDelivery({ ...row, delivered_today: 20 }, start, end, noon).delivery_status)
+        .toBe(DELIVERY_STATUS.BEHIND);
+      expect(summarizeDelivery({ ...row, delivered_today: 100 }, start, end, noon).delivery_status)
+        .toBe(DELIVERY_STATUS.MET);
+    });
+
+    it('does not flag ASAP campaigns as behind', () => {
+      const summary = summarizeDelivery({
+        play_count: 0,
+        delivered_today: 5,
+        daily_impression_goal: 100,
+        pacing: PACING_MODES.ASAP,
+      }, start, end, noon);
+
+      expect(summary.expected_today).toBe(100);
+      expect(summary.delivery_status).toBe(DELIVERY_STATUS.ON_TRACK);
+    });
+
+    it('paces today by the screens\' local day', () => {
+      // Noon UTC is 05:00 in Los Angeles (PDT), so 5/24 of the goal is due
+      const summary = summarizeDelivery({
+        play_count: 0,
+        delivered_today: 20,
+        daily_impression_goal: 100,
+        pacing: PACING_MODES.EVEN,
+        timezone: 'America/Los_Angeles',
+      }, '2026-03-01', '2026-03-10', noon);
+
+      expect(summary.expected_today).toBe(21);
+      expect(summary.delivery_status).toBe(DELIVERY_STATUS.ON_TRACK);
+    });
+  });
+
+  describe('updateCampaign', () => {
+    it('maps delivery settings to columns and clears empty values', async () => {
+      const query = mockQuery();
+      await updateCampaign('c1', { frequencyCapPerHour: '6', shareOfVoice: 30, dailyImpressionGoal: '', pacing: 'asap' });
+
+      expect(query.update).toHaveBeenCalledWith({
+        frequency_cap_per_hour: 6,
+        share_of_voice: 30,
+        daily_impression_goal: null,
+        pacing: 'asap',
+      });
+    });
+
+    it('rejects invalid delivery settings', async () => {
+      mockQuery();
+      await expect(updateCampaign('c1', { frequencyCapPerHour: 0 })).rejects.toThrow('Frequency cap');
+      await expect(updateCampaign('c1', { shareOfVoice: 120 })).rejects.toThrow('Share of voice');
+      await expect(updateCampaign('c1', { dailyImpressionGoal: 2.5 })).rejects.toThrow('Daily impression goal');
+      await expect(updateCampaign('c1', { pacing: 'burst' })).rejects.toThrow('Invalid pacing');
+    });
+  });
+
+  describe('getCampaignStats', () => {
+    it('adds delivered-versus-goal fields to each row', async () => {
+      supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-1' } } });
+      mockQuery({ data: { id: 'user-1', managed_tenant_id: null }, error: null });
+      supabase.rpc.mockResolvedValue({
+        data: [{ campaign_id: 'c1', play_count: 70, delivered_today: 0, daily_impression_goal: 10, pacing: 'even' }],
+        error: null,
+      });
+
+      const [row] = await getCampaignStats(new Date('2026-03-01T00:00:00Z'), new Date('2026-03-07T00:00:00Z'));
+
+      expect(supabase.rpc).toHaveBeenCalledWith('get_campaign_playback_stats', {
+        p_tenant_id: 'user-1',
+        p_start_date: '2026-03-01',
+        p_end_date: '2026-03-07',
+      });
+      expect(row).toMatchObject({ campaign_id: 'c1', delivered: 70, goal: 70, delivery_rate: 1 });
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Content Trigger Service Unit Tests
+ * Tests for rule evaluation, playback order and offline data source loading
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/playerService', () => ({
+  cacheContent: vi.fn(),
+  getCachedContent: vi.fn(),
+}));
+
+vi.mock('../../../src/services/dataBindingResolver', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getCachedDataSource: vi.fn(),
+}));
+
+import { cacheContent, getCachedContent } from '../../../src/services/playerService';
+import { getCachedDataSource } from '../../../src/services/dataBindingResolver';
+import {
+  TRIGGER_ACTIONS,
+  TRIGGER_MATCH,
+  TRIGGER_OPERATORS,
+  compareTriggerValue,
+  evaluateTriggerRule,
+  evaluateTriggers,
+  applyContentTriggers,
+  getPlayableItems,
+  resolvePlayableIndex,
+  getNextPlayableIndex,
+  extractTriggerSourceIds,
+  normalizeTriggerRules,
+  getSlideTriggerRules,
+  loadTriggerSources,
+} from '../../../src/services/contentTriggerService';
+
+const queue = {
+  id: 'queue',
+  fields: [{ name: 'wait_minutes', dataType: 'number' }],
+  rows: [{ values: { location: 'Main', wait_minutes: '25' } }],
+};
+
+const inventory = {
+  id: 'inventory',
+  fields: [{ name: 'item' }, { name: 'stock' }],
+  rows: [
+    { values: { item: 'Burger', stock: '12' } },
+    { values: { item: 'Salad', stock: '0' } },
+  ],
+};
+
+const sources = new Map([['queue', queue], ['inventory', inventory]]);
+
+const waitOver = (minutes) => ({
+  sourceId: 'queue',
+  field: 'wait_minutes',
+  rowSelector: { mode: 'index', index: 0 },
+  operator: TRIGGER_OPERATORS.GT,
+  value: String(minutes),
+});
+
+const outOfStock = (item) => ({
+  sourceId: 'inventory',
+  field: 'stock',
+  rowSelector: { mode: 'match', matchField: 'item', matchValue: item },
+  operator: TRIGGER_OPERATORS.EQ,
+  value: '0',
+});
+
+describe('contentTriggerService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('compareTriggerValue', () => {
+    it('compares numbers numerically even when stored as formatted text', () => {
+      expect(compareTriggerValue('25', TRIGGER_OPERATORS.GT, '20')).toBe(true);
+      expect(compareTriggerValue('100', TRIGGER_OPERATORS.GT, '20')).toBe(true);
+      expect(compareTriggerValue('$1,200', TRIGGER_OPERATORS.GTE, '1200')).toBe(true);
+    });
+
+    it('compares text case-insensitively and never orders mixed types', () => {
+      expect(compareTriggerValue('Open', TRIGGER_OPERATORS.EQ, 'open')).toBe(true);
+      expect(compareTriggerValue('Sold out today', TRIGGER_OPERATORS.CONTAINS, 'SOLD OUT')).toBe(true);
+      expect(compareTriggerValue('n/a', TRIGGER_OPERATORS.GT, '5')).toBe(false);
+    });
+
+    it('treats missing and blank values as empty', () => {
+      expect(compareTriggerValue(undefined, TRIGGER_OPERATORS.IS_EMPTY)).toBe(true);
+      expect(compareTriggerValue('  ', TRIGGER_OPERATORS.IS_EMPTY)).toBe(true);
+      expect(compareTriggerValue(null, TRIGGER_OPERATORS.GT, '0')).toBe(false);
+    });
+  });
+
+  describe('evaluateTriggerRule', () => {
+    it('combines conditions with all or any', () => {
+      const conditions = [waitOver(20), outOfStock('Burger')];
+
+      expect(evaluateTriggerRule({ match: TRIGGER_MATCH.ALL, conditions }, sources)).toBe(false);
+      expect(evaluateTriggerRule({ match: TRIGGER_MATCH.ANY, conditions }, sources)).toBe(true);
+    });
+
+    it('holds for all-rows conditions when any row matches', () => {
+      const anyOutOfStock = {
+        match: TRIGGER_MATCH.ALL,
+        conditions: [{ ...outOfStock(), rowSelector: { mode: 'all' } }],
+      };
+
+      expect(evaluateTriggerRule(anyOutOfStock, sources)).toBe(true);
+    });
+
+    it('never matches without conditions or data', () => {
+      expect(evaluateTriggerRule({ conditions: [] }, sources)).toBe(false);
+      expect(evaluateTriggerRule({ conditions: [waitOver(20)] }, new Map())).toBe(false);
+    });
+  });
+
+  describe('evaluateTriggers', () => {
+    it('hides on a matching hide rule or an unmatched show rule', () => {
+      expect(evaluateTriggers([{ action: TRIGGER_ACTIONS.HIDE, conditions: [outOfStock('Salad')] }], sources))
+        .toEqual({ visible: false, prioritized: false });
+      expect(evaluateTriggers([{ action: TRIGGER_ACTIONS.SHOW, conditions: [waitOver(30)] }], sources))
+        .toEqual({ visible: false, prioritized: false });
+      expect(evaluateTriggers([{ action: TRIGGER_ACTIONS.PRIORITIZE, conditions: [waitOver(20)] }], sources))
+        .toEqual({ visible: true, prioritized: true });
+    });
+  });
+
+  describe('playback order', () => {
+    const welcome = { id: 'welcome', triggerRules: [] };
+    const apology = { id: 'apology', triggerRules: [{ action: TRIGGER_ACTIONS.SHOW, conditions: [waitOver(20)] }] };
+    const burger = { id: 'burger', triggerRules: [{ action: TRIGGER_ACTIONS.HIDE, conditions: [outOfStock('Burger')] }] };
+    const salad = { id: 'salad', triggerRules: [{ action: TRIGGER_ACTIONS.HIDE, conditions: [outOfStock('Salad')] }] };
+    const items = [welcome, burger, salad, apology];
+
+    it('drops hidden items and plays prioritized ones first', () => {
+      const urgent = { ...apology, triggerRules: [{ action: TRIGGER_ACTIONS.PRIORITIZE, conditions: [waitOver(20)] }] };
+
+      expect(applyContentTriggers(items, sources).map(i => i.id)).toEqual(['welcome', 'burger', 'apology']);
+      expect(applyContentTriggers([welcome, burger, urgent], sources).map(i => i.id))
+        .toEqual(['apology', 'welcome', 'burger']);
+    });
+
+    it('plays nothing when triggers hide every item', () => {
+      expect(getPlayableItems([salad], sources)).toEqual([]);
+      expect(resolvePlayableIndex([salad], 0, sources)).toBe(-1);
+      expect(getNextPlayableIndex([salad], 0, sources)).toBe(-1);
+    });
+
+    it('moves off hidden items and cycles through playable ones', () => {
+      expect(resolvePlayableIndex(items, 2, sources)).toBe(0);
+      expect(getNextPlayableIndex(items, 1, sources)).toBe(3);
+      expect(getNextPlayableIndex(items, 3, sources)).toBe(0);
+      // A hidden current item was shown as the first playable one
+      expect(getNextPlayableIndex(items, 2, sources)).toBe(1);
+    });
+
+    it('reads slide rules from the design JSON', () => {
+      const slides = [
+        { id: 's1', design: { blocks: [] } },
+        { id: 's2', design: { blocks: [], triggers: burger.triggerRules } },
+        { id: 's3', design: { blocks: [], triggers: salad.triggerRules } },
+      ];
+
+      expect(applyContentTriggers(slides, sources, getSlideTriggerRules).map(s => s.id)).toEqual(['s1', 's2']);
+      expect(extractTriggerSourceIds(slides, getSlideTriggerRules)).toEqual(['inventory']);
+    });
+  });
+
+  describe('normalizeTriggerRules', () => {
+    it('fills defaults and drops values for valueless operators', () => {
+      const [rule] = normalizeTriggerRules([{
+        action: TRIGGER_ACTIONS.HIDE,
+        conditions: [{ sourceId: 'queue', field: 'wait_minutes', operator: TRIGGER_OPERATORS.IS_EMPTY, value: 'x' }],
+      }]);
+
+      expect(rule.id).toBeTruthy();
+      expect(rule.match).toBe(TRIGGER_MATCH.ALL);
+      expect(rule.conditions[0]).toEqual({
+        sourceId: 'queue',
+        field: 'wait_minutes',
+        rowSelector: { mode: 'index', index: 0 },
+        operator: TRIGGER_OPERATORS.IS_EMPTY,
+        value: null,
+      });
+    });
+
+    it('rejects incomplete rules', () => {
+      expect(() => normalizeTriggerRules([{ action: 'explode', conditions: [waitOver(1)] }])).toThrow('Rule 1: invalid action');
+      expect(() => normalizeTriggerRules([{ action: TRIGGER_ACTIONS.HIDE, conditions: [] }])).toThrow('at least one condition');
+      expect(() => normalizeTriggerRules([{ action: TRIGGER_ACTIONS.HIDE, conditions: [{ ...waitOver(1), value: ' ' }] }]))
+        .toThrow('enter a value');
+    });
+  });
+
+  describe('loadTriggerSources', () => {
+    it('persists fresh data sources for offline use', async () => {
+      getCachedDataSource.mockResolvedValue(queue);
+
+      const loaded = await loadTriggerSources(['queue']);
+
+      expect(loaded.get('queue')).toBe(queue);
+      expect(cacheContent).toHaveBeenCalledWith('data-source-queue', queue, 'data_source');
+    });
+
+    it('falls back to the offline cache when the network is down', async () => {
+      getCachedDataSource.mockResolvedValue(null);
+      getCachedContent.mockResolvedValue(inventory);
+
+      const loaded = await loadTriggerSources(['inventory']);
+
+      expect(loaded.get('inventory')).toBe(inventory);
+      expect(getCachedContent).toHaveBeenCalledWith('data-source-inventory');
+      expect(cacheContent).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Content Validity Service Unit Tests
+ * Tests for validity windows, player filtering and window validation
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  VALIDITY_STATUS,
+  getValidityWindow,
+  getValidityStatus,
+  isWithinValidity,
+  filterValidItems,
+  getNextValidityChange,
+  normalizeValidityWindow,
+  toDateTimeLocalValue,
+  describeValidityWindow,
+} from '../../../src/services/contentValidityService';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 2, 14, 12, 0);
+const iso = time => new Date(time).toISOString();
+
+const welcome = { id: 'welcome' };
+const weekendSale = { id: 'weekend-sale', validFrom: iso(NOW + 2 * HOUR), validUntil: iso(NOW + 50 * HOUR) };
+const lunchSpecial = { id: 'lunch-special', validFrom: iso(NOW - HOUR), validUntil: iso(NOW + HOUR) };
+const winterPromo = { id: 'winter-promo', validUntil: iso(NOW - 24 * HOUR) };
+
+describe('contentValidityService', () => {
+  describe('getValidityWindow', () => {
+    it('reads player items and database rows', () => {
+      expect(getValidityWindow(lunchSpecial)).toEqual({ validFrom: NOW - HOUR, validUntil: NOW + HOUR });
+      expect(getValidityWindow({ valid_from: null, valid_until: iso(NOW) })).toEqual({ validFrom: null, validUntil: NOW });
+      expect(getValidityWindow(welcome)).toEqual({ validFrom: null, validUntil: null });
+    });
+  });
+
+  describe('getValidityStatus', () => {
+    it('places items relative to their window', () => {
+      expect(getValidityStatus(welcome, NOW)).toBe(VALIDITY_STATUS.ACTIVE);
+      expect(getValidityStatus(lunchSpecial, NOW)).toBe(VALIDITY_STATUS.ACTIVE);
+      expect(getValidityStatus(weekendSale, NOW)).toBe(VALIDITY_STATUS.SCHEDULED);
+      expect(getValidityStatus(winterPromo, NOW)).toBe(VALIDITY_STATUS.EXPIRED);
+    });
+
+    it('starts at valid_from and ends at valid_until', () => {
+      expect(isWithinValidity(weekendSale, NOW + 2 * HOUR)).toBe(true);
+      expect(isWithinValidity(lunchSpecial, NOW + HOUR)).toBe(false);
+    });
+  });
+
+  describe('filterValidItems', () => {
+    const items = [welcome, weekendSale, lunchSpecial, winterPromo];
+
+    it('keeps only items inside their window', () => {
+      expect(filterValidItems(items, NOW).map(i => i.id)).toEqual(['welcome', 'lunch-special']);
+      expect(filterValidItems(items, NOW + 3 * HOUR).map(i => i.id)).toEqual(['welcome', 'weekend-sale']);
+    });
+
+    it('plays nothing when every item is outside its window', () => {
+      expect(filterValidItems([weekendSale, winterPromo], NOW)).toEqual([]);
+    });
+
+    it('returns the same list when no item has a window', () => {
+      const plain = [welcome, { id: 'menu' }];
+      expect(filterValidItems(plain, NOW)).toBe(plain);
+      expect(filterValidItems(null, NOW)).toEqual([]);
+    });
+  });
+
+  describe('getNextValidityChange', () => {
+    it('finds the next window start or end', () => {
+      const items = [welcome, weekendSale, lunchSpecial, winterPromo];
+
+      expect(getNextValidityChange(items, NOW)).toBe(NOW + HOUR);
+      expect(getNextValidityChange(items, NOW + HOUR)).toBe(NOW + 2 * HOUR);
+      expect(getNextValidityChange(items, NOW + 50 * HOUR)).toBeNull();
+      expect(getNextValidityChange([welcome], NOW)).toBeNull();
+    });
+  });
+
+  describe('normalizeValidityWindow', () => {
+    it('converts editor values to ISO timestamps, empty values to null', () => {
+      expect(normalizeValidityWindow({ validFrom: '', validUntil: iso(NOW) })).toEqual({
+        valid_from: null,
+        valid_until: iso(NOW),
+      });
+      expect(normalizeValidityWindow()).toEqual({ valid_from: null, valid_until: null });
+    });
+
+    it('rejects invalid dates and windows that end before they start', () => {
+      expect(() => normalizeValidityWindow({ validFrom: 'soon' })).toThrow('Enter a valid start date');
+      expect(() => normalizeValidityWindow({ validFrom: iso(NOW), validUntil: iso(NOW) }))
+        .toThrow('End date must be after the start date');
+    });
+
+    it('round-trips datetime-local values in local time', () => {
+      const local = toDateTimeLocalValue(NOW);
+
+      expect(local).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/);
+      expect(normalizeValidityWindow({ validUntil: local }).valid_until).toBe(iso(NOW));
+      expect(toDateTimeLocalValue(null)).toBe('');
+    });
+  });
+
+  describe('describeValidityWindow', () => {
+    it('labels windows by status', () => {
+      expect(describeValidityWindow(lunchSpecial, NOW)).toMatch(/^Until /);
+      expect(describeValidityWindow(weekendSale, NOW)).toMatch(/^Starts .*, until /);
+      expect(describeValidityWindow(winterPromo, NOW)).toMatch(/^Expired /);
+      expect(describeValidityWindow(welcome, NOW)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Countdown Service Unit Tests
+ * Tests for countdown targets in the screen timezone, unit splitting, expiry
+ * and swapping to other content
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  COUNTDOWN_MODES,
+  COUNTDOWN_FORMATS,
+  COUNTDOWN_EXPIRY_ACTIONS,
+  zonedTimeToUtc,
+  parseCountdownTarget,
+  splitDuration,
+  getCountdownState,
+  hasCountdownSwaps,
+  getCountdownSwaps,
+  formatCountdown,
+} from '../../../src/services/countdownService';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const values = parts => Object.fromEntries(parts.map(({ key, value }) => [key, value]));
+
+describe('countdownService', () => {
+  describe('zonedTimeToUtc', () => {
+    it('reads wall-clock times in the given timezone', () => {
+      expect(zonedTimeToUtc('2026-12-24T18:00', 'America/New_York')).toBe(Date.UTC(2026, 11, 24, 23, 0));
+      expect(zonedTimeToUtc('2026-07-01T09:30', 'Europe/Paris')).toBe(Date.UTC(2026, 6, 1, 7, 30));
+      expect(zonedTimeToUtc('2026-07-01', 'UTC')).toBe(Date.UTC(2026, 6, 1));
+    });
+
+    it('handles the day daylight saving time starts', () => {
+      // 2026-03-08: New York moves from UTC-5 to UTC-4 at 02:00
+      expect(zonedTimeToUtc('2026-03-08T01:00', 'America/New_York')).toBe(Date.UTC(2026, 2, 8, 6, 0));
+      expect(zonedTimeToUtc('2026-03-08T12:00', 'America/New_York')).toBe(Date.UTC(2026, 2, 8, 16, 0));
+    });
+
+    it('returns null for unreadable input', () => {
+      expect(zonedTimeToUtc('next friday', 'UTC')).toBeNull();
+      expect(zonedTimeToUtc(null, 'UTC')).toBeNull();
+    });
+  });
+
+  describe('parseCountdownTarget', () => {
+    it('keeps explicit offsets and epoch values', () => {
+      expect(parseCountdownTarget('2026-12-24T18:00:00Z', 'America/New_York')).toBe(Date.UTC(2026, 11, 24, 18));
+      expect(parseCountdownTarget('2026-12-24T18:00:00+01:00', 'America/New_York')).toBe(Date.UTC(2026, 11, 24, 17));
+      expect(parseCountdownTarget(1234567890000)).toBe(1234567890000);
+      expect(parseCountdownTarget('1234567890000')).toBe(1234567890000);
+    });
+
+    it('reads plain times in the screen timezone', () => {
+      expect(parseCountdownTarget('2026-12-24 18:00', 'Asia/Tokyo')).toBe(Date.UTC(2026, 11, 24, 9));
+    });
+
+    it('returns null for empty or invalid targets', () => {
+      expect(parseCountdownTarget('')).toBeNull();
+      expect(parseCountdownTarget('soon')).toBeNull();
+    });
+  });
+
+  describe('splitDuration', () => {
+    it('lets the largest chosen unit absorb the larger ones', () => {
+      const duration = 2 * DAY + HOUR + 90 * 1000;
+      expect(values(splitDuration(duration))).toEqual({ days: 2, hours: 1, minutes: 1, seconds: 30 });
+      expect(values(splitDuration(duration, ['hours', 'minutes']))).toEqual({ hours: 49, minutes: 1 });
+    });
+  });
+
+  describe('getCountdownState', () => {
+    const target = Date.UTC(2026, 11, 24, 18);
+
+    it('counts down, rounding up to the smallest unit', () => {
+      const state = getCountdownState({ target, now: target - DAY - 500 });
+      expect(state.status).toBe('running');
+      expect(values(state.parts)).toEqual({ days: 1, hours: 0, minutes: 0, seconds: 1 });
+
+      const minutes = getCountdownState({ target, now: target - 61 * 1000, units: ['minutes'] });
+      expect(values(minutes.parts)).toEqual({ minutes: 2 });
+    });
+
+    it('applies the expiry action once the target passes', () => {
+      expect(getCountdownState({ target, now: target }).status).toBe('expired');
+      expect(getCountdownState({ target, now: target + 1, expiredAction: COUNTDOWN_EXPIRY_ACTIONS.HIDE }).status)
+        .toBe('expired');
+
+      const since = getCountdownState({ target, now: target + HOUR, expiredAction: COUNTDOWN_EXPIRY_ACTIONS.COUNT_UP });
+      expect(since).toMatchObject({ status: 'running', direction: COUNTDOWN_MODES.UP });
+      expect(values(since.parts)).toMatchObject({ hours: 1 });
+    });
+
+    it('counts up from the target', () => {
+      expect(getCountdownState({ target, now: target - 1, mode: COUNTDOWN_MODES.UP }).status).toBe('waiting');
+
+      const state = getCountdownState({ target, now: target + 3 * DAY, mode: COUNTDOWN_MODES.UP, units: ['days'] });
+      expect(values(state.parts)).toEqual({ days: 3 });
+    });
+
+    it('reports missing targets as invalid', () => {
+      expect(getCountdownState({ target: null, now: 0 }).status).toBe('invalid');
+    });
+  });
+
+  describe('getCountdownSwaps', () => {
+    const countdown = (id, props) => ({
+      id,
+      type: 'widget',
+      widgetType: 'countdown',
+      props: { targetAt: '2026-11-27T09:00', ...props },
+    });
+    const swapBlock = countdown('c-1', { expiredAction: COUNTDOWN_EXPIRY_ACTIONS.SHOW_BLOCK, expiredBlockId: 'sale' });
+    const swapSlide = countdown('c-2', { expiredAction: COUNTDOWN_EXPIRY_ACTIONS.GO_TO_SLIDE, expiredSlideId: 'slide-2' });
+    // 09:00 in New York on 2026-11-27
+    const opening = Date.UTC(2026, 10, 27, 14);
+    const timeZone = 'America/New_York';
+
+    it('keeps the alternate block hidden until the target, then swaps to it', () => {
+      expect([...getCountdownSwaps([swapBlock], { now: opening - 1, timeZone }).hiddenBlockIds]).toEqual(['sale']);
+      expect([...getCountdownSwaps([swapBlock], { now: opening, timeZone }).hiddenBlockIds]).toEqual(['c-1']);
+    });
+
+    it('asks for the alternate slide once the target passes', () => {
+      expect(getCountdownSwaps([swapSlide], { now: opening - 1, timeZone }).slideId).toBeNull();
+      expect(getCountdownSwaps([swapSlide], { now: opening, timeZone }).slideId).toBe('slide-2');
+    });
+
+    it('reads data-bound targets from resolvedContent', () => {
+      const bound = { ...swapBlock, resolvedContent: '2026-11-28T09:00' };
+      expect([...getCountdownSwaps([bound], { now: opening, timeZone }).hiddenBlockIds]).toEqual(['sale']);
+    });
+
+    it('ignores countdowns that change nothing else', () => {
+      const blocks = [
+        countdown('c-3', { expiredAction: COUNTDOWN_EXPIRY_ACTIONS.TEXT }),
+        countdown('c-4', { expiredAction: COUNTDOWN_EXPIRY_ACTIONS.SHOW_BLOCK }),
+        countdown('c-5', { ...swapSlide.props, countMode: COUNTDOWN_MODES.UP }),
+      ];
+      expect(hasCountdownSwaps(blocks)).toBe(false);
+      expect(hasCountdownSwaps([...blocks, swapSlide])).toBe(true);
+      expect(getCountdownSwaps(blocks, { now: opening, timeZone })).toEqual({ hiddenBlockIds: new Set(), slideId: null });
+    });
+  });
+
+  describe('formatCountdown', () => {
+    const parts = splitDuration(3 * DAY + 4 * HOUR + 12 * 60 * 1000 + 9000);
+
+    it('writes compact and text formats', () => {
+      expect(formatCountdown(parts)).toBe('3d 04:12:09');
+      expect(formatCountdown(parts, COUNTDOWN_FORMATS.TEXT)).toBe('3 days 4 hours 12 minutes 9 seconds');
+      expect(formatCountdown(splitDuration(HOUR, ['hours']), COUNTDOWN_FORMATS.TEXT)).toBe('1 hour');
+      expect(formatCountdown(splitDuration(2 * DAY, ['days']))).toBe('2d');
+    });
+  });
+});
@@ -36,6 +36,7 @@ import {
   prefetchSceneDataSources,
   getStaleDataSourceIds,
 } from '../../../src/services/dataBindingResolver';
+import { formatValue } from '../../../src/services/dataSourceService';
 
 describe('dataBindingResolver', () => {
   beforeEach(() => {
@@ -103,6 +104,56 @@ describe('dataBindingResolver', () => {
       const result = await resolveBinding({ sourceId: 'test' });
       expect(result).toBe('');
     });
+
+    it('returns the unformatted value for raw bindings', async () => {
+      const preloadedSources = new Map([['src-1', {
+        fields: [{ name: 'opens_at', dataType: 'date' }],
+        rows: [{ values: { opens_at: '2026-12-24T18:00' } }],
+      }]]);
+
+      const result = await resolveBinding(
+        { sourceId: 'src-1', field: 'opens_at', format: { raw: true } },
+        { preloadedSources }
+      );
+
+      expect(result).toBe('2026-12-24T18:00');
+      expect(formatValue).not.toHaveBeenCalled();
+    });
+
+    it('evaluates computed fields and formats them by their data type', async () => {
+      const preloadedSources = new Map([['src-1', {
+        fields: [
+          { name: 'price', dataType: 'currency' },
+          { name: 'discount', dataType: 'number' },
+          { name: 'sale_price', dataType: 'currency', formula: 'price * (1 - discount)' },
+        ],
+        rows: [{ values: { price: '8', discount: '0.25' } }],
+      }]]);
+
+      const result = await resolveBinding({ sourceId: 'src-1', field: 'sale_price' }, { preloadedSources });
+
+      expect(result).toBe('6');
+      expect(formatValue).toHaveBeenCalledWith('6', 'currency', {});
+    });
+
+    it('falls back when a formula references a missing field', async () => {
+      const preloadedSources = new Map([['src-1', {
+        fields: [{ name: 'label', formula: 'IF(stock = 0, "Sold out", "")' }],
+        rows: [{ values: {} }],
+      }]]);
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await resolveBinding(
+        { sourceId: 'src-1', field: 'label', format: { fallback: '-' } },
+        { preloadedSources }
+      );
+
+      expect(result).toBe('-');
+      expect(console.error).toHaveBeenCalledWith(
+        '[DataBindingResolver] Failed to evaluate formula:',
+        'Field "label": Unknown field "stock"'
+      );
+    });
   });
 
   describe('resolveBlockBindings', () => {
@@ -123,6 +174,27 @@ describe('dataBindingResolver', () => {
       const result = await resolveBlockBindings(undefined);
       expect(result).toBeUndefined();
     });
+
+    it('gives widgets bound to all rows the row values, computed fields included', async () => {
+      const preloadedSources = new Map([['menu-src', {
+        fields: [
+          { name: 'name', dataType: 'text' },
+          { name: 'price', dataType: 'currency' },
+          { name: 'combo', dataType: 'currency', formula: 'price + 2' },
+        ],
+        rows: [{ values: { name: 'Latte', price: '4.5' } }, { values: { name: 'Mocha', price: '5' } }],
+      }]]);
+      const binding = { sourceId: 'menu-src', field: 'name', rowSelector: { mode: 'all' } };
+
+      const widget = await resolveBlockBindings({ id: 'b1', type: 'widget', dataBinding: binding }, { preloadedSources });
+      const text = await resolveBlockBindings({ id: 'b2', type: 'text', dataBinding: binding }, { preloadedSources });
+
+      expect(widget.resolvedContent).toEqual([
+        { name: 'Latte', price: '4.5', combo: '6.5' },
+        { name: 'Mocha', price: '5', combo: '7' },
+      ]);
+      expect(text.resolvedContent).toBeUndefined();
+    });
   });
 
   describe('resolveSlideBindings', () => {
@@ -153,6 +225,13 @@ describe('dataBindingResolver', () => {
       expect(result).toEqual([]);
     });
 
+    it('reads a single slide design', () => {
+      const result = extractDataSourceIds({
+        blocks: [{ id: 'block-1', type: 'widget', dataBinding: { sourceId: 'menu-src', field: 'name' } }],
+      });
+      expect(result).toEqual(['menu-src']);
+    });
+
     it('extracts source IDs from block dataBinding', () => {
       const designJson = {
         slides: [
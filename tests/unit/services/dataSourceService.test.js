@@ -343,3 +343,39 @@ describe('getBindingKey', () => {
     expect(key).toBe('source-123:price:{"mode":"index","index":0}');
   });
 });
+
+describe('rollbackToSync', () => {
+  it('logs the row changes needed to restore the snapshot', async () => {
+    const { supabase } = await import('../../../src/supabase');
+    const { rollbackToSync } = await import('../../../src/services/dataSourceService');
+
+    supabase.from.mockReturnValueOnce({
+      select: vi.fn().mockReturnThis(),
+      eq: vi.fn().mockReturnThis(),
+      single: vi.fn().mockResolvedValue({
+        data: { rows_snapshot: [{ values: { name: 'Latte', price: '4' } }, { values: { name: 'Mocha', price: '5' } }] },
+        error: null,
+      }),
+    });
+    supabase.rpc.mockImplementation(async (fn) => (fn === 'get_data_source_with_data'
+      ? { data: { id: 'ds-1', rows: [{ values: { name: 'Latte', price: '4.5' } }] }, error: null }
+      : { data: 'log-2', error: null }));
+
+    await expect(rollbackToSync('ds-1', 'log-1')).resolves.toBe('log-2');
+
+    const [, args] = supabase.rpc.mock.calls.find(([fn]) => fn === 'rollback_data_source_to_sync');
+    expect(args.p_sync_log_id).toBe('log-1');
+    expect(args.p_row_changes.map(c => c.changeType)).toEqual(['update', 'insert']);
+    expect(supabase.rpc).toHaveBeenCalledWith('broadcast_data_source_update', { p_data_source_id: 'ds-1' });
+
+    supabase.rpc.mockReset();
+    supabase.rpc.mockResolvedValue({ data: [], error: null });
+  });
+
+  it('requires a data source and sync log', async () => {
+    const { rollbackToSync } = await import('../../../src/services/dataSourceService');
+
+    await expect(rollbackToSync(null, 'log-1')).rejects.toThrow('Data source ID is required');
+    await expect(rollbackToSync('ds-1')).rejects.toThrow('Sync log ID is required');
+  });
+});
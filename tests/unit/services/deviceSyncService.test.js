@@ -24,6 +24,7 @@ vi.mock('../../../src/supabase', () => {
       in: vi.fn().mockReturnThis(),
       order: vi.fn().mockReturnThis(),
       single: vi.fn(),
+      rpc: vi.fn(),
     },
   };
 });
@@ -39,6 +40,8 @@ import {
   startDeviceRefreshPolling,
   stopDeviceRefreshPolling,
   getDevicesForScene,
+  getDevicesForMedia,
+  broadcastMediaUpdate,
   publishSceneToDevice,
   publishSceneToDevices,
   generateContentHash,
@@ -311,6 +314,81 @@ describe('deviceSyncService', () => {
     });
   });
 
+  // ============================================
+  // MEDIA UPDATES
+  // ============================================
+
+  describe('getDevicesForMedia', () => {
+    it('returns empty array for empty mediaId', async () => {
+      const result = await getDevicesForMedia(null);
+
+      expect(result).toEqual([]);
+      expect(mockSupabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('returns the screens showing the media', async () => {
+      const screens = [{ screen_id: 'd1', screen_name: 'Lobby' }];
+      mockSupabase.rpc.mockResolvedValueOnce({ data: screens, error: null });
+
+      const result = await getDevicesForMedia('media-123');
+
+      expect(result).toEqual(screens);
+      expect(mockSupabase.rpc).toHaveBeenCalledWith('get_media_screens', { p_media_id: 'media-123' });
+    });
+
+    it('handles lookup error', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({ data: null, error: new Error('Access denied') });
+
+      const result = await getDevicesForMedia('media-123');
+
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('broadcastMediaUpdate', () => {
+    it('returns error for empty mediaId', async () => {
+      const result = await broadcastMediaUpdate(null);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No media ID provided');
+    });
+
+    it('flags the screens showing the media for refresh', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({
+        data: [{ screen_id: 'd1' }, { screen_id: 'd2' }],
+        error: null,
+      });
+      mockSupabase.select.mockResolvedValueOnce({
+        data: [{ id: 'd1' }, { id: 'd2' }],
+        error: null,
+      });
+
+      const result = await broadcastMediaUpdate('media-123');
+
+      expect(result).toEqual({ success: true, affectedDevices: 2 });
+      expect(mockSupabase.update).toHaveBeenCalledWith(expect.objectContaining({ needs_refresh: true }));
+      expect(mockSupabase.in).toHaveBeenCalledWith('id', ['d1', 'd2']);
+    });
+
+    it('skips the update when no screen shows the media', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({ data: [], error: null });
+
+      const result = await broadcastMediaUpdate('media-123');
+
+      expect(result).toEqual({ success: true, affectedDevices: 0 });
+      expect(mockSupabase.update).not.toHaveBeenCalled();
+    });
+
+    it('reports a failed lookup', async () => {
+      mockSupabase.rpc.mockResolvedValueOnce({ data: null, error: new Error('Access denied') });
+
+      const result = await broadcastMediaUpdate('media-123');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Access denied');
+    });
+  });
+
   // ============================================
   // PUBLISH SCENE TO DEVICE
   // ============================================
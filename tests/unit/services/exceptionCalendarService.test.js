@@ -0,0 +1,335 @@
+/**
+ * Exception Calendar Service Unit Tests
+ * Tests for iCalendar parsing, event validation and preview overlays
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+import {
+  EXCEPTION_ACTIONS,
+  normalizeExceptionEvent,
+  parseICalendarExceptions,
+  findActiveException,
+  applyExceptionsToPreview,
+  attachExceptionCalendar,
+  getExceptionsForDate,
+  importICalendar,
+} from '../../../src/services/exceptionCalendarService';
+import { supabase } from '../../../src/supabase';
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Test//Holidays//EN',
+  'BEGIN:VEVENT',
+  'UID:christmas@test',
+  'SUMMARY:Christmas Day',
+  'DTSTART;VALUE=DATE:20261225',
+  'DTEND;VALUE=DATE:20261226',
+  'RRULE:FREQ=YEARLY',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:stocktake@test',
+  'SUMMARY:Stocktake',
+  'DTSTART:20261110T080000',
+  'DTEND:20261110T120000',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:long-weekend@test',
+  'SUMMARY:Long weekend',
+  'DTSTART;VALUE=DATE:20261120',
+  'DTEND;VALUE=DATE:20261123',
+  'END:VEVENT',
+  'END:VCALENDAR',
+].join('\r\n');
+
+describe('exceptionCalendarService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('normalizeExceptionEvent', () => {
+    it('defaults to an all-day screen-off exception', () => {
+      expect(normalizeExceptionEvent({ start_date: '2026-12-25' })).toMatchObject({
+        name: 'Exception',
+        start_date: '2026-12-25',
+        end_date: '2026-12-25',
+        start_time: null,
+        end_time: null,
+        action: EXCEPTION_ACTIONS.SCREEN_OFF,
+        content_id: null,
+      });
+    });
+
+    it('keeps times for partial-day exceptions', () => {
+      const event = normalizeExceptionEvent({
+        start_date: '2026-12-24',
+        all_day: false,
+        start_time: '14:00',
+        end_time: '18:00',
+      });
+      expect(event).toMatchObject({ start_time: '14:00', end_time: '18:00' });
+    });
+
+    it('requires alternate content for content exceptions', () => {
+      expect(() => normalizeExceptionEvent({
+        start_date: '2026-12-25',
+        action: EXCEPTION_ACTIONS.CONTENT,
+      })).toThrow('Alternate content is required');
+    });
+
+    it('rejects end dates before the start date', () => {
+      expect(() => normalizeExceptionEvent({
+        start_date: '2026-12-25',
+        end_date: '2026-12-24',
+      })).toThrow('End date must be on or after the start date');
+    });
+  });
+
+  describe('parseICalendarExceptions', () => {
+    it('expands recurring events and treats DTEND as exclusive for all-day events', () => {
+      const events = parseICalendarExceptions(ICS, { from: '2026-11-01', to: '2027-12-31' });
+
+      expect(events.map(e => e.name)).toEqual([
+        'Stocktake',
+        'Long weekend',
+        'Christmas Day',
+        'Christmas Day',
+      ]);
+      expect(events[1]).toMatchObject({ start_date: '2026-11-20', end_date: '2026-11-22', start_time: null });
+      expect(events[2]).toMatchObject({ start_date: '2026-12-25', end_date: '2026-12-25', ical_uid: 'christmas@test:2026-12-25' });
+      expect(events[3].ical_uid).toBe('christmas@test:2027-12-25');
+    });
+
+    it('keeps times for timed events', () => {
+      const [stocktake] = parseICalendarExceptions(ICS, { from: '2026-11-01', to: '2026-11-15' });
+      expect(stocktake).toMatchObject({
+        start_date: '2026-11-10',
+        start_time: '08:00',
+        end_time: '12:00',
+        ical_uid: 'stocktake@test',
+      });
+    });
+
+    it('converts UTC and TZID times to the given timezone', () => {
+      const ics = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VEVENT',
+        'UID:utc@test',
+        'SUMMARY:Maintenance',
+        'DTSTART:20261110T150000Z',
+        'DTEND:20261110T170000Z',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:berlin@test',
+        'SUMMARY:Inventory',
+        'DTSTART;TZID=Europe/Berlin:20261111T230000',
+        'DTEND;TZID=Europe/Berlin:20261112T010000',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n');
+
+      const events = parseICalendarExceptions(ics, {
+        from: '2026-11-01',
+        to: '2026-11-30',
+        timeZone: 'America/New_York',
+      });
+
+      expect(events[0]).toMatchObject({ start_date: '2026-11-10', start_time: '10:00', end_time: '12:00' });
+      expect(events[1]).toMatchObject({
+        start_date: '2026-11-11',
+        start_time: '17:00',
+        end_date: '2026-11-11',
+        end_time: '19:00',
+      });
+    });
+
+    it('keeps floating times as written in any timezone', () => {
+      const [stocktake] = parseICalendarExceptions(ICS, {
+        from: '2026-11-01',
+        to: '2026-11-15',
+        timeZone: 'Asia/Tokyo',
+      });
+      expect(stocktake).toMatchObject({ start_time: '08:00', end_time: '12:00' });
+    });
+
+    it('skips events outside the import range', () => {
+      const events = parseICalendarExceptions(ICS, { from: '2026-12-01', to: '2026-12-31' });
+      expect(events.map(e => e.name)).toEqual(['Christmas Day']);
+    });
+
+    it('rejects invalid calendar files', () => {
+      expect(() => parseICalendarExceptions('')).toThrow('Calendar file is empty');
+      expect(() => parseICalendarExceptions('not a calendar')).toThrow('Invalid iCalendar file');
+    });
+  });
+
+  describe('findActiveException', () => {
+    const exceptions = [
+      { event_id: 'timed', start_date: '2026-12-24', end_date: '2026-12-24', start_time: '14:00:00', end_time: '18:00:00' },
+      { event_id: 'all-day', start_date: '2026-12-24', end_date: '2026-12-24', start_time: null, end_time: null },
+    ];
+
+    it('returns the first matching exception in specificity order', () => {
+      expect(findActiveException(exceptions, '15:00', '2026-12-24').event_id).toBe('timed');
+      expect(findActiveException(exceptions, '09:00', '2026-12-24').event_id).toBe('all-day');
+    });
+
+    it('treats an end time at or before the start as end of day', () => {
+      const late = [{ event_id: 'late', start_date: '2026-12-24', end_date: '2026-12-24', start_time: '20:00', end_time: '00:00' }];
+      expect(findActiveException(late, '23:30', '2026-12-24').event_id).toBe('late');
+      expect(findActiveException(late, '10:00', '2026-12-24')).toBeNull();
+    });
+
+    it('runs overnight events from their start to their end on the next day', () => {
+      // Fri 22:00 -> Sat 02:00
+      const overnight = [{ event_id: 'party', start_date: '2026-03-06', end_date: '2026-03-07', start_time: '22:00', end_time: '02:00' }];
+
+      expect(findActiveException(overnight, '21:59', '2026-03-06')).toBeNull();
+      expect(findActiveException(overnight, '22:00', '2026-03-06').event_id).toBe('party');
+      expect(findActiveException(overnight, '01:30', '2026-03-07').event_id).toBe('party');
+      expect(findActiveException(overnight, '02:00', '2026-03-07')).toBeNull();
+      expect(findActiveException(overnight, '23:00', '2026-03-07')).toBeNull();
+    });
+
+    it('runs multi-day timed events continuously between their start and end', () => {
+      // Mon 09:00 -> Wed 17:00
+      const expo = [{ event_id: 'expo', start_date: '2026-03-02', end_date: '2026-03-04', start_time: '09:00', end_time: '17:00' }];
+
+      expect(findActiveException(expo, '08:00', '2026-03-02')).toBeNull();
+      expect(findActiveException(expo, '20:00', '2026-03-02').event_id).toBe('expo');
+      expect(findActiveException(expo, '03:00', '2026-03-03').event_id).toBe('expo');
+      expect(findActiveException(expo, '16:59', '2026-03-04').event_id).toBe('expo');
+      expect(findActiveException(expo, '17:00', '2026-03-04')).toBeNull();
+    });
+
+    it('runs multi-day all-day events to the end of their last day', () => {
+      const closed = [{ event_id: 'closed', start_date: '2026-12-24', end_date: '2026-12-26', start_time: null, end_time: null }];
+
+      expect(findActiveException(closed, '00:00', '2026-12-24').event_id).toBe('closed');
+      expect(findActiveException(closed, '23:59', '2026-12-26').event_id).toBe('closed');
+    });
+  });
+
+  describe('applyExceptionsToPreview', () => {
+    const previewRows = [
+      { hour: 9, entry_id: 'entry-1', target_type: 'playlist', target_name: 'Morning', event_type: 'content' },
+      { hour: 15, entry_id: 'entry-2', target_type: 'playlist', target_name: 'Afternoon', event_type: 'content' },
+    ];
+
+    it('marks rows as scheduled when there are no exceptions', () => {
+      const rows = applyExceptionsToPreview(previewRows, [], '2026-12-24');
+      expect(rows).toHaveLength(2);
+      expect(rows.every(r => r.source === 'schedule')).toBe(true);
+    });
+
+    it('replaces the hours covered by an exception', () => {
+      const rows = applyExceptionsToPreview(previewRows, [{
+        event_id: 'ex-1',
+        name: 'Early close',
+        calendar_name: 'Store hours',
+        start_date: '2026-12-24',
+        end_date: '2026-12-24',
+        start_time: '14:00',
+        end_time: '16:00',
+        action: EXCEPTION_ACTIONS.SCREEN_OFF,
+      }], '2026-12-24');
+
+      expect(rows.map(r => [r.hour, r.source])).toEqual([
+        [9, 'schedule'],
+        [14, 'exception'],
+        [15, 'exception'],
+      ]);
+      expect(rows[2]).toMatchObject({
+        event_type: 'screen_off',
+        exception_name: 'Early close',
+        overridden_entry_id: 'entry-2',
+      });
+    });
+
+    it('shows alternate content for content exceptions', () => {
+      const rows = applyExceptionsToPreview([], [{
+        event_id: 'ex-1',
+        name: 'Holiday promo',
+        action: EXCEPTION_ACTIONS.CONTENT,
+        content_type: 'playlist',
+        content_id: 'playlist-9',
+        content_name: 'Holiday Playlist',
+      }], '2026-12-25');
+      expect(rows).toHaveLength(24);
+      expect(rows[0]).toMatchObject({ target_id: 'playlist-9', target_name: 'Holiday Playlist', event_type: 'content' });
+    });
+  });
+
+  describe('attachExceptionCalendar', () => {
+    it('requires exactly one target', async () => {
+      await expect(attachExceptionCalendar('cal-1', {})).rejects.toThrow('Provide either a schedule or a location');
+      await expect(attachExceptionCalendar('cal-1', { scheduleId: 's', locationId: 'l' }))
+        .rejects.toThrow('Provide either a schedule or a location');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('importICalendar', () => {
+    it('updates matching UIDs, inserts new ones and deletes events removed from the window', async () => {
+      const existing = [
+        { id: 'ev-1', ical_uid: 'stocktake@test', start_date: '2026-11-10', end_date: '2026-11-10' },
+        { id: 'ev-2', ical_uid: 'cancelled@test', start_date: '2026-11-15', end_date: '2026-11-15' },
+        { id: 'ev-3', ical_uid: 'last-year@test', start_date: '2025-11-15', end_date: '2025-11-15' },
+      ];
+      const select = {
+        select: vi.fn().mockReturnThis(),
+        eq: vi.fn().mockReturnThis(),
+        not: vi.fn().mockResolvedValue({ data: existing, error: null }),
+      };
+      const update = { update: vi.fn().mockReturnThis(), eq: vi.fn().mockResolvedValue({ error: null }) };
+      const insert = { insert: vi.fn().mockResolvedValue({ error: null }) };
+      const remove = { delete: vi.fn().mockReturnThis(), in: vi.fn().mockResolvedValue({ error: null }) };
+      supabase.from
+        .mockReturnValueOnce(select)
+        .mockReturnValueOnce(update)
+        .mockReturnValueOnce(insert)
+        .mockReturnValueOnce(remove);
+
+      const result = await importICalendar(ICS, {
+        calendarId: 'cal-1',
+        from: '2026-11-01',
+        to: '2026-11-30',
+      });
+
+      expect(update.eq).toHaveBeenCalledWith('id', 'ev-1');
+      expect(insert.insert).toHaveBeenCalledWith([
+        expect.objectContaining({ calendar_id: 'cal-1', ical_uid: 'long-weekend@test' }),
+      ]);
+      expect(remove.in).toHaveBeenCalledWith('id', ['ev-2']);
+      expect(result).toMatchObject({ inserted: 1, updated: 1, deleted: 1 });
+    });
+  });
+
+  describe('getExceptionsForDate', () => {
+    it('calls the resolution RPC', async () => {
+      supabase.rpc.mockResolvedValue({ data: [{ event_id: 'ex-1' }], error: null });
+
+      const result = await getExceptionsForDate('sched-1', '2026-12-25', { locationId: 'loc-1' });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('get_schedule_exceptions', {
+        p_schedule_id: 'sched-1',
+        p_location_id: 'loc-1',
+        p_date: '2026-12-25',
+      });
+      expect(result).toEqual([{ event_id: 'ex-1' }]);
+    });
+
+    it('returns nothing without a schedule or location', async () => {
+      expect(await getExceptionsForDate(null, '2026-12-25')).toEqual([]);
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+});
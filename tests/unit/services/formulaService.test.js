@@ -0,0 +1,138 @@
+/**
+ * Formula Service Unit Tests
+ * Tests for parsing, sandboxed evaluation and validation of computed field formulas
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  FormulaError,
+  parseFormula,
+  getFormulaReferences,
+  evaluateFormula,
+  validateFormula,
+  getRowFieldValue,
+  formulaResultToValue,
+} from '../../../src/services/formulaService';
+
+const NOW = new Date(2026, 9, 19, 15, 30).getTime();
+
+const FIELDS = [
+  { name: 'name', dataType: 'text' },
+  { name: 'price', dataType: 'currency' },
+  { name: 'discount', dataType: 'number' },
+  { name: 'stock', dataType: 'number' },
+  { name: 'best_before', dataType: 'date' },
+  { name: 'sale_price', dataType: 'currency', formula: 'price * (1 - discount)' },
+];
+
+const evaluate = (formula, values = {}) => evaluateFormula(formula, values, { fields: FIELDS, now: NOW });
+
+describe('formulaService', () => {
+  describe('evaluateFormula', () => {
+    it('does arithmetic on stored text values with operator precedence', () => {
+      expect(evaluate('price * (1 - discount)', { price: '$8.00', discount: '0.25' })).toBe(6);
+      expect(evaluate('1 + 2 * 3 ^ 2 - -4 % 3')).toBe(20);
+      expect(evaluate('2 ^ 3 ^ 2')).toBe(512);
+      expect(evaluate('price + stock', { price: '1,200' })).toBe(1200);
+    });
+
+    it('supports IF, comparisons and text', () => {
+      expect(evaluate('IF(stock = 0, "Sold out", "")', { stock: '0' })).toBe('Sold out');
+      expect(evaluate('IF(stock = 0, "Sold out", "")', { stock: '3' })).toBe('');
+      expect(evaluate('IF(stock, "In stock")', {})).toBe('');
+      expect(evaluate("UPPER(name) & ' - ' & ROUND(price, 1)", { name: 'latte', price: '4.56' })).toBe('LATTE - 4.6');
+      expect(evaluate('AND(name = "LATTE", price >= 4, NOT(ISBLANK(name)))', { name: 'latte', price: '4' })).toBe(true);
+      expect(evaluate('"Say ""hi"""')).toBe('Say "hi"');
+    });
+
+    it('only evaluates the branch IF takes', () => {
+      expect(evaluate('IF(discount > 0, price / discount, 0)', { price: '5', discount: '0' })).toBe(0);
+    });
+
+    it('does date arithmetic on date fields', () => {
+      const values = { best_before: '2026-10-26' };
+
+      expect(evaluate('best_before - TODAY()', values)).toBe(7);
+      expect(formulaResultToValue(evaluate('best_before + 30', values))).toBe('2026-11-25');
+      expect(formulaResultToValue(evaluate('DATE(2026, 12, 31) - 1'))).toBe('2026-12-30');
+      expect(evaluate('DAYS(best_before, "2026-10-01")', values)).toBe(25);
+      expect(evaluate('MONTH(best_before) & "/" & YEAR(best_before)', values)).toBe('10/2026');
+      expect(evaluate('IF(best_before < TODAY(), "Expired", "Fresh")', values)).toBe('Fresh');
+    });
+
+    it('evaluates computed fields referenced by other formulas', () => {
+      expect(evaluate('ROUND(sale_price)', { price: '9', discount: '0.5' })).toBe(5);
+    });
+
+    it('reports missing fields, unknown functions and bad values clearly', () => {
+      expect(() => evaluate('price * tax')).toThrow(new FormulaError('Unknown field "tax"'));
+      expect(() => evaluate('EVAL("1")')).toThrow('Unknown function EVAL()');
+      expect(() => evaluate('ROUND()')).toThrow('ROUND() is used as ROUND(number, digits)');
+      expect(() => evaluate('price * 2', { price: 'free' })).toThrow('"free" is not a number');
+      expect(() => evaluate('price / 0', { price: '1' })).toThrow('Division by zero');
+    });
+  });
+
+  describe('sandboxing', () => {
+    it('does not reach JavaScript globals or object properties', () => {
+      expect(() => evaluate('constructor')).toThrow('Unknown field "constructor"');
+      expect(() => evaluateFormula('constructor', {})).toThrow('Unknown field "constructor"');
+      expect(() => evaluate('alert(1)')).toThrow('Unknown function ALERT()');
+      expect(() => parseFormula('price.constructor')).toThrow('Unexpected character "."');
+      expect(() => parseFormula('window["x"]')).toThrow(FormulaError);
+      expect(() => parseFormula('(() => 1)()')).toThrow(FormulaError);
+    });
+  });
+
+  describe('parseFormula', () => {
+    it('reports syntax errors with their position', () => {
+      expect(() => parseFormula('')).toThrow('The formula is empty');
+      expect(() => parseFormula('price *')).toThrow('The formula ends unexpectedly');
+      expect(() => parseFormula('IF(price > 1, "a"')).toThrow('Expected ")" at the end');
+      expect(() => parseFormula('"open')).toThrow('Unterminated text value');
+      expect(() => parseFormula('price # 2')).toThrow(expect.objectContaining({ position: 6 }));
+    });
+  });
+
+  describe('getFormulaReferences', () => {
+    it('lists the fields a formula reads, including bracketed names', () => {
+      expect(getFormulaReferences('IF(stock = 0, [2025 price], price * discount) & price'))
+        .toEqual(['stock', '2025 price', 'price', 'discount']);
+    });
+  });
+
+  describe('validateFormula', () => {
+    it('accepts formulas over existing fields', () => {
+      expect(validateFormula('price * (1 - discount)', FIELDS)).toEqual({
+        valid: true,
+        error: null,
+        references: ['price', 'discount'],
+      });
+    });
+
+    it('rejects missing fields and syntax errors', () => {
+      expect(validateFormula('price * tax + vat', FIELDS).error).toBe('Unknown fields "tax", "vat"');
+      expect(validateFormula('price *', FIELDS).valid).toBe(false);
+    });
+
+    it('rejects fields that refer back to themselves', () => {
+      expect(validateFormula('sale_price * 2', FIELDS, { fieldName: 'sale_price' }).error)
+        .toBe('Field "sale_price" refers to itself');
+      expect(validateFormula('sale_price + 1', FIELDS, { fieldName: 'price' }).error)
+        .toBe('Field "price" refers to itself through "sale_price"');
+    });
+  });
+
+  describe('getRowFieldValue', () => {
+    it('returns stored values and stored-style results for computed fields', () => {
+      const values = { price: '0.3', discount: '0.9' };
+      expect(getRowFieldValue(values, 'price', FIELDS)).toBe('0.3');
+      expect(getRowFieldValue(values, 'sale_price', FIELDS)).toBe('0.03');
+      expect(getRowFieldValue(values, 'stock', FIELDS)).toBeUndefined();
+    });
+
+    it('names the field in formula errors', () => {
+      const fields = [...FIELDS, { name: 'label', formula: 'name & size' }];
+      expect(() => getRowFieldValue({}, 'label', fields)).toThrow('Field "label": Unknown field "size"');
+    });
+  });
+});
@@ -9,8 +9,11 @@ import {
   parseSheetId,
   convertSheetRowsToInternalRows,
   detectChangedRows,
+  shouldHoldSync,
+  commitSyncChanges,
   generateFieldDefinitions,
 } from '../../../src/services/googleSheetsService';
+import { supabase } from '../../../src/supabase';
 
 // Mock supabase
 vi.mock('../../../src/supabase', () => ({
@@ -251,6 +254,95 @@ describe('detectChangedRows', () => {
   });
 });
 
+describe('detectChangedRows row changes', () => {
+  const row = (name, price) => ({ values: { name, price } });
+
+  it('records inserted, updated and deleted rows with before and after values', () => {
+    const oldRows = [row('A', '1'), row('B', '2'), row('C', '3')];
+    const newRows = [row('A', '10'), row('C', '3'), row('D', '4'), row('E', '5')];
+    const result = detectChangedRows(oldRows, newRows);
+
+    // C is unchanged though it moved; B pairs with D as an update, A with A
+    expect(result.rowChanges).toEqual([
+      { changeType: 'update', rowIndex: 0, rowKey: null, before: { name: 'A', price: '1' }, after: { name: 'A', price: '10' } },
+      { changeType: 'update', rowIndex: 2, rowKey: null, before: { name: 'B', price: '2' }, after: { name: 'D', price: '4' } },
+      { changeType: 'insert', rowIndex: 3, rowKey: null, before: null, after: { name: 'E', price: '5' } },
+    ]);
+    expect(result.summary).toBe('1 row added, 2 rows updated');
+  });
+
+  it('does not report rows that only moved', () => {
+    const result = detectChangedRows([row('A', '1'), row('B', '2')], [row('B', '2'), row('A', '1')]);
+    expect(result.changed).toBe(false);
+  });
+
+  it('matches rows by the key field', () => {
+    const oldRows = [row('A', '1'), row('B', '2'), row('C', '3')];
+    const newRows = [row('C', '30'), row('A', '1')];
+    const result = detectChangedRows(oldRows, newRows, { keyField: 'name' });
+
+    expect(result.rowChanges).toEqual([
+      { changeType: 'update', rowIndex: 0, rowKey: 'C', before: { name: 'C', price: '3' }, after: { name: 'C', price: '30' } },
+      { changeType: 'delete', rowIndex: 1, rowKey: 'B', before: { name: 'B', price: '2' }, after: null },
+    ]);
+    expect(result.summary).toBe('1 row updated, 1 row removed');
+  });
+});
+
+describe('shouldHoldSync', () => {
+  it('holds syncs deleting more than the allowed share of rows', () => {
+    expect(shouldHoldSync({ removedCount: 6 }, 10)).toBe(true);
+    expect(shouldHoldSync({ removedCount: 5 }, 10)).toBe(false);
+    expect(shouldHoldSync({ removedCount: 2 }, 10, 10)).toBe(true);
+    expect(shouldHoldSync({ removedCount: 10 }, 10, 100)).toBe(false);
+  });
+
+  it('never holds syncs of empty sources or without deletes', () => {
+    expect(shouldHoldSync({ removedCount: 0 }, 10, 0)).toBe(false);
+    expect(shouldHoldSync({ removedCount: 3 }, 0)).toBe(false);
+  });
+});
+
+describe('commitSyncChanges', () => {
+  const dataSource = {
+    id: 'ds-1',
+    rows: [{ values: { name: 'A' } }, { values: { name: 'B' } }, { values: { name: 'C' } }],
+    integration_config: { maxDeletePercent: 50 },
+  };
+  const fieldDefinitions = [{ name: 'name', label: 'Name', dataType: 'text' }];
+
+  beforeEach(() => {
+    supabase.rpc.mockClear();
+  });
+
+  it('applies the rows and logs the row changes', async () => {
+    const rows = [{ values: { name: 'A' } }, { values: { name: 'B' } }];
+    const changes = detectChangedRows(dataSource.rows, rows);
+
+    const result = await commitSyncChanges(dataSource, { rows, fieldDefinitions, changes, startTime: Date.now() });
+
+    expect(result).toMatchObject({ success: true, held: false, message: '1 row removed' });
+    expect(supabase.rpc).toHaveBeenCalledWith('record_data_source_sync', expect.objectContaining({
+      p_data_source_id: 'ds-1',
+      p_status: 'ok',
+      p_new_rows: rows,
+      p_row_changes: changes.rowChanges,
+    }));
+    expect(supabase.rpc).toHaveBeenCalledWith('broadcast_data_source_update', { p_data_source_id: 'ds-1' });
+  });
+
+  it('holds syncs that delete too many rows', async () => {
+    const rows = [{ values: { name: 'A' } }];
+    const changes = detectChangedRows(dataSource.rows, rows);
+
+    const result = await commitSyncChanges(dataSource, { rows, fieldDefinitions, changes, startTime: Date.now() });
+
+    expect(result).toMatchObject({ success: true, held: true, message: 'Held for review: 2 of 3 rows would be removed' });
+    expect(supabase.rpc).toHaveBeenCalledWith('record_data_source_sync', expect.objectContaining({ p_status: 'held' }));
+    expect(supabase.rpc).not.toHaveBeenCalledWith('broadcast_data_source_update', expect.anything());
+  });
+});
+
 // ============================================================================
 // GENERATE FIELD DEFINITIONS TESTS
 // ============================================================================
@@ -0,0 +1,106 @@
+/**
+ * Kiosk Navigation Service Unit Tests
+ * Tests for block tap actions, kiosk settings and linked scene fetching
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    rpc: vi.fn(),
+  },
+}));
+
+import { supabase } from '../../../src/supabase';
+import {
+  DEFAULT_IDLE_TIMEOUT_SECONDS,
+  MIN_IDLE_TIMEOUT_SECONDS,
+  getBlockAction,
+  isInteractiveScene,
+  getLinkedSceneIds,
+  getKioskSettings,
+  getSlideIndex,
+  fetchKioskScene,
+} from '../../../src/services/kioskNavigationService';
+
+const slide = (id, blocks = []) => ({ id, design: { blocks } });
+const button = (id, action) => ({ id, type: 'shape', action });
+
+describe('kioskNavigationService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getBlockAction', () => {
+    it('returns complete actions', () => {
+      expect(getBlockAction(button('b1', { type: 'slide', slideId: 's2' }))).toEqual({ type: 'slide', slideId: 's2' });
+      expect(getBlockAction(button('b1', { type: 'home' }))).toEqual({ type: 'home' });
+    });
+
+    it('treats missing targets and unknown types as no action', () => {
+      expect(getBlockAction(button('b1', { type: 'scene' }))).toBeNull();
+      expect(getBlockAction(button('b1', { type: 'qr', url: '' }))).toBeNull();
+      expect(getBlockAction(button('b1', { type: 'dance' }))).toBeNull();
+      expect(getBlockAction(button('b1', null))).toBeNull();
+    });
+  });
+
+  describe('scene helpers', () => {
+    const scene = {
+      id: 'scene-home',
+      slides: [
+        slide('s1', [button('b1', { type: 'scene', sceneId: 'scene-menu' }), { id: 'b2', type: 'text' }]),
+        slide('s2', [
+          button('b3', { type: 'scene', sceneId: 'scene-menu' }),
+          button('b4', { type: 'scene', sceneId: 'scene-home' }),
+          button('b5', { type: 'scene', sceneId: 'scene-hours' }),
+        ]),
+      ],
+    };
+
+    it('detects interactive scenes', () => {
+      expect(isInteractiveScene(scene)).toBe(true);
+      expect(isInteractiveScene({ slides: [slide('s1', [{ id: 'b1', type: 'text' }])] })).toBe(false);
+      expect(isInteractiveScene(null)).toBe(false);
+    });
+
+    it('lists other linked scenes once', () => {
+      expect(getLinkedSceneIds(scene)).toEqual(['scene-menu', 'scene-hours']);
+    });
+
+    it('finds slides, falling back to the first', () => {
+      expect(getSlideIndex(scene.slides, 's2')).toBe(1);
+      expect(getSlideIndex(scene.slides, 'deleted')).toBe(0);
+    });
+  });
+
+  describe('getKioskSettings', () => {
+    it('applies the default and limits the idle timeout', () => {
+      expect(getKioskSettings({ settings: {} })).toEqual({ idleTimeoutSeconds: DEFAULT_IDLE_TIMEOUT_SECONDS });
+      expect(getKioskSettings({ settings: { kiosk: { idleTimeoutSeconds: 45 } } })).toEqual({ idleTimeoutSeconds: 45 });
+      expect(getKioskSettings({ settings: { kiosk: { idleTimeoutSeconds: 1 } } }))
+        .toEqual({ idleTimeoutSeconds: MIN_IDLE_TIMEOUT_SECONDS });
+    });
+  });
+
+  describe('fetchKioskScene', () => {
+    it('fetches the scene for the screen', async () => {
+      supabase.rpc.mockResolvedValue({ data: { id: 'scene-menu', slides: [] }, error: null });
+
+      expect(await fetchKioskScene('screen-1', 'scene-menu')).toEqual({ id: 'scene-menu', slides: [] });
+      expect(supabase.rpc).toHaveBeenCalledWith('get_player_kiosk_scene', {
+        p_screen_id: 'screen-1',
+        p_scene_id: 'scene-menu',
+      });
+    });
+
+    it('returns null for scenes the screen may not show', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: null });
+      expect(await fetchKioskScene('screen-1', 'scene-other')).toBeNull();
+    });
+
+    it('throws when the RPC fails', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: { message: 'boom' } });
+      await expect(fetchKioskScene('screen-1', 'scene-menu')).rejects.toEqual({ message: 'boom' });
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Media Collection Service Unit Tests
+ * Tests for smart collection rule validation, descriptions and saving
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    auth: {
+      getUser: vi.fn().mockResolvedValue({ data: { user: { id: 'user-1' } } }),
+    },
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+import {
+  getRuleValueType,
+  createCollectionRule,
+  normalizeCollectionRules,
+  describeCollectionRule,
+  describeCollection,
+  createMediaCollection,
+  previewMediaCollection,
+} from '../../../src/services/mediaCollectionService';
+import { supabase } from '../../../src/supabase';
+
+describe('mediaCollectionService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('createCollectionRule', () => {
+    it('starts with the first operator and option of the field', () => {
+      expect(createCollectionRule('type')).toEqual({ field: 'type', operator: 'is', value: 'image' });
+      expect(createCollectionRule('tag')).toEqual({ field: 'tag', operator: 'includes', value: '' });
+    });
+
+    it('falls back to a tag rule for unknown fields', () => {
+      expect(createCollectionRule('colour').field).toBe('tag');
+    });
+  });
+
+  describe('getRuleValueType', () => {
+    it('uses the operator value type where it has one', () => {
+      expect(getRuleValueType({ field: 'uploaded', operator: 'within_days' })).toBe('number');
+      expect(getRuleValueType({ field: 'uploaded', operator: 'before' })).toBe('date');
+      expect(getRuleValueType({ field: 'orientation', operator: 'is' })).toBe('select');
+    });
+  });
+
+  describe('normalizeCollectionRules', () => {
+    it('cleans values and converts numbers', () => {
+      expect(normalizeCollectionRules([
+        { field: 'tag', operator: 'includes', value: '  summer ' },
+        { field: 'uploaded', operator: 'within_days', value: '30' },
+        { field: 'orientation', operator: 'is', value: 'portrait' },
+        { field: 'uploaded', operator: 'after', value: '2026-06-01' },
+      ])).toEqual([
+        { field: 'tag', operator: 'includes', value: 'summer' },
+        { field: 'uploaded', operator: 'within_days', value: 30 },
+        { field: 'orientation', operator: 'is', value: 'portrait' },
+        { field: 'uploaded', operator: 'after', value: '2026-06-01' },
+      ]);
+    });
+
+    it('rejects incomplete or invalid rules', () => {
+      expect(() => normalizeCollectionRules([{ field: 'colour', operator: 'is', value: 'red' }])).toThrow('Rule 1: invalid field');
+      expect(() => normalizeCollectionRules([{ field: 'type', operator: 'contains', value: 'video' }])).toThrow('invalid operator');
+      expect(() => normalizeCollectionRules([{ field: 'tag', operator: 'includes', value: ' ' }])).toThrow('enter a value');
+      expect(() => normalizeCollectionRules([{ field: 'duration', operator: 'at_least', value: '-5' }])).toThrow('number');
+      expect(() => normalizeCollectionRules([{ field: 'type', operator: 'is', value: 'hologram' }])).toThrow('choose a type');
+      expect(() => normalizeCollectionRules([{ field: 'uploaded', operator: 'before', value: 'soon' }])).toThrow('enter a date');
+    });
+
+    it('treats missing rules as none', () => {
+      expect(normalizeCollectionRules(null)).toEqual([]);
+    });
+  });
+
+  describe('describeCollection', () => {
+    it('describes rules in words', () => {
+      expect(describeCollectionRule({ field: 'tag', operator: 'includes', value: 'summer' })).toBe('Tag includes summer');
+      expect(describeCollectionRule({ field: 'type', operator: 'is_not', value: 'video' })).toBe('Type is not Video');
+      expect(describeCollectionRule({ field: 'uploaded', operator: 'within_days', value: 1 })).toBe('Uploaded in the last 1 day');
+      expect(describeCollectionRule({ field: 'folder', operator: 'is', value: 'f-1' }, { folderNames: { 'f-1': 'Promos' } }))
+        .toBe('Folder is Promos');
+    });
+
+    it('joins rules by the match mode', () => {
+      const rules = [
+        { field: 'tag', operator: 'includes', value: 'summer' },
+        { field: 'orientation', operator: 'is', value: 'portrait' },
+      ];
+
+      expect(describeCollection({ rules, match_mode: 'all' })).toBe('Tag includes summer and Orientation is Portrait');
+      expect(describeCollection({ rules, match_mode: 'any' })).toBe('Tag includes summer or Orientation is Portrait');
+    });
+  });
+
+  describe('createMediaCollection', () => {
+    it('saves normalized rules for the current user', async () => {
+      const single = vi.fn().mockResolvedValue({ data: { id: 'col-1' }, error: null });
+      const insert = vi.fn(() => ({ select: () => ({ single }) }));
+      supabase.from.mockReturnValue({ insert });
+
+      await createMediaCollection({
+        name: ' Summer videos ',
+        rules: [
+          { field: 'tag', operator: 'includes', value: 'summer ' },
+          { field: 'type', operator: 'is', value: 'video' },
+        ],
+        itemLimit: 900,
+      });
+
+      expect(supabase.from).toHaveBeenCalledWith('media_collections');
+      expect(insert).toHaveBeenCalledWith({
+        owner_id: 'user-1',
+        name: 'Summer videos',
+        description: null,
+        rules: [
+          { field: 'tag', operator: 'includes', value: 'summer' },
+          { field: 'type', operator: 'is', value: 'video' },
+        ],
+        match_mode: 'all',
+        sort_order: 'newest',
+        item_limit: 500,
+      });
+    });
+
+    it('requires a name', async () => {
+      await expect(createMediaCollection({ name: ' ', rules: [] })).rejects.toThrow('Enter a collection name');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('previewMediaCollection', () => {
+    it('previews a saved collection row', async () => {
+      supabase.rpc.mockResolvedValue({ data: { count: 3, items: [] }, error: null });
+
+      const result = await previewMediaCollection({
+        rules: [{ field: 'type', operator: 'is', value: 'video' }],
+        match_mode: 'any',
+        sort_order: 'random',
+        item_limit: 10,
+      }, { sample: 6 });
+
+      expect(result.count).toBe(3);
+      expect(supabase.rpc).toHaveBeenCalledWith('preview_media_collection', {
+        p_rules: [{ field: 'type', operator: 'is', value: 'video' }],
+        p_match_mode: 'any',
+        p_sort_order: 'random',
+        p_item_limit: 10,
+        p_sample: 6,
+      });
+    });
+  });
+});
@@ -2,7 +2,7 @@
  * Media Preloader Service Unit Tests
  *
  * Tests for src/services/mediaPreloader.js
- * Verifies image/video preloading, caching, and media extraction.
+ * Verifies image/video preloading, caching, media extraction and rendition selection.
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
@@ -44,8 +44,21 @@ import {
   clearPreloadCache,
   getCacheStats,
   isCached,
+  BANDWIDTH_LEVELS,
+  registerMediaRenditions,
+  clearMediaRenditions,
+  selectRendition,
+  getRenditionUrl,
+  getPosterUrl,
+  collectContentMediaUrls,
 } from '../../../src/services/mediaPreloader';
 
+const RENDITIONS = [
+  { label: '480p', url: 'https://cdn/480p', width: 854, height: 480 },
+  { label: '720p', url: 'https://cdn/720p', width: 1280, height: 720 },
+  { label: '1080p', url: 'https://cdn/1080p', width: 1920, height: 1080 },
+];
+
 describe('mediaPreloader', () => {
   beforeEach(() => {
     // Clear cache before each test
@@ -261,6 +274,83 @@ describe('mediaPreloader', () => {
       expect(result.slideId).toBe('unknown');
       expect(result.success).toBe(true);
     });
+
+    it('preloads the rendition picked for the bandwidth', async () => {
+      registerMediaRenditions([{ url: 'https://example.com/4k.jpg', renditions: RENDITIONS }]);
+      const slide = {
+        id: 'slide-3',
+        design_json: { blocks: [{ type: 'image', props: { url: 'https://example.com/4k.jpg' } }] },
+      };
+
+      setTimeout(() => {
+        mockImageInstances.forEach(img => img.onload?.());
+      }, 0);
+
+      const result = await preloadSlide(slide, { bandwidthLevel: BANDWIDTH_LEVELS.TWO_G });
+
+      expect(mockImageInstances.map(img => img.src)).toEqual(['https://cdn/720p']);
+      expect(result.success).toBe(true);
+      clearMediaRenditions();
+    });
+  });
+
+  // ============================================
+  // RENDITIONS
+  // ============================================
+
+  describe('selectRendition', () => {
+    it('picks the smallest rendition that covers the screen', () => {
+      expect(selectRendition(RENDITIONS, { screen: { width: 1280, height: 720 } }).label).toBe('720p');
+      expect(selectRendition(RENDITIONS, { screen: { width: 1080, height: 1920 } }).label).toBe('1080p');
+    });
+
+    it('plays the original when no rendition covers the screen', () => {
+      expect(selectRendition(RENDITIONS, { screen: { width: 3840, height: 2160 } })).toBeNull();
+      expect(selectRendition([], { screen: { width: 1280, height: 720 } })).toBeNull();
+    });
+
+    it('caps the size on slow connections', () => {
+      const screen = { width: 3840, height: 2160 };
+      expect(selectRendition(RENDITIONS, { screen, bandwidthLevel: BANDWIDTH_LEVELS.THREE_G }).label).toBe('1080p');
+      expect(selectRendition(RENDITIONS, { screen, bandwidthLevel: BANDWIDTH_LEVELS.TWO_G }).label).toBe('720p');
+      expect(selectRendition(RENDITIONS, { screen, bandwidthLevel: BANDWIDTH_LEVELS.SLOW_2G }).label).toBe('480p');
+    });
+  });
+
+  describe('getRenditionUrl', () => {
+    afterEach(() => clearMediaRenditions());
+
+    it('returns the original URL when no renditions are registered', () => {
+      expect(getRenditionUrl('https://example.com/video.mp4')).toBe('https://example.com/video.mp4');
+    });
+
+    it('maps a registered URL to its rendition and poster', () => {
+      registerMediaRenditions([
+        { url: 'https://example.com/video.mp4', renditions: RENDITIONS, poster: 'https://cdn/poster.jpg' },
+      ]);
+
+      expect(getRenditionUrl('https://example.com/video.mp4', { screen: { width: 1920, height: 1080 } }))
+        .toBe('https://cdn/1080p');
+      expect(getPosterUrl('https://example.com/video.mp4')).toBe('https://cdn/poster.jpg');
+      expect(getPosterUrl('https://example.com/other.mp4')).toBeNull();
+    });
+  });
+
+  describe('collectContentMediaUrls', () => {
+    it('collects unique media URLs from nested content', () => {
+      const content = {
+        items: [
+          { url: 'https://example.com/a.jpg' },
+          { url: 'https://example.com/a.jpg' },
+          { url: 'blob:local' },
+        ],
+        scene: {
+          slides: [{ design_json: { blocks: [{ props: { url: 'https://example.com/b.mp4' } }] } }],
+        },
+      };
+
+      expect(collectContentMediaUrls(content)).toEqual(['https://example.com/a.jpg', 'https://example.com/b.mp4']);
+    });
   });
 
   // ============================================
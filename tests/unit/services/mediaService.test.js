@@ -9,7 +9,12 @@ import {
   getMediaTypeFromMime,
   getFileExtension,
   APP_TYPE_KEYS,
+  groupDuplicateMedia,
+  mergeDuplicateMedia,
+  uploadMediaVersion,
+  rollbackMediaVersion,
 } from '../../../src/services/mediaService';
+import { supabase } from '../../../src/supabase';
 
 // Mock supabase
 vi.mock('../../../src/supabase', () => ({
@@ -234,6 +239,16 @@ describe('mediaService API functions', () => {
     // Tag operations
     expect(typeof mediaService.addTagsToMedia).toBe('function');
     expect(typeof mediaService.removeTagsFromMedia).toBe('function');
+
+    // Validity and archiving
+    expect(typeof mediaService.updateMediaValidity).toBe('function');
+    expect(typeof mediaService.archiveMediaAssets).toBe('function');
+    expect(typeof mediaService.restoreMediaAssets).toBe('function');
+
+    // Duplicates
+    expect(typeof mediaService.findMediaByContentHash).toBe('function');
+    expect(typeof mediaService.findDuplicateMedia).toBe('function');
+    expect(typeof mediaService.mergeDuplicateMedia).toBe('function');
   });
 
   it('exports all app creation functions', async () => {
@@ -248,6 +263,7 @@ describe('mediaService API functions', () => {
     expect(typeof mediaService.createWeatherApp).toBe('function');
     expect(typeof mediaService.createRssTickerApp).toBe('function');
     expect(typeof mediaService.createDataTableApp).toBe('function');
+    expect(typeof mediaService.createCalendarApp).toBe('function');
 
     // App management
     expect(typeof mediaService.fetchApps).toBe('function');
@@ -271,6 +287,110 @@ describe('mediaService API functions', () => {
   });
 });
 
+describe('Duplicate media', () => {
+  const asset = (id, hash, createdAt, fileSize) => ({
+    id,
+    name: `Asset ${id}`,
+    content_hash: hash,
+    created_at: createdAt,
+    file_size: fileSize,
+  });
+
+  it('groups assets by content hash and suggests keeping the oldest', () => {
+    const groups = groupDuplicateMedia([
+      asset('logo-2', 'sha256:aa', '2026-02-01', 100),
+      asset('video-1', 'sha256:bb', '2026-01-01', 5000),
+      asset('logo-1', 'sha256:aa', '2026-01-15', 100),
+      asset('unique', 'sha256:cc', '2026-01-01', 10),
+      asset('video-2', 'sha256:bb', '2026-03-01', 5000),
+      asset('video-3', 'sha256:bb', '2026-03-02', 5000),
+      asset('no-hash', null, '2026-01-01', 10),
+    ]);
+
+    expect(groups.map(g => [g.keep.id, g.assets.map(a => a.id), g.wastedBytes])).toEqual([
+      ['video-1', ['video-1', 'video-2', 'video-3'], 10000],
+      ['logo-1', ['logo-1', 'logo-2'], 100],
+    ]);
+  });
+
+  it('merges through the merge_duplicate_media RPC', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: { merged_count: 2 }, error: null });
+
+    const result = await mergeDuplicateMedia('keep-id', ['dup-1', 'dup-2']);
+
+    expect(result).toEqual({ merged_count: 2 });
+    expect(supabase.rpc).toHaveBeenCalledWith('merge_duplicate_media', {
+      p_keep_id: 'keep-id',
+      p_duplicate_ids: ['dup-1', 'dup-2'],
+    });
+  });
+});
+
+describe('Media versions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('saves an upload as a new version and republishes it', async () => {
+    supabase.rpc
+      .mockResolvedValueOnce({ data: { version: 3, previous_version: 2, scene_slides: 1 }, error: null })
+      .mockResolvedValueOnce({ data: [], error: null });
+
+    const result = await uploadMediaVersion('media-1', {
+      url: 'https://cdn/logo-v3.png',
+      thumbnail: 'https://cdn/logo-v3.png',
+      type: 'image/png',
+      size: 2048,
+      width: 800,
+      height: 600,
+      duration: null,
+      contentHash: 'sha256:cc',
+    });
+
+    expect(supabase.rpc).toHaveBeenNthCalledWith(1, 'add_media_version', {
+      p_media_id: 'media-1',
+      p_url: 'https://cdn/logo-v3.png',
+      p_thumbnail_url: 'https://cdn/logo-v3.png',
+      p_mime_type: 'image/png',
+      p_file_size: 2048,
+      p_width: 800,
+      p_height: 600,
+      p_duration: null,
+      p_content_hash: 'sha256:cc',
+    });
+    expect(supabase.rpc).toHaveBeenNthCalledWith(2, 'get_media_screens', { p_media_id: 'media-1' });
+    expect(result).toEqual({
+      version: 3,
+      previous_version: 2,
+      scene_slides: 1,
+      republished: true,
+      affectedDevices: 0,
+    });
+  });
+
+  it('rolls back through the rollback_media_version RPC', async () => {
+    supabase.rpc
+      .mockResolvedValueOnce({ data: { version: 1, previous_version: 3 }, error: null })
+      .mockResolvedValueOnce({ data: [], error: null });
+
+    const result = await rollbackMediaVersion('media-1', 1);
+
+    expect(supabase.rpc).toHaveBeenNthCalledWith(1, 'rollback_media_version', {
+      p_media_id: 'media-1',
+      p_version_number: 1,
+    });
+    expect(result.version).toBe(1);
+    expect(result.republished).toBe(true);
+  });
+
+  it('does not republish when the version is rejected', async () => {
+    supabase.rpc.mockResolvedValueOnce({ data: null, error: new Error('Version 2 is already current') });
+
+    await expect(rollbackMediaVersion('media-1', 2)).rejects.toThrow('already current');
+    expect(supabase.rpc).toHaveBeenCalledTimes(1);
+  });
+});
+
 describe('Media file size limits', () => {
   it('accepts files under 100MB', () => {
     const file = { name: 'video.mp4', size: 99 * 1024 * 1024, type: 'video/mp4' };
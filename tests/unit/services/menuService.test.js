@@ -0,0 +1,286 @@
+/**
+ * Menu Service Unit Tests
+ * Tests for dayparts, published menu rows, widget filtering and sold-out publishing
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+import {
+  MENU_DATA_FIELDS,
+  MENU_DAYPART_MODES,
+  parseTimeOfDay,
+  getMinutesOfDay,
+  isDaypartActive,
+  formatModifiers,
+  parseModifierLines,
+  modifiersToLines,
+  buildMenuRows,
+  filterMenuRows,
+  groupMenuRows,
+  publishMenu,
+  setItemSoldOut,
+} from '../../../src/services/menuService';
+import { supabase } from '../../../src/supabase';
+
+const DAYPARTS = [
+  { key: 'breakfast', label: 'Breakfast', start: '06:00', end: '11:00' },
+  { key: 'lunch', label: 'Lunch', start: '11:00', end: '16:00' },
+  { key: 'late', label: 'Late Night', start: '22:00', end: '02:00' },
+];
+
+const item = (overrides) => ({
+  description: null,
+  price: null,
+  calories: null,
+  allergens: [],
+  dietary_tags: [],
+  modifiers: [],
+  image_url: null,
+  dayparts: [],
+  is_sold_out: false,
+  ...overrides,
+});
+
+const MENU = {
+  id: 'menu-1',
+  name: 'Cafe',
+  currency_symbol: '$',
+  dayparts: DAYPARTS,
+  data_source_id: 'ds-1',
+  categories: [
+    {
+      id: 'cat-1',
+      name: 'Breakfast',
+      dayparts: ['breakfast'],
+      items: [
+        item({ id: 'i-1', name: 'Bagel', price: '3.5', calories: 280, allergens: ['gluten'], dietary_tags: ['vegetarian'] }),
+        item({ id: 'i-2', name: 'Omelette', price: '9', is_sold_out: true }),
+        item({ id: 'i-3', name: 'Late Fries', price: '4', dayparts: ['late'] }),
+      ],
+    },
+    {
+      id: 'cat-2',
+      name: 'Drinks',
+      dayparts: [],
+      items: [
+        item({ id: 'i-4', name: 'Latte', price: '4.5', modifiers: [{ name: 'Oat milk', price: 0.5 }, { name: 'Decaf' }] }),
+      ],
+    },
+  ],
+};
+
+// Supabase query builder that resolves to `result` however the chain ends
+const query = (result = { data: null, error: null }) => {
+  const builder = {};
+  for (const method of ['select', 'insert', 'update', 'delete', 'eq', 'in', 'order', 'limit']) {
+    builder[method] = vi.fn(() => builder);
+  }
+  builder.single = vi.fn().mockResolvedValue(result);
+  builder.maybeSingle = vi.fn().mockResolvedValue(result);
+  builder.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return builder;
+};
+
+const at = (hours, minutes = 0) => hours * 60 + minutes;
+
+describe('menuService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('dayparts', () => {
+    it('reads HH:MM times', () => {
+      expect(parseTimeOfDay('06:30')).toBe(390);
+      expect(parseTimeOfDay('24:00')).toBe(1440);
+      expect(parseTimeOfDay('6pm')).toBeNull();
+      expect(parseTimeOfDay(undefined)).toBeNull();
+    });
+
+    it('matches windows, including ones past midnight', () => {
+      expect(isDaypartActive(DAYPARTS[0], at(6))).toBe(true);
+      expect(isDaypartActive(DAYPARTS[0], at(11))).toBe(false);
+      expect(isDaypartActive(DAYPARTS[2], at(23, 30))).toBe(true);
+      expect(isDaypartActive(DAYPARTS[2], at(1, 59))).toBe(true);
+      expect(isDaypartActive(DAYPARTS[2], at(2))).toBe(false);
+      expect(isDaypartActive({ start: '09:00', end: '09:00' }, at(9))).toBe(false);
+    });
+
+    it('reads the time of day in the screen timezone', () => {
+      const now = Date.UTC(2026, 9, 19, 14, 30);
+      expect(getMinutesOfDay(now, 'America/New_York')).toBe(at(10, 30));
+      expect(getMinutesOfDay(now, 'Asia/Tokyo')).toBe(at(23, 30));
+      expect(getMinutesOfDay(now, 'UTC')).toBe(at(14, 30));
+    });
+  });
+
+  describe('modifiers', () => {
+    it('reads one modifier per line with optional price changes', () => {
+      expect(parseModifierLines('Oat milk +0.50\nExtra shot +$1\n\nSmall -1\nNo ice')).toEqual([
+        { name: 'Oat milk', price: 0.5 },
+        { name: 'Extra shot', price: 1 },
+        { name: 'Small', price: -1 },
+        { name: 'No ice', price: 0 },
+      ]);
+    });
+
+    it('round-trips through editable lines and formats for screens', () => {
+      const modifiers = [{ name: 'Oat milk', price: 0.5 }, { name: 'Small', price: -1 }, { name: 'Decaf', price: 0 }];
+      expect(parseModifierLines(modifiersToLines(modifiers))).toEqual(modifiers);
+      expect(formatModifiers(modifiers, '£')).toBe('Oat milk +£0.50, Small -£1.00, Decaf');
+    });
+  });
+
+  describe('buildMenuRows', () => {
+    it('keeps sold-out items as inactive rows and inherits category dayparts', () => {
+      const built = buildMenuRows(MENU);
+      const rows = built.map(row => row.values);
+
+      expect(rows.map(values => values.name)).toEqual(['Bagel', 'Omelette', 'Late Fries', 'Latte']);
+      expect(built.map(row => row.isActive)).toEqual([true, false, true, true]);
+      expect(rows[0]).toEqual({
+        category: 'Breakfast',
+        name: 'Bagel',
+        description: '',
+        price: '3.50',
+        calories: '280',
+        allergens: 'Gluten',
+        dietary: 'V',
+        modifiers: '',
+        image_url: '',
+        dayparts: 'breakfast',
+        hours: '06:00-11:00',
+        item_id: 'i-1',
+      });
+      expect(rows[2]).toMatchObject({ dayparts: 'late', hours: '22:00-02:00' });
+      expect(rows[3]).toMatchObject({ dayparts: '', hours: '', modifiers: 'Oat milk +$0.50, Decaf' });
+    });
+
+    it('has a value for every published field', () => {
+      const names = MENU_DATA_FIELDS.map(field => field.name);
+      for (const { values } of buildMenuRows(MENU)) {
+        expect(Object.keys(values)).toEqual(names);
+      }
+    });
+  });
+
+  describe('filterMenuRows', () => {
+    const rows = buildMenuRows(MENU).filter(row => row.isActive).map(row => row.values);
+    const names = list => list.map(values => values.name);
+
+    it('follows the time of day in the screen timezone', () => {
+      const breakfastInNewYork = Date.UTC(2026, 9, 19, 12, 0);
+      const lateInNewYork = Date.UTC(2026, 9, 20, 4, 0);
+
+      expect(names(filterMenuRows(rows, { now: breakfastInNewYork, timeZone: 'America/New_York' })))
+        .toEqual(['Bagel', 'Latte']);
+      expect(names(filterMenuRows(rows, { now: lateInNewYork, timeZone: 'America/New_York' })))
+        .toEqual(['Late Fries', 'Latte']);
+    });
+
+    it('shows everything, one daypart or one category on request', () => {
+      expect(filterMenuRows(rows, { daypart: MENU_DAYPART_MODES.ALL })).toHaveLength(3);
+      expect(names(filterMenuRows(rows, { daypart: 'late' }))).toEqual(['Late Fries', 'Latte']);
+      expect(names(filterMenuRows(rows, { daypart: MENU_DAYPART_MODES.ALL, category: 'Drinks' }))).toEqual(['Latte']);
+    });
+  });
+
+  describe('groupMenuRows', () => {
+    it('groups rows by category in order', () => {
+      const groups = groupMenuRows([
+        { category: 'Drinks', name: 'Latte' },
+        { category: 'Food', name: 'Bagel' },
+        { category: 'Drinks', name: 'Mocha' },
+      ]);
+      expect(groups.map(g => [g.category, g.items.map(i => i.name)])).toEqual([
+        ['Drinks', ['Latte', 'Mocha']],
+        ['Food', ['Bagel']],
+      ]);
+    });
+  });
+
+  describe('publishing', () => {
+    const menuRecord = () => {
+      const { categories, ...menu } = MENU;
+      return {
+        ...menu,
+        menu_categories: categories.map(({ items: _items, ...category }, index) => ({ ...category, order_index: index })),
+        menu_items: categories.flatMap(category =>
+          category.items.map((i, index) => ({ ...i, category_id: category.id, menu_id: MENU.id, order_index: index }))
+        ),
+      };
+    };
+
+    it('syncs the menu rows to its data source, hides sold-out items and broadcasts the update', async () => {
+      const rowsUpdate = query({ data: [{ id: 'row-2' }], error: null });
+      const menusUpdate = query();
+      supabase.from
+        .mockReturnValueOnce(query({ data: menuRecord(), error: null }))
+        .mockReturnValueOnce(rowsUpdate)
+        .mockReturnValueOnce(menusUpdate);
+      supabase.rpc.mockResolvedValue({ data: null, error: null });
+
+      const result = await publishMenu('menu-1');
+
+      expect(result).toEqual({ dataSourceId: 'ds-1', rowCount: 3 });
+      expect(supabase.rpc).toHaveBeenCalledWith('sync_data_source_rows', {
+        p_data_source_id: 'ds-1',
+        p_new_rows: buildMenuRows(MENU),
+        p_field_definitions: MENU_DATA_FIELDS,
+      });
+      expect(rowsUpdate.update).toHaveBeenCalledWith({ is_active: false });
+      expect(rowsUpdate.in).toHaveBeenCalledWith('values->>item_id', ['i-2']);
+      expect(menusUpdate.update).toHaveBeenCalledWith(expect.objectContaining({ data_source_id: 'ds-1' }));
+      expect(supabase.rpc).toHaveBeenLastCalledWith('broadcast_data_source_update', { p_data_source_id: 'ds-1' });
+    });
+
+    it('hides only the item\'s published row when it is 86\'d, without republishing', async () => {
+      const itemUpdate = query({ data: { id: 'i-1', menu_id: 'menu-1', is_sold_out: true }, error: null });
+      const rowsUpdate = query({ data: [{ id: 'row-1' }], error: null });
+      supabase.from
+        .mockReturnValueOnce(itemUpdate)
+        .mockReturnValueOnce(query({ data: { id: 'menu-1', data_source_id: 'ds-1' }, error: null }))
+        .mockReturnValueOnce(rowsUpdate);
+      supabase.rpc.mockResolvedValue({ data: null, error: null });
+
+      const result = await setItemSoldOut('i-1', true);
+
+      expect(result.published).toBe(true);
+      expect(itemUpdate.update).toHaveBeenCalledWith({ is_sold_out: true, sold_out_at: expect.any(String) });
+      expect(supabase.from).toHaveBeenLastCalledWith('data_source_rows');
+      expect(rowsUpdate.update).toHaveBeenCalledWith({ is_active: false });
+      expect(rowsUpdate.eq).toHaveBeenCalledWith('data_source_id', 'ds-1');
+      expect(rowsUpdate.in).toHaveBeenCalledWith('values->>item_id', ['i-1']);
+      expect(supabase.rpc).not.toHaveBeenCalledWith('sync_data_source_rows', expect.anything());
+      expect(supabase.rpc).toHaveBeenCalledWith('broadcast_data_source_update', { p_data_source_id: 'ds-1' });
+    });
+
+    it('leaves items that were never published for the next publish', async () => {
+      supabase.from
+        .mockReturnValueOnce(query({ data: { id: 'i-9', menu_id: 'menu-1', is_sold_out: false }, error: null }))
+        .mockReturnValueOnce(query({ data: { id: 'menu-1', data_source_id: 'ds-1' }, error: null }))
+        .mockReturnValueOnce(query({ data: [], error: null }));
+
+      const result = await setItemSoldOut('i-9', false);
+
+      expect(result.published).toBe(false);
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+
+    it('only saves the item for unpublished menus', async () => {
+      supabase.from
+        .mockReturnValueOnce(query({ data: { id: 'i-1', menu_id: 'menu-1', is_sold_out: false }, error: null }))
+        .mockReturnValueOnce(query({ data: { id: 'menu-1', data_source_id: null }, error: null }));
+
+      const result = await setItemSoldOut('i-1', false);
+
+      expect(result.published).toBe(false);
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+});
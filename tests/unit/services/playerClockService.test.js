@@ -0,0 +1,139 @@
+/**
+ * Player Clock Service Unit Tests
+ * Tests for heartbeat time sync and the drift-corrected player clock
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    rpc: vi.fn(),
+  },
+}));
+
+import { supabase } from '../../../src/supabase';
+import { heartbeat } from '../../../src/services/playerService';
+import {
+  CLOCK_SAMPLE_WINDOW,
+  recordClockSample,
+  getClockOffset,
+  getClockStatus,
+  serverNow,
+  serverDate,
+  resetClock,
+} from '../../../src/services/playerClockService';
+import { formatClockOffset, getClockSyncInfo } from '../../../src/services/screenDiagnosticsService';
+
+// A round trip against a server 90s ahead of the device
+const sample = (sentAt, roundTrip, offset = 90000) => ({
+  sentAt,
+  receivedAt: sentAt + roundTrip,
+  serverTime: sentAt + roundTrip / 2 + offset,
+});
+
+describe('playerClockService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetClock();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('recordClockSample', () => {
+    it('keeps the most accurate of the recent samples', () => {
+      recordClockSample(sample(1000, 400, 90150));
+      recordClockSample(sample(31000, 40, 90000));
+      const status = recordClockSample(sample(61000, 300, 89900));
+
+      expect(status).toMatchObject({ offset: 90000, roundTrip: 40, synced: true, syncedAt: 61300 });
+    });
+
+    it('forgets samples that fall out of the window', () => {
+      recordClockSample(sample(0, 10, 90000));
+      for (let i = 1; i <= CLOCK_SAMPLE_WINDOW; i++) {
+        recordClockSample(sample(i * 30000, 100, 90020));
+      }
+
+      expect(getClockOffset()).toBe(90020);
+    });
+
+    it('starts over when the device clock is set', () => {
+      recordClockSample(sample(1000, 20, 90000));
+      // Device clock corrected by NTP: now only 50ms off
+      recordClockSample(sample(31000, 200, 50));
+
+      expect(getClockStatus()).toMatchObject({ offset: 50, roundTrip: 200 });
+    });
+  });
+
+  describe('serverNow', () => {
+    it('corrects the local clock by the measured offset', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-03-01T12:00:00.000Z'));
+      recordClockSample(sample(Date.now() - 20, 20, -120000));
+
+      expect(serverNow()).toBe(Date.now() - 120000);
+      expect(serverDate().toISOString()).toBe('2025-03-01T11:58:00.000Z');
+    });
+
+    it('starts from the last stored offset before the first heartbeat', () => {
+      recordClockSample(sample(1000, 20, 4000));
+      const stored = localStorage.getItem('player_clock_offset');
+      resetClock();
+      localStorage.setItem('player_clock_offset', stored);
+
+      expect(getClockStatus()).toMatchObject({ offset: 4000, synced: false, roundTrip: null });
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('measures the round trip against the server time', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2025-03-01T12:00:00.000Z'));
+      supabase.rpc.mockImplementation(async () => {
+        vi.advanceTimersByTime(40);
+        return { data: { serverTime: '2025-03-01T12:01:30.020Z' }, error: null };
+      });
+
+      const status = await heartbeat('screen-1');
+
+      expect(supabase.rpc).toHaveBeenCalledWith('player_heartbeat', {
+        p_screen_id: 'screen-1',
+        p_clock_offset_ms: null,
+        p_clock_round_trip_ms: null,
+      });
+      expect(status).toMatchObject({ offset: 90000, roundTrip: 40, synced: true });
+    });
+
+    it('reports the current estimate and keeps it when the RPC fails', async () => {
+      recordClockSample(sample(1000, 20, 5000));
+      supabase.rpc.mockResolvedValue({ data: null, error: { message: 'offline' } });
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await heartbeat('screen-1')).toBeNull();
+      expect(supabase.rpc).toHaveBeenCalledWith('player_heartbeat', expect.objectContaining({
+        p_clock_offset_ms: 5000,
+        p_clock_round_trip_ms: 20,
+      }));
+      expect(getClockOffset()).toBe(5000);
+    });
+  });
+
+  describe('diagnostics', () => {
+    it('describes how far the device clock is off', () => {
+      expect(formatClockOffset(340)).toBe('340ms behind');
+      expect(formatClockOffset(-2500)).toBe('2.5s ahead');
+      expect(formatClockOffset(125000)).toBe('2m 5s behind');
+      expect(formatClockOffset(null)).toBe('Unknown');
+    });
+
+    it('grades the measured offset', () => {
+      expect(getClockSyncInfo({}).label).toBe('Not Measured');
+      expect(getClockSyncInfo({ clock_offset_ms: 120, clock_round_trip_ms: 60 }))
+        .toMatchObject({ label: 'In Sync', detail: 'Device clock 120ms behind (±30ms)' });
+      expect(getClockSyncInfo({ clock_offset_ms: -5000 }).label).toBe('Corrected');
+      expect(getClockSyncInfo({ clock_offset_ms: 300000 }).label).toBe('Large Drift');
+    });
+  });
+});
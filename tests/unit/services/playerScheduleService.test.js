@@ -0,0 +1,130 @@
+/**
+ * Player Schedule Service Unit Tests
+ * Tests for resolving sunrise/sunset entries from a cached schedule snapshot
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    rpc: vi.fn(),
+  },
+}));
+
+import {
+  fetchScheduleSnapshot,
+  followsScheduleSnapshot,
+  resolveSnapshotContent,
+  isSameContent,
+} from '../../../src/services/playerScheduleService';
+import { supabase } from '../../../src/supabase';
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const playlist = (id, source = 'legacy_schedule') => ({ mode: 'playlist', source, playlist: { id }, items: [] });
+
+// London, where sunset on 2026-06-21 is about 21:21 BST and sunrise about 04:43
+const snapshot = {
+  scheduleId: 'schedule-1',
+  timezone: 'Europe/London',
+  latitude: 51.5074,
+  longitude: -0.1278,
+  entries: [
+    {
+      id: 'night',
+      daysOfWeek: EVERY_DAY,
+      startTime: '20:00:00',
+      endTime: '06:00:00',
+      startAnchor: 'sunset',
+      startOffsetMinutes: 0,
+      endAnchor: 'sunrise',
+      endOffsetMinutes: 0,
+      hasWeatherConditions: false,
+      content: playlist('night-playlist'),
+    },
+    {
+      id: 'lunch',
+      daysOfWeek: EVERY_DAY,
+      startTime: '12:00:00',
+      endTime: '13:00:00',
+      startAnchor: 'time',
+      startOffsetMinutes: 0,
+      endAnchor: 'time',
+      endOffsetMinutes: 0,
+      hasWeatherConditions: false,
+      content: playlist('lunch-playlist'),
+    },
+  ],
+  fallback: playlist('day-playlist', 'assigned_playlist'),
+};
+
+// Local London time (BST, UTC+1) on 2026-06-21
+const london = (hour, minute = 0) => new Date(Date.UTC(2026, 5, 21, hour - 1, minute));
+
+describe('playerScheduleService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('resolveSnapshotContent', () => {
+    it('switches between day and night at sunset and sunrise', () => {
+      expect(resolveSnapshotContent(snapshot, london(21, 10)).playlist.id).toBe('day-playlist');
+      expect(resolveSnapshotContent(snapshot, london(21, 40)).playlist.id).toBe('night-playlist');
+      // The night entry wraps past midnight
+      expect(resolveSnapshotContent(snapshot, london(3)).playlist.id).toBe('night-playlist');
+      expect(resolveSnapshotContent(snapshot, london(5)).playlist.id).toBe('day-playlist');
+    });
+
+    it('plays fixed-time entries up to and including their end time', () => {
+      expect(resolveSnapshotContent(snapshot, london(13, 0)).playlist.id).toBe('lunch-playlist');
+      expect(resolveSnapshotContent(snapshot, london(13, 1)).playlist.id).toBe('day-playlist');
+    });
+
+    it('skips entries for other days and weather entries', () => {
+      const weekdays = {
+        ...snapshot,
+        entries: [
+          { ...snapshot.entries[0], daysOfWeek: [1, 2, 3, 4, 5] },
+          { ...snapshot.entries[1], hasWeatherConditions: true },
+        ],
+      };
+      // 2026-06-21 is a Sunday
+      expect(resolveSnapshotContent(weekdays, london(23)).playlist.id).toBe('day-playlist');
+      expect(resolveSnapshotContent(weekdays, london(12, 30)).playlist.id).toBe('day-playlist');
+    });
+
+    it('returns nothing without a snapshot', () => {
+      expect(resolveSnapshotContent(null, london(12))).toBeNull();
+    });
+  });
+
+  describe('followsScheduleSnapshot', () => {
+    it('follows schedule and fallback content but not overrides', () => {
+      expect(followsScheduleSnapshot(playlist('a'))).toBe(true);
+      expect(followsScheduleSnapshot(playlist('a', 'assigned_layout'))).toBe(true);
+      expect(followsScheduleSnapshot(playlist('a', null))).toBe(true);
+      expect(followsScheduleSnapshot(playlist('a', 'campaign'))).toBe(false);
+      expect(followsScheduleSnapshot(playlist('a', 'device_override'))).toBe(false);
+      expect(followsScheduleSnapshot(null)).toBe(false);
+    });
+  });
+
+  describe('isSameContent', () => {
+    it('compares what is played', () => {
+      expect(isSameContent(playlist('a'), playlist('a', 'assigned_playlist'))).toBe(true);
+      expect(isSameContent(playlist('a'), playlist('b'))).toBe(false);
+      expect(isSameContent({ mode: 'layout', layout: { id: 'l' } }, { mode: 'layout', layout: { id: 'l' } })).toBe(true);
+      expect(isSameContent(
+        { mode: 'playlist', playlist: null, items: [{ id: 'm1' }] },
+        { mode: 'playlist', playlist: null, items: [{ id: 'm2' }] }
+      )).toBe(false);
+    });
+  });
+
+  describe('fetchScheduleSnapshot', () => {
+    it('calls the snapshot RPC', async () => {
+      supabase.rpc.mockResolvedValue({ data: snapshot, error: null });
+
+      expect(await fetchScheduleSnapshot('screen-1')).toBe(snapshot);
+      expect(supabase.rpc).toHaveBeenCalledWith('get_player_schedule_snapshot', { p_screen_id: 'screen-1' });
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Playlist Playback Service Unit Tests
+ * Tests for seeded ordering, weighted picks, nested playlists and interleaving
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  PLAYBACK_MODES,
+  createSeededRandom,
+  getPlaybackMode,
+  getPlaybackSeed,
+  orderItems,
+  buildPlaybackSequence,
+  isPlaybackDynamic,
+  normalizeInterleaveRules,
+} from '../../../src/services/playlistPlaybackService';
+
+const item = (id, extra = {}) => ({ id, type: 'image', name: id, ...extra });
+const ids = sequence => sequence.map(i => i.id);
+
+const items = ['a', 'b', 'c', 'd', 'e', 'f'].map(id => item(id));
+
+describe('playlistPlaybackService', () => {
+  describe('createSeededRandom', () => {
+    it('repeats for the same seed and differs between seeds', () => {
+      const first = createSeededRandom('lobby');
+      const second = createSeededRandom('lobby');
+      const other = createSeededRandom('entrance');
+      const a = [first(), first(), first()];
+
+      expect([second(), second(), second()]).toEqual(a);
+      expect([other(), other(), other()]).not.toEqual(a);
+      a.forEach(value => expect(value).toBeGreaterThanOrEqual(0));
+      a.forEach(value => expect(value).toBeLessThan(1));
+    });
+  });
+
+  describe('getPlaybackMode', () => {
+    it('reads player playlists and database rows', () => {
+      expect(getPlaybackMode({ playbackMode: 'weighted' })).toBe(PLAYBACK_MODES.WEIGHTED);
+      expect(getPlaybackMode({ playback_mode: 'shuffle' })).toBe(PLAYBACK_MODES.SHUFFLE);
+    });
+
+    it('falls back to the legacy shuffle flag', () => {
+      expect(getPlaybackMode({ shuffle: true })).toBe(PLAYBACK_MODES.SHUFFLE);
+      expect(getPlaybackMode({ shuffle: false })).toBe(PLAYBACK_MODES.SEQUENTIAL);
+      expect(getPlaybackMode(null)).toBe(PLAYBACK_MODES.SEQUENTIAL);
+    });
+
+    it('seeds with the playlist ID when no seed is set', () => {
+      expect(getPlaybackSeed({ id: 'pl-1' })).toBe('pl-1');
+      expect(getPlaybackSeed({ id: 'pl-1', playbackSeed: 'spring' })).toBe('spring');
+    });
+  });
+
+  describe('orderItems', () => {
+    it('shuffles every item exactly once', () => {
+      const shuffled = orderItems(items, PLAYBACK_MODES.SHUFFLE, createSeededRandom('s'));
+      expect([...ids(shuffled)].sort()).toEqual(ids(items));
+    });
+
+    it('never picks the same item twice in a row when weighted', () => {
+      const weighted = orderItems(
+        [item('a', { weight: 50 }), item('b'), item('c')],
+        PLAYBACK_MODES.WEIGHTED,
+        createSeededRandom('w')
+      );
+
+      expect(weighted).toHaveLength(3);
+      weighted.slice(1).forEach((pick, i) => expect(pick).not.toBe(weighted[i]));
+    });
+  });
+
+  describe('buildPlaybackSequence', () => {
+    const playlist = { id: 'pl-1', playbackMode: 'shuffle' };
+
+    it('plays the same order for the same seed and cycle', () => {
+      const first = buildPlaybackSequence(playlist, items, { cycle: 2 });
+      const second = buildPlaybackSequence({ ...playlist }, items.map(i => ({ ...i })), { cycle: 2 });
+
+      expect(ids(first)).toEqual(ids(second));
+      expect(ids(buildPlaybackSequence(playlist, items, { cycle: 3 }))).not.toEqual(ids(first));
+    });
+
+    it('returns new objects with their position in the sequence', () => {
+      const sequence = buildPlaybackSequence(null, items);
+
+      expect(ids(sequence)).toEqual(ids(items));
+      expect(sequence[0]).not.toBe(items[0]);
+      expect(sequence.map(i => i.sequenceIndex)).toEqual([0, 1, 2, 3, 4, 5]);
+    });
+
+    it('plays heavier items more often when weighted', () => {
+      const weightedItems = [item('promo', { weight: 6 }), item('b'), item('c'), item('d')];
+      const counts = {};
+      for (let cycle = 0; cycle < 200; cycle++) {
+        buildPlaybackSequence({ id: 'pl-w', playbackMode: 'weighted' }, weightedItems, { cycle })
+          .forEach(pick => { counts[pick.id] = (counts[pick.id] || 0) + 1; });
+      }
+
+      expect(counts.promo).toBeGreaterThan(counts.b * 2);
+      expect(counts.b).toBeGreaterThan(0);
+    });
+
+    it('expands nested playlists and passes down their rules and window', () => {
+      const nested = {
+        id: 'pi-nested',
+        type: 'playlist',
+        playlistId: 'pl-ads',
+        triggerRules: [{ id: 'r1' }],
+        validUntil: '2025-06-01T00:00:00.000Z',
+        items: [
+          item('ad-1', { validUntil: '2025-07-01T00:00:00.000Z', triggerRules: [{ id: 'r2' }] }),
+          item('ad-2'),
+        ],
+      };
+      const sequence = buildPlaybackSequence({ id: 'pl-1' }, [item('a'), nested, item('b')]);
+
+      expect(ids(sequence)).toEqual(['a', 'ad-1', 'ad-2', 'b']);
+      expect(sequence[1].sourcePlaylistId).toBe('pl-ads');
+      expect(sequence[1].triggerRules.map(r => r.id)).toEqual(['r1', 'r2']);
+      expect(sequence[1].validUntil).toBe('2025-06-01T00:00:00.000Z');
+      expect(sequence[0].sourcePlaylistId).toBeUndefined();
+    });
+
+    it('interleaves items from another playlist and continues across cycles', () => {
+      const ads = { playlistId: 'pl-ads', every: 3, count: 1, items: [item('ad-1'), item('ad-2'), item('ad-3')] };
+      const host = { id: 'pl-1', interleave: [ads] };
+
+      const first = buildPlaybackSequence(host, items, { cycle: 0 });
+      const second = buildPlaybackSequence(host, items, { cycle: 1 });
+
+      expect(ids(first)).toEqual(['a', 'b', 'c', 'ad-1', 'd', 'e', 'f', 'ad-2']);
+      expect(ids(second)).toEqual(['a', 'b', 'c', 'ad-3', 'd', 'e', 'f', 'ad-1']);
+      expect(first[3].sourcePlaylistId).toBe('pl-ads');
+    });
+
+    it('ignores interleave rules whose playlist is empty', () => {
+      const host = { id: 'pl-1', interleave: [{ playlistId: 'pl-ads', every: 2, count: 1, items: [] }] };
+      expect(ids(buildPlaybackSequence(host, items))).toEqual(ids(items));
+    });
+  });
+
+  describe('isPlaybackDynamic', () => {
+    it('detects orders that change between cycles', () => {
+      expect(isPlaybackDynamic({ id: 'pl-1' }, items)).toBe(false);
+      expect(isPlaybackDynamic({ shuffle: true }, items)).toBe(true);
+      expect(isPlaybackDynamic({ interleave: [{ items: [item('ad')] }] }, items)).toBe(true);
+      expect(isPlaybackDynamic({}, [{ type: 'playlist', playbackMode: 'shuffle', items }])).toBe(true);
+    });
+  });
+
+  describe('normalizeInterleaveRules', () => {
+    it('converts editor values to whole numbers', () => {
+      expect(normalizeInterleaveRules([{ playlistId: 'pl-ads', every: '3', count: '1' }], 'pl-1'))
+        .toEqual([{ playlistId: 'pl-ads', every: 3, count: 1 }]);
+      expect(normalizeInterleaveRules(null)).toEqual([]);
+    });
+
+    it('rejects incomplete and self-referencing rules', () => {
+      expect(() => normalizeInterleaveRules([{ every: 3 }])).toThrow('Interleave rule 1: choose a playlist');
+      expect(() => normalizeInterleaveRules([{ playlistId: 'pl-1', every: 3 }], 'pl-1'))
+        .toThrow('cannot interleave itself');
+      expect(() => normalizeInterleaveRules([{ playlistId: 'pl-ads', every: 1.5 }]))
+        .toThrow('whole numbers');
+    });
+  });
+});
@@ -65,6 +65,7 @@ describe('playlistService', () => {
       expect(typeof playlistService.removePlaylistItem).toBe('function');
       expect(typeof playlistService.reorderPlaylistItems).toBe('function');
       expect(typeof playlistService.updatePlaylistItemDuration).toBe('function');
+      expect(typeof playlistService.updatePlaylistItemWeight).toBe('function');
     });
 
     it('exports usage checking functions', async () => {
@@ -166,6 +167,26 @@ describe('playlistService', () => {
       expect(updateArg).not.toHaveProperty('owner_id');
       expect(updateArg).not.toHaveProperty('malicious_field');
     });
+
+    it('keeps the shuffle flag in sync with the playback mode', async () => {
+      const { supabase } = await import('../../../src/supabase');
+
+      const mockUpdate = vi.fn().mockReturnThis();
+      supabase.from.mockReturnValue({
+        update: mockUpdate,
+        eq: vi.fn().mockReturnThis(),
+        select: vi.fn().mockReturnThis(),
+        single: vi.fn().mockResolvedValue({ data: { id: 'test-id' }, error: null })
+      });
+
+      const { updatePlaylist } = await import('../../../src/services/playlistService');
+
+      await updatePlaylist('test-id', { playback_mode: 'weighted' });
+      expect(mockUpdate.mock.calls[0][0]).toEqual({ playback_mode: 'weighted', shuffle: false });
+
+      await updatePlaylist('test-id', { shuffle: true });
+      expect(mockUpdate.mock.calls[1][0]).toEqual({ shuffle: true, playback_mode: 'shuffle' });
+    });
   });
 });
 
@@ -0,0 +1,280 @@
+/**
+ * Proof of Play Service Unit Tests
+ * Tests for report building, row hashing, verification and CSV/PDF export
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+    auth: { getUser: vi.fn() },
+  },
+}));
+
+vi.mock('../../../src/services/campaignService', () => ({
+  getCampaignStats: vi.fn(),
+}));
+
+import { supabase } from '../../../src/supabase';
+import { getCampaignStats } from '../../../src/services/campaignService';
+import {
+  canonicalizeProofOfPlayRow,
+  hashProofOfPlayRows,
+  verifyProofOfPlayReport,
+  buildProofOfPlayReport,
+} from '../../../src/services/proofOfPlayService';
+import { exportProofOfPlayToCSV, exportProofOfPlayToPDF, createTextPDF } from '../../../src/services/exportService';
+
+const play = (id, startedAt, overrides = {}) => ({
+  id,
+  started_at: startedAt,
+  ended_at: startedAt.replace(':00Z', ':15Z'),
+  duration_seconds: 15,
+  screen_id: 'screen-1',
+  campaign_id: 'camp-1',
+  media_id: 'media-1',
+  tv_devices: { device_name: 'Lobby' },
+  locations: { name: 'Downtown' },
+  campaigns: { name: 'Spring Sale', advertiser: 'Acme' },
+  media_assets: { name: 'Spot 15s' },
+  ...overrides,
+});
+
+function mockTables({ plays = [], campaigns = [], profile = { id: 'user-1', managed_tenant_id: null } } = {}) {
+  const calls = { playback: [] };
+  supabase.from.mockImplementation((table) => {
+    const query = {};
+    const chain = (name) => vi.fn((...args) => {
+      if (table === 'playback_events') calls.playback.push([name, ...args]);
+      return query;
+    });
+    for (const method of ['select', 'gte', 'lt', 'lte', 'order', 'range', 'in', 'not', 'eq']) {
+      query[method] = chain(method);
+    }
+    query.single = vi.fn(async () => ({ data: profile, error: null }));
+    const data = table === 'playback_events' ? plays : campaigns;
+    query.then = (resolve) => resolve({ data, error: null });
+    return query;
+  });
+  return calls;
+}
+
+// What create_proof_of_play_report stores for these plays
+async function mockRegistration(plays, overrides = {}) {
+  const registered = {
+    id: 'report-1',
+    tenant_id: 'tenant-1',
+    campaign_ids: ['camp-1'],
+    row_count: plays.length,
+    hash: await hashProofOfPlayRows(plays),
+    hash_algorithm: 'SHA-256',
+    truncated: false,
+    generated_at: '2026-03-08T12:00:00.000Z',
+    ...overrides,
+  };
+  supabase.rpc.mockImplementation(async (name, params) => {
+    if (name === 'create_proof_of_play_report') return { data: registered, error: null };
+    if (name === 'verify_proof_of_play_report') {
+      return { data: { valid: params.p_report_id === registered.id && params.p_hash === registered.hash }, error: null };
+    }
+    return { data: null, error: null };
+  });
+  return registered;
+}
+
+describe('proofOfPlayService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'user-1' } } });
+    getCampaignStats.mockResolvedValue([
+      { campaign_id: 'camp-1', campaign_name: 'Spring Sale', delivered: 2, goal: 10, delivery_rate: 0.2 },
+      { campaign_id: 'camp-other', campaign_name: 'Other', delivered: 5, goal: null, delivery_rate: null },
+    ]);
+  });
+
+  describe('hashing', () => {
+    const rows = [
+      { id: 'p1', started_at: '2026-03-02T10:00:00Z', ended_at: '2026-03-02T10:00:15Z', duration_seconds: 15, screen_id: 's', campaign_id: 'c', media_id: null },
+      { id: 'p2', started_at: '2026-03-02T11:00:00Z', ended_at: '2026-03-02T11:00:10Z', duration_seconds: 10, screen_id: 's', campaign_id: 'c', media_id: 'm' },
+    ];
+
+    it('serializes rows in a fixed field order', () => {
+      expect(canonicalizeProofOfPlayRow(rows[0]))
+        .toBe('p1|2026-03-02T10:00:00.000Z|2026-03-02T10:00:15.000Z|15|s|c|');
+    });
+
+    it('formats timestamps like the server does', () => {
+      const row = { ...rows[0], started_at: '2026-03-02T12:00:00.123456+02:00' };
+      expect(canonicalizeProofOfPlayRow(row)).toMatch(/^p1\|2026-03-02T10:00:00\.123Z\|/);
+    });
+
+    it('produces a stable SHA-256 hex digest', async () => {
+      const hash = await hashProofOfPlayRows(rows);
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(await hashProofOfPlayRows(rows)).toBe(hash);
+    });
+
+    it('verifies against the stored hash, detecting edited, removed and reordered rows', async () => {
+      await mockRegistration(rows, { id: 'report-1' });
+      const report = { id: 'report-1', rows };
+      expect(await verifyProofOfPlayReport(report)).toBe(true);
+      expect(supabase.rpc).toHaveBeenCalledWith('verify_proof_of_play_report', {
+        p_report_id: 'report-1',
+        p_hash: await hashProofOfPlayRows(rows),
+      });
+
+      expect(await verifyProofOfPlayReport({ ...report, rows: [{ ...rows[0], duration_seconds: 30 }, rows[1]] })).toBe(false);
+      expect(await verifyProofOfPlayReport({ ...report, rows: [rows[0]] })).toBe(false);
+      expect(await verifyProofOfPlayReport({ ...report, rows: [rows[1], rows[0]] })).toBe(false);
+    });
+
+    it('ignores a hash recomputed inside an edited report', async () => {
+      await mockRegistration(rows, { id: 'report-1' });
+      const edited = [{ ...rows[0], duration_seconds: 30 }, rows[1]];
+
+      expect(await verifyProofOfPlayReport({ id: 'report-1', rows: edited, hash: await hashProofOfPlayRows(edited) }))
+        .toBe(false);
+      expect(await verifyProofOfPlayReport({ rows })).toBe(false);
+    });
+  });
+
+  describe('buildProofOfPlayReport', () => {
+    it('lists every play for a campaign with totals and delivery', async () => {
+      const plays = [
+        play('p1', '2026-03-02T10:00:00Z'),
+        play('p2', '2026-03-02T11:00:00Z', { screen_id: 'screen-2', tv_devices: { device_name: 'Window' } }),
+      ];
+      const calls = mockTables({ plays });
+      const registered = await mockRegistration(plays);
+
+      const report = await buildProofOfPlayReport({
+        from: '2026-03-01T00:00:00Z',
+        to: '2026-03-08T00:00:00Z',
+        campaignId: 'camp-1',
+        tenantId: 'tenant-1',
+      });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('create_proof_of_play_report', {
+        p_from: '2026-03-01T00:00:00.000Z',
+        p_to: '2026-03-08T00:00:00.000Z',
+        p_campaign_id: 'camp-1',
+        p_advertiser: null,
+        p_screen_id: null,
+        p_tenant_id: 'tenant-1',
+      });
+      expect(calls.playback).toContainEqual(['eq', 'tenant_id', 'tenant-1']);
+      expect(calls.playback).toContainEqual(['in', 'campaign_id', ['camp-1']]);
+      expect(getCampaignStats).toHaveBeenCalledWith(expect.any(Date), expect.any(Date), 'tenant-1');
+      expect(calls.playback).toContainEqual(['gte', 'started_at', '2026-03-01T00:00:00.000Z']);
+      expect(calls.playback).toContainEqual(['lte', 'created_at', registered.generated_at]);
+      expect(report.id).toBe('report-1');
+      expect(report.hash).toBe(registered.hash);
+      expect(report.rows).toHaveLength(2);
+      expect(report.rows[1]).toMatchObject({ screen_name: 'Window', campaign_name: 'Spring Sale', advertiser: 'Acme' });
+      expect(report.totals).toEqual({ plays: 2, duration_seconds: 30, screens: 2 });
+      expect(report.campaigns).toEqual([
+        { campaign_id: 'camp-1', campaign_name: 'Spring Sale', delivered: 2, goal: 10, delivery_rate: 0.2 },
+      ]);
+      expect(await verifyProofOfPlayReport(report)).toBe(true);
+    });
+
+    it('filters by screen and uses the campaigns the server resolved', async () => {
+      const calls = mockTables({ plays: [] });
+      await mockRegistration([], { campaign_ids: ['camp-1', 'camp-2'] });
+
+      await buildProofOfPlayReport({
+        from: '2026-03-01T00:00:00Z',
+        to: '2026-03-02T00:00:00Z',
+        advertiser: 'Acme',
+        screenId: 'screen-9',
+      });
+
+      expect(calls.playback).toContainEqual(['in', 'campaign_id', ['camp-1', 'camp-2']]);
+      expect(calls.playback).toContainEqual(['eq', 'screen_id', 'screen-9']);
+      expect(supabase.rpc).toHaveBeenCalledWith('create_proof_of_play_report', expect.objectContaining({
+        p_advertiser: 'Acme',
+        p_screen_id: 'screen-9',
+      }));
+    });
+
+    it('reports on the managed client by default', async () => {
+      supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'admin-1' } } });
+      const calls = mockTables({ plays: [], profile: { id: 'admin-1', managed_tenant_id: 'client-1' } });
+      await mockRegistration([], { tenant_id: 'client-1' });
+
+      await buildProofOfPlayReport({ from: '2026-03-01', to: '2026-03-08', campaignId: 'camp-1' });
+
+      expect(supabase.rpc).toHaveBeenCalledWith('create_proof_of_play_report', expect.objectContaining({
+        p_tenant_id: 'client-1',
+      }));
+      expect(calls.playback).toContainEqual(['eq', 'tenant_id', 'client-1']);
+    });
+
+    it('refuses rows that do not match the registered report', async () => {
+      const plays = [play('p1', '2026-03-02T10:00:00Z')];
+      mockTables({ plays });
+      await mockRegistration([...plays, play('p2', '2026-03-02T11:00:00Z')]);
+
+      await expect(buildProofOfPlayReport({ from: '2026-03-01', to: '2026-03-08', campaignId: 'camp-1' }))
+        .rejects.toThrow('do not match the registered report');
+    });
+
+    it('rejects an empty window', async () => {
+      await expect(buildProofOfPlayReport({ from: '2026-03-02', to: '2026-03-01' }))
+        .rejects.toThrow('must end after it starts');
+    });
+  });
+
+  describe('export', () => {
+    let report;
+
+    beforeEach(async () => {
+      const plays = [play('p1', '2026-03-02T10:00:00Z'), play('p2', '2026-03-02T11:00:00Z', { media_assets: { name: 'Spot (15s)' } })];
+      mockTables({ plays });
+      await mockRegistration(plays);
+      report = await buildProofOfPlayReport({ from: '2026-03-01', to: '2026-03-08', campaignId: 'camp-1' });
+    });
+
+    it('writes every play and the row hash to CSV', () => {
+      const csv = exportProofOfPlayToCSV(report);
+      const lines = csv.split('\n');
+
+      expect(lines[0]).toContain('"Play ID","Started At (UTC)"');
+      expect(lines[1]).toContain('"p1","2026-03-02T10:00:00Z","2026-03-02T10:00:15Z","15","screen-1","Lobby"');
+      expect(csv).toContain(`"Rows SHA-256","${report.hash}"`);
+      expect(csv).toContain('"Report ID","report-1"');
+    });
+
+    it('writes a well-formed PDF containing the hash', () => {
+      const pdf = exportProofOfPlayToPDF(report);
+
+      expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+      expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+      expect(pdf).toContain(report.hash);
+      expect(pdf).toContain('Report ID:   report-1');
+      expect(pdf).toContain('Spring Sale');
+      // Parentheses in text are escaped
+      expect(pdf).toContain('Spot \\(15s\\)');
+
+      // xref offsets point at their objects
+      const xrefStart = Number(pdf.match(/startxref\n(\d+)/)[1]);
+      const entries = pdf.slice(xrefStart).split('\n').slice(3).filter(l => l.endsWith(' n '));
+      entries.forEach((entry, i) => {
+        expect(pdf.slice(Number(entry.slice(0, 10)))).toMatch(new RegExp(`^${i + 1} 0 obj`));
+      });
+    });
+
+    it('writes accented and typographic characters in WinAnsiEncoding', () => {
+      const pdf = createTextPDF(['Café Zürich – “Noël” €5', 'Mañana 東京'], { title: 'Señor' });
+
+      expect(pdf).toContain('(Caf\\351 Z\\374rich \\226 \\223No\\353l\\224 \\2005)');
+      expect(pdf).toContain('(Ma\\361ana ??)');
+      expect(pdf).toContain('(Se\\361or)');
+      // Decomposed accents are composed first
+      expect(createTextPDF(['Cafe\u0301'])).toContain('(Caf\\351)');
+      // Every byte stays ASCII so the xref offsets hold
+      expect(/^[\x00-\x7f]*$/.test(pdf)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * REST Data Source Service Unit Tests
+ * Tests for request building, JSON path selection, field mapping and syncing
+ * against a local mock HTTP server
+ */
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+import {
+  REST_AUTH_TYPES,
+  API_KEY_LOCATIONS,
+  parseHeaderLines,
+  buildRestRequest,
+  selectJsonPath,
+  selectRows,
+  mapResponseRows,
+  suggestFieldMappings,
+  fetchRestData,
+  syncDataSourceFromRest,
+} from '../../../src/services/restDataSourceService';
+import { supabase } from '../../../src/supabase';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    rpc: vi.fn(),
+  },
+}));
+
+const MENU = {
+  data: {
+    items: [
+      { id: 1, name: 'Latte', price: { amount: 4.5, currency: 'USD' }, available: true, tags: ['hot'] },
+      { id: 2, name: 'Iced Tea', price: { amount: 3, currency: 'USD' }, available: false, tags: [] },
+    ],
+  },
+};
+
+describe('restDataSourceService', () => {
+  describe('parseHeaderLines', () => {
+    it('reads one header per line and skips malformed lines', () => {
+      expect(parseHeaderLines('X-Store: 12\nAccept-Language:  fr \nnot a header\n: empty')).toEqual({
+        'X-Store': '12',
+        'Accept-Language': 'fr',
+      });
+    });
+  });
+
+  describe('buildRestRequest', () => {
+    it('adds headers and bearer or basic auth', () => {
+      const bearer = buildRestRequest({
+        url: 'https://api.example.com/menu',
+        headers: { 'X-Store': '12' },
+        auth: { type: REST_AUTH_TYPES.BEARER, token: 'abc' },
+      });
+      expect(bearer.options.headers).toEqual({
+        Accept: 'application/json',
+        'X-Store': '12',
+        Authorization: 'Bearer abc',
+      });
+
+      const basic = buildRestRequest({
+        url: 'https://api.example.com/menu',
+        auth: { type: REST_AUTH_TYPES.BASIC, username: 'user', password: 'pass' },
+      });
+      expect(basic.options.headers.Authorization).toBe(`Basic ${btoa('user:pass')}`);
+    });
+
+    it('sends an API key as a header or query parameter', () => {
+      const auth = { type: REST_AUTH_TYPES.API_KEY, keyName: 'api_key', keyValue: 's3cret' };
+      expect(buildRestRequest({ url: 'https://api.example.com/menu?store=1', auth: { ...auth, keyLocation: API_KEY_LOCATIONS.QUERY } }).url)
+        .toBe('https://api.example.com/menu?store=1&api_key=s3cret');
+      expect(buildRestRequest({ url: 'https://api.example.com/menu', auth }).options.headers.api_key).toBe('s3cret');
+    });
+
+    it('rejects missing and non-http URLs', () => {
+      expect(() => buildRestRequest({ url: '' })).toThrow('A valid API URL is required');
+      expect(() => buildRestRequest({ url: 'ftp://example.com/menu' })).toThrow('http or https');
+    });
+  });
+
+  describe('selectJsonPath', () => {
+    it('follows keys, indexes, quoted keys and wildcards', () => {
+      expect(selectJsonPath(MENU, '$.data.items[0].name')).toEqual(['Latte']);
+      expect(selectJsonPath(MENU, 'data.items[*].price.amount')).toEqual([4.5, 3]);
+      expect(selectJsonPath({ 'opening hours': { mon: '9-5' } }, "$['opening hours'].mon")).toEqual(['9-5']);
+      expect(selectJsonPath({ a: { x: 1, y: 2 } }, '$.a.*')).toEqual([1, 2]);
+      expect(selectJsonPath(MENU, '$')).toEqual([MENU]);
+      expect(selectJsonPath(MENU, '$.data.missing')).toEqual([]);
+    });
+
+    it('rejects paths it cannot read', () => {
+      expect(() => selectJsonPath(MENU, '$.data[')).toThrow('Invalid path');
+    });
+  });
+
+  describe('selectRows', () => {
+    it('uses an array match as the row list and wraps a single object', () => {
+      expect(selectRows(MENU, '$.data.items')).toHaveLength(2);
+      expect(selectRows(MENU, '$.data.items[*]')).toHaveLength(2);
+      expect(selectRows({ store: { name: 'Main' } }, '$.store')).toEqual([{ name: 'Main' }]);
+      expect(() => selectRows(MENU, '$.results')).toThrow('No data found at $.results');
+    });
+  });
+
+  describe('mapResponseRows', () => {
+    it('maps nested values to stored strings', () => {
+      const rows = mapResponseRows(MENU.data.items, [
+        { name: 'name', source: 'name' },
+        { name: 'price', source: 'price.amount' },
+        { name: 'tags', source: 'tags' },
+        { name: 'note', source: 'note' },
+      ]);
+
+      expect(rows[0]).toEqual({
+        values: { name: 'Latte', price: '4.5', tags: '["hot"]', note: '' },
+        orderIndex: 0,
+      });
+    });
+  });
+
+  describe('suggestFieldMappings', () => {
+    it('flattens nested objects one level and types JSON values', () => {
+      const mappings = suggestFieldMappings(MENU.data.items);
+      const bySource = Object.fromEntries(mappings.map(m => [m.source, m]));
+
+      expect(mappings.map(m => m.source)).toEqual([
+        'id', 'name', 'price.amount', 'price.currency', 'available', 'tags',
+      ]);
+      expect(bySource['price.amount']).toEqual({
+        name: 'price_amount',
+        label: 'Price Amount',
+        source: 'price.amount',
+        dataType: 'number',
+      });
+      expect(bySource.available.dataType).toBe('boolean');
+      expect(bySource.name.dataType).toBe('text');
+    });
+
+    it('maps lists of plain values to a single field', () => {
+      expect(suggestFieldMappings(['a', 'b'])).toEqual([
+        { name: 'value', label: 'Value', source: '$', dataType: 'text' },
+      ]);
+    });
+  });
+
+  describe('against a local HTTP server', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    let menu;
+
+    beforeAll(async () => {
+      server = createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+
+        if (req.url.startsWith('/private') && req.headers.authorization !== 'Bearer let-me-in') {
+          res.writeHead(401).end();
+          return;
+        }
+        if (req.url.startsWith('/broken')) {
+          res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"data": [');
+          return;
+        }
+        if (req.url.startsWith('/slow')) return; // Never answers
+
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(menu));
+      });
+
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+      menu = MENU;
+      supabase.rpc.mockReset();
+      supabase.rpc.mockResolvedValue({ data: null, error: null });
+    });
+
+    const dataSource = (config, rows = []) => ({
+      id: 'ds-1',
+      name: 'Menu',
+      rows,
+      integration_config: {
+        url: `${baseUrl}/menu`,
+        rowPath: '$.data.items[*]',
+        fieldMappings: [
+          { name: 'item', label: 'Item', source: 'name', dataType: 'text' },
+          { name: 'price', label: 'Price', source: 'price.amount', dataType: 'currency' },
+        ],
+        ...config,
+      },
+    });
+
+    const rpcCalls = name => supabase.rpc.mock.calls.filter(([fn]) => fn === name).map(([, args]) => args);
+
+    it('sends auth and headers and reports rejected credentials', async () => {
+      await expect(fetchRestData({ url: `${baseUrl}/private` })).rejects.toThrow('API rejected the credentials (401)');
+
+      const json = await fetchRestData({
+        url: `${baseUrl}/private`,
+        headers: { 'X-Store': '12' },
+        auth: { type: REST_AUTH_TYPES.BEARER, token: 'let-me-in' },
+      });
+      expect(json).toEqual(MENU);
+      expect(requests[1].headers['x-store']).toBe('12');
+    });
+
+    it('fails on invalid JSON and slow responses', async () => {
+      await expect(fetchRestData({ url: `${baseUrl}/broken` })).rejects.toThrow('not valid JSON');
+      await expect(fetchRestData({ url: `${baseUrl}/slow` }, { timeoutMs: 50 })).rejects.toThrow('timed out');
+    });
+
+    it('syncs mapped rows, logs the sync and broadcasts the update', async () => {
+      const result = await syncDataSourceFromRest(dataSource());
+
+      expect(result).toMatchObject({ success: true, held: false, rowCount: 2 });
+      expect(rpcCalls('record_data_source_sync')).toEqual([expect.objectContaining({
+        p_data_source_id: 'ds-1',
+        p_status: 'ok',
+        p_new_rows: [
+          { values: { item: 'Latte', price: '4.5' } },
+          { values: { item: 'Iced Tea', price: '3' } },
+        ],
+        p_field_definitions: [
+          { name: 'item', label: 'Item', dataType: 'text', orderIndex: 0 },
+          { name: 'price', label: 'Price', dataType: 'currency', orderIndex: 1 },
+        ],
+        p_message: '2 rows added',
+      })]);
+      expect(rpcCalls('record_data_source_sync')[0].p_row_changes).toHaveLength(2);
+      expect(rpcCalls('broadcast_data_source_update')).toEqual([{ p_data_source_id: 'ds-1' }]);
+    });
+
+    it('skips the write when nothing changed', async () => {
+      const existing = [
+        { values: { item: 'Latte', price: '4.5' } },
+        { values: { item: 'Iced Tea', price: '3' } },
+      ];
+
+      const result = await syncDataSourceFromRest(dataSource({}, existing));
+
+      expect(result).toMatchObject({ success: true, message: 'No changes detected' });
+      expect(rpcCalls('record_data_source_sync')).toHaveLength(0);
+      expect(rpcCalls('update_data_source_sync_status')[0].p_status).toBe('no_change');
+    });
+
+    it('holds syncs that would remove most rows', async () => {
+      const existing = ['Latte', 'Iced Tea', 'Mocha', 'Chai', 'Scone'].map(item => ({ values: { item, price: '4' } }));
+
+      const result = await syncDataSourceFromRest(dataSource({}, existing));
+
+      expect(result).toMatchObject({ success: true, held: true });
+      expect(rpcCalls('record_data_source_sync')[0].p_status).toBe('held');
+      expect(rpcCalls('broadcast_data_source_update')).toHaveLength(0);
+    });
+
+    it('detects fields when no mapping is configured', async () => {
+      menu = [{ Dish: 'Soup', Price: '$5.00' }];
+
+      await syncDataSourceFromRest(dataSource({ rowPath: '$', fieldMappings: [] }));
+
+      const [{ p_new_rows, p_field_definitions }] = rpcCalls('record_data_source_sync');
+      expect(p_new_rows).toEqual([{ values: { dish: 'Soup', price: '$5.00' } }]);
+      expect(p_field_definitions.map(f => [f.name, f.dataType])).toEqual([['dish', 'text'], ['price', 'currency']]);
+    });
+
+    it('records failures in the sync log', async () => {
+      const result = await syncDataSourceFromRest(dataSource({ rowPath: '$.results' }));
+
+      expect(result).toEqual({ success: false, message: 'No data found at $.results', changes: null });
+      expect(rpcCalls('update_data_source_sync_status')[0]).toMatchObject({
+        p_status: 'error',
+        p_error: 'No data found at $.results',
+      });
+      expect(rpcCalls('record_data_source_sync')).toHaveLength(0);
+    });
+
+    it('reports sources without a URL', async () => {
+      const result = await syncDataSourceFromRest({ id: 'ds-1', integration_config: {} });
+      expect(result.success).toBe(false);
+      expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * S3 Upload Service Unit Tests
+ * Tests for multipart part planning, per-part retries, resuming, pausing and content hashing
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+// jsdom's Blob has no arrayBuffer()
+import { Blob } from 'node:buffer';
+import {
+  MIN_PART_SIZE,
+  MAX_PARTS,
+  getPartSize,
+  planParts,
+  uploadFileMultipart,
+  uploadFileToS3,
+  loadResumableUpload,
+  listResumableUploads,
+  abortResumableUpload,
+  computeContentHash,
+} from '../../../src/services/s3UploadService';
+
+const MB = 1024 * 1024;
+
+// Stand-in for a File: size is all the upload logic reads
+const fakeFile = (size, name = 'promo.mp4') => ({
+  name,
+  size,
+  type: 'video/mp4',
+  lastModified: 1760000000000,
+  slice: (start, end) => ({ start, end, size: end - start }),
+});
+
+// XMLHttpRequest stand-in; `respond` decides what each PUT returns
+let xhrRequests;
+let respond;
+
+class FakeXHR {
+  constructor() {
+    this.listeners = {};
+    this.upload = { addEventListener: (type, fn) => { this.uploadListeners[type] = fn; } };
+    this.uploadListeners = {};
+    this.headers = {};
+  }
+
+  addEventListener(type, fn) {
+    this.listeners[type] = fn;
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.url = url;
+  }
+
+  setRequestHeader() {}
+
+  getResponseHeader(name) {
+    return this.headers[name] ?? null;
+  }
+
+  abort() {
+    this.listeners.abort?.();
+  }
+
+  send(body) {
+    this.body = body;
+    xhrRequests.push(this);
+    queueMicrotask(() => respond(this));
+  }
+}
+
+const succeed = (xhr) => {
+  xhr.uploadListeners.progress?.({ lengthComputable: true, loaded: xhr.body.size });
+  xhr.status = 200;
+  xhr.headers.ETag = `"etag-${xhr.url.split('part=')[1]}"`;
+  xhr.listeners.load();
+};
+
+// Multipart API stand-in keyed by action
+let apiCalls;
+let api;
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body),
+});
+
+const defaultApi = {
+  create: () => jsonResponse({ uploadId: 'up-1', key: 'media/video/abc.mp4', fileUrl: 'https://cdn/media/video/abc.mp4', mediaType: 'video' }),
+  sign: ({ partNumbers }) => jsonResponse({
+    urls: Object.fromEntries(partNumbers.map((n) => [n, `https://s3/upload?part=${n}`])),
+  }),
+  list: () => jsonResponse({ parts: [] }),
+  complete: () => jsonResponse({ fileUrl: 'https://cdn/media/video/abc.mp4', key: 'media/video/abc.mp4' }),
+  abort: () => jsonResponse({ aborted: true }),
+};
+
+describe('s3UploadService', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    xhrRequests = [];
+    apiCalls = [];
+    respond = succeed;
+    api = { ...defaultApi };
+
+    vi.stubGlobal('XMLHttpRequest', FakeXHR);
+    vi.stubGlobal('fetch', vi.fn(async (url, { body }) => {
+      const { action, ...params } = JSON.parse(body);
+      apiCalls.push({ action, ...params });
+      return api[action](params);
+    }));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  describe('planParts', () => {
+    it('splits a file into ranges with a short last part', () => {
+      expect(planParts(25 * MB, 10 * MB)).toEqual([
+        { partNumber: 1, start: 0, end: 10 * MB },
+        { partNumber: 2, start: 10 * MB, end: 20 * MB },
+        { partNumber: 3, start: 20 * MB, end: 25 * MB },
+      ]);
+    });
+
+    it('keeps parts within S3 limits', () => {
+      expect(getPartSize(10 * MB, MB)).toBe(MIN_PART_SIZE);
+
+      const huge = 500 * 1024 * MB;
+      const partSize = getPartSize(huge);
+      expect(planParts(huge, partSize).length).toBeLessThanOrEqual(MAX_PARTS);
+    });
+  });
+
+  describe('uploadFileMultipart', () => {
+    it('uploads every part and completes with their ETags', async () => {
+      const onProgress = vi.fn();
+      const file = fakeFile(12 * MB);
+
+      const result = await uploadFileMultipart(file, { folder: 'media', partSize: 5 * MB, onProgress });
+
+      expect(xhrRequests).toHaveLength(3);
+      expect(apiCalls.find((call) => call.action === 'complete').parts).toEqual([
+        { partNumber: 1, etag: '"etag-1"' },
+        { partNumber: 2, etag: '"etag-2"' },
+        { partNumber: 3, etag: '"etag-3"' },
+      ]);
+      expect(result).toMatchObject({ url: 'https://cdn/media/video/abc.mp4', key: 'media/video/abc.mp4', mediaType: 'video' });
+      expect(onProgress).toHaveBeenLastCalledWith(100);
+      expect(loadResumableUpload(file, 'media')).toBeNull();
+    });
+
+    it('retries a failed part with a freshly signed URL', async () => {
+      vi.useFakeTimers();
+      let failures = 0;
+      respond = (xhr) => {
+        if (xhr.url.endsWith('part=2') && failures++ === 0) {
+          xhr.listeners.error();
+        } else {
+          succeed(xhr);
+        }
+      };
+
+      const upload = uploadFileMultipart(fakeFile(12 * MB), { partSize: 5 * MB });
+      await vi.runAllTimersAsync();
+      await upload;
+
+      expect(xhrRequests.filter((xhr) => xhr.url.endsWith('part=2'))).toHaveLength(2);
+      expect(apiCalls.filter((call) => call.action === 'sign').at(-1).partNumbers).toEqual([2]);
+      expect(apiCalls.at(-1).action).toBe('complete');
+    });
+
+    it('gives up on a part after the retry limit and keeps the saved progress', async () => {
+      respond = (xhr) => (xhr.url.endsWith('part=3') ? xhr.listeners.error() : succeed(xhr));
+      const file = fakeFile(12 * MB);
+
+      await expect(uploadFileMultipart(file, { partSize: 5 * MB, maxRetries: 0 })).rejects.toThrow('Part upload failed');
+
+      expect(apiCalls.some((call) => call.action === 'complete')).toBe(false);
+      expect(loadResumableUpload(file, 'uploads').parts.map((part) => part.partNumber).sort()).toEqual([1, 2]);
+    });
+
+    it('pauses on abort and resumes with only the missing parts', async () => {
+      const file = fakeFile(12 * MB);
+      const controller = new AbortController();
+      respond = (xhr) => {
+        if (xhr.url.endsWith('part=2')) {
+          controller.abort();
+        } else {
+          succeed(xhr);
+        }
+      };
+
+      const paused = uploadFileMultipart(file, { partSize: 5 * MB, concurrency: 1, signal: controller.signal });
+      await expect(paused).rejects.toMatchObject({ name: 'AbortError' });
+      expect(listResumableUploads()).toEqual([
+        expect.objectContaining({ filename: 'promo.mp4', size: 12 * MB, uploadedBytes: 5 * MB }),
+      ]);
+
+      // After a reload S3 reports which parts it has
+      api.list = () => jsonResponse({ parts: [{ partNumber: 1, etag: '"etag-1"', size: 5 * MB }] });
+      respond = succeed;
+      xhrRequests = [];
+
+      await uploadFileMultipart(file, { partSize: 5 * MB });
+
+      expect(apiCalls.filter((call) => call.action === 'create')).toHaveLength(1);
+      expect(xhrRequests.map((xhr) => xhr.url)).toEqual(['https://s3/upload?part=2', 'https://s3/upload?part=3']);
+      expect(apiCalls.at(-1).parts.map((part) => part.partNumber)).toEqual([1, 2, 3]);
+      expect(listResumableUploads()).toEqual([]);
+    });
+
+    it('keeps the content hash with the saved progress', async () => {
+      const file = fakeFile(12 * MB);
+      respond = (xhr) => (xhr.url.endsWith('part=3') ? xhr.listeners.error() : succeed(xhr));
+
+      await expect(uploadFileMultipart(file, { partSize: 5 * MB, maxRetries: 0, contentHash: 'sha256:abc' }))
+        .rejects.toThrow();
+
+      expect(loadResumableUpload(file).contentHash).toBe('sha256:abc');
+    });
+
+    it('starts over when S3 no longer has the saved upload', async () => {
+      const file = fakeFile(6 * MB);
+      localStorage.setItem('bizscreen:s3-multipart:' + ['uploads', file.name, file.size, file.lastModified].join(':'), JSON.stringify({
+        uploadId: 'expired', key: 'old', fileUrl: 'old', mediaType: 'video', partSize: 5 * MB,
+        filename: file.name, size: file.size, folder: 'uploads', startedAt: Date.now(), parts: [],
+      }));
+      api.list = () => jsonResponse({ error: 'Upload not found', code: 'NoSuchUpload' }, 404);
+
+      await uploadFileMultipart(file, { partSize: 5 * MB });
+
+      expect(apiCalls.map((call) => call.action)).toEqual(['list', 'create', 'sign', 'complete']);
+      expect(apiCalls.at(-1).uploadId).toBe('up-1');
+    });
+  });
+
+  describe('abortResumableUpload', () => {
+    it('discards the parts and the saved progress', async () => {
+      const file = fakeFile(12 * MB);
+      respond = (xhr) => xhr.listeners.error();
+      await expect(uploadFileMultipart(file, { partSize: 5 * MB, maxRetries: 0 })).rejects.toThrow();
+
+      expect(await abortResumableUpload(file)).toBe(true);
+      expect(apiCalls.at(-1)).toEqual({ action: 'abort', key: 'media/video/abc.mp4', uploadId: 'up-1' });
+      expect(loadResumableUpload(file)).toBeNull();
+      expect(await abortResumableUpload(file)).toBe(false);
+    });
+  });
+
+  describe('computeContentHash', () => {
+    it('hashes small files whole so identical content matches', async () => {
+      const hash = await computeContentHash(new Blob(['same logo']));
+
+      expect(hash).toMatch(/^sha256:[0-9a-f]{64}$/);
+      expect(await computeContentHash(new Blob(['same logo']))).toBe(hash);
+      expect(await computeContentHash(new Blob(['other logo']))).not.toBe(hash);
+    });
+
+    it('hashes large files in full, a chunk at a time', async () => {
+      const bytes = new Uint8Array(20 * MB);
+      bytes[10 * MB + 123] = 1;
+      const blob = new Blob([bytes]);
+      const slices = [];
+      const file = {
+        size: blob.size,
+        slice: (start, end) => {
+          slices.push(end - start);
+          return blob.slice(start, end);
+        },
+      };
+
+      const expected = await crypto.subtle.digest('SHA-256', bytes);
+      const hex = Array.from(new Uint8Array(expected), b => b.toString(16).padStart(2, '0')).join('');
+
+      expect(await computeContentHash(file)).toBe(`sha256:${hex}`);
+      expect(slices.length).toBeGreaterThan(1);
+      expect(Math.max(...slices)).toBeLessThan(blob.size);
+      // A single changed byte anywhere in the file changes the hash
+      expect(await computeContentHash(new Blob([new Uint8Array(20 * MB)]))).not.toBe(`sha256:${hex}`);
+    });
+
+    it('reports progress and stops when aborted', async () => {
+      const onProgress = vi.fn();
+      await computeContentHash(new Blob([new Uint8Array(20 * MB)]), { onProgress });
+      expect(onProgress.mock.calls.map(([progress]) => progress)).toEqual([40, 80, 100]);
+
+      const controller = new AbortController();
+      const hashing = computeContentHash(new Blob([new Uint8Array(20 * MB)]), {
+        signal: controller.signal,
+        onProgress: () => controller.abort(),
+      });
+      await expect(hashing).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('hashes in a worker where workers are available', async () => {
+      const workers = [];
+      class FakeWorker {
+        constructor() {
+          this.terminate = vi.fn();
+          workers.push(this);
+        }
+
+        postMessage({ file }) {
+          this.file = file;
+        }
+      }
+      vi.stubGlobal('Worker', FakeWorker);
+      const file = new Blob(['logo']);
+      const onProgress = vi.fn();
+
+      const hashing = computeContentHash(file, { onProgress });
+      const [worker] = workers;
+      expect(worker.file).toBe(file);
+      worker.onmessage({ data: { type: 'progress', progress: 50 } });
+      worker.onmessage({ data: { type: 'done', hash: 'sha256:abc' } });
+
+      expect(await hashing).toBe('sha256:abc');
+      expect(onProgress).toHaveBeenCalledWith(50);
+      expect(worker.terminate).toHaveBeenCalled();
+
+      // Aborting stops the worker
+      const controller = new AbortController();
+      const aborted = computeContentHash(file, { signal: controller.signal });
+      controller.abort();
+      await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+      expect(workers[1].terminate).toHaveBeenCalled();
+    });
+  });
+
+  describe('uploadFileToS3', () => {
+    it('sends large files through the multipart upload', async () => {
+      await uploadFileToS3(fakeFile(12 * MB), { multipart: true });
+      expect(apiCalls[0].action).toBe('create');
+    });
+  });
+});
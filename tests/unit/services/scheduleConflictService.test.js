@@ -0,0 +1,371 @@
+/**
+ * Schedule Conflict Service Unit Tests
+ * Tests for interval expansion, overlap detection and winner selection
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/services/scheduleService', () => ({
+  fetchScheduleWithEntries: vi.fn(),
+  getDevicesWithSchedule: vi.fn(),
+  getGroupsWithSchedule: vi.fn(),
+}));
+
+vi.mock('../../../src/services/alertEngineService', () => ({
+  raiseScheduleConflictAlert: vi.fn().mockResolvedValue({ alertId: 'alert-1', isNew: true }),
+  autoResolveAlert: vi.fn().mockResolvedValue(0),
+  ALERT_TYPES: { SCHEDULE_CONFLICT: 'schedule_conflict' },
+}));
+
+import {
+  CONFLICT_SEVERITY,
+  expandEntryIntervals,
+  analyzeScheduleConflicts,
+  checkEntryConflicts,
+  checkPublishedScheduleConflicts,
+  refreshScheduleConflictAlerts,
+  compareEntryPrecedence,
+  getEntryTargetKey,
+  timeToMinutes,
+} from '../../../src/services/scheduleConflictService';
+import { getSunTimes } from '../../../src/services/solarService';
+import {
+  fetchScheduleWithEntries,
+  getDevicesWithSchedule,
+  getGroupsWithSchedule,
+} from '../../../src/services/scheduleService';
+import { raiseScheduleConflictAlert, autoResolveAlert } from '../../../src/services/alertEngineService';
+
+const entry = (overrides = {}) => ({
+  id: 'entry-1',
+  target_type: 'playlist',
+  start_time: '09:00',
+  end_time: '17:00',
+  days_of_week: [0, 1, 2, 3, 4, 5, 6],
+  priority: 0,
+  is_active: true,
+  repeat_type: 'daily',
+  repeat_config: {},
+  start_date: '2026-01-05', // Monday
+  ...overrides,
+});
+
+describe('scheduleConflictService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('expandEntryIntervals', () => {
+    it('expands a daily entry into one interval per day', () => {
+      const intervals = expandEntryIntervals(entry(), { from: '2026-01-05', to: '2026-01-07' });
+      expect(intervals).toHaveLength(3);
+      expect(intervals[0]).toMatchObject({ date: '2026-01-05', start: 540, end: 1020 });
+      expect(intervals[2].date).toBe('2026-01-07');
+    });
+
+    it('extends overnight entries into the next day', () => {
+      const intervals = expandEntryIntervals(
+        entry({ start_time: '22:00', end_time: '02:00' }),
+        { from: '2026-01-05', to: '2026-01-05' }
+      );
+      expect(intervals[0]).toMatchObject({ start: 22 * 60, end: 26 * 60 });
+    });
+
+    it('only repeats weekday entries Monday to Friday', () => {
+      const intervals = expandEntryIntervals(
+        entry({ repeat_type: 'weekday' }),
+        { from: '2026-01-05', to: '2026-01-11' }
+      );
+      expect(intervals.map(i => i.date)).toEqual([
+        '2026-01-05', '2026-01-06', '2026-01-07', '2026-01-08', '2026-01-09',
+      ]);
+    });
+
+    it('honours repeat_until_count', () => {
+      const intervals = expandEntryIntervals(
+        entry({ repeat_config: { repeat_until: 'count', repeat_until_count: 2 } }),
+        { from: '2026-01-05', to: '2026-01-10' }
+      );
+      expect(intervals).toHaveLength(2);
+    });
+
+    it('honours repeat_until_date', () => {
+      const intervals = expandEntryIntervals(
+        entry({ repeat_config: { repeat_until: 'date', repeat_until_date: '2026-01-06' } }),
+        { from: '2026-01-05', to: '2026-01-10' }
+      );
+      expect(intervals.map(i => i.date)).toEqual(['2026-01-05', '2026-01-06']);
+    });
+
+    it('expands custom repeats every N weeks', () => {
+      const intervals = expandEntryIntervals(
+        entry({ repeat_type: 'custom', repeat_config: { repeat_every: 2, repeat_unit: 'week' } }),
+        { from: '2026-01-05', to: '2026-02-01' }
+      );
+      expect(intervals.map(i => i.date)).toEqual(['2026-01-05', '2026-01-19']);
+    });
+
+    it('treats non-repeating entries as a single occurrence', () => {
+      const intervals = expandEntryIntervals(
+        entry({ repeat_type: 'none', end_date: '2026-01-05' }),
+        { from: '2026-01-01', to: '2026-01-31' }
+      );
+      expect(intervals).toHaveLength(1);
+      expect(intervals[0].date).toBe('2026-01-05');
+    });
+
+    it('keeps legacy days_of_week entries recurring within their date window', () => {
+      const intervals = expandEntryIntervals(
+        entry({ repeat_type: 'none', days_of_week: [1, 3], start_date: '2026-01-01', end_date: '2026-01-10' }),
+        { from: '2026-01-01', to: '2026-01-31' }
+      );
+      expect(intervals.map(i => i.date)).toEqual(['2026-01-05', '2026-01-07']);
+    });
+
+    it('returns nothing for inactive entries', () => {
+      expect(expandEntryIntervals(entry({ is_active: false }), { from: '2026-01-05', to: '2026-01-05' })).toEqual([]);
+    });
+  });
+
+  describe('compareEntryPrecedence', () => {
+    it('prefers higher priority, then newer entries, then lower ids', () => {
+      expect(compareEntryPrecedence({ id: 'a', priority: 1 }, { id: 'b', priority: 5 })).toBeGreaterThan(0);
+      expect(compareEntryPrecedence(
+        { id: 'a', priority: 1, created_at: '2026-01-01T00:00:00Z' },
+        { id: 'b', priority: 1, created_at: '2026-02-01T00:00:00Z' }
+      )).toBeGreaterThan(0);
+      expect(compareEntryPrecedence({ id: 'a', priority: 1 }, { id: 'b', priority: 1 })).toBeLessThan(0);
+    });
+  });
+
+  describe('getEntryTargetKey', () => {
+    it('keys screen and group targets, everything else applies to all', () => {
+      expect(getEntryTargetKey({ target_type: 'screen', target_id: 's1' })).toBe('screen:s1');
+      expect(getEntryTargetKey({ target_type: 'screen_group', target_id: 'g1' })).toBe('screen_group:g1');
+      expect(getEntryTargetKey({ target_type: 'playlist', target_id: 'p1' })).toBe('all');
+    });
+  });
+
+  describe('analyzeScheduleConflicts', () => {
+    it('reports same-priority overlaps as blocking with a deterministic winner', () => {
+      const result = analyzeScheduleConflicts([
+        entry({ id: 'b', start_time: '12:00', end_time: '18:00' }),
+        entry({ id: 'a' }),
+      ], { from: '2026-01-05', days: 1 });
+
+      expect(result.conflicts).toHaveLength(1);
+      expect(result.hasBlocking).toBe(true);
+      expect(result.conflicts[0]).toMatchObject({
+        severity: CONFLICT_SEVERITY.BLOCKING,
+        winnerId: 'a',
+        loserId: 'b',
+        totalMinutes: 300,
+      });
+      expect(result.conflicts[0].overlaps[0]).toMatchObject({
+        date: '2026-01-05',
+        start_time: '12:00',
+        end_time: '17:00',
+      });
+    });
+
+    it('reports different-priority overlaps as warnings won by the higher priority', () => {
+      const result = analyzeScheduleConflicts([
+        entry({ id: 'a', priority: 0 }),
+        entry({ id: 'b', priority: 10, start_time: '10:00', end_time: '11:00' }),
+      ], { from: '2026-01-05', days: 1 });
+
+      expect(result.hasBlocking).toBe(false);
+      expect(result.conflicts[0]).toMatchObject({ severity: CONFLICT_SEVERITY.WARNING, winnerId: 'b' });
+    });
+
+    it('ignores entries that only touch end to start', () => {
+      const result = analyzeScheduleConflicts([
+        entry({ id: 'a', start_time: '09:00', end_time: '12:00' }),
+        entry({ id: 'b', start_time: '12:00', end_time: '15:00' }),
+      ], { from: '2026-01-05', days: 3 });
+      expect(result.conflicts).toHaveLength(0);
+    });
+
+    it('does not flag entries for different screens', () => {
+      const result = analyzeScheduleConflicts([
+        entry({ id: 'a', target_type: 'screen', target_id: 's1' }),
+        entry({ id: 'b', target_type: 'screen', target_id: 's2' }),
+      ], { from: '2026-01-05', days: 1 });
+      expect(result.conflicts).toHaveLength(0);
+    });
+
+    it('groups conflicts by target', () => {
+      const result = analyzeScheduleConflicts([
+        entry({ id: 'a' }),
+        entry({ id: 'b', target_type: 'screen', target_id: 's1' }),
+      ], { from: '2026-01-05', days: 1 });
+      expect(Object.keys(result.byTarget)).toEqual(['screen:s1']);
+    });
+
+    it('detects overnight overlaps spilling into the next day', () => {
+      const result = analyzeScheduleConflicts([
+        entry({ id: 'a', start_time: '22:00', end_time: '02:00', repeat_type: 'none', start_date: '2026-01-05' }),
+        entry({ id: 'b', start_time: '01:00', end_time: '03:00', repeat_type: 'none', start_date: '2026-01-06' }),
+      ], { from: '2026-01-05', days: 2 });
+      expect(result.conflicts[0].overlaps[0]).toMatchObject({ date: '2026-01-06', start_time: '01:00', end_time: '02:00' });
+    });
+
+    describe('sunrise/sunset entries', () => {
+      // Sunset is around 16:05 in London in early January
+      const london = { latitude: 51.5074, longitude: -0.1278, timezone: 'Europe/London' };
+      const entries = [
+        entry({ id: 'a', start_anchor: 'sunset', start_time: '20:00', end_time: '23:00' }),
+        entry({ id: 'b', start_time: '16:30', end_time: '17:30' }),
+      ];
+
+      it('resolves solar anchors at the given location', () => {
+        const [interval] = expandEntryIntervals(entries[0], { from: '2026-01-05', to: '2026-01-05', location: london });
+        const sunset = getSunTimes('2026-01-05', london).sunset;
+        expect(interval.start).toBe(timeToMinutes(sunset));
+        expect(interval.end).toBe(23 * 60);
+
+        const result = analyzeScheduleConflicts(entries, { from: '2026-01-05', days: 1, location: london });
+        expect(result.conflicts).toHaveLength(1);
+        expect(result.conflicts[0]).toMatchObject({ solarFallback: false });
+        expect(result.solarFallbackEntryIds).toEqual([]);
+      });
+
+      it('uses fallback times without a location and says so', () => {
+        const result = analyzeScheduleConflicts(entries, { from: '2026-01-05', days: 1 });
+        expect(result.conflicts).toHaveLength(0);
+        expect(result.solarFallbackEntryIds).toEqual(['a']);
+
+        const overlapping = analyzeScheduleConflicts(
+          [entries[0], entry({ id: 'c', start_time: '21:00', end_time: '22:00' })],
+          { from: '2026-01-05', days: 1 }
+        );
+        expect(overlapping.conflicts[0].solarFallback).toBe(true);
+      });
+    });
+  });
+
+  describe('checkEntryConflicts', () => {
+    it('only returns conflicts involving the candidate entry', () => {
+      const existing = [
+        entry({ id: 'a' }),
+        entry({ id: 'b', priority: 5 }),
+      ];
+      const { blocking, warnings } = checkEntryConflicts(
+        existing,
+        entry({ id: undefined, start_time: '08:00', end_time: '10:00' }),
+        { days: 1 }
+      );
+      expect(blocking).toHaveLength(1);
+      expect(warnings).toHaveLength(1);
+    });
+
+    it('excludes the saved version of the entry being edited', () => {
+      const existing = [entry({ id: 'a' })];
+      const { blocking, warnings } = checkEntryConflicts(existing, entry({ id: 'a', start_time: '10:00' }), { days: 1 });
+      expect(blocking).toHaveLength(0);
+      expect(warnings).toHaveLength(0);
+    });
+
+    it('checks an entry that already started from today', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-03-10T08:00:00Z'));
+      try {
+        // Only overlaps on the day after "today"; it started two months earlier
+        const existing = [entry({ id: 'a', repeat_type: 'none', start_date: '2026-03-11' })];
+        const { blocking } = checkEntryConflicts(existing, entry({ id: undefined, start_date: '2026-01-05' }), { days: 2 });
+        expect(blocking).toHaveLength(1);
+        expect(blocking[0].overlaps[0].date).toBe('2026-03-11');
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('refreshScheduleConflictAlerts', () => {
+    it('re-checks the schedules before and after an assignment, once each', async () => {
+      fetchScheduleWithEntries.mockResolvedValue({ id: 'sched-1', name: 'Main', owner_id: 'tenant-1', schedule_entries: [] });
+      getDevicesWithSchedule.mockResolvedValue([]);
+      getGroupsWithSchedule.mockResolvedValue([]);
+
+      await refreshScheduleConflictAlerts('sched-1', 'sched-2', 'sched-2', null);
+
+      expect(fetchScheduleWithEntries).toHaveBeenCalledTimes(2);
+      expect(fetchScheduleWithEntries).toHaveBeenCalledWith('sched-1');
+      expect(fetchScheduleWithEntries).toHaveBeenCalledWith('sched-2');
+    });
+
+    it('does not throw when a check fails', async () => {
+      fetchScheduleWithEntries.mockRejectedValue(new Error('offline'));
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(refreshScheduleConflictAlerts('sched-1')).resolves.toBeUndefined();
+      expect(consoleError).toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('checkPublishedScheduleConflicts', () => {
+    const schedule = {
+      id: 'sched-1',
+      name: 'Main',
+      owner_id: 'tenant-1',
+      schedule_entries: [entry({ id: 'a' }), entry({ id: 'b' })],
+    };
+
+    it('raises the conflict alert for published schedules', async () => {
+      fetchScheduleWithEntries.mockResolvedValue(schedule);
+      getDevicesWithSchedule.mockResolvedValue([{ id: 'd1', device_name: 'Lobby' }]);
+      getGroupsWithSchedule.mockResolvedValue([]);
+
+      const result = await checkPublishedScheduleConflicts('sched-1', { from: '2026-01-05', days: 1 });
+
+      expect(result.published).toBe(true);
+      expect(raiseScheduleConflictAlert).toHaveBeenCalledWith(
+        schedule,
+        expect.arrayContaining([expect.objectContaining({ winnerId: 'a' })]),
+        [{ type: 'screen', id: 'd1', name: 'Lobby' }]
+      );
+    });
+
+    it('checks solar entries at the published screens\' coordinates', async () => {
+      const solarSchedule = {
+        ...schedule,
+        schedule_entries: [
+          entry({ id: 'a', start_anchor: 'sunset', start_time: '20:00', end_time: '23:00' }),
+          entry({ id: 'b', start_time: '16:30', end_time: '17:30' }),
+        ],
+      };
+      fetchScheduleWithEntries.mockResolvedValue(solarSchedule);
+      getDevicesWithSchedule.mockResolvedValue([]);
+      getGroupsWithSchedule.mockResolvedValue([{
+        id: 'g1',
+        name: 'UK',
+        screens: [{ id: 'd2', timezone: 'Europe/London', latitude: null, longitude: null, location: { latitude: 51.5074, longitude: -0.1278 } }],
+      }]);
+
+      const result = await checkPublishedScheduleConflicts('sched-1', { from: '2026-01-05', days: 1 });
+
+      expect(result.hasBlocking).toBe(true);
+      expect(raiseScheduleConflictAlert).toHaveBeenCalledWith(
+        solarSchedule,
+        [expect.objectContaining({ entryIds: ['a', 'b'], solarFallback: false })],
+        [{ type: 'screen_group', id: 'g1', name: 'UK' }]
+      );
+    });
+
+    it('does not alert for unpublished schedules', async () => {
+      fetchScheduleWithEntries.mockResolvedValue(schedule);
+      getDevicesWithSchedule.mockResolvedValue([]);
+      getGroupsWithSchedule.mockResolvedValue([]);
+
+      const result = await checkPublishedScheduleConflicts('sched-1', { from: '2026-01-05', days: 1 });
+
+      expect(result.published).toBe(false);
+      expect(raiseScheduleConflictAlert).not.toHaveBeenCalled();
+      expect(autoResolveAlert).toHaveBeenCalledWith(expect.objectContaining({ scheduleId: 'sched-1' }));
+    });
+
+    it('requires a schedule id', async () => {
+      await expect(checkPublishedScheduleConflicts()).rejects.toThrow('Schedule ID is required');
+    });
+  });
+});
@@ -27,11 +27,16 @@ vi.mock('../../../src/supabase', () => ({
       eq: vi.fn().mockReturnThis(),
       in: vi.fn().mockReturnThis(),
       order: vi.fn().mockReturnThis(),
-      single: vi.fn().mockResolvedValue({ data: {}, error: null }),
+      single: vi.fn().mockResolvedValue({ data: { assigned_schedule_id: 'schedule-old' }, error: null }),
     })),
+    rpc: vi.fn().mockResolvedValue({ data: { success: true }, error: null }),
   },
 }));
 
+vi.mock('../../../src/services/scheduleConflictService', () => ({
+  refreshScheduleConflictAlerts: vi.fn().mockResolvedValue(undefined),
+}));
+
 // Mock activity log service
 vi.mock('../../../src/services/activityLogService', () => ({
   logActivity: vi.fn(),
@@ -230,6 +235,15 @@ describe('Scene scheduling validation', () => {
       .rejects.toThrow('Device ID is required');
   });
 
+  it('re-checks conflict alerts for the schedules a device moved between', async () => {
+    const { assignScheduleToDevice } = await import('../../../src/services/scheduleService');
+    const { refreshScheduleConflictAlerts } = await import('../../../src/services/scheduleConflictService');
+
+    await assignScheduleToDevice('device-1', 'schedule-new');
+
+    expect(refreshScheduleConflictAlerts).toHaveBeenCalledWith('schedule-old', 'schedule-new');
+  });
+
   it('assignScheduleToGroup validates group ID', async () => {
     const { assignScheduleToGroup } = await import('../../../src/services/scheduleService');
 
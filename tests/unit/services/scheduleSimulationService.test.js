@@ -0,0 +1,405 @@
+/**
+ * Schedule Simulation Service Unit Tests
+ * Tests for minute-resolution timeline building and source precedence
+ */
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/scheduleService', () => ({
+  fetchScheduleWithEntries: vi.fn(),
+}));
+
+import {
+  TIMELINE_SOURCES,
+  buildScreenTimeline,
+  findTimelineSegment,
+  toRangeMinutes,
+  simulateScreenTimeline,
+  loadScreenSimulationContext,
+} from '../../../src/services/scheduleSimulationService';
+import { supabase } from '../../../src/supabase';
+
+const names = {
+  scene: {
+    'scene-1': { id: 'scene-1', name: 'Lunch Scene', is_active: true, primary_playlist_id: 'p' },
+    'scene-off': { id: 'scene-off', name: 'Old Scene', is_active: false, primary_playlist_id: 'p' },
+    'scene-group': { id: 'scene-group', name: 'Group Scene', is_active: true, layout_id: 'l' },
+  },
+  playlist: {
+    'playlist-fallback': { id: 'playlist-fallback', name: 'Fallback Loop' },
+    'playlist-morning': { id: 'playlist-morning', name: 'Morning Loop' },
+    'playlist-promo': { id: 'playlist-promo', name: 'Promo' },
+  },
+  layout: {},
+  media: {},
+};
+
+const baseContext = (overrides = {}) => ({
+  screen: {
+    id: 'screen-1',
+    device_name: 'Lobby',
+    timezone: 'UTC',
+    assigned_playlist_id: 'playlist-fallback',
+    assigned_schedule_id: 'sched-1',
+  },
+  group: null,
+  schedule: {
+    id: 'sched-1',
+    name: 'Weekdays',
+    is_active: true,
+    entries: [
+      {
+        id: 'entry-morning',
+        content_type: 'playlist',
+        content_id: 'playlist-morning',
+        start_time: '09:00',
+        end_time: '12:00',
+        repeat_type: 'weekday',
+        start_date: '2026-01-05',
+        priority: 0,
+      },
+      {
+        id: 'entry-lunch',
+        content_type: 'scene',
+        content_id: 'scene-1',
+        start_time: '11:00',
+        end_time: '14:00',
+        repeat_type: 'daily',
+        start_date: '2026-01-05',
+        priority: 0,
+      },
+    ],
+  },
+  exceptionsByDate: {},
+  campaigns: [],
+  names,
+  ...overrides,
+});
+
+describe('scheduleSimulationService', () => {
+  describe('buildScreenTimeline', () => {
+    it('produces per-day segments covering every minute', () => {
+      const timeline = buildScreenTimeline(baseContext(), { from: '2026-01-05', days: 7 });
+
+      expect(timeline.to).toBe('2026-01-11');
+      const total = timeline.segments.reduce((sum, s) => sum + (s.end - s.start), 0);
+      expect(total).toBe(7 * 24 * 60);
+      expect(Object.values(timeline.summary).reduce((a, b) => a + b, 0)).toBe(7 * 24 * 60);
+      expect(new Set(timeline.segments.map(s => s.date)).size).toBe(7);
+    });
+
+    it('ranks scheduled scenes above other schedule entries and fallbacks', () => {
+      const timeline = buildScreenTimeline(baseContext(), { from: '2026-01-05', days: 1 });
+
+      expect(findTimelineSegment(timeline, '2026-01-05', '08:00')).toMatchObject({
+        source: TIMELINE_SOURCES.ASSIGNED_PLAYLIST,
+        contentName: 'Fallback Loop',
+      });
+      expect(findTimelineSegment(timeline, '2026-01-05', '10:00')).toMatchObject({
+        source: TIMELINE_SOURCES.LEGACY_SCHEDULE,
+        contentName: 'Morning Loop',
+      });
+
+      const lunch = findTimelineSegment(timeline, '2026-01-05', '11:30');
+      expect(lunch).toMatchObject({
+        source: TIMELINE_SOURCES.SCHEDULE,
+        contentName: 'Lunch Scene',
+        startTime: '11:00',
+        endTime: '12:00',
+      });
+      expect(lunch.shadowed.map(s => s.source)).toEqual([
+        TIMELINE_SOURCES.LEGACY_SCHEDULE,
+        TIMELINE_SOURCES.ASSIGNED_PLAYLIST,
+      ]);
+    });
+
+    it('skips weekday entries on weekends', () => {
+      const timeline = buildScreenTimeline(baseContext(), { from: '2026-01-10', days: 1 });
+      expect(findTimelineSegment(timeline, '2026-01-10', '10:00').source).toBe(TIMELINE_SOURCES.ASSIGNED_PLAYLIST);
+    });
+
+    it('lets campaigns override the schedule only while they run', () => {
+      const timeline = buildScreenTimeline(baseContext({
+        campaigns: [{
+          id: 'camp-1',
+          name: 'Friday Promo',
+          priority: 100,
+          effective_target: 'screen',
+          start_at: '2026-01-09T15:00:00Z',
+          end_at: '2026-01-09T16:00:00Z',
+          contents: [{ content_type: 'playlist', content_id: 'playlist-promo', position: 0 }],
+        }],
+      }), { from: '2026-01-05', days: 7 });
+
+      expect(findTimelineSegment(timeline, '2026-01-09', '15:30')).toMatchObject({
+        source: TIMELINE_SOURCES.CAMPAIGN,
+        contentName: 'Promo',
+        refName: 'Friday Promo',
+      });
+      expect(findTimelineSegment(timeline, '2026-01-09', '16:00').source).toBe(TIMELINE_SOURCES.ASSIGNED_PLAYLIST);
+    });
+
+    it('prefers the more specific campaign target over higher priority', () => {
+      const timeline = buildScreenTimeline(baseContext({
+        campaigns: [
+          { id: 'all', name: 'Everywhere', priority: 200, effective_target: 'all', contents: [{ content_type: 'playlist', content_id: 'playlist-morning' }] },
+          { id: 'screen', name: 'Lobby only', priority: 50, effective_target: 'screen', contents: [{ content_type: 'playlist', content_id: 'playlist-promo' }] },
+        ],
+      }), { from: '2026-01-05', days: 1 });
+
+      expect(findTimelineSegment(timeline, '2026-01-05', '00:00').refName).toBe('Lobby only');
+    });
+
+    it('applies exception calendars above campaigns and schedules', () => {
+      const timeline = buildScreenTimeline(baseContext({
+        exceptionsByDate: {
+          '2026-01-06': [{
+            event_id: 'ex-1',
+            name: 'Staff training',
+            calendar_name: 'Store events',
+            start_date: '2026-01-06',
+            end_date: '2026-01-06',
+            start_time: '10:00:00',
+            end_time: '12:00:00',
+            action: 'screen_off',
+          }],
+        },
+      }), { from: '2026-01-05', days: 2 });
+
+      expect(findTimelineSegment(timeline, '2026-01-06', '11:30')).toMatchObject({
+        source: TIMELINE_SOURCES.EXCEPTION,
+        contentType: 'screen_off',
+      });
+      expect(findTimelineSegment(timeline, '2026-01-05', '11:30').source).toBe(TIMELINE_SOURCES.SCHEDULE);
+    });
+
+    it('uses the group-published scene over everything but a screen override', () => {
+      const context = baseContext({
+        group: { id: 'group-1', name: 'Lobby screens', active_scene_id: 'scene-group' },
+      });
+      let timeline = buildScreenTimeline(context, { from: '2026-01-05', days: 1 });
+      expect(new Set(timeline.segments.map(s => s.source))).toEqual(new Set([TIMELINE_SOURCES.GROUP_OVERRIDE]));
+      expect(findTimelineSegment(timeline, '2026-01-05', '11:30')).toMatchObject({ contentName: 'Group Scene' });
+      expect(findTimelineSegment(timeline, '2026-01-05', '11:30').shadowed[0].source).toBe(TIMELINE_SOURCES.SCHEDULE);
+
+      context.screen.active_scene_id = 'scene-1';
+      timeline = buildScreenTimeline(context, { from: '2026-01-05', days: 1 });
+      expect(timeline.segments[0].source).toBe(TIMELINE_SOURCES.DEVICE_OVERRIDE);
+    });
+
+    it('ignores inactive scenes', () => {
+      const context = baseContext();
+      context.screen.active_scene_id = 'scene-off';
+      const timeline = buildScreenTimeline(context, { from: '2026-01-05', days: 1 });
+      expect(findTimelineSegment(timeline, '2026-01-05', '00:00').source).toBe(TIMELINE_SOURCES.ASSIGNED_PLAYLIST);
+    });
+
+    it('only resolves non-scene entries from the screen\'s own schedule', () => {
+      const context = baseContext({ schedule: { ...baseContext().schedule, fromGroup: true } });
+      context.screen.assigned_schedule_id = null;
+      const timeline = buildScreenTimeline(context, { from: '2026-01-05', days: 1 });
+
+      expect(findTimelineSegment(timeline, '2026-01-05', '10:00').source).toBe(TIMELINE_SOURCES.ASSIGNED_PLAYLIST);
+      expect(findTimelineSegment(timeline, '2026-01-05', '12:30').reason).toContain('inherited from the screen group');
+    });
+
+    it('moves sunset-anchored entries with the screen coordinates', () => {
+      const context = baseContext({
+        coordinates: { latitude: 40.7128, longitude: -74.006 },
+        schedule: {
+          id: 'sched-1',
+          name: 'Evening',
+          is_active: true,
+          entries: [{
+            id: 'entry-evening',
+            content_type: 'playlist',
+            content_id: 'playlist-promo',
+            start_time: '18:00',
+            end_time: '23:00',
+            start_anchor: 'sunset',
+            start_offset_minutes: -30,
+            end_anchor: 'time',
+            repeat_type: 'daily',
+            start_date: '2026-06-01',
+          }],
+        },
+      });
+      context.screen.timezone = 'America/New_York';
+      const timeline = buildScreenTimeline(context, { from: '2026-06-21', days: 1 });
+
+      // Sunset in New York on June 21 is ~20:30, so the entry starts ~20:00
+      expect(findTimelineSegment(timeline, '2026-06-21', '19:30').source).toBe(TIMELINE_SOURCES.ASSIGNED_PLAYLIST);
+      const evening = findTimelineSegment(timeline, '2026-06-21', '20:15');
+      expect(evening).toMatchObject({ source: TIMELINE_SOURCES.LEGACY_SCHEDULE, endTime: '23:00' });
+      expect(evening.startTime >= '19:58' && evening.startTime <= '20:03').toBe(true);
+    });
+
+    it('plays one-off entries on their days of week regardless of dates, as the player does', () => {
+      const context = baseContext({
+        schedule: {
+          id: 'sched-1',
+          name: 'One-off',
+          is_active: true,
+          entries: [
+            {
+              id: 'entry-once',
+              content_type: 'playlist',
+              content_id: 'playlist-morning',
+              start_time: '09:00',
+              end_time: '12:00',
+              repeat_type: 'none',
+              start_date: '2026-01-05',
+              end_date: '2026-01-05',
+              days_of_week: [1, 3],
+            },
+            {
+              id: 'entry-late',
+              content_type: 'playlist',
+              content_id: 'playlist-promo',
+              start_time: '22:00',
+              end_time: '02:00',
+              repeat_type: 'none',
+              start_date: '2026-01-05',
+              days_of_week: [1, 2, 3, 4, 5, 6, 0],
+            },
+            {
+              id: 'entry-late-scene',
+              content_type: 'scene',
+              content_id: 'scene-1',
+              start_time: '23:00',
+              end_time: '01:00',
+              repeat_type: 'none',
+              start_date: '2026-01-05',
+            },
+            {
+              id: 'entry-no-days',
+              content_type: 'playlist',
+              content_id: 'playlist-promo',
+              start_time: '14:00',
+              end_time: '16:00',
+              repeat_type: 'none',
+              start_date: '2026-01-05',
+            },
+          ],
+        },
+      });
+      const timeline = buildScreenTimeline(context, { from: '2026-01-05', days: 8 });
+
+      // Mondays and Wednesdays, past end_date
+      expect(findTimelineSegment(timeline, '2026-01-05', '10:00').contentName).toBe('Morning Loop');
+      expect(findTimelineSegment(timeline, '2026-01-06', '10:00').source).toBe(TIMELINE_SOURCES.ASSIGNED_PLAYLIST);
+      expect(findTimelineSegment(timeline, '2026-01-07', '10:00').contentName).toBe('Morning Loop');
+      expect(findTimelineSegment(timeline, '2026-01-12', '10:00').contentName).toBe('Morning Loop');
+
+      // Fixed-time legacy entries ending before they start never match
+      expect(findTimelineSegment(timeline, '2026-01-06', '22:30').source).toBe(TIMELINE_SOURCES.ASSIGNED_PLAYLIST);
+      // Scenes wrap past midnight on each day, without days_of_week meaning every day
+      expect(findTimelineSegment(timeline, '2026-01-06', '23:30').source).toBe(TIMELINE_SOURCES.SCHEDULE);
+      expect(findTimelineSegment(timeline, '2026-01-05', '00:30').source).toBe(TIMELINE_SOURCES.SCHEDULE);
+      // Legacy entries without days_of_week never match
+      expect(findTimelineSegment(timeline, '2026-01-05', '15:00').source).toBe(TIMELINE_SOURCES.ASSIGNED_PLAYLIST);
+    });
+
+    it('reports nothing when no source applies', () => {
+      const context = baseContext({ schedule: null });
+      context.screen.assigned_playlist_id = null;
+      const timeline = buildScreenTimeline(context, { from: '2026-01-05', days: 1 });
+      expect(timeline.segments).toEqual([
+        expect.objectContaining({ source: TIMELINE_SOURCES.NONE, startTime: '00:00', endTime: '24:00' }),
+      ]);
+    });
+  });
+
+  describe('toRangeMinutes', () => {
+    it('converts timestamps into the screen timezone', () => {
+      expect(toRangeMinutes('2026-01-05T15:00:00Z', 'UTC', '2026-01-05')).toBe(15 * 60);
+      expect(toRangeMinutes('2026-01-05T15:00:00Z', 'America/New_York', '2026-01-05')).toBe(10 * 60);
+      expect(toRangeMinutes('2026-01-06T01:00:00Z', 'America/New_York', '2026-01-05')).toBe(20 * 60);
+    });
+  });
+
+  describe('loadScreenSimulationContext', () => {
+    const rows = {
+      tv_devices: {
+        id: 'screen-1',
+        timezone: 'UTC',
+        location_id: 'loc-1',
+        latitude: 40,
+        longitude: -74,
+        assigned_playlist_id: 'playlist-fallback',
+      },
+      campaigns: [{
+        id: 'camp-1',
+        name: 'Sale',
+        priority: 1,
+        status: 'active',
+        campaign_targets: [
+          { target_type: 'all', target_id: null },
+          { target_type: 'location', target_id: 'loc-1' },
+        ],
+        campaign_contents: [{ content_type: 'playlist', content_id: 'playlist-promo', position: 0 }],
+      }],
+      playlists: [{ id: 'playlist-promo', name: 'Promo' }],
+    };
+
+    // Chainable query per table, resolving to its rows
+    function mockQueries() {
+      const calls = {};
+      supabase.from.mockImplementation((table) => {
+        const result = { data: rows[table] ?? [], error: null };
+        const chain = {
+          single: () => Promise.resolve(result),
+          then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+        };
+        calls[table] = [];
+        for (const method of ['select', 'eq', 'in', 'or', 'order']) {
+          chain[method] = (...args) => {
+            calls[table].push([method, ...args]);
+            return chain;
+          };
+        }
+        return chain;
+      });
+      return calls;
+    }
+
+    it('loads campaigns with their targets and contents in one query', async () => {
+      supabase.rpc.mockResolvedValue({ data: [], error: null });
+      const calls = mockQueries();
+
+      const context = await loadScreenSimulationContext('screen-1', { from: '2026-01-05', days: 7 });
+
+      const tables = supabase.from.mock.calls.map(([table]) => table);
+      expect(tables.filter(table => table === 'campaigns')).toHaveLength(1);
+      expect(tables).not.toContain('campaign_targets');
+      expect(tables).not.toContain('campaign_contents');
+
+      expect(calls.campaigns).toContainEqual(['or',
+        'target_type.eq.all,and(target_type.eq.screen,target_id.eq.screen-1),and(target_type.eq.location,target_id.eq.loc-1)',
+        { foreignTable: 'campaign_targets' },
+      ]);
+      expect(calls.campaigns).toContainEqual(['or', 'start_at.is.null,start_at.lt.2026-01-13T00:00:00Z']);
+      expect(calls.campaigns).toContainEqual(['or', 'end_at.is.null,end_at.gte.2026-01-04T00:00:00Z']);
+
+      expect(context.campaigns).toEqual([expect.objectContaining({
+        id: 'camp-1',
+        effective_target: 'location',
+        contents: rows.campaigns[0].campaign_contents,
+      })]);
+      expect(context.campaigns[0]).not.toHaveProperty('campaign_targets');
+      expect(context.names.playlist['playlist-promo'].name).toBe('Promo');
+    });
+  });
+
+  describe('simulateScreenTimeline', () => {
+    it('requires a screen id', async () => {
+      await expect(simulateScreenTimeline()).rejects.toThrow('Screen ID is required');
+    });
+  });
+});
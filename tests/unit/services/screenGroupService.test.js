@@ -321,4 +321,56 @@ describe('screenGroupService', () => {
       expect(result).toBe(0);
     });
   });
+
+  describe('updateVideoWall', () => {
+    it('rejects a wall with empty positions', async () => {
+      const { supabase } = await import('../../../src/supabase');
+      const { updateVideoWall } = await import('../../../src/services/screenGroupService');
+
+      await expect(updateVideoWall('group-123', {
+        syncMode: 'video_wall',
+        columns: 2,
+        rows: 1,
+        positions: [{ deviceId: 'screen-1', row: 0, column: 0 }],
+      })).rejects.toThrow('Place a screen in each of the 2 wall positions');
+      expect(supabase.from).not.toHaveBeenCalled();
+    });
+
+    it('clears positions before placing panels so they can swap', async () => {
+      const { supabase } = await import('../../../src/supabase');
+      const { updateVideoWall } = await import('../../../src/services/screenGroupService');
+
+      const updates = [];
+      supabase.from.mockImplementation((table) => {
+        const query = {
+          update: vi.fn((values) => {
+            updates.push({ table, values });
+            return query;
+          }),
+          eq: vi.fn(() => query),
+          select: vi.fn(() => query),
+          single: vi.fn().mockResolvedValue({ data: { id: 'group-123' }, error: null }),
+          then: (resolve) => resolve({ error: null }),
+        };
+        return query;
+      });
+
+      await updateVideoWall('group-123', {
+        syncMode: 'video_wall',
+        columns: 2,
+        rows: 1,
+        positions: [
+          { deviceId: 'screen-1', row: 0, column: 1 },
+          { deviceId: 'screen-2', row: 0, column: 0 },
+        ],
+      });
+
+      expect(updates).toEqual([
+        { table: 'tv_devices', values: { wall_row: null, wall_column: null } },
+        { table: 'tv_devices', values: { wall_row: 0, wall_column: 1 } },
+        { table: 'tv_devices', values: { wall_row: 0, wall_column: 0 } },
+        { table: 'screen_groups', values: { sync_mode: 'video_wall', wall_columns: 2, wall_rows: 1 } },
+      ]);
+    });
+  });
 });
@@ -0,0 +1,121 @@
+/**
+ * Solar Service Unit Tests
+ * Tests for sunrise/sunset computation and anchored trigger resolution
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  TIME_ANCHORS,
+  getSunTimes,
+  resolveTriggerTime,
+  resolveEntryTimes,
+  hasSolarTrigger,
+  parseTriggerExpression,
+  formatTrigger,
+} from '../../../src/services/solarService';
+
+const NEW_YORK = { latitude: 40.7128, longitude: -74.006, timezone: 'America/New_York' };
+const LONDON = { latitude: 51.5074, longitude: -0.1278, timezone: 'Europe/London' };
+
+const toMinutes = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+const expectNear = (actual, expected, tolerance = 3) => {
+  expect(Math.abs(toMinutes(actual) - toMinutes(expected))).toBeLessThanOrEqual(tolerance);
+};
+
+describe('solarService', () => {
+  describe('getSunTimes', () => {
+    it('matches published times for New York at the summer solstice', () => {
+      const { sunrise, sunset } = getSunTimes('2026-06-21', NEW_YORK);
+      expectNear(sunrise, '05:25');
+      expectNear(sunset, '20:31');
+    });
+
+    it('matches published times for London at the winter solstice', () => {
+      const { sunrise, sunset } = getSunTimes('2026-12-21', LONDON);
+      expectNear(sunrise, '08:04');
+      expectNear(sunset, '15:54');
+    });
+
+    it('returns null during polar night', () => {
+      expect(getSunTimes('2026-12-21', { latitude: 78.22, longitude: 15.65, timezone: 'Arctic/Longyearbyen' }))
+        .toEqual({ sunrise: null, sunset: null });
+    });
+
+    it('returns null without coordinates', () => {
+      expect(getSunTimes('2026-06-21', { latitude: null, longitude: null })).toEqual({ sunrise: null, sunset: null });
+    });
+  });
+
+  describe('resolveTriggerTime', () => {
+    const context = { date: '2026-06-21', ...NEW_YORK };
+
+    it('returns fixed times unchanged', () => {
+      expect(resolveTriggerTime({ anchor: TIME_ANCHORS.TIME, time: '08:00:00' }, context)).toBe('08:00');
+    });
+
+    it('applies offsets to the solar event', () => {
+      const sunset = getSunTimes('2026-06-21', NEW_YORK).sunset;
+      const resolved = resolveTriggerTime({ anchor: TIME_ANCHORS.SUNSET, offset: -30, time: '18:00' }, context);
+      expect(toMinutes(sunset) - toMinutes(resolved)).toBe(30);
+    });
+
+    it('falls back to the fixed time when the event cannot be computed', () => {
+      expect(resolveTriggerTime(
+        { anchor: TIME_ANCHORS.SUNRISE, offset: 15, time: '07:00' },
+        { date: '2026-06-21', latitude: null, longitude: null }
+      )).toBe('07:00');
+    });
+  });
+
+  describe('resolveEntryTimes', () => {
+    it('resolves start and end independently', () => {
+      const times = resolveEntryTimes({
+        start_time: '18:00',
+        end_time: '23:00',
+        start_anchor: 'sunset',
+        start_offset_minutes: 0,
+        end_anchor: 'time',
+      }, { date: '2026-12-21', ...LONDON });
+
+      expectNear(times.start_time, '15:54');
+      expect(times.end_time).toBe('23:00');
+    });
+  });
+
+  describe('hasSolarTrigger', () => {
+    it('detects solar anchors on either boundary', () => {
+      expect(hasSolarTrigger({ start_anchor: 'time', end_anchor: 'sunrise' })).toBe(true);
+      expect(hasSolarTrigger({ start_anchor: 'time', end_anchor: 'time' })).toBe(false);
+      expect(hasSolarTrigger({})).toBe(false);
+    });
+  });
+
+  describe('parseTriggerExpression', () => {
+    it('parses anchors with offsets', () => {
+      expect(parseTriggerExpression('sunset-30m')).toEqual({ anchor: 'sunset', offset: -30, time: null });
+      expect(parseTriggerExpression('Sunrise+1h15m')).toEqual({ anchor: 'sunrise', offset: 75, time: null });
+      expect(parseTriggerExpression('sunset')).toEqual({ anchor: 'sunset', offset: 0, time: null });
+    });
+
+    it('parses fixed times', () => {
+      expect(parseTriggerExpression('8:00')).toEqual({ anchor: 'time', offset: 0, time: '08:00' });
+    });
+
+    it('rejects malformed expressions', () => {
+      expect(parseTriggerExpression('sunset-')).toBeNull();
+      expect(parseTriggerExpression('noon')).toBeNull();
+    });
+  });
+
+  describe('formatTrigger', () => {
+    it('formats anchors and offsets for display', () => {
+      expect(formatTrigger({ anchor: 'sunset', offset: -30 })).toBe('Sunset − 30m');
+      expect(formatTrigger({ anchor: 'sunrise', offset: 75 })).toBe('Sunrise + 1h 15m');
+      expect(formatTrigger({ anchor: 'sunset', offset: 0 })).toBe('Sunset');
+      expect(formatTrigger({ anchor: 'time', time: '08:00:00' })).toBe('08:00');
+    });
+  });
+});
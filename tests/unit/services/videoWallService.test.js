@@ -0,0 +1,150 @@
+/**
+ * Video Wall Service Unit Tests
+ * Tests for clock offset estimation, the shared schedule and panel cropping
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    rpc: vi.fn(),
+  },
+}));
+
+import { supabase } from '../../../src/supabase';
+import {
+  estimateClockOffset,
+  getSchedulePosition,
+  getPanelCropStyle,
+  validateWallLayout,
+  fetchWallConfig,
+} from '../../../src/services/videoWallService';
+
+describe('videoWallService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('estimateClockOffset', () => {
+    it('uses the sample with the shortest round trip', () => {
+      const samples = [
+        { sentAt: 1000, receivedAt: 1400, serverTime: 6300 },
+        // Server answered at local 2010 + 10 = 2020, so the server is 3000ms ahead
+        { sentAt: 2010, receivedAt: 2030, serverTime: 5020 },
+      ];
+
+      expect(estimateClockOffset(samples)).toEqual({ offset: 3000, roundTrip: 20 });
+    });
+
+    it('ignores unusable samples', () => {
+      expect(estimateClockOffset([{ sentAt: 10, receivedAt: 5, serverTime: 7 }])).toBeNull();
+      expect(estimateClockOffset([{ sentAt: 0, receivedAt: 10, serverTime: NaN }])).toBeNull();
+      expect(estimateClockOffset(null)).toBeNull();
+    });
+  });
+
+  describe('getSchedulePosition', () => {
+    const durations = [10000, 5000, 15000]; // 30s cycle
+    const epoch = 1_000_000;
+
+    it('finds the slide playing at a point in time', () => {
+      expect(getSchedulePosition(durations, epoch, epoch)).toEqual({
+        index: 0, cycle: 0, startedAt: epoch, endsAt: epoch + 10000,
+      });
+      expect(getSchedulePosition(durations, epoch, epoch + 12000)).toEqual({
+        index: 1, cycle: 0, startedAt: epoch + 10000, endsAt: epoch + 15000,
+      });
+    });
+
+    it('loops through cycles', () => {
+      expect(getSchedulePosition(durations, epoch, epoch + 30000 * 4 + 20000)).toEqual({
+        index: 2, cycle: 4, startedAt: epoch + 120000 + 15000, endsAt: epoch + 150000,
+      });
+    });
+
+    it('gives every panel the same answer for the same server time', () => {
+      const now = epoch + 987654;
+      expect(getSchedulePosition(durations, epoch, now)).toEqual(getSchedulePosition([...durations], epoch, now));
+    });
+
+    it('returns null when nothing can play', () => {
+      expect(getSchedulePosition([], epoch, epoch)).toBeNull();
+      expect(getSchedulePosition([0, NaN], epoch, epoch)).toBeNull();
+    });
+  });
+
+  describe('getPanelCropStyle', () => {
+    it('offsets the canvas so the panel shows its crop', () => {
+      expect(getPanelCropStyle({ columns: 3, rows: 1, row: 0, column: 2 })).toEqual({
+        position: 'absolute',
+        width: '300%',
+        height: '100%',
+        left: '-200%',
+        top: '0%',
+      });
+    });
+  });
+
+  describe('validateWallLayout', () => {
+    const full2x2 = [
+      { deviceId: 'a', row: 0, column: 0 },
+      { deviceId: 'b', row: 0, column: 1 },
+      { deviceId: 'c', row: 1, column: 0 },
+      { deviceId: 'd', row: 1, column: 1 },
+    ];
+
+    it('accepts a filled wall', () => {
+      expect(validateWallLayout({ columns: 2, rows: 2, positions: full2x2 })).toEqual([]);
+    });
+
+    it('reports missing, duplicate and out-of-range panels', () => {
+      expect(validateWallLayout({ columns: 2, rows: 2, positions: full2x2.slice(0, 3) }))
+        .toEqual(['Place a screen in each of the 4 wall positions']);
+      expect(validateWallLayout({ columns: 2, rows: 1, positions: [full2x2[0], { ...full2x2[1], column: 0 }] }))
+        .toContain('Each wall position can only hold one screen');
+      expect(validateWallLayout({ columns: 1, rows: 1, positions: [{ deviceId: 'a', row: 0, column: 3 }] }))
+        .toContain('A screen is placed outside the wall');
+      expect(validateWallLayout({ columns: 9, rows: 1 })).toEqual(['Walls can be 1 to 8 panels wide and high']);
+    });
+  });
+
+  describe('fetchWallConfig', () => {
+    it('returns the panel position, epoch and measured clock offset', async () => {
+      supabase.rpc.mockResolvedValue({
+        data: {
+          enabled: true,
+          groupId: 'group-1',
+          columns: 2,
+          rows: 2,
+          row: 1,
+          column: 0,
+          epoch: '2025-03-14T12:00:00.000Z',
+          serverTime: new Date(Date.now() + 60000).toISOString(),
+        },
+        error: null,
+      });
+
+      const config = await fetchWallConfig('device-1');
+
+      expect(supabase.rpc).toHaveBeenCalledTimes(3);
+      expect(supabase.rpc).toHaveBeenCalledWith('get_video_wall_config', { p_device_id: 'device-1' });
+      expect(config).toMatchObject({ enabled: true, row: 1, column: 0, epoch: Date.UTC(2025, 2, 14, 12) });
+      expect(config.clockOffset).toBeGreaterThan(59000);
+      expect(config.clockOffset).toBeLessThanOrEqual(60000);
+    });
+
+    it('stops measuring for screens that are not wall panels', async () => {
+      supabase.rpc.mockResolvedValue({ data: { enabled: false, serverTime: new Date().toISOString() }, error: null });
+
+      const config = await fetchWallConfig('device-1');
+
+      expect(supabase.rpc).toHaveBeenCalledTimes(1);
+      expect(config.enabled).toBe(false);
+    });
+
+    it('throws when the RPC fails', async () => {
+      supabase.rpc.mockResolvedValue({ data: null, error: new Error('offline') });
+
+      await expect(fetchWallConfig('device-1')).rejects.toThrow('offline');
+    });
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * Weather Condition Service Unit Tests
+ * Tests for condition evaluation, stale weather fallback and mocked providers
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../../../src/supabase', () => ({
+  supabase: {
+    from: vi.fn(),
+    rpc: vi.fn(),
+  },
+}));
+
+vi.mock('../../../src/services/playerService', () => ({
+  cacheContent: vi.fn(),
+  getCachedContent: vi.fn(),
+}));
+
+import { supabase } from '../../../src/supabase';
+import { cacheContent, getCachedContent } from '../../../src/services/playerService';
+import { getPlayableItems } from '../../../src/services/contentTriggerService';
+import {
+  WEATHER_CONDITION_TYPES,
+  WEATHER_STALE_AFTER_MS,
+  TEMPERATURE_UNITS,
+  normalizeWeatherConditions,
+  describeWeatherConditions,
+  toWeatherSnapshot,
+  isWeatherStale,
+  evaluateWeatherConditions,
+  getWeatherTriggerRules,
+  withWeatherSource,
+  loadScreenWeather,
+  reportScreenWeather,
+} from '../../../src/services/weatherConditionService';
+
+const NOW = Date.UTC(2025, 0, 15, 12, 0);
+
+// Shaped like weatherService.getWeather results
+const reading = (overrides = {}) => ({
+  temp: 4,
+  tempUnit: '°C',
+  main: 'Rain',
+  timestamp: NOW,
+  ...overrides,
+});
+
+const coldAndRainy = toWeatherSnapshot(reading());
+const hotAndClear = toWeatherSnapshot(reading({ temp: 86, tempUnit: '°F', main: 'Clear' }));
+
+const cold = [{ type: WEATHER_CONDITION_TYPES.TEMP_BELOW, value: 10, units: TEMPERATURE_UNITS.CELSIUS }];
+const rain = [{ type: WEATHER_CONDITION_TYPES.RAIN }];
+
+describe('weatherConditionService', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('toWeatherSnapshot', () => {
+    it('groups conditions and converts temperatures to Celsius', () => {
+      expect(coldAndRainy).toEqual({ condition: 'rain', tempC: 4, observedAt: NOW });
+      expect(hotAndClear).toEqual({ condition: 'clear', tempC: 30, observedAt: NOW });
+      expect(toWeatherSnapshot(reading({ main: 'Drizzle' })).condition).toBe('rain');
+      expect(toWeatherSnapshot(reading({ main: 'Mist' })).condition).toBe('other');
+    });
+
+    it('ignores mock readings', () => {
+      expect(toWeatherSnapshot(reading({ isMock: true }))).toBeNull();
+      expect(toWeatherSnapshot(null)).toBeNull();
+    });
+  });
+
+  describe('evaluateWeatherConditions', () => {
+    it('matches weather types and temperature thresholds in either unit', () => {
+      expect(evaluateWeatherConditions(rain, coldAndRainy, { now: NOW })).toBe(true);
+      expect(evaluateWeatherConditions(cold, coldAndRainy, { now: NOW })).toBe(true);
+      expect(evaluateWeatherConditions(cold, hotAndClear, { now: NOW })).toBe(false);
+      expect(evaluateWeatherConditions(
+        [{ type: WEATHER_CONDITION_TYPES.TEMP_ABOVE, value: 80, units: TEMPERATURE_UNITS.FAHRENHEIT }],
+        hotAndClear,
+        { now: NOW }
+      )).toBe(true);
+    });
+
+    it('requires every condition to hold', () => {
+      expect(evaluateWeatherConditions([...rain, ...cold], coldAndRainy, { now: NOW })).toBe(true);
+      expect(evaluateWeatherConditions([{ type: WEATHER_CONDITION_TYPES.SNOW }, ...cold], coldAndRainy, { now: NOW }))
+        .toBe(false);
+    });
+
+    it('always matches without conditions and never on unknown or stale weather', () => {
+      const later = NOW + WEATHER_STALE_AFTER_MS + 1;
+
+      expect(evaluateWeatherConditions([], null, { now: NOW })).toBe(true);
+      expect(evaluateWeatherConditions(rain, null, { now: NOW })).toBe(false);
+      expect(isWeatherStale(coldAndRainy, later)).toBe(true);
+      expect(evaluateWeatherConditions(rain, coldAndRainy, { now: later })).toBe(false);
+    });
+  });
+
+  describe('playlist items', () => {
+    const hotDrinks = { id: 'hot-drinks', weatherConditions: cold };
+    const umbrellas = { id: 'umbrellas', weatherConditions: rain };
+    const iceCream = { id: 'ice-cream', weatherConditions: [{ type: WEATHER_CONDITION_TYPES.TEMP_ABOVE, value: 25 }] };
+    const welcome = { id: 'welcome' };
+    const items = [welcome, hotDrinks, umbrellas, iceCream];
+    const getRules = getWeatherTriggerRules;
+
+    it('plays only the items matching the current weather', () => {
+      const sources = withWeatherSource(new Map(), coldAndRainy, NOW);
+
+      expect(getPlayableItems(items, sources, getRules).map(i => i.id)).toEqual(['welcome', 'hot-drinks', 'umbrellas']);
+    });
+
+    it('plays only unconditional items when the weather is stale', () => {
+      const sources = withWeatherSource(new Map(), coldAndRainy, NOW + WEATHER_STALE_AFTER_MS + 1);
+
+      expect(sources.size).toBe(0);
+      expect(getPlayableItems(items, sources, getRules).map(i => i.id)).toEqual(['welcome']);
+    });
+
+    it('plays nothing from a weather-only playlist when the weather is stale', () => {
+      const sources = withWeatherSource(new Map(), coldAndRainy, NOW + WEATHER_STALE_AFTER_MS + 1);
+
+      expect(getPlayableItems([hotDrinks, umbrellas], sources, getRules)).toEqual([]);
+    });
+  });
+
+  describe('normalizeWeatherConditions', () => {
+    it('keeps thresholds only for temperature conditions', () => {
+      expect(normalizeWeatherConditions([
+        { type: WEATHER_CONDITION_TYPES.RAIN, value: 3 },
+        { type: WEATHER_CONDITION_TYPES.TEMP_ABOVE, value: '75', units: 'F' },
+        { type: WEATHER_CONDITION_TYPES.TEMP_BELOW, value: -5 },
+      ])).toEqual([
+        { type: 'rain' },
+        { type: 'temp_above', value: 75, units: 'F' },
+        { type: 'temp_below', value: -5, units: 'C' },
+      ]);
+    });
+
+    it('rejects unknown types and missing temperatures', () => {
+      expect(() => normalizeWeatherConditions([{ type: 'hail' }])).toThrow('Weather condition 1: invalid condition');
+      expect(() => normalizeWeatherConditions([{ type: WEATHER_CONDITION_TYPES.TEMP_BELOW, value: '' }]))
+        .toThrow('enter a temperature');
+    });
+
+    it('describes conditions for labels', () => {
+      expect(describeWeatherConditions([...rain, { type: 'temp_below', value: 50, units: 'F' }]))
+        .toBe('Raining, below 50°F');
+    });
+  });
+
+  describe('loadScreenWeather', () => {
+    const location = { city: 'Portland' };
+
+    it('caches readings from the provider', async () => {
+      const provider = vi.fn().mockResolvedValue(reading());
+
+      const snapshot = await loadScreenWeather(location, { provider });
+
+      expect(provider).toHaveBeenCalledWith(location);
+      expect(snapshot).toEqual(coldAndRainy);
+      expect(cacheContent).toHaveBeenCalledWith('weather-portland', coldAndRainy, 'weather');
+    });
+
+    it('falls back to the last cached reading when the provider fails or returns mock data', async () => {
+      getCachedContent.mockResolvedValue(coldAndRainy);
+
+      await expect(loadScreenWeather(location, { provider: vi.fn().mockRejectedValue(new Error('offline')) }))
+        .resolves.toEqual(coldAndRainy);
+      await expect(loadScreenWeather(location, { provider: vi.fn().mockResolvedValue(reading({ isMock: true })) }))
+        .resolves.toEqual(coldAndRainy);
+      expect(getCachedContent).toHaveBeenCalledWith('weather-portland');
+      expect(cacheContent).not.toHaveBeenCalled();
+    });
+
+    it('returns null when the weather has never been known', async () => {
+      getCachedContent.mockResolvedValue(null);
+
+      await expect(loadScreenWeather(location, { provider: vi.fn().mockResolvedValue(null) })).resolves.toBeNull();
+    });
+  });
+
+  describe('reportScreenWeather', () => {
+    it('sends the reading with its observation time', async () => {
+      supabase.rpc.mockResolvedValue({ error: null });
+
+      await reportScreenWeather('screen-1', coldAndRainy);
+
+      expect(supabase.rpc).toHaveBeenCalledWith('report_screen_weather', {
+        p_screen_id: 'screen-1',
+        p_weather: { condition: 'rain', tempC: 4 },
+        p_observed_at: new Date(NOW).toISOString(),
+      });
+    });
+  });
+});